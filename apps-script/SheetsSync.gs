@@ -0,0 +1,187 @@
+/**
+ * PRess & Impress - Google Sheets sync web app (reference implementation)
+ *
+ * Protocol used by modules/sheetsSync.js. Every request is a JSON POST that
+ * names the columns it reads or writes as [{field, header}]; the first is the
+ * ID column. Rows travel keyed by field; in the sheet, columns are found by
+ * header, so they can be reordered, and missing ones are added on the right.
+ *
+ *   {action: 'pull', since: ISO string | null, columns}
+ *     -> {ok: true, serverTime, rows: [{id, title, ..., lastModified}]}
+ *        Rows whose Last Modified is after `since` (every row when null).
+ *
+ *   {action: 'push', columns, rows: [{id, title, ..., baseModified}]}
+ *     -> {ok: true, serverTime, results: [{id, result, lastModified}]}
+ *        Upserts each row by ID and stamps Last Modified. `result` is
+ *        'created', 'updated', or 'conflict' when the row was edited in the
+ *        sheet after `baseModified` (the row is then left untouched).
+ *
+ * Errors come back as {ok: false, error}.
+ *
+ * Setup:
+ * 1. In the sheet, Extensions > Apps Script, paste this file and save.
+ * 2. Deploy > New deployment > Web app; execute as yourself, and give access
+ *    to whoever runs the extension.
+ * 3. Paste the web app URL into the extension's Settings > Google Sheets Sync.
+ *
+ * The onEdit trigger stamps Last Modified when a teammate edits a row, which
+ * is how the extension notices changes to Status, Owner and Notes.
+ */
+
+var SHEET_NAME = 'Opportunities';
+var LAST_MODIFIED_HEADER = 'Last Modified';
+
+function doPost(e) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    var request = JSON.parse(e.postData.contents);
+    var columns = request.columns || [];
+    if (columns.length === 0 || columns[0].field !== 'id') {
+      return respond_({ ok: false, error: 'Request must list the columns, ID first' });
+    }
+    var sheet = getSheet_(columns);
+    if (request.action === 'pull') {
+      return respond_(pull_(sheet, columns, request.since));
+    }
+    if (request.action === 'push') {
+      return respond_(push_(sheet, columns, request.rows || []));
+    }
+    return respond_({ ok: false, error: 'Unknown action: ' + request.action });
+  } catch (error) {
+    return respond_({ ok: false, error: String(error) });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Simple trigger: stamp Last Modified on rows a person edits
+ */
+function onEdit(e) {
+  var sheet = e.range.getSheet();
+  if (sheet.getName() !== SHEET_NAME || e.range.getLastRow() < 2) {
+    return;
+  }
+  var lastModifiedColumn = readHeaders_(sheet).indexOf(LAST_MODIFIED_HEADER) + 1;
+  if (lastModifiedColumn === 0) {
+    return;
+  }
+  if (e.range.getColumn() === lastModifiedColumn && e.range.getNumColumns() === 1) {
+    return;
+  }
+  var firstRow = Math.max(e.range.getRow(), 2);
+  var rowCount = e.range.getLastRow() - firstRow + 1;
+  var now = new Date().toISOString();
+  var stamps = [];
+  for (var i = 0; i < rowCount; i++) {
+    stamps.push([now]);
+  }
+  sheet.getRange(firstRow, lastModifiedColumn, rowCount, 1).setValues(stamps);
+}
+
+function pull_(sheet, columns, since) {
+  var serverTime = new Date().toISOString();
+  var rows = readRows_(sheet, columns)
+    .map(function(entry) { return entry.row; })
+    .filter(function(row) { return !since || row.lastModified > since; });
+  return { ok: true, serverTime: serverTime, rows: rows };
+}
+
+function push_(sheet, columns, rows) {
+  var headers = readHeaders_(sheet);
+  var existing = {};
+  readRows_(sheet, columns).forEach(function(entry) {
+    existing[entry.row.id] = entry;
+  });
+
+  var now = new Date().toISOString();
+  var results = [];
+  var appended = [];
+
+  rows.forEach(function(row) {
+    var id = String(row.id);
+    var current = existing[id];
+    if (current && (!row.baseModified || current.row.lastModified > row.baseModified)) {
+      results.push({ id: id, result: 'conflict', lastModified: current.row.lastModified });
+      return;
+    }
+
+    // Only the listed columns are written; anything else in the row is kept
+    var cells = current ? current.cells.slice() : headers.map(function() { return ''; });
+    columns.forEach(function(column) {
+      var value = row[column.field];
+      cells[headers.indexOf(column.header)] = value === null || value === undefined ? '' : String(value);
+    });
+    cells[headers.indexOf(LAST_MODIFIED_HEADER)] = now;
+
+    if (current) {
+      sheet.getRange(current.number, 1, 1, cells.length).setValues([cells]);
+      results.push({ id: id, result: 'updated', lastModified: now });
+    } else {
+      appended.push(cells);
+      existing[id] = { row: { id: id, lastModified: now }, cells: cells, number: -1 };
+      results.push({ id: id, result: 'created', lastModified: now });
+    }
+  });
+
+  if (appended.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, appended.length, headers.length).setValues(appended);
+  }
+  return { ok: true, serverTime: now, results: results };
+}
+
+function readHeaders_(sheet) {
+  return sheet.getRange(1, 1, 1, sheet.getLastColumn()).getDisplayValues()[0];
+}
+
+function readRows_(sheet, columns) {
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+  var headers = readHeaders_(sheet);
+  var idIndex = headers.indexOf(columns[0].header);
+  var lastModifiedIndex = headers.indexOf(LAST_MODIFIED_HEADER);
+  var values = sheet.getRange(2, 1, lastRow - 1, headers.length).getDisplayValues();
+
+  var entries = [];
+  values.forEach(function(cells, index) {
+    if (cells[idIndex] === '') {
+      return;
+    }
+    var row = {};
+    columns.forEach(function(column) {
+      row[column.field] = cells[headers.indexOf(column.header)];
+    });
+    row.lastModified = cells[lastModifiedIndex];
+    entries.push({ row: row, cells: cells, number: index + 2 });
+  });
+  return entries;
+}
+
+function getSheet_(columns) {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var sheet = spreadsheet.getSheetByName(SHEET_NAME) || spreadsheet.insertSheet(SHEET_NAME);
+  var headers = sheet.getLastColumn() > 0 ? readHeaders_(sheet) : [];
+
+  var wanted = columns.map(function(column) { return column.header; });
+  wanted.push(LAST_MODIFIED_HEADER);
+  var missing = wanted.filter(function(header) { return headers.indexOf(header) === -1; });
+  if (missing.length > 0) {
+    sheet.getRange(1, headers.length + 1, 1, missing.length).setValues([missing]);
+    sheet.setFrozenRows(1);
+    // Keep IDs and timestamps as text so Sheets doesn't reformat them
+    [columns[0].header, LAST_MODIFIED_HEADER].forEach(function(header) {
+      if (missing.indexOf(header) !== -1) {
+        var column = headers.length + missing.indexOf(header) + 1;
+        sheet.getRange(1, column, sheet.getMaxRows(), 1).setNumberFormat('@');
+      }
+    });
+  }
+  return sheet;
+}
+
+function respond_(body) {
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+}
@@ -10,6 +10,33 @@ import { integrationsManager } from './modules/integrations.js';
 import { opportunityScraper } from './modules/scraper.js';
 import { aiService } from './modules/aiService.js';
 import { unifiedCache } from './modules/unifiedCache.js';
+import {
+  scheduledScraper,
+  SCRAPE_PLATFORMS,
+  AUTO_SCRAPE_ALARM,
+  normalizeSchedule,
+  getNextRunTime,
+  getAlarmName,
+  getPlatformForAlarm
+} from './modules/scheduledScrape.js';
+import { sheetsSync, SHEETS_SYNC_ALARM } from './modules/sheetsSync.js';
+import {
+  deadlineReminders,
+  REMINDER_ALARM,
+  REMINDER_CHECK_MINUTES,
+  REMINDER_ACTIONS,
+  getReminderOpportunityId
+} from './modules/deadlineReminders.js';
+import { alertRuleManager, evaluateAlertRules, ALERT_NOTIFICATION_PREFIX } from './modules/alertRules.js';
+import { keywordManager } from './modules/keywordManager.js';
+import {
+  digestManager,
+  DIGEST_ALARM,
+  normalizeDigestSettings,
+  getNextDigestTime,
+  getDigestTitle
+} from './modules/digest.js';
+import { aiJobQueue, AI_JOB_ALARM, AI_JOB_CHECK_MINUTES } from './modules/aiJobQueue.js';
 
 // Constants
 const DEFAULT_REFRESH_INTERVAL = 60; // minutes
@@ -26,6 +53,9 @@ class BackgroundController {
     this.allowTabOpen = false;
     this.pendingResponses = new Map();
     
+    // Scheduled SourceBottle scrapes save through the same path as content scripts
+    scheduledScraper.save = opportunities => this.saveOpportunities(opportunities);
+    
     // Initialize components
     this.initializeCache();
     this.setupMessageHandlers();
@@ -75,6 +105,22 @@ class BackgroundController {
           this.handleGoogleSheetSend(request, sender, sendResponse, requestId);
           return true; // Will respond asynchronously
           
+        case 'syncGoogleSheets':
+          this.handleSyncGoogleSheets(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'getSheetsConflicts':
+          this.handleGetSheetsConflicts(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'resolveSheetsConflict':
+          this.handleResolveSheetsConflict(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'scheduleSheetsSync':
+          this.handleScheduleSheetsSync(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
         case 'fetchSourceBottleOpportunities':
           this.handleFetchOpportunities(request, sender, sendResponse, requestId);
           return true; // Will respond asynchronously
@@ -83,14 +129,60 @@ class BackgroundController {
           this.handleScheduleAutoScrape(request, sender, sendResponse);
           return true; // Will respond asynchronously
           
+        case 'scheduleDigest':
+          this.handleScheduleDigest(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
         case 'exportToCSV':
           this.handleExportToCSV(request, sender, sendResponse);
           return false; // Will respond synchronously
           
+        case 'exportToNotion':
+          this.handleExportToNotion(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'exportToAirtable':
+          this.handleExportToAirtable(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
         case 'sourceBottleOpportunitiesExtracted':
           this.handleOpportunitiesExtracted(request, sender, sendResponse);
           return true; // Will respond asynchronously
           
+        case 'saveOpportunities':
+          this.handleSaveOpportunities(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'getOpportunities':
+          this.handleGetOpportunities(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'updateOpportunityStatus':
+          this.handleUpdateOpportunityStatus(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'getPipelineCounts':
+          this.handleGetPipelineCounts(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'getScheduledScrapeRuns':
+          this.handleGetScheduledScrapeRuns(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'startAIJob':
+          this.handleStartAIJob(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'getAIJobs':
+          this.handleGetAIJobs(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
+        case 'pauseAIJob':
+        case 'resumeAIJob':
+        case 'cancelAIJob':
+          this.handleControlAIJob(request, sender, sendResponse);
+          return true; // Will respond asynchronously
+          
         case 'extractFromSourceBottleTabs':
           this.handleExtractFromTabs(request, sender, sendResponse);
           return true; // Will respond asynchronously
@@ -145,8 +237,18 @@ class BackgroundController {
           }
         }
       });
+      
+      // Re-arm any auto-scrape alarm that went missing (e.g. after a browser update)
+      this.scheduleAutoScrapeAlarms(settings.schedule, true);
+      this.scheduleDigestAlarm(settings.digest, true);
     });
     
+    this.scheduleSheetsSyncAlarm(true);
+    this.scheduleReminderAlarm();
+    
+    // Carry on with any AI analysis job the last service worker didn't finish
+    this.runAIJobQueue();
+    
     // Listen for alarm events
     chrome.alarms.onAlarm.addListener((alarm) => {
       logManager.log(`Alarm triggered: ${alarm.name}`);
@@ -155,9 +257,29 @@ class BackgroundController {
         // Do NOT auto-fetch, just update badge and notify
         this.checkForUpdates();
       }
-      else if (alarm.name === 'autoScrape') {
-        // Run scheduled scrape if enabled
-        this.runScheduledScrape();
+      else if (getPlatformForAlarm(alarm.name)) {
+        // Run the platform's scheduled scrape if enabled
+        this.runScheduledScrape(getPlatformForAlarm(alarm.name));
+      }
+      else if (alarm.name === SHEETS_SYNC_ALARM) {
+        // Two-way sync with Google Sheets; conflicts wait in the list on the opportunities page
+        integrationsManager.syncGoogleSheets().then(result => {
+          if (!result.success) {
+            logManager.warn('Scheduled Google Sheets sync failed:', result.error);
+          }
+        });
+      }
+      else if (alarm.name === DIGEST_ALARM) {
+        // Compile the daily or weekly digest of new opportunities
+        this.runDigest();
+      }
+      else if (alarm.name === REMINDER_ALARM) {
+        // Remind about shortlisted and pitched opportunities before they close
+        this.runDeadlineReminders();
+      }
+      else if (alarm.name === AI_JOB_ALARM) {
+        // Restart the AI analysis queue in case the service worker was stopped mid-job
+        this.runAIJobQueue();
       }
       else if (alarm.name === 'retryIntegrations') {
         // Retry any pending integrations
@@ -204,6 +326,37 @@ class BackgroundController {
           url: chrome.runtime.getURL('opportunities.html') 
         });
       }
+      else if (notificationId.startsWith('digest-')) {
+        // Open the digest view on the opportunities page
+        chrome.tabs.create({ 
+          url: chrome.runtime.getURL('opportunities.html#digest') 
+        });
+      }
+      else if (notificationId.startsWith(ALERT_NOTIFICATION_PREFIX)) {
+        // Open the opportunities page
+        chrome.tabs.create({ 
+          url: chrome.runtime.getURL('opportunities.html') 
+        });
+      }
+      else if (getReminderOpportunityId(notificationId)) {
+        // Open the opportunities page; the reminder stays in the ledger as sent
+        chrome.notifications.clear(notificationId);
+        chrome.tabs.create({ 
+          url: chrome.runtime.getURL('opportunities.html') 
+        });
+      }
+    });
+    
+    // Snooze and Dismiss buttons on deadline reminders
+    chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+      const opportunityId = getReminderOpportunityId(notificationId);
+      if (!opportunityId) {
+        return;
+      }
+      const action = REMINDER_ACTIONS[buttonIndex] === 'snooze'
+        ? deadlineReminders.snooze(opportunityId)
+        : deadlineReminders.dismiss(opportunityId);
+      action.catch(error => logManager.error('Error updating deadline reminder:', error));
     });
   }
   
@@ -235,75 +388,240 @@ class BackgroundController {
   }
   
   /**
-   * Run scheduled scrape based on settings
+   * Run one platform's scheduled scrape based on settings
+   * @param {string} [platform] - Key of SCRAPE_PLATFORMS
    */
-  async runScheduledScrape() {
-    this.debugLog('runScheduledScrape called');
+  async runScheduledScrape(platform = 'sourcebottle') {
+    this.debugLog('runScheduledScrape called', platform);
     const settings = await storageManager.getSettings();
-    const schedule = settings.schedule || {};
+    const platformSchedule = normalizeSchedule(settings.schedule).platforms[platform];
+    const label = SCRAPE_PLATFORMS[platform].label;
     
     // Only run if explicitly enabled
-    if (!schedule || !schedule.enabled) {
-      logManager.log('Auto-scrape not enabled in settings');
+    if (!platformSchedule.enabled) {
+      logManager.log(`${label} auto-scrape not enabled in settings`);
       return;
     }
     
-    logManager.log('Running scheduled scrape');
+    // Arm the next run first so a failed run doesn't end the schedule
+    await this.armAutoScrapeAlarm(platform, platformSchedule);
     
-    // Get categories to scrape
-    const categories = schedule.categories || ['all'];
+    if (this.isInQuietHours(settings.notifications)) {
+      logManager.log(`In quiet hours, skipping ${label} auto-scrape`);
+      return;
+    }
     
-    // Map category names to IDs
-    const categoryMap = {
-      'Technology': '70',
-      'Business & Finance': '61',
-      'Health & Wellbeing': '64',
-      'Lifestyle, Food & Fashion': '65',
-      'PR, Media & Marketing': '69',
-      'Parenting & Education': '66',
-      'Environment': '62',
-      'Travel & Leisure': '71',
-      'Professional Services': '67',
-      'Property': '68',
-      'General': '63'
-    };
+    logManager.log(`Running scheduled ${label} scrape`);
     
-    // Get the first category ID (will expand this to handle multiple categories in future)
-    let categoryId = '63'; // Default to General
+    // Opens its own background tab, scrapes, closes it and records a summary
+    const run = await scheduledScraper.runPlatform(platform, platformSchedule);
     
-    if (categories.includes('all') || categories.length === 0) {
-      categoryId = '63'; // Use General for 'all'
-    } else {
-      // Find first valid category
-      for (const category of categories) {
-        if (categoryMap[category]) {
-          categoryId = categoryMap[category];
-          break;
+    const opportunities = await storageManager.getOpportunities();
+    chrome.action.setBadgeText({ 
+      text: opportunities.length > 0 ? opportunities.length.toString() : ''
+    });
+    
+    // In digest mode new opportunities wait for the digest instead
+    if (run.totals.inserted > 0 && !normalizeDigestSettings(settings.digest).enabled) {
+      chrome.notifications.create('sourcebottle-new-opportunities', {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: 'Scheduled Scrape Complete',
+        message: `Found ${run.totals.inserted} new ${label} opportunities. Click to view.`,
+        priority: 1
+      });
+    }
+  }
+  
+  /**
+   * Create or clear every platform's auto-scrape alarm from the schedule settings
+   * @param {Object} schedule - Schedule settings
+   * @param {boolean} [onlyMissing] - Keep alarms that are already set (used at startup)
+   */
+  async scheduleAutoScrapeAlarms(schedule, onlyMissing = false) {
+    this.debugLog('scheduleAutoScrapeAlarms called', schedule, onlyMissing);
+    try {
+      const { platforms } = normalizeSchedule(schedule);
+      
+      // Schedules used to share one SourceBottle-only alarm
+      await chrome.alarms.clear(AUTO_SCRAPE_ALARM);
+      
+      for (const [platform, platformSchedule] of Object.entries(platforms)) {
+        if (onlyMissing && platformSchedule.enabled && await chrome.alarms.get(getAlarmName(platform))) {
+          continue;
         }
+        await this.armAutoScrapeAlarm(platform, platformSchedule);
       }
+    } catch (error) {
+      logManager.error('Error scheduling auto-scrape alarms:', error);
     }
+  }
+  
+  /**
+   * Set a platform's alarm for its next scheduled run, or clear it if disabled
+   * @param {string} platform - Key of SCRAPE_PLATFORMS
+   * @param {Object} platformSchedule - The platform's normalized schedule
+   */
+  async armAutoScrapeAlarm(platform, platformSchedule) {
+    const alarmName = getAlarmName(platform);
+    const label = SCRAPE_PLATFORMS[platform].label;
+    await chrome.alarms.clear(alarmName);
     
-    // Open a tab to the category
-    if (this.isInQuietHours(settings.notifications)) {
-      logManager.log('In quiet hours, skipping auto-scrape');
+    if (!platformSchedule.enabled) {
       return;
     }
     
-    logManager.log(`Auto-scraping category: ${categoryId}`);
-    
-    // We'll set allowTabOpen temporarily for this automated action
-    this.allowTabOpen = true;
+    const nextRun = getNextRunTime(platformSchedule);
+    if (!nextRun) {
+      logManager.warn(`${label} auto-scrape has no days selected, not creating alarm`);
+      return;
+    }
     
-    // Open a tab to the category
-    chrome.tabs.create({ 
-      url: `https://www.sourcebottle.com/industry-list-results.asp?industry=${categoryId}`,
-      active: false
-    }, (tab) => {
-      logManager.log(`Opened auto-scrape tab for category ${categoryId}: ${tab.id}`);
-      
-      // Reset the flag
-      this.allowTabOpen = false;
-    });
+    chrome.alarms.create(alarmName, { when: nextRun.getTime() });
+    logManager.log(`${label} auto-scrape alarm set for ${nextRun.toLocaleString()}`);
+  }
+  
+  /**
+   * Create or clear the periodic Google Sheets sync alarm from the sync settings
+   * @param {boolean} [onlyMissing] - Keep the alarm if it is already set (used at startup)
+   */
+  async scheduleSheetsSyncAlarm(onlyMissing = false) {
+    this.debugLog('scheduleSheetsSyncAlarm called', onlyMissing);
+    try {
+      const { webAppUrl, autoSyncMinutes } = await sheetsSync.loadSettings();
+      
+      if (onlyMissing && autoSyncMinutes > 0 && await chrome.alarms.get(SHEETS_SYNC_ALARM)) {
+        return;
+      }
+      await chrome.alarms.clear(SHEETS_SYNC_ALARM);
+      
+      if (webAppUrl && autoSyncMinutes > 0) {
+        chrome.alarms.create(SHEETS_SYNC_ALARM, { periodInMinutes: autoSyncMinutes });
+        logManager.log(`Google Sheets sync alarm set for every ${autoSyncMinutes} minutes`);
+      }
+    } catch (error) {
+      logManager.error('Error scheduling Google Sheets sync alarm:', error);
+    }
+  }
+  
+  /**
+   * Create or clear the digest alarm from the digest settings
+   * @param {Object} [digestSettings] - `settings.digest`
+   * @param {boolean} [onlyMissing] - Keep the alarm if it is already set (used at startup)
+   */
+  async scheduleDigestAlarm(digestSettings, onlyMissing = false) {
+    this.debugLog('scheduleDigestAlarm called', digestSettings, onlyMissing);
+    try {
+      const nextDigest = getNextDigestTime(digestSettings);
+      
+      if (onlyMissing && nextDigest && await chrome.alarms.get(DIGEST_ALARM)) {
+        return;
+      }
+      await chrome.alarms.clear(DIGEST_ALARM);
+      
+      if (nextDigest) {
+        chrome.alarms.create(DIGEST_ALARM, { when: nextDigest.getTime() });
+        logManager.log(`Digest alarm set for ${nextDigest.toLocaleString()}`);
+      }
+    } catch (error) {
+      logManager.error('Error scheduling digest alarm:', error);
+    }
+  }
+  
+  /**
+   * Compile the digest of opportunities found since the last one and notify
+   */
+  async runDigest() {
+    this.debugLog('runDigest called');
+    try {
+      const settings = await storageManager.getSettings();
+      const digestSettings = normalizeDigestSettings(settings.digest);
+      if (!digestSettings.enabled) {
+        return;
+      }
+      
+      // Arm the next digest first so a failed one doesn't end the schedule
+      await this.scheduleDigestAlarm(digestSettings);
+      
+      const digest = await digestManager.createDigest({ frequency: digestSettings.frequency });
+      logManager.log(`Compiled digest with ${digest.count} new opportunities`);
+      
+      if (digest.count > 0) {
+        chrome.notifications.create(digest.id, {
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: getDigestTitle(digest),
+          message: `${digest.count} new ${digest.count === 1 ? 'opportunity' : 'opportunities'} since the last digest. Click to read it.`,
+          priority: 1
+        });
+      }
+    } catch (error) {
+      logManager.error('Error compiling digest:', error);
+    }
+  }
+  
+  /**
+   * Create the periodic deadline reminder alarm if it isn't already set
+   */
+  async scheduleReminderAlarm() {
+    this.debugLog('scheduleReminderAlarm called');
+    try {
+      if (!await chrome.alarms.get(REMINDER_ALARM)) {
+        chrome.alarms.create(REMINDER_ALARM, { periodInMinutes: REMINDER_CHECK_MINUTES });
+      }
+    } catch (error) {
+      logManager.error('Error scheduling deadline reminder alarm:', error);
+    }
+  }
+  
+  /**
+   * Run the queued AI analysis jobs. While a job is active an alarm stays set,
+   * so a service worker stopped mid-job is woken to carry on.
+   */
+  async runAIJobQueue() {
+    this.debugLog('runAIJobQueue called');
+    try {
+      if (!await aiJobQueue.hasActiveJobs()) {
+        await chrome.alarms.clear(AI_JOB_ALARM);
+        return;
+      }
+      if (!await chrome.alarms.get(AI_JOB_ALARM)) {
+        chrome.alarms.create(AI_JOB_ALARM, { periodInMinutes: AI_JOB_CHECK_MINUTES });
+      }
+      
+      await aiJobQueue.run();
+      
+      // Paused jobs are only resumed by the user, so don't keep waking for them
+      const jobs = await aiJobQueue.getJobs();
+      if (!jobs.some(job => job.status === 'queued' || job.status === 'running')) {
+        await chrome.alarms.clear(AI_JOB_ALARM);
+      }
+    } catch (error) {
+      logManager.error('Error running AI analysis jobs:', error);
+    }
+  }
+  
+  /**
+   * Send any deadline reminders that are due, if enabled in settings
+   */
+  async runDeadlineReminders() {
+    this.debugLog('runDeadlineReminders called');
+    try {
+      const { notifications } = await storageManager.getSettings();
+      if (!notifications || !notifications.notifyUrgent) {
+        return;
+      }
+      
+      // Nothing is marked as sent, so the most urgent reminder goes out once quiet hours end
+      if (this.isInQuietHours(notifications)) {
+        logManager.log('In quiet hours, holding deadline reminders');
+        return;
+      }
+      
+      await deadlineReminders.run({ leadTimes: notifications.reminderLeadTimes });
+    } catch (error) {
+      logManager.error('Error sending deadline reminders:', error);
+    }
   }
   
   /**
@@ -434,6 +752,83 @@ class BackgroundController {
     }
   }
   
+  /**
+   * Handle a two-way Google Sheets sync (pull team edits, push local changes)
+   */
+  async handleSyncGoogleSheets(request, sender, sendResponse) {
+    this.debugLog('handleSyncGoogleSheets called', request, sender);
+    try {
+      const result = await integrationsManager.syncGoogleSheets();
+      sendResponse(result);
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
+  /**
+   * Handle a request for the open Google Sheets conflicts (used by the opportunities page)
+   */
+  async handleGetSheetsConflicts(request, sender, sendResponse) {
+    this.debugLog('handleGetSheetsConflicts called', request, sender);
+    try {
+      const conflicts = await sheetsSync.getConflicts();
+      sendResponse({ success: true, conflicts });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message, conflicts: [] });
+    }
+  }
+  
+  /**
+   * Handle settling a Google Sheets conflict by keeping the local or the sheet value
+   */
+  async handleResolveSheetsConflict(request, sender, sendResponse) {
+    this.debugLog('handleResolveSheetsConflict called', request, sender);
+    try {
+      if (!['local', 'sheet'].includes(request.keep)) {
+        throw new Error(`Invalid conflict choice: ${request.keep}`);
+      }
+      
+      const opportunity = await sheetsSync.resolveConflict(request.id, request.field, request.keep);
+      const conflicts = await sheetsSync.getConflicts();
+      sendResponse({ success: true, opportunity, conflicts });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
+  /**
+   * Handle re-arming the Google Sheets sync alarm after its settings change
+   */
+  async handleScheduleSheetsSync(request, sender, sendResponse) {
+    this.debugLog('handleScheduleSheetsSync called', request, sender);
+    try {
+      await this.scheduleSheetsSyncAlarm();
+      sendResponse({ success: true });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
   /**
    * Handle fetching opportunities from SourceBottle
    */
@@ -532,61 +927,8 @@ class BackgroundController {
       settings.schedule = schedule;
       await storageManager.saveSettings(settings);
       
-      // Clear existing alarms
-      chrome.alarms.clear('autoScrape', () => {
-        if (!schedule.enabled) {
-          logManager.log('Auto-scrape disabled, not creating alarm');
-          sendResponse({ success: true });
-          return;
-        }
-        
-        // Parse time into hours and minutes
-        const [hours, minutes] = schedule.time.split(':').map(Number);
-        
-        // Calculate when the next alarm should fire
-        const now = new Date();
-        const scheduledTime = new Date();
-        scheduledTime.setHours(hours, minutes, 0, 0);
-        
-        // If the scheduled time is earlier today, schedule for tomorrow
-        if (scheduledTime < now) {
-          scheduledTime.setDate(scheduledTime.getDate() + 1);
-        }
-        
-        // For custom days, check if the next scheduled day is valid
-        if (schedule.type === 'custom' && schedule.days && schedule.days.length > 0) {
-          const days = schedule.days;
-          const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
-          let daysToAdd = 0;
-          let found = false;
-          
-          while (!found && daysToAdd < 7) {
-            const futureDate = new Date(scheduledTime);
-            futureDate.setDate(futureDate.getDate() + daysToAdd);
-            const dayName = dayNames[futureDate.getDay()];
-            
-            if (days.includes(dayName)) {
-              found = true;
-              // Set to this valid future date
-              scheduledTime.setDate(scheduledTime.getDate() + daysToAdd);
-            } else {
-              daysToAdd++;
-            }
-          }
-        }
-        
-        // Calculate delay in minutes until the next scheduled time
-        const delayInMinutes = Math.max(1, (scheduledTime - now) / (1000 * 60));
-        
-        // Create the alarm
-        chrome.alarms.create('autoScrape', {
-          delayInMinutes: delayInMinutes,
-          periodInMinutes: schedule.type === 'daily' ? 24 * 60 : 7 * 24 * 60 // Daily or weekly
-        });
-        
-        logManager.log(`Auto-scrape alarm set for ${scheduledTime.toLocaleString()}, delay: ${delayInMinutes.toFixed(2)} minutes`);
-        sendResponse({ success: true });
-      });
+      await this.scheduleAutoScrapeAlarms(schedule);
+      sendResponse({ success: true });
     } catch (error) {
       logManager.error('Error in message handler', { 
         action: request?.action || 'unknown',
@@ -623,6 +965,60 @@ class BackgroundController {
     }
   }
   
+  /**
+   * Handle exporting opportunities to Notion (failed pages join the integrations retry queue)
+   */
+  async handleExportToNotion(request, sender, sendResponse) {
+    this.debugLog('handleExportToNotion called', request, sender);
+    try {
+      const result = await integrationsManager.exportToNotion(request.opportunities);
+      sendResponse(result);
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
+  /**
+   * Handle exporting opportunities to Airtable (failed batches join the integrations retry queue)
+   */
+  async handleExportToAirtable(request, sender, sendResponse) {
+    this.debugLog('handleExportToAirtable called', request, sender);
+    try {
+      const result = await integrationsManager.exportToAirtable(request.opportunities);
+      sendResponse(result);
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
+  /**
+   * Handle a digest settings change from the settings page
+   */
+  async handleScheduleDigest(request, sender, sendResponse) {
+    this.debugLog('handleScheduleDigest called', request, sender);
+    try {
+      await this.scheduleDigestAlarm(request.digest);
+      sendResponse({ success: true });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
   /**
    * Handle opportunities extracted from SourceBottle
    */
@@ -639,13 +1035,8 @@ class BackgroundController {
       logManager.log(`Received ${opportunities.length} extracted opportunities`);
       
       // Save the opportunities to storage
-      const updatedOpportunities = await storageManager.saveOpportunities(opportunities);
-      
-      // Update badge with count and set color
-      chrome.action.setBadgeText({ 
-        text: updatedOpportunities.length > 0 ? updatedOpportunities.length.toString() : ''
-      });
-      chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' }); // Green color
+      await this.saveOpportunities(opportunities);
+      const updatedOpportunities = await storageManager.getOpportunities();
       
       // Play notification sound by sending message to the opportunities page
       chrome.runtime.sendMessage({
@@ -654,15 +1045,18 @@ class BackgroundController {
         total: updatedOpportunities.length
       });
       
-      // Show notification about new opportunities
-      chrome.notifications.create('sourcebottle-new-opportunities', {
-        type: 'basic',
-        iconUrl: 'icons/icon128.png',
-        title: 'Scraping Complete',
-        message: `Found ${opportunities.length} new opportunities (${updatedOpportunities.length} total). Click to view.`,
-        priority: 2,
-        requireInteraction: true  // Keep notification visible until user interacts with it
-      });
+      // Show notification about new opportunities, unless they wait for the digest
+      const settings = await storageManager.getSettings();
+      if (!normalizeDigestSettings(settings.digest).enabled) {
+        chrome.notifications.create('sourcebottle-new-opportunities', {
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: 'Scraping Complete',
+          message: `Found ${opportunities.length} new opportunities (${updatedOpportunities.length} total). Click to view.`,
+          priority: 2,
+          requireInteraction: true  // Keep notification visible until user interacts with it
+        });
+      }
       
       // If this was triggered by a tab opening, also open the popup
       if (request.count) {
@@ -704,6 +1098,295 @@ class BackgroundController {
     }
   }
   
+  /**
+   * Save scraped opportunities and act on the ones seen for the first time:
+   * check them against the alert rules and send them to 'new' webhooks.
+   * Extracted, content-script and scheduled scrapes all save through here.
+   * @param {Object[]} opportunities - Opportunities to upsert
+   * @returns {Promise<Object>} Summary as returned by storageManager.upsertOpportunities
+   */
+  async saveOpportunities(opportunities) {
+    const summary = await storageManager.upsertOpportunities(opportunities);
+    if (summary.inserted > 0) {
+      // Green until an alert rule colors it
+      chrome.action.setBadgeText({ text: summary.total.toString() });
+      chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
+    }
+    await this.runAlertRules(summary.insertedRecords);
+    this.sendWebhookEvent('new', summary.insertedRecords);
+    return summary;
+  }
+  
+  /**
+   * Check newly seen opportunities against the saved alert rules. Each rule
+   * that matches is logged and notified on its own; the first one sets the
+   * badge color.
+   * @param {Object[]} [opportunities] - Opportunities stored for the first time
+   */
+  async runAlertRules(opportunities) {
+    this.debugLog('runAlertRules called', opportunities?.length);
+    if (!opportunities || opportunities.length === 0) {
+      return;
+    }
+    try {
+      const rules = await alertRuleManager.getRules();
+      if (!rules.some(rule => rule.enabled)) {
+        return;
+      }
+      
+      if (Object.keys(keywordManager.getAllGroups()).length === 0) {
+        await keywordManager.initialize();
+      }
+      const matches = evaluateAlertRules(rules, opportunities, { keywordGroups: keywordManager.getAllGroups() });
+      if (matches.length === 0) {
+        return;
+      }
+      
+      const settings = await storageManager.getSettings();
+      const quiet = this.isInQuietHours(settings.notifications);
+      
+      matches.forEach(({ rule, opportunities: matched }) => {
+        logManager.log(`Alert rule "${rule.name}" matched ${matched.length} new opportunities`, {
+          ruleId: rule.id,
+          opportunityIds: matched.map(opportunity => opportunity.id)
+        });
+        this.sendWebhookEvent('matched-rule', matched, { rule });
+        
+        if (quiet) {
+          return;
+        }
+        const first = matched[0].title || matched[0].question || 'Untitled opportunity';
+        chrome.notifications.create(`${ALERT_NOTIFICATION_PREFIX}${rule.id}`, {
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: `Alert: ${rule.name}`,
+          message: matched.length === 1 ? first : `${first} and ${matched.length - 1} more. Click to view.`,
+          priority: 2
+        });
+      });
+      
+      chrome.action.setBadgeBackgroundColor({ color: matches[0].rule.badgeColor });
+    } catch (error) {
+      logManager.error('Error running alert rules:', error);
+    }
+  }
+  
+  /**
+   * Post an event to the subscribed webhooks without holding up the caller;
+   * failed deliveries retry on their own and every attempt is logged
+   * @param {string} event - 'new', 'matched-rule' or 'status-changed'
+   * @param {Array} opportunities - Opportunities the event is about
+   * @param {Object} [details] - {rule} or {status}
+   */
+  sendWebhookEvent(event, opportunities, details) {
+    if (!opportunities || opportunities.length === 0) {
+      return;
+    }
+    integrationsManager.sendWebhookEvent(event, opportunities, details).then(result => {
+      if (!result.success && result.error) {
+        logManager.error(`Webhook ${event} failed:`, result.error);
+      }
+    });
+  }
+  
+  /**
+   * Handle opportunities scraped by a content script.
+   * Content scripts can't reach the extension's IndexedDB, so they hand their
+   * results to the background, which upserts them into the opportunity store.
+   */
+  async handleSaveOpportunities(request, sender, sendResponse) {
+    this.debugLog('handleSaveOpportunities called', request, sender);
+    try {
+      const opportunities = request.opportunities;
+      
+      if (!Array.isArray(opportunities) || opportunities.length === 0) {
+        sendResponse({ success: false, error: 'No opportunities to save' });
+        return;
+      }
+      
+      const summary = await this.saveOpportunities(opportunities);
+      
+      // A scheduled Featured/Qwoted run is waiting on this tab's result
+      if (sender.tab) {
+        scheduledScraper.handleTabSave(sender.tab.id, summary);
+      }
+      
+      logManager.log(`Saved ${opportunities.length} opportunities from ${request.source || 'unknown source'}`, {
+        inserted: summary.inserted,
+        updated: summary.updated,
+        unchanged: summary.unchanged
+      });
+      
+      sendResponse({
+        success: true,
+        inserted: summary.inserted,
+        updated: summary.updated,
+        unchanged: summary.unchanged,
+        skipped: summary.skipped,
+        total: summary.total
+      });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
+  /**
+   * Handle a request for all stored opportunities (used by classic-script pages)
+   */
+  async handleGetOpportunities(request, sender, sendResponse) {
+    this.debugLog('handleGetOpportunities called', request, sender);
+    try {
+      const opportunities = request.source
+        ? await storageManager.getOpportunitiesBySource(request.source)
+        : await storageManager.getOpportunities();
+      
+      sendResponse({ success: true, opportunities });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message, opportunities: [] });
+    }
+  }
+  
+  /**
+   * Handle a pipeline stage change for one opportunity (request.id, request.status, request.note)
+   */
+  async handleUpdateOpportunityStatus(request, sender, sendResponse) {
+    this.debugLog('handleUpdateOpportunityStatus called', request, sender);
+    try {
+      const opportunity = await storageManager.updateOpportunityStatus(request.id, request.status, request.note);
+      const { from } = opportunity.statusHistory[opportunity.statusHistory.length - 1];
+      this.sendWebhookEvent('status-changed', [opportunity], { status: { from, to: opportunity.status } });
+      sendResponse({ success: true, opportunity });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
+  /**
+   * Handle a request for per-stage pipeline counts (used by the popup)
+   */
+  async handleGetPipelineCounts(request, sender, sendResponse) {
+    this.debugLog('handleGetPipelineCounts called', request, sender);
+    try {
+      const counts = await storageManager.getPipelineCounts();
+      sendResponse({ success: true, counts });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message, counts: {} });
+    }
+  }
+  
+  /**
+   * Handle a request for the scheduled scrape run summaries, newest first (used by the popup)
+   */
+  async handleGetScheduledScrapeRuns(request, sender, sendResponse) {
+    this.debugLog('handleGetScheduledScrapeRuns called', request, sender);
+    try {
+      const runs = await scheduledScraper.getRuns();
+      sendResponse({ success: true, runs });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message, runs: [] });
+    }
+  }
+  
+  /**
+   * Queue batch AI analysis of opportunities and start the queue
+   * @param {Object} request - {opportunities: [{id, title, aiProcessed}], concurrency?, reanalyze?}
+   * @param {Object} sender - Message sender
+   * @param {Function} sendResponse - Function to send response
+   */
+  async handleStartAIJob(request, sender, sendResponse) {
+    this.debugLog('handleStartAIJob called', request, sender);
+    try {
+      const job = await aiJobQueue.createJob(request.opportunities, {
+        concurrency: request.concurrency,
+        reanalyze: request.reanalyze
+      });
+      sendResponse({ success: true, job });
+      this.runAIJobQueue();
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
+  /**
+   * Handle request for the AI analysis jobs, newest first
+   * @param {Object} request - Request object
+   * @param {Object} sender - Message sender
+   * @param {Function} sendResponse - Function to send response
+   */
+  async handleGetAIJobs(request, sender, sendResponse) {
+    this.debugLog('handleGetAIJobs called', request, sender);
+    try {
+      const jobs = await aiJobQueue.getJobs();
+      sendResponse({ success: true, jobs });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message, jobs: [] });
+    }
+  }
+  
+  /**
+   * Pause, resume or cancel an AI analysis job
+   * @param {Object} request - {action: 'pauseAIJob' | 'resumeAIJob' | 'cancelAIJob', jobId}
+   * @param {Object} sender - Message sender
+   * @param {Function} sendResponse - Function to send response
+   */
+  async handleControlAIJob(request, sender, sendResponse) {
+    this.debugLog('handleControlAIJob called', request, sender);
+    try {
+      let job;
+      if (request.action === 'pauseAIJob') {
+        job = await aiJobQueue.pauseJob(request.jobId);
+      } else if (request.action === 'resumeAIJob') {
+        job = await aiJobQueue.resumeJob(request.jobId);
+        this.runAIJobQueue();
+      } else {
+        job = await aiJobQueue.cancelJob(request.jobId);
+      }
+      sendResponse({ success: true, job });
+    } catch (error) {
+      logManager.error('Error in message handler', { 
+        action: request?.action || 'unknown',
+        error: error.message,
+        stack: error.stack
+      });
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  
   /**
    * Handle extracting from all SourceBottle tabs
    */
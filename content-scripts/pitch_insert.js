@@ -0,0 +1,80 @@
+/**
+ * Pitch Insert
+ *
+ * Injected alongside each platform's content scripts. When the background
+ * sends an insertPitch request, puts the pitch into the page's response form:
+ * the focused text box if there is one, otherwise the largest visible one.
+ */
+
+/**
+ * Whether an element is a text box the user could type a response into
+ * @param {Element} element - Element to check
+ * @returns {boolean}
+ */
+function isResponseField(element) {
+  if (!element || element.disabled || element.readOnly) {
+    return false;
+  }
+  return element.tagName === 'TEXTAREA' || element.isContentEditable;
+}
+
+/**
+ * Find the text box the pitch should go into
+ * @returns {Element|null}
+ */
+function findResponseField() {
+  if (isResponseField(document.activeElement)) {
+    return document.activeElement;
+  }
+
+  const area = element => {
+    const rect = element.getBoundingClientRect();
+    return rect.width * rect.height;
+  };
+  const candidates = [...document.querySelectorAll('textarea, [contenteditable="true"]')]
+    .filter(element => isResponseField(element) && area(element) > 0);
+  return candidates.sort((a, b) => area(b) - area(a))[0] || null;
+}
+
+/**
+ * Put text into a field the way typing would, so the page's own form code sees the change
+ * @param {Element} field - Textarea or contenteditable element
+ * @param {string} text - Text to insert
+ */
+function fillResponseField(field, text) {
+  field.focus();
+  if (field.tagName === 'TEXTAREA') {
+    // Frameworks such as React track the value through the prototype setter
+    const setter = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set;
+    setter.call(field, text);
+  } else {
+    field.textContent = text;
+  }
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+  field.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action !== 'insertPitch') {
+    return false;
+  }
+
+  try {
+    const field = findResponseField();
+    if (!field) {
+      sendResponse({ success: false, error: 'No response box found on the page; open the response form first' });
+      return false;
+    }
+    if (field.maxLength > 0 && request.text.length > field.maxLength) {
+      sendResponse({ success: false, error: `The response box takes at most ${field.maxLength} characters; this pitch has ${request.text.length}` });
+      return false;
+    }
+
+    fillResponseField(field, request.text);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('[PITCH INSERT] Error inserting pitch:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+  return false;
+});
@@ -79,92 +79,45 @@ window.addEventListener('message', function(event) {
         
       case 'SAVE_OPPORTUNITIES':
         try {
-          const { opportunities, storageKey } = data;
+          const { opportunities } = data;
+          const scrapedAt = new Date().toISOString();
           
-          // Load existing opportunities
-          chrome.storage.local.get([storageKey, 'opportunities'], (result) => {
-            if (chrome.runtime.lastError) {
-              console.error('💬 [QWOTED BRIDGE] Storage get error:', chrome.runtime.lastError);
+          // Hand the scrape to the background, which upserts each record into the opportunity store
+          chrome.runtime.sendMessage({
+            action: 'saveOpportunities',
+            source: 'Qwoted',
+            opportunities: opportunities.map(opp => ({
+              ...opp,
+              source: 'Qwoted',
+              platform: 'qwoted',
+              scrapedAt: opp.scrapedAt || scrapedAt
+            }))
+          }, (response) => {
+            const error = chrome.runtime.lastError?.message || (!response?.success && (response?.error || 'No response from background'));
+            
+            if (error) {
+              console.error('💬 [QWOTED BRIDGE] Error saving opportunities:', error);
               window.postMessage({
                 type: 'QWOTED_BRIDGE_RESPONSE',
                 requestId: requestId,
                 success: false,
-                error: chrome.runtime.lastError.message
+                error: error
               }, window.location.origin);
               return;
             }
             
-            // Get existing opportunities
-            const existingPlatform = result[storageKey] || [];
-            const allOpportunities = result.opportunities || [];
-            
-            // Create unique opportunities with proper IDs
-            const newOpportunities = opportunities.map(opp => ({
-              ...opp,
-              id: `qwoted-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
-              source: 'Qwoted',
-              platform: 'qwoted',
-              timestamp: new Date().toISOString(),
-              scrapedAt: new Date().toISOString()
-            }));
-            
-            // Filter out duplicates based on title and URL
-            const existingTitles = new Set();
-            [...existingPlatform, ...allOpportunities].forEach(opp => {
-              if (opp.title && opp.url) {
-                existingTitles.add(`${opp.title}|${opp.url}`);
-              }
-            });
-            
-            const uniqueOpportunities = newOpportunities.filter(opp => {
-              const key = `${opp.title}|${opp.url}`;
-              return !existingTitles.has(key);
-            });
-            
-            // Combine with existing (limit to prevent storage bloat)
-            const MAX_STORED_OPPORTUNITIES = 100;
-            const updatedPlatform = [...uniqueOpportunities, ...existingPlatform].slice(0, MAX_STORED_OPPORTUNITIES);
-            
-            // Also merge with main opportunities collection
-            const updatedAll = [...uniqueOpportunities, ...allOpportunities];
-            const MAX_GLOBAL_OPPORTUNITIES = 200;
-            const trimmedAll = updatedAll.slice(0, MAX_GLOBAL_OPPORTUNITIES);
-            
-            // Save to storage
-            chrome.storage.local.set({
-              [storageKey]: updatedPlatform,
-              'opportunities': trimmedAll
-            }, () => {
-              if (chrome.runtime.lastError) {
-                console.error('💬 [QWOTED BRIDGE] Storage set error:', chrome.runtime.lastError);
-                window.postMessage({
-                  type: 'QWOTED_BRIDGE_RESPONSE',
-                  requestId: requestId,
-                  success: false,
-                  error: chrome.runtime.lastError.message
-                }, window.location.origin);
-              } else {
-                console.log(`💬 [QWOTED BRIDGE] Saved ${uniqueOpportunities.length} new opportunities to storage`);
-                window.postMessage({
-                  type: 'QWOTED_BRIDGE_RESPONSE',
-                  requestId: requestId,
-                  success: true,
-                  data: { 
-                    saved: uniqueOpportunities.length,
-                    total: updatedPlatform.length
-                  }
-                }, window.location.origin);
-                
-                // Send notification to background script
-                if (uniqueOpportunities.length > 0) {
-                  chrome.runtime.sendMessage({
-                    action: 'newOpportunitiesAvailable',
-                    source: 'Qwoted',
-                    count: uniqueOpportunities.length
-                  });
-                }
+            console.log(`💬 [QWOTED BRIDGE] Saved opportunities: ${response.inserted} new, ${response.updated} updated, ${response.unchanged} unchanged`);
+            window.postMessage({
+              type: 'QWOTED_BRIDGE_RESPONSE',
+              requestId: requestId,
+              success: true,
+              data: {
+                inserted: response.inserted,
+                updated: response.updated,
+                unchanged: response.unchanged,
+                total: response.total
               }
-            });
+            }, window.location.origin);
           });
         } catch (error) {
           console.error('💬 [QWOTED BRIDGE] Error saving opportunities:', error);
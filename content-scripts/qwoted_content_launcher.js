@@ -123,6 +123,9 @@ function bridgeRequest(action, data) {
   });
 }
 
+// Injected MAIN-world scrapers persist through the bridge as well
+window.qwotedBridgeRequest = bridgeRequest;
+
 // Function to inject the scrapers registry first
 function injectScrapersRegistry() {
   return new Promise(async (resolve) => {
@@ -315,16 +318,21 @@ function injectScraperScript() {
           try {
             const opportunities = [];
             const cards = document.querySelectorAll('.source-request-card');
-            cards.forEach((card, index) => {
+            cards.forEach((card) => {
               try {
-                const title = card.querySelector('h6 a')?.textContent.trim() || 'No title';
-                const url = card.querySelector('h6 a')?.href || window.location.href;
+                const link = card.querySelector('h6 a');
+                const title = link?.textContent.trim() || 'No title';
+                const url = link?.href || window.location.href;
                 const description = card.querySelector('.font-size-12px')?.textContent.trim() || 'No description';
+                const deadline = card.querySelector('.source-request-deadline')?.textContent.trim() || '';
                 opportunities.push({
-                  id: 'qwoted-' + Date.now() + '-' + index,
+                  // Same derivation as the Qwoted scraper: the request link, else the card's content
+                  externalId: window.opportunityIds.createOpportunityId('qwoted', { url: link?.href, content: [title, description] }),
                   title,
                   url,
                   description,
+                  deadline,
+                  ...window.opportunityDeadlines.normalizeDeadline({ deadline }, 'qwoted'),
                   platform: 'qwoted',
                   timestamp: new Date().toISOString(),
                 });
@@ -339,11 +347,10 @@ function injectScraperScript() {
             if (opportunities.length > 0) {
               try {
                 const result = await bridgeRequest('SAVE_OPPORTUNITIES', {
-                  opportunities: opportunities,
-                  storageKey: 'qwotedOpportunities'
+                  opportunities: opportunities
                 });
                 console.log('[QWOTED] Opportunities saved to storage:', result);
-                this.showStatusPopup('Qwoted: Saved ' + result.saved + ' new opportunities!', true);
+                this.showStatusPopup('Qwoted: Saved ' + result.inserted + ' new opportunities!', true);
               } catch (error) {
                 console.error('[QWOTED] Error saving opportunities:', error);
                 this.showStatusPopup('Qwoted: Error saving opportunities', true);
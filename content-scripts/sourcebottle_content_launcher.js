@@ -367,11 +367,38 @@ if (document.readyState === 'interactive' || document.readyState === 'complete')
   initializeScraper();
 }
 
+// Let the background extract the current page on demand (scheduled and category scrapes)
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action !== 'extractSourceBottleOpportunities') {
+    return false;
+  }
+  
+  try {
+    const opportunities = tagSourceBottleOpportunities(extractOpportunitiesFromPage(null));
+    sendResponse({
+      success: true,
+      opportunities,
+      page: getCurrentPageNumber(),
+      totalPages: detectPagination()
+    });
+  } catch (error) {
+    console.error('📢 [SOURCEBOTTLE] Error extracting on request:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+  return false;
+});
+
 /**
  * Initialize the scraper with direct implementation (CSP-compliant)
  */
 async function initializeScraper() {
   try {
+    // Scheduled runs drive this tab from the background and save what they ask for
+    if (window.location.hash === '#scheduled-scrape') {
+      console.log('📢 [SOURCEBOTTLE] Scheduled scrape tab, waiting for extract request');
+      return;
+    }
+    
     console.log('Initializing SourceBottle scraper...');
     
     // Create our own progress toggle for visual feedback
@@ -491,7 +518,7 @@ function extractOpportunitiesFromPage(progressToggle) {
             progressToggle.updateProgress(progressPercent);
           }
           
-          const opportunity = extractOpportunityFromDiv(resultDiv, index, currentUrl);
+          const opportunity = extractOpportunityFromDiv(resultDiv, currentUrl);
           if (opportunity) {
             pageOpportunities.push(opportunity);
             console.log(`📢 [SOURCEBOTTLE] Extracted opportunity: ${opportunity.title}`);
@@ -559,11 +586,10 @@ function extractOpportunitiesFromPage(progressToggle) {
 /**
  * Extract opportunity from a result div
  * @param {Element} resultDiv - The div containing the opportunity
- * @param {number} index - Index for generating unique IDs
  * @param {string} currentUrl - Current page URL for context
  * @returns {Object|null} Opportunity object or null if invalid
  */
-function extractOpportunityFromDiv(resultDiv, index, currentUrl) {
+function extractOpportunityFromDiv(resultDiv, currentUrl) {
   try {
     // Extract title and link
     const titleElement = resultDiv.querySelector('h4 a');
@@ -639,19 +665,24 @@ function extractOpportunityFromDiv(resultDiv, index, currentUrl) {
       }
     }
     
+    // The query link (query.asp?iqid=...) is SourceBottle's own id; fall back to a content hash
+    const externalId = url.split('/').pop() ||
+      window.opportunityIds.createOpportunityId('sourcebottle', { content: [title, publication, description] });
+    
     // Create opportunity object
     const opportunity = {
-      id: `sb-${Date.now()}-${index}`,
+      id: externalId,
       title: title,
       description: description,
       url: url,
       deadline: deadline,
+      ...window.opportunityDeadlines.normalizeDeadline({ deadline }, 'sourcebottle'),
       category: category,
       source: 'sourcebottle',
       publication: publication || '', // Add media outlet/publication
       journalist: journalist || '', // Add journalist info
       dateAdded: new Date().toISOString(),
-      externalId: url.split('/').pop() || `sb-${Math.random().toString(36).substr(2, 9)}`
+      externalId: externalId
     };
     
     return opportunity;
@@ -845,95 +876,53 @@ function getNextPageUrl(currentUrl, currentPage) {
 }
 
 /**
- * Save opportunities to storage
+ * Key each opportunity by its SourceBottle id so a rescrape updates it in place
+ * @param {Array} opportunities - Extracted opportunities
+ * @returns {Array} Opportunities tagged with their source
+ */
+function tagSourceBottleOpportunities(opportunities) {
+  return opportunities.map(opp => ({
+    ...opp,
+    source: 'SourceBottle',
+    id: opp.externalId || opp.id
+  }));
+}
+
+/**
+ * Save opportunities to the unified opportunity store.
+ * Content scripts can't reach the extension's IndexedDB, so the background
+ * upserts each opportunity on our behalf.
  * @param {Array} opportunities - Array of opportunities to save
  * @param {Object} progressToggle - Progress toggle UI object
  */
 async function saveOpportunities(opportunities, progressToggle) {
   try {
-    // Load existing opportunities
+    const sourceTaggedOpportunities = tagSourceBottleOpportunities(opportunities);
+    
     /* global chrome */
-    chrome.storage.local.get(['sourceBottleOpportunities', 'opportunities'], function(result) {
-      // Get existing opportunities
-      const existingSourceBottle = result.sourceBottleOpportunities || [];
-      const allOpportunities = result.opportunities || [];
-      
-      // Map the new opportunities to add source field
-      const sourceTaggedOpportunities = opportunities.map(opp => ({
-        ...opp,
+    const response = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        action: 'saveOpportunities',
         source: 'SourceBottle',
-        id: opp.externalId || `sb-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`
-      }));
-      
-      // Create a map of existing opportunities by ID for quick lookup
-      const existingIds = new Set();
-      existingSourceBottle.forEach(opp => {
-        if (opp.externalId) existingIds.add(opp.externalId);
-        if (opp.id) existingIds.add(opp.id);
-      });
-      
-      // Filter out duplicates with more detailed logging
-      const newOpportunities = [];
-      
-      // Log some existing IDs for debugging
-      console.log(`📢 [SOURCEBOTTLE] Found ${existingIds.size} existing IDs in storage`);
-      
-      // Create an array with timestamp to force uniqueness
-      sourceTaggedOpportunities.forEach(opp => {
-        // Ensure each opportunity has a unique timestamp-based ID
-        const uniqueId = `sb-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
-        
-        // Create a fresh opportunity object with the unique ID
-        const freshOpp = {
-          ...opp,
-          id: uniqueId,
-          source: 'SourceBottle',
-          timestamp: new Date().toISOString()
-        };
-        
-        // Add to new opportunities
-        newOpportunities.push(freshOpp);
-        console.log(`📢 [SOURCEBOTTLE] Adding unique opportunity: ${opp.title}`);
-      });
-      
-      console.log(`📢 [SOURCEBOTTLE] Created ${newOpportunities.length} unique opportunities`);
-      
-      // Combine existing and new opportunities (add new ones to the beginning)
-      // Also limit total number of stored opportunities to prevent storage bloat
-      const MAX_STORED_OPPORTUNITIES = 100;
-      const updatedSourceBottle = [...newOpportunities, ...existingSourceBottle].slice(0, MAX_STORED_OPPORTUNITIES);
-      
-      // Save to storage
-      chrome.storage.local.set({
-        'sourceBottleOpportunities': updatedSourceBottle
-      }, function() {
-        console.log(`📢 [SOURCEBOTTLE] Saved ${newOpportunities.length} new opportunities to storage`);
-        
-        // Update notification with success but don't auto-hide
-        if (progressToggle) {
-          progressToggle.update(`✅ Saved ${newOpportunities.length} new opportunities`, 100, newOpportunities.length);
-          // No auto-hide timeout - let user dismiss manually
+        opportunities: sourceTaggedOpportunities
+      }, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!result || !result.success) {
+          reject(new Error(result?.error || 'No response from background'));
+        } else {
+          resolve(result);
         }
       });
-      
-      // Also merge with main opportunities collection (global opportunities)
-      // Use the same newOpportunities we created above with unique IDs
-      
-      // Add newOpportunities to the beginning of all opportunities
-      const updatedAll = [...newOpportunities, ...allOpportunities];
-      
-      // Limit total to prevent storage bloat
-      const MAX_GLOBAL_OPPORTUNITIES = 200;
-      const trimmedAll = updatedAll.slice(0, MAX_GLOBAL_OPPORTUNITIES);
-        
-      // Save SourceBottle opportunities separately for easier filtering
-      /* global chrome */
-      chrome.storage.local.set({
-        'opportunities': trimmedAll
-      }, function() {
-        console.log(`📢 [SOURCEBOTTLE] Added ${newOpportunities.length} new opportunities to global collection`);
-      });
     });
+    
+    console.log(`📢 [SOURCEBOTTLE] Saved opportunities: ${response.inserted} new, ${response.updated} updated, ${response.unchanged} unchanged`);
+    
+    // Update notification with success but don't auto-hide
+    if (progressToggle) {
+      progressToggle.update(`✅ Saved ${response.inserted} new opportunities`, 100, response.inserted);
+      // No auto-hide timeout - let user dismiss manually
+    }
   } catch (error) {
     console.error('📢 [SOURCEBOTTLE] Error saving opportunities to storage:', error);
     
@@ -5,6 +5,9 @@
  */
 import { explainInvisibility, logDroppedOpportunity } from '../utils/debug.js';
 import { REQUIRED_FIELDS, ARRAY_FIELDS, DEFAULT_VALUES } from '../models/Opportunity.js';
+import '../scrapers/opportunity-deadline.js';
+
+const { normalizeDeadline } = globalThis.opportunityDeadlines;
 
 /**
  * Normalizes an opportunity from a specific platform into a standard format
@@ -60,8 +63,38 @@ export function normalizeOpportunity(item, platform) {
     normalized.category = item.category || 'General';
     normalized.mediaOutlet = item.mediaOutlet || 'SourceBottle';
   }
+  else if (platform === 'import' || platform === 'manual') {
+    // Entered by hand or mapped from an imported file, so fields already have
+    // the model's names; values may be numbers or unquoted text
+    normalized.title = String(item.title ?? '').trim() || null;
+    normalized.description = String(item.description ?? '').trim() || null;
+    normalized.url = String(item.url ?? '').trim() || null;
+    normalized.deadline = item.deadline || null;
+    normalized.postedTime = item.postedTime || null;
+    normalized.tags = Array.isArray(item.tags)
+      ? item.tags
+      : String(item.tags ?? '').split(/[,;]/).map(tag => tag.trim()).filter(Boolean);
+    normalized.externalId = item.externalId ? String(item.externalId) : null;
+    normalized.category = item.category || 'General';
+    normalized.mediaOutlet = item.mediaOutlet || null;
+    if (item.journalist) {
+      normalized.journalist = item.journalist;
+    }
+    if (item.notes) {
+      normalized.notes = item.notes;
+    }
+  }
   // Add other platforms as needed
 
+  // Scrapers normalize the deadline as they scrape; anything else is normalized here
+  if (typeof item.deadlineAt !== 'undefined') {
+    normalized.deadlineAt = item.deadlineAt;
+    normalized.deadlineTimezone = item.deadlineTimezone;
+    normalized.deadlineConfidence = item.deadlineConfidence;
+  } else {
+    Object.assign(normalized, normalizeDeadline(normalized, platform));
+  }
+
   return normalized;
 }
 
@@ -3,6 +3,9 @@
  * Provides advanced AI functionality for opportunity analysis
  */
 
+import { promptTemplateManager, renderPrompt } from './promptTemplates.js';
+import { describePitchStyle, getPitchPlatform } from './pitchWorkspace.js';
+
 // This module enhances the basic AI service with additional capabilities
 const aiEnhancements = {
   initialized: false,
@@ -32,45 +35,27 @@ const aiEnhancements = {
   /**
    * Generate a personalized pitch template based on the opportunity
    * @param {Object} opportunity - The opportunity to generate a pitch for
+   * @param {Object} [options]
+   * @param {string} [options.expertId] - Expert profile to pitch as (defaults to the best match)
+   * @param {string} [options.tone] - Key from PITCH_TONES
+   * @param {string} [options.length] - Key from PITCH_LENGTHS
    * @returns {Promise<Object>} - The generated pitch template
    */
-  async generatePitchTemplate(opportunity) {
+  async generatePitchTemplate(opportunity, { expertId = null, tone, length } = {}) {
     if (!this.initialized || !this.aiService) {
       throw new Error('AI Enhancements not initialized');
     }
 
     try {
-      const systemPrompt = 'You are an expert PR professional helping to create pitch templates for journalists.';
-      const userPrompt = `
-Create a personalized pitch template for the following opportunity:
-
-Title: ${opportunity.title || 'N/A'}
-Description: ${opportunity.description || 'N/A'}
-Media Outlet: ${opportunity.mediaOutlet || 'N/A'}
-Deadline: ${opportunity.deadline || 'N/A'}
-Category: ${opportunity.category || 'N/A'}
-
-Generate a structured pitch template with:
-1. A compelling subject line (limited to 50-60 characters)
-2. Personalized greeting
-3. Brief introduction paragraph (2-3 sentences)
-4. Main pitch content (3-4 bullet points of key messaging)
-5. Call-to-action
-6. Professional sign-off
-
-Format your response as a JSON object with the following structure:
-{
-  "subject_line": "Your subject line here",
-  "greeting": "Personalized greeting",
-  "introduction": "Introduction paragraph",
-  "key_points": ["Point 1", "Point 2", "Point 3"],
-  "call_to_action": "Call to action text",
-  "sign_off": "Professional sign-off"
-}
-`;
+      // Both prompts are editable in settings; the pitch one is written for the chosen expert
+      const templates = await promptTemplateManager.getTemplates();
+      const expert = await this.aiService._getExpertForPrompt(opportunity, expertId);
+      const systemPrompt = templates.system;
+      const style = describePitchStyle({ tone, length, maxChars: getPitchPlatform(opportunity).maxChars });
+      const userPrompt = renderPrompt(templates, 'pitch', opportunity, expert, style);
 
-      const response = await this._makeAIRequest(systemPrompt, userPrompt);
-      return this._parsePitchTemplateResponse(response);
+      const response = await this._makeAIRequest(systemPrompt, userPrompt, 'pitch');
+      return { ...this._parsePitchTemplateResponse(response), expert_id: expert?.id || null, expert_name: expert?.name || null };
     } catch (error) {
       console.error('Error generating pitch template:', error);
       return {
@@ -115,7 +100,7 @@ Format your response as a JSON object with the following structure:
 }
 `;
 
-      const response = await this._makeAIRequest(systemPrompt, userPrompt);
+      const response = await this._makeAIRequest(systemPrompt, userPrompt, 'competitive-analysis');
       return this._parseCompetitiveAnalysisResponse(response);
     } catch (error) {
       console.error('Error generating competitive analysis:', error);
@@ -165,7 +150,7 @@ Format your response as a JSON object with the following structure:
 }
 `;
 
-      const response = await this._makeAIRequest(systemPrompt, userPrompt);
+      const response = await this._makeAIRequest(systemPrompt, userPrompt, 'actionable-summary');
       return this._parseActionableSummaryResponse(response);
     } catch (error) {
       console.error('Error generating actionable summary:', error);
@@ -178,9 +163,12 @@ Format your response as a JSON object with the following structure:
 
   /**
    * Make a request to the AI service
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @param {string} promptType - Prompt type the request's token usage is recorded under
    * @private
    */
-  async _makeAIRequest(systemPrompt, userPrompt) {
+  async _makeAIRequest(systemPrompt, userPrompt, promptType) {
     try {
       // Use the existing AI service to make the request
       const result = await this.aiService._post({
@@ -190,7 +178,7 @@ Format your response as a JSON object with the following structure:
         ],
         temperature: 0.7,
         max_tokens: 1000,
-      });
+      }, 3, promptType);
 
       return result?.choices?.[0]?.message?.content || '';
     } catch (error) {
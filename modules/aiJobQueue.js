@@ -0,0 +1,509 @@
+/**
+ * AI Job Queue - Batch AI analysis that runs in the background service worker
+ *
+ * Each "Analyze with AI" request becomes a job: one item per opportunity,
+ * each pending, running, done, failed, skipped or cancelled. Jobs run one at
+ * a time, a few items at once, and can be paused, resumed and cancelled.
+ * Every change is checkpointed to chrome.storage.local, so a service worker
+ * restart picks the job up again (items that were mid-analysis are retried).
+ * Results are saved straight onto the opportunities, and each change is
+ * broadcast as an aiJobProgress message for the popup and opportunities page.
+ * A job pauses itself when the daily or monthly AI budget is used up, leaving
+ * the rest of its items pending until it is resumed.
+ */
+import { storageManager } from './storage.js';
+import { aiService } from './aiService.js';
+import { aiUsageTracker } from './aiUsage.js';
+
+/**
+ * Storage key for the jobs, oldest first
+ * @type {string}
+ */
+export const AI_JOBS_KEY = 'aiJobs';
+
+/**
+ * Alarm that restarts the queue if the service worker was stopped mid-job
+ * @type {string}
+ */
+export const AI_JOB_ALARM = 'aiJobQueue';
+
+/**
+ * How often the restart alarm fires while a job is active (minutes)
+ * @type {number}
+ */
+export const AI_JOB_CHECK_MINUTES = 1;
+
+/**
+ * Opportunities analyzed at once, unless the job asks for another number
+ * @type {number}
+ */
+export const DEFAULT_AI_JOB_CONCURRENCY = 2;
+
+/**
+ * Most opportunities a job may analyze at once
+ * @type {number}
+ */
+export const MAX_AI_JOB_CONCURRENCY = 5;
+
+/**
+ * Finished (completed or cancelled) jobs kept for the record; the oldest are dropped first
+ * @type {number}
+ */
+export const MAX_FINISHED_AI_JOBS = 10;
+
+/**
+ * Job statuses in which the queue still has work to do
+ * @type {string[]}
+ */
+export const ACTIVE_AI_JOB_STATUSES = ['queued', 'running', 'paused'];
+
+/**
+ * Turn an analysis (as from aiService.analyzeOpportunity) into the fields stored on the opportunity
+ * @param {Object} analysis - {relevance_score (0-1), priority, key_themes, reasoning}
+ * @returns {Object} {relevanceScore (0-100), priority, keyThemes, aiReasoning, aiProcessed, aiProcessedAt}
+ */
+export function toAnalysisFields(analysis) {
+  return {
+    relevanceScore: Math.round((Number(analysis.relevance_score) || 0) * 100),
+    priority: analysis.priority,
+    keyThemes: analysis.key_themes || [],
+    aiReasoning: analysis.reasoning || null,
+    aiProcessed: true,
+    aiProcessedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Progress of a job, without the per-item list
+ * @param {Object} job - Job as stored
+ * @returns {Object} {id, status, concurrency, createdAt, finishedAt, pausedReason, total, counts, finished, percent, current, failures}
+ */
+export function summarizeAIJob(job) {
+  const counts = { pending: 0, running: 0, done: 0, failed: 0, skipped: 0, cancelled: 0 };
+  job.items.forEach(item => {
+    counts[item.status]++;
+  });
+  const total = job.items.length;
+  const finished = total - counts.pending - counts.running;
+
+  return {
+    id: job.id,
+    status: job.status,
+    concurrency: job.concurrency,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt || null,
+    pausedReason: job.pausedReason || null,
+    total,
+    counts,
+    finished,
+    percent: total > 0 ? Math.round(finished / total * 100) : 100,
+    current: job.items.filter(item => item.status === 'running').map(item => item.title),
+    failures: job.items
+      .filter(item => item.status === 'failed')
+      .map(item => ({ opportunityId: item.opportunityId, title: item.title, error: item.error }))
+  };
+}
+
+/**
+ * One line describing where a job is up to
+ * @param {Object} summary - As returned by summarizeAIJob
+ * @returns {string}
+ */
+export function describeAIJob(summary) {
+  const { counts } = summary;
+  const failed = counts.failed > 0 ? `, ${counts.failed} failed` : '';
+  switch (summary.status) {
+    case 'completed':
+      return `AI analysis finished: ${counts.done} analyzed${failed}`;
+    case 'cancelled':
+      return `AI analysis cancelled: ${counts.done} analyzed${failed}, ${counts.cancelled} not started`;
+    case 'paused':
+      return `AI analysis paused at ${summary.finished} of ${summary.total}${failed}` +
+        (summary.pausedReason ? ` (${summary.pausedReason})` : '');
+    default:
+      return `AI analysis: ${summary.finished} of ${summary.total} (${summary.percent}%)${failed}`;
+  }
+}
+
+/**
+ * Send a job's progress to any open extension page
+ * @param {Object} summary - As returned by summarizeAIJob
+ */
+function broadcastProgress(summary) {
+  chrome.runtime.sendMessage({ action: 'aiJobProgress', job: summary }, () => {
+    // Nothing may be listening (popup and opportunities page closed)
+    void chrome.runtime.lastError;
+  });
+}
+
+class AIJobQueue {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with get/set (defaults to storageManager)
+   * @param {Object} [options.opportunities] - Object with getOpportunity/saveAIAnalysis (defaults to storageManager)
+   * @param {Function} [options.analyze] - Analyzes one opportunity (defaults to aiService.analyzeOpportunity)
+   * @param {Function} [options.onProgress] - Called with the job summary after every change (defaults to broadcasting it)
+   * @param {Object} [options.budget] - Object with getBudgetStatus (defaults to aiUsageTracker)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+    this.opportunities = options.opportunities || storageManager;
+    this.analyze = options.analyze || (opportunity => aiService.analyzeOpportunity(opportunity));
+    this.onProgress = options.onProgress || broadcastProgress;
+    this.budget = options.budget || aiUsageTracker;
+    this._running = null;
+    this._lock = Promise.resolve();
+  }
+
+  /**
+   * Every job kept, newest first
+   * @returns {Promise<Array>} Job summaries
+   */
+  async getJobs() {
+    const jobs = await this._getAll();
+    return jobs.map(summarizeAIJob).reverse();
+  }
+
+  /**
+   * One job with its per-item status
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object|null>} The job as stored, or null
+   */
+  async getJob(jobId) {
+    const jobs = await this._getAll();
+    return jobs.find(job => job.id === jobId) || null;
+  }
+
+  /**
+   * Whether any job is queued, running or paused
+   * @returns {Promise<boolean>}
+   */
+  async hasActiveJobs() {
+    const jobs = await this._getAll();
+    return jobs.some(job => ACTIVE_AI_JOB_STATUSES.includes(job.status));
+  }
+
+  /**
+   * Queue a job analyzing the given opportunities. Opportunities already
+   * analyzed are skipped unless reanalyze is set. Call run() to start it.
+   * @param {Array<{id: string, title?: string, aiProcessed?: boolean}>} opportunities - Opportunities to analyze
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Opportunities analyzed at once (1 to MAX_AI_JOB_CONCURRENCY)
+   * @param {boolean} [options.reanalyze] - Analyze opportunities that already have an analysis
+   * @returns {Promise<Object>} Summary of the new job
+   * @throws {Error} If there is nothing to analyze or the AI budget is used up
+   */
+  async createJob(opportunities, { concurrency = DEFAULT_AI_JOB_CONCURRENCY, reanalyze = false } = {}) {
+    const seen = new Set();
+    const items = (opportunities || [])
+      .filter(opportunity => opportunity?.id && !seen.has(opportunity.id) && seen.add(opportunity.id))
+      .map(opportunity => ({
+        opportunityId: opportunity.id,
+        title: opportunity.title || opportunity.question || opportunity.id,
+        status: opportunity.aiProcessed && !reanalyze ? 'skipped' : 'pending',
+        error: null
+      }));
+    if (!items.some(item => item.status === 'pending')) {
+      throw new Error(items.length > 0
+        ? 'Every opportunity has already been analyzed'
+        : 'There are no opportunities to analyze');
+    }
+    const budget = await this.budget.getBudgetStatus();
+    if (budget.exhausted) {
+      throw new Error(budget.message);
+    }
+
+    return this._update(jobs => {
+      const base = `aijob-${Date.now().toString(36)}`;
+      let id = base;
+      for (let n = 2; jobs.some(other => other.id === id); n++) {
+        id = `${base}-${n}`;
+      }
+
+      const job = {
+        id,
+        status: 'queued',
+        concurrency: Math.min(Math.max(Math.round(Number(concurrency)) || 1, 1), MAX_AI_JOB_CONCURRENCY),
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        pausedReason: null,
+        items
+      };
+      jobs.push(job);
+      return job;
+    });
+  }
+
+  /**
+   * Stop starting new items; those already being analyzed still finish
+   * @param {string} jobId - Job id
+   * @param {string} [reason] - Why the job was paused, shown with its progress
+   * @returns {Promise<Object>} Job summary
+   * @throws {Error} If the job is missing or already finished
+   */
+  async pauseJob(jobId, reason = null) {
+    return this._update(jobs => {
+      const job = this._findActive(jobs, jobId);
+      job.status = 'paused';
+      job.pausedReason = reason;
+      return job;
+    });
+  }
+
+  /**
+   * Put a paused job back in the queue. Call run() to carry on.
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object>} Job summary
+   * @throws {Error} If the job is missing or already finished
+   */
+  async resumeJob(jobId) {
+    return this._update(jobs => {
+      const job = this._findActive(jobs, jobId);
+      if (job.status === 'paused') {
+        job.status = 'queued';
+        job.pausedReason = null;
+      }
+      return job;
+    });
+  }
+
+  /**
+   * Cancel the items not yet started; those already being analyzed still finish
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object>} Job summary
+   * @throws {Error} If the job is missing or already finished
+   */
+  async cancelJob(jobId) {
+    return this._update(jobs => {
+      const job = this._findActive(jobs, jobId);
+      job.items.forEach(item => {
+        if (item.status === 'pending') {
+          item.status = 'cancelled';
+        }
+      });
+      job.status = 'cancelled';
+      job.pausedReason = null;
+      this._finishIfDone(job);
+      return job;
+    });
+  }
+
+  /**
+   * Work through the queued jobs until none is left to run. Items left
+   * running by a stopped service worker are retried. Called while already
+   * running, it runs again afterwards so a job queued at the very end isn't missed.
+   * @returns {Promise<void>}
+   */
+  run() {
+    if (this._running) {
+      return this._running.then(() => this.run());
+    }
+    this._running = this._runQueue().finally(() => {
+      this._running = null;
+    });
+    return this._running;
+  }
+
+  /**
+   * @private
+   */
+  async _runQueue() {
+    // Nothing is being analyzed in this worker yet, so running items were interrupted
+    await this._update(jobs => {
+      jobs.filter(job => !job.finishedAt).forEach(job => {
+        job.items.forEach(item => {
+          if (item.status === 'running') {
+            item.status = job.status === 'cancelled' ? 'cancelled' : 'pending';
+          }
+        });
+        this._finishIfDone(job);
+      });
+    }, false);
+
+    for (;;) {
+      const jobs = await this._getAll();
+      const job = jobs.find(candidate => candidate.status === 'queued' || candidate.status === 'running');
+      if (!job) {
+        return;
+      }
+      const workers = Array.from({ length: job.concurrency }, () => this._runWorker(job.id));
+      await Promise.all(workers);
+    }
+  }
+
+  /**
+   * Take items from a job one at a time until it has none left or stops running
+   * @private
+   */
+  async _runWorker(jobId) {
+    for (;;) {
+      const budget = await this.budget.getBudgetStatus();
+      if (budget.exhausted) {
+        await this._pauseForBudget(jobId, budget.message);
+        return;
+      }
+
+      let item = null;
+      await this._update(jobs => {
+        const job = jobs.find(candidate => candidate.id === jobId);
+        const next = job?.items.find(candidate => candidate.status === 'pending');
+        if (!next || (job.status !== 'queued' && job.status !== 'running')) {
+          return null;
+        }
+        job.status = 'running';
+        next.status = 'running';
+        item = { ...next };
+        return job;
+      });
+      if (!item) {
+        return;
+      }
+
+      const { error, budgetExceeded } = await this._analyzeItem(item);
+      await this._update(jobs => {
+        const job = jobs.find(candidate => candidate.id === jobId);
+        const stored = job?.items.find(candidate => candidate.opportunityId === item.opportunityId);
+        if (!stored) {
+          return null;
+        }
+        if (budgetExceeded) {
+          // Not the opportunity's fault: leave it for when the job is resumed
+          stored.status = job.status === 'cancelled' ? 'cancelled' : 'pending';
+          this._pause(job, error);
+          this._finishIfDone(job);
+          return job;
+        }
+        stored.status = error ? 'failed' : 'done';
+        stored.error = error;
+        this._finishIfDone(job);
+        return job;
+      });
+      if (budgetExceeded) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Analyze one opportunity and save the result onto it
+   * @returns {Promise<{error: string|null, budgetExceeded: boolean}>} Why it failed (null if it didn't),
+   *   and whether that was because the AI budget is used up
+   * @private
+   */
+  async _analyzeItem(item) {
+    try {
+      const opportunity = await this.opportunities.getOpportunity(item.opportunityId);
+      if (!opportunity) {
+        return { error: 'The opportunity no longer exists', budgetExceeded: false };
+      }
+      const analysis = await this.analyze(opportunity);
+      if (!analysis || analysis.error) {
+        return { error: analysis?.error || 'No analysis returned', budgetExceeded: Boolean(analysis?.budgetExceeded) };
+      }
+      await this.opportunities.saveAIAnalysis(item.opportunityId, toAnalysisFields(analysis));
+      return { error: null, budgetExceeded: false };
+    } catch (error) {
+      return { error: error.message, budgetExceeded: false };
+    }
+  }
+
+  /**
+   * Pause a job because the AI budget is used up, unless it has already stopped running
+   * @private
+   */
+  _pauseForBudget(jobId, message) {
+    return this._update(jobs => {
+      const job = jobs.find(candidate => candidate.id === jobId);
+      if (!job || (job.status !== 'queued' && job.status !== 'running')) {
+        return null;
+      }
+      this._pause(job, message);
+      return job;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _pause(job, reason) {
+    if (job.status === 'queued' || job.status === 'running') {
+      job.status = 'paused';
+      job.pausedReason = reason;
+    }
+  }
+
+  /**
+   * Mark a job completed (or finish cancelling it) once no item is pending or running
+   * @private
+   */
+  _finishIfDone(job) {
+    if (job.items.some(item => item.status === 'pending' || item.status === 'running')) {
+      return;
+    }
+    if (job.status !== 'cancelled') {
+      job.status = 'completed';
+    }
+    job.pausedReason = null;
+    job.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * @private
+   */
+  _findActive(jobs, jobId) {
+    const job = jobs.find(candidate => candidate.id === jobId);
+    if (!job) {
+      throw new Error(`AI job not found: ${jobId}`);
+    }
+    if (!ACTIVE_AI_JOB_STATUSES.includes(job.status)) {
+      throw new Error(`The AI job has already ${job.status === 'cancelled' ? 'been cancelled' : 'finished'}`);
+    }
+    return job;
+  }
+
+  /**
+   * Change the stored jobs one caller at a time. The change function gets the
+   * jobs and returns the job it changed (or null); that job's summary is
+   * returned and, if notify is set, sent to onProgress.
+   * @private
+   */
+  _update(change, notify = true) {
+    const result = this._lock.then(async () => {
+      const jobs = await this._getAll();
+      const changed = change(jobs);
+      await this.storage.set(AI_JOBS_KEY, this._prune(jobs));
+      if (!changed) {
+        return null;
+      }
+      const summary = summarizeAIJob(changed);
+      if (notify) {
+        this.onProgress(summary);
+      }
+      return summary;
+    });
+    // A failed change mustn't block the ones after it
+    this._lock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Drop the oldest finished jobs past the limit
+   * @private
+   */
+  _prune(jobs) {
+    const finished = jobs.filter(job => !ACTIVE_AI_JOB_STATUSES.includes(job.status));
+    const dropped = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_AI_JOBS)));
+    return jobs.filter(job => !dropped.has(job));
+  }
+
+  /**
+   * @private
+   */
+  async _getAll() {
+    const jobs = await this.storage.get(AI_JOBS_KEY);
+    return Array.isArray(jobs) ? jobs : [];
+  }
+}
+
+export const aiJobQueue = new AIJobQueue();
+export { AIJobQueue };
@@ -1,6 +1,7 @@
 /**
  * AI Service Module for SourceBottle Extension
- * Handles AI-powered analysis of opportunities using Azure OpenAI API
+ * Handles AI-powered analysis of opportunities through pluggable LLM providers
+ * (Azure OpenAI, OpenAI or any OpenAI-compatible server, see llmProviders.js)
  * Implements secure credential management and intelligent request handling
  * 
  * @requires KeywordManager for externalized keyword group configuration
@@ -8,17 +9,11 @@
 
 // Import dependencies
 import { logManager } from './logger.js';
-import { PromptTemplates } from './promptTemplates.js';
-
-/**
- * Helper function for template rendering
- * @private
- */
-function renderTemplate(template, data) {
-  return template.replace(/\{\{([^}]+)\}\}/g, (match, key) => {
-    return data[key.trim()] || match;
-  });
-}
+import { promptTemplateManager, renderPrompt } from './promptTemplates.js';
+import { loadLLMSettings, normalizeLLMSettings, resolveRoute } from './llmProviders.js';
+import { expertProfileManager, rankExperts } from './expertProfiles.js';
+import { aiUsageTracker, AIBudgetError } from './aiUsage.js';
+import { keywordManager } from './keywordManager.js';
 
 class AIService {
   constructor(config = {}) {
@@ -35,6 +30,13 @@ class AIService {
     this.resourceName = config.resourceName || '';
     this.deploymentId = config.deploymentId || '';
     this.apiVersion = config.apiVersion || '2023-05-15';
+
+    // Provider settings and per-prompt routing; the Azure fields above are
+    // kept as the fallback Azure provider configuration
+    this.llmSettings = normalizeLLMSettings(config.llmSettings);
+
+    // Trainable relevance classifier; opportunityClassifier.js plugs itself in
+    this.classifier = null;
     this._initialized = false; // Initialization state flag
     
     // Cache for pending initialization promise to prevent concurrent calls
@@ -122,6 +124,11 @@ class AIService {
    * @private
    */
   _saveSettings() {
+    // The background service worker has no localStorage
+    if (typeof localStorage === 'undefined') {
+      return;
+    }
+    
     try {
       const settings = {
         apiKey: this.apiKey,
@@ -142,6 +149,10 @@ class AIService {
    * @private
    */
   _loadSettings() {
+    if (typeof localStorage === 'undefined') {
+      return;
+    }
+    
     try {
       const settingsJson = localStorage.getItem(this.SETTINGS_KEY);
       if (settingsJson) {
@@ -208,29 +219,31 @@ class AIService {
     try {
       // Load settings from localStorage
       this._loadSettings();
+
+      // Load provider settings saved from the settings page
+      if (typeof chrome !== 'undefined' && chrome.storage?.local) {
+        this.llmSettings = await loadLLMSettings();
+      }
       
-      // Check if we have the required configuration
-      if (!this.apiKey || !this.resourceName || !this.deploymentId) {
-        console.warn('AI service missing required configuration');
+      // Check if the default provider has the required configuration
+      const { type, provider } = this._resolveRoute();
+      if (!provider.isConfigured()) {
+        console.warn(`AI service missing required configuration for ${provider.label}`);
         return false;
       }
       
-      // Validate API key format
-      if (!/^[a-zA-Z0-9]+$/.test(this.apiKey)) {
+      // Validate Azure API key format
+      if (type === 'azure' && !/^[a-zA-Z0-9]+$/.test(provider.settings.apiKey)) {
         console.warn('AI service API key has invalid format');
         return false;
       }
       
-      // Initialize keyword manager if available
-      if (window.keywordManager) {
-        await window.keywordManager.initialize();
-      } else {
-        console.warn('KeywordManager not available, some features will be limited');
-      }
+      // Initialize keyword manager
+      await keywordManager.initialize();
       
-      // Initialize embedding cache if available
-      if (window.embeddingCache) {
-        await window.embeddingCache.initialize();
+      // Initialize embedding cache if available (page contexts only)
+      if (globalThis.embeddingCache) {
+        await globalThis.embeddingCache.initialize();
       } else {
         console.warn('EmbeddingCache not available, semantic analysis will be limited');
       }
@@ -246,6 +259,31 @@ class AIService {
     }
   }
   
+  /**
+   * Resolve the provider and model for a prompt type. Azure fields left empty
+   * in the provider settings fall back to the service's own Azure config.
+   * @private
+   * @param {string} [promptType] - Prompt type (see PROMPT_TYPES); omit for the default provider
+   * @returns {{type: string, provider: Object, model: string}} Resolved route
+   */
+  _resolveRoute(promptType) {
+    const azure = this.llmSettings.providers.azure;
+    const settings = {
+      ...this.llmSettings,
+      providers: {
+        ...this.llmSettings.providers,
+        azure: {
+          ...azure,
+          apiKey: azure.apiKey || this.apiKey,
+          resourceName: azure.resourceName || this.resourceName,
+          deploymentId: azure.deploymentId || this.deploymentId,
+          apiVersion: azure.apiVersion || this.apiVersion
+        }
+      }
+    };
+    return resolveRoute(settings, promptType);
+  }
+
   /**
    * Check if the AI service is enabled
    * @returns {boolean} True if the service is enabled
@@ -255,15 +293,15 @@ class AIService {
   }
   
   /**
-   * Generate embeddings for a text using Azure OpenAI with persistent caching
+   * Generate embeddings for a text using the routed LLM provider with persistent caching
    * Uses both in-memory and IndexedDB caching to reduce API calls
    * @param {string} text - Text to generate embeddings for
    * @returns {Promise<Array<number>>} - Embedding vector
    */
   async getEmbedding(text) {
     // Use the embedding cache if available
-    if (window.embeddingCache) {
-      return window.embeddingCache.getEmbedding(text, () => this._generateEmbeddingFromAPI(text));
+    if (globalThis.embeddingCache) {
+      return globalThis.embeddingCache.getEmbedding(text, () => this._generateEmbeddingFromAPI(text));
     }
     
     // Fall back to direct API call if cache not available
@@ -271,7 +309,7 @@ class AIService {
   }
   
   /**
-   * Internal method to generate embeddings directly from Azure OpenAI API
+   * Internal method to generate embeddings directly from the provider routed for embeddings
    * @private
    * @param {string} text - Text to generate embeddings for
    * @returns {Promise<Array<number>|null>} - Embedding vector or null on failure
@@ -297,47 +335,12 @@ class AIService {
         throw error;
       }
       
-      // Prepare the embedding URL for Azure OpenAI
-      // Make sure to use a clean API version with no trailing apostrophes
-      const cleanApiVersion = this.apiVersion.replace(/['"`]+$/, '');
-      const url = `https://${this.resourceName}.openai.azure.com/openai/deployments/${this.deploymentId}/embeddings?api-version=${cleanApiVersion}`;
-      
       // Log embedding request (truncate for privacy)
       console.log(`Generating embeddings from API for: ${text.substring(0, 30)}...`);
       
-      // Make the API request
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'api-key': this.apiKey
-        },
-        body: JSON.stringify({
-          input: text,
-          model: this.deploymentId
-        })
-      });
-      
-      // Check for HTTP errors
-      if (!response.ok) {
-        const errorText = await response.text();
-        const error = new Error(`Azure OpenAI API embedding error (${response.status}): ${errorText}`);
-        console.error(error);
-        throw error;
-      }
-      
-      // Parse the response
-      const data = await response.json();
-      
-      // Validate the response structure
-      if (!data.data || !data.data[0] || !data.data[0].embedding) {
-        const error = new Error('Invalid embedding response structure from Azure OpenAI API');
-        console.error(error);
-        throw error;
-      }
-      
-      // Return the embedding vector
-      return data.data[0].embedding;
+      // Make the API request through the provider routed for embeddings
+      const { provider, model } = this._resolveRoute('embedding');
+      return await provider.embed(text, model);
     } catch (error) {
       console.error('Error generating embeddings:', error);
       return null;
@@ -359,8 +362,8 @@ class AIService {
     
     try {
       // Use similarity cache if available
-      if (window.similarityCache) {
-        return window.similarityCache.getSimilarity(a, b);
+      if (globalThis.similarityCache) {
+        return globalThis.similarityCache.getSimilarity(a, b);
       }
       
       // Compute dot product
@@ -414,8 +417,8 @@ class AIService {
       
       // If no canonical themes provided, use cached themes if available
       if (!canonicalThemes || canonicalThemes.length === 0) {
-        if (window.keywordManager && window.keywordManager.getThemes) {
-          canonicalThemes = await window.keywordManager.getThemes();
+        if (keywordManager.getThemes) {
+          canonicalThemes = await keywordManager.getThemes();
         }
         
         // If still no themes, return early with error
@@ -500,14 +503,11 @@ class AIService {
       
       // If we have a trained classifier, use it
       if (this.classifier.isTrained && this.classifier.isTrained()) {
-        // Extract features from opportunity
-        const features = this._extractFeatures(opportunity);
-        
         // Use the classifier to predict
-        const prediction = await this.classifier.predict(features);
+        const prediction = await this.classifier.predict(opportunity);
         
         return {
-          isRelevant: prediction.label === 'relevant',
+          isRelevant: prediction.isRelevant,
           confidence: prediction.confidence,
           method: 'classifier'
         };
@@ -538,33 +538,16 @@ class AIService {
     }
   }
   
-  /**
-   * Extract features from an opportunity for classification
-   * @param {Object} opportunity - The opportunity to extract features from
-   * @returns {Object} Feature vector
-   * @private
-   */
-  _extractFeatures(opportunity) {
-    // Extract basic features for classification
-    return {
-      titleLength: (opportunity.title || '').length,
-      descriptionLength: (opportunity.description || '').length,
-      hasDeadline: !!opportunity.deadline,
-      hasMediaOutlet: !!opportunity.mediaOutlet,
-      hasJournalist: !!opportunity.journalist,
-      combinedText: `${opportunity.title || ''} ${opportunity.description || ''}`.toLowerCase()
-    };
-  }
-
   /**
    * Train the classifier with the current training dataset
    * @param {number} epochs - Number of training epochs
-   * @returns {Promise<{success: boolean, error: string?}>}
+   * @returns {Promise<{success: boolean, accuracy: number?, error: string?}>}
    */
   async trainClassifier(epochs = 50) {
-    // Placeholder for classifier training
-    console.log(`Training classifier with ${epochs} epochs`);
-    return { success: true };
+    if (!this.classifier) {
+      return { success: false, error: 'Classifier not available' };
+    }
+    return this.classifier.train(epochs);
   }
   
   /**
@@ -574,26 +557,36 @@ class AIService {
    * @returns {number} Total number of training examples
    */
   addTrainingExample(opportunity, isRelevant) {
-    // Placeholder for adding training examples
-    console.log(`Adding training example: ${isRelevant ? 'relevant' : 'not relevant'}`);
-    return 10; // Mock number of examples
+    if (!this.classifier) {
+      console.warn('Classifier not available, training example ignored');
+      return 0;
+    }
+    return this.classifier.addTrainingExample(opportunity, isRelevant);
   }
   
   /**
    * Reset the classifier to its initial state
    */
   resetClassifier() {
-    console.log('Classifier reset');
+    if (this.classifier) {
+      this.classifier.reset();
+    }
   }
   
   /**
-   * Make a POST request to the Azure OpenAI API with retry logic
+   * Send a chat request to the provider routed for the prompt type, with retry logic.
+   * The response's token usage is recorded against the prompt type, provider and model.
    * @param {Object} payload - The request payload
    * @param {number} maxRetries - Maximum number of retry attempts
+   * @param {string} [promptType] - Prompt type used to pick the provider and model
    * @returns {Promise<Object>} - The API response
+   * @throws {AIBudgetError} If the daily or monthly AI budget is used up
    * @private
    */
-  async _post(payload, maxRetries = 3) {
+  async _post(payload, maxRetries = 3, promptType) {
+    // Refuse before anything else, so a used-up budget doesn't count against the circuit breaker
+    await aiUsageTracker.assertWithinBudget();
+    
     // Check circuit breaker state
     if (this.circuitBreaker.state === 'OPEN') {
       if (Date.now() < this.circuitBreaker.nextAttempt) {
@@ -616,34 +609,15 @@ class AIService {
           }
         }
         
-        // Prepare the request URL
-        // Make sure to use a clean API version with no trailing apostrophes
-        const cleanApiVersion = this.apiVersion.replace(/['"`]+$/, '');
-        const url = `https://${this.resourceName}.openai.azure.com/openai/deployments/${this.deploymentId}/chat/completions?api-version=${cleanApiVersion}`;
-        
-        // Make the API request
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'api-key': this.apiKey
-          },
-          body: JSON.stringify(payload)
-        });
-        
-        // Check for HTTP errors
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Azure OpenAI API error (${response.status}): ${errorText}`);
-        }
-        
-        // Parse and return the response
-        const result = await response.json();
+        // Make the API request through the routed provider
+        const { type, provider, model } = this._resolveRoute(promptType);
+        const result = await provider.chat(payload, model);
         
         // Success - reset circuit breaker
         this.circuitBreaker.failures = 0;
         this.circuitBreaker.state = 'CLOSED';
         
+        await this._recordUsage(promptType, type, model, result);
         return result;
       } catch (error) {
         lastError = error;
@@ -661,7 +635,7 @@ class AIService {
         
         // Exponential backoff with jitter
         const delay = Math.min(1000 * Math.pow(2, retries) + Math.random() * 1000, 10000);
-        console.warn(`Retrying Azure OpenAI request after ${delay}ms (attempt ${retries + 1}/${maxRetries})`);
+        console.warn(`Retrying AI request after ${delay}ms (attempt ${retries + 1}/${maxRetries})`);
         
         // Wait before retrying
         await new Promise(resolve => setTimeout(resolve, delay));
@@ -679,11 +653,32 @@ class AIService {
     }
     
     // If we've exhausted all retries, throw the last error
-    throw lastError || new Error('Failed to make Azure OpenAI request after multiple retries');
+    throw lastError || new Error('Failed to make AI request after multiple retries');
+  }
+
+  /**
+   * Record a response's token usage; a failure here never fails the request
+   * @param {string} [promptType] - Prompt type of the request
+   * @param {string} providerType - Provider type
+   * @param {string} model - Model the request was sent to
+   * @param {Object} result - OpenAI-format response
+   * @private
+   */
+  async _recordUsage(promptType, providerType, model, result) {
+    try {
+      await aiUsageTracker.record({
+        promptType,
+        provider: providerType,
+        model: result?.model || model,
+        usage: result?.usage
+      });
+    } catch (error) {
+      console.warn('Could not record AI token usage:', error);
+    }
   }
 
   /**
-   * Analyze an opportunity using Azure OpenAI with SourceBottle specific context
+   * Analyze an opportunity using the routed LLM provider with SourceBottle specific context
    * @param {Object} opportunity - The opportunity to analyze
    * @param {string} promptType - Type of analysis to perform
    * @returns {Promise<Object>} - Analysis result with relevance scoring
@@ -696,13 +691,15 @@ class AIService {
         throw new Error('AI service initialization failed');
       }
       
-      // Get the appropriate prompt based on analysis type
-      const prompt = this._getPromptForType(promptType, opportunity);
+      // Get the appropriate prompt based on analysis type, written for the best-fitting expert
+      const expert = await this._getExpertForPrompt(opportunity);
+      const templates = await promptTemplateManager.getTemplates();
+      const prompt = this._getPromptForType(promptType, opportunity, expert, templates);
       
       // Prepare the request payload
       const payload = {
         messages: [
-          { role: 'system', content: window.PromptTemplates.systemPrompt + ' Always respond with valid JSON when the prompt requests JSON format.' },
+          { role: 'system', content: templates.system + ' Always respond with valid JSON when the prompt requests JSON format.' },
           { role: 'user', content: prompt }
         ],
         temperature: this.modelTemperature,
@@ -711,12 +708,12 @@ class AIService {
       };
       
       // Make the API request using the _post method with retry logic
-      const data = await this._post(payload);
+      const data = await this._post(payload, 3, promptType);
       
       // Process the AI response based on prompt type
       return this._processAIResponse(data, promptType);
     } catch (error) {
-      console.error('Error analyzing opportunity with Azure OpenAI:', error);
+      console.error('Error analyzing opportunity with the AI provider:', error);
       
       // Return error information without fallback analysis
       return {
@@ -725,13 +722,15 @@ class AIService {
         key_themes: [],
         confidence: 0,
         reasoning: `Error analyzing opportunity: ${error.message}`,
-        error: error.message
+        error: error.message,
+        // Lets the AI job queue pause instead of failing every remaining opportunity
+        budgetExceeded: error instanceof AIBudgetError
       };
     }
   }
 
   /**
-   * Analyze sentiment for text using Azure OpenAI
+   * Analyze sentiment for text using the routed LLM provider
    * @param {string} text - Text to analyze
    * @returns {Promise<Object>} - Sentiment analysis result
    */
@@ -761,13 +760,13 @@ class AIService {
       };
       
       // Make the API request using the _post method with retry logic
-      const data = await this._post(payload);
+      const data = await this._post(payload, 3, 'sentiment');
       
-      // Extract content from Azure OpenAI response
+      // Extract content from AI response
       const content = data.choices?.[0]?.message?.content?.trim();
       
       if (!content) {
-        throw new Error('No content in Azure OpenAI response');
+        throw new Error('No content in AI response');
       }
       
       // Try to parse as JSON
@@ -791,7 +790,7 @@ class AIService {
         confidence: Math.min(Math.max(Number(result.confidence) || 0.5, 0), 1)
       };
     } catch (error) {
-      console.error('Error analyzing sentiment with Azure OpenAI:', error);
+      console.error('Error analyzing sentiment with the AI provider:', error);
       
       // Return error information without fallback analysis
       return {
@@ -804,25 +803,43 @@ class AIService {
     }
   }
   
+  /**
+   * The expert profile a prompt is written for
+   * @private
+   * @param {Object} opportunity - Opportunity
+   * @param {string} [expertId] - Profile to use; without one (or if it's gone), the best fit
+   * @returns {Promise<Object|null>} The chosen profile, else the highest-scoring one not ruled out by an excluded topic, or null
+   */
+  async _getExpertForPrompt(opportunity, expertId = null) {
+    try {
+      const profiles = await expertProfileManager.getProfiles();
+      const chosen = expertId && profiles.find(profile => profile.id === expertId);
+      if (chosen) {
+        return chosen;
+      }
+      const keywordGroups = keywordManager.getAllGroups() || {};
+      const [best] = rankExperts(opportunity, profiles, { keywordGroups });
+      return best && !best.excluded ? profiles.find(profile => profile.id === best.profileId) : null;
+    } catch (error) {
+      console.warn('Could not load expert profiles for the prompt:', error);
+      return null;
+    }
+  }
+  
   /**
    * Get the appropriate prompt based on analysis type using the template system
    * @private
+   * @param {string} promptType - Prompt type
+   * @param {Object} opportunity - Opportunity
+   * @param {Object} [expert] - Expert profile the analysis is for
+   * @param {Object<string, string>} templates - Templates in use, as from promptTemplateManager.getTemplates
    */
-  _getPromptForType(promptType, opportunity) {
-    // Prepare the data for template rendering
-    const templateData = {
-      title: opportunity.title || 'N/A',
-      description: opportunity.description || 'N/A',
-      mediaOutlet: opportunity.mediaOutlet || 'N/A',
-      deadline: opportunity.deadline || 'N/A'
-    };
-    
+  _getPromptForType(promptType, opportunity, expert, templates) {
     // Get the template based on promptType or fall back to prioritize
-    const templateKey = window.PromptTemplates.prompts[promptType] ? promptType : 'prioritize';
-    const promptTemplate = window.PromptTemplates.prompts[templateKey];
+    const templateKey = ['summarize', 'categorize', 'prioritize', 'suggest-response'].includes(promptType) ? promptType : 'prioritize';
     
-    // Render the template with the opportunity data
-    return renderTemplate(promptTemplate, templateData);
+    // Render the template with the opportunity and expert data
+    return renderPrompt(templates, templateKey, opportunity, expert);
   }
 
   /**
@@ -831,10 +848,10 @@ class AIService {
    */
   _processAIResponse(data, promptType) {
     try {
-      // Extract content from Azure OpenAI response
+      // Extract content from AI response
       const content = data.choices?.[0]?.message?.content?.trim();
       if (!content) {
-        throw new Error('No content in Azure OpenAI response');
+        throw new Error('No content in AI response');
       }
 
       // Process based on prompt type
@@ -842,16 +859,16 @@ class AIService {
         case 'prioritize':
           try {
             // Log the raw content for debugging
-            console.debug('Raw Azure OpenAI response content:', content);
+            console.debug('Raw AI response content:', content);
             
             // Try to parse as JSON - using multiple fallback methods to ensure we get valid JSON
             let result;
             try {
               // First attempt: direct parse if it's already JSON
               result = typeof content === 'string' ? JSON.parse(content) : content;
-              console.log('Successfully parsed Azure OpenAI response as JSON directly');
+              console.log('Successfully parsed AI response as JSON directly');
             } catch (parseError) {
-              console.warn('Could not parse Azure OpenAI response as JSON directly:', parseError);
+              console.warn('Could not parse AI response as JSON directly:', parseError);
               
               try {
                 // Second attempt: Try to extract JSON using regex (for responses that have text and then JSON)
@@ -876,7 +893,7 @@ class AIService {
                 }
               } catch (extractError) {
                 console.error('Failed all attempts to process response:', extractError);
-                throw new Error('Unable to extract structured data from Azure OpenAI response');
+                throw new Error('Unable to extract structured data from AI response');
               }
             }
             
@@ -894,13 +911,13 @@ class AIService {
               raw_response: content
             };
           } catch (e) {
-            console.error('Error parsing Azure OpenAI response:', e);
+            console.error('Error parsing AI response:', e);
             return {
               relevance_score: 0.5,
               priority: 'medium',
               key_themes: [],
               confidence: 0.5,
-              reasoning: 'Error parsing Azure OpenAI response: ' + e.message,
+              reasoning: 'Error parsing AI response: ' + e.message,
               error: e.message
             };
           }
@@ -971,6 +988,12 @@ class AIService {
             
             // Analyze the opportunity
             const analysis = await this.analyzeOpportunity(opportunity);
+            if (analysis.budgetExceeded) {
+              // Leave it unanalyzed rather than stored with a score of 0
+              console.warn(analysis.error);
+              batchResults.push(opportunity);
+              continue;
+            }
             
             // Add analysis results to the opportunity
             batchResults.push({
@@ -0,0 +1,369 @@
+/**
+ * AI Usage - Token and cost accounting for AI calls, with daily and monthly budgets
+ *
+ * Every chat request the AI service makes records the `usage` block of its
+ * response: prompt and completion tokens, by prompt type and by provider and
+ * model, totalled per (local) day. Costs come from a per-model price table;
+ * models without a price still count their tokens. Once a daily or monthly
+ * budget is used up, new AI calls are refused with an AIBudgetError (and the
+ * background AI job queue pauses) until the budget is raised or the period ends.
+ */
+import { storageManager } from './storage.js';
+import { PROMPT_TYPE_LABELS, PROVIDER_TYPES } from './llmProviders.js';
+
+/**
+ * Storage key for the usage totals and recent calls
+ * @type {string}
+ */
+export const AI_USAGE_KEY = 'aiUsage';
+
+/**
+ * Storage key for the budgets and model prices
+ * @type {string}
+ */
+export const AI_BUDGETS_KEY = 'aiBudgets';
+
+/**
+ * Days of totals kept; older days are dropped
+ * @type {number}
+ */
+export const MAX_AI_USAGE_DAYS = 400;
+
+/**
+ * Individual calls kept for the record, newest last
+ * @type {number}
+ */
+export const MAX_AI_USAGE_CALLS = 200;
+
+/**
+ * Known list prices in USD per million tokens. A model named with a version
+ * suffix (e.g. gpt-4o-mini-2024-07-18) takes the price of the longest matching name.
+ * @type {Object<string, {input: number, output: number}>}
+ */
+export const DEFAULT_MODEL_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-35-turbo': { input: 0.5, output: 1.5 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+/**
+ * Labels for the prompt types calls are recorded under
+ * @type {Object<string, string>}
+ */
+export const AI_USAGE_PROMPT_LABELS = {
+  ...PROMPT_TYPE_LABELS,
+  other: 'Other'
+};
+
+/**
+ * Periods the usage dashboard can show
+ * @type {Object<string, {label: string}>}
+ */
+export const AI_USAGE_PERIODS = {
+  today: { label: 'Today' },
+  month: { label: 'This month' },
+  'last-30-days': { label: 'Last 30 days' }
+};
+
+/**
+ * Budget periods, with how each is named in messages
+ * @type {Object<string, {label: string, current: string, next: string}>}
+ */
+export const AI_BUDGET_PERIODS = {
+  daily: { label: 'daily', current: 'today', next: 'tomorrow' },
+  monthly: { label: 'monthly', current: 'this month', next: 'next month' }
+};
+
+/**
+ * An AI call refused because a budget is used up
+ */
+export class AIBudgetError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} period - 'daily' or 'monthly'
+   */
+  constructor(message, period) {
+    super(message);
+    this.name = 'AIBudgetError';
+    this.period = period;
+  }
+}
+
+/**
+ * The local calendar day a time falls on
+ * @param {Date} [date] - Time (defaults to now)
+ * @returns {string} YYYY-MM-DD
+ */
+export function getUsageDay(date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Price of a model: the configured price, else the known list price
+ * @param {string} model - Model or Azure deployment name
+ * @param {Object<string, {input: number, output: number}>} [prices] - Configured prices
+ * @returns {{input: number, output: number}|null} USD per million tokens, or null if unknown
+ */
+export function getModelPrice(model, prices = {}) {
+  if (!model) {
+    return null;
+  }
+  if (prices[model]) {
+    return prices[model];
+  }
+  const name = model.toLowerCase();
+  const known = Object.keys(DEFAULT_MODEL_PRICES)
+    .filter(candidate => name === candidate || name.startsWith(`${candidate}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return known ? DEFAULT_MODEL_PRICES[known] : null;
+}
+
+/**
+ * Label for a provider/model key as stored in byModel
+ * @param {string} key - `<provider>/<model>`
+ * @returns {string}
+ */
+export function getModelLabel(key) {
+  const [provider, ...model] = key.split('/');
+  return `${PROVIDER_TYPES[provider]?.label || provider}: ${model.join('/') || 'default model'}`;
+}
+
+/**
+ * Normalize stored budgets: limits are positive numbers or null (no limit)
+ * @param {Object} [budgets] - Stored budgets
+ * @returns {{daily: {cost: number|null, tokens: number|null}, monthly: {cost: number|null, tokens: number|null}, prices: Object}}
+ */
+export function normalizeBudgets(budgets = {}) {
+  const limit = value => (Number(value) > 0 ? Number(value) : null);
+  const normalized = { prices: {} };
+  Object.keys(AI_BUDGET_PERIODS).forEach(period => {
+    normalized[period] = { cost: limit(budgets[period]?.cost), tokens: limit(budgets[period]?.tokens) };
+  });
+  Object.entries(budgets.prices || {}).forEach(([model, price]) => {
+    if (model.trim() && price) {
+      normalized.prices[model.trim()] = { input: Number(price.input) || 0, output: Number(price.output) || 0 };
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Empty totals
+ * @returns {{calls: number, promptTokens: number, completionTokens: number, cost: number, unpricedCalls: number}}
+ */
+function createTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpricedCalls: 0 };
+}
+
+/**
+ * Add a call (or other totals) to totals
+ * @param {Object} totals - Totals to add to
+ * @param {Object} call - {calls?, promptTokens, completionTokens, cost, unpricedCalls?}
+ */
+function addTotals(totals, call) {
+  totals.calls += call.calls ?? 1;
+  totals.promptTokens += call.promptTokens;
+  totals.completionTokens += call.completionTokens;
+  totals.cost += call.cost || 0;
+  totals.unpricedCalls += call.unpricedCalls ?? (call.cost === null ? 1 : 0);
+}
+
+/**
+ * Add up the days in a period, overall, per prompt type, per provider/model and per day
+ * @param {Object} usage - Stored usage ({days})
+ * @param {string} [period] - Key from AI_USAGE_PERIODS
+ * @param {Date} [now] - Current time
+ * @returns {{totals: Object, byPromptType: Object, byModel: Object, byDay: Array<{day: string}>}}
+ */
+export function summarizeUsage(usage, period = 'month', now = new Date()) {
+  const today = getUsageDay(now);
+  const since = new Date(now);
+  since.setDate(since.getDate() - 29);
+  const inPeriod = {
+    today: day => day === today,
+    month: day => day.slice(0, 7) === today.slice(0, 7),
+    'last-30-days': day => day >= getUsageDay(since) && day <= today
+  }[period] || (() => false);
+
+  const summary = { totals: createTotals(), byPromptType: {}, byModel: {}, byDay: [] };
+  Object.keys(usage?.days || {}).sort().filter(inPeriod).forEach(day => {
+    const entry = usage.days[day];
+    addTotals(summary.totals, entry.totals);
+    summary.byDay.push({ day, ...entry.totals });
+    [['byPromptType', entry.byPromptType], ['byModel', entry.byModel]].forEach(([key, groups]) => {
+      Object.entries(groups || {}).forEach(([name, totals]) => {
+        summary[key][name] = summary[key][name] || createTotals();
+        addTotals(summary[key][name], totals);
+      });
+    });
+  });
+  return summary;
+}
+
+/**
+ * Check spending against the daily and monthly budgets
+ * @param {Object} usage - Stored usage
+ * @param {Object} budgets - Normalized budgets
+ * @param {Date} [now] - Current time
+ * @returns {{daily: Object, monthly: Object, exhausted: string|null, message: string|null}}
+ *   Each period has {tokens, cost, tokenLimit, costLimit, exhausted}; exhausted at the top names the used-up period
+ */
+export function checkBudgets(usage, budgets, now = new Date()) {
+  const status = { exhausted: null, message: null };
+  [['daily', 'today'], ['monthly', 'month']].forEach(([period, usagePeriod]) => {
+    const { totals } = summarizeUsage(usage, usagePeriod, now);
+    const limits = budgets[period];
+    const tokens = totals.promptTokens + totals.completionTokens;
+    const overCost = limits.cost !== null && totals.cost >= limits.cost;
+    const overTokens = limits.tokens !== null && tokens >= limits.tokens;
+    status[period] = {
+      tokens,
+      cost: totals.cost,
+      tokenLimit: limits.tokens,
+      costLimit: limits.cost,
+      exhausted: overCost || overTokens
+    };
+
+    if ((overCost || overTokens) && !status.exhausted) {
+      const { label, current, next } = AI_BUDGET_PERIODS[period];
+      const spent = overCost
+        ? `$${totals.cost.toFixed(2)} of $${limits.cost.toFixed(2)} spent ${current}`
+        : `${tokens.toLocaleString('en-US')} of ${limits.tokens.toLocaleString('en-US')} tokens used ${current}`;
+      status.exhausted = period;
+      status.message = `The ${label} AI budget is used up (${spent}). Raise it in Settings > AI Usage & Budgets, or wait until ${next}.`;
+    }
+  });
+  return status;
+}
+
+class AIUsageTracker {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with get/set (defaults to storageManager)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+    this._lock = Promise.resolve();
+  }
+
+  /**
+   * Usage totals per day and the most recent calls
+   * @returns {Promise<{days: Object, calls: Array}>}
+   */
+  async getUsage() {
+    const usage = await this.storage.get(AI_USAGE_KEY);
+    return {
+      days: usage?.days && typeof usage.days === 'object' ? usage.days : {},
+      calls: Array.isArray(usage?.calls) ? usage.calls : []
+    };
+  }
+
+  /**
+   * Budgets and model prices
+   * @returns {Promise<Object>} As from normalizeBudgets
+   */
+  async getBudgets() {
+    return normalizeBudgets(await this.storage.get(AI_BUDGETS_KEY) || {});
+  }
+
+  /**
+   * Save budgets and model prices
+   * @param {Object} budgets - {daily: {cost, tokens}, monthly: {cost, tokens}, prices: {model: {input, output}}}
+   * @returns {Promise<Object>} The normalized budgets saved
+   * @throws {Error} If a limit or price is negative or not a number
+   */
+  async saveBudgets(budgets) {
+    const values = [
+      ...Object.keys(AI_BUDGET_PERIODS).flatMap(period => [budgets[period]?.cost, budgets[period]?.tokens]),
+      ...Object.values(budgets.prices || {}).flatMap(price => [price?.input, price?.output])
+    ];
+    if (values.some(value => String(value ?? '') !== '' && !(Number(value) >= 0))) {
+      throw new Error('Budgets and prices must be positive numbers');
+    }
+
+    const normalized = normalizeBudgets(budgets);
+    await this.storage.set(AI_BUDGETS_KEY, normalized);
+    return normalized;
+  }
+
+  /**
+   * Spending against the budgets
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} As from checkBudgets
+   */
+  async getBudgetStatus(now = new Date()) {
+    return checkBudgets(await this.getUsage(), await this.getBudgets(), now);
+  }
+
+  /**
+   * Refuse a new AI call once a budget is used up
+   * @param {Date} [now] - Current time
+   * @returns {Promise<void>}
+   * @throws {AIBudgetError} If the daily or monthly budget is used up
+   */
+  async assertWithinBudget(now = new Date()) {
+    const status = await this.getBudgetStatus(now);
+    if (status.exhausted) {
+      throw new AIBudgetError(status.message, status.exhausted);
+    }
+  }
+
+  /**
+   * Record the token usage of one AI call
+   * @param {Object} call
+   * @param {string} [call.promptType] - Prompt type the call was made for
+   * @param {string} call.provider - Provider type (see PROVIDER_TYPES)
+   * @param {string} call.model - Model or deployment name
+   * @param {Object} [call.usage] - The response's usage block ({prompt_tokens, completion_tokens})
+   * @param {Date} [now] - Time of the call
+   * @returns {Promise<Object>} The call as recorded, with its cost (null if the model has no price)
+   */
+  async record({ promptType, provider, model, usage }, now = new Date()) {
+    const result = this._lock.then(async () => {
+      const { prices } = await this.getBudgets();
+      const price = getModelPrice(model, prices);
+      const promptTokens = Number(usage?.prompt_tokens) || 0;
+      const completionTokens = Number(usage?.completion_tokens) || 0;
+      const call = {
+        at: now.toISOString(),
+        promptType: promptType || 'other',
+        provider,
+        model: model || '',
+        promptTokens,
+        completionTokens,
+        cost: price ? (promptTokens * price.input + completionTokens * price.output) / 1e6 : null
+      };
+
+      const stored = await this.getUsage();
+      const day = getUsageDay(now);
+      const entry = stored.days[day] || { totals: createTotals(), byPromptType: {}, byModel: {} };
+      const modelKey = `${provider}/${call.model}`;
+      entry.byPromptType[call.promptType] = entry.byPromptType[call.promptType] || createTotals();
+      entry.byModel[modelKey] = entry.byModel[modelKey] || createTotals();
+      [entry.totals, entry.byPromptType[call.promptType], entry.byModel[modelKey]].forEach(totals => addTotals(totals, call));
+      stored.days[day] = entry;
+
+      const oldest = new Date(now);
+      oldest.setDate(oldest.getDate() - MAX_AI_USAGE_DAYS);
+      Object.keys(stored.days).filter(key => key < getUsageDay(oldest)).forEach(key => delete stored.days[key]);
+
+      await this.storage.set(AI_USAGE_KEY, {
+        days: stored.days,
+        calls: [...stored.calls, call].slice(-MAX_AI_USAGE_CALLS)
+      });
+      return call;
+    });
+    // A failed write mustn't block the ones after it
+    this._lock = result.catch(() => {});
+    return result;
+  }
+}
+
+export const aiUsageTracker = new AIUsageTracker();
+export { AIUsageTracker };
@@ -0,0 +1,381 @@
+/**
+ * AirtableExporter - Upserts opportunities into an Airtable table
+ *
+ * Opportunity fields are written to table columns through a user-editable
+ * mapping. Records are sent in Airtable's 10-record batches with performUpsert
+ * merging on the externalId column, so re-exports update rows in place.
+ *
+ * Airtable rejects a whole batch when one record is bad; such batches are
+ * re-sent record by record so every failure can be reported on its own.
+ */
+import { logManager } from './logger.js';
+import { getFieldValue, hasValue, describeFailure } from './exportFields.js';
+
+/**
+ * chrome.storage.local key for Airtable settings
+ * @type {string}
+ */
+export const AIRTABLE_SETTINGS_KEY = 'airtableSettings';
+
+/**
+ * Most records Airtable accepts in one create/update request
+ * @type {number}
+ */
+export const AIRTABLE_BATCH_SIZE = 10;
+
+/**
+ * Column types an opportunity field can be written as (Airtable's own type names)
+ * @type {string[]}
+ */
+export const AIRTABLE_FIELD_TYPES = [
+  'singleLineText', 'multilineText', 'singleSelect', 'multipleSelects', 'url', 'dateTime', 'number', 'checkbox'
+];
+
+/**
+ * Default mapping of opportunity fields to table columns.
+ * The externalId row is the upsert key and can't be removed.
+ * @type {Array<{field: string, column: string, type: string}>}
+ */
+export const DEFAULT_AIRTABLE_MAPPING = [
+  { field: 'title', column: 'Title', type: 'singleLineText' },
+  { field: 'externalId', column: 'External ID', type: 'singleLineText' },
+  { field: 'description', column: 'Description', type: 'multilineText' },
+  { field: 'source', column: 'Source', type: 'singleSelect' },
+  { field: 'category', column: 'Category', type: 'singleSelect' },
+  { field: 'deadline', column: 'Deadline', type: 'singleLineText' },
+  { field: 'mediaOutlet', column: 'Media Outlet', type: 'singleLineText' },
+  { field: 'journalist', column: 'Journalist', type: 'singleLineText' },
+  { field: 'url', column: 'Link', type: 'url' },
+  { field: 'tags', column: 'Tags', type: 'multipleSelects' },
+  { field: 'status', column: 'Status', type: 'singleSelect' }
+];
+
+/**
+ * Default settings
+ * @type {Object}
+ */
+export const DEFAULT_AIRTABLE_SETTINGS = {
+  apiKey: '',
+  baseId: '',
+  table: '',
+  apiUrl: 'https://api.airtable.com/v0',
+  mapping: DEFAULT_AIRTABLE_MAPPING
+};
+
+const RATE_LIMITED = 429;
+const RATE_LIMIT_WAIT_SECONDS = 30; // Airtable asks clients to back off 30s after a 429
+
+/**
+ * Error from the Airtable API
+ */
+export class AirtableError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [status] - HTTP status, absent for network failures
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'AirtableError';
+    this.status = status;
+  }
+
+  /**
+   * Whether trying again later might succeed (network, rate limit, server errors)
+   * @returns {boolean}
+   */
+  get retryable() {
+    return !this.status || this.status === RATE_LIMITED || this.status >= 500;
+  }
+}
+
+/**
+ * Fill in defaults and drop incomplete mapping rows
+ * @param {Object} [settings] - Stored settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeAirtableSettings(settings = {}) {
+  const mapping = (Array.isArray(settings.mapping) ? settings.mapping : DEFAULT_AIRTABLE_MAPPING)
+    .filter(row => row && row.field && row.column && AIRTABLE_FIELD_TYPES.includes(row.type));
+
+  // Upserts need the key column even if the user removed it
+  if (!mapping.some(row => row.field === 'externalId')) {
+    mapping.push(DEFAULT_AIRTABLE_MAPPING.find(row => row.field === 'externalId'));
+  }
+
+  return {
+    ...DEFAULT_AIRTABLE_SETTINGS,
+    ...settings,
+    apiUrl: String(settings.apiUrl || DEFAULT_AIRTABLE_SETTINGS.apiUrl).trim().replace(/\/+$/, ''),
+    mapping
+  };
+}
+
+/**
+ * Convert a value to what Airtable expects for a column type.
+ * Requests use typecast, so select options are created as needed.
+ * @param {*} value - Field value
+ * @param {string} type - One of AIRTABLE_FIELD_TYPES
+ * @returns {*} Cell value (null clears the cell)
+ */
+export function toAirtableValue(value, type) {
+  const empty = !hasValue(value);
+
+  switch (type) {
+    case 'singleLineText':
+    case 'multilineText':
+    case 'singleSelect':
+    case 'url':
+      return empty ? null : String(Array.isArray(value) ? value.join(', ') : value);
+    case 'multipleSelects': {
+      const names = empty ? [] : (Array.isArray(value) ? value : String(value).split(','));
+      return names.map(name => String(name).trim()).filter(Boolean);
+    }
+    case 'dateTime': {
+      const date = empty ? null : new Date(value);
+      return date && !isNaN(date) ? date.toISOString() : null;
+    }
+    case 'number': {
+      const number = empty ? null : Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'checkbox':
+      return Boolean(value);
+    default:
+      throw new Error(`Unsupported Airtable field type: ${type}`);
+  }
+}
+
+class AirtableExporter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.requestInterval] - Minimum ms between requests
+   * @param {number} [options.maxRateLimitRetries] - Times to retry a rate-limited request
+   * @param {Function} [options.fetch] - fetch implementation (defaults to the global fetch)
+   */
+  constructor(options = {}) {
+    this.requestInterval = options.requestInterval ?? 250; // Airtable allows 5 requests per second per base
+    this.maxRateLimitRetries = options.maxRateLimitRetries ?? 1;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this._nextRequestAt = 0;
+  }
+
+  /**
+   * Load settings from chrome.storage
+   * @returns {Promise<Object>} Normalized settings
+   */
+  async loadSettings() {
+    const stored = await new Promise(resolve => {
+      chrome.storage.local.get([AIRTABLE_SETTINGS_KEY], result => resolve(result || {}));
+    });
+    return normalizeAirtableSettings(stored[AIRTABLE_SETTINGS_KEY]);
+  }
+
+  /**
+   * Save settings to chrome.storage
+   * @param {Object} settings - Settings to save
+   * @returns {Promise<Object>} The normalized settings that were saved
+   */
+  async saveSettings(settings) {
+    const normalized = normalizeAirtableSettings(settings);
+    await new Promise(resolve => {
+      chrome.storage.local.set({ [AIRTABLE_SETTINGS_KEY]: normalized }, resolve);
+    });
+    return normalized;
+  }
+
+  /**
+   * Whether a token, base and table are set
+   * @param {Object} settings - Normalized settings
+   * @returns {boolean}
+   */
+  isConfigured(settings) {
+    return Boolean(settings.apiKey && settings.baseId && settings.table);
+  }
+
+  /**
+   * Fetch the base schema and check the table has every mapped column.
+   * Needs the schema.bases:read scope on the token.
+   * @param {Object} [settings] - Settings (loaded from storage if omitted)
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async testConnection(settings) {
+    const resolvedSettings = settings ? normalizeAirtableSettings(settings) : await this.loadSettings();
+    if (!this.isConfigured(resolvedSettings)) {
+      return { success: false, message: 'Airtable is missing a token, base ID or table' };
+    }
+
+    try {
+      const { tables = [] } = await this._request(resolvedSettings, 'GET', `/meta/bases/${resolvedSettings.baseId}/tables`);
+      const table = tables.find(candidate =>
+        candidate.id === resolvedSettings.table || candidate.name === resolvedSettings.table);
+      if (!table) {
+        return { success: false, message: `Connected, but the base has no table "${resolvedSettings.table}"` };
+      }
+
+      const columns = new Set((table.fields || []).map(field => field.name));
+      const missing = resolvedSettings.mapping.filter(row => !columns.has(row.column)).map(row => `"${row.column}"`);
+      if (missing.length > 0) {
+        return { success: false, message: `Connected, but "${table.name}" is missing columns: ${missing.join(', ')}` };
+      }
+      return { success: true, message: `Connected to "${table.name}"; all ${resolvedSettings.mapping.length} mapped columns found.` };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Build the record fields for an opportunity
+   * @param {Object} opportunity - Opportunity
+   * @param {Array} mapping - Mapping rows
+   * @returns {Object} Airtable record fields
+   */
+  buildFields(opportunity, mapping) {
+    const fields = {};
+    mapping.forEach(row => {
+      fields[row.column] = toAirtableValue(getFieldValue(opportunity, row.field), row.type);
+    });
+    return fields;
+  }
+
+  /**
+   * Upsert opportunities into the configured table in batches
+   * @param {Array} opportunities - Opportunities to export
+   * @param {Object} [settings] - Settings (loaded from storage if omitted)
+   * @returns {Promise<Object>} {created, updated, failed: [{id, title, error}], retryable: [opportunities]}
+   */
+  async export(opportunities, settings) {
+    const resolvedSettings = settings ? normalizeAirtableSettings(settings) : await this.loadSettings();
+    const result = { created: 0, updated: 0, failed: [], retryable: [] };
+
+    if (!this.isConfigured(resolvedSettings)) {
+      throw new AirtableError('Airtable is missing a token, base ID or table');
+    }
+
+    // Airtable rejects a batch that names the same merge key twice, so keep the last copy
+    const byExternalId = new Map();
+    opportunities.forEach(opportunity => {
+      const externalId = getFieldValue(opportunity, 'externalId');
+      if (externalId) {
+        byExternalId.set(String(externalId), opportunity);
+      } else {
+        result.failed.push(describeFailure(opportunity, 'Opportunity has no externalId or id'));
+      }
+    });
+
+    const records = [...byExternalId.values()];
+    for (let i = 0; i < records.length; i += AIRTABLE_BATCH_SIZE) {
+      await this._exportBatch(records.slice(i, i + AIRTABLE_BATCH_SIZE), resolvedSettings, result);
+    }
+
+    logManager.log(`Airtable export: ${result.created} created, ${result.updated} updated, ${result.failed.length} failed, ${result.retryable.length} to retry`);
+    return result;
+  }
+
+  /**
+   * Create or update up to 10 records, merging on the externalId column
+   * @param {Array} batch - Opportunities
+   * @param {Object} settings - Normalized settings
+   * @returns {Promise<Object>} Airtable response with createdRecords and updatedRecords
+   */
+  async upsertRecords(batch, settings) {
+    const keyRow = settings.mapping.find(row => row.field === 'externalId');
+    return this._request(settings, 'PATCH', `/${settings.baseId}/${encodeURIComponent(settings.table)}`, {
+      performUpsert: { fieldsToMergeOn: [keyRow.column] },
+      records: batch.map(opportunity => ({ fields: this.buildFields(opportunity, settings.mapping) })),
+      typecast: true
+    });
+  }
+
+  /**
+   * Send one batch and add its outcome to the result
+   * @param {Array} batch - Opportunities
+   * @param {Object} settings - Normalized settings
+   * @param {Object} result - Export result being built
+   * @private
+   */
+  async _exportBatch(batch, settings, result) {
+    try {
+      const data = await this.upsertRecords(batch, settings);
+      result.created += (data.createdRecords || []).length;
+      result.updated += (data.updatedRecords || []).length;
+    } catch (error) {
+      if (error instanceof AirtableError && error.retryable) {
+        result.retryable.push(...batch);
+      } else if (batch.length > 1) {
+        // Find which records Airtable objects to
+        for (const opportunity of batch) {
+          await this._exportBatch([opportunity], settings, result);
+        }
+      } else {
+        result.failed.push(describeFailure(batch[0], error.message));
+      }
+    }
+  }
+
+  /**
+   * Send a request, keeping to the rate limit and retrying 429s
+   * @param {Object} settings - Normalized settings
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the API URL
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object>} Parsed response
+   * @throws {AirtableError}
+   * @private
+   */
+  async _request(settings, method, path, body) {
+    for (let attempt = 0; ; attempt++) {
+      await this._waitForSlot();
+
+      let response;
+      try {
+        response = await this.fetch(`${settings.apiUrl}${path}`, {
+          method,
+          headers: {
+            'Authorization': `Bearer ${settings.apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: body ? JSON.stringify(body) : null
+        });
+      } catch (error) {
+        throw new AirtableError(`Airtable request failed: ${error.message}`);
+      }
+
+      if (response.status === RATE_LIMITED && attempt < this.maxRateLimitRetries) {
+        const header = response.headers.get('Retry-After');
+        const retryAfter = header !== null && Number.isFinite(Number(header)) ? Number(header) : RATE_LIMIT_WAIT_SECONDS;
+        logManager.warn(`Airtable rate limit hit, retrying in ${retryAfter}s`);
+        this._nextRequestAt = Math.max(this._nextRequestAt, Date.now() + retryAfter * 1000);
+        continue;
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        let message = errorText;
+        try {
+          const { error } = JSON.parse(errorText);
+          message = typeof error === 'string' ? error : (error?.message || error?.type || errorText);
+        } catch {
+          // Not JSON; use the raw text
+        }
+        throw new AirtableError(`Airtable API error (${response.status}): ${message}`, response.status);
+      }
+
+      return response.json();
+    }
+  }
+
+  /**
+   * Wait until the next request is allowed
+   * @private
+   */
+  async _waitForSlot() {
+    const wait = this._nextRequestAt - Date.now();
+    this._nextRequestAt = Math.max(this._nextRequestAt, Date.now()) + this.requestInterval;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+}
+
+export const airtableExporter = new AirtableExporter();
+export { AirtableExporter };
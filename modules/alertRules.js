@@ -0,0 +1,256 @@
+/**
+ * Alert Rules - Saved searches that raise an alert when new opportunities match
+ *
+ * A rule is a list of conditions (platform, keyword group, words, deadline,
+ * outlet, category) that must all or any match. Newly seen opportunities are
+ * checked against every enabled rule as they are saved; each rule that matches
+ * gets its own notification and log entry and can set the badge color.
+ * Matching is plain functions over the opportunity, so it runs without Chrome.
+ */
+import { storageManager } from './storage.js';
+import { getFieldValue } from './exportFields.js';
+import './scrapers/opportunity-deadline.js';
+
+const { getDeadlineDate } = globalThis.opportunityDeadlines;
+
+/**
+ * Storage key for the saved rules
+ * @type {string}
+ */
+export const ALERT_RULES_KEY = 'alertRules';
+
+/**
+ * Notification ID prefix; the full ID is `alert-rule-<rule ID>`
+ * @type {string}
+ */
+export const ALERT_NOTIFICATION_PREFIX = 'alert-rule-';
+
+/**
+ * Badge color for rules that don't choose one
+ * @type {string}
+ */
+export const DEFAULT_ALERT_COLOR = '#FF9800';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Split a list value ("Forbes, Inc; TechCrunch") into lowercase entries
+ * @param {string|string[]} value - List or text
+ * @returns {string[]} Entries
+ */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+  return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether a phrase appears as whole words in some text
+ * @param {string} text - Lowercase text
+ * @param {string} phrase - Lowercase phrase
+ * @returns {boolean}
+ */
+export function containsPhrase(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\W)${escaped}($|\\W)`).test(text);
+}
+
+/**
+ * Title and description of an opportunity, lowercased for matching
+ * @param {Object} opportunity - Opportunity
+ * @returns {string}
+ */
+function getSearchText(opportunity) {
+  return `${getFieldValue(opportunity, 'title') || ''} ${getFieldValue(opportunity, 'description') || ''}`.toLowerCase();
+}
+
+/**
+ * Hours from now until an opportunity's deadline, or null without one
+ * @param {Object} opportunity - Opportunity
+ * @param {number} now - Current time (ms)
+ * @returns {number|null}
+ */
+function hoursToDeadline(opportunity, now) {
+  const deadline = getDeadlineDate(opportunity);
+  return deadline ? (deadline.getTime() - now) / HOUR_MS : null;
+}
+
+/**
+ * Condition types a rule can use. `test` gets the opportunity, the condition's
+ * value and a context of {keywordGroups, now}.
+ * @type {Object<string, {label: string, placeholder: string, test: Function}>}
+ */
+export const ALERT_CONDITIONS = {
+  source: {
+    label: 'Platform is one of',
+    placeholder: 'qwoted, featured',
+    test: (opportunity, value) => toList(value).includes(String(opportunity.source || '').toLowerCase())
+  },
+  keywordGroup: {
+    label: 'Matches keyword group',
+    placeholder: 'funding',
+    test: (opportunity, value, { keywordGroups = {} }) => {
+      const group = keywordGroups[String(value ?? '').trim()];
+      const text = getSearchText(opportunity);
+      return Boolean(group) && (group.terms || []).some(term => containsPhrase(text, String(term).toLowerCase()));
+    }
+  },
+  keyword: {
+    label: 'Mentions any of',
+    placeholder: 'startup, founder',
+    test: (opportunity, value) => {
+      const text = getSearchText(opportunity);
+      return toList(value).some(phrase => containsPhrase(text, phrase));
+    }
+  },
+  deadlineMoreThan: {
+    label: 'Deadline more than (hours away)',
+    placeholder: '48',
+    test: (opportunity, value, { now }) => {
+      const hours = hoursToDeadline(opportunity, now);
+      return hours !== null && hours > Number(value);
+    }
+  },
+  deadlineWithin: {
+    label: 'Deadline within (hours)',
+    placeholder: '24',
+    test: (opportunity, value, { now }) => {
+      const hours = hoursToDeadline(opportunity, now);
+      return hours !== null && hours >= 0 && hours <= Number(value);
+    }
+  },
+  outlet: {
+    label: 'Outlet is one of',
+    placeholder: 'Forbes, TechCrunch',
+    test: (opportunity, value) => toList(value).includes(String(getFieldValue(opportunity, 'mediaOutlet') || '').trim().toLowerCase())
+  },
+  category: {
+    label: 'Category is one of',
+    placeholder: 'Technology, Business & Finance',
+    test: (opportunity, value) => toList(value).includes(String(opportunity.category || '').trim().toLowerCase())
+  }
+};
+
+/**
+ * Trim a rule to the fields it may have: drop unknown condition types and
+ * conditions without a value
+ * @param {Object} rule - Rule to normalize
+ * @returns {{id: string, name: string, enabled: boolean, match: string, badgeColor: string, conditions: Array<{type: string, value: string}>}}
+ */
+export function normalizeAlertRule(rule = {}) {
+  const conditions = (Array.isArray(rule.conditions) ? rule.conditions : [])
+    .map(condition => ({
+      type: String(condition?.type || '').trim(),
+      value: String(condition?.value ?? '').trim()
+    }))
+    .filter(condition => ALERT_CONDITIONS[condition.type] && condition.value);
+
+  return {
+    id: String(rule.id || '').trim(),
+    name: String(rule.name || '').trim(),
+    enabled: rule.enabled !== false,
+    match: rule.match === 'any' ? 'any' : 'all',
+    badgeColor: /^#[0-9a-f]{6}$/i.test(rule.badgeColor) ? rule.badgeColor : DEFAULT_ALERT_COLOR,
+    conditions
+  };
+}
+
+/**
+ * Check a rule's conditions against an opportunity
+ * @param {Object} rule - Normalized rule
+ * @param {Object} opportunity - Opportunity
+ * @param {Object} [context]
+ * @param {Object} [context.keywordGroups] - Keyword groups by name, as from KeywordManager
+ * @param {number} [context.now] - Current time (ms)
+ * @returns {boolean} Whether the rule matches
+ */
+export function matchesAlertRule(rule, opportunity, context = {}) {
+  if (!rule.conditions.length) {
+    return false;
+  }
+  const fullContext = { keywordGroups: {}, now: Date.now(), ...context };
+  const test = condition => ALERT_CONDITIONS[condition.type].test(opportunity, condition.value, fullContext);
+  return rule.match === 'any' ? rule.conditions.some(test) : rule.conditions.every(test);
+}
+
+/**
+ * Check newly seen opportunities against every enabled rule
+ * @param {Object[]} rules - Saved rules
+ * @param {Object[]} opportunities - Newly seen opportunities
+ * @param {Object} [context] - As for matchesAlertRule
+ * @returns {Array<{rule: Object, opportunities: Object[]}>} Rules with at least one match, in rule order
+ */
+export function evaluateAlertRules(rules, opportunities, context = {}) {
+  return (rules || [])
+    .map(normalizeAlertRule)
+    .filter(rule => rule.enabled)
+    .map(rule => ({
+      rule,
+      opportunities: (opportunities || []).filter(opportunity => matchesAlertRule(rule, opportunity, context))
+    }))
+    .filter(match => match.opportunities.length > 0);
+}
+
+class AlertRuleManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with get/set (defaults to storageManager)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+  }
+
+  /**
+   * Get every saved rule
+   * @returns {Promise<Array>} Rules, in the order they were added
+   */
+  async getRules() {
+    const stored = await this.storage.get(ALERT_RULES_KEY);
+    return Array.isArray(stored) ? stored.map(normalizeAlertRule) : [];
+  }
+
+  /**
+   * Save a rule, creating it if it has no id
+   * @param {Object} rule - {id?, name, enabled, match, badgeColor, conditions}
+   * @returns {Promise<Object>} The saved rule
+   * @throws {Error} If the rule has no name, no conditions or a name already used
+   */
+  async saveRule(rule) {
+    const normalized = normalizeAlertRule(rule);
+    if (!normalized.name) {
+      throw new Error('Give the rule a name');
+    }
+    if (normalized.conditions.length === 0) {
+      throw new Error('Add at least one condition');
+    }
+
+    const rules = await this.getRules();
+    if (rules.some(existing => existing.name === normalized.name && existing.id !== normalized.id)) {
+      throw new Error(`There is already a rule called "${normalized.name}"`);
+    }
+
+    if (!normalized.id) {
+      normalized.id = `rule-${Date.now().toString(36)}`;
+    }
+    const index = rules.findIndex(existing => existing.id === normalized.id);
+    if (index >= 0) {
+      rules[index] = normalized;
+    } else {
+      rules.push(normalized);
+    }
+    await this.storage.set(ALERT_RULES_KEY, rules);
+    return normalized;
+  }
+
+  /**
+   * Delete a saved rule
+   * @param {string} id - Rule id
+   * @returns {Promise<void>}
+   */
+  async deleteRule(id) {
+    const rules = await this.getRules();
+    await this.storage.set(ALERT_RULES_KEY, rules.filter(rule => rule.id !== id));
+  }
+}
+
+export const alertRuleManager = new AlertRuleManager();
+export { AlertRuleManager };
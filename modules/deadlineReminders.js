@@ -0,0 +1,289 @@
+/**
+ * DeadlineReminders - Reminds the user before shortlisted and pitched
+ * opportunities close
+ *
+ * The background checks on a periodic alarm. Each lead time (e.g. 24h, 4h and
+ * 1h before the normalized deadline) fires at most once per opportunity; what
+ * has fired, been snoozed or been dismissed is kept in a ledger in
+ * chrome.storage.local so a restarted service worker doesn't remind again.
+ */
+import { storageManager } from './storage.js';
+import { logManager } from './logger.js';
+import { getPipelineStatus } from './models/Opportunity.js';
+import './scrapers/opportunity-deadline.js';
+
+const { getDeadlineDate } = globalThis.opportunityDeadlines;
+
+/**
+ * Alarm that checks for due reminders
+ * @type {string}
+ */
+export const REMINDER_ALARM = 'deadlineReminders';
+
+/**
+ * How often the reminder alarm fires (minutes)
+ * @type {number}
+ */
+export const REMINDER_CHECK_MINUTES = 5;
+
+/**
+ * chrome.storage.local key for the reminder ledger, keyed by opportunity ID
+ * @type {string}
+ */
+export const REMINDER_LEDGER_KEY = 'deadlineReminderLedger';
+
+/**
+ * Hours before the deadline to remind at, used when none are saved
+ * @type {number[]}
+ */
+export const DEFAULT_REMINDER_LEAD_TIMES = [24, 4, 1];
+
+/**
+ * Pipeline stages that get reminders
+ * @type {string[]}
+ */
+export const REMINDER_STATUSES = ['shortlisted', 'pitched'];
+
+/**
+ * How long the Snooze button puts a reminder off (minutes)
+ * @type {number}
+ */
+export const SNOOZE_MINUTES = 60;
+
+/**
+ * Notification ID prefix; the full ID is `deadline-reminder-<opportunity ID>`
+ * @type {string}
+ */
+export const REMINDER_NOTIFICATION_PREFIX = 'deadline-reminder-';
+
+/**
+ * Notification buttons, in the order chrome reports their index
+ * @type {string[]}
+ */
+export const REMINDER_ACTIONS = ['snooze', 'dismiss'];
+
+/**
+ * Clean up saved lead times: positive hours, largest first, no repeats
+ * @param {Array<number|string>|string} [leadTimes] - Hours, or text like "24, 4, 1"
+ * @returns {number[]} Lead times in hours
+ */
+export function normalizeLeadTimes(leadTimes) {
+  const values = typeof leadTimes === 'string' ? leadTimes.split(/[,;\s]+/) : leadTimes;
+  if (!Array.isArray(values)) {
+    return [...DEFAULT_REMINDER_LEAD_TIMES];
+  }
+  const hours = values.map(Number).filter(value => Number.isFinite(value) && value > 0);
+  return [...new Set(hours)].sort((a, b) => b - a);
+}
+
+/**
+ * Get the opportunity ID a reminder notification is for
+ * @param {string} notificationId - Notification ID
+ * @returns {string|null} Opportunity ID, or null if it isn't a reminder
+ */
+export function getReminderOpportunityId(notificationId) {
+  if (typeof notificationId !== 'string' || !notificationId.startsWith(REMINDER_NOTIFICATION_PREFIX)) {
+    return null;
+  }
+  return notificationId.slice(REMINDER_NOTIFICATION_PREFIX.length);
+}
+
+/**
+ * Describe a lead time for a notification, e.g. "4 hours" or "30 minutes"
+ * @param {number} hours - Lead time in hours
+ * @returns {string} Label
+ */
+export function formatLeadTime(hours) {
+  if (hours < 1) {
+    const minutes = Math.round(hours * 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * Work out which reminders are due. Only the most urgent lead time that has
+ * been reached is sent; larger ones passed while the browser was closed (or
+ * during quiet hours) are marked as fired without a notification of their own.
+ * Only shortlisted and pitched opportunities get a ledger entry; one left
+ * from before the opportunity moved on is carried over as it was. An entry
+ * starts over when the opportunity's deadline changes, and entries for
+ * opportunities that are gone or past their deadline are dropped.
+ * @param {Object[]} opportunities - Stored opportunities
+ * @param {Object<string, Object>} ledger - Reminder ledger
+ * @param {Object} [options]
+ * @param {number[]} [options.leadTimes] - Hours before the deadline
+ * @param {number} [options.now] - Current time (ms)
+ * @returns {{reminders: Array<{opportunity: Object, leadTime: number, deadline: Date}>, ledger: Object<string, Object>}}
+ */
+export function getDueReminders(opportunities, ledger = {}, options = {}) {
+  const leadTimes = normalizeLeadTimes(options.leadTimes ?? DEFAULT_REMINDER_LEAD_TIMES);
+  const now = options.now ?? Date.now();
+  const reminders = [];
+  const nextLedger = {};
+
+  (opportunities || []).forEach(opportunity => {
+    const deadline = getDeadlineDate(opportunity);
+    if (!opportunity || !opportunity.id || !deadline || deadline.getTime() <= now) {
+      return;
+    }
+
+    const previous = ledger[opportunity.id];
+    if (!REMINDER_STATUSES.includes(getPipelineStatus(opportunity))) {
+      // Kept as it was in case the opportunity is shortlisted or pitched again
+      if (previous) {
+        nextLedger[opportunity.id] = previous;
+      }
+      return;
+    }
+
+    const deadlineAt = deadline.toISOString();
+    const entry = previous && previous.deadlineAt === deadlineAt
+      ? { ...previous, fired: [...(previous.fired || [])] }
+      : { deadlineAt, fired: [], snoozedUntil: null, dismissed: false };
+    nextLedger[opportunity.id] = entry;
+
+    if (entry.dismissed) {
+      return;
+    }
+    if (entry.snoozedUntil && new Date(entry.snoozedUntil).getTime() > now) {
+      return;
+    }
+
+    const hoursLeft = (deadline.getTime() - now) / 3600000;
+    const reached = leadTimes.filter(leadTime => hoursLeft <= leadTime);
+    const pending = reached.filter(leadTime => !entry.fired.includes(leadTime));
+
+    // A snooze that has run out reminds again even without a new lead time
+    if (reached.length === 0 || (pending.length === 0 && !entry.snoozedUntil)) {
+      return;
+    }
+
+    entry.fired.push(...pending);
+    entry.snoozedUntil = null;
+    reminders.push({
+      opportunity,
+      leadTime: Math.min(...reached),
+      deadline
+    });
+  });
+
+  return { reminders, ledger: nextLedger };
+}
+
+/**
+ * Default notifier, backed by chrome.notifications
+ */
+const chromeNotifier = {
+  create: (id, options) => chrome.notifications.create(id, options),
+  clear: id => chrome.notifications.clear(id)
+};
+
+class DeadlineReminders {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with getOpportunities/get/set (defaults to storageManager)
+   * @param {Object} [options.notifier] - Object with create/clear (defaults to chrome.notifications)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+    this.notifier = options.notifier || chromeNotifier;
+  }
+
+  /**
+   * Send any reminders that are due and save the ledger
+   * @param {Object} [options]
+   * @param {number[]} [options.leadTimes] - Hours before the deadline
+   * @param {number} [options.now] - Current time (ms)
+   * @returns {Promise<Object[]>} The reminders sent
+   */
+  async run(options = {}) {
+    const opportunities = await this.storage.getOpportunities();
+    const { reminders, ledger } = getDueReminders(opportunities, await this.getLedger(), options);
+
+    // Save before notifying so a worker stopped mid-run can't send them twice
+    await this.storage.set(REMINDER_LEDGER_KEY, ledger);
+
+    for (const reminder of reminders) {
+      try {
+        await this.notify(reminder);
+      } catch (error) {
+        logManager.error(`Error sending deadline reminder for ${reminder.opportunity.id}:`, error);
+      }
+    }
+
+    if (reminders.length > 0) {
+      logManager.log(`Sent ${reminders.length} deadline reminder(s)`);
+    }
+    return reminders;
+  }
+
+  /**
+   * Show the notification for one reminder
+   * @param {Object} reminder - From getDueReminders
+   * @returns {Promise<void>}
+   */
+  async notify({ opportunity, leadTime, deadline }) {
+    const title = opportunity.title || opportunity.question || 'An opportunity';
+    await this.notifier.create(`${REMINDER_NOTIFICATION_PREFIX}${opportunity.id}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: `Deadline in under ${formatLeadTime(leadTime)}`,
+      message: `${title} closes ${deadline.toLocaleString()}.`,
+      buttons: [{ title: `Snooze ${formatLeadTime(SNOOZE_MINUTES / 60)}` }, { title: 'Dismiss' }],
+      requireInteraction: true,
+      priority: 2
+    });
+  }
+
+  /**
+   * Put off an opportunity's reminder; it is sent again when the snooze ends
+   * @param {string} opportunityId - Opportunity ID
+   * @param {Object} [options]
+   * @param {number} [options.minutes] - Snooze length
+   * @param {number} [options.now] - Current time (ms)
+   * @returns {Promise<void>}
+   */
+  async snooze(opportunityId, options = {}) {
+    const now = options.now ?? Date.now();
+    const minutes = options.minutes || SNOOZE_MINUTES;
+    await this.updateEntry(opportunityId, {
+      snoozedUntil: new Date(now + minutes * 60000).toISOString()
+    });
+  }
+
+  /**
+   * Stop reminding about an opportunity until its deadline changes
+   * @param {string} opportunityId - Opportunity ID
+   * @returns {Promise<void>}
+   */
+  async dismiss(opportunityId) {
+    await this.updateEntry(opportunityId, { dismissed: true, snoozedUntil: null });
+  }
+
+  /**
+   * Get the saved reminder ledger
+   * @returns {Promise<Object<string, Object>>} Ledger keyed by opportunity ID
+   */
+  async getLedger() {
+    return (await this.storage.get(REMINDER_LEDGER_KEY)) || {};
+  }
+
+  /**
+   * Merge changes into an opportunity's ledger entry and clear its notification
+   * @param {string} opportunityId - Opportunity ID
+   * @param {Object} changes - Entry fields to set
+   * @returns {Promise<void>}
+   */
+  async updateEntry(opportunityId, changes) {
+    const ledger = await this.getLedger();
+    if (ledger[opportunityId]) {
+      ledger[opportunityId] = { ...ledger[opportunityId], ...changes };
+      await this.storage.set(REMINDER_LEDGER_KEY, ledger);
+    }
+    await this.notifier.clear(`${REMINDER_NOTIFICATION_PREFIX}${opportunityId}`);
+  }
+}
+
+export const deadlineReminders = new DeadlineReminders();
+export { DeadlineReminders };
@@ -0,0 +1,358 @@
+/**
+ * Digest - Daily or weekly roundup of newly found opportunities
+ *
+ * In digest mode the background compiles, on its own schedule, every
+ * opportunity first seen since the last digest, grouped by platform and AI
+ * priority with AI summaries where they exist, instead of notifying about each
+ * scrape. Digests are kept so the opportunities page can show them and
+ * download them as HTML or Markdown to forward to clients.
+ */
+import { storageManager } from './storage.js';
+import { opportunityProcessor } from './opportunityProcessor.js';
+import { getFieldValue } from './exportFields.js';
+import { getPlatformName, escapeMarkdown } from './fileExporters.js';
+import { formatColumnValue } from './exportProfiles.js';
+import { DEFAULT_PLATFORM_SCHEDULE, getNextRunTime } from './scheduledScrape.js';
+import { PIPELINE_STATUS_LABELS, getPipelineStatus } from './models/Opportunity.js';
+import './scrapers/opportunity-deadline.js';
+
+const { getDeadlineDate } = globalThis.opportunityDeadlines;
+
+/**
+ * Alarm for the next digest
+ * @type {string}
+ */
+export const DIGEST_ALARM = 'digest';
+
+/**
+ * chrome.storage.local key for compiled digests, newest first
+ * @type {string}
+ */
+export const DIGESTS_KEY = 'digests';
+
+/**
+ * How many digests are kept
+ * @type {number}
+ */
+export const MAX_STORED_DIGESTS = 12;
+
+/**
+ * Digest settings used when none are saved
+ * @type {{enabled: boolean, frequency: string, day: string, time: string}}
+ */
+export const DEFAULT_DIGEST_SETTINGS = {
+  enabled: false,
+  frequency: 'daily',
+  day: 'mon',
+  time: '08:00'
+};
+
+/**
+ * Priority groups in digest order, with their headings
+ * @type {Object<string, string>}
+ */
+export const DIGEST_PRIORITIES = {
+  high: 'High priority',
+  medium: 'Medium priority',
+  low: 'Low priority',
+  unscored: 'Not yet analyzed'
+};
+
+const DESCRIPTION_LENGTH = 280;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fill in missing digest settings
+ * @param {Object} [digest] - Saved `settings.digest`
+ * @returns {{enabled: boolean, frequency: string, day: string, time: string}}
+ */
+export function normalizeDigestSettings(digest = {}) {
+  return {
+    ...DEFAULT_DIGEST_SETTINGS,
+    ...digest,
+    frequency: digest?.frequency === 'weekly' ? 'weekly' : 'daily'
+  };
+}
+
+/**
+ * Work out when the next digest is due, as a daily schedule or a custom
+ * schedule on the one chosen day
+ * @param {Object} digestSettings - Digest settings
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} Next digest time, or null if digests are off
+ */
+export function getNextDigestTime(digestSettings, now = new Date()) {
+  const { enabled, frequency, day, time } = normalizeDigestSettings(digestSettings);
+  if (!enabled) {
+    return null;
+  }
+  return getNextRunTime({
+    type: frequency === 'weekly' ? 'custom' : 'daily',
+    days: [day],
+    time: time || DEFAULT_PLATFORM_SCHEDULE.time
+  }, now);
+}
+
+/**
+ * When the store first saw an opportunity
+ * @param {Object} opportunity - Opportunity
+ * @returns {number} Time in ms, or NaN if unknown
+ */
+function getFirstSeenTime(opportunity) {
+  return Date.parse(opportunity.firstSeenAt || opportunity.scrapedAt || opportunity.timestamp);
+}
+
+/**
+ * The parts of an opportunity a digest shows
+ * @param {Object} opportunity - Opportunity
+ * @param {string} priority - Key of DIGEST_PRIORITIES
+ * @returns {Object} Digest entry
+ */
+function toDigestEntry(opportunity, priority) {
+  const deadline = getDeadlineDate(opportunity);
+  const description = String(getFieldValue(opportunity, 'description') || '').replace(/\s+/g, ' ').trim();
+  const outlet = getFieldValue(opportunity, 'mediaOutlet');
+  return {
+    id: opportunity.id,
+    title: getFieldValue(opportunity, 'title') || 'Untitled',
+    url: getFieldValue(opportunity, 'url'),
+    outlet: outlet ? formatColumnValue(outlet) : null,
+    deadline: getFieldValue(opportunity, 'deadline'),
+    deadlineAt: deadline ? deadline.toISOString() : null,
+    stage: PIPELINE_STATUS_LABELS[getPipelineStatus(opportunity)],
+    priority,
+    summary: opportunity.aiAnalysis?.summary || opportunity.ai_analysis?.summary || null,
+    excerpt: description.length > DESCRIPTION_LENGTH
+      ? `${description.slice(0, DESCRIPTION_LENGTH).trimEnd()}…`
+      : description
+  };
+}
+
+/**
+ * Compile a digest of the opportunities first seen after `since`
+ * @param {Object[]} opportunities - Stored opportunities
+ * @param {Object} [options]
+ * @param {string|null} [options.since] - End of the last digest (ISO), or null for the first one
+ * @param {Date} [options.now] - Digest time
+ * @param {string} [options.frequency] - 'daily' or 'weekly', for the heading
+ * @returns {Object} Digest with statistics and platforms -> priorities -> entries
+ */
+export function buildDigest(opportunities, { since = null, now = new Date(), frequency = 'daily' } = {}) {
+  const sinceTime = since ? Date.parse(since) : -Infinity;
+  const fresh = (opportunities || []).filter(opportunity => {
+    const seen = getFirstSeenTime(opportunity);
+    return seen > sinceTime && seen <= now.getTime();
+  });
+
+  // Soonest deadline first within each group; undated last
+  const deadlineTime = entry => (entry.deadlineAt ? Date.parse(entry.deadlineAt) : Infinity);
+  const platforms = new Map();
+  fresh.forEach(opportunity => {
+    const platform = getPlatformName(opportunity);
+    const priority = opportunityProcessor.getPriority(opportunity) || 'unscored';
+    if (!platforms.has(platform)) {
+      platforms.set(platform, {});
+    }
+    const groups = platforms.get(platform);
+    (groups[priority] = groups[priority] || []).push(toDigestEntry(opportunity, priority));
+  });
+
+  return {
+    id: `digest-${now.getTime().toString(36)}`,
+    createdAt: now.toISOString(),
+    since,
+    frequency,
+    count: fresh.length,
+    statistics: opportunityProcessor.getStatistics(fresh),
+    platforms: [...platforms.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([platform, groups]) => ({
+        platform,
+        count: Object.values(groups).reduce((total, entries) => total + entries.length, 0),
+        priorities: Object.keys(DIGEST_PRIORITIES)
+          .filter(priority => groups[priority])
+          .map(priority => ({
+            priority,
+            label: DIGEST_PRIORITIES[priority],
+            opportunities: groups[priority].sort((a, b) => deadlineTime(a) - deadlineTime(b))
+          }))
+      }))
+  };
+}
+
+/**
+ * Heading for a digest, e.g. "Daily digest · 1 July 2025"
+ * @param {Object} digest - Digest
+ * @returns {string}
+ */
+export function getDigestTitle(digest) {
+  const date = new Date(digest.createdAt).toLocaleDateString([], { day: 'numeric', month: 'long', year: 'numeric' });
+  return `${digest.frequency === 'weekly' ? 'Weekly' : 'Daily'} digest · ${date}`;
+}
+
+/**
+ * One line of counts: total, then each AI priority that has any
+ * @param {Object} digest - Digest
+ * @returns {string}
+ */
+function describeCounts(digest) {
+  const { statistics } = digest;
+  const parts = [`${digest.count} new ${digest.count === 1 ? 'opportunity' : 'opportunities'}`];
+  [['high', statistics.highPriority], ['medium', statistics.mediumPriority], ['low', statistics.lowPriority]]
+    .filter(([, count]) => count > 0)
+    .forEach(([priority, count]) => parts.push(`${count} ${priority} priority`));
+  return parts.join(' · ');
+}
+
+/**
+ * Markdown version of a digest
+ * @param {Object} digest - Digest
+ * @returns {string} Markdown content
+ */
+export function renderDigestMarkdown(digest) {
+  const lines = [`# ${escapeMarkdown(getDigestTitle(digest))}`, '', describeCounts(digest)];
+
+  digest.platforms.forEach(({ platform, count, priorities }) => {
+    lines.push('', `## ${escapeMarkdown(platform)} (${count})`);
+    priorities.forEach(({ label, opportunities }) => {
+      lines.push('', `### ${label}`);
+      opportunities.forEach(entry => {
+        const title = escapeMarkdown(entry.title);
+        const link = entry.url ? `[${title}](<${String(entry.url).replace(/[<>\s]/g, encodeURIComponent)}>)` : title;
+        const details = [
+          entry.outlet && escapeMarkdown(entry.outlet),
+          entry.deadline && `due ${escapeMarkdown(entry.deadline)}`,
+          entry.stage
+        ].filter(Boolean).join(' · ');
+        lines.push('', `- **${link}**${details ? ` — ${details}` : ''}`);
+        const text = entry.summary || entry.excerpt;
+        if (text) {
+          lines.push(`  ${entry.summary ? '*AI summary:* ' : ''}${escapeMarkdown(text)}`);
+        }
+      });
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+  })[char]);
+}
+
+/**
+ * Body of a digest as HTML, shared by the page view and the download
+ * @param {Object} digest - Digest
+ * @returns {string} HTML fragment
+ */
+export function renderDigestBody(digest) {
+  const sections = digest.platforms.map(({ platform, count, priorities }) => `
+    <section class="digest-platform">
+      <h2>${escapeHtml(platform)} <span class="digest-count">(${count})</span></h2>
+      ${priorities.map(({ priority, label, opportunities }) => `
+      <h3 class="digest-priority digest-priority-${priority}">${label}</h3>
+      <ul class="digest-list">
+        ${opportunities.map(entry => `
+        <li class="digest-item">
+          <div class="digest-item-title">${entry.url && /^https?:\/\//i.test(entry.url)
+    ? `<a href="${escapeHtml(entry.url)}" target="_blank" rel="noopener">${escapeHtml(entry.title)}</a>`
+    : escapeHtml(entry.title)}</div>
+          <div class="digest-item-meta">${[entry.outlet, entry.deadline && `Due ${entry.deadline}`, entry.stage]
+    .filter(Boolean).map(escapeHtml).join(' · ')}</div>
+          ${entry.summary
+    ? `<p class="digest-item-summary"><strong>AI summary:</strong> ${escapeHtml(entry.summary)}</p>`
+    : entry.excerpt ? `<p class="digest-item-summary">${escapeHtml(entry.excerpt)}</p>` : ''}
+        </li>`).join('')}
+      </ul>`).join('')}
+    </section>`).join('');
+
+  return `<p class="digest-counts">${escapeHtml(describeCounts(digest))}</p>${sections ||
+    '<p class="digest-empty">No new opportunities since the last digest.</p>'}`;
+}
+
+/**
+ * Standalone HTML document for a digest, styled inline so it survives being
+ * forwarded by email
+ * @param {Object} digest - Digest
+ * @returns {string} HTML content
+ */
+export function renderDigestHtml(digest) {
+  const title = escapeHtml(getDigestTitle(digest));
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; max-width: 760px; margin: 24px auto; padding: 0 16px; line-height: 1.45; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  h2 { font-size: 19px; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 28px; }
+  h3 { font-size: 15px; margin: 16px 0 6px; }
+  .digest-count, .digest-counts, .digest-item-meta { color: #666; }
+  .digest-priority-high { color: #c62828; }
+  .digest-priority-medium { color: #ef6c00; }
+  .digest-list { list-style: none; padding: 0; margin: 0; }
+  .digest-item { padding: 8px 0; border-bottom: 1px solid #f0f0f0; }
+  .digest-item-title { font-weight: 600; }
+  .digest-item-title a { color: #1a73e8; text-decoration: none; }
+  .digest-item-meta { font-size: 13px; }
+  .digest-item-summary { margin: 4px 0 0; font-size: 14px; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${renderDigestBody(digest)}
+</body>
+</html>
+`;
+}
+
+class DigestManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with getOpportunities/get/set (defaults to storageManager)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+  }
+
+  /**
+   * Compile and keep a digest of everything new since the last one
+   * @param {Object} [options]
+   * @param {string} [options.frequency] - 'daily' or 'weekly'
+   * @param {Date} [options.now] - Digest time
+   * @returns {Promise<Object>} The digest
+   */
+  async createDigest({ frequency = 'daily', now = new Date() } = {}) {
+    const digests = await this.getDigests();
+    const opportunities = await this.storage.getOpportunities();
+    // The first digest covers one period rather than everything ever stored
+    const period = (frequency === 'weekly' ? 7 : 1) * DAY_MS;
+    const digest = buildDigest(opportunities, {
+      since: digests[0]?.createdAt || new Date(now.getTime() - period).toISOString(),
+      now,
+      frequency
+    });
+    await this.storage.set(DIGESTS_KEY, [digest, ...digests].slice(0, MAX_STORED_DIGESTS));
+    return digest;
+  }
+
+  /**
+   * Get the kept digests
+   * @returns {Promise<Object[]>} Digests, newest first
+   */
+  async getDigests() {
+    const digests = await this.storage.get(DIGESTS_KEY);
+    return Array.isArray(digests) ? digests : [];
+  }
+}
+
+export const digestManager = new DigestManager();
+export { DigestManager };
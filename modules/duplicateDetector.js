@@ -0,0 +1,370 @@
+/**
+ * Duplicate Detector - Clusters the same journalist query posted on several platforms
+ *
+ * SourceBottle, Featured and Qwoted often carry the same request with slightly
+ * different wording. Copies are matched on normalized text, outlet name and
+ * deadline proximity, optionally backed by cached embeddings, and each cluster
+ * is shown as one merged opportunity that lists every source link.
+ *
+ * Only opportunities from different platforms are compared; repeats within one
+ * platform are already collapsed by their stable ids (see scrapers/opportunity-id.js).
+ */
+
+import { normalizeSourceName } from './opportunityStore.js';
+
+/**
+ * Default matching thresholds
+ * @type {Object}
+ */
+export const DEDUPE_DEFAULTS = {
+  // Minimum combined score for two copies to count as the same query (0-1)
+  threshold: 0.55,
+  // Copies whose deadlines are further apart than this are never merged
+  deadlineWindowDays: 3,
+  // Added to the score when both copies name the same outlet
+  outletBonus: 0.15,
+  // Weight of embedding cosine similarity when both copies have an embedding
+  embeddingWeight: 0.5,
+  // Words (and outlets or deadlines) shared by more copies than this are too
+  // common to find duplicates by, and comparing every pair of them is quadratic
+  maxCandidateGroup: 100
+};
+
+/**
+ * Words too common in journalist queries to say anything about identity
+ * @type {Set<string>}
+ */
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'you', 'your', 'with', 'that', 'this', 'from',
+  'have', 'has', 'who', 'what', 'how', 'can', 'any', 'our', 'about', 'looking',
+  'seeking', 'need', 'needs', 'want', 'would', 'like', 'will', 'into', 'their',
+  'they', 'them', 'been', 'more', 'some', 'share', 'tips', 'experts', 'expert'
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn text into a set of meaningful lowercase tokens
+ * @param {string} text - Raw text
+ * @returns {Set<string>} Tokens
+ */
+export function tokenize(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .replace(/&[a-z]+;/g, ' ')
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Jaccard similarity of two token sets
+ * @param {Set<string>} a - First token set
+ * @param {Set<string>} b - Second token set
+ * @returns {number} Similarity between 0 and 1
+ */
+export function jaccardSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Cosine similarity of two embedding vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity between -1 and 1 (0 if the vectors are unusable)
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Normalize an outlet name so "The Guardian" and "theguardian.com" compare equal
+ * @param {string} outlet - Raw outlet name
+ * @returns {string} Normalized outlet, '' if none
+ */
+export function normalizeOutlet(outlet) {
+  return String(outlet || '')
+    .toLowerCase()
+    .trim()
+    .replace(/^(https?:\/\/)?(www\.)?/, '')
+    .replace(/\.(com|co\.uk|com\.au|org|net|io)\/?$/, '')
+    .replace(/[^a-z0-9]+/g, '')
+    .replace(/^the/, '');
+}
+
+/**
+ * Get the outlet an opportunity is for, whatever the platform calls the field
+ * @param {Object} opportunity - Opportunity
+ * @returns {string} Normalized outlet
+ */
+function getOutlet(opportunity) {
+  return normalizeOutlet(opportunity.publication || opportunity.mediaOutlet || opportunity.outlet || opportunity.brandName);
+}
+
+/**
+ * Get an opportunity's deadline as a timestamp, preferring the normalized
+ * deadlineAt over the platform's own text
+ * @param {Object} opportunity - Opportunity
+ * @returns {number|null} Milliseconds since epoch, or null if no absolute deadline is known
+ */
+function getDeadlineTime(opportunity) {
+  if (opportunity.deadlineAt) {
+    const time = Date.parse(opportunity.deadlineAt);
+    if (!Number.isNaN(time)) {
+      return time;
+    }
+  }
+
+  const raw = opportunity.deadline || opportunity.closeDate;
+  if (!raw) {
+    return null;
+  }
+
+  // "Jul 11th, 2025" -> "Jul 11, 2025"
+  const time = Date.parse(String(raw).replace(/(\d+)(st|nd|rd|th)\b/i, '$1').replace(/@/, ''));
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Text that identifies an opportunity for matching and for embedding lookups
+ * @param {Object} opportunity - Opportunity
+ * @returns {string} Title and description
+ */
+export function getComparisonText(opportunity) {
+  return `${opportunity.title || ''} ${opportunity.description || opportunity.question || ''}`.trim();
+}
+
+/**
+ * Score how likely two opportunities from different platforms are the same query
+ * @param {Object} a - Prepared entry for the first opportunity
+ * @param {Object} b - Prepared entry for the second opportunity
+ * @param {Object} options - Matching options (see DEDUPE_DEFAULTS)
+ * @returns {number} Score between 0 and 1 (0 if the copies cannot be the same query)
+ */
+function scorePair(a, b, options) {
+  if (a.source === b.source) {
+    return 0;
+  }
+
+  // Different outlets or far-apart deadlines rule a match out entirely
+  if (a.outlet && b.outlet && a.outlet !== b.outlet) {
+    return 0;
+  }
+  if (a.deadline !== null && b.deadline !== null &&
+      Math.abs(a.deadline - b.deadline) > options.deadlineWindowDays * DAY_MS) {
+    return 0;
+  }
+
+  let score = jaccardSimilarity(a.tokens, b.tokens);
+  if (a.embedding && b.embedding) {
+    score = (1 - options.embeddingWeight) * score +
+      options.embeddingWeight * Math.max(0, cosineSimilarity(a.embedding, b.embedding));
+  }
+  if (a.outlet && a.outlet === b.outlet) {
+    score += options.outletBonus;
+  }
+
+  return Math.min(1, score);
+}
+
+/**
+ * Look up cached embeddings for opportunities. Only reads the cache; nothing is
+ * sent to the embeddings API.
+ * @param {Array<Object>} opportunities - Opportunities
+ * @param {Object} embeddingCache - Cache exposing getEmbedding(text) (window.embeddingCache)
+ * @returns {Promise<Map<string, Array<number>>>} Embeddings keyed by opportunity id
+ */
+export async function loadCachedEmbeddings(opportunities, embeddingCache) {
+  const embeddings = new Map();
+  if (!embeddingCache || typeof embeddingCache.getEmbedding !== 'function') {
+    return embeddings;
+  }
+  if (typeof embeddingCache.getCacheStats === 'function' && !embeddingCache.getCacheStats().initialized) {
+    return embeddings;
+  }
+
+  for (const opportunity of opportunities) {
+    try {
+      const embedding = await embeddingCache.getEmbedding(getComparisonText(opportunity));
+      if (embedding) {
+        embeddings.set(String(opportunity.id), embedding);
+      }
+    } catch {
+      // A missing embedding only means this copy is matched on text alone
+    }
+  }
+  return embeddings;
+}
+
+/**
+ * Group near-duplicate opportunities from different platforms
+ * @param {Array<Object>} opportunities - Opportunities to cluster
+ * @param {Object} [options] - Matching options, see DEDUPE_DEFAULTS
+ * @param {Map<string, Array<number>>} [options.embeddings] - Embeddings keyed by opportunity id
+ * @returns {Array<Array<Object>>} Clusters of two or more opportunities, each sorted by source
+ */
+export function findDuplicateClusters(opportunities, options = {}) {
+  const settings = { ...DEDUPE_DEFAULTS, ...options };
+  const embeddings = options.embeddings || new Map();
+
+  const entries = (opportunities || []).filter(Boolean).map((opportunity, index) => ({
+    index,
+    opportunity,
+    source: normalizeSourceName(opportunity.source || opportunity.platform || 'Unknown'),
+    tokens: tokenize(getComparisonText(opportunity)),
+    outlet: getOutlet(opportunity),
+    deadline: getDeadlineTime(opportunity),
+    embedding: embeddings.get(String(opportunity.id)) || null
+  }));
+
+  // Union-find over entry indexes
+  const parent = entries.map((entry, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  // Candidate groups: entries sharing a token. Embeddings can match copies
+  // that share no wording at all, so entries with one are also grouped by
+  // outlet and by deadline (each in its own and the previous window, so
+  // deadlines up to one window apart always share a group)
+  const candidateGroups = new Map();
+  const addCandidate = (key, index) => {
+    if (!candidateGroups.has(key)) {
+      candidateGroups.set(key, []);
+    }
+    candidateGroups.get(key).push(index);
+  };
+  const windowMs = Math.max(1, settings.deadlineWindowDays) * DAY_MS;
+  entries.forEach(entry => {
+    entry.tokens.forEach(token => addCandidate(`token:${token}`, entry.index));
+    if (entry.embedding && entry.outlet) {
+      addCandidate(`outlet:${entry.outlet}`, entry.index);
+    }
+    if (entry.embedding && entry.deadline !== null) {
+      const deadlineWindow = Math.floor(entry.deadline / windowMs);
+      addCandidate(`deadline:${deadlineWindow}`, entry.index);
+      addCandidate(`deadline:${deadlineWindow - 1}`, entry.index);
+    }
+  });
+
+  const groupsByEntry = entries.map(() => []);
+  candidateGroups.forEach(indexes => {
+    if (indexes.length > 1 && indexes.length <= settings.maxCandidateGroup) {
+      indexes.forEach(index => groupsByEntry[index].push(indexes));
+    }
+  });
+
+  // Each pair is scored once, from its lower index
+  entries.forEach(entry => {
+    const compared = new Set();
+    groupsByEntry[entry.index].forEach(indexes => {
+      indexes.forEach(other => {
+        if (other <= entry.index || compared.has(other)) {
+          return;
+        }
+        compared.add(other);
+
+        if (find(other) !== find(entry.index) &&
+            scorePair(entry, entries[other], settings) >= settings.threshold) {
+          parent[find(other)] = find(entry.index);
+        }
+      });
+    });
+  });
+
+  const clusters = new Map();
+  entries.forEach(entry => {
+    const root = find(entry.index);
+    if (!clusters.has(root)) {
+      clusters.set(root, []);
+    }
+    clusters.get(root).push(entry);
+  });
+
+  return Array.from(clusters.values())
+    .filter(cluster => cluster.length > 1)
+    .map(cluster => cluster
+      .sort((a, b) => a.source.localeCompare(b.source))
+      .map(entry => entry.opportunity));
+}
+
+/**
+ * Merge a cluster into one opportunity. The copy with AI analysis (or else the
+ * first one seen) is the primary; every copy is listed under `sources`.
+ * @param {Array<Object>} cluster - Opportunities that are the same query
+ * @returns {Object} Primary opportunity with `sources` and `duplicateIds` added
+ */
+export function mergeDuplicateCluster(cluster) {
+  const byAge = [...cluster].sort((a, b) =>
+    String(a.firstSeenAt || a.scrapedAt || '').localeCompare(String(b.firstSeenAt || b.scrapedAt || '')));
+  const primary = byAge.find(opportunity => opportunity.aiAnalysis || opportunity.aiProcessed) || byAge[0];
+
+  return {
+    ...primary,
+    sources: cluster.map(opportunity => ({
+      id: opportunity.id,
+      source: normalizeSourceName(opportunity.source || opportunity.platform || 'Unknown'),
+      url: opportunity.url || '',
+      title: opportunity.title || ''
+    })),
+    duplicateIds: cluster.map(opportunity => opportunity.id).filter(id => id !== primary.id)
+  };
+}
+
+/**
+ * Replace every cluster of cross-platform duplicates with one merged opportunity
+ * @param {Array<Object>} opportunities - Opportunities to collapse
+ * @param {Object} [options] - Options passed to findDuplicateClusters
+ * @returns {Array<Object>} Opportunities with duplicates merged, in original order
+ */
+export function collapseDuplicates(opportunities, options = {}) {
+  const clusters = findDuplicateClusters(opportunities, options);
+  if (clusters.length === 0) {
+    return opportunities;
+  }
+
+  const mergedByOpportunity = new Map();
+  clusters.forEach(cluster => {
+    const merged = mergeDuplicateCluster(cluster);
+    cluster.forEach(opportunity => mergedByOpportunity.set(opportunity, merged));
+  });
+
+  const emitted = new Set();
+  return opportunities.reduce((result, opportunity) => {
+    const merged = mergedByOpportunity.get(opportunity);
+    if (!merged) {
+      result.push(opportunity);
+    } else if (!emitted.has(merged)) {
+      emitted.add(merged);
+      result.push(merged);
+    }
+    return result;
+  }, []);
+}
@@ -3,6 +3,9 @@
  * Provides UI components for displaying advanced AI analysis results
  */
 
+import { expertProfileManager } from './expertProfiles.js';
+import { pitchWorkspace, formatPitch } from './pitchWorkspace.js';
+
 const enhancedAnalysisUI = {
   // Cache DOM elements when initialized
   elements: {
@@ -55,6 +58,7 @@ const enhancedAnalysisUI = {
     
     // Clear previous content
     this._clearSections();
+    await this._loadExpertOptions();
     
     // Show the modal
     this.elements.modalContainer.classList.remove('hidden');
@@ -108,11 +112,16 @@ const enhancedAnalysisUI = {
       
       // Run all analyses in parallel
       const [pitchTemplate, competitiveAnalysis, actionableSummary] = await Promise.all([
-        window.aiEnhancements.generatePitchTemplate(opportunity),
+        window.aiEnhancements.generatePitchTemplate(opportunity, { expertId: document.getElementById('pitch-expert-select')?.value || null }),
         window.aiEnhancements.generateCompetitiveAnalysis(opportunity),
         window.aiEnhancements.generateActionableSummary(opportunity)
       ]);
       
+      // Keep the pitch with the opportunity's other drafts, so it outlives the modal
+      if (!pitchTemplate.error) {
+        await this._keepPitchDraft(opportunity, pitchTemplate);
+      }
+      
       // Render the results
       this._renderPitchTemplate(pitchTemplate);
       this._renderCompetitiveAnalysis(competitiveAnalysis);
@@ -130,6 +139,25 @@ const enhancedAnalysisUI = {
     }
   },
 
+  /**
+   * Save a generated pitch to the opportunity's pitch drafts
+   * @param {Object} opportunity - Opportunity the pitch is for
+   * @param {Object} pitchTemplate - As from aiEnhancements.generatePitchTemplate
+   * @private
+   */
+  async _keepPitchDraft(opportunity, pitchTemplate) {
+    try {
+      await pitchWorkspace.addDraft(opportunity.id || opportunity.externalId, {
+        text: formatPitch(pitchTemplate),
+        origin: 'generated',
+        expertId: pitchTemplate.expert_id,
+        expertName: pitchTemplate.expert_name
+      });
+    } catch (error) {
+      console.error('Failed to keep the pitch draft:', error);
+    }
+  },
+
   /**
    * Create the enhanced analysis modal
    * @private
@@ -150,6 +178,11 @@ const enhancedAnalysisUI = {
           
           <div id="enhanced-analysis-error" class="error-message hidden"></div>
           
+          <div class="pitch-expert-row">
+            <label for="pitch-expert-select">Pitch as</label>
+            <select id="pitch-expert-select"></select>
+          </div>
+          
           <button id="run-enhanced-analysis" class="btn btn-primary">
             Run Enhanced Analysis
           </button>
@@ -290,6 +323,13 @@ const enhancedAnalysisUI = {
           padding: 15px;
         }
         
+        .pitch-expert-row {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          margin-bottom: 15px;
+        }
+        
         .pitch-template {
           display: flex;
           flex-direction: column;
@@ -417,6 +457,32 @@ const enhancedAnalysisUI = {
     this.elements.errorMessage.classList.add('hidden');
   },
 
+  /**
+   * Fill the "Pitch as" picker with the saved expert profiles, keeping the last choice
+   * @private
+   */
+  async _loadExpertOptions() {
+    const select = document.getElementById('pitch-expert-select');
+    if (!select) {
+      return;
+    }
+    
+    const selectedId = select.value;
+    try {
+      const profiles = await expertProfileManager.getProfiles();
+      select.innerHTML = '<option value="">Best-matched expert</option>';
+      profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+      });
+      select.value = profiles.some(profile => profile.id === selectedId) ? selectedId : '';
+    } catch (error) {
+      console.error('Failed to load expert profiles:', error);
+    }
+  },
+
   /**
    * Clear all section contents
    * @private
@@ -460,6 +526,11 @@ const enhancedAnalysisUI = {
     
     const pitchHTML = `
       <div class="pitch-template">
+        <div class="pitch-field">
+          <label>Written As</label>
+          <div class="pitch-expert"></div>
+        </div>
+        
         <div class="pitch-field">
           <label>Subject Line</label>
           <div class="pitch-subject">${pitchData.subject_line}</div>
@@ -499,22 +570,13 @@ const enhancedAnalysisUI = {
     `;
     
     content.innerHTML = pitchHTML;
+    content.querySelector('.pitch-expert').textContent = pitchData.expert_name || 'No expert profile';
     
     // Add event listener to copy button
     const copyButton = content.querySelector('.copy-button');
     if (copyButton) {
       copyButton.addEventListener('click', () => {
-        const fullPitch = `Subject: ${pitchData.subject_line}
-
-${pitchData.greeting}
-
-${pitchData.introduction}
-
-${pitchData.key_points.map(point => `• ${point}`).join('\n')}
-
-${pitchData.call_to_action}
-
-${pitchData.sign_off}`;
+        const fullPitch = formatPitch(pitchData);
         
         navigator.clipboard.writeText(fullPitch)
           .then(() => {
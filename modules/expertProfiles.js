@@ -0,0 +1,246 @@
+/**
+ * Expert Profiles - The experts opportunities are pitched for, and how well each one fits
+ *
+ * A profile has a bio, expertise keywords, keyword-group weights, excluded
+ * topics and preferred outlets. Every opportunity is scored against every
+ * profile from its title and description: expertise keywords and weighted
+ * keyword groups add points, a preferred outlet adds one more, and an excluded
+ * topic rules the expert out. The bio isn't scored; it goes into the AI prompts
+ * for the best-matched expert.
+ */
+import { storageManager } from './storage.js';
+import { getFieldValue } from './exportFields.js';
+import { containsPhrase } from './alertRules.js';
+
+/**
+ * Storage key for the saved profiles
+ * @type {string}
+ */
+export const EXPERT_PROFILES_KEY = 'expertProfiles';
+
+/**
+ * Lowest score (0-100) that counts as a match for an expert
+ * @type {number}
+ */
+export const EXPERT_MATCH_THRESHOLD = 30;
+
+// Points at which the score reaches 50; each expertise keyword found is one point
+const HALF_SCORE_POINTS = 2;
+
+/**
+ * Split a list value ("Forbes, Inc; TechCrunch") into trimmed, distinct entries
+ * @param {string|string[]} value - List or text
+ * @returns {string[]} Entries, in their original case
+ */
+function toEntries(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+  return items
+    .map(item => String(item).trim())
+    .filter((item, index, all) => item && all.findIndex(other => other.toLowerCase() === item.toLowerCase()) === index);
+}
+
+/**
+ * Trim a profile to the fields it may have
+ * @param {Object} profile - Profile to normalize
+ * @returns {{id: string, name: string, bio: string, expertise: string[], keywordGroupWeights: Object<string, number>, excludedTopics: string[], preferredOutlets: string[]}}
+ */
+export function normalizeExpertProfile(profile = {}) {
+  const keywordGroupWeights = {};
+  Object.entries(profile.keywordGroupWeights || {}).forEach(([group, weight]) => {
+    const number = Number(weight);
+    if (group && Number.isFinite(number) && number > 0) {
+      keywordGroupWeights[group] = number;
+    }
+  });
+
+  return {
+    id: String(profile.id || '').trim(),
+    name: String(profile.name || '').trim(),
+    bio: String(profile.bio || '').trim(),
+    expertise: toEntries(profile.expertise),
+    keywordGroupWeights,
+    excludedTopics: toEntries(profile.excludedTopics),
+    preferredOutlets: toEntries(profile.preferredOutlets)
+  };
+}
+
+/**
+ * Turn the single profile older versions kept in settings.userProfile into an expert profile
+ * @param {Object} userProfile - {industry, bio, interests}
+ * @returns {Object|null} Profile, or null if it was never filled in
+ */
+function fromUserProfile(userProfile) {
+  if (!userProfile || (!userProfile.bio && !userProfile.industry && !(userProfile.interests || []).length)) {
+    return null;
+  }
+  return normalizeExpertProfile({
+    id: 'expert-default',
+    name: userProfile.industry ? `${userProfile.industry} expert` : 'My profile',
+    bio: userProfile.bio,
+    expertise: userProfile.interests
+  });
+}
+
+/**
+ * Score how well an opportunity fits one expert
+ * @param {Object} opportunity - Opportunity
+ * @param {Object} profile - Normalized profile
+ * @param {Object} [context]
+ * @param {Object} [context.keywordGroups] - Keyword groups by name, as from KeywordManager
+ * @returns {{profileId: string, name: string, score: number, excluded: boolean, reasons: string[]}} Score from 0 to 100
+ */
+export function scoreExpert(opportunity, profile, { keywordGroups = {} } = {}) {
+  const text = `${getFieldValue(opportunity, 'title') || ''} ${getFieldValue(opportunity, 'description') || ''}`.toLowerCase();
+  const result = { profileId: profile.id, name: profile.name, score: 0, excluded: false, reasons: [] };
+
+  const excluded = profile.excludedTopics.find(topic => containsPhrase(text, topic.toLowerCase()));
+  if (excluded) {
+    result.excluded = true;
+    result.reasons.push(`Mentions excluded topic "${excluded}"`);
+    return result;
+  }
+
+  let points = 0;
+  const keywords = profile.expertise.filter(keyword => containsPhrase(text, keyword.toLowerCase()));
+  if (keywords.length > 0) {
+    points += keywords.length;
+    result.reasons.push(`Expertise: ${keywords.join(', ')}`);
+  }
+
+  Object.entries(profile.keywordGroupWeights).forEach(([group, weight]) => {
+    const terms = keywordGroups[group]?.terms || [];
+    if (terms.some(term => containsPhrase(text, String(term).toLowerCase()))) {
+      points += weight;
+      result.reasons.push(`Keyword group: ${group}`);
+    }
+  });
+
+  const outlet = String(getFieldValue(opportunity, 'mediaOutlet') || '').trim().toLowerCase();
+  if (outlet && profile.preferredOutlets.some(preferred => preferred.toLowerCase() === outlet)) {
+    points += 1;
+    result.reasons.push(`Preferred outlet: ${getFieldValue(opportunity, 'mediaOutlet')}`);
+  }
+
+  result.score = Math.round(100 * points / (points + HALF_SCORE_POINTS));
+  return result;
+}
+
+/**
+ * Score an opportunity against every profile, best fit first
+ * @param {Object} opportunity - Opportunity
+ * @param {Object[]} profiles - Normalized profiles
+ * @param {Object} [context] - As for scoreExpert
+ * @returns {Array} scoreExpert results, highest score first (ties keep profile order)
+ */
+export function rankExperts(opportunity, profiles, context = {}) {
+  return (profiles || [])
+    .map(profile => scoreExpert(opportunity, profile, context))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The expert an opportunity fits best, if any reaches EXPERT_MATCH_THRESHOLD
+ * @param {Array} ranking - As from rankExperts
+ * @returns {Object|null} The best scoreExpert result, or null
+ */
+export function getBestExpert(ranking) {
+  const [best] = ranking || [];
+  return best && !best.excluded && best.score >= EXPERT_MATCH_THRESHOLD ? best : null;
+}
+
+/**
+ * Describe an expert for an AI prompt
+ * @param {Object} [profile] - Normalized profile; omit when there are none
+ * @returns {string}
+ */
+export function describeExpert(profile) {
+  if (!profile) {
+    return 'No expert profile is set up; judge relevance for experts in general.';
+  }
+  return [
+    `Name: ${profile.name}`,
+    profile.bio && `Bio: ${profile.bio}`,
+    profile.expertise.length > 0 && `Expertise: ${profile.expertise.join(', ')}`,
+    profile.preferredOutlets.length > 0 && `Preferred outlets: ${profile.preferredOutlets.join(', ')}`,
+    profile.excludedTopics.length > 0 && `Won't comment on: ${profile.excludedTopics.join(', ')}`
+  ].filter(Boolean).join('\n');
+}
+
+class ExpertProfileManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with get/set (defaults to storageManager)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+  }
+
+  /**
+   * Get every saved profile. The first time, the single profile from
+   * settings.userProfile is moved over if it was filled in.
+   * @returns {Promise<Array>} Profiles, in the order they were added
+   */
+  async getProfiles() {
+    const stored = await this.storage.get(EXPERT_PROFILES_KEY);
+    if (Array.isArray(stored)) {
+      return stored.map(normalizeExpertProfile);
+    }
+
+    const settings = await this.storage.get('settings');
+    const migrated = fromUserProfile(settings?.userProfile);
+    const profiles = migrated ? [migrated] : [];
+    await this.storage.set(EXPERT_PROFILES_KEY, profiles);
+    return profiles;
+  }
+
+  /**
+   * Save a profile, creating it if it has no id
+   * @param {Object} profile - {id?, name, bio, expertise, keywordGroupWeights, excludedTopics, preferredOutlets}
+   * @returns {Promise<Object>} The saved profile
+   * @throws {Error} If the profile has no name, nothing to match on or a name already used
+   */
+  async saveProfile(profile) {
+    const normalized = normalizeExpertProfile(profile);
+    if (!normalized.name) {
+      throw new Error('Give the expert a name');
+    }
+    if (normalized.expertise.length === 0 && Object.keys(normalized.keywordGroupWeights).length === 0) {
+      throw new Error('Add at least one expertise keyword or keyword group weight');
+    }
+
+    const profiles = await this.getProfiles();
+    if (profiles.some(existing => existing.name === normalized.name && existing.id !== normalized.id)) {
+      throw new Error(`There is already an expert called "${normalized.name}"`);
+    }
+
+    if (!normalized.id) {
+      // Profiles saved within the same millisecond still get their own id
+      const base = `expert-${Date.now().toString(36)}`;
+      normalized.id = base;
+      for (let n = 2; profiles.some(existing => existing.id === normalized.id); n++) {
+        normalized.id = `${base}-${n}`;
+      }
+    }
+    const index = profiles.findIndex(existing => existing.id === normalized.id);
+    if (index >= 0) {
+      profiles[index] = normalized;
+    } else {
+      profiles.push(normalized);
+    }
+    await this.storage.set(EXPERT_PROFILES_KEY, profiles);
+    return normalized;
+  }
+
+  /**
+   * Delete a saved profile
+   * @param {string} id - Profile id
+   * @returns {Promise<void>}
+   */
+  async deleteProfile(id) {
+    const profiles = await this.getProfiles();
+    await this.storage.set(EXPERT_PROFILES_KEY, profiles.filter(profile => profile.id !== id));
+  }
+}
+
+export const expertProfileManager = new ExpertProfileManager();
+export { ExpertProfileManager };
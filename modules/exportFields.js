@@ -0,0 +1,63 @@
+/**
+ * Export Fields - Reads opportunity fields for export targets (Notion, Airtable, ...)
+ *
+ * Platforms name some fields differently, so each export field has a list of
+ * platform-specific names to fall back to.
+ */
+
+/**
+ * Opportunity fields offered in the mapping editors (any other field name also works)
+ * @type {string[]}
+ */
+export const EXPORT_FIELD_OPTIONS = [
+  'title', 'description', 'url', 'externalId', 'source', 'category', 'deadline', 'postedTime',
+  'mediaOutlet', 'journalist', 'tags', 'status', 'relevanceScore', 'hasExpertRequest', 'scrapedAt'
+];
+
+/**
+ * Where to look when an opportunity doesn't have a field under its usual name
+ * @type {Object<string, string[]>}
+ */
+const FIELD_FALLBACKS = {
+  externalId: ['id'],
+  title: ['question'],
+  description: ['question'],
+  mediaOutlet: ['publication', 'brandName'],
+  url: ['submissionLink', 'link'],
+  deadline: ['closeDate']
+};
+
+/**
+ * Whether a field holds something worth exporting
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+export function hasValue(value) {
+  return value !== null && typeof value !== 'undefined' && value !== '';
+}
+
+/**
+ * Read an opportunity field, falling back to the platform-specific name
+ * @param {Object} opportunity - Opportunity
+ * @param {string} field - Field name
+ * @returns {*} Field value, or null
+ */
+export function getFieldValue(opportunity, field) {
+  const candidates = [field, ...(FIELD_FALLBACKS[field] || [])];
+  const name = candidates.find(candidate => hasValue(opportunity[candidate]));
+  return name ? opportunity[name] : null;
+}
+
+/**
+ * Identify an opportunity in per-record error reports
+ * @param {Object} opportunity - Opportunity
+ * @param {string} error - What went wrong
+ * @returns {{id: string, title: string, error: string}}
+ */
+export function describeFailure(opportunity, error) {
+  return {
+    id: getFieldValue(opportunity, 'externalId'),
+    title: getFieldValue(opportunity, 'title') || '',
+    error
+  };
+}
@@ -0,0 +1,298 @@
+/**
+ * Export Profiles - Named column layouts for tabular exports (CSV, Excel, Google Sheets)
+ *
+ * A profile is an ordered list of columns, each an opportunity field or a
+ * computed value with the header to show for it. Each export target uses the
+ * profile assigned to it, or the built-in default.
+ */
+import { storageManager } from './storage.js';
+import { EXPORT_FIELD_OPTIONS, getFieldValue, hasValue } from './exportFields.js';
+import { PIPELINE_STATUS_LABELS, getPipelineStatus } from './models/Opportunity.js';
+import './scrapers/opportunity-deadline.js';
+
+const { getDeadlineDate } = globalThis.opportunityDeadlines;
+
+/**
+ * Storage key for saved profiles and the profile each target uses
+ * @type {string}
+ */
+export const EXPORT_PROFILES_KEY = 'exportProfiles';
+
+/**
+ * Export targets that take a profile, with their display names
+ * @type {Object<string, string>}
+ */
+export const EXPORT_PROFILE_TARGETS = {
+  csv: 'CSV download',
+  xlsx: 'Excel download',
+  sheets: 'Google Sheets'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Columns computed from an opportunity rather than read from one field
+ * @type {Object<string, {label: string, compute: Function}>}
+ */
+export const COMPUTED_COLUMNS = {
+  daysToDeadline: {
+    label: 'Days to Deadline',
+    compute: (opportunity, now) => {
+      const deadline = getDeadlineDate(opportunity);
+      if (!deadline) {
+        return null;
+      }
+      return Math.floor((deadline.getTime() - now.getTime()) / DAY_MS);
+    }
+  },
+  aiPriority: {
+    label: 'AI Priority',
+    compute: opportunity => opportunity.priority ?? opportunity.aiAnalysis?.priority ?? null
+  },
+  aiSummary: {
+    label: 'AI Summary',
+    compute: opportunity => opportunity.aiAnalysis?.summary || null
+  },
+  pipelineStage: {
+    label: 'Pipeline Stage',
+    compute: opportunity => PIPELINE_STATUS_LABELS[getPipelineStatus(opportunity)]
+  },
+  platforms: {
+    label: 'Platforms',
+    // Merged cross-platform duplicates list every copy under `sources`
+    compute: opportunity => Array.isArray(opportunity.sources) && opportunity.sources.length > 0
+      ? [...new Set(opportunity.sources.map(source => source.source))]
+      : opportunity.source || null
+  }
+};
+
+/**
+ * Column fields offered in the profile editor (any other field name also works)
+ * @type {string[]}
+ */
+export const EXPORT_COLUMN_OPTIONS = [
+  ...EXPORT_FIELD_OPTIONS,
+  'closeDate', 'publication', 'brandName', 'priority', 'owner', 'notes',
+  ...Object.keys(COMPUTED_COLUMNS)
+];
+
+/**
+ * Built-in profile, matching the columns exports have always had
+ * @type {{id: string, name: string, columns: Array<{field: string, header: string}>}}
+ */
+export const DEFAULT_EXPORT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  columns: [
+    { field: 'title', header: 'Title' },
+    { field: 'description', header: 'Description' },
+    { field: 'category', header: 'Category' },
+    { field: 'deadline', header: 'Deadline' },
+    { field: 'source', header: 'Source' },
+    { field: 'mediaOutlet', header: 'Media Outlet' },
+    { field: 'journalist', header: 'Journalist' },
+    { field: 'url', header: 'Link' }
+  ]
+};
+
+/**
+ * Clean up a profile: drop columns without a field, default empty headers and
+ * drop repeated fields or headers (each must be unique to address a column)
+ * @param {Object} profile - Profile to normalize
+ * @returns {{id: string, name: string, columns: Array<{field: string, header: string}>}}
+ */
+export function normalizeExportProfile(profile = {}) {
+  const fields = new Set();
+  const headers = new Set();
+  const columns = [];
+
+  (Array.isArray(profile.columns) ? profile.columns : []).forEach(column => {
+    const field = String(column?.field || '').trim();
+    const header = String(column?.header || '').trim() || COMPUTED_COLUMNS[field]?.label || field;
+    if (!field || fields.has(field) || headers.has(header)) {
+      return;
+    }
+    fields.add(field);
+    headers.add(header);
+    columns.push({ field, header });
+  });
+
+  return {
+    id: String(profile.id || '').trim(),
+    name: String(profile.name || '').trim(),
+    columns
+  };
+}
+
+/**
+ * Read a column's value from an opportunity
+ * @param {Object} opportunity - Opportunity
+ * @param {string} field - Field name or COMPUTED_COLUMNS key
+ * @param {Date} [now] - Reference time for computed columns
+ * @returns {*} Value, or null
+ */
+export function getColumnValue(opportunity, field, now = new Date()) {
+  if (COMPUTED_COLUMNS[field]) {
+    return COMPUTED_COLUMNS[field].compute(opportunity, now);
+  }
+  return getFieldValue(opportunity, field);
+}
+
+/**
+ * Format a column value as cell text
+ * @param {*} value - Column value
+ * @returns {string} Cell text
+ */
+export function formatColumnValue(value) {
+  if (!hasValue(value)) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatColumnValue).filter(Boolean).join(', ');
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Lay opportunities out as rows of cell text using a profile
+ * @param {Array} opportunities - Opportunities
+ * @param {Object} profile - Export profile
+ * @param {Date} [now] - Reference time for computed columns
+ * @returns {{headers: string[], rows: string[][]}}
+ */
+export function applyExportProfile(opportunities, profile, now = new Date()) {
+  const { columns } = normalizeExportProfile(profile);
+  return {
+    headers: columns.map(column => column.header),
+    rows: opportunities.map(opportunity =>
+      columns.map(column => formatColumnValue(getColumnValue(opportunity, column.field, now))))
+  };
+}
+
+class ExportProfileManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with get/set (defaults to storageManager)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+  }
+
+  /**
+   * Load saved profiles and target assignments
+   * @returns {Promise<{profiles: Array, targets: Object<string, string>}>}
+   * @private
+   */
+  async _load() {
+    const stored = await this.storage.get(EXPORT_PROFILES_KEY);
+    return {
+      profiles: Array.isArray(stored?.profiles) ? stored.profiles.map(normalizeExportProfile) : [],
+      targets: { ...(stored?.targets || {}) }
+    };
+  }
+
+  /**
+   * Get every profile, the built-in default first
+   * @returns {Promise<Array>} Profiles
+   */
+  async getProfiles() {
+    const { profiles } = await this._load();
+    return [DEFAULT_EXPORT_PROFILE, ...profiles];
+  }
+
+  /**
+   * Get the profile id assigned to each export target
+   * @returns {Promise<Object<string, string>>} Profile id per EXPORT_PROFILE_TARGETS key
+   */
+  async getTargets() {
+    const { profiles, targets } = await this._load();
+    const ids = new Set(profiles.map(profile => profile.id));
+    return Object.fromEntries(Object.keys(EXPORT_PROFILE_TARGETS).map(target =>
+      [target, ids.has(targets[target]) ? targets[target] : DEFAULT_EXPORT_PROFILE.id]));
+  }
+
+  /**
+   * Get the profile an export target uses
+   * @param {string} target - Export target, e.g. 'csv' or 'sheets'
+   * @returns {Promise<Object>} Profile (the default if none is assigned)
+   */
+  async getProfileForTarget(target) {
+    const { profiles, targets } = await this._load();
+    return profiles.find(profile => profile.id === targets[target]) || DEFAULT_EXPORT_PROFILE;
+  }
+
+  /**
+   * Save a profile, creating it if it has no id
+   * @param {Object} profile - {id?, name, columns}
+   * @returns {Promise<Object>} The saved profile
+   * @throws {Error} If the profile is the built-in one, has no name or no columns
+   */
+  async saveProfile(profile) {
+    const normalized = normalizeExportProfile(profile);
+    if (normalized.id === DEFAULT_EXPORT_PROFILE.id) {
+      throw new Error('The default profile can\'t be changed; save a copy under a new name');
+    }
+    if (!normalized.name) {
+      throw new Error('Give the profile a name');
+    }
+    if (normalized.columns.length === 0) {
+      throw new Error('Add at least one column');
+    }
+
+    const state = await this._load();
+    const taken = [DEFAULT_EXPORT_PROFILE, ...state.profiles]
+      .some(existing => existing.name === normalized.name && existing.id !== normalized.id);
+    if (taken) {
+      throw new Error(`There is already a profile called "${normalized.name}"`);
+    }
+
+    if (!normalized.id) {
+      normalized.id = `profile-${Date.now().toString(36)}`;
+    }
+    const index = state.profiles.findIndex(existing => existing.id === normalized.id);
+    if (index >= 0) {
+      state.profiles[index] = normalized;
+    } else {
+      state.profiles.push(normalized);
+    }
+    await this.storage.set(EXPORT_PROFILES_KEY, state);
+    return normalized;
+  }
+
+  /**
+   * Delete a saved profile; targets using it go back to the default
+   * @param {string} id - Profile id
+   * @returns {Promise<void>}
+   */
+  async deleteProfile(id) {
+    const state = await this._load();
+    state.profiles = state.profiles.filter(profile => profile.id !== id);
+    Object.keys(state.targets).forEach(target => {
+      if (state.targets[target] === id) {
+        delete state.targets[target];
+      }
+    });
+    await this.storage.set(EXPORT_PROFILES_KEY, state);
+  }
+
+  /**
+   * Choose the profile an export target uses
+   * @param {string} target - Export target
+   * @param {string} id - Profile id
+   * @returns {Promise<void>}
+   */
+  async setTargetProfile(target, id) {
+    const state = await this._load();
+    state.targets[target] = id;
+    await this.storage.set(EXPORT_PROFILES_KEY, state);
+  }
+}
+
+export const exportProfileManager = new ExportProfileManager();
+export { ExportProfileManager };
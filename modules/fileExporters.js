@@ -0,0 +1,182 @@
+/**
+ * File Exporters - Turn opportunities into downloadable files
+ *
+ * Each exporter has a label, file extension, MIME type and a build function
+ * taking (opportunities, {profile, now}) and returning the file content as a
+ * string or bytes. Tabular formats lay out columns with the export profile of
+ * their `profileTarget`; JSON and NDJSON keep every field, AI analysis included.
+ */
+import { applyExportProfile, getColumnValue, formatColumnValue, normalizeExportProfile, DEFAULT_EXPORT_PROFILE } from './exportProfiles.js';
+import { getFieldValue } from './exportFields.js';
+import { PIPELINE_STATUS_LABELS, getPipelineStatus } from './models/Opportunity.js';
+import { normalizeSourceName } from './opportunityStore.js';
+import { buildXlsx } from './xlsxWriter.js';
+
+const DIGEST_DESCRIPTION_LENGTH = 280;
+
+/**
+ * Platform an opportunity is grouped under in per-platform outputs
+ * @param {Object} opportunity - Opportunity
+ * @returns {string} Platform name
+ */
+export function getPlatformName(opportunity) {
+  return normalizeSourceName(opportunity.source || opportunity.platform) || 'Other';
+}
+
+/**
+ * Group opportunities by platform, platforms in alphabetical order
+ * @param {Array} opportunities - Opportunities
+ * @returns {Array<[string, Array]>} [platform, opportunities] pairs
+ */
+function groupByPlatform(opportunities) {
+  const groups = new Map();
+  opportunities.forEach(opportunity => {
+    const platform = getPlatformName(opportunity);
+    if (!groups.has(platform)) {
+      groups.set(platform, []);
+    }
+    groups.get(platform).push(opportunity);
+  });
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * CSV with every cell quoted and inner quotes doubled
+ * @param {Array} opportunities - Opportunities
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Export profile choosing the columns
+ * @param {Date} [options.now] - Reference time for computed columns
+ * @returns {string} CSV content
+ */
+export function buildCsv(opportunities, { profile = DEFAULT_EXPORT_PROFILE, now = new Date() } = {}) {
+  const { headers, rows } = applyExportProfile(opportunities, profile, now);
+  const toLine = cells => cells.map(cell => `"${cell.replace(/"/g, '""')}"`).join(',');
+  return [headers, ...rows].map(toLine).join('\n') + '\n';
+}
+
+/**
+ * JSON document holding the opportunities exactly as stored
+ * @param {Array} opportunities - Opportunities
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Export time
+ * @returns {string} JSON content
+ */
+export function buildJson(opportunities, { now = new Date() } = {}) {
+  return JSON.stringify({
+    exportedAt: now.toISOString(),
+    count: opportunities.length,
+    opportunities
+  }, null, 2) + '\n';
+}
+
+/**
+ * Newline-delimited JSON, one stored opportunity per line
+ * @param {Array} opportunities - Opportunities
+ * @returns {string} NDJSON content
+ */
+export function buildNdjson(opportunities) {
+  return opportunities.map(opportunity => JSON.stringify(opportunity) + '\n').join('');
+}
+
+/**
+ * Excel workbook with one sheet per platform, columns from the export profile.
+ * Numeric values stay numbers so they sort and sum in Excel.
+ * @param {Array} opportunities - Opportunities
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Export profile choosing the columns
+ * @param {Date} [options.now] - Reference time for computed columns
+ * @returns {Uint8Array} Workbook bytes
+ */
+export function buildXlsxWorkbook(opportunities, { profile = DEFAULT_EXPORT_PROFILE, now = new Date() } = {}) {
+  const { columns } = normalizeExportProfile(profile);
+  const headers = columns.map(column => column.header);
+  const toCells = opportunity => columns.map(column => {
+    const value = getColumnValue(opportunity, column.field, now);
+    return typeof value === 'number' ? value : formatColumnValue(value);
+  });
+
+  const sheets = groupByPlatform(opportunities).map(([platform, group]) => ({
+    name: platform,
+    rows: [headers, ...group.map(toCells)]
+  }));
+  return buildXlsx(sheets.length > 0 ? sheets : [{ name: 'Opportunities', rows: [headers] }]);
+}
+
+/**
+ * Escape text that Markdown would read as link or emphasis syntax
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+export function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>|])/g, '\\$1').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Markdown digest: a section per platform, soonest deadline first, with the
+ * outlet, deadline, pipeline stage and AI priority and summary of each
+ * @param {Array} opportunities - Opportunities
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Digest time, also used for days to deadline
+ * @returns {string} Markdown content
+ */
+export function buildMarkdownDigest(opportunities, { now = new Date() } = {}) {
+  const lines = [
+    '# Opportunities Digest',
+    '',
+    `Exported ${now.toISOString().split('T')[0]} · ${opportunities.length} ${opportunities.length === 1 ? 'opportunity' : 'opportunities'}`
+  ];
+
+  // Undated opportunities go last
+  const daysLeft = opportunity => getColumnValue(opportunity, 'daysToDeadline', now) ?? Infinity;
+
+  groupByPlatform(opportunities).forEach(([platform, group]) => {
+    lines.push('', `## ${escapeMarkdown(platform)} (${group.length})`);
+
+    [...group].sort((a, b) => daysLeft(a) - daysLeft(b)).forEach(opportunity => {
+      const title = escapeMarkdown(getFieldValue(opportunity, 'title') || 'Untitled');
+      const url = getFieldValue(opportunity, 'url');
+      lines.push('', url ? `### [${title}](<${String(url).replace(/[<>\s]/g, encodeURIComponent)}>)` : `### ${title}`, '');
+
+      const outlet = getFieldValue(opportunity, 'mediaOutlet');
+      const deadline = getFieldValue(opportunity, 'deadline');
+      const days = getColumnValue(opportunity, 'daysToDeadline', now);
+      const priority = getColumnValue(opportunity, 'aiPriority', now);
+      const details = [
+        outlet && `**Outlet:** ${escapeMarkdown(formatColumnValue(outlet))}`,
+        deadline && `**Deadline:** ${escapeMarkdown(deadline)}${days === null ? '' : ` (${days < 0 ? 'passed' : `${days}d left`})`}`,
+        `**Stage:** ${PIPELINE_STATUS_LABELS[getPipelineStatus(opportunity)]}`,
+        priority !== null && `**AI priority:** ${escapeMarkdown(priority)}`
+      ].filter(Boolean);
+      details.forEach(detail => lines.push(`- ${detail}`));
+
+      const summary = opportunity.aiAnalysis?.summary;
+      const description = getFieldValue(opportunity, 'description');
+      if (summary) {
+        lines.push('', `> ${escapeMarkdown(summary)}`);
+      } else if (description) {
+        const text = escapeMarkdown(description);
+        lines.push('', `> ${text.length > DIGEST_DESCRIPTION_LENGTH ? `${text.slice(0, DIGEST_DESCRIPTION_LENGTH).trimEnd()}…` : text}`);
+      }
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Built-in file exporters by format
+ * @type {Object<string, {label: string, extension: string, mimeType: string, profileTarget?: string, build: Function}>}
+ */
+export const FILE_EXPORTERS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8', profileTarget: 'csv', build: buildCsv },
+  xlsx: {
+    label: 'Excel (one sheet per platform)',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    profileTarget: 'xlsx',
+    build: buildXlsxWorkbook
+  },
+  json: { label: 'JSON (all fields)', extension: 'json', mimeType: 'application/json', build: buildJson },
+  ndjson: { label: 'NDJSON (one per line)', extension: 'ndjson', mimeType: 'application/x-ndjson', build: buildNdjson },
+  markdown: { label: 'Markdown digest', extension: 'md', mimeType: 'text/markdown;charset=utf-8', build: buildMarkdownDigest }
+};
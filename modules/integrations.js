@@ -1,27 +1,44 @@
 /**
  * IntegrationsManager - Handles external integrations
- * Supports Google Sheets, CSV, and other export options
+ * Supports Google Sheets, Notion, Airtable, outgoing webhooks, and file downloads (CSV, Excel, JSON, NDJSON, Markdown)
  */
 import { storageManager } from './storage.js';
 import { logManager } from './logger.js';
+import { notionExporter } from './notionExport.js';
+import { airtableExporter } from './airtableExport.js';
+import { sheetsSync } from './sheetsSync.js';
+import { exportProfileManager, DEFAULT_EXPORT_PROFILE } from './exportProfiles.js';
+import { FILE_EXPORTERS, buildCsv } from './fileExporters.js';
+import { webhookManager, WEBHOOK_EVENTS } from './webhooks.js';
+
+/**
+ * Database exporters by retry type; each upserts by externalId and returns
+ * {created, updated, failed, retryable}
+ */
+const DATABASE_EXPORTERS = {
+  notion: { label: 'Notion', exporter: notionExporter },
+  airtable: { label: 'Airtable', exporter: airtableExporter }
+};
 
 class IntegrationsManager {
   /**
    * Initialize integrations manager
    */
   constructor() {
-    this.DEFAULT_WEBAPP_URL = 'https://script.google.com/a/macros/qubit.capital/s/AKfycbxlje612pVpLl9ttLHqRegEEsk1vf6_UFfFZ_oMazrUjt2d_Jel96fwDNj-zHef6i8/exec';
-    
     // Track failed requests for automatic retry
     this.pendingSends = [];
     this.retryDelay = 5000; // 5 seconds initial retry delay
     this.maxRetries = 3;    // Maximum number of retries
+    
+    // File download formats by key; more can be added with registerExporter
+    this.fileExporters = { ...FILE_EXPORTERS };
   }
 
   /**
-   * Send opportunities to Google Sheets
+   * Send opportunities to Google Sheets, upserting rows by ID.
+   * Rows edited in the sheet since the last sync are left for the next sync to merge.
    * @param {Array} opportunities - Opportunities to send
-   * @returns {Promise<Object>} Result object
+   * @returns {Promise<Object>} Result object with created/updated/stale counts
    */
   async sendToGoogleSheets(opportunities) {
     if (!opportunities || !Array.isArray(opportunities) || opportunities.length === 0) {
@@ -33,68 +50,55 @@ class IntegrationsManager {
     logManager.startPerformanceMeasure('googleSheetsSend');
     
     try {
-      // Normalize data for Google Sheets
-      const normalizedOpportunities = this._normalizeOpportunitiesForSheets(opportunities);
+      const result = await sheetsSync.push(opportunities);
+      storageManager.updateLastSyncTime();
       
-      // Get settings to find the web app URL
-      const settings = await storageManager.getSettings();
-      const webAppUrl = settings.googleSheetsWebAppUrl || this.DEFAULT_WEBAPP_URL;
+      return {
+        success: true,
+        ...result,
+        message: `Sent to Google Sheets: ${result.created} added, ${result.updated} updated` +
+          (result.stale > 0 ? `, ${result.stale} edited in the sheet (sync to merge)` : '')
+      };
+    } catch (error) {
+      logManager.error('Error sending to Google Sheets:', error.message);
       
-      logManager.log('Using Google Sheets web app URL:', webAppUrl);
+      // Queue for retry if it's a network or server error
+      if (error.retryable) {
+        this._queueForRetry('googleSheets', opportunities);
+      }
       
-      // Send to Google Sheets via background script
-      return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: 'sendToGoogleSheet',
-          data: {
-            opportunities: normalizedOpportunities
-          }
-        }, (response) => {
-          logManager.endPerformanceMeasure('googleSheetsSend');
-          
-          if (chrome.runtime.lastError) {
-            logManager.error('Error sending to Google Sheets:', chrome.runtime.lastError);
-            
-            // Queue for retry if it's a network error
-            this._queueForRetry('googleSheets', normalizedOpportunities);
-            
-            resolve({ 
-              success: false, 
-              error: chrome.runtime.lastError.message || 'Unknown error',
-              queued: true
-            });
-            return;
-          }
-          
-          if (response && response.success) {
-            logManager.log('Successfully sent to Google Sheets');
-            
-            // Update the last sync timestamp
-            storageManager.updateLastSyncTime();
-            
-            resolve({ 
-              success: true, 
-              message: `Successfully sent ${opportunities.length} opportunities to Google Sheets`
-            });
-          } else {
-            logManager.error('Failed to send to Google Sheets:', response?.error || 'Unknown error');
-            
-            // Queue for retry if appropriate
-            if (response?.error && response.error.includes('network')) {
-              this._queueForRetry('googleSheets', normalizedOpportunities);
-            }
-            
-            resolve({ 
-              success: false, 
-              error: response?.error || 'Failed to send to Google Sheets',
-              queued: response?.error && response.error.includes('network')
-            });
-          }
-        });
-      });
+      return { success: false, error: error.message || 'Unknown error', queued: Boolean(error.retryable) };
+    } finally {
+      logManager.endPerformanceMeasure('googleSheetsSend');
+    }
+  }
+
+  /**
+   * Two-way sync with Google Sheets: pull rows the team edited (status, owner,
+   * notes) into local storage, then upsert local changes
+   * @returns {Promise<Object>} Result object with pulled/applied/created/updated counts and open conflicts
+   */
+  async syncGoogleSheets() {
+    logManager.startPerformanceMeasure('googleSheetsSync');
+    
+    try {
+      const result = await sheetsSync.sync();
+      storageManager.updateLastSyncTime();
+      
+      const parts = [`${result.applied} updated from the sheet`, `${result.created} added`, `${result.updated} updated in the sheet`];
+      if (result.conflicts.length > 0) {
+        parts.push(`${result.conflicts.length} conflicts to resolve`);
+      }
+      if (result.rejected.length > 0) {
+        parts.push(`${result.rejected.length} sheet values ignored`);
+      }
+      
+      return { success: true, ...result, message: `Google Sheets synced: ${parts.join(', ')}` };
     } catch (error) {
-      logManager.error('Exception in sendToGoogleSheets:', error);
+      logManager.error('Error syncing Google Sheets:', error.message);
       return { success: false, error: error.message || 'Unknown error' };
+    } finally {
+      logManager.endPerformanceMeasure('googleSheetsSync');
     }
   }
 
@@ -161,6 +165,19 @@ class IntegrationsManager {
       if (item.type === 'googleSheets') {
         // Send without going through the regular method to avoid another retry queue
         result = await this._directSendToGoogleSheets(item.data);
+      } else if (item.type === 'webhook') {
+        result = await webhookManager.deliver(item.data, {
+          attempt: item.retryCount + 2,
+          canRetry: item.retryCount + 1 < this.maxRetries
+        });
+        // The receiver rejected the payload itself; sending it again won't help
+        result.giveUp = !result.success && !result.retryable;
+      } else if (DATABASE_EXPORTERS[item.type]) {
+        result = await this._directExportToDatabase(item.type, item.data);
+        // Keep only what still needs another attempt
+        if (result.retryable && result.retryable.length > 0) {
+          item.data = result.retryable;
+        }
       } else {
         logManager.warn(`Unknown retry type: ${item.type}`);
         result = { success: false, error: 'Unknown retry type' };
@@ -179,7 +196,10 @@ class IntegrationsManager {
         item.retryScheduled = false;
         
         // If max retries reached, remove from queue
-        if (item.retryCount >= this.maxRetries) {
+        if (result.giveUp) {
+          logManager.error(`Retry for ${item.type} can't succeed, giving up`);
+          this.pendingSends = this.pendingSends.filter(i => i !== item);
+        } else if (item.retryCount >= this.maxRetries) {
           logManager.error(`Max retries reached for ${item.type}, giving up`);
           this.pendingSends = this.pendingSends.filter(i => i !== item);
         }
@@ -210,106 +230,113 @@ class IntegrationsManager {
    */
   async _directSendToGoogleSheets(opportunities) {
     try {
-      const settings = await storageManager.getSettings();
-      const webAppUrl = settings.googleSheetsWebAppUrl || this.DEFAULT_WEBAPP_URL;
-      
-      const payload = JSON.stringify({ opportunities: opportunities });
-      
-      const response = await fetch(webAppUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: payload
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Google Sheets API responded with status: ${response.status}`);
-      }
-      
-      const responseText = await response.text();
-      let responseData;
-      
-      try {
-        responseData = JSON.parse(responseText);
-      } catch (e) {
-        responseData = { message: responseText };
-      }
-      
-      return { success: true, data: responseData };
+      const result = await sheetsSync.push(opportunities);
+      return { success: true, ...result };
     } catch (error) {
       return { success: false, error: error.message || 'Unknown error' };
     }
   }
 
   /**
-   * Generate and download a CSV file
+   * Add or replace a file export format
+   * @param {string} format - Format key, e.g. 'csv'
+   * @param {Object} exporter - {label, extension, mimeType, profileTarget?, build(opportunities, {profile, now})}
+   * @throws {Error} If the exporter has no build function or extension
+   */
+  registerExporter(format, exporter) {
+    if (!exporter || typeof exporter.build !== 'function' || !exporter.extension) {
+      throw new Error(`Exporter "${format}" needs a build function and a file extension`);
+    }
+    this.fileExporters[format] = { mimeType: 'application/octet-stream', label: format, ...exporter };
+  }
+
+  /**
+   * List the registered file export formats, for format pickers
+   * @returns {Array<{format: string, label: string, extension: string}>}
+   */
+  getExporters() {
+    return Object.entries(this.fileExporters).map(([format, exporter]) => ({
+      format,
+      label: exporter.label,
+      extension: exporter.extension
+    }));
+  }
+
+  /**
+   * Build a file in a registered format and download it
+   * @param {string} format - Format key (see getExporters)
    * @param {Array} opportunities - Opportunities to include
-   * @returns {Object} Result object
+   * @returns {Promise<Object>} Result object
    */
-  downloadCSV(opportunities) {
+  async exportFile(format, opportunities) {
+    const exporter = this.fileExporters[format];
+    if (!exporter) {
+      return { success: false, error: `Unknown export format: ${format}` };
+    }
     if (!opportunities || !Array.isArray(opportunities) || opportunities.length === 0) {
-      logManager.warn('No opportunities to export as CSV');
+      logManager.warn(`No opportunities to export as ${exporter.label}`);
       return { success: false, error: 'No opportunities to export' };
     }
     
-    logManager.log(`Generating CSV for ${opportunities.length} opportunities`);
+    logManager.log(`Generating ${exporter.label} export for ${opportunities.length} opportunities`);
     
     try {
-      const csvContent = this._generateCSV(opportunities);
+      const profile = exporter.profileTarget
+        ? await exportProfileManager.getProfileForTarget(exporter.profileTarget)
+        : null;
+      const content = await exporter.build(opportunities, { profile: profile || DEFAULT_EXPORT_PROFILE, now: new Date() });
+      const filename = `sourcebottle-opportunities-${new Date().toISOString().split('T')[0]}.${exporter.extension}`;
       
-      if (!csvContent) {
-        return { success: false, error: 'Failed to generate CSV content' };
-      }
-      
-      // Create a data URI for the CSV
-      const encodedUri = encodeURI('data:text/csv;charset=utf-8,' + csvContent);
-      
-      // Create a link element and trigger download
-      const link = document.createElement('a');
-      link.setAttribute('href', encodedUri);
-      link.setAttribute('download', `sourcebottle-opportunities-${new Date().toISOString().split('T')[0]}.csv`);
-      document.body.appendChild(link);
-      
-      // Trigger download and clean up
-      link.click();
-      document.body.removeChild(link);
+      this._downloadFile(content, filename, exporter.mimeType);
       
-      return { success: true, message: `Downloaded CSV with ${opportunities.length} opportunities` };
+      return { success: true, format, filename, message: `Downloaded ${exporter.label} with ${opportunities.length} opportunities` };
     } catch (error) {
-      logManager.error('Error downloading CSV:', error);
+      logManager.error(`Error exporting ${format}:`, error);
       return { success: false, error: error.message || 'Unknown error' };
     }
   }
 
+  /**
+   * Download content as a file through a Blob URL, which unlike a data: URI
+   * has no size limit and needs no escaping
+   * @param {string|Uint8Array} content - File content
+   * @param {string} filename - Download file name
+   * @param {string} mimeType - Content type
+   * @private
+   */
+  _downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Revoking straight away can cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  /**
+   * Generate and download a CSV file with the columns of the CSV export profile
+   * @param {Array} opportunities - Opportunities to include
+   * @returns {Promise<Object>} Result object
+   */
+  async downloadCSV(opportunities) {
+    return this.exportFile('csv', opportunities);
+  }
+
   /**
    * Generate CSV content
    * @param {Array} opportunities - Opportunities to include
+   * @param {Object} [profile] - Export profile choosing the columns (defaults to DEFAULT_EXPORT_PROFILE)
    * @returns {string} CSV content
    * @private
    */
-  _generateCSV(opportunities) {
+  _generateCSV(opportunities, profile = DEFAULT_EXPORT_PROFILE) {
     try {
-      // CSV header
-      let csvContent = "Title,Description,Category,Deadline,Source,Media Outlet,Journalist,Link\n";
-      
-      // Add each opportunity as a row
-      opportunities.forEach(opp => {
-        // Escape fields that might contain commas or quotes
-        const escapedTitle = opp.title ? `"${opp.title.replace(/"/g, '""')}"` : '""';
-        const escapedDesc = opp.description ? `"${opp.description.replace(/"/g, '""')}"` : '""';
-        const escapedCategory = opp.category ? `"${opp.category.replace(/"/g, '""')}"` : '""';
-        const escapedDeadline = opp.deadline ? `"${opp.deadline.replace(/"/g, '""')}"` : '""';
-        const escapedSource = opp.source ? `"${opp.source.replace(/"/g, '""')}"` : '""';
-        const escapedMediaOutlet = opp.mediaOutlet ? `"${opp.mediaOutlet.replace(/"/g, '""')}"` : '""';
-        const escapedJournalist = opp.journalist ? `"${opp.journalist.replace(/"/g, '""')}"` : '""';
-        const escapedLink = opp.submissionLink ? `"${opp.submissionLink.replace(/"/g, '""')}"` : '""';
-        
-        // Add row
-        csvContent += `${escapedTitle},${escapedDesc},${escapedCategory},${escapedDeadline},${escapedSource},${escapedMediaOutlet},${escapedJournalist},${escapedLink}\n`;
-      });
-      
-      return csvContent;
+      return buildCsv(opportunities, { profile });
     } catch (error) {
       logManager.error('Error generating CSV:', error);
       return null;
@@ -317,44 +344,135 @@ class IntegrationsManager {
   }
 
   /**
-   * Normalize opportunities for Google Sheets
-   * @param {Array} opportunities - Opportunities to normalize
-   * @returns {Array} Normalized opportunities
-   * @private
+   * Export opportunities to the configured Notion database, updating pages
+   * that already exist for an opportunity's externalId.
+   * Opportunities that fail on network, rate-limit or server errors are queued for retry.
+   * @param {Array} opportunities - Opportunities to export
+   * @returns {Promise<Object>} Result object with created/updated counts and per-opportunity failures
    */
-  _normalizeOpportunitiesForSheets(opportunities) {
-    return opportunities.map(opp => ({
-      "Title": opp.title || '',
-      "Description": opp.description || '',
-      "Category": opp.category || '',
-      "Deadline": opp.deadline || opp.date || '',
-      "Source": opp.source || 'sourcebottle',
-      "Media Outlet": opp.mediaOutlet || '',
-      "Journalist": opp.journalist || '',
-      "Link": opp.submissionLink || opp.link || ''
-    }));
+  async exportToNotion(opportunities) {
+    return this._exportToDatabase('notion', opportunities);
   }
 
   /**
-   * Export opportunities to Notion (placeholder for future implementation)
+   * Export opportunities to the configured Airtable table in 10-record batches,
+   * updating rows that already exist for an opportunity's externalId.
+   * Opportunities that fail on network, rate-limit or server errors are queued for retry.
    * @param {Array} opportunities - Opportunities to export
-   * @returns {Promise<Object>} Result object
+   * @returns {Promise<Object>} Result object with created/updated counts and per-opportunity failures
    */
-  async exportToNotion(opportunities) {
-    // This is a placeholder for future Notion integration
-    logManager.log('Notion export not yet implemented');
-    return { success: false, error: 'Notion integration not yet implemented' };
+  async exportToAirtable(opportunities) {
+    return this._exportToDatabase('airtable', opportunities);
   }
 
   /**
-   * Export opportunities to Airtable (placeholder for future implementation)
+   * Export through one of the DATABASE_EXPORTERS, queueing transient failures
+   * @param {string} type - 'notion' or 'airtable'
    * @param {Array} opportunities - Opportunities to export
    * @returns {Promise<Object>} Result object
+   * @private
    */
-  async exportToAirtable(opportunities) {
-    // This is a placeholder for future Airtable integration
-    logManager.log('Airtable export not yet implemented');
-    return { success: false, error: 'Airtable integration not yet implemented' };
+  async _exportToDatabase(type, opportunities) {
+    const { label, exporter } = DATABASE_EXPORTERS[type];
+    
+    if (!opportunities || !Array.isArray(opportunities) || opportunities.length === 0) {
+      logManager.warn(`No opportunities to export to ${label}`);
+      return { success: false, error: 'No opportunities to export' };
+    }
+    
+    logManager.log(`Exporting ${opportunities.length} opportunities to ${label}`);
+    
+    try {
+      const result = await exporter.export(opportunities);
+      
+      if (result.retryable.length > 0) {
+        this._queueForRetry(type, result.retryable);
+      }
+      
+      const response = {
+        success: result.failed.length === 0 && result.retryable.length === 0,
+        created: result.created,
+        updated: result.updated,
+        failed: result.failed,
+        queued: result.retryable.length,
+        message: `${label}: ${result.created} created, ${result.updated} updated` +
+          (result.failed.length ? `, ${result.failed.length} failed` : '') +
+          (result.retryable.length ? `, ${result.retryable.length} queued for retry` : '')
+      };
+      if (!response.success) {
+        response.error = result.failed[0]?.error || 'Some opportunities were queued for retry';
+      }
+      return response;
+    } catch (error) {
+      logManager.error(`Exception in exportTo${label}:`, error);
+      return { success: false, error: error.message || 'Unknown error' };
+    }
+  }
+
+  /**
+   * Direct export through a database exporter (for retry mechanism)
+   * @param {string} type - 'notion' or 'airtable'
+   * @param {Array} opportunities - Opportunities to export
+   * @returns {Promise<Object>} Result object; `retryable` holds what still failed transiently
+   * @private
+   */
+  async _directExportToDatabase(type, opportunities) {
+    const { label, exporter } = DATABASE_EXPORTERS[type];
+    try {
+      const result = await exporter.export(opportunities);
+      
+      if (result.failed.length > 0) {
+        logManager.error(`${label} export rejected some opportunities:`, result.failed);
+      }
+      
+      return {
+        success: result.retryable.length === 0,
+        retryable: result.retryable,
+        error: `${result.retryable.length} opportunities still failing`
+      };
+    } catch (error) {
+      return { success: false, error: error.message || 'Unknown error' };
+    }
+  }
+
+  /**
+   * Post an event to every enabled webhook subscribed to it, one delivery per
+   * opportunity. Deliveries that fail on network, rate-limit or server errors
+   * are queued for retry; every attempt is written to the delivery log.
+   * @param {string} event - 'new', 'matched-rule' or 'status-changed'
+   * @param {Array} opportunities - Opportunities the event is about
+   * @param {Object} [details] - {rule} for matched-rule, {status: {from, to}} for status-changed
+   * @returns {Promise<Object>} Result object with delivered/failed/queued counts
+   */
+  async sendWebhookEvent(event, opportunities, details = {}) {
+    if (!WEBHOOK_EVENTS[event]) {
+      return { success: false, error: `Unknown webhook event: ${event}` };
+    }
+    
+    try {
+      const deliveries = await webhookManager.createDeliveries(event, opportunities, details);
+      const counts = { delivered: 0, failed: 0, queued: 0 };
+      
+      for (const delivery of deliveries) {
+        const result = await webhookManager.deliver(delivery, { canRetry: this.maxRetries > 0 });
+        if (result.success) {
+          counts.delivered++;
+        } else if (result.retryable && this.maxRetries > 0) {
+          this._queueForRetry('webhook', delivery);
+          counts.queued++;
+        } else {
+          counts.failed++;
+        }
+      }
+      
+      if (deliveries.length > 0) {
+        logManager.log(`Webhook ${event}: ${counts.delivered} delivered, ${counts.failed} failed, ${counts.queued} queued for retry`);
+      }
+      return { success: counts.failed === 0 && counts.queued === 0, ...counts };
+    } catch (error) {
+      logManager.error(`Exception sending ${event} webhooks:`, error);
+      return { success: false, error: error.message || 'Unknown error' };
+    }
   }
 
   /**
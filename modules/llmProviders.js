@@ -0,0 +1,424 @@
+/**
+ * LLM Providers - Pluggable chat/embedding backends for the AI service
+ *
+ * Every provider speaks the OpenAI chat-completions and embeddings wire format
+ * and differs only in URL, auth header and how the model is named:
+ * - azure:      Azure OpenAI, model = deployment name, `api-key` header
+ * - openai:     api.openai.com, model in the body, Bearer token
+ * - compatible: any OpenAI-compatible server (llama.cpp, Ollama, vLLM, LM Studio)
+ *
+ * Each prompt type can be routed to its own provider and model, e.g. a local
+ * model for bulk triage and a hosted one for pitch drafting.
+ */
+
+/**
+ * chrome.storage.local key for provider settings
+ * @type {string}
+ */
+export const LLM_SETTINGS_KEY = 'llmProviderSettings';
+
+/**
+ * Prompt types that can be routed to a provider/model
+ * @type {string[]}
+ */
+export const PROMPT_TYPES = [
+  'prioritize', 'categorize', 'summarize', 'suggest-response', 'sentiment',
+  'pitch', 'competitive-analysis', 'actionable-summary', 'embedding'
+];
+
+/**
+ * Display labels for prompt types
+ * @type {Object<string, string>}
+ */
+export const PROMPT_TYPE_LABELS = {
+  prioritize: 'Prioritize',
+  categorize: 'Categorize',
+  summarize: 'Summarize',
+  'suggest-response': 'Suggest response',
+  sentiment: 'Sentiment',
+  pitch: 'Pitch draft',
+  'competitive-analysis': 'Competitive analysis',
+  'actionable-summary': 'Actionable summary',
+  embedding: 'Embeddings'
+};
+
+/**
+ * Default settings. Routes left empty use the default provider and its default model.
+ * @type {Object}
+ */
+export const DEFAULT_LLM_SETTINGS = {
+  defaultProvider: 'azure',
+  providers: {
+    azure: {
+      resourceName: '',
+      apiKey: '',
+      deploymentId: '',
+      embeddingDeploymentId: '',
+      apiVersion: '2023-05-15'
+    },
+    openai: {
+      apiKey: '',
+      model: 'gpt-4o-mini',
+      embeddingModel: 'text-embedding-3-small'
+    },
+    compatible: {
+      baseUrl: 'http://localhost:11434/v1',
+      apiKey: '',
+      model: '',
+      embeddingModel: '',
+      supportsJsonMode: false
+    }
+  },
+  routing: {}
+};
+
+/**
+ * Base class for OpenAI-wire-format providers
+ */
+class LLMProvider {
+  /**
+   * @param {Object} settings - Provider-specific settings
+   */
+  constructor(settings = {}) {
+    this.settings = settings;
+  }
+
+  /**
+   * Display name used in errors and the settings page
+   * @returns {string}
+   */
+  get label() {
+    return 'LLM provider';
+  }
+
+  /**
+   * Whether the required settings are filled in
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Model used for chat when a route names none
+   * @returns {string}
+   */
+  get defaultModel() {
+    return this.settings.model || '';
+  }
+
+  /**
+   * Model used for embeddings when a route names none
+   * @returns {string}
+   */
+  get defaultEmbeddingModel() {
+    return this.settings.embeddingModel || this.defaultModel;
+  }
+
+  /**
+   * Request headers, including auth
+   * @returns {Object}
+   */
+  getHeaders() {
+    return { 'Content-Type': 'application/json' };
+  }
+
+  /**
+   * Endpoint URL. Subclasses take the endpoint ('chat/completions' or
+   * 'embeddings') and the model (or deployment) name.
+   * @returns {string}
+   */
+  getUrl() {
+    throw new Error('Method "getUrl" must be implemented by subclass');
+  }
+
+  /**
+   * Build the request body for a chat payload
+   * @param {Object} payload - OpenAI chat payload (messages, temperature, ...)
+   * @param {string} model - Model name
+   * @returns {Object}
+   */
+  buildChatBody(payload, model) {
+    return { ...payload, model };
+  }
+
+  /**
+   * POST a JSON body and return the parsed response
+   * @param {string} url - Endpoint URL
+   * @param {Object} body - Request body
+   * @param {string} [errorLabel] - What to call a failed request in the error message
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _request(url, body, errorLabel = 'API error') {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${this.label} ${errorLabel} (${response.status}): ${errorText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} payload - OpenAI chat payload
+   * @param {string} [model] - Model name, defaults to the provider's default model
+   * @returns {Promise<Object>} OpenAI-format response ({choices: [...]})
+   */
+  async chat(payload, model) {
+    const resolvedModel = model || this.defaultModel;
+    return this._request(this.getUrl('chat/completions', resolvedModel), this.buildChatBody(payload, resolvedModel));
+  }
+
+  /**
+   * Generate an embedding
+   * @param {string} text - Text to embed
+   * @param {string} [model] - Embedding model name
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  async embed(text, model) {
+    const resolvedModel = model || this.defaultEmbeddingModel;
+    const data = await this._request(
+      this.getUrl('embeddings', resolvedModel),
+      { input: text, model: resolvedModel },
+      'API embedding error'
+    );
+
+    if (!data.data || !data.data[0] || !data.data[0].embedding) {
+      throw new Error(`Invalid embedding response structure from ${this.label}`);
+    }
+    return data.data[0].embedding;
+  }
+
+  /**
+   * Send a one-token request to check URL, credentials and model
+   * @param {string} [model] - Model to test, defaults to the provider's default model
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async testConnection(model) {
+    if (!this.isConfigured()) {
+      return { success: false, message: `${this.label} is missing required settings` };
+    }
+
+    try {
+      const data = await this.chat({
+        messages: [{ role: 'user', content: 'Reply with OK.' }],
+        max_tokens: 1,
+        temperature: 0
+      }, model);
+      const usedModel = data.model || model || this.defaultModel;
+      return { success: true, message: `Connection successful! ${this.label} answered using ${usedModel}.` };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+/**
+ * Azure OpenAI: one deployment per model
+ */
+class AzureOpenAIProvider extends LLMProvider {
+  get label() {
+    return 'Azure OpenAI';
+  }
+
+  /**
+   * Resource name without the domain, whatever form it was entered in
+   * @returns {string}
+   */
+  get resourceName() {
+    return String(this.settings.resourceName || '')
+      .replace(/^https?:\/\//, '')
+      .replace(/\.openai\.azure\.com.*$/, '')
+      .trim();
+  }
+
+  get defaultModel() {
+    return this.settings.deploymentId || '';
+  }
+
+  get defaultEmbeddingModel() {
+    return this.settings.embeddingDeploymentId || this.defaultModel;
+  }
+
+  isConfigured() {
+    return Boolean(this.resourceName && this.settings.apiKey && this.settings.deploymentId);
+  }
+
+  getHeaders() {
+    return { ...super.getHeaders(), 'api-key': this.settings.apiKey };
+  }
+
+  getUrl(endpoint, model) {
+    // Strip stray quotes pasted along with the API version
+    const apiVersion = String(this.settings.apiVersion || '2023-05-15').replace(/['"`]+$/, '');
+    return `https://${this.resourceName}.openai.azure.com/openai/deployments/${model}/${endpoint}?api-version=${apiVersion}`;
+  }
+
+  buildChatBody(payload) {
+    // The deployment in the URL selects the model
+    return { ...payload };
+  }
+}
+
+/**
+ * OpenAI (api.openai.com)
+ */
+class OpenAIProvider extends LLMProvider {
+  get label() {
+    return 'OpenAI';
+  }
+
+  /**
+   * API base URL without a trailing slash
+   * @returns {string}
+   */
+  get baseUrl() {
+    return 'https://api.openai.com/v1';
+  }
+
+  isConfigured() {
+    return Boolean(this.settings.apiKey && this.defaultModel);
+  }
+
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (this.settings.apiKey) {
+      headers.Authorization = `Bearer ${this.settings.apiKey}`;
+    }
+    return headers;
+  }
+
+  getUrl(endpoint) {
+    return `${this.baseUrl}/${endpoint}`;
+  }
+}
+
+/**
+ * Any OpenAI-compatible server, e.g. llama.cpp (`http://localhost:8080/v1`)
+ * or Ollama (`http://localhost:11434/v1`). The API key is optional.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  get label() {
+    return 'OpenAI-compatible server';
+  }
+
+  get baseUrl() {
+    return String(this.settings.baseUrl || '').trim().replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl && this.defaultModel);
+  }
+
+  buildChatBody(payload, model) {
+    const body = super.buildChatBody(payload, model);
+    // Many local servers reject or ignore response_format; the prompts ask for JSON anyway
+    if (!this.settings.supportsJsonMode) {
+      delete body.response_format;
+    }
+    return body;
+  }
+}
+
+/**
+ * Provider classes by type, with display labels for the settings page
+ * @type {Object<string, {label: string, ProviderClass: Function}>}
+ */
+export const PROVIDER_TYPES = {
+  azure: { label: 'Azure OpenAI', ProviderClass: AzureOpenAIProvider },
+  openai: { label: 'OpenAI', ProviderClass: OpenAIProvider },
+  compatible: { label: 'OpenAI-compatible (llama.cpp, Ollama, ...)', ProviderClass: OpenAICompatibleProvider }
+};
+
+/**
+ * Create a provider
+ * @param {string} type - One of PROVIDER_TYPES
+ * @param {Object} settings - Provider-specific settings
+ * @returns {LLMProvider}
+ * @throws {Error} If the type is unknown
+ */
+export function createProvider(type, settings = {}) {
+  const entry = PROVIDER_TYPES[type];
+  if (!entry) {
+    throw new Error(`Unknown LLM provider: ${type}`);
+  }
+  return new entry.ProviderClass(settings);
+}
+
+/**
+ * Fill in defaults so callers can rely on every provider and field existing
+ * @param {Object} [settings] - Stored settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeLLMSettings(settings = {}) {
+  const providers = {};
+  Object.keys(DEFAULT_LLM_SETTINGS.providers).forEach(type => {
+    providers[type] = {
+      ...DEFAULT_LLM_SETTINGS.providers[type],
+      ...(settings.providers?.[type] || {})
+    };
+  });
+
+  return {
+    defaultProvider: PROVIDER_TYPES[settings.defaultProvider] ? settings.defaultProvider : DEFAULT_LLM_SETTINGS.defaultProvider,
+    providers,
+    routing: { ...(settings.routing || {}) }
+  };
+}
+
+/**
+ * Work out which provider and model handle a prompt type
+ * @param {Object} settings - Normalized settings
+ * @param {string} promptType - One of PROMPT_TYPES
+ * @returns {{type: string, provider: LLMProvider, model: string}}
+ */
+export function resolveRoute(settings, promptType) {
+  const route = settings.routing?.[promptType] || {};
+  const type = PROVIDER_TYPES[route.provider] ? route.provider : settings.defaultProvider;
+  const provider = createProvider(type, settings.providers[type]);
+  const model = route.model || (promptType === 'embedding' ? provider.defaultEmbeddingModel : provider.defaultModel);
+
+  return { type, provider, model };
+}
+
+/**
+ * Load provider settings from chrome.storage, seeding the Azure provider from
+ * the settings saved before providers existed (`azureOpenAISettings`)
+ * @returns {Promise<Object>} Normalized settings
+ */
+export async function loadLLMSettings() {
+  const stored = await new Promise(resolve => {
+    chrome.storage.local.get([LLM_SETTINGS_KEY, 'azureOpenAISettings'], result => resolve(result || {}));
+  });
+
+  if (stored[LLM_SETTINGS_KEY]) {
+    return normalizeLLMSettings(stored[LLM_SETTINGS_KEY]);
+  }
+
+  return normalizeLLMSettings({
+    defaultProvider: 'azure',
+    providers: { azure: stored.azureOpenAISettings || {} }
+  });
+}
+
+/**
+ * Save provider settings to chrome.storage
+ * @param {Object} settings - Settings to save
+ * @returns {Promise<Object>} The normalized settings that were saved
+ */
+export async function saveLLMSettings(settings) {
+  const normalized = normalizeLLMSettings(settings);
+  await new Promise(resolve => {
+    chrome.storage.local.set({ [LLM_SETTINGS_KEY]: normalized }, resolve);
+  });
+  return normalized;
+}
+
+export { LLMProvider, AzureOpenAIProvider, OpenAIProvider, OpenAICompatibleProvider };
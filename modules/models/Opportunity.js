@@ -20,6 +20,27 @@
  * @property {string} [mediaOutlet] - Optional media outlet or brand name
  * @property {boolean} [hasExpertRequest] - Optional flag for expert requests
  * @property {string} [scrapedAt] - Timestamp when the opportunity was scraped
+ * @property {string} [status] - Pipeline stage, one of PIPELINE_STATUSES (defaults to 'new')
+ * @property {StatusChange[]} [statusHistory] - Every pipeline transition, oldest first
+ * @property {Object<string, string>} [statusTimestamps] - When the opportunity last entered each stage
+ * @property {Object<string, *>} [overrides] - Field values set by the user, kept over rescraped values
+ * @property {FieldEdit[]} [editHistory] - Every field edit made by the user, oldest first
+ */
+
+/**
+ * @typedef {Object} StatusChange
+ * @property {string} status - Stage entered
+ * @property {string|null} from - Stage left (null for the initial entry)
+ * @property {string} at - ISO timestamp of the transition
+ * @property {string} [note] - Optional note about the transition
+ */
+
+/**
+ * @typedef {Object} FieldEdit
+ * @property {string} field - Field edited
+ * @property {*} from - Value before the edit
+ * @property {*} to - Value after the edit
+ * @property {string} at - ISO timestamp of the edit
  */
 
 /**
@@ -74,9 +95,269 @@ export function createEmptyOpportunity() {
   };
 }
 
+/**
+ * Source given to opportunities entered by hand
+ * 
+ * @type {string}
+ */
+export const MANUAL_SOURCE = 'manual';
+
+/**
+ * Fields the user can set by hand, with their display names
+ * 
+ * @type {Object<string, string>}
+ */
+export const EDITABLE_FIELDS = {
+  title: 'Title',
+  description: 'Description',
+  url: 'Link',
+  deadline: 'Deadline',
+  mediaOutlet: 'Media Outlet',
+  journalist: 'Journalist',
+  category: 'Category',
+  tags: 'Tags'
+};
+
+/**
+ * Longest accepted value for free-text fields
+ * 
+ * @type {Object<string, number>}
+ */
+const FIELD_MAX_LENGTHS = {
+  title: 500,
+  description: 5000,
+  mediaOutlet: 200,
+  journalist: 200,
+  category: 100
+};
+
+/**
+ * Bring a value entered by hand to the form stored on the opportunity:
+ * trimmed text (null when blank) and tags as an array
+ * 
+ * @param {string} field - Field name
+ * @param {*} value - Entered value
+ * @returns {*} Stored value
+ */
+function cleanFieldValue(field, value) {
+  if (field === 'tags') {
+    const tags = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+    return tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  const text = String(value ?? '').trim();
+  return text || null;
+}
+
+/**
+ * Validate field values entered by hand
+ * 
+ * @param {Object} fields - Values keyed by field name (see EDITABLE_FIELDS)
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial] - Only check the fields given, for edits
+ *   of an existing opportunity
+ * @returns {Object<string, string>} Error message per invalid field, empty if valid
+ */
+export function validateOpportunityFields(fields, options = {}) {
+  const errors = {};
+  const values = Object.fromEntries(Object.keys(EDITABLE_FIELDS)
+    .filter(field => !options.partial || field in fields)
+    .map(field => [field, cleanFieldValue(field, fields[field])]));
+
+  ['title', 'description', 'url'].forEach(field => {
+    if (field in values && !values[field]) {
+      errors[field] = `${EDITABLE_FIELDS[field]} is required`;
+    }
+  });
+
+  Object.entries(FIELD_MAX_LENGTHS).forEach(([field, max]) => {
+    if (values[field] && values[field].length > max) {
+      errors[field] = `${EDITABLE_FIELDS[field]} must be at most ${max} characters`;
+    }
+  });
+
+  if (values.url && !/^https?:\/\/[^\s/$.?#][^\s]*$/i.test(values.url)) {
+    errors.url = 'Link must be a web address starting with http:// or https://';
+  }
+
+  if (values.deadline && isNaN(new Date(values.deadline).getTime())) {
+    errors.deadline = 'Deadline must be a date';
+  }
+
+  return errors;
+}
+
+/**
+ * Apply field edits made by the user. Each changed field is recorded in the
+ * edit history and kept in `overrides`, so a rescrape of the same opportunity
+ * doesn't put the scraped value back.
+ * 
+ * @param {Opportunity} opportunity - The opportunity to edit
+ * @param {Object} changes - New values keyed by field name; fields outside
+ *   EDITABLE_FIELDS are ignored
+ * @param {Object} [options] - Edit options
+ * @param {string} [options.at] - ISO timestamp (defaults to now)
+ * @returns {Opportunity} A new opportunity object with the edits applied
+ */
+export function applyEdits(opportunity, changes, options = {}) {
+  const at = options.at || new Date().toISOString();
+  const updated = {
+    ...opportunity,
+    overrides: { ...(opportunity.overrides || {}) },
+    editHistory: Array.isArray(opportunity.editHistory) ? [...opportunity.editHistory] : []
+  };
+
+  Object.keys(changes || {})
+    .filter(field => field in EDITABLE_FIELDS)
+    .forEach(field => {
+      const from = opportunity[field] ?? (field === 'tags' ? [] : null);
+      const to = cleanFieldValue(field, changes[field]);
+      if (JSON.stringify(from) === JSON.stringify(to)) {
+        return;
+      }
+      updated[field] = to;
+      updated.overrides[field] = to;
+      updated.editHistory.push({ field, from, to, at });
+    });
+
+  return updated;
+}
+
+/**
+ * Pipeline stages, in workflow order
+ * 
+ * @type {string[]}
+ */
+export const PIPELINE_STATUSES = [
+  'new',
+  'shortlisted',
+  'pitched',
+  'responded',
+  'published'
+];
+
+/**
+ * Display labels for each pipeline stage
+ * 
+ * @type {Object<string, string>}
+ */
+export const PIPELINE_STATUS_LABELS = {
+  new: 'New',
+  shortlisted: 'Shortlisted',
+  pitched: 'Pitched',
+  responded: 'Responded',
+  published: 'Published'
+};
+
+/**
+ * Allowed transitions from each stage. Each stage moves forward one step,
+ * or back one step to undo a mistaken move.
+ * 
+ * @type {Object<string, string[]>}
+ */
+export const PIPELINE_TRANSITIONS = {
+  new: ['shortlisted'],
+  shortlisted: ['pitched', 'new'],
+  pitched: ['responded', 'shortlisted'],
+  responded: ['published', 'pitched'],
+  published: ['responded']
+};
+
+/**
+ * Get the pipeline stage of an opportunity
+ * 
+ * @param {Opportunity} opportunity - The opportunity
+ * @returns {string} The stage, 'new' if none is recorded
+ */
+export function getPipelineStatus(opportunity) {
+  const status = opportunity && opportunity.status;
+  return PIPELINE_STATUSES.includes(status) ? status : 'new';
+}
+
+/**
+ * Check whether a transition between two stages is allowed
+ * 
+ * @param {string} from - Current stage
+ * @param {string} to - Target stage
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransition(from, to) {
+  return (PIPELINE_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move an opportunity to another pipeline stage
+ * 
+ * @param {Opportunity} opportunity - The opportunity to update
+ * @param {string} to - Target stage
+ * @param {Object} [options] - Transition options
+ * @param {string} [options.note] - Note to record with the transition
+ * @param {string} [options.at] - ISO timestamp (defaults to now)
+ * @param {boolean} [options.force] - Skip the allowed-transition check, for stage
+ *   changes made outside the extension (e.g. in a synced Google Sheet)
+ * @returns {Opportunity} A new opportunity object with the transition applied
+ * @throws {Error} If the target stage is unknown or the transition is not allowed
+ */
+export function transitionStatus(opportunity, to, options = {}) {
+  if (!PIPELINE_STATUSES.includes(to)) {
+    throw new Error(`Unknown pipeline status: ${to}`);
+  }
+  
+  const from = getPipelineStatus(opportunity);
+  if (!options.force && !canTransition(from, to)) {
+    throw new Error(`Cannot move an opportunity from ${from} to ${to}`);
+  }
+  
+  const at = options.at || new Date().toISOString();
+  const history = Array.isArray(opportunity.statusHistory) && opportunity.statusHistory.length > 0
+    ? [...opportunity.statusHistory]
+    : [{ status: from, from: null, at: opportunity.firstSeenAt || opportunity.scrapedAt || at }];
+  
+  history.push({
+    status: to,
+    from,
+    at,
+    ...(options.note ? { note: options.note } : {})
+  });
+  
+  return {
+    ...opportunity,
+    status: to,
+    statusHistory: history,
+    statusTimestamps: {
+      ...(opportunity.statusTimestamps || {}),
+      [to]: at
+    }
+  };
+}
+
+/**
+ * Count opportunities in each pipeline stage
+ * 
+ * @param {Opportunity[]} opportunities - Opportunities to count
+ * @returns {Object<string, number>} Count per stage, every stage present
+ */
+export function countByStatus(opportunities) {
+  const counts = Object.fromEntries(PIPELINE_STATUSES.map(status => [status, 0]));
+  (opportunities || []).forEach(opportunity => {
+    counts[getPipelineStatus(opportunity)]++;
+  });
+  return counts;
+}
+
 export default {
   REQUIRED_FIELDS,
   ARRAY_FIELDS,
   DEFAULT_VALUES,
-  createEmptyOpportunity
+  MANUAL_SOURCE,
+  EDITABLE_FIELDS,
+  PIPELINE_STATUSES,
+  PIPELINE_STATUS_LABELS,
+  PIPELINE_TRANSITIONS,
+  createEmptyOpportunity,
+  validateOpportunityFields,
+  applyEdits,
+  getPipelineStatus,
+  canTransition,
+  transitionStatus,
+  countByStatus
 };
\ No newline at end of file
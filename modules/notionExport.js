@@ -0,0 +1,390 @@
+/**
+ * NotionExporter - Upserts opportunities into a Notion database
+ *
+ * Opportunity fields are written to database properties through a user-editable
+ * mapping. Each opportunity is looked up by its externalId property first, so a
+ * re-export updates the existing page instead of adding a duplicate.
+ *
+ * Notion allows an average of three requests per second per integration:
+ * requests are spaced out, and a 429 is retried after its Retry-After delay.
+ */
+import { logManager } from './logger.js';
+import { getFieldValue, hasValue, describeFailure } from './exportFields.js';
+
+/**
+ * chrome.storage.local key for Notion settings
+ * @type {string}
+ */
+export const NOTION_SETTINGS_KEY = 'notionSettings';
+
+/**
+ * Notion API version sent with every request
+ * @type {string}
+ */
+export const NOTION_VERSION = '2022-06-28';
+
+/**
+ * Property types an opportunity field can be written as
+ * @type {string[]}
+ */
+export const NOTION_PROPERTY_TYPES = ['title', 'rich_text', 'select', 'multi_select', 'url', 'date', 'number', 'checkbox'];
+
+/**
+ * Default mapping of opportunity fields to database properties.
+ * The externalId row is the upsert key and can't be removed.
+ * @type {Array<{field: string, property: string, type: string}>}
+ */
+export const DEFAULT_NOTION_MAPPING = [
+  { field: 'title', property: 'Name', type: 'title' },
+  { field: 'externalId', property: 'External ID', type: 'rich_text' },
+  { field: 'description', property: 'Description', type: 'rich_text' },
+  { field: 'source', property: 'Source', type: 'select' },
+  { field: 'category', property: 'Category', type: 'select' },
+  { field: 'deadline', property: 'Deadline', type: 'rich_text' },
+  { field: 'mediaOutlet', property: 'Media Outlet', type: 'rich_text' },
+  { field: 'journalist', property: 'Journalist', type: 'rich_text' },
+  { field: 'url', property: 'Link', type: 'url' },
+  { field: 'tags', property: 'Tags', type: 'multi_select' },
+  { field: 'status', property: 'Status', type: 'select' }
+];
+
+/**
+ * Default settings
+ * @type {Object}
+ */
+export const DEFAULT_NOTION_SETTINGS = {
+  apiKey: '',
+  databaseId: '',
+  apiUrl: 'https://api.notion.com/v1',
+  mapping: DEFAULT_NOTION_MAPPING
+};
+
+const MAX_TEXT_LENGTH = 2000; // Notion's limit per rich text object
+const RATE_LIMITED = 429;
+
+/**
+ * Error from the Notion API
+ */
+export class NotionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [status] - HTTP status, absent for network failures
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'NotionError';
+    this.status = status;
+  }
+
+  /**
+   * Whether trying again later might succeed (network, rate limit, server errors)
+   * @returns {boolean}
+   */
+  get retryable() {
+    return !this.status || this.status === RATE_LIMITED || this.status >= 500;
+  }
+}
+
+/**
+ * Fill in defaults and drop incomplete mapping rows
+ * @param {Object} [settings] - Stored settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeNotionSettings(settings = {}) {
+  const mapping = (Array.isArray(settings.mapping) ? settings.mapping : DEFAULT_NOTION_MAPPING)
+    .filter(row => row && row.field && row.property && NOTION_PROPERTY_TYPES.includes(row.type));
+
+  // Upserts need the key column even if the user removed it
+  if (!mapping.some(row => row.field === 'externalId')) {
+    mapping.push(DEFAULT_NOTION_MAPPING.find(row => row.field === 'externalId'));
+  }
+
+  return {
+    ...DEFAULT_NOTION_SETTINGS,
+    ...settings,
+    apiUrl: String(settings.apiUrl || DEFAULT_NOTION_SETTINGS.apiUrl).trim().replace(/\/+$/, ''),
+    mapping
+  };
+}
+
+/**
+ * Convert a value to a Notion property value of the given type
+ * @param {*} value - Field value
+ * @param {string} type - One of NOTION_PROPERTY_TYPES
+ * @returns {Object} Notion property value
+ */
+export function toNotionProperty(value, type) {
+  const empty = !hasValue(value);
+  const text = empty ? '' : String(Array.isArray(value) ? value.join(', ') : value).slice(0, MAX_TEXT_LENGTH);
+
+  switch (type) {
+    case 'title':
+      return { title: empty ? [] : [{ text: { content: text } }] };
+    case 'rich_text':
+      return { rich_text: empty ? [] : [{ text: { content: text } }] };
+    case 'select':
+      // Select option names can't contain commas
+      return { select: empty ? null : { name: text.replace(/,/g, ' ').slice(0, 100) } };
+    case 'multi_select': {
+      const names = empty ? [] : (Array.isArray(value) ? value : String(value).split(','));
+      return { multi_select: names.map(name => String(name).trim()).filter(Boolean).map(name => ({ name })) };
+    }
+    case 'url':
+      return { url: empty ? null : text };
+    case 'date': {
+      const date = empty ? null : new Date(value);
+      return { date: date && !isNaN(date) ? { start: date.toISOString() } : null };
+    }
+    case 'number': {
+      const number = empty ? null : Number(value);
+      return { number: Number.isFinite(number) ? number : null };
+    }
+    case 'checkbox':
+      return { checkbox: Boolean(value) };
+    default:
+      throw new Error(`Unsupported Notion property type: ${type}`);
+  }
+}
+
+/**
+ * Filter that matches a property's value exactly
+ * @param {{property: string, type: string}} row - Mapping row
+ * @param {string} value - Value to match
+ * @returns {Object} Notion database query filter
+ */
+function equalsFilter(row, value) {
+  const filterType = row.type === 'title' || row.type === 'rich_text' || row.type === 'url' ? row.type : 'rich_text';
+  return { property: row.property, [filterType]: { equals: value } };
+}
+
+class NotionExporter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.requestInterval] - Minimum ms between requests
+   * @param {number} [options.maxRateLimitRetries] - Times to retry a rate-limited request
+   * @param {Function} [options.fetch] - fetch implementation (defaults to the global fetch)
+   */
+  constructor(options = {}) {
+    this.requestInterval = options.requestInterval ?? 350;
+    this.maxRateLimitRetries = options.maxRateLimitRetries ?? 3;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this._nextRequestAt = 0;
+  }
+
+  /**
+   * Load settings from chrome.storage
+   * @returns {Promise<Object>} Normalized settings
+   */
+  async loadSettings() {
+    const stored = await new Promise(resolve => {
+      chrome.storage.local.get([NOTION_SETTINGS_KEY], result => resolve(result || {}));
+    });
+    return normalizeNotionSettings(stored[NOTION_SETTINGS_KEY]);
+  }
+
+  /**
+   * Save settings to chrome.storage
+   * @param {Object} settings - Settings to save
+   * @returns {Promise<Object>} The normalized settings that were saved
+   */
+  async saveSettings(settings) {
+    const normalized = normalizeNotionSettings(settings);
+    await new Promise(resolve => {
+      chrome.storage.local.set({ [NOTION_SETTINGS_KEY]: normalized }, resolve);
+    });
+    return normalized;
+  }
+
+  /**
+   * Whether a token and database are set
+   * @param {Object} settings - Normalized settings
+   * @returns {boolean}
+   */
+  isConfigured(settings) {
+    return Boolean(settings.apiKey && settings.databaseId);
+  }
+
+  /**
+   * Fetch the database and check every mapped property exists with the mapped type
+   * @param {Object} [settings] - Settings (loaded from storage if omitted)
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async testConnection(settings) {
+    const resolvedSettings = settings ? normalizeNotionSettings(settings) : await this.loadSettings();
+    if (!this.isConfigured(resolvedSettings)) {
+      return { success: false, message: 'Notion is missing an integration token or database ID' };
+    }
+
+    try {
+      const database = await this._request(resolvedSettings, 'GET', `/databases/${resolvedSettings.databaseId}`);
+      const schema = database.properties || {};
+      const problems = resolvedSettings.mapping
+        .filter(row => schema[row.property]?.type !== row.type)
+        .map(row => schema[row.property]
+          ? `"${row.property}" is ${schema[row.property].type}, not ${row.type}`
+          : `"${row.property}" is missing`);
+
+      if (problems.length > 0) {
+        return { success: false, message: `Connected, but the database doesn't match the mapping: ${problems.join('; ')}` };
+      }
+      const name = database.title?.[0]?.plain_text || resolvedSettings.databaseId;
+      return { success: true, message: `Connected to "${name}"; all ${resolvedSettings.mapping.length} mapped properties found.` };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Build the page properties for an opportunity
+   * @param {Object} opportunity - Opportunity
+   * @param {Array} mapping - Mapping rows
+   * @returns {Object} Notion page properties
+   */
+  buildProperties(opportunity, mapping) {
+    const properties = {};
+    mapping.forEach(row => {
+      properties[row.property] = toNotionProperty(getFieldValue(opportunity, row.field), row.type);
+    });
+    return properties;
+  }
+
+  /**
+   * Upsert opportunities into the configured database, one page each
+   * @param {Array} opportunities - Opportunities to export
+   * @param {Object} [settings] - Settings (loaded from storage if omitted)
+   * @returns {Promise<Object>} {created, updated, failed: [{id, title, error}], retryable: [opportunities]}
+   */
+  async export(opportunities, settings) {
+    const resolvedSettings = settings ? normalizeNotionSettings(settings) : await this.loadSettings();
+    const result = { created: 0, updated: 0, failed: [], retryable: [] };
+
+    if (!this.isConfigured(resolvedSettings)) {
+      throw new NotionError('Notion is missing an integration token or database ID');
+    }
+
+    for (const opportunity of opportunities) {
+      try {
+        const outcome = await this.upsertOpportunity(opportunity, resolvedSettings);
+        result[outcome]++;
+      } catch (error) {
+        if (error instanceof NotionError && error.retryable) {
+          result.retryable.push(opportunity);
+        } else {
+          result.failed.push(describeFailure(opportunity, error.message));
+        }
+      }
+    }
+
+    logManager.log(`Notion export: ${result.created} created, ${result.updated} updated, ${result.failed.length} failed, ${result.retryable.length} to retry`);
+    return result;
+  }
+
+  /**
+   * Create or update the page for one opportunity
+   * @param {Object} opportunity - Opportunity
+   * @param {Object} settings - Normalized settings
+   * @returns {Promise<string>} 'created' or 'updated'
+   */
+  async upsertOpportunity(opportunity, settings) {
+    const externalId = getFieldValue(opportunity, 'externalId');
+    if (!externalId) {
+      throw new Error('Opportunity has no externalId or id');
+    }
+
+    const properties = this.buildProperties(opportunity, settings.mapping);
+    const pageId = await this.findPageId(String(externalId), settings);
+
+    if (pageId) {
+      await this._request(settings, 'PATCH', `/pages/${pageId}`, { properties });
+      return 'updated';
+    }
+
+    await this._request(settings, 'POST', '/pages', {
+      parent: { database_id: settings.databaseId },
+      properties
+    });
+    return 'created';
+  }
+
+  /**
+   * Find the page whose key property matches an externalId
+   * @param {string} externalId - Opportunity externalId
+   * @param {Object} settings - Normalized settings
+   * @returns {Promise<string|null>} Page ID
+   */
+  async findPageId(externalId, settings) {
+    const keyRow = settings.mapping.find(row => row.field === 'externalId');
+    const data = await this._request(settings, 'POST', `/databases/${settings.databaseId}/query`, {
+      filter: equalsFilter(keyRow, externalId),
+      page_size: 1
+    });
+    return data.results?.[0]?.id || null;
+  }
+
+  /**
+   * Send a request, keeping to the rate limit and retrying 429s
+   * @param {Object} settings - Normalized settings
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the API URL
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<Object>} Parsed response
+   * @throws {NotionError}
+   * @private
+   */
+  async _request(settings, method, path, body) {
+    for (let attempt = 0; ; attempt++) {
+      await this._waitForSlot();
+
+      let response;
+      try {
+        response = await this.fetch(`${settings.apiUrl}${path}`, {
+          method,
+          headers: {
+            'Authorization': `Bearer ${settings.apiKey}`,
+            'Notion-Version': NOTION_VERSION,
+            'Content-Type': 'application/json'
+          },
+          body: body ? JSON.stringify(body) : null
+        });
+      } catch (error) {
+        throw new NotionError(`Notion request failed: ${error.message}`);
+      }
+
+      if (response.status === RATE_LIMITED && attempt < this.maxRateLimitRetries) {
+        const header = response.headers.get('Retry-After');
+        const retryAfter = header !== null && Number.isFinite(Number(header)) ? Number(header) : 1;
+        logManager.warn(`Notion rate limit hit, retrying in ${retryAfter}s`);
+        this._nextRequestAt = Math.max(this._nextRequestAt, Date.now() + retryAfter * 1000);
+        continue;
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        let message = errorText;
+        try {
+          message = JSON.parse(errorText).message || errorText;
+        } catch {
+          // Not JSON; use the raw text
+        }
+        throw new NotionError(`Notion API error (${response.status}): ${message}`, response.status);
+      }
+
+      return response.json();
+    }
+  }
+
+  /**
+   * Wait until the next request is allowed
+   * @private
+   */
+  async _waitForSlot() {
+    const wait = this._nextRequestAt - Date.now();
+    this._nextRequestAt = Math.max(this._nextRequestAt, Date.now()) + this.requestInterval;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+}
+
+export const notionExporter = new NotionExporter();
+export { NotionExporter };
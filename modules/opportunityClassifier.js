@@ -2,43 +2,84 @@
  * OpportunityClassifier Module for SourceBottle Extension
  * Provides a lightweight machine learning classifier for opportunity relevance
  * Implements logistic regression with feature extraction from opportunities
+ *
+ * The user labels opportunities as relevant or irrelevant on the opportunities
+ * page; the classifier learns from those labels and its scores feed back into
+ * sorting and relevance filtering. Model, training set and held-out accuracy
+ * are persisted in chrome.storage.local.
  */
 
 // Import dependencies
 import { logManager } from './logger.js';
 import { keywordManager } from './keywordManager.js';
 import { aiService } from './aiService.js';
+import { tokenize } from './duplicateDetector.js';
+import './scrapers/opportunity-id.js';
+import './scrapers/opportunity-deadline.js';
+
+const { hashContent } = globalThis.opportunityIds;
+const { getDeadlineDate } = globalThis.opportunityDeadlines;
+
+// Storage keys
+const MODEL_KEY = 'opportunityClassifierModel';
+const DATA_KEY = 'opportunityClassifierData';
+
+// Fields kept for each training example (enough to re-extract features)
+const EXAMPLE_FIELDS = ['id', 'title', 'description', 'question', 'deadline', 'deadlineAt', 'publication', 'mediaOutlet', 'source'];
 
 class OpportunityClassifier {
   constructor(aiService) {
     // Reference to AIService for getting embeddings
     this.aiService = aiService;
-    
+
     // Classification model
     this.weights = null;
     this.bias = 0;
-    
+    this.featureNames = [];
+
+    // Held-out evaluation of the current model
+    this.metrics = null;
+
     // Learning rate for training
     this.learningRate = 0.1;
-    
+
+    // Minimum examples of each class before training
+    this.minExamplesPerClass = 3;
+
+    // Share of each class held out to measure accuracy
+    this.testSplit = 0.2;
+
+    // Maximum number of word features kept from the training set
+    this.maxVocabulary = 500;
+
     // Training dataset
     this.trainingData = {
       relevant: [], // Array of relevant opportunities
       irrelevant: [] // Array of irrelevant opportunities
     };
-    
+
     // Feature extraction configuration
     this.featureConfig = {
-      useEmbeddings: true,
+      // Off by default: scoring every stored opportunity would need one embeddings call each
+      useEmbeddings: false,
+      useWords: true,
       useKeywordGroups: true,
       useDeadlineUrgency: true,
       useEntityCounts: true
     };
-    
+
     // Load saved model if available
-    this._loadModel();
+    this._loaded = this._loadModel();
   }
-  
+
+  /**
+   * Wait until the saved model and training data have been loaded
+   * @returns {Promise<void>}
+   */
+  ready() {
+    return this._loaded;
+  }
+
   /**
    * Check if the classifier has been trained
    * @returns {boolean} Whether the model is trained and ready
@@ -46,112 +87,142 @@ class OpportunityClassifier {
   isTrained() {
     return this.weights !== null;
   }
-  
+
   /**
-   * Extract features from an opportunity
+   * Extract named features from an opportunity
    * @param {Object} opportunity - The opportunity to extract features from
-   * @returns {Promise<Array<number>>} Feature vector
+   * @returns {Promise<Object<string, number>>} Feature values keyed by feature name
+   * @private
    */
-  async extractFeatures(opportunity) {
-    const features = [];
-    
+  async _extractNamedFeatures(opportunity) {
+    const features = {};
+    const title = opportunity.title || '';
+    const description = opportunity.description || opportunity.question || '';
+    const combinedText = `${title} ${description}`;
+
     // Get embedding similarity if enabled and available
     if (this.featureConfig.useEmbeddings && this.aiService) {
       try {
-        const title = opportunity.title || '';
-        const description = opportunity.description || '';
-        const combinedText = `${title} ${description}`;
-        
         // Get semantic similarity score
         const { score } = await this.aiService.checkSemanticSimilarity(combinedText);
-        features.push(score);
+        features.embeddingSimilarity = score;
       } catch (error) {
         console.error('Error getting embedding similarity:', error);
-        features.push(0);
+        features.embeddingSimilarity = 0;
       }
     }
-    
+
+    // Words in title and description (title words count more)
+    if (this.featureConfig.useWords) {
+      tokenize(description).forEach(word => {
+        features[`word:${word}`] = 0.5;
+      });
+      tokenize(title).forEach(word => {
+        features[`word:${word}`] = 1;
+      });
+    }
+
     // Get keyword group scores if enabled
-    if (this.featureConfig.useKeywordGroups && this.aiService) {
-      const title = opportunity.title || '';
-      const description = opportunity.description || '';
-      
+    if (this.featureConfig.useKeywordGroups) {
       // Extract scores for each keyword group
-      for (const [groupName, groupData] of Object.entries(this.aiService.KEYWORD_GROUPS)) {
+      for (const [groupName, groupData] of Object.entries(keywordManager.getAllGroups() || {})) {
+        const terms = groupData.terms || [];
+        if (terms.length === 0) {
+          continue;
+        }
+
         let groupScore = 0;
-        
+
         // Check for each term in the group
-        for (const term of groupData.terms) {
-          const regex = new RegExp(`\\b${term}\\b`, 'gi');
-          
+        for (const term of terms) {
+          const regex = new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'gi');
+
           // Count matches in title (with higher weight)
           const titleMatches = (title.match(regex) || []).length;
-          
+
           // Count matches in description
           const descMatches = (description.match(regex) || []).length;
-          
+
           // Weighted score for this term
-          groupScore += (titleMatches * 1.5 + descMatches) * groupData.weight;
+          groupScore += (titleMatches * 1.5 + descMatches) * (groupData.weight || 1);
         }
-        
+
         // Normalize group score
-        groupScore = Math.min(groupScore / (groupData.terms.length * 2), 1.0);
-        features.push(groupScore);
+        features[`group:${groupName}`] = Math.min(groupScore / (terms.length * 2), 1.0);
       }
     }
-    
+
     // Extract deadline urgency if enabled
     if (this.featureConfig.useDeadlineUrgency) {
       let urgency = 0;
-      
-      if (opportunity.deadline) {
-        try {
-          const deadlineDate = new Date(opportunity.deadline);
-          const currentDate = new Date();
-          
-          // Calculate days until deadline
-          const daysUntilDeadline = Math.max(0, Math.floor((deadlineDate - currentDate) / (1000 * 60 * 60 * 24)));
-          
-          // Convert to urgency score (closer deadline = higher urgency)
-          if (daysUntilDeadline <= 1) {
-            urgency = 1.0; // Immediate (0-1 days)
-          } else if (daysUntilDeadline <= 3) {
-            urgency = 0.8; // Very soon (2-3 days)
-          } else if (daysUntilDeadline <= 7) {
-            urgency = 0.6; // This week (4-7 days)
-          } else if (daysUntilDeadline <= 14) {
-            urgency = 0.4; // Next week (8-14 days)
-          } else if (daysUntilDeadline <= 30) {
-            urgency = 0.2; // This month (15-30 days)
-          } else {
-            urgency = 0.1; // Future (30+ days)
-          }
-        } catch (error) {
-          console.error('Error parsing deadline:', error);
+      const deadlineDate = getDeadlineDate(opportunity);
+
+      if (deadlineDate) {
+        // Calculate days until deadline
+        const daysUntilDeadline = Math.max(0, Math.floor((deadlineDate - new Date()) / (1000 * 60 * 60 * 24)));
+
+        // Convert to urgency score (closer deadline = higher urgency)
+        if (daysUntilDeadline <= 1) {
+          urgency = 1.0; // Immediate (0-1 days)
+        } else if (daysUntilDeadline <= 3) {
+          urgency = 0.8; // Very soon (2-3 days)
+        } else if (daysUntilDeadline <= 7) {
+          urgency = 0.6; // This week (4-7 days)
+        } else if (daysUntilDeadline <= 14) {
+          urgency = 0.4; // Next week (8-14 days)
+        } else if (daysUntilDeadline <= 30) {
+          urgency = 0.2; // This month (15-30 days)
+        } else {
+          urgency = 0.1; // Future (30+ days)
         }
       }
-      
-      features.push(urgency);
+
+      features.deadlineUrgency = urgency;
     }
-    
+
     // Extract entity counts if enabled
     if (this.featureConfig.useEntityCounts) {
-      const text = `${opportunity.title || ''} ${opportunity.description || ''}`;
-      
       // Count currency mentions (simple regex for USD, EUR, etc.)
-      const currencyMatches = (text.match(/\$|\€|\£|\¥|[0-9]+\s*(dollars|euros|pounds)/gi) || []).length;
-      const normalizedCurrencyScore = Math.min(currencyMatches / 5, 1.0);
-      features.push(normalizedCurrencyScore);
-      
+      const currencyMatches = (combinedText.match(/\$|€|£|¥|[0-9]+\s*(dollars|euros|pounds)/gi) || []).length;
+      features.currencyMentions = Math.min(currencyMatches / 5, 1.0);
+
       // Count company mentions (simple heuristic)
-      const companyMatches = (text.match(/\b(inc|llc|ltd|corp|company|co\.|group)\b/gi) || []).length;
-      const normalizedCompanyScore = Math.min(companyMatches / 3, 1.0);
-      features.push(normalizedCompanyScore);
+      const companyMatches = (combinedText.match(/\b(inc|llc|ltd|corp|company|co\.|group)\b/gi) || []).length;
+      features.companyMentions = Math.min(companyMatches / 3, 1.0);
     }
-    
+
     return features;
   }
-  
+
+  /**
+   * Extract the model's feature vector from an opportunity
+   * @param {Object} opportunity - The opportunity to extract features from
+   * @param {Array<string>} [featureNames] - Features to extract, defaults to the model's
+   * @returns {Promise<Array<number>>} Feature vector
+   */
+  async extractFeatures(opportunity, featureNames = this.featureNames) {
+    const named = await this._extractNamedFeatures(opportunity);
+    return featureNames.map(name => named[name] || 0);
+  }
+
+  /**
+   * Probability that a feature vector is relevant under the given weights
+   * @param {Array<number>} features - Feature vector
+   * @param {Array<number>} weights - Model weights
+   * @param {number} bias - Model bias
+   * @returns {number} Probability between 0 and 1
+   * @private
+   */
+  _probability(features, weights, bias) {
+    let z = bias;
+    for (let i = 0; i < features.length; i++) {
+      z += features[i] * weights[i];
+    }
+
+    // Apply sigmoid function to get probability
+    return 1 / (1 + Math.exp(-z));
+  }
+
   /**
    * Predict the relevance of an opportunity
    * @param {Object} opportunity - The opportunity to classify
@@ -162,20 +233,12 @@ class OpportunityClassifier {
       console.warn('Classifier not trained yet, returning default classification');
       return { isRelevant: false, confidence: 0.5 };
     }
-    
+
     try {
       // Extract features from opportunity
       const features = await this.extractFeatures(opportunity);
-      
-      // Apply logistic regression
-      let z = this.bias;
-      for (let i = 0; i < features.length; i++) {
-        z += features[i] * this.weights[i];
-      }
-      
-      // Apply sigmoid function to get probability
-      const probability = 1 / (1 + Math.exp(-z));
-      
+      const probability = this._probability(features, this.weights, this.bias);
+
       return {
         isRelevant: probability >= 0.5,
         confidence: probability
@@ -185,25 +248,82 @@ class OpportunityClassifier {
       return { isRelevant: false, confidence: 0.5 };
     }
   }
-  
+
+  /**
+   * Score opportunities with the trained model
+   * @param {Array<Object>} opportunities - Opportunities to score
+   * @returns {Promise<Map<string, number>>} Relevance scores (0-100) keyed by opportunity id; empty if untrained
+   */
+  async scoreOpportunities(opportunities) {
+    const scores = new Map();
+    if (!this.isTrained()) {
+      return scores;
+    }
+
+    for (const opportunity of opportunities) {
+      const { confidence } = await this.predict(opportunity);
+      scores.set(String(opportunity.id || opportunity.externalId), Math.round(confidence * 100));
+    }
+    return scores;
+  }
+
   /**
-   * Add an opportunity to the training dataset
+   * Add an opportunity to the training dataset. Labelling an opportunity again
+   * replaces its earlier label.
    * @param {Object} opportunity - The opportunity to add
    * @param {boolean} isRelevant - Whether the opportunity is relevant
+   * @returns {number} Total number of training examples
    */
   addTrainingExample(opportunity, isRelevant) {
+    const example = {};
+    EXAMPLE_FIELDS.forEach(field => {
+      if (opportunity[field] !== undefined) {
+        example[field] = opportunity[field];
+      }
+    });
+    example.id = String(opportunity.id || opportunity.externalId || hashContent(opportunity.title, opportunity.description));
+
+    this._removeExample(example.id);
     if (isRelevant) {
-      this.trainingData.relevant.push(opportunity);
+      this.trainingData.relevant.push(example);
     } else {
-      this.trainingData.irrelevant.push(opportunity);
+      this.trainingData.irrelevant.push(example);
     }
-    
+
     // Save updated training data
     this._saveTrainingData();
-    
+
     console.log(`Added ${isRelevant ? 'relevant' : 'irrelevant'} training example. Total examples: ${this.getTrainingDataCount()}`);
+    return this.getTrainingDataCount();
   }
-  
+
+  /**
+   * Remove an opportunity from the training dataset
+   * @param {string} opportunityId - Opportunity ID
+   * @private
+   */
+  _removeExample(opportunityId) {
+    const id = String(opportunityId);
+    this.trainingData.relevant = this.trainingData.relevant.filter(example => String(example.id) !== id);
+    this.trainingData.irrelevant = this.trainingData.irrelevant.filter(example => String(example.id) !== id);
+  }
+
+  /**
+   * Get how an opportunity was labelled
+   * @param {string} opportunityId - Opportunity ID
+   * @returns {string|null} 'relevant', 'irrelevant' or null if unlabelled
+   */
+  getLabel(opportunityId) {
+    const id = String(opportunityId);
+    if (this.trainingData.relevant.some(example => String(example.id) === id)) {
+      return 'relevant';
+    }
+    if (this.trainingData.irrelevant.some(example => String(example.id) === id)) {
+      return 'irrelevant';
+    }
+    return null;
+  }
+
   /**
    * Get the total number of training examples
    * @returns {number} Total number of examples
@@ -211,100 +331,193 @@ class OpportunityClassifier {
   getTrainingDataCount() {
     return this.trainingData.relevant.length + this.trainingData.irrelevant.length;
   }
-  
+
+  /**
+   * Get the number of training examples per class
+   * @returns {{relevant: number, irrelevant: number}} Example counts
+   */
+  getTrainingCounts() {
+    return {
+      relevant: this.trainingData.relevant.length,
+      irrelevant: this.trainingData.irrelevant.length
+    };
+  }
+
+  /**
+   * Whether there are enough examples of each class to train
+   * @returns {boolean}
+   */
+  canTrain() {
+    const { relevant, irrelevant } = this.getTrainingCounts();
+    return relevant >= this.minExamplesPerClass && irrelevant >= this.minExamplesPerClass;
+  }
+
+  /**
+   * Split one class into training and held-out examples. The split is
+   * deterministic (ordered by a hash of the example id) so retraining on the
+   * same data reports the same accuracy.
+   * @param {Array<Object>} examples - Examples of one class
+   * @returns {{train: Array<Object>, test: Array<Object>}}
+   * @private
+   */
+  _splitExamples(examples) {
+    const ordered = [...examples].sort((a, b) => hashContent(String(a.id)).localeCompare(hashContent(String(b.id))));
+    const testCount = Math.max(1, Math.round(ordered.length * this.testSplit));
+    return {
+      train: ordered.slice(testCount),
+      test: ordered.slice(0, testCount)
+    };
+  }
+
+  /**
+   * Pick the features used by a model trained on these examples: every
+   * non-word feature plus the most frequent words
+   * @param {Array<Object<string, number>>} namedFeatures - Named features per example
+   * @returns {Array<string>} Feature names
+   * @private
+   */
+  _selectFeatureNames(namedFeatures) {
+    const names = new Set();
+    const wordCounts = new Map();
+
+    namedFeatures.forEach(features => {
+      Object.keys(features).forEach(name => {
+        if (name.startsWith('word:')) {
+          wordCounts.set(name, (wordCounts.get(name) || 0) + 1);
+        } else {
+          names.add(name);
+        }
+      });
+    });
+
+    Array.from(wordCounts.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, this.maxVocabulary)
+      .forEach(([name]) => names.add(name));
+
+    return Array.from(names);
+  }
+
+  /**
+   * Fit logistic regression with stochastic gradient descent
+   * @param {Array<{features: Object<string, number>, label: number}>} samples - Labelled samples
+   * @param {number} epochs - Number of training epochs
+   * @returns {{weights: Array<number>, bias: number, featureNames: Array<string>}} Fitted model
+   * @private
+   */
+  _fit(samples, epochs) {
+    const featureNames = this._selectFeatureNames(samples.map(sample => sample.features));
+    const vectors = samples.map(sample => featureNames.map(name => sample.features[name] || 0));
+    const weights = new Array(featureNames.length).fill(0);
+    let bias = 0;
+
+    // Train logistic regression model with gradient descent
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      for (let i = 0; i < vectors.length; i++) {
+        const features = vectors[i];
+
+        // Compute error
+        const error = this._probability(features, weights, bias) - samples[i].label;
+
+        // Update bias
+        bias -= this.learningRate * error;
+
+        // Update weights
+        for (let j = 0; j < features.length; j++) {
+          weights[j] -= this.learningRate * error * features[j];
+        }
+      }
+    }
+
+    return { weights, bias, featureNames };
+  }
+
   /**
-   * Train the classifier on the current training dataset
+   * Train the classifier on the current training dataset. Accuracy is measured
+   * on a held-out share of each class, then the final model is fitted on all
+   * examples.
    * @param {number} epochs - Number of training epochs
-   * @returns {Promise<{success: boolean, error: string?}>} Training result
+   * @returns {Promise<{success: boolean, accuracy: number?, error: string?}>} Training result
    */
   async train(epochs = 50) {
+    await this.ready();
+
     const relevantCount = this.trainingData.relevant.length;
     const irrelevantCount = this.trainingData.irrelevant.length;
-    
-    if (relevantCount < 3 || irrelevantCount < 3) {
-      console.error('Not enough training data. Need at least 3 examples of each class.');
-      return { 
-        success: false, 
-        error: `Not enough training data. Current data: ${relevantCount} relevant, ${irrelevantCount} irrelevant. Need at least 3 of each.` 
+
+    if (!this.canTrain()) {
+      console.error(`Not enough training data. Need at least ${this.minExamplesPerClass} examples of each class.`);
+      return {
+        success: false,
+        error: `Not enough training data. Current data: ${relevantCount} relevant, ${irrelevantCount} irrelevant. Need at least ${this.minExamplesPerClass} of each.`
       };
     }
-    
+
     try {
       console.log(`Training classifier on ${relevantCount} relevant and ${irrelevantCount} irrelevant opportunities...`);
-      
+
       // Extract features for all training examples
-      const trainingFeatures = [];
-      const trainingLabels = [];
-      
-      // Process relevant examples (label 1)
-      for (const opportunity of this.trainingData.relevant) {
-        const features = await this.extractFeatures(opportunity);
-        trainingFeatures.push(features);
-        trainingLabels.push(1);
-      }
-      
-      // Process irrelevant examples (label 0)
-      for (const opportunity of this.trainingData.irrelevant) {
-        const features = await this.extractFeatures(opportunity);
-        trainingFeatures.push(features);
-        trainingLabels.push(0);
-      }
-      
-      // Initialize weights if not already set
-      if (!this.weights) {
-        this.weights = new Array(trainingFeatures[0].length).fill(0);
-        this.bias = 0;
-      }
-      
-      // Train logistic regression model with gradient descent
-      for (let epoch = 0; epoch < epochs; epoch++) {
-        for (let i = 0; i < trainingFeatures.length; i++) {
-          const features = trainingFeatures[i];
-          const label = trainingLabels[i];
-          
-          // Make prediction
-          let z = this.bias;
-          for (let j = 0; j < features.length; j++) {
-            z += features[j] * this.weights[j];
-          }
-          const prediction = 1 / (1 + Math.exp(-z));
-          
-          // Compute error
-          const error = prediction - label;
-          
-          // Update bias
-          this.bias -= this.learningRate * error;
-          
-          // Update weights
-          for (let j = 0; j < features.length; j++) {
-            this.weights[j] -= this.learningRate * error * features[j];
-          }
-        }
-      }
-      
+      const toSamples = async (examples, label) => Promise.all(examples.map(async opportunity => ({
+        features: await this._extractNamedFeatures(opportunity),
+        label
+      })));
+
+      const relevantSplit = this._splitExamples(this.trainingData.relevant);
+      const irrelevantSplit = this._splitExamples(this.trainingData.irrelevant);
+      const trainSamples = [
+        ...await toSamples(relevantSplit.train, 1),
+        ...await toSamples(irrelevantSplit.train, 0)
+      ];
+      const testSamples = [
+        ...await toSamples(relevantSplit.test, 1),
+        ...await toSamples(irrelevantSplit.test, 0)
+      ];
+
+      // Measure accuracy on the held-out examples
+      const evaluation = this._fit(trainSamples, epochs);
+      const correct = testSamples.filter(sample => {
+        const vector = evaluation.featureNames.map(name => sample.features[name] || 0);
+        return (this._probability(vector, evaluation.weights, evaluation.bias) >= 0.5) === (sample.label === 1);
+      }).length;
+      const accuracy = correct / testSamples.length;
+
+      // Fit the final model on every example
+      const model = this._fit([...trainSamples, ...testSamples], epochs);
+      this.weights = model.weights;
+      this.bias = model.bias;
+      this.featureNames = model.featureNames;
+      this.metrics = {
+        accuracy,
+        trainSize: trainSamples.length,
+        testSize: testSamples.length,
+        trainedAt: new Date().toISOString()
+      };
+
       // Save trained model
       this._saveModel();
-      
-      console.log('Classifier training completed successfully.');
-      return { success: true };
+
+      console.log(`Classifier training completed successfully. Held-out accuracy: ${Math.round(accuracy * 100)}%`);
+      return { success: true, accuracy, ...this.metrics };
     } catch (error) {
       console.error('Error training classifier:', error);
       return { success: false, error: error.message };
     }
   }
-  
+
   /**
    * Reset the classifier to its initial state
    */
   reset() {
     this.weights = null;
     this.bias = 0;
+    this.featureNames = [];
+    this.metrics = null;
     this.trainingData = { relevant: [], irrelevant: [] };
     this._saveModel();
     this._saveTrainingData();
     console.log('Classifier reset to initial state.');
   }
-  
+
   /**
    * Save the model to Chrome storage
    * @private
@@ -313,53 +526,76 @@ class OpportunityClassifier {
     if (typeof chrome !== 'undefined' && chrome.storage) {
       const modelData = {
         weights: this.weights,
-        bias: this.bias
+        bias: this.bias,
+        featureNames: this.featureNames,
+        featureConfig: this.featureConfig,
+        metrics: this.metrics
       };
-      
-      chrome.storage.local.set({ opportunityClassifierModel: modelData }, () => {
+
+      chrome.storage.local.set({ [MODEL_KEY]: modelData }, () => {
         console.log('Classifier model saved to storage.');
       });
     }
   }
-  
+
   /**
    * Save training data to Chrome storage
    * @private
    */
   _saveTrainingData() {
     if (typeof chrome !== 'undefined' && chrome.storage) {
-      chrome.storage.local.set({ opportunityClassifierData: this.trainingData }, () => {
+      chrome.storage.local.set({ [DATA_KEY]: this.trainingData }, () => {
         console.log('Classifier training data saved to storage.');
       });
     }
   }
-  
+
   /**
    * Load the model from Chrome storage
+   * @returns {Promise<void>}
    * @private
    */
   _loadModel() {
-    if (typeof chrome !== 'undefined' && chrome.storage) {
-      chrome.storage.local.get(['opportunityClassifierModel', 'opportunityClassifierData'], (result) => {
-        if (result.opportunityClassifierModel) {
+    if (typeof chrome === 'undefined' || !chrome.storage) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      chrome.storage.local.get([MODEL_KEY, DATA_KEY], (result = {}) => {
+        const model = result[MODEL_KEY];
+        // Models saved before features were named cannot be mapped onto features; retrain instead
+        if (model && Array.isArray(model.weights) && Array.isArray(model.featureNames) &&
+            model.featureNames.length === model.weights.length) {
           console.log('Loaded classifier model from storage.');
-          this.weights = result.opportunityClassifierModel.weights;
-          this.bias = result.opportunityClassifierModel.bias;
+          this.weights = model.weights;
+          this.bias = model.bias;
+          this.featureNames = model.featureNames;
+          this.featureConfig = { ...this.featureConfig, ...(model.featureConfig || {}) };
+          this.metrics = model.metrics || null;
         }
-        
-        if (result.opportunityClassifierData) {
+
+        if (result[DATA_KEY]) {
           console.log('Loaded classifier training data from storage.');
-          this.trainingData = result.opportunityClassifierData;
+          this.trainingData = {
+            relevant: result[DATA_KEY].relevant || [],
+            irrelevant: result[DATA_KEY].irrelevant || []
+          };
         }
+        resolve();
       });
-    }
+    });
   }
 }
 
+// Create the shared classifier and plug it into the AI service
+const opportunityClassifier = new OpportunityClassifier(aiService);
+aiService.classifier = opportunityClassifier;
+
 // Export for ES6 modules
-export { OpportunityClassifier };
+export { OpportunityClassifier, opportunityClassifier };
 
 // Export the classifier to window for Chrome Extension compatibility
 if (typeof window !== 'undefined') {
   window.OpportunityClassifier = OpportunityClassifier;
+  window.opportunityClassifier = opportunityClassifier;
 }
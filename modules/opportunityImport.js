@@ -0,0 +1,316 @@
+/**
+ * Opportunity Import - Brings in opportunities from CSV or JSON files
+ *
+ * A file is parsed into records keyed by its own column names; the user maps
+ * those columns to opportunity fields, then each mapped record is normalized
+ * by the platform adapter as an 'import' opportunity, validated against the
+ * model's required fields and checked against stored opportunities so the
+ * same query isn't imported twice.
+ */
+import { storageManager } from './storage.js';
+import { normalizeOpportunity } from './adapters/platform-adapter.js';
+import { explainInvisibility } from './utils/debug.js';
+import { getFieldValue, hasValue } from './exportFields.js';
+import './scrapers/opportunity-id.js';
+
+const { createOpportunityId, hashContent } = globalThis.opportunityIds;
+
+/**
+ * Source given to imported opportunities
+ * @type {string}
+ */
+export const IMPORT_SOURCE = 'import';
+
+/**
+ * Fields a file column can be imported as, with their display names
+ * @type {Object<string, string>}
+ */
+export const IMPORT_FIELDS = {
+  title: 'Title',
+  description: 'Description',
+  url: 'Link',
+  externalId: 'External ID',
+  deadline: 'Deadline',
+  postedTime: 'Posted',
+  category: 'Category',
+  mediaOutlet: 'Media Outlet',
+  journalist: 'Journalist',
+  tags: 'Tags',
+  notes: 'Notes'
+};
+
+/**
+ * Column names recognised for each field when suggesting a mapping, in their
+ * lowercased, alphanumeric-only form
+ * @type {Object<string, string[]>}
+ */
+const COLUMN_ALIASES = {
+  title: ['title', 'question', 'headline', 'query', 'subject'],
+  description: ['description', 'details', 'body', 'brief', 'summary'],
+  url: ['url', 'link', 'submissionlink', 'website'],
+  externalId: ['externalid', 'id'],
+  deadline: ['deadline', 'closedate', 'closes', 'due', 'duedate'],
+  postedTime: ['postedtime', 'posted', 'publisheddate', 'date'],
+  category: ['category'],
+  mediaOutlet: ['mediaoutlet', 'outlet', 'publication', 'brandname', 'brand', 'media'],
+  journalist: ['journalist', 'reporter', 'author', 'writer', 'contact'],
+  tags: ['tags', 'keywords'],
+  notes: ['notes']
+};
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with doubled quotes
+ * and line breaks, CRLF line ends and a byte order mark; the delimiter (comma,
+ * semicolon or tab) is taken from the header line.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows, blank lines dropped
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, headerLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse an import file into records keyed by column name.
+ * JSON may be an array of objects, or an object with an `opportunities` array
+ * (as the JSON export writes); NDJSON has one object per line.
+ * @param {string} text - File content
+ * @param {string} [fileName] - File name, used to tell the format apart
+ * @returns {{format: string, columns: string[], records: Object[]}}
+ * @throws {Error} If the file can't be read as CSV or JSON
+ */
+export function parseImportFile(text, fileName = '') {
+  const content = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!content) {
+    throw new Error('The file is empty');
+  }
+
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'json' || extension === 'ndjson' || /^[[{]/.test(content)) {
+    let records;
+    try {
+      if (extension === 'ndjson') {
+        records = content.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+      } else {
+        const parsed = JSON.parse(content);
+        records = Array.isArray(parsed) ? parsed : parsed?.opportunities;
+      }
+    } catch (error) {
+      throw new Error(`The file isn't valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(records)) {
+      throw new Error('Expected a JSON array of opportunities, or an object with an "opportunities" array');
+    }
+
+    records = records.filter(record => record && typeof record === 'object' && !Array.isArray(record));
+    // Nested objects (AI analysis, history, ...) can't be mapped to a field
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)
+      .filter(key => record[key] === null || typeof record[key] !== 'object' || Array.isArray(record[key]))))];
+    return { format: extension === 'ndjson' ? 'ndjson' : 'json', columns, records };
+  }
+
+  const [headers = [], ...rows] = parseCsv(content);
+  const columns = headers.map((header, index) => header.trim() || `Column ${index + 1}`);
+  const records = rows.map(cells => Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ''])));
+  return { format: 'csv', columns, records };
+}
+
+/**
+ * Guess which field each column holds from its name
+ * @param {string[]} columns - File column names
+ * @returns {Object<string, string>} Field per column ('' to skip it)
+ */
+export function suggestMapping(columns) {
+  const taken = new Set();
+  return Object.fromEntries(columns.map(column => {
+    const key = String(column).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const field = Object.keys(COLUMN_ALIASES).find(candidate =>
+      !taken.has(candidate) && COLUMN_ALIASES[candidate].includes(key));
+    if (field) {
+      taken.add(field);
+    }
+    return [column, field || ''];
+  }));
+}
+
+/**
+ * Build a raw opportunity from a record using a column mapping
+ * @param {Object} record - Record keyed by column name
+ * @param {Object<string, string>} mapping - Field per column
+ * @returns {Object} Mapped fields
+ */
+export function applyImportMapping(record, mapping) {
+  const mapped = {};
+  Object.entries(mapping).forEach(([column, field]) => {
+    const value = record[column];
+    if (!field || !hasValue(value)) {
+      return;
+    }
+    // Two columns mapped to one field (e.g. title and subtitle) are joined
+    mapped[field] = hasValue(mapped[field]) && !Array.isArray(value)
+      ? `${mapped[field]} ${value}`
+      : value;
+  });
+  return mapped;
+}
+
+/**
+ * Normalize a link for comparison: no protocol, www, fragment or trailing slash
+ * @param {string} url - Link
+ * @returns {string} Comparable link, '' if none
+ */
+function normalizeUrl(url) {
+  return String(url || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\/(www\.)?/, '')
+    .replace(/#.*$/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Keys under which an opportunity counts as already present: its id, its link
+ * and a hash of its title and description
+ * @param {Object} opportunity - Opportunity
+ * @returns {string[]} Keys
+ */
+function getDuplicateKeys(opportunity) {
+  const keys = [opportunity.id, opportunity.externalId].filter(Boolean).map(id => `id:${id}`);
+  const url = normalizeUrl(getFieldValue(opportunity, 'url'));
+  if (url) {
+    keys.push(`url:${url}`);
+  }
+  const title = getFieldValue(opportunity, 'title');
+  if (title) {
+    keys.push(`text:${hashContent(title, getFieldValue(opportunity, 'description') || '')}`);
+  }
+  return keys;
+}
+
+class OpportunityImporter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with getOpportunities/upsertOpportunities (defaults to storageManager)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+  }
+
+  /**
+   * Map, normalize, validate and deduplicate records without saving them
+   * @param {Object[]} records - Records from parseImportFile
+   * @param {Object<string, string>} mapping - Field per column
+   * @returns {Promise<Array<{row: number, title: string, status: string, errors: string[], duplicateOf: string|null, opportunity: Object|null}>>}
+   *   One entry per record; status is 'ready', 'duplicate' or 'invalid'
+   */
+  async preview(records, mapping) {
+    const existing = await this.storage.getOpportunities();
+    const seen = new Map();
+    existing.forEach(opportunity => {
+      getDuplicateKeys(opportunity).forEach(key => seen.set(key, opportunity.id || opportunity.externalId));
+    });
+
+    return records.map((record, index) => {
+      const mapped = applyImportMapping(record, mapping);
+      if (!mapped.externalId) {
+        // Hash the whole link: links from different sites can end in the same slug
+        mapped.externalId = createOpportunityId(IMPORT_SOURCE, {
+          content: mapped.url ? [mapped.url] : [mapped.title, mapped.mediaOutlet, mapped.description]
+        });
+      }
+
+      const opportunity = normalizeOpportunity(mapped, IMPORT_SOURCE);
+      opportunity.id = opportunity.externalId;
+      const entry = {
+        row: index + 1,
+        title: opportunity.title || '',
+        status: 'ready',
+        errors: [],
+        duplicateOf: null,
+        opportunity
+      };
+
+      const reasons = explainInvisibility(opportunity);
+      if (!(reasons.length === 1 && reasons[0] === 'Looks valid')) {
+        return { ...entry, status: 'invalid', errors: reasons, opportunity: null };
+      }
+
+      const keys = getDuplicateKeys(opportunity);
+      const match = keys.find(key => seen.has(key));
+      if (match) {
+        return { ...entry, status: 'duplicate', duplicateOf: seen.get(match), opportunity: null };
+      }
+
+      // Later rows repeating this one are duplicates too
+      keys.forEach(key => seen.set(key, opportunity.id));
+      return entry;
+    });
+  }
+
+  /**
+   * Import the records that are valid and not already stored
+   * @param {Object[]} records - Records from parseImportFile
+   * @param {Object<string, string>} mapping - Field per column
+   * @returns {Promise<{imported: number, duplicates: number, invalid: Array<{row: number, title: string, errors: string[]}>}>}
+   */
+  async importRecords(records, mapping) {
+    const entries = await this.preview(records, mapping);
+    const ready = entries.filter(entry => entry.status === 'ready').map(entry => entry.opportunity);
+
+    if (ready.length > 0) {
+      await this.storage.upsertOpportunities(ready);
+    }
+
+    return {
+      imported: ready.length,
+      duplicates: entries.filter(entry => entry.status === 'duplicate').length,
+      invalid: entries
+        .filter(entry => entry.status === 'invalid')
+        .map(({ row, title, errors }) => ({ row, title, errors }))
+    };
+  }
+}
+
+export const opportunityImporter = new OpportunityImporter();
+export { OpportunityImporter };
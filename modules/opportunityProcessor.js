@@ -452,12 +452,16 @@ class OpportunityProcessor {
     };
 
     opportunities.forEach(opp => {
-      if (!opp.ai_analysis) return;
+      if (!opp.ai_analysis && !opp.aiAnalysis) {
+        return;
+      }
       
-      if (opp.ai_analysis.is_relevant) stats.relevant++;
+      if (opp.ai_analysis?.is_relevant) {
+        stats.relevant++;
+      }
       
       // Count by priority
-      switch (opp.ai_analysis.priority) {
+      switch (this.getPriority(opp)) {
         case 'high':
           stats.highPriority++;
           break;
@@ -469,7 +473,7 @@ class OpportunityProcessor {
       }
       
       // Count by theme
-      if (Array.isArray(opp.ai_analysis.key_themes)) {
+      if (Array.isArray(opp.ai_analysis?.key_themes)) {
         opp.ai_analysis.key_themes.forEach(theme => {
           stats.byTheme[theme] = (stats.byTheme[theme] || 0) + 1;
         });
@@ -486,6 +490,27 @@ class OpportunityProcessor {
 
     return stats;
   }
+
+  /**
+   * Get an opportunity's AI priority level. Analyses from this processor say
+   * 'high', 'medium' or 'low'; enhanced analyses (`aiAnalysis`) score 0-10.
+   * @param {Object} opportunity - The opportunity
+   * @returns {string|null} - 'high', 'medium', 'low', or null if it hasn't been analyzed
+   */
+  getPriority(opportunity) {
+    if (opportunity.ai_analysis) {
+      return opportunity.ai_analysis.priority || 'low';
+    }
+    const score = opportunity.aiAnalysis?.priority;
+    if (typeof score !== 'number') {
+      return opportunity.aiAnalysis ? 'low' : null;
+    }
+    if (score / 10 >= this.highPriorityThreshold) {
+      return 'high';
+    }
+    return score / 10 >= this.mediumPriorityThreshold ? 'medium' : 'low';
+  }
+
   /**
    * Extract fallback themes from opportunity text for when AI analysis fails
    * @private
@@ -538,5 +563,11 @@ class OpportunityProcessor {
   }
 }
 
+const opportunityProcessor = new OpportunityProcessor();
+
 // Expose as global for Chrome Extension compatibility
-window.opportunityProcessor = new OpportunityProcessor();
+if (typeof window !== 'undefined') {
+  window.opportunityProcessor = opportunityProcessor;
+}
+
+export { opportunityProcessor, OpportunityProcessor };
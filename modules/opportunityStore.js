@@ -0,0 +1,434 @@
+/**
+ * OpportunityStore - Unified IndexedDB store for opportunities from every platform
+ *
+ * Replaces the per-platform arrays that used to live in chrome.storage.local
+ * (sourceBottleOpportunities, featuredOpportunities, qwotedOpportunities, ...).
+ * Every opportunity is a single record keyed by its platform-namespaced id, so
+ * saving a scrape is a set of per-record upserts instead of a whole-array rewrite.
+ *
+ * IndexedDB is scoped to the extension origin, so only extension pages and the
+ * background service worker can use this store. Content scripts must message
+ * the background (action 'saveOpportunities') to persist what they scrape.
+ */
+
+import { logManager } from './logger.js';
+import './scrapers/opportunity-deadline.js';
+
+const { isSameDeadline } = globalThis.opportunityDeadlines;
+
+export const DB_NAME = 'PRessOpportunityStore';
+export const DB_VERSION = 2;
+export const STORE_NAME = 'opportunities';
+
+/**
+ * Indexed opportunity properties
+ * @type {string[]}
+ */
+export const OPPORTUNITY_INDEXES = ['source', 'deadline', 'category', 'scrapedAt'];
+
+/**
+ * Bookkeeping fields that change on every save and are ignored when deciding
+ * whether an incoming record actually changed
+ * @type {string[]}
+ */
+const VOLATILE_FIELDS = ['scrapedAt', 'extractedAt', 'dateAdded', 'savedAt', 'timestamp', 'firstSeenAt', 'updatedAt'];
+
+/**
+ * Deadline fields, compared through isSameDeadline rather than as values
+ * @type {string[]}
+ */
+const DEADLINE_FIELDS = ['deadline', 'deadlineAt'];
+
+/**
+ * Canonical platform names, keyed by their lowercased, space-free form
+ * @type {Object<string, string>}
+ */
+const SOURCE_NAMES = {
+  sourcebottle: 'SourceBottle',
+  featured: 'Featured',
+  qwoted: 'Qwoted'
+};
+
+/**
+ * Normalize a source/platform name to its canonical form so the source index
+ * does not split 'sourcebottle' and 'SourceBottle' into different buckets
+ * @param {string} source - Raw source name
+ * @returns {string} Canonical source name
+ */
+export function normalizeSourceName(source) {
+  if (!source) {
+    return source;
+  }
+
+  const key = String(source).toLowerCase().replace(/\s+/g, '');
+  return SOURCE_NAMES[key] || source;
+}
+
+/**
+ * Get the store key for an opportunity. Platforms number their opportunities
+ * independently, so the key is prefixed with the source the same way
+ * createOpportunityId prefixes the ids it builds ('featured-1x2y3z').
+ * Ids that already carry their source's prefix are kept as they are.
+ * @param {Object} opportunity - Opportunity to key
+ * @returns {string|null} The id (falling back to externalId) namespaced by source
+ */
+export function getOpportunityKey(opportunity) {
+  if (!opportunity) {
+    return null;
+  }
+
+  const id = opportunity.id || opportunity.externalId;
+  if (!id) {
+    return null;
+  }
+
+  const key = String(id);
+  const prefix = String(opportunity.source || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+  return prefix && !key.startsWith(`${prefix}-`) ? `${prefix}-${key}` : key;
+}
+
+/**
+ * Check whether an incoming opportunity carries any change over the stored record.
+ * A Featured countdown ("7d 15h") reads differently on every scrape, so the
+ * deadline counts as changed only if its normalized deadlineAt moved.
+ * @param {Object} existing - Stored record
+ * @param {Object} incoming - Incoming opportunity
+ * @returns {boolean} True if any non-volatile field differs
+ */
+export function hasOpportunityChanged(existing, incoming) {
+  const sameDeadline = isSameDeadline(existing, incoming);
+
+  return Object.keys(incoming).some(field => {
+    if (VOLATILE_FIELDS.includes(field)) {
+      return false;
+    }
+    if (DEADLINE_FIELDS.includes(field) && sameDeadline) {
+      return false;
+    }
+    return JSON.stringify(existing[field]) !== JSON.stringify(incoming[field]);
+  });
+}
+
+/**
+ * Merge an incoming opportunity into the stored record (if any).
+ * Fields the incoming record does not carry (status, notes, AI analysis, ...)
+ * are preserved, and fields the user edited keep their edited values.
+ * @param {Object|undefined} existing - Stored record
+ * @param {Object} incoming - Incoming opportunity
+ * @param {string} [timestamp] - ISO timestamp for this save
+ * @returns {{record: Object, result: string}} Merged record and 'inserted' | 'updated' | 'unchanged'
+ */
+export function mergeOpportunityRecord(existing, incoming, timestamp = new Date().toISOString()) {
+  const normalized = {
+    ...incoming,
+    id: getOpportunityKey(incoming)
+  };
+
+  if (normalized.source) {
+    normalized.source = normalizeSourceName(normalized.source);
+  }
+
+  if (!existing) {
+    return {
+      result: 'inserted',
+      record: {
+        ...normalized,
+        scrapedAt: normalized.scrapedAt || timestamp,
+        firstSeenAt: timestamp,
+        updatedAt: timestamp,
+        savedAt: timestamp
+      }
+    };
+  }
+
+  // A rescrape brings back the source's values; user edits win over them
+  if (existing.overrides) {
+    Object.assign(normalized, existing.overrides);
+  }
+
+  const changed = hasOpportunityChanged(existing, normalized);
+
+  return {
+    result: changed ? 'updated' : 'unchanged',
+    record: {
+      ...existing,
+      ...normalized,
+      scrapedAt: normalized.scrapedAt || existing.scrapedAt || timestamp,
+      firstSeenAt: existing.firstSeenAt || existing.savedAt || timestamp,
+      updatedAt: changed ? timestamp : (existing.updatedAt || existing.savedAt || timestamp),
+      savedAt: timestamp
+    }
+  };
+}
+
+/**
+ * Move records stored under a bare id (version 1) to their namespaced key
+ * @param {IDBObjectStore} store - Opportunity store, inside the upgrade transaction
+ */
+function namespaceStoredKeys(store) {
+  store.openCursor().onsuccess = event => {
+    const cursor = event.target.result;
+    if (!cursor) {
+      return;
+    }
+
+    const key = getOpportunityKey(cursor.value);
+    if (key && key !== cursor.primaryKey) {
+      cursor.delete();
+      store.put({ ...cursor.value, id: key });
+    }
+    cursor.continue();
+  };
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wrap
+ * @returns {Promise<any>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class OpportunityStore {
+  /**
+   * @param {IDBFactory} [idbFactory] - IndexedDB factory, defaults to the global indexedDB
+   */
+  constructor(idbFactory) {
+    this.idbFactory = idbFactory || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and on first use, create) the database
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    if (!this.idbFactory) {
+      return Promise.reject(new Error('IndexedDB is not available in this context'));
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = this.idbFactory.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = event => {
+        const db = request.result;
+        const store = db.objectStoreNames.contains(STORE_NAME)
+          ? request.transaction.objectStore(STORE_NAME)
+          : db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+
+        OPPORTUNITY_INDEXES.forEach(indexName => {
+          if (!store.indexNames.contains(indexName)) {
+            store.createIndex(indexName, indexName, { unique: false });
+          }
+        });
+
+        if (event.oldVersion > 0 && event.oldVersion < 2) {
+          namespaceStoredKeys(store);
+        }
+
+        logManager.log(`Opportunity store upgraded to version ${DB_VERSION}`);
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the extension take over without blocking
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run work inside a transaction and resolve once the transaction completes
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the object store, may return a value or promise
+   * @returns {Promise<any>} Value returned by work
+   * @private
+   */
+  async _withStore(mode, work) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const store = transaction.objectStore(STORE_NAME);
+      let result;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+      Promise.resolve(work(store)).then(value => {
+        result = value;
+      }).catch(error => {
+        try {
+          transaction.abort();
+        } catch {
+          // Transaction already finished
+        }
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Get every stored opportunity
+   * @returns {Promise<Array>} All opportunities
+   */
+  async getAll() {
+    return this._withStore('readonly', store => promisifyRequest(store.getAll()));
+  }
+
+  /**
+   * Get a single opportunity
+   * @param {string} id - Opportunity id
+   * @returns {Promise<Object|null>} The opportunity or null
+   */
+  async get(id) {
+    const record = await this._withStore('readonly', store => promisifyRequest(store.get(String(id))));
+    return record || null;
+  }
+
+  /**
+   * Get opportunities by an indexed property
+   * @param {string} indexName - One of OPPORTUNITY_INDEXES
+   * @param {IDBKeyRange|string} query - Exact value or key range
+   * @returns {Promise<Array>} Matching opportunities
+   */
+  async getByIndex(indexName, query) {
+    if (!OPPORTUNITY_INDEXES.includes(indexName)) {
+      throw new Error(`Unknown opportunity index: ${indexName}`);
+    }
+
+    return this._withStore('readonly', store => promisifyRequest(store.index(indexName).getAll(query)));
+  }
+
+  /**
+   * Count stored opportunities
+   * @returns {Promise<number>} Record count
+   */
+  async count() {
+    return this._withStore('readonly', store => promisifyRequest(store.count()));
+  }
+
+  /**
+   * Upsert opportunities one record at a time, merging each with its stored version
+   * @param {Array} opportunities - Opportunities to save
+   * @returns {Promise<Object>} Summary: {inserted, updated, unchanged, skipped, records, insertedRecords}
+   */
+  async upsertMany(opportunities) {
+    const summary = { inserted: 0, updated: 0, unchanged: 0, skipped: 0, records: [], insertedRecords: [] };
+
+    if (!Array.isArray(opportunities) || opportunities.length === 0) {
+      return summary;
+    }
+
+    const timestamp = new Date().toISOString();
+
+    await this._withStore('readwrite', async store => {
+      for (const opportunity of opportunities) {
+        const key = getOpportunityKey(opportunity);
+
+        if (!key) {
+          summary.skipped++;
+          logManager.warn('Skipping opportunity without id or externalId', { title: opportunity?.title });
+          continue;
+        }
+
+        const existing = await promisifyRequest(store.get(key));
+        const { record, result } = mergeOpportunityRecord(existing, opportunity, timestamp);
+
+        store.put(record);
+        summary[result]++;
+        summary.records.push(record);
+        if (result === 'inserted') {
+          summary.insertedRecords.push(record);
+        }
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Upsert a single opportunity
+   * @param {Object} opportunity - Opportunity to save
+   * @returns {Promise<Object>} Summary as returned by upsertMany
+   */
+  async upsert(opportunity) {
+    return this.upsertMany([opportunity]);
+  }
+
+  /**
+   * Read a record and write back a changed copy in a single transaction, so
+   * a concurrent save cannot slip in between the read and the write
+   * @param {string} id - Opportunity id
+   * @param {Function} change - Receives the stored record and returns the new one; may throw to leave it untouched
+   * @returns {Promise<Object|null>} The stored record, or null if there is none with this id
+   */
+  async update(id, change) {
+    return this._withStore('readwrite', async store => {
+      const existing = await promisifyRequest(store.get(String(id)));
+      if (!existing) {
+        return null;
+      }
+
+      const record = { ...change(existing), id: existing.id };
+      await promisifyRequest(store.put(record));
+      return record;
+    });
+  }
+
+  /**
+   * Replace a record as-is, without merging
+   * @param {Object} record - Full opportunity record (must have an id)
+   * @returns {Promise<Object>} The stored record
+   */
+  async put(record) {
+    if (!getOpportunityKey(record)) {
+      throw new Error('Cannot store an opportunity without an id');
+    }
+
+    const stored = { ...record, id: getOpportunityKey(record) };
+    await this._withStore('readwrite', store => promisifyRequest(store.put(stored)));
+    return stored;
+  }
+
+  /**
+   * Delete an opportunity
+   * @param {string} id - Opportunity id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this._withStore('readwrite', store => promisifyRequest(store.delete(String(id))));
+  }
+
+  /**
+   * Remove every opportunity
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._withStore('readwrite', store => promisifyRequest(store.clear()));
+  }
+}
+
+// Export as a singleton
+export const opportunityStore = new OpportunityStore();
+export { OpportunityStore };
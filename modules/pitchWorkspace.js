@@ -0,0 +1,300 @@
+/**
+ * Pitch Workspace - Every pitch drafted for an opportunity, kept until deleted
+ *
+ * Drafts are either generated from the pitch prompt (in a chosen tone and
+ * length) or saved after editing another draft. Each platform's response form
+ * has its own length limit, which drafts are checked against before they are
+ * copied or inserted into the form. Inserting goes through the platform tab's
+ * content scripts (content-scripts/pitch_insert.js).
+ */
+import { storageManager } from './storage.js';
+import { normalizeSourceName } from './opportunityStore.js';
+
+/**
+ * Storage key for the drafts, kept per opportunity id
+ * @type {string}
+ */
+export const PITCH_DRAFTS_KEY = 'pitchDrafts';
+
+/**
+ * Drafts kept per opportunity; the oldest are dropped first
+ * @type {number}
+ */
+export const MAX_PITCH_DRAFTS = 30;
+
+/**
+ * Tones a pitch can be generated in, with the instruction given to the AI
+ * @type {Object<string, {label: string, instruction: string}>}
+ */
+export const PITCH_TONES = {
+  professional: { label: 'Professional', instruction: 'Measured and professional' },
+  friendly: { label: 'Friendly', instruction: 'Warm and conversational, as if writing to a colleague' },
+  bold: { label: 'Bold', instruction: 'Confident, leading with a clear opinion the journalist can quote' },
+  'data-led': { label: 'Data-led', instruction: 'Grounded in figures, results and concrete examples' }
+};
+
+/**
+ * Lengths a pitch can be generated at, in words
+ * @type {Object<string, {label: string, words: number}>}
+ */
+export const PITCH_LENGTHS = {
+  short: { label: 'Short', words: 80 },
+  medium: { label: 'Medium', words: 150 },
+  long: { label: 'Long', words: 250 }
+};
+
+/**
+ * Where each platform's response form is open, and the most characters it takes (null for no limit).
+ * tabUrls are the manifest's content_scripts matches for pitch_insert.js, so every tab found can take the pitch.
+ * @type {Object<string, {tabUrls: string[], maxChars: number|null}>}
+ */
+export const PITCH_PLATFORMS = {
+  Featured: {
+    tabUrls: ['https://featured.com/questions*', 'https://featured.com/experts/questions*'],
+    maxChars: 1500
+  },
+  Qwoted: {
+    tabUrls: ['https://app.qwoted.com/opportunities*', 'https://app.qwoted.com/source_requests*'],
+    maxChars: null
+  },
+  SourceBottle: {
+    tabUrls: [
+      'https://*.sourcebottle.com/industry-list-results.asp*',
+      'https://*.sourcebottle.com/query.asp*',
+      'https://*.sourcebottle.com/industry-list.asp*'
+    ],
+    maxChars: null
+  }
+};
+
+/**
+ * Turn a generated pitch (as from aiEnhancements.generatePitchTemplate) into plain text
+ * @param {Object} pitch - {subject_line, greeting, introduction, key_points, call_to_action, sign_off}
+ * @returns {string}
+ */
+export function formatPitch(pitch) {
+  return [
+    `Subject: ${pitch.subject_line}`,
+    pitch.greeting,
+    pitch.introduction,
+    (pitch.key_points || []).map(point => `• ${point}`).join('\n'),
+    pitch.call_to_action,
+    pitch.sign_off
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * The platform an opportunity is answered on and its length limit
+ * @param {Object} opportunity - Opportunity
+ * @returns {{platform: string, maxChars: number|null, canInsert: boolean}}
+ */
+export function getPitchPlatform(opportunity) {
+  const platform = normalizeSourceName(opportunity.source || opportunity.platform) || 'Other';
+  const config = PITCH_PLATFORMS[platform];
+  return { platform, maxChars: config?.maxChars ?? null, canInsert: Boolean(config) };
+}
+
+/**
+ * Check a draft against a length limit
+ * @param {string} text - Draft text
+ * @param {number|null} maxChars - Limit, null for none
+ * @returns {{length: number, maxChars: number|null, over: number}} over is how many characters to cut (0 when it fits)
+ */
+export function checkPitchLength(text, maxChars) {
+  const length = String(text || '').length;
+  return { length, maxChars, over: maxChars ? Math.max(0, length - maxChars) : 0 };
+}
+
+/**
+ * The {{pitchTone}} and {{pitchLength}} prompt variables for a tone, length and limit
+ * @param {Object} [style]
+ * @param {string} [style.tone] - Key from PITCH_TONES
+ * @param {string} [style.length] - Key from PITCH_LENGTHS
+ * @param {number|null} [style.maxChars] - Platform limit
+ * @returns {{pitchTone: string, pitchLength: string}}
+ */
+export function describePitchStyle({ tone = 'professional', length = 'medium', maxChars = null } = {}) {
+  const { words } = PITCH_LENGTHS[length] || PITCH_LENGTHS.medium;
+  return {
+    pitchTone: (PITCH_TONES[tone] || PITCH_TONES.professional).instruction,
+    pitchLength: `About ${words} words${maxChars ? `, and no more than ${maxChars} characters in all` : ''}`
+  };
+}
+
+/**
+ * Tab operations backed by chrome.tabs; swapped out in tests
+ */
+const chromeTabDriver = {
+  /**
+   * Find open tabs
+   * @param {string[]} urls - Match patterns
+   * @returns {Promise<Array<{id: number, windowId: number, url: string}>>}
+   */
+  find(urls) {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.query({ url: urls }, tabs => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(tabs || []);
+        }
+      });
+    });
+  },
+
+  /**
+   * Ask the tab's pitch insert script to fill in the response form
+   * @param {number} tabId - Tab ID
+   * @param {string} text - Pitch
+   * @returns {Promise<void>}
+   */
+  insert(tabId, text) {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.sendMessage(tabId, { action: 'insertPitch', text }, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error('The page isn\'t listening; reload it and try again'));
+        } else if (!response || !response.success) {
+          reject(new Error(response?.error || 'No response from the page'));
+        } else {
+          resolve();
+        }
+      });
+    });
+  },
+
+  /**
+   * Bring a tab and its window to the front
+   * @param {{id: number, windowId: number}} tab - Tab
+   * @returns {Promise<void>}
+   */
+  focus(tab) {
+    return new Promise(resolve => {
+      chrome.tabs.update(tab.id, { active: true }, () => {
+        chrome.windows.update(tab.windowId, { focused: true }, () => resolve());
+      });
+    });
+  }
+};
+
+class PitchWorkspace {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with get/set (defaults to storageManager)
+   * @param {Object} [options.tabs] - Tab driver with find/insert/focus (defaults to chrome.tabs)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+    this.tabs = options.tabs || chromeTabDriver;
+  }
+
+  /**
+   * Every draft kept for an opportunity, newest first
+   * @param {string} opportunityId - Opportunity id
+   * @returns {Promise<Array>} Drafts
+   */
+  async getDrafts(opportunityId) {
+    const drafts = await this._getAll();
+    return [...(drafts[opportunityId] || [])].reverse();
+  }
+
+  /**
+   * Keep a new draft
+   * @param {string} opportunityId - Opportunity id
+   * @param {Object} draft - {text, origin ('generated' or 'edited'), tone?, length?, expertId?, expertName?, basedOn?}
+   * @returns {Promise<Object>} The draft kept, with its id and createdAt
+   * @throws {Error} If the draft is empty
+   */
+  async addDraft(opportunityId, draft) {
+    const text = String(draft.text || '').trim();
+    if (!opportunityId) {
+      throw new Error('Drafts need an opportunity');
+    }
+    if (!text) {
+      throw new Error('The draft is empty');
+    }
+
+    const drafts = await this._getAll();
+    const existing = drafts[opportunityId] || [];
+    const base = `draft-${Date.now().toString(36)}`;
+    let id = base;
+    for (let n = 2; existing.some(other => other.id === id); n++) {
+      id = `${base}-${n}`;
+    }
+
+    const saved = {
+      id,
+      text,
+      origin: draft.origin === 'generated' ? 'generated' : 'edited',
+      tone: draft.tone || null,
+      length: draft.length || null,
+      expertId: draft.expertId || null,
+      expertName: draft.expertName || null,
+      basedOn: draft.basedOn || null,
+      createdAt: new Date().toISOString()
+    };
+    drafts[opportunityId] = [...existing, saved].slice(-MAX_PITCH_DRAFTS);
+    await this.storage.set(PITCH_DRAFTS_KEY, drafts);
+    return saved;
+  }
+
+  /**
+   * Delete one draft
+   * @param {string} opportunityId - Opportunity id
+   * @param {string} draftId - Draft id
+   * @returns {Promise<void>}
+   */
+  async deleteDraft(opportunityId, draftId) {
+    const drafts = await this._getAll();
+    const remaining = (drafts[opportunityId] || []).filter(draft => draft.id !== draftId);
+    if (remaining.length > 0) {
+      drafts[opportunityId] = remaining;
+    } else {
+      delete drafts[opportunityId];
+    }
+    await this.storage.set(PITCH_DRAFTS_KEY, drafts);
+  }
+
+  /**
+   * Put a pitch into the platform's response form in an open tab, preferring
+   * the tab showing the opportunity itself
+   * @param {Object} opportunity - Opportunity the pitch answers
+   * @param {string} text - Pitch
+   * @returns {Promise<{platform: string, tabId: number}>}
+   * @throws {Error} If the pitch is empty or too long, the platform has no response form or no tab is open
+   */
+  async insertPitch(opportunity, text) {
+    const { platform, maxChars, canInsert } = getPitchPlatform(opportunity);
+    if (!String(text || '').trim()) {
+      throw new Error('The pitch is empty');
+    }
+    if (!canInsert) {
+      throw new Error(`There's no response form to insert into for ${platform} opportunities; copy the pitch instead`);
+    }
+    const { over } = checkPitchLength(text, maxChars);
+    if (over > 0) {
+      throw new Error(`The pitch is ${over} characters over ${platform}'s limit of ${maxChars}`);
+    }
+
+    const tabs = await this.tabs.find(PITCH_PLATFORMS[platform].tabUrls);
+    const url = opportunity.url || opportunity.submissionLink || '';
+    const tab = tabs.find(candidate => url && candidate.url?.startsWith(url)) || tabs[0];
+    if (!tab) {
+      throw new Error(`Open the opportunity on ${platform} first, with its response form showing`);
+    }
+
+    await this.tabs.insert(tab.id, text);
+    await this.tabs.focus(tab);
+    return { platform, tabId: tab.id };
+  }
+
+  /**
+   * @private
+   */
+  async _getAll() {
+    const drafts = await this.storage.get(PITCH_DRAFTS_KEY);
+    return drafts && typeof drafts === 'object' ? drafts : {};
+  }
+}
+
+export const pitchWorkspace = new PitchWorkspace();
+export { PitchWorkspace };
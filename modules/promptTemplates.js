@@ -1,19 +1,29 @@
 /**
- * Prompt templates for the Azure OpenAI integration
+ * Prompt templates for the AI analysis and pitch drafting
  * Centralizes all prompt content for easier maintenance and customization
+ *
+ * PromptTemplates holds the defaults. Every template can be edited in
+ * settings; PromptTemplateManager keeps each edit as a new version, so an
+ * older version or the default can be brought back at any time.
  */
+import { storageManager } from './storage.js';
+import { getFieldValue } from './exportFields.js';
+import { describeExpert } from './expertProfiles.js';
 
 const PromptTemplates = {
   // Base context template used in all prompts
-  baseContext: 
-`Analyze this PR opportunity for SourceBottle, a platform connecting experts with media opportunities.
+  baseContext:
+`Analyze this media opportunity, a journalist's request for expert comment, for the expert below.
 
 Focus on these aspects:
-- Relevance to the subject matter
-- Potential value to SourceBottle users
+- Relevance to the expert's expertise and bio
+- Value to the expert of being featured
 - Newsworthiness and timeliness
 - Media outlet reach and authority
 
+Expert Profile:
+{{expertContext}}
+
 Opportunity Details:
 Title: {{title}}
 Description: {{description}}
@@ -23,19 +33,19 @@ Deadline: {{deadline}}`,
   // Specific prompt templates for different analysis types
   prompts: {
     // Summarize the opportunity concisely
-    'summarize': 
+    'summarize':
 `{{baseContext}}
 
 Provide a concise 2-3 sentence summary focusing on why this matters for relevant experts.`,
 
     // Categorize and tag the opportunity
-    'categorize': 
+    'categorize':
 `{{baseContext}}
 
 Categorize this opportunity and suggest 3-5 relevant tags (comma-separated):`,
 
     // Prioritize the opportunity with structured output
-    'prioritize': 
+    'prioritize':
 `{{baseContext}}
 
 Provide analysis in this JSON format:
@@ -48,14 +58,49 @@ Provide analysis in this JSON format:
 }`,
 
     // Suggest a response to the opportunity
-    'suggest-response': 
+    'suggest-response':
 `{{baseContext}}
 
-Suggest a professional 2-3 sentence response that an expert could use to respond to this opportunity.`
+Suggest a professional 2-3 sentence response that an expert could use to respond to this opportunity.`,
+
+    // Draft a pitch from the expert; the reply must keep this JSON structure
+    'pitch':
+`Acting as a PR professional, create a personalized pitch template for the following opportunity, written in the voice of the expert below and drawing only on their bio and expertise.
+
+Expert Profile:
+{{expertContext}}
+
+Opportunity Details:
+Title: {{title}}
+Description: {{description}}
+Media Outlet: {{mediaOutlet}}
+Deadline: {{deadline}}
+Category: {{category}}
+
+Tone: {{pitchTone}}
+Length: {{pitchLength}}
+
+Generate a structured pitch template with:
+1. A compelling subject line (limited to 50-60 characters)
+2. Personalized greeting
+3. Brief introduction paragraph (2-3 sentences)
+4. Main pitch content (3-4 bullet points of key messaging)
+5. Call-to-action
+6. Professional sign-off
+
+Format your response as a JSON object with the following structure:
+{
+  "subject_line": "Your subject line here",
+  "greeting": "Personalized greeting",
+  "introduction": "Introduction paragraph",
+  "key_points": ["Point 1", "Point 2", "Point 3"],
+  "call_to_action": "Call to action text",
+  "sign_off": "Professional sign-off"
+}`
   },
-  
+
   // Default system prompt for AI context
-  systemPrompt: 'You are an AI assistant for SourceBottle, a platform connecting experts with media opportunities.'
+  systemPrompt: 'You are an AI assistant helping experts find and answer journalists\' requests for comment on services such as SourceBottle, Featured.com and Qwoted.'
 };
 
 // Template processing helper function
@@ -65,14 +110,275 @@ function renderTemplate(template, data) {
     if (key === 'baseContext') {
       return renderTemplate(PromptTemplates.baseContext, data);
     }
-    
+
     // Return the value or a fallback
     return data[key] || 'N/A';
   });
 }
 
+/**
+ * Storage key for the edited templates and their versions
+ * @type {string}
+ */
+export const PROMPT_TEMPLATES_KEY = 'promptTemplates';
+
+/**
+ * Versions kept per template; the oldest are dropped first
+ * @type {number}
+ */
+export const MAX_PROMPT_TEMPLATE_VERSIONS = 20;
+
+/**
+ * Editable templates, by key
+ * @type {Object<string, {label: string}>}
+ */
+export const PROMPT_TEMPLATE_TYPES = {
+  'system': { label: 'System prompt' },
+  'base-context': { label: 'Shared context ({{baseContext}})' },
+  'summarize': { label: 'Summarize' },
+  'categorize': { label: 'Categorize' },
+  'prioritize': { label: 'Prioritize' },
+  'suggest-response': { label: 'Suggest response' },
+  'pitch': { label: 'Pitch draft' }
+};
+
+/**
+ * Variables a template can use, with what each holds
+ * @type {Object<string, string>}
+ */
+export const PROMPT_VARIABLES = {
+  title: 'Opportunity title',
+  description: 'Opportunity description',
+  mediaOutlet: 'Media outlet',
+  deadline: 'Deadline',
+  category: 'Category',
+  source: 'Platform it came from',
+  url: 'Link to the opportunity',
+  tags: 'Tags, comma-separated',
+  expertName: 'Expert\'s name',
+  expertBio: 'Expert\'s bio',
+  expertExpertise: 'Expert\'s expertise keywords',
+  expertOutlets: 'Expert\'s preferred outlets',
+  expertContext: 'Everything above about the expert, one line each',
+  baseContext: 'The shared context template, filled in',
+  pitchTone: 'Tone picked for a pitch draft',
+  pitchLength: 'Length picked for a pitch draft, with the platform\'s character limit'
+};
+
+/**
+ * The built-in template for a key
+ * @param {string} key - Key from PROMPT_TEMPLATE_TYPES
+ * @returns {string}
+ */
+export function getDefaultTemplate(key) {
+  if (key === 'system') {
+    return PromptTemplates.systemPrompt;
+  }
+  if (key === 'base-context') {
+    return PromptTemplates.baseContext;
+  }
+  return PromptTemplates.prompts[key] || '';
+}
+
+/**
+ * Names used in a template's {{placeholders}} that aren't in PROMPT_VARIABLES
+ * @param {string} template - Template text
+ * @returns {string[]} Unknown names, each once
+ */
+export function findUnknownVariables(template) {
+  const names = [...String(template).matchAll(/\{\{([^}]+)\}\}/g)].map(match => match[1].trim());
+  return [...new Set(names)].filter(name => !Object.prototype.hasOwnProperty.call(PROMPT_VARIABLES, name));
+}
+
+/**
+ * Fill in a template. Empty variables become N/A; unknown placeholders are left as they are.
+ * @param {string} template - Template text
+ * @param {Object<string, string>} variables - As from buildPromptVariables
+ * @returns {string}
+ */
+export function renderPromptTemplate(template, variables) {
+  return String(template).replace(/\{\{([^}]+)\}\}/g, (match, name) => {
+    const key = name.trim();
+    if (!Object.prototype.hasOwnProperty.call(PROMPT_VARIABLES, key)) {
+      return match;
+    }
+    return variables[key] || 'N/A';
+  });
+}
+
+/**
+ * The variables for an opportunity and the expert it is written for
+ * @param {Object} opportunity - Opportunity
+ * @param {Object} [expert] - Normalized expert profile; omit when there is none
+ * @param {string} [baseContextTemplate] - Template {{baseContext}} is filled in from
+ * @param {Object<string, string>} [extra] - Variables only some prompts have, such as pitchTone
+ * @returns {Object<string, string>}
+ */
+export function buildPromptVariables(opportunity, expert = null, baseContextTemplate = PromptTemplates.baseContext, extra = {}) {
+  const tags = getFieldValue(opportunity, 'tags');
+  const variables = {
+    title: getFieldValue(opportunity, 'title') || '',
+    description: getFieldValue(opportunity, 'description') || '',
+    mediaOutlet: getFieldValue(opportunity, 'mediaOutlet') || '',
+    deadline: getFieldValue(opportunity, 'deadline') || '',
+    category: getFieldValue(opportunity, 'category') || '',
+    source: getFieldValue(opportunity, 'source') || '',
+    url: getFieldValue(opportunity, 'url') || '',
+    tags: Array.isArray(tags) ? tags.join(', ') : tags || '',
+    expertName: expert?.name || '',
+    expertBio: expert?.bio || '',
+    expertExpertise: (expert?.expertise || []).join(', '),
+    expertOutlets: (expert?.preferredOutlets || []).join(', '),
+    expertContext: describeExpert(expert),
+    ...extra
+  };
+  variables.baseContext = renderPromptTemplate(baseContextTemplate, variables);
+  return variables;
+}
+
+/**
+ * Render one of a set of templates for an opportunity
+ * @param {Object<string, string>} templates - Templates by key, as from getTemplates
+ * @param {string} key - Key from PROMPT_TEMPLATE_TYPES
+ * @param {Object} opportunity - Opportunity
+ * @param {Object} [expert] - Normalized expert profile
+ * @param {Object<string, string>} [extra] - As for buildPromptVariables
+ * @returns {string}
+ */
+export function renderPrompt(templates, key, opportunity, expert = null, extra = {}) {
+  const variables = buildPromptVariables(opportunity, expert, templates['base-context'], extra);
+  return renderPromptTemplate(templates[key], variables);
+}
+
+class PromptTemplateManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with get/set (defaults to storageManager)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+  }
+
+  /**
+   * Every template in use, edited or default
+   * @returns {Promise<Object<string, string>>} Template text by key
+   */
+  async getTemplates() {
+    const history = await this._getHistory();
+    const templates = {};
+    Object.keys(PROMPT_TEMPLATE_TYPES).forEach(key => {
+      const latest = (history[key] || []).slice(-1)[0];
+      templates[key] = latest?.template ?? getDefaultTemplate(key);
+    });
+    return templates;
+  }
+
+  /**
+   * A template's saved versions, newest first. A version with isDefault set is a reset.
+   * @param {string} key - Key from PROMPT_TEMPLATE_TYPES
+   * @returns {Promise<Array<{version: number, template: string, isDefault: boolean, savedAt: string}>>}
+   */
+  async getVersions(key) {
+    this._checkKey(key);
+    const history = await this._getHistory();
+    return (history[key] || [])
+      .map(entry => ({
+        version: entry.version,
+        template: entry.template ?? getDefaultTemplate(key),
+        isDefault: entry.template === null,
+        savedAt: entry.savedAt
+      }))
+      .reverse();
+  }
+
+  /**
+   * Save a new version of a template
+   * @param {string} key - Key from PROMPT_TEMPLATE_TYPES
+   * @param {string} template - Template text
+   * @returns {Promise<Object>} The version saved, as in getVersions
+   * @throws {Error} If the template is empty or uses variables that don't exist
+   */
+  async saveTemplate(key, template) {
+    this._checkKey(key);
+    const text = String(template ?? '').trim();
+    if (!text) {
+      throw new Error('The template is empty; use Reset to go back to the default');
+    }
+    const unknown = findUnknownVariables(text);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown variable${unknown.length > 1 ? 's' : ''}: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+    }
+    if (key === 'base-context' && text.includes('{{baseContext}}')) {
+      throw new Error('The shared context can\'t include {{baseContext}}');
+    }
+    return this._addVersion(key, text);
+  }
+
+  /**
+   * Bring back an older version, saved as the newest
+   * @param {string} key - Key from PROMPT_TEMPLATE_TYPES
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} The version saved
+   */
+  async restoreVersion(key, version) {
+    const history = await this._getHistory();
+    const entry = (history[key] || []).find(candidate => candidate.version === Number(version));
+    if (!entry) {
+      throw new Error(`Version ${version} no longer exists`);
+    }
+    return this._addVersion(key, entry.template);
+  }
+
+  /**
+   * Go back to the built-in template. The reset is saved as a version, so it can be undone.
+   * @param {string} key - Key from PROMPT_TEMPLATE_TYPES
+   * @returns {Promise<Object>} The version saved
+   */
+  async resetTemplate(key) {
+    this._checkKey(key);
+    return this._addVersion(key, null);
+  }
+
+  /**
+   * @private
+   */
+  _checkKey(key) {
+    if (!PROMPT_TEMPLATE_TYPES[key]) {
+      throw new Error(`Unknown prompt template "${key}"`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getHistory() {
+    const history = await this.storage.get(PROMPT_TEMPLATES_KEY);
+    return history && typeof history === 'object' ? history : {};
+  }
+
+  /**
+   * Append a version; a null template stands for the default
+   * @private
+   */
+  async _addVersion(key, template) {
+    const history = await this._getHistory();
+    const versions = history[key] || [];
+    const latest = versions[versions.length - 1];
+    const entry = {
+      version: (latest?.version || 0) + 1,
+      template,
+      savedAt: new Date().toISOString()
+    };
+    history[key] = [...versions, entry].slice(-MAX_PROMPT_TEMPLATE_VERSIONS);
+    await this.storage.set(PROMPT_TEMPLATES_KEY, history);
+    return { ...entry, template: template ?? getDefaultTemplate(key), isDefault: template === null };
+  }
+}
+
+export const promptTemplateManager = new PromptTemplateManager();
+
 // Export for ES6 modules
-export { PromptTemplates, renderTemplate };
+export { PromptTemplates, renderTemplate, PromptTemplateManager };
 
 // Expose to window for browser/extension usage
 if (typeof window !== 'undefined') {
@@ -0,0 +1,496 @@
+/**
+ * ScheduledScraper - Runs the scheduled auto-scrape for each platform
+ *
+ * Every platform has its own schedule (time, daily or custom days) and alarm.
+ * SourceBottle: one background tab is reused for the whole run; each selected
+ * category is opened in turn and paged through to the end, and every page is
+ * upserted into the opportunity store.
+ * Featured and Qwoted: a background tab is opened on the questions page and the
+ * platform's own content launcher scrapes it and saves through the background.
+ * Tabs are closed when a run finishes, and a summary of new/updated/unchanged
+ * counts for each run is kept for the popup.
+ */
+import { storageManager } from './storage.js';
+import { logManager } from './logger.js';
+
+/**
+ * SourceBottle industry IDs by category name
+ * @type {Object<string, string>}
+ */
+export const SOURCEBOTTLE_CATEGORIES = {
+  'Technology': '70',
+  'Business & Finance': '61',
+  'Health & Wellbeing': '64',
+  'Lifestyle, Food & Fashion': '65',
+  'PR, Media & Marketing': '69',
+  'Parenting & Education': '66',
+  'Environment': '62',
+  'Travel & Leisure': '71',
+  'Professional Services': '67',
+  'Property': '68',
+  'General': '63'
+};
+
+/**
+ * Platforms that can be scraped on a schedule. Featured and Qwoted are
+ * scraped by their content launchers when `url` loads.
+ * @type {Object<string, {label: string, url?: string}>}
+ */
+export const SCRAPE_PLATFORMS = {
+  sourcebottle: { label: 'SourceBottle' },
+  featured: { label: 'Featured', url: 'https://featured.com/experts/questions' },
+  qwoted: { label: 'Qwoted', url: 'https://app.qwoted.com/opportunities' }
+};
+
+/**
+ * Schedule used for any platform (or field) that has none saved
+ * @type {Object}
+ */
+export const DEFAULT_PLATFORM_SCHEDULE = {
+  enabled: false,
+  type: 'daily',
+  time: '09:00',
+  days: ['mon', 'tue', 'wed', 'thu', 'fri']
+};
+
+/**
+ * chrome.storage.local key for the run summaries, newest first
+ * @type {string}
+ */
+export const SCRAPE_RUNS_KEY = 'scheduledScrapeRuns';
+
+/**
+ * Alarm name prefix; the full name is `autoScrape-<platform>`
+ * @type {string}
+ */
+export const AUTO_SCRAPE_ALARM = 'autoScrape';
+
+/**
+ * Marks a tab as driven by the scheduler so the content script doesn't
+ * also auto-save on load (which would skew the new/updated counts)
+ * @type {string}
+ */
+export const SCHEDULED_SCRAPE_HASH = '#scheduled-scrape';
+
+const MAX_STORED_RUNS = 20;
+const MAX_PAGES_PER_CATEGORY = 50;
+const PAGE_LOAD_TIMEOUT = 30000; // ms
+const SAVE_TIMEOUT = 120000; // ms to wait for a content launcher to save
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Fill in per-platform schedules. Schedules saved before platforms existed were
+ * a single SourceBottle schedule ({enabled, type, time, days, categories}).
+ * @param {Object} [schedule] - Stored schedule settings
+ * @returns {{platforms: Object<string, Object>}} Complete schedule
+ */
+export function normalizeSchedule(schedule = {}) {
+  const saved = schedule.platforms || { sourcebottle: schedule };
+  const platforms = {};
+
+  Object.keys(SCRAPE_PLATFORMS).forEach(platform => {
+    platforms[platform] = {
+      ...DEFAULT_PLATFORM_SCHEDULE,
+      ...(saved[platform] || {})
+    };
+    platforms[platform].enabled = platforms[platform].enabled === true;
+  });
+  platforms.sourcebottle.categories = platforms.sourcebottle.categories || ['all'];
+
+  return { platforms };
+}
+
+/**
+ * Work out when a platform's schedule should next run
+ * @param {Object} platformSchedule - {type, time, days}
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} Next run time, or null for a custom schedule with no days
+ */
+export function getNextRunTime(platformSchedule, now = new Date()) {
+  const [hours, minutes] = String(platformSchedule.time || DEFAULT_PLATFORM_SCHEDULE.time).split(':').map(Number);
+  const days = platformSchedule.type === 'custom' ? platformSchedule.days || [] : DAY_NAMES;
+
+  // Today counts only if the time hasn't passed yet
+  for (let daysToAdd = 0; daysToAdd <= 7; daysToAdd++) {
+    const candidate = new Date(now);
+    candidate.setDate(candidate.getDate() + daysToAdd);
+    candidate.setHours(hours, minutes, 0, 0);
+
+    if (candidate > now && days.includes(DAY_NAMES[candidate.getDay()])) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Alarm name for a platform's schedule
+ * @param {string} platform - Key of SCRAPE_PLATFORMS
+ * @returns {string}
+ */
+export function getAlarmName(platform) {
+  return `${AUTO_SCRAPE_ALARM}-${platform}`;
+}
+
+/**
+ * Platform an alarm belongs to; the old single `autoScrape` alarm was SourceBottle's
+ * @param {string} alarmName - Alarm name
+ * @returns {string|null} Platform key, or null if it isn't an auto-scrape alarm
+ */
+export function getPlatformForAlarm(alarmName) {
+  if (alarmName === AUTO_SCRAPE_ALARM) {
+    return 'sourcebottle';
+  }
+  const platform = alarmName.startsWith(`${AUTO_SCRAPE_ALARM}-`) ? alarmName.slice(AUTO_SCRAPE_ALARM.length + 1) : null;
+  return SCRAPE_PLATFORMS[platform] ? platform : null;
+}
+
+/**
+ * Map the category names chosen in settings to SourceBottle categories.
+ * 'all' (or nothing selected) means every category.
+ * @param {string[]} [selected] - Category names from the schedule settings
+ * @returns {Array<{name: string, id: string}>}
+ */
+export function resolveScheduledCategories(selected) {
+  const names = !Array.isArray(selected) || selected.length === 0 || selected.includes('all')
+    ? Object.keys(SOURCEBOTTLE_CATEGORIES)
+    : selected.filter(name => SOURCEBOTTLE_CATEGORIES[name]);
+
+  return [...new Set(names)].map(name => ({ name, id: SOURCEBOTTLE_CATEGORIES[name] }));
+}
+
+/**
+ * Build the results URL for one page of a category
+ * @param {string} categoryId - SourceBottle industry ID
+ * @param {number} page - 1-based page number
+ * @returns {string}
+ */
+export function getCategoryPageUrl(categoryId, page) {
+  const pageParam = page > 1 ? `&p=${page}` : '';
+  return `https://www.sourcebottle.com/industry-list-results.asp?industry=${categoryId}${pageParam}${SCHEDULED_SCRAPE_HASH}`;
+}
+
+/**
+ * Tab operations backed by chrome.tabs; swapped out in tests
+ */
+const chromeTabDriver = {
+  /**
+   * Open a background tab
+   * @param {string} url - URL to open
+   * @returns {Promise<number>} Tab ID
+   */
+  open(url) {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.create({ url, active: false }, tab => {
+        if (chrome.runtime.lastError || !tab) {
+          reject(new Error(chrome.runtime.lastError?.message || 'Failed to open tab'));
+        } else {
+          resolve(tab.id);
+        }
+      });
+    });
+  },
+
+  /**
+   * Navigate a tab and wait for it to finish loading
+   * @param {number} tabId - Tab ID
+   * @param {string} url - URL to load
+   * @returns {Promise<void>}
+   */
+  navigate(tabId, url) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        chrome.tabs.onUpdated.removeListener(listener);
+        reject(new Error(`Timed out loading ${url}`));
+      }, PAGE_LOAD_TIMEOUT);
+
+      function listener(updatedTabId, changeInfo) {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          clearTimeout(timer);
+          chrome.tabs.onUpdated.removeListener(listener);
+          resolve();
+        }
+      }
+
+      chrome.tabs.onUpdated.addListener(listener);
+      chrome.tabs.update(tabId, { url }, () => {
+        if (chrome.runtime.lastError) {
+          clearTimeout(timer);
+          chrome.tabs.onUpdated.removeListener(listener);
+          reject(new Error(chrome.runtime.lastError.message));
+        }
+      });
+    });
+  },
+
+  /**
+   * Ask the content script for the opportunities on the loaded page
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<{opportunities: Array, page: number, totalPages: number}>}
+   */
+  extract(tabId) {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.sendMessage(tabId, { action: 'extractSourceBottleOpportunities' }, response => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response || !response.success) {
+          reject(new Error(response?.error || 'No response from content script'));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  },
+
+  /**
+   * Close a tab, ignoring tabs the user already closed
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<void>}
+   */
+  close(tabId) {
+    return new Promise(resolve => {
+      chrome.tabs.remove(tabId, () => {
+        // Reading lastError keeps Chrome from logging an unchecked error
+        void chrome.runtime.lastError;
+        resolve();
+      });
+    });
+  }
+};
+
+class ScheduledScraper {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with upsertOpportunities/get/set (defaults to storageManager)
+   * @param {Function} [options.save] - Saves a page of scraped opportunities and resolves to the upsert
+   *   summary (defaults to storage.upsertOpportunities; the background passes its own save path)
+   * @param {Object} [options.tabs] - Tab driver with open/navigate/extract/close (defaults to chrome.tabs)
+   * @param {number} [options.saveTimeout] - How long to wait for a content launcher to save (ms)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+    this.save = options.save || (opportunities => this.storage.upsertOpportunities(opportunities));
+    this.tabs = options.tabs || chromeTabDriver;
+    this.saveTimeout = options.saveTimeout || SAVE_TIMEOUT;
+    // Runs share one queue so platforms scheduled for the same time take turns
+    this.queue = Promise.resolve();
+    this.pendingSaves = new Map();
+  }
+
+  /**
+   * Run one platform's scheduled scrape and record the result
+   * @param {string} platform - Key of SCRAPE_PLATFORMS
+   * @param {Object} [platformSchedule] - The platform's schedule (SourceBottle reads `categories`)
+   * @returns {Promise<Object>} Run summary
+   */
+  runPlatform(platform, platformSchedule = {}) {
+    if (!SCRAPE_PLATFORMS[platform]) {
+      return Promise.reject(new Error(`Unknown scrape platform: ${platform}`));
+    }
+
+    const task = () => platform === 'sourcebottle'
+      ? this._runSourceBottle(platformSchedule.categories)
+      : this._runLaunchedPage(platform);
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Scrape every selected SourceBottle category in one background tab and record the run
+   * @param {string[]} [selectedCategories] - Category names from the schedule settings
+   * @returns {Promise<Object>} Run summary
+   */
+  run(selectedCategories) {
+    return this.runPlatform('sourcebottle', { categories: selectedCategories });
+  }
+
+  /**
+   * @param {string[]} [selectedCategories] - Category names from the schedule settings
+   * @returns {Promise<Object>} Run summary
+   * @private
+   */
+  async _runSourceBottle(selectedCategories) {
+    const categories = resolveScheduledCategories(selectedCategories);
+    const run = this._createRun('sourcebottle');
+    run.categories = [];
+    let tabId = null;
+
+    try {
+      logManager.log(`Scheduled scrape of ${categories.length} SourceBottle categories`);
+      tabId = await this.tabs.open('about:blank');
+
+      for (const category of categories) {
+        const result = await this.scrapeCategory(tabId, category);
+        run.categories.push(result);
+        this._addCounts(run.totals, result);
+      }
+    } catch (error) {
+      logManager.error('Scheduled SourceBottle scrape failed:', error);
+      run.error = error.message;
+    } finally {
+      await this._finishRun(run, tabId);
+    }
+
+    return run;
+  }
+
+  /**
+   * Open a platform page and wait for its content launcher to save what it scraped
+   * @param {string} platform - 'featured' or 'qwoted'
+   * @returns {Promise<Object>} Run summary
+   * @private
+   */
+  async _runLaunchedPage(platform) {
+    const run = this._createRun(platform);
+    let tabId = null;
+
+    try {
+      logManager.log(`Scheduled scrape of ${SCRAPE_PLATFORMS[platform].label}`);
+      tabId = await this.tabs.open(SCRAPE_PLATFORMS[platform].url);
+      const summary = await this.waitForSave(tabId);
+      this._addCounts(run.totals, summary);
+    } catch (error) {
+      logManager.error(`Scheduled ${SCRAPE_PLATFORMS[platform].label} scrape failed:`, error);
+      run.error = error.message;
+    } finally {
+      await this._finishRun(run, tabId);
+    }
+
+    return run;
+  }
+
+  /**
+   * Wait until the content launcher in a tab saves its opportunities
+   * @param {number} tabId - Tab being scraped
+   * @returns {Promise<Object>} Upsert summary from the save
+   */
+  waitForSave(tabId) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingSaves.delete(tabId);
+        reject(new Error(`No opportunities saved within ${Math.round(this.saveTimeout / 1000)}s`));
+      }, this.saveTimeout);
+
+      this.pendingSaves.set(tabId, summary => {
+        clearTimeout(timer);
+        this.pendingSaves.delete(tabId);
+        resolve(summary);
+      });
+    });
+  }
+
+  /**
+   * Hand a save from a content script to the run waiting on that tab
+   * @param {number} tabId - Tab the save came from
+   * @param {Object} summary - Upsert summary
+   * @returns {boolean} Whether a scheduled run was waiting on the tab
+   */
+  handleTabSave(tabId, summary) {
+    const resolve = this.pendingSaves.get(tabId);
+    if (!resolve) {
+      return false;
+    }
+    resolve(summary);
+    return true;
+  }
+
+  /**
+   * Page through one category until the last page (or an empty page)
+   * @param {number} tabId - Tab to load pages in
+   * @param {{name: string, id: string}} category - Category to scrape
+   * @returns {Promise<Object>} Per-category summary
+   */
+  async scrapeCategory(tabId, category) {
+    const result = { name: category.name, id: category.id, pages: 0, inserted: 0, updated: 0, unchanged: 0 };
+
+    try {
+      for (let page = 1; page <= MAX_PAGES_PER_CATEGORY; page++) {
+        await this.tabs.navigate(tabId, getCategoryPageUrl(category.id, page));
+        const { opportunities = [], totalPages = 1 } = await this.tabs.extract(tabId);
+        result.pages = page;
+
+        if (opportunities.length > 0) {
+          this._addCounts(result, await this.save(opportunities));
+        }
+
+        if (opportunities.length === 0 || page >= totalPages) {
+          break;
+        }
+      }
+    } catch (error) {
+      // Keep going with the next category; the counts so far still stand
+      logManager.error(`Scheduled scrape of ${category.name} failed:`, error);
+      result.error = error.message;
+    }
+
+    logManager.log(`Scraped ${category.name}: ${result.pages} pages, ${result.inserted} new, ${result.updated} updated, ${result.unchanged} unchanged`);
+    return result;
+  }
+
+  /**
+   * Store a run summary, keeping the most recent runs
+   * @param {Object} run - Run summary
+   * @returns {Promise<void>}
+   */
+  async recordRun(run) {
+    const runs = await this.getRuns();
+    await this.storage.set(SCRAPE_RUNS_KEY, [run, ...runs].slice(0, MAX_STORED_RUNS));
+  }
+
+  /**
+   * Get stored run summaries, newest first
+   * @param {string} [platform] - Only runs for this platform
+   * @returns {Promise<Array>}
+   */
+  async getRuns(platform) {
+    const runs = await this.storage.get(SCRAPE_RUNS_KEY);
+    if (!Array.isArray(runs)) {
+      return [];
+    }
+    // Runs recorded before platforms existed were all SourceBottle
+    return platform ? runs.filter(run => (run.platform || 'sourcebottle') === platform) : runs;
+  }
+
+  /**
+   * @param {string} platform - Key of SCRAPE_PLATFORMS
+   * @returns {Object} Empty run summary
+   * @private
+   */
+  _createRun(platform) {
+    return {
+      platform,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      totals: { inserted: 0, updated: 0, unchanged: 0 }
+    };
+  }
+
+  /**
+   * Add an upsert summary's counts to a running total
+   * @private
+   */
+  _addCounts(target, counts) {
+    target.inserted += counts.inserted || 0;
+    target.updated += counts.updated || 0;
+    target.unchanged += counts.unchanged || 0;
+  }
+
+  /**
+   * Close the run's tab and record the run
+   * @param {Object} run - Run summary
+   * @param {number|null} tabId - Tab to close
+   * @private
+   */
+  async _finishRun(run, tabId) {
+    if (tabId !== null) {
+      await this.tabs.close(tabId);
+    }
+    run.finishedAt = new Date().toISOString();
+    await this.recordRun(run);
+    logManager.log(`Scheduled ${SCRAPE_PLATFORMS[run.platform].label} scrape finished: ${run.totals.inserted} new, ${run.totals.updated} updated, ${run.totals.unchanged} unchanged`);
+  }
+}
+
+export const scheduledScraper = new ScheduledScraper();
+export { ScheduledScraper };
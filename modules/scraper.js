@@ -6,6 +6,9 @@
  */
 import { storageManager } from './storage.js';
 import { logManager } from './logger.js';
+import './scrapers/opportunity-id.js';
+
+const { createOpportunityId } = globalThis.opportunityIds;
 
 // Import the notification system if available
 let scraperNotification = null;
@@ -185,7 +188,7 @@ class OpportunityScraper {
               scraperNotification.updateProgress(progressPercent);
             }
             
-            const opportunity = this.extractOpportunityFromDiv(resultDiv, index, currentUrl);
+            const opportunity = this.extractOpportunityFromDiv(resultDiv, currentUrl);
             if (opportunity) {
               pageOpportunities.push(opportunity);
               console.log(`📢 [SOURCEBOTTLE] Extracted opportunity: ${opportunity.title}`);
@@ -274,11 +277,10 @@ class OpportunityScraper {
   /**
    * Extract opportunity from a result div
    * @param {Element} resultDiv - The div containing the opportunity
-   * @param {number} index - Index for generating unique IDs
    * @param {string} currentUrl - Current page URL for context
    * @returns {Object|null} Opportunity object or null if invalid
    */
-  extractOpportunityFromDiv(resultDiv, index, currentUrl) {
+  extractOpportunityFromDiv(resultDiv, currentUrl) {
     try {
       // Extract the h4 element with the title and link
       const h4Element = resultDiv.querySelector('h4');
@@ -325,9 +327,8 @@ class OpportunityScraper {
         deadline = deadlineElement.textContent.replace('Deadline:', '').trim();
       }
       
-      // Generate a unique ID for this opportunity
-      // Extract query ID from URL if available
-      let externalId = `sb-${index}-${Date.now()}`;
+      // Use the query ID from the URL, falling back to a stable content hash
+      let externalId = createOpportunityId('sourcebottle', { content: [title, publication, description] });
       const qidMatch = url.match(/qid=(\d+)/);
       if (qidMatch && qidMatch[1]) {
         externalId = qidMatch[1];
@@ -370,11 +371,10 @@ class OpportunityScraper {
   /**
    * Extract opportunity from a link element
    * @param {Element} link - The link element containing the opportunity
-   * @param {number} index - Index for generating unique IDs
    * @param {string} currentUrl - Current page URL for context
    * @returns {Object|null} Opportunity object or null if invalid
    */
-  extractOpportunityFromLink(link, index, currentUrl) {
+  extractOpportunityFromLink(link, currentUrl) {
     try {
       // Get the title from the link text
       const title = link.textContent.trim();
@@ -423,9 +423,8 @@ class OpportunityScraper {
         }
       }
       
-      // Generate a unique ID for this opportunity
-      // Extract query ID from URL if available
-      let externalId = `sb-${index}-${Date.now()}`;
+      // Use the query ID from the URL, falling back to a stable content hash
+      let externalId = createOpportunityId('sourcebottle', { content: [title, publication, description] });
       const qidMatch = url.match(/qid=(\d+)/);
       if (qidMatch && qidMatch[1]) {
         externalId = qidMatch[1];
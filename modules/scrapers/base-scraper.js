@@ -3,7 +3,7 @@
  * 
  * This abstract class provides common functionality for all platform-specific scrapers.
  * It handles:
- * - Storage operations
+ * - Persisting opportunities via the background opportunity store
  * - Text extraction from DOM elements
  * - Error handling and logging
  * - Common utility methods
@@ -18,7 +18,7 @@ const logManager = window.logManager || console;
 class BaseScraper {
   /**
    * Create a new BaseScraper
-   * @param {string} storageKey - The key used to store opportunities in chrome.storage.local
+   * @param {string} storageKey - Legacy chrome.storage.local key for this platform's opportunities
    * @param {string} sourceName - The name of the source platform (e.g., 'SourceBottle', 'Featured', 'Qwoted')
    */
   constructor(storageKey, sourceName) {
@@ -136,30 +136,27 @@ class BaseScraper {
   }
   
   /**
-   * Load existing opportunities from storage
-   * @returns {Promise<Array>} Array of existing opportunities
+   * Send a message to the background service worker.
+   * Scrapers injected into the page's MAIN world have no chrome.runtime and
+   * should override this to route through their bridge script.
+   * @param {Object} message - Message to send
+   * @returns {Promise<Object>} Background response
    */
-  async loadExistingOpportunities() {
-    try {
-      return new Promise((resolve) => {
-        chrome.storage.local.get(this.storageKey, (result) => {
-          if (result[this.storageKey] && Array.isArray(result[this.storageKey])) {
-            this.debugLog(`Loaded ${result[this.storageKey].length} existing opportunities from storage`);
-            resolve(result[this.storageKey]);
-          } else {
-            this.debugLog('No existing opportunities found in storage');
-            resolve([]);
-          }
-        });
+  sendToBackground(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(response);
       });
-    } catch (error) {
-      this.debugLog('Error loading existing opportunities:', error);
-      return [];
-    }
+    });
   }
   
   /**
-   * Persist opportunities to storage
+   * Persist opportunities to the unified opportunity store.
+   * The background upserts each record, merging it with any stored version.
    * @param {Array} opportunities - Opportunities to save
    * @returns {Promise<boolean>} Success status
    */
@@ -176,60 +173,18 @@ class BaseScraper {
         source: op.source || this.sourceName
       }));
       
-      // Load existing opportunities to merge with new ones
-      const existing = await this.loadExistingOpportunities();
-      
-      // Create a map of existing opportunities by ID for quick lookup
-      const existingMap = new Map();
-      existing.forEach(op => {
-        const idKey = op.externalId || op.id;
-        if (idKey) {
-          existingMap.set(idKey, op);
-        }
+      const response = await this.sendToBackground({
+        action: 'saveOpportunities',
+        source: this.sourceName,
+        opportunities: taggedOpportunities
       });
       
-      // Merge new opportunities with existing ones, updating if needed
-      const merged = [...existing];
-      
-      for (const newOp of taggedOpportunities) {
-        const idKey = newOp.externalId || newOp.id;
-        
-        if (!idKey) {
-          // If no ID, just add it
-          merged.push(newOp);
-          continue;
-        }
-        
-        // Check if this opportunity already exists
-        const existingIndex = merged.findIndex(op => 
-          (op.externalId === idKey || op.id === idKey) && op.source === newOp.source
-        );
-        
-        if (existingIndex >= 0) {
-          // Update existing opportunity
-          merged[existingIndex] = {
-            ...merged[existingIndex],
-            ...newOp,
-            scrapedAt: new Date().toISOString() // Update scraped timestamp
-          };
-        } else {
-          // Add new opportunity
-          merged.push(newOp);
-        }
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from background');
       }
       
-      // Save to storage
-      return new Promise((resolve) => {
-        chrome.storage.local.set({ [this.storageKey]: merged }, () => {
-          this.debugLog(`Saved ${merged.length} opportunities to storage (${taggedOpportunities.length} new/updated)`);
-          
-          // Also save last updated timestamp
-          const timestamp = new Date().toISOString();
-          chrome.storage.local.set({ [`${this.storageKey}_lastUpdated`]: timestamp });
-          
-          resolve(true);
-        });
-      });
+      this.debugLog(`Saved ${taggedOpportunities.length} opportunities (${response.inserted} new, ${response.updated} updated, ${response.unchanged} unchanged)`);
+      return true;
     } catch (error) {
       this.debugLog('Error persisting opportunities:', error);
       return false;
@@ -190,8 +190,11 @@ class FeaturedScraper {
       // Check for urgency indicators in the deadline cell
       const isUrgent = row.querySelector('td.md\:table-cell:nth-child(4) span.text-destructive') !== null;
       
-      // Generate unique ID
-      const externalId = `featured-${Date.now()}-${index}`;
+      // Rows carry no per-question link (the page URL is all we have), so the ID is
+      // a hash of the question and publication; rescrapes land on the same record
+      const externalId = window.opportunityIds.createOpportunityId('featured', {
+        content: [question, publication]
+      });
       
       // Create opportunity object using Featured.com's field structure
       const opportunity = {
@@ -203,6 +206,7 @@ class FeaturedScraper {
         publication: publication,     // Media outlet
         deadline: deadline,          // Relative deadline (e.g., "7d 15h")
         closeDate: closeDate,        // Absolute deadline (e.g., "Jul 11th, 2025")
+        ...window.opportunityDeadlines.normalizeDeadline({ deadline, closeDate }, 'featured'),
         source: 'Featured',
         platform: 'featured',
         category: this.categorizeOpportunity(question),
@@ -239,41 +243,26 @@ class FeaturedScraper {
   }
 
   /**
-   * Save opportunities to Chrome storage
+   * Save opportunities to the unified opportunity store via the background
    */
   async saveOpportunities(opportunities) {
     try {
       console.log(`${this.logPrefix} Saving ${opportunities.length} opportunities to storage`);
       
-      // Get existing opportunities
-      const result = await chrome.storage.local.get(['featuredOpportunities']);
-      const existingOpportunities = result.featuredOpportunities || [];
-      
-      // Merge new opportunities (avoid duplicates based on question content)
-      const mergedOpportunities = [...existingOpportunities];
-      let newCount = 0;
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveOpportunities',
+        source: 'Featured',
+        opportunities
+      });
       
-      for (const newOpp of opportunities) {
-        const exists = existingOpportunities.some(existing => 
-          existing.question === newOpp.question && 
-          existing.publication === newOpp.publication
-        );
-        
-        if (!exists) {
-          mergedOpportunities.push(newOpp);
-          newCount++;
-        }
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from background');
       }
       
-      // Save to storage
-      await chrome.storage.local.set({
-        featuredOpportunities: mergedOpportunities
-      });
-      
-      console.log(`${this.logPrefix} Saved ${newCount} new opportunities (${mergedOpportunities.length} total)`);
+      console.log(`${this.logPrefix} Saved ${response.inserted} new, ${response.updated} updated opportunities (${response.total} total)`);
       
       // Show notification
-      this.showNotification(`Found ${newCount} new Featured.com opportunities`);
+      this.showNotification(`Found ${response.inserted} new Featured.com opportunities`);
       
     } catch (error) {
       console.error(`${this.logPrefix} Error saving opportunities:`, error);
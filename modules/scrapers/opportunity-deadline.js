@@ -0,0 +1,412 @@
+/**
+ * Opportunity deadline helper
+ *
+ * Turns the deadline text each platform shows into an ISO timestamp carrying
+ * the source's UTC offset, so filters, sorting and the classifier compare real
+ * instants instead of calling `new Date()` on raw strings:
+ *
+ * - SourceBottle: "30 April 2025 @ 5pm", in Sydney time (AEST/AEDT)
+ * - Featured: a countdown such as "7d 15h", plus a closeDate like "Jul 11th, 2025"
+ * - Qwoted: free-form text ("Deadline: in 3 days", "Due: 7/15/2025", "Friday")
+ *
+ * Scrapers call normalizeDeadline at scrape time and store the result as
+ * `deadlineAt`, `deadlineTimezone` and `deadlineConfidence`. Confidence is
+ * 'high' for a date with a time or a countdown in hours, 'medium' for a date
+ * without a time (end of that day is assumed) or a countdown in days, 'low'
+ * when the date had to be guessed (no year, a weekday, ambiguous day/month
+ * order, a date picked out of longer text) and 'none' when nothing was found.
+ *
+ * Loaded as a plain script so content scripts (ISOLATED and MAIN world) can use
+ * it; ES modules import it for its side effect and read globalThis.opportunityDeadlines.
+ */
+
+(function(root) {
+  /**
+   * Time zone each platform shows its deadlines in; other platforms render
+   * deadlines in the browser's own time zone
+   */
+  const SOURCE_TIMEZONES = {
+    sourcebottle: 'Australia/Sydney'
+  };
+
+  // Platforms writing numeric dates day first (30/04/2025)
+  const DAY_FIRST_SOURCES = ['sourcebottle'];
+
+  const CONFIDENCE_RANK = { none: 0, low: 1, medium: 2, high: 3 };
+
+  const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+  ];
+  const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  const UNIT_MINUTES = { w: 7 * 24 * 60, d: 24 * 60, h: 60, m: 1 };
+
+  const MINUTE_MS = 60 * 1000;
+  const DAY_MS = 24 * 60 * MINUTE_MS;
+
+  const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+  const COUNTDOWN_PATTERN = /^(?:in\s+)?((?:\d+\s*(?:weeks?|w|days?|d|hours?|hrs?|h|minutes?|mins?|m)\b[\s,]*(?:and\s+)?)+)(?:left|remaining)?$/i;
+  const COUNTDOWN_PART = /(\d+)\s*(weeks?|w|days?|d|hours?|hrs?|h|minutes?|mins?|m)\b/gi;
+  const TIME_PATTERN = /^\s*(?:@|at|,|-)?\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i;
+  const DAY_MONTH_PATTERN = /\b(\d{1,2})\s+([a-z]{3,9})\.?,?(?:\s+(\d{4}))?\b/i;
+  const MONTH_DAY_PATTERN = /\b([a-z]{3,9})\.?\s+(\d{1,2})\b,?(?:\s+(\d{4}))?\b/i;
+  const NUMERIC_PATTERN = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/;
+  const WEEKDAY_PATTERN = /\b(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*\b/gi;
+
+  /**
+   * The browser's time zone
+   * @returns {string} IANA time zone name
+   */
+  function localTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch {
+      return 'UTC';
+    }
+  }
+
+  /**
+   * UTC offset of a time zone at an instant
+   * @param {number} ms - Instant in epoch milliseconds
+   * @param {string} timeZone - IANA time zone name
+   * @returns {number} Offset in minutes (600 for AEST)
+   */
+  function getOffsetMinutes(ms, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(ms)).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / MINUTE_MS);
+  }
+
+  /**
+   * Write an instant as an ISO timestamp with a time zone's offset,
+   * e.g. 2025-04-30T17:00:00+10:00 (to the minute)
+   * @param {number} ms - Instant in epoch milliseconds
+   * @param {string} timeZone - IANA time zone name
+   * @returns {string} ISO timestamp
+   */
+  function toZonedIso(ms, timeZone) {
+    const offset = getOffsetMinutes(ms, timeZone);
+    const local = new Date(ms + offset * MINUTE_MS);
+    const pad = value => String(value).padStart(2, '0');
+    const sign = offset < 0 ? '-' : '+';
+
+    return `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}` +
+      `T${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:00` +
+      `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+  }
+
+  /**
+   * Instant of a wall-clock time in a time zone
+   * @param {Object} date - {year, month (1-12), day, hour, minute}
+   * @param {string} timeZone - IANA time zone name
+   * @returns {number|null} Epoch milliseconds, or null if the date doesn't exist
+   */
+  function zonedTimeToMs({ year, month, day, hour, minute }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const check = new Date(guess);
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+      return null;
+    }
+
+    // Second pass settles times near a daylight saving change
+    const offset = getOffsetMinutes(guess - getOffsetMinutes(guess, timeZone) * MINUTE_MS, timeZone);
+    return guess - offset * MINUTE_MS;
+  }
+
+  /**
+   * Calendar date of an instant in a time zone
+   * @param {number} ms - Instant in epoch milliseconds
+   * @param {string} timeZone - IANA time zone name
+   * @returns {{year: number, month: number, day: number, weekday: number}}
+   */
+  function zonedDate(ms, timeZone) {
+    const local = new Date(ms + getOffsetMinutes(ms, timeZone) * MINUTE_MS);
+    return {
+      year: local.getUTCFullYear(),
+      month: local.getUTCMonth() + 1,
+      day: local.getUTCDate(),
+      weekday: local.getUTCDay()
+    };
+  }
+
+  /**
+   * Month number of a month name or abbreviation
+   * @param {string} word - Month name, e.g. 'Jul' or 'July'
+   * @returns {number|null} 1-12, or null if the word isn't a month
+   */
+  function monthNumber(word) {
+    const lower = String(word).toLowerCase();
+    const index = MONTHS.findIndex(month => lower.length >= 3 && month.startsWith(lower));
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Read a time of day from the start of some text ("@ 5pm", "at 17:30")
+   * @param {string} text - Text following a date
+   * @returns {{hour: number, minute: number}|null} Time, or null if none
+   */
+  function parseTime(text) {
+    const match = String(text).match(TIME_PATTERN);
+    if (!match || (!match[2] && !match[3])) {
+      return null;
+    }
+
+    let hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    const meridiem = (match[3] || '').toLowerCase();
+    if (meridiem && (hour < 1 || hour > 12)) {
+      return null;
+    }
+    if (meridiem === 'pm' && hour < 12) {
+      hour += 12;
+    } else if (meridiem === 'am' && hour === 12) {
+      hour = 0;
+    }
+
+    return hour <= 23 && minute <= 59 ? { hour, minute } : null;
+  }
+
+  /**
+   * Parse one piece of deadline text
+   * @param {string} text - Deadline as shown by the platform
+   * @param {Object} [options]
+   * @param {string} [options.timeZone] - Time zone the text is in (defaults to the browser's)
+   * @param {string|number|Date} [options.now] - When the text was read, for countdowns and missing years
+   * @param {boolean} [options.dayFirst] - Read 04/05/2025 as 4 May rather than April 5
+   * @returns {{deadlineAt: string|null, confidence: string}} ISO timestamp with offset and confidence
+   */
+  function parseDeadline(text, options = {}) {
+    const timeZone = options.timeZone || localTimeZone();
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
+    const result = (ms, confidence) => (ms === null || isNaN(ms)
+      ? { deadlineAt: null, confidence: 'none' }
+      : { deadlineAt: toZonedIso(ms, timeZone), confidence });
+    const endOfDay = date => zonedTimeToMs({ ...date, hour: 23, minute: 59 }, timeZone);
+
+    const cleaned = String(text ?? '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^(?:deadline|due(?: date)?|closes?|close date|expires?)\s*:?\s*/i, '')
+      .replace(/^(?:on|by)\s+/i, '')
+      .replace(/[.!]+$/, '')
+      .trim();
+    if (!cleaned) {
+      return result(null);
+    }
+
+    const iso = cleaned.match(ISO_PATTERN);
+    if (iso) {
+      const date = { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) };
+      if (iso[6]) {
+        return result(Date.parse(cleaned.replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2')), 'high');
+      }
+      if (iso[4]) {
+        return result(zonedTimeToMs({ ...date, hour: Number(iso[4]), minute: Number(iso[5]) }, timeZone), 'high');
+      }
+      return result(endOfDay(date), 'medium');
+    }
+
+    const countdown = cleaned.match(COUNTDOWN_PATTERN);
+    if (countdown) {
+      let minutes = 0;
+      let smallestUnit = Infinity;
+      for (const [, amount, unit] of countdown[1].matchAll(COUNTDOWN_PART)) {
+        const unitMinutes = UNIT_MINUTES[unit[0].toLowerCase()];
+        minutes += Number(amount) * unitMinutes;
+        smallestUnit = Math.min(smallestUnit, unitMinutes);
+      }
+      return result(now + minutes * MINUTE_MS, smallestUnit <= UNIT_MINUTES.h ? 'high' : 'medium');
+    }
+
+    const dayWord = cleaned.match(/^(today|tonight|tomorrow)\b(.*)$/i);
+    if (dayWord) {
+      const offsetDays = dayWord[1].toLowerCase() === 'tomorrow' ? 1 : 0;
+      const date = zonedDate(now + offsetDays * DAY_MS, timeZone);
+      const time = parseTime(dayWord[2]);
+      return time
+        ? result(zonedTimeToMs({ ...date, ...time }, timeZone), 'high')
+        : result(endOfDay(date), 'medium');
+    }
+
+    // Dates written with a month name: "30 April 2025 @ 5pm", "Friday, Jul 11th, 2025"
+    const withoutOrdinals = cleaned
+      .replace(/\b(\d{1,2})(?:st|nd|rd|th)\b/gi, '$1')
+      .replace(/^(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*\.?,?\s+(?=\d|[a-z]{3,9}\.?\s+\d)/i, '');
+    const named = [DAY_MONTH_PATTERN, MONTH_DAY_PATTERN]
+      .map((pattern, index) => {
+        const match = withoutOrdinals.match(pattern);
+        if (!match) {
+          return null;
+        }
+        const [day, monthWord] = index === 0 ? [match[1], match[2]] : [match[2], match[1]];
+        const month = monthNumber(monthWord);
+        return month ? { match, day: Number(day), month, year: match[3] ? Number(match[3]) : null } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.match.index - b.match.index)[0];
+
+    if (named) {
+      const { match } = named;
+      const rest = withoutOrdinals.slice(match.index + match[0].length);
+      const time = parseTime(rest);
+      const today = zonedDate(now, timeZone);
+      let year = named.year;
+      if (!year) {
+        // No year: this year's date, unless that is long past
+        year = today.year;
+        const thisYear = zonedTimeToMs({ year, month: named.month, day: named.day, hour: 0, minute: 0 }, timeZone);
+        if (thisYear !== null && now - thisYear > 180 * DAY_MS) {
+          year += 1;
+        }
+      }
+
+      const date = { year, month: named.month, day: named.day };
+      const ms = time ? zonedTimeToMs({ ...date, ...time }, timeZone) : endOfDay(date);
+      const leftover = time ? rest.replace(TIME_PATTERN, '') : rest;
+      const wholeText = match.index === 0 &&
+        !/[a-z0-9]/i.test(leftover.replace(/^\s*[A-Z]{2,5}\s*$/, ''));
+      const confidence = !named.year || !wholeText ? 'low' : (time ? 'high' : 'medium');
+      return result(ms, confidence);
+    }
+
+    const numeric = cleaned.match(NUMERIC_PATTERN);
+    if (numeric) {
+      const first = Number(numeric[1]);
+      const second = Number(numeric[2]);
+      const year = numeric[3].length === 2 ? 2000 + Number(numeric[3]) : Number(numeric[3]);
+      const dayFirst = first > 12 || (second <= 12 && Boolean(options.dayFirst));
+      const date = dayFirst
+        ? { year, month: second, day: first }
+        : { year, month: first, day: second };
+      const ambiguous = first <= 12 && second <= 12 && first !== second;
+
+      const time = parseTime(cleaned.slice(numeric.index + numeric[0].length));
+      const ms = time ? zonedTimeToMs({ ...date, ...time }, timeZone) : endOfDay(date);
+      return result(ms, ambiguous ? 'low' : (time ? 'high' : 'medium'));
+    }
+
+    // A bare weekday is the next one to come, today included
+    const target = [...cleaned.matchAll(WEEKDAY_PATTERN)]
+      .map(([word]) => WEEKDAYS.findIndex(name => name.startsWith(word.toLowerCase())))
+      .find(index => index !== -1);
+    if (typeof target !== 'undefined') {
+      const today = zonedDate(now, timeZone);
+      const daysAhead = (target - today.weekday + 7) % 7;
+      return result(endOfDay(zonedDate(now + daysAhead * DAY_MS, timeZone)), 'low');
+    }
+
+    return result(null);
+  }
+
+  /**
+   * Normalize an opportunity's deadline, picking the most precise of its
+   * deadline fields (Featured has both a countdown and a close date)
+   * @param {Object} opportunity - Scraped opportunity
+   * @param {string} [source] - Platform (defaults to the opportunity's source)
+   * @param {Object} [options]
+   * @param {string|number|Date} [options.now] - When it was scraped (defaults to its scrape time, then now)
+   * @param {string} [options.timeZone] - Time zone the deadline is in (defaults to the platform's, then the browser's)
+   * @returns {{deadlineAt: string|null, deadlineTimezone: string, deadlineConfidence: string}}
+   */
+  function normalizeDeadline(opportunity, source, options = {}) {
+    const platform = String(source || opportunity.source || opportunity.platform || '')
+      .toLowerCase()
+      .replace(/\s+/g, '');
+    const timeZone = options.timeZone || SOURCE_TIMEZONES[platform] || localTimeZone();
+    const parseOptions = {
+      timeZone,
+      now: options.now || opportunity.scrapedAt || opportunity.extractedAt || opportunity.timestamp || opportunity.dateAdded,
+      dayFirst: DAY_FIRST_SOURCES.includes(platform)
+    };
+
+    const best = [opportunity.deadline, opportunity.closeDate]
+      .filter(Boolean)
+      .map(text => parseDeadline(text, parseOptions))
+      .reduce((a, b) => (CONFIDENCE_RANK[b.confidence] > CONFIDENCE_RANK[a.confidence] ? b : a),
+        { deadlineAt: null, confidence: 'none' });
+
+    return {
+      deadlineAt: best.deadlineAt,
+      deadlineTimezone: timeZone,
+      deadlineConfidence: best.confidence
+    };
+  }
+
+  /**
+   * Deadline of a stored opportunity as a Date. Opportunities saved before
+   * deadlines were normalized are parsed on the fly.
+   * @param {Object} opportunity - Opportunity
+   * @returns {Date|null} Deadline, or null if it has none that can be read
+   */
+  function getDeadlineDate(opportunity) {
+    if (!opportunity) {
+      return null;
+    }
+
+    const deadlineAt = typeof opportunity.deadlineAt !== 'undefined'
+      ? opportunity.deadlineAt
+      : normalizeDeadline(opportunity).deadlineAt;
+    const date = deadlineAt ? new Date(deadlineAt) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+  }
+
+  /**
+   * How far apart two readings of a deadline text can land: a countdown is
+   * read from the scrape time, so rescraping "7d 15h" moves it by up to an hour
+   * @param {string} text - Raw deadline text
+   * @returns {number} Milliseconds (0 for anything but a countdown)
+   */
+  function getCountdownPrecision(text) {
+    const countdown = String(text ?? '').replace(/\s+/g, ' ').trim().match(COUNTDOWN_PATTERN);
+    if (!countdown) {
+      return 0;
+    }
+
+    let smallestUnit = Infinity;
+    for (const [, , unit] of countdown[1].matchAll(COUNTDOWN_PART)) {
+      smallestUnit = Math.min(smallestUnit, UNIT_MINUTES[unit[0].toLowerCase()]);
+    }
+    return smallestUnit * MINUTE_MS;
+  }
+
+  /**
+   * Whether two versions of an opportunity have the same deadline. The
+   * normalized deadlines are compared, not the text, which for a countdown
+   * changes on every scrape.
+   * @param {Object} a - One version (e.g. the stored record)
+   * @param {Object} b - The other (e.g. a rescrape)
+   * @returns {boolean} True if the deadline did not move
+   */
+  function isSameDeadline(a, b) {
+    const aTime = a?.deadlineAt ? new Date(a.deadlineAt).getTime() : NaN;
+    const bTime = b?.deadlineAt ? new Date(b.deadlineAt).getTime() : NaN;
+    if (isNaN(aTime) || isNaN(bTime)) {
+      return (a?.deadline ?? null) === (b?.deadline ?? null) && (a?.deadlineAt ?? null) === (b?.deadlineAt ?? null);
+    }
+
+    const precision = Math.max(getCountdownPrecision(a.deadline), getCountdownPrecision(b.deadline));
+    return Math.abs(aTime - bTime) <= precision;
+  }
+
+  root.opportunityDeadlines = {
+    SOURCE_TIMEZONES,
+    parseDeadline,
+    normalizeDeadline,
+    getDeadlineDate,
+    isSameDeadline,
+    toZonedIso
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,112 @@
+/**
+ * Opportunity ID helper
+ *
+ * Builds deterministic opportunity IDs so that rescraping the same opportunity
+ * lands on the same record in the opportunity store (keeping its AI analysis,
+ * pipeline status and notes) instead of creating a duplicate.
+ *
+ * An ID is derived from the opportunity's own link when the platform exposes a
+ * stable one, otherwise from a hash of its normalized content.
+ *
+ * Loaded as a plain script so content scripts (ISOLATED and MAIN world) can use
+ * it; ES modules import it for its side effect and read globalThis.opportunityIds.
+ */
+
+(function(root) {
+  // Query parameters that carry a platform's own opportunity id
+  const ID_PARAMS = ['id', 'iqid', 'qid', 'question_id', 'request_id'];
+
+  /**
+   * Normalize text so cosmetic differences (case, whitespace, punctuation)
+   * do not change the resulting ID
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  function normalizeText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/&[a-z]+;/g, ' ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Hash the normalized content parts (cyrb53, a fast non-cryptographic 53-bit hash).
+   * Synchronous so it works in content scripts without crypto.subtle.
+   * @param {...string} parts - Content to hash
+   * @returns {string} Base-36 hash, or '' if every part is empty
+   */
+  function hashContent(...parts) {
+    const text = parts.map(normalizeText).filter(Boolean).join('|');
+    if (!text) {
+      return '';
+    }
+
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  /**
+   * Extract the identifying part of an opportunity link: an id query parameter
+   * if present, otherwise the last path segment
+   * @param {string} url - Opportunity link
+   * @returns {string|null} Slug, or null if the link has none
+   */
+  function slugFromUrl(url) {
+    if (!url) {
+      return null;
+    }
+
+    try {
+      const parsed = new URL(url, 'https://example.invalid');
+      for (const param of ID_PARAMS) {
+        const value = parsed.searchParams.get(param);
+        if (value) {
+          return value.trim();
+        }
+      }
+
+      const segments = parsed.pathname.split('/').filter(Boolean);
+      const last = segments[segments.length - 1];
+      return last ? decodeURIComponent(last).toLowerCase() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Build a deterministic opportunity ID
+   * @param {string} platform - Platform prefix, e.g. 'featured'
+   * @param {Object} source - What to derive the ID from
+   * @param {string} [source.url] - The opportunity's own link (not a listing page)
+   * @param {string[]} [source.content] - Content that identifies the opportunity
+   * @returns {string|null} ID such as 'featured-1x2y3z', or null if nothing to derive from
+   */
+  function createOpportunityId(platform, { url, content = [] } = {}) {
+    const prefix = normalizeText(platform).replace(/\s+/g, '') || 'opportunity';
+
+    const slug = slugFromUrl(url);
+    if (slug) {
+      return `${prefix}-${slug.replace(/[^a-zA-Z0-9_-]+/g, '-')}`;
+    }
+
+    const hash = hashContent(...content);
+    return hash ? `${prefix}-${hash}` : null;
+  }
+
+  root.opportunityIds = {
+    normalizeText,
+    hashContent,
+    slugFromUrl,
+    createOpportunityId
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -711,60 +711,13 @@ class QwotedScraper extends window.BaseScraper {
           console.log(`💬 [QWOTED DEBUG] Item ${index + 1} - Description:`,
             description ? (description.length > 50 ? description.substring(0, 50) + '...' : description) : 'Not found');
           
-          // Get external ID with fallbacks
-          let externalId = this.getExternalId(item, this.selectors.title);
-          if (!externalId) {
-            // Try to find ID in various attributes
-            for (const attr of ['data-id', 'data-key', 'data-item-id', 'id']) {
-              const attrValue = item.getAttribute(attr);
-              if (attrValue) {
-                externalId = attrValue;
-                break;
-              }
-            }
-            
-            // If still no ID, check the URL for an ID
-            if (!externalId && url) {
-              const urlObj = new URL(url, window.location.origin);
-              const idParam = urlObj.searchParams.get('id');
-              if (idParam) externalId = idParam;
-              else {
-                // Try to extract ID from path
-                const pathParts = urlObj.pathname.split('/');
-                const lastPart = pathParts[pathParts.length - 1];
-                if (lastPart && /\d+/.test(lastPart)) externalId = lastPart;
-              }
-            }
-            
-            // Last resort: generate a stable ID from content instead of timestamp
-            if (!externalId) {
-              // Create a stable ID from the title and description content
-              // This ensures same content gets same ID across scrapes
-              const titleText = pitchTitle || brandName || '';
-              const descText = description ? description.substring(0, 40) : '';
-              
-              // Generate a hash from the content with more uniqueness
-              let contentHash = '';
-              if (titleText) {
-                // Take first 20 chars of title (if available)
-                contentHash += titleText.substring(0, 20).replace(/[^a-zA-Z0-9]/g, '-');
-              }
-              
-              if (descText) {
-                // Add first 10 chars of description (if available)
-                contentHash += `-${descText.substring(0, 10).replace(/[^a-zA-Z0-9]/g, '-')}`;
-              }
-              
-              // Add timestamp for uniqueness
-              const timestamp = Date.now().toString(36).substring(5);
-              
-              // Ensure the ID is not too long but still unique
-              externalId = `qwoted-${contentHash}-${timestamp}`.substring(0, 50);
-              
-              // Log the generated ID
-              console.log(`💬 [QWOTED DEBUG] Item ${index + 1} - Generated stable ID: ${externalId}`);
-            }
-          }
+          // Derive the ID the same way as the content launcher: from the request's
+          // own link, else from its content, so either scraper lands on the same record
+          const requestUrl = url.includes('/source_requests/') ? url : null;
+          const externalId = window.opportunityIds.createOpportunityId('qwoted', {
+            url: requestUrl,
+            content: [pitchTitle || brandName || '', description]
+          });
           console.log(`💬 [QWOTED DEBUG] Item ${index + 1} - External ID:`, externalId);
           
           // Try to extract category if available
@@ -836,6 +789,7 @@ class QwotedScraper extends window.BaseScraper {
             title: finalTitle,
             url,
             deadline: cleanDeadline,
+            ...window.opportunityDeadlines.normalizeDeadline({ deadline: cleanDeadline }, 'qwoted'),
             postedTime,
             tags,
             description: cleanDescription,
@@ -1164,196 +1118,7 @@ class QwotedScraper extends window.BaseScraper {
           }))
         );
         
-        // Direct storage approach (bypass the base class method for debugging)
-        chrome.storage.local.get(this.storageKey, (result) => {
-          let existingOpps = result[this.storageKey] || [];
-          console.log(`💬 [QWOTED DEBUG] Found ${existingOpps.length} existing opportunities in storage`);
-          
-          // Merge new with existing
-          let merged = [...existingOpps];
-          const newOppIds = new Set();
-          
-          // Add new opportunities with improved duplicate detection
-          for (const newOpp of opportunities) {
-            const idKey = newOpp.externalId || newOpp.id;
-            if (!idKey) continue;
-            
-            newOppIds.add(idKey);
-            
-            // First try exact ID match
-            let existingIndex = merged.findIndex(op =>
-              (op.externalId === idKey || op.id === idKey) && op.source === newOpp.source
-            );
-            
-            // If no exact match found, try content-based duplicate detection
-            if (existingIndex < 0 && newOpp.title && newOpp.description) {
-              // Check for content similarity
-              existingIndex = merged.findIndex(op => {
-                // Skip items that don't have title or description
-                if (!op.title || !op.description) return false;
-                
-                // First check source
-                if (op.source !== newOpp.source) return false;
-                
-                // Check title similarity (case insensitive)
-                const titleMatch = op.title.toLowerCase().includes(newOpp.title.toLowerCase()) ||
-                                  newOpp.title.toLowerCase().includes(op.title.toLowerCase());
-                
-                // If titles are similar, check for description overlap
-                if (titleMatch) {
-                  const descSubstr = newOpp.description.substring(0, 30).toLowerCase();
-                  return op.description.toLowerCase().includes(descSubstr);
-                }
-                
-                return false;
-              });
-              
-              if (existingIndex >= 0) {
-                console.log(`💬 [QWOTED DEBUG] Found content-based duplicate for ${idKey}`);
-              }
-            }
-            
-            if (existingIndex >= 0) {
-              merged[existingIndex] = {
-                ...merged[existingIndex],
-                ...newOpp,
-                scrapedAt: new Date().toISOString()
-              };
-            } else {
-              merged.push(newOpp);
-            }
-          }
-          
-          console.log(`💬 [QWOTED DEBUG] Saving ${merged.length} total opportunities (${opportunities.length} new/updated)`);
-          
-          // Save to storage
-          chrome.storage.local.set({ [this.storageKey]: merged }, () => {
-            if (chrome.runtime.lastError) {
-              console.error('💬 [QWOTED DEBUG] Error saving to storage:', chrome.runtime.lastError);
-              window.scraperNotification.update({
-                status: 'error',
-                message: `Error saving: ${chrome.runtime.lastError.message}`
-              });
-            } else {
-              console.log(`💬 [QWOTED DEBUG] Successfully saved ${merged.length} opportunities to storage`);
-              
-              // Also save to main 'opportunities' key for backward compatibility
-              // Get current 'opportunities' to merge our new ones
-              chrome.storage.local.get('opportunities', (result) => {
-                let allOpps = result.opportunities || [];
-                console.log(`💬 [QWOTED DEBUG] Main 'opportunities' key has ${allOpps.length} items before merging`);
-                
-                // Create a map of existing opportunities by ID for faster lookup
-                const existingMap = new Map();
-                for (const op of allOpps) {
-                  const idKey = op.externalId || op.id;
-                  if (idKey) {
-                    existingMap.set(`${idKey}-${op.source || 'unknown'}`, op);
-                  }
-                }
-                
-                // Count how many we're adding vs updating
-                let updatedCount = 0;
-                let addedCount = 0;
-                
-                // Process all our new opportunities with improved duplicate detection
-                for (const newOpp of opportunities) {
-                  const idKey = newOpp.externalId || newOpp.id;
-                  if (!idKey) continue;
-                  
-                  // Create a key for the map lookup
-                  const mapKey = `${idKey}-${newOpp.source || 'Qwoted'}`;
-                  let foundDuplicate = false;
-                  
-                  // First check exact ID match
-                  if (existingMap.has(mapKey)) {
-                    // Update existing with exact ID match
-                    const existingOpp = existingMap.get(mapKey);
-                    foundDuplicate = true;
-                    existingMap.set(mapKey, {
-                      ...existingOpp,
-                      ...newOpp,
-                      scrapedAt: new Date().toISOString(),
-                      category: newOpp.category || existingOpp.category || 'General', // Ensure category always exists
-                      source: newOpp.source || 'Qwoted' // Ensure source always exists
-                    });
-                    updatedCount++;
-                  } else {
-                    // If no exact match found, try content-based duplicate detection
-                    if (newOpp.title && newOpp.description) {
-                      // Look through all existing opportunities to find content-based duplicates
-                      for (const [existingKey, existingOpp] of existingMap.entries()) {
-                        // Skip if not the same source
-                        if (existingOpp.source !== (newOpp.source || 'Qwoted')) continue;
-                        
-                        // Skip if missing title or description
-                        if (!existingOpp.title || !existingOpp.description) continue;
-                        
-                        // Check title similarity (case insensitive)
-                        const titleMatch = existingOpp.title.toLowerCase().includes(newOpp.title.toLowerCase()) ||
-                                         newOpp.title.toLowerCase().includes(existingOpp.title.toLowerCase());
-                        
-                        // If titles are similar, check for description overlap
-                        if (titleMatch) {
-                          const descSubstr = newOpp.description.substring(0, 30).toLowerCase();
-                          if (existingOpp.description.toLowerCase().includes(descSubstr)) {
-                            // Update the content-based duplicate
-                            existingMap.set(existingKey, {
-                              ...existingOpp,
-                              ...newOpp,
-                              scrapedAt: new Date().toISOString(),
-                              category: newOpp.category || existingOpp.category || 'General',
-                              source: newOpp.source || 'Qwoted'
-                            });
-                            updatedCount++;
-                            foundDuplicate = true;
-                            console.log(`💬 [QWOTED DEBUG] Found content-based duplicate in main opportunities for ${idKey}`);
-                            break;
-                          }
-                        }
-                      }
-                    }
-                    
-                    // If no duplicate found, add as new
-                    if (!foundDuplicate) {
-                      existingMap.set(mapKey, {
-                        ...newOpp,
-                        scrapedAt: new Date().toISOString(),
-                        category: newOpp.category || 'General', // Ensure category exists
-                        source: newOpp.source || 'Qwoted' // Ensure source exists
-                      });
-                      addedCount++;
-                    }
-                  }
-                }
-                
-                // Convert map back to array
-                const newAllOpps = Array.from(existingMap.values());
-                
-                // Save to storage and force a page reload to make sure the opportunities page shows them
-                chrome.storage.local.set({ 'opportunities': newAllOpps }, () => {
-                  if (chrome.runtime.lastError) {
-                    console.error(`💬 [QWOTED DEBUG] Error updating main opportunities: ${chrome.runtime.lastError.message}`);
-                  } else {
-                    console.log(`💬 [QWOTED DEBUG] Updated main 'opportunities' key with ${newAllOpps.length} total opportunities (${addedCount} added, ${updatedCount} updated)`);
-                    
-                    // Refresh the opportunities.html page if it's open
-                    chrome.tabs.query({url: chrome.runtime.getURL("opportunities.html")}, function(tabs) {
-                      if (tabs.length > 0) {
-                        console.log(`💬 [QWOTED DEBUG] Found opportunities page open, refreshing it`);
-                        tabs.forEach(tab => {
-                          chrome.tabs.reload(tab.id);
-                        });
-                      }
-                    });
-                  }
-                });
-              });
-            }
-          });
-        });
-        
-        // Still use base class method as a backup
+        // Upsert into the unified opportunity store via the background
         const result = await this.persist(opportunities);
         console.log(`💬 [QWOTED DEBUG] Base persist method result: ${result ? 'Success' : 'Failed'}`);
         
@@ -1393,137 +1158,20 @@ class QwotedScraper extends window.BaseScraper {
   }
   
   /**
-   * Load existing opportunities from storage
-   * @returns {Promise<Array>} Promise resolving to array of opportunities
-   */
-  async loadExistingOpportunities() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get([this.storageKey], (result) => {
-        const opportunities = result[this.storageKey] || [];
-        console.log(`💬 [QWOTED DEBUG] Loaded ${opportunities.length} existing opportunities from storage`);
-        resolve(opportunities);
-      });
-    });
-  }
-
-  /**
-   * Reset storage to clear duplicate data
-   * Call this to clean up accumulated duplicates
+   * This scraper runs in the page's MAIN world without chrome.runtime,
+   * so background messages go through the ISOLATED-world bridge
+   * @param {Object} message - Message to send
+   * @returns {Promise<Object>} Background response
    */
-  async resetStorage() {
-    console.log('💬 [QWOTED DEBUG] Resetting Qwoted storage to clean duplicates');
+  async sendToBackground(message) {
+    if (typeof window.qwotedBridgeRequest !== 'function') {
+      return super.sendToBackground(message);
+    }
     
-    // Show the notification UI
-    window.scraperNotification.show('qwoted');
-    window.scraperNotification.update({
-      status: 'running',
-      message: 'Cleaning duplicate opportunities...',
+    const data = await window.qwotedBridgeRequest('SAVE_OPPORTUNITIES', {
+      opportunities: message.opportunities
     });
-    window.scraperNotification.updateProgress(10);
-    
-    try {
-      // First, get all existing opportunities
-      const allOpps = await this.loadExistingOpportunities();
-      console.log(`💬 [QWOTED DEBUG] Found ${allOpps.length} opportunities to clean`);
-      
-      // Create a map to track unique items by title+description hash
-      const uniqueMap = new Map();
-      
-      // Process all opportunities and keep only unique ones
-      for (const opp of allOpps) {
-        // Create a unique key based on title and description
-        const titleText = opp.title || '';
-        const descText = opp.description ? opp.description.substring(0, 40) : '';
-        const key = `${titleText}-${descText}`.replace(/[^a-zA-Z0-9]/g, '-').substring(0, 30);
-        
-        // Only keep the most recent version of each opportunity
-        if (!uniqueMap.has(key) ||
-            (opp.scrapedAt && uniqueMap.get(key).scrapedAt &&
-             new Date(opp.scrapedAt) > new Date(uniqueMap.get(key).scrapedAt))) {
-          uniqueMap.set(key, {
-            ...opp,
-            externalId: `qwoted-${key}`, // Ensure stable ID
-            category: opp.category || 'General', // Ensure category exists
-            source: 'Qwoted'
-          });
-        }
-      }
-      
-      // Convert to array
-      let cleanedOpps = Array.from(uniqueMap.values());
-      const rawCount = cleanedOpps.length;
-      
-      // Process and normalize all opportunities through platform adapter
-      const normalizedCleanedOpps = cleanedOpps
-        .map(opp => window.processOpportunity(opp, 'qwoted'))
-        .filter(Boolean); // Remove null results (invalid items)
-      
-      console.log(`💬 [QWOTED DEBUG] Normalization results: ${normalizedCleanedOpps.length} valid out of ${rawCount} unique opportunities`);
-      
-      // Replace with normalized opportunities
-      cleanedOpps = normalizedCleanedOpps;
-      console.log(`💬 [QWOTED DEBUG] Cleaned down to ${cleanedOpps.length} valid unique opportunities`);
-      
-      // Save the cleaned data
-      window.scraperNotification.updateProgress(50);
-      window.scraperNotification.update({
-        message: 'Saving cleaned data...'
-      });
-      
-      // Save to qwotedOpportunities
-      await new Promise((resolve) => {
-        chrome.storage.local.set({ [this.storageKey]: cleanedOpps }, resolve);
-      });
-      
-      // Also update the main opportunities key
-      await new Promise((resolve) => {
-        chrome.storage.local.get('opportunities', (result) => {
-          let allMainOpps = result.opportunities || [];
-          console.log(`💬 [QWOTED DEBUG] Cleaning main opportunities key (${allMainOpps.length} items)`);
-          
-          // Remove any existing Qwoted opportunities
-          const nonQwotedOpps = allMainOpps.filter(op => op.source !== 'Qwoted');
-          
-          // Merge with cleaned Qwoted opportunities
-          const mergedOpps = [...nonQwotedOpps, ...cleanedOpps];
-          console.log(`💬 [QWOTED DEBUG] Merged ${nonQwotedOpps.length} non-Qwoted + ${cleanedOpps.length} cleaned Qwoted items`);
-          
-          // Save updated opportunities
-          chrome.storage.local.set({ 'opportunities': mergedOpps }, () => {
-            console.log(`💬 [QWOTED DEBUG] Saved ${mergedOpps.length} total opportunities after cleanup`);
-            
-            // Refresh the opportunities.html page if it's open
-            chrome.tabs.query({url: chrome.runtime.getURL("opportunities.html")}, function(tabs) {
-              if (tabs.length > 0) {
-                console.log(`💬 [QWOTED DEBUG] Found opportunities page open, refreshing it`);
-                tabs.forEach(tab => {
-                  chrome.tabs.reload(tab.id);
-                });
-              }
-            });
-            
-            resolve();
-          });
-        });
-      });
-      
-      // Show success notification
-      window.scraperNotification.updateProgress(100);
-      window.scraperNotification.update({
-        status: 'success',
-        message: `Successfully cleaned duplicate opportunities`
-      });
-      
-      return true;
-    } catch (error) {
-      console.error('💬 [QWOTED DEBUG] Error cleaning storage:', error);
-      window.scraperNotification.update({
-        status: 'error',
-        message: `Error cleaning storage: ${error.message}`
-      });
-      
-      return false;
-    }
+    return { success: true, ...data };
   }
 }
 
@@ -1533,15 +1181,6 @@ const qwotedScraper = new QwotedScraper();
 // Expose the scraper to the global window object for Manifest V3 compatibility
 window.qwotedScraper = qwotedScraper;
 
-// Add cleanup function to content script context
-window.cleanQwotedStorage = function() {
-  console.log('💬 [QWOTED DEBUG] Running Qwoted storage cleanup');
-  qwotedScraper.resetStorage().then(result => {
-    console.log(`💬 [QWOTED DEBUG] Storage cleanup ${result ? 'successful' : 'failed'}`);
-    alert(`Storage cleanup ${result ? 'successful' : 'failed'}. ${result ? 'Duplicates have been removed.' : 'Check console for errors.'}`);
-  });
-};
-
 // Log initialization success to confirm the module is properly loaded
 // Only create the instance if it doesn't exist yet
 if (!window.qwotedScraper) {
@@ -0,0 +1,517 @@
+/**
+ * SheetsSync - Two-way sync between the opportunity store and a Google Sheet
+ *
+ * Talks to the Apps Script web app in apps-script/SheetsSync.gs. The sheet has
+ * one row per opportunity, keyed by ID, and a Last Modified column the script
+ * stamps on every write and every manual edit. Between ID and the team columns
+ * come the columns of the export profile assigned to Google Sheets. A sync:
+ *
+ * 1. Pulls rows modified since the last pull and merges the team-editable
+ *    columns (status, owner, notes) into local records. Each side is compared
+ *    with a snapshot of the row as last synced, so a field changed on only one
+ *    side merges cleanly; a field changed differently on both is a conflict,
+ *    settled by the conflict policy or kept in the conflict list for the user.
+ * 2. Pushes every local row that differs from its snapshot as an upsert by ID.
+ *    Each pushed row carries the Last Modified it was based on; the script
+ *    refuses rows edited in the sheet since then, and the next pull merges them.
+ */
+import { storageManager } from './storage.js';
+import { logManager } from './logger.js';
+import { getFieldValue } from './exportFields.js';
+import {
+  exportProfileManager,
+  normalizeExportProfile,
+  getColumnValue,
+  formatColumnValue
+} from './exportProfiles.js';
+import {
+  PIPELINE_STATUSES,
+  PIPELINE_STATUS_LABELS,
+  getPipelineStatus,
+  transitionStatus
+} from './models/Opportunity.js';
+
+/**
+ * Storage key for sync settings
+ * @type {string}
+ */
+export const SHEETS_SYNC_SETTINGS_KEY = 'sheetsSyncSettings';
+
+/**
+ * Storage key for sync state (last pull, per-row snapshots, open conflicts)
+ * @type {string}
+ */
+export const SHEETS_SYNC_STATE_KEY = 'sheetsSyncState';
+
+/**
+ * Alarm that runs the periodic sync
+ * @type {string}
+ */
+export const SHEETS_SYNC_ALARM = 'sheetsSync';
+
+/**
+ * Columns every synced sheet has, whatever the export profile. Columns marked
+ * `pull` are edited by the team in the sheet and merged back; the rest are
+ * owned by the extension.
+ * @type {Array<{field: string, header: string, pull?: boolean}>}
+ */
+export const SHEET_COLUMNS = [
+  { field: 'id', header: 'ID' },
+  { field: 'status', header: 'Status', pull: true },
+  { field: 'owner', header: 'Owner', pull: true },
+  { field: 'notes', header: 'Notes', pull: true }
+];
+
+/**
+ * Header of the column the web app stamps; profile columns can't use it
+ * @type {string}
+ */
+export const LAST_MODIFIED_HEADER = 'Last Modified';
+
+/**
+ * How a field changed on both sides is settled:
+ * 'ask' lists it for the user, 'sheet' or 'local' picks that side automatically
+ * @type {string[]}
+ */
+export const CONFLICT_POLICIES = ['ask', 'sheet', 'local'];
+
+/**
+ * Default settings
+ * @type {Object}
+ */
+export const DEFAULT_SHEETS_SYNC_SETTINGS = {
+  webAppUrl: '',
+  conflictPolicy: 'ask',
+  autoSyncMinutes: 0
+};
+
+const PULL_FIELDS = SHEET_COLUMNS.filter(column => column.pull).map(column => column.field);
+const PUSH_CHUNK_SIZE = 200; // Keeps each Apps Script call well inside its execution time limit
+const STATUS_NOTE = 'Changed in Google Sheets';
+
+/**
+ * Error from a sync request
+ */
+export class SheetsSyncError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {boolean} [retryable] - Whether trying again later might succeed
+   */
+  constructor(message, retryable = false) {
+    super(message);
+    this.name = 'SheetsSyncError';
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Normalize a cell so local and sheet values compare equal when they mean the same
+ * @param {string} field - Column field
+ * @param {*} value - Raw value
+ * @returns {string} Normalized value
+ */
+export function normalizeCell(field, value) {
+  const text = formatColumnValue(value).trim();
+  // The sheet shows stage labels ("Pitched"); locally stages are keys ("pitched")
+  return field === 'status' ? text.toLowerCase() : text;
+}
+
+/**
+ * Lay out the sheet for an export profile: ID, the profile's columns, then the
+ * team columns. Profile columns that clash with a fixed column are left out.
+ * @param {Object} profile - Export profile
+ * @returns {Array<{field: string, header: string, pull?: boolean}>} Sheet columns in order
+ */
+export function getSheetColumns(profile) {
+  const [idColumn, ...teamColumns] = SHEET_COLUMNS;
+  const fields = new Set(SHEET_COLUMNS.map(column => column.field));
+  const headers = new Set([...SHEET_COLUMNS.map(column => column.header), LAST_MODIFIED_HEADER]);
+  const profileColumns = normalizeExportProfile(profile).columns
+    .filter(column => !fields.has(column.field) && !headers.has(column.header));
+  return [idColumn, ...profileColumns, ...teamColumns];
+}
+
+/**
+ * Build the normalized sheet values for an opportunity
+ * @param {Object} opportunity - Opportunity
+ * @param {Array} [columns] - Sheet columns (defaults to the fixed SHEET_COLUMNS)
+ * @param {Date} [now] - Reference time for computed columns
+ * @returns {Object<string, string>} Value per column field
+ */
+export function toSheetValues(opportunity, columns = SHEET_COLUMNS, now = new Date()) {
+  const values = {};
+  columns.forEach(({ field }) => {
+    const value = field === 'status' ? getPipelineStatus(opportunity) : getColumnValue(opportunity, field, now);
+    values[field] = normalizeCell(field, value);
+  });
+  return values;
+}
+
+/**
+ * Whether two sets of sheet values are the same
+ * @param {Object} a - Sheet values
+ * @param {Object} b - Sheet values
+ * @returns {boolean}
+ */
+function sameValues(a, b) {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...fields].every(field => (a[field] || '') === (b[field] || ''));
+}
+
+class SheetsSync {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with getOpportunities/getOpportunity/saveOpportunity/get/set (defaults to storageManager)
+   * @param {Object} [options.profiles] - Export profile manager choosing the columns (defaults to exportProfileManager)
+   * @param {Function} [options.fetch] - fetch implementation (defaults to the global fetch)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+    this.profiles = options.profiles || exportProfileManager;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    // Syncs share one queue so an alarm and a click never interleave
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Load settings, falling back to the web app URL older versions kept in settings
+   * @returns {Promise<Object>} Settings
+   */
+  async loadSettings() {
+    const stored = await this.storage.get(SHEETS_SYNC_SETTINGS_KEY);
+    const settings = { ...DEFAULT_SHEETS_SYNC_SETTINGS, ...(stored || {}) };
+
+    if (!settings.webAppUrl && typeof this.storage.getSettings === 'function') {
+      const legacySettings = await this.storage.getSettings();
+      settings.webAppUrl = legacySettings?.googleSheetsWebAppUrl || '';
+    }
+    if (!CONFLICT_POLICIES.includes(settings.conflictPolicy)) {
+      settings.conflictPolicy = DEFAULT_SHEETS_SYNC_SETTINGS.conflictPolicy;
+    }
+    return settings;
+  }
+
+  /**
+   * Save settings
+   * @param {Object} settings - Settings to save
+   * @returns {Promise<Object>} The saved settings
+   */
+  async saveSettings(settings) {
+    const saved = {
+      webAppUrl: String(settings.webAppUrl || '').trim(),
+      conflictPolicy: CONFLICT_POLICIES.includes(settings.conflictPolicy) ? settings.conflictPolicy : 'ask',
+      autoSyncMinutes: Math.max(0, Number(settings.autoSyncMinutes) || 0)
+    };
+    await this.storage.set(SHEETS_SYNC_SETTINGS_KEY, saved);
+    return saved;
+  }
+
+  /**
+   * Get the sync state
+   * @returns {Promise<Object>} {lastPulledAt, lastSyncAt, rows, conflicts}
+   */
+  async getState() {
+    const state = await this.storage.get(SHEETS_SYNC_STATE_KEY);
+    return {
+      lastPulledAt: null,
+      lastSyncAt: null,
+      rows: {},
+      conflicts: [],
+      ...(state || {})
+    };
+  }
+
+  /**
+   * Get the open conflicts
+   * @returns {Promise<Array>} [{id, title, field, localValue, sheetValue, sheetModified, detectedAt}]
+   */
+  async getConflicts() {
+    return (await this.getState()).conflicts;
+  }
+
+  /**
+   * Pull sheet edits into local storage, then push local changes to the sheet
+   * @returns {Promise<Object>} {pulled, applied, created, updated, stale, conflicts, rejected}
+   * @throws {SheetsSyncError}
+   */
+  sync() {
+    const run = this.queue.then(() => this._sync());
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Push the given opportunities to the sheet without pulling first
+   * @param {Array} opportunities - Opportunities to push
+   * @returns {Promise<Object>} {created, updated, stale}
+   * @throws {SheetsSyncError}
+   */
+  push(opportunities) {
+    const run = this.queue.then(async () => {
+      const settings = await this._requireSettings();
+      const columns = await this._getColumns();
+      const state = await this.getState();
+      const result = { created: 0, updated: 0, stale: 0 };
+      await this._pushRows(settings, state, columns, opportunities, result);
+      await this.storage.set(SHEETS_SYNC_STATE_KEY, state);
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Settle a conflict by keeping one side
+   * @param {string} id - Opportunity id
+   * @param {string} field - Conflicting field
+   * @param {string} keep - 'local' or 'sheet'
+   * @returns {Promise<Object>} The opportunity after resolution
+   * @throws {Error} If there is no such conflict
+   */
+  resolveConflict(id, field, keep) {
+    const run = this.queue.then(async () => {
+      const state = await this.getState();
+      const conflict = state.conflicts.find(candidate => candidate.id === id && candidate.field === field);
+      if (!conflict) {
+        throw new Error(`No conflict on ${field} for opportunity ${id}`);
+      }
+
+      let opportunity = await this.storage.getOpportunity(id);
+      if (keep === 'sheet' && opportunity) {
+        opportunity = this._applySheetValues(opportunity, { [field]: conflict.sheetValue }, conflict.sheetModified);
+        await this.storage.saveOpportunity(opportunity);
+      }
+
+      // Keeping the local value leaves it different from the snapshot, so the next sync pushes it
+      state.conflicts = state.conflicts.filter(candidate => candidate !== conflict);
+      await this.storage.set(SHEETS_SYNC_STATE_KEY, state);
+      logManager.log(`Sheets conflict on ${field} for ${id} resolved, kept ${keep}`);
+      return opportunity;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run one sync
+   * @private
+   */
+  async _sync() {
+    const settings = await this._requireSettings();
+    const columns = await this._getColumns();
+    const state = await this.getState();
+    const result = { pulled: 0, applied: 0, created: 0, updated: 0, stale: 0, conflicts: [], rejected: [] };
+
+    const pull = await this._post(settings, { action: 'pull', since: state.lastPulledAt, columns });
+    const opportunities = await this.storage.getOpportunities();
+    const byId = new Map(opportunities.map(opportunity => [String(opportunity.id), opportunity]));
+
+    for (const row of pull.rows || []) {
+      const id = String(row.id);
+      const snapshot = state.rows[id];
+      const opportunity = byId.get(id);
+
+      // Skip our own writes coming back, and rows for opportunities we don't have
+      if (!opportunity || (snapshot && row.lastModified <= snapshot.sheetModified)) {
+        continue;
+      }
+      result.pulled++;
+
+      const updated = await this._mergeRow(opportunity, row, snapshot, settings.conflictPolicy, state, result);
+      if (updated) {
+        byId.set(id, updated);
+        result.applied++;
+      }
+
+      const sheetValues = {};
+      columns.forEach(({ field }) => {
+        sheetValues[field] = normalizeCell(field, row[field]);
+      });
+      state.rows[id] = { values: sheetValues, sheetModified: row.lastModified };
+    }
+
+    await this._pushRows(settings, state, columns, [...byId.values()], result);
+
+    result.conflicts = state.conflicts;
+    state.lastPulledAt = pull.serverTime || state.lastPulledAt;
+    state.lastSyncAt = new Date().toISOString();
+    await this.storage.set(SHEETS_SYNC_STATE_KEY, state);
+
+    logManager.log(`Sheets sync: ${result.applied} updated from the sheet, ${result.created} rows added, ${result.updated} rows updated, ${state.conflicts.length} conflicts`);
+    return result;
+  }
+
+  /**
+   * Three-way merge of the team-editable fields of one pulled row
+   * @returns {Promise<Object|null>} The saved opportunity if anything was applied
+   * @private
+   */
+  async _mergeRow(opportunity, row, snapshot, policy, state, result) {
+    const local = toSheetValues(opportunity);
+    const updates = {};
+
+    PULL_FIELDS.forEach(field => {
+      const sheetValue = normalizeCell(field, row[field]);
+      const baseValue = snapshot ? snapshot.values[field] || '' : '';
+      const localValue = local[field];
+
+      const dropConflict = () => {
+        state.conflicts = state.conflicts.filter(conflict => !(conflict.id === opportunity.id && conflict.field === field));
+      };
+
+      if (sheetValue === localValue) {
+        // Both sides agree now, so any earlier conflict settled itself
+        dropConflict();
+        return;
+      }
+      if (sheetValue === baseValue) {
+        return;
+      }
+      if (field === 'status' && !PIPELINE_STATUSES.includes(sheetValue)) {
+        result.rejected.push({ id: opportunity.id, field, value: row[field], error: `Unknown status "${row[field]}"` });
+        return;
+      }
+
+      dropConflict();
+      if (localValue === baseValue || policy === 'sheet') {
+        updates[field] = sheetValue;
+      } else if (policy === 'ask') {
+        state.conflicts.push({
+          id: opportunity.id,
+          title: getFieldValue(opportunity, 'title') || '',
+          field,
+          localValue,
+          sheetValue,
+          sheetModified: row.lastModified,
+          detectedAt: new Date().toISOString()
+        });
+      }
+      // policy 'local': the local value differs from the new snapshot and is pushed
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return null;
+    }
+
+    const updated = this._applySheetValues(opportunity, updates, row.lastModified);
+    await this.storage.saveOpportunity(updated);
+    return updated;
+  }
+
+  /**
+   * Copy sheet values onto an opportunity, recording stage changes in its history
+   * @private
+   */
+  _applySheetValues(opportunity, values, at) {
+    let updated = { ...opportunity };
+    Object.entries(values).forEach(([field, value]) => {
+      if (field === 'status') {
+        if (value !== getPipelineStatus(updated)) {
+          updated = transitionStatus(updated, value, { force: true, at, note: STATUS_NOTE });
+        }
+      } else {
+        updated[field] = value;
+      }
+    });
+    return updated;
+  }
+
+  /**
+   * Upsert every opportunity that differs from its snapshot and has no open conflict
+   * @private
+   */
+  async _pushRows(settings, state, columns, opportunities, result) {
+    const conflicted = new Set(state.conflicts.map(conflict => String(conflict.id)));
+    const pending = new Map();
+    const now = new Date();
+
+    // Rows differ from their snapshot after a profile change too, so new columns get filled
+    opportunities.forEach(opportunity => {
+      const values = toSheetValues(opportunity, columns, now);
+      const snapshot = state.rows[values.id];
+      if (!values.id || conflicted.has(values.id) || (snapshot && sameValues(snapshot.values, values))) {
+        return;
+      }
+      pending.set(values.id, values);
+    });
+
+    const rows = [...pending.values()].map(values => ({
+      ...values,
+      status: PIPELINE_STATUS_LABELS[values.status] || values.status,
+      baseModified: state.rows[values.id]?.sheetModified || null
+    }));
+
+    for (let i = 0; i < rows.length; i += PUSH_CHUNK_SIZE) {
+      const response = await this._post(settings, { action: 'push', columns, rows: rows.slice(i, i + PUSH_CHUNK_SIZE) });
+
+      (response.results || []).forEach(({ id, result: outcome, lastModified }) => {
+        if (outcome === 'conflict') {
+          // Edited in the sheet since our snapshot; the next pull merges it
+          result.stale++;
+          return;
+        }
+        state.rows[String(id)] = { values: pending.get(String(id)), sheetModified: lastModified };
+        result[outcome === 'created' ? 'created' : 'updated']++;
+      });
+    }
+  }
+
+  /**
+   * Sheet columns from the export profile assigned to Google Sheets
+   * @private
+   */
+  async _getColumns() {
+    return getSheetColumns(await this.profiles.getProfileForTarget('sheets'));
+  }
+
+  /**
+   * Load settings, failing if no web app is configured
+   * @private
+   */
+  async _requireSettings() {
+    const settings = await this.loadSettings();
+    if (!settings.webAppUrl) {
+      throw new SheetsSyncError('Set the Google Sheets web app URL in Settings first');
+    }
+    return settings;
+  }
+
+  /**
+   * Call the web app
+   * @param {Object} settings - Settings
+   * @param {Object} payload - Request body ({action, ...})
+   * @returns {Promise<Object>} Parsed response
+   * @throws {SheetsSyncError}
+   * @private
+   */
+  async _post(settings, payload) {
+    let response;
+    try {
+      response = await this.fetch(settings.webAppUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+    } catch (error) {
+      throw new SheetsSyncError(`Google Sheets request failed: ${error.message}`, true);
+    }
+
+    if (!response.ok) {
+      throw new SheetsSyncError(`Google Sheets responded with status: ${response.status}`, response.status >= 500 || response.status === 429);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await response.text());
+    } catch {
+      throw new SheetsSyncError('Google Sheets web app did not return JSON; is it the sync script from apps-script/SheetsSync.gs?');
+    }
+    if (!data.ok) {
+      throw new SheetsSyncError(`Google Sheets sync failed: ${data.error || 'unknown error'}`);
+    }
+    return data;
+  }
+}
+
+export const sheetsSync = new SheetsSync();
+export { SheetsSync };
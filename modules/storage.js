@@ -6,6 +6,26 @@
 
 import { BaseModule } from './base/BaseModule.js';
 import { StorageModuleInterface } from './base/ModuleInterface.js';
+import { opportunityStore, getOpportunityKey, normalizeSourceName } from './opportunityStore.js';
+import { transitionStatus, countByStatus, applyEdits, validateOpportunityFields, MANUAL_SOURCE } from './models/Opportunity.js';
+import { normalizeOpportunity } from './adapters/platform-adapter.js';
+import './scrapers/opportunity-id.js';
+import './scrapers/opportunity-deadline.js';
+
+const { createOpportunityId } = globalThis.opportunityIds;
+const { normalizeDeadline } = globalThis.opportunityDeadlines;
+
+/**
+ * Legacy chrome.storage keys that held whole opportunity arrays, mapped to the
+ * source assumed for items that don't carry one
+ */
+const LEGACY_OPPORTUNITY_SOURCES = {
+  sourceBottleOpportunities: 'SourceBottle',
+  sourcebottleOpportunities: 'SourceBottle',
+  featuredOpportunities: 'Featured',
+  qwotedOpportunities: 'Qwoted',
+  opportunities: 'SourceBottle'
+};
 
 class StorageManager extends BaseModule {
   /**
@@ -19,7 +39,8 @@ class StorageManager extends BaseModule {
     });
 
     this.KEYS = {
-      OPPORTUNITIES: 'sourceBottleOpportunities',
+      OPPORTUNITY_STORE_MIGRATED: 'opportunityStoreMigrated',
+      FEATURED_IDS_MIGRATED: 'featuredIdsMigrated',
       PAGINATION: 'paginationData',
       SETTINGS: 'settings',
       LAST_SYNC: 'lastGoogleSheetsSync',
@@ -33,22 +54,46 @@ class StorageManager extends BaseModule {
       compressionEnabled: false,
       encryptionEnabled: false
     };
+
+    // Unified IndexedDB store for opportunities
+    this.opportunityStore = opportunityStore;
+    this.migrationPromise = null;
   }
 
   /**
-   * Get all opportunities from storage
+   * Get all opportunities from the unified opportunity store
    * @returns {Promise<Array>} Array of opportunities
    */
   async getOpportunities() {
-    const data = await this.get(this.KEYS.OPPORTUNITIES);
-    return data || [];
+    try {
+      await this._migrateLegacyData();
+      return await this.opportunityStore.getAll();
+    } catch (error) {
+      this.log('error', 'Error loading opportunities:', error);
+      return [];
+    }
   }
 
   /**
-   * Save opportunities to storage
-   * @param {Array} newOpportunities - Array of new opportunities to save
-   * @returns {Promise<Array>} All opportunities after saving
+   * Get a single opportunity by id
+   * @param {string} id - Opportunity id
+   * @returns {Promise<Object|null>} The opportunity or null
    */
+  async getOpportunity(id) {
+    await this._migrateLegacyData();
+    return this.opportunityStore.get(id);
+  }
+
+  /**
+   * Get opportunities from one platform using the source index
+   * @param {string} source - Platform name (any casing, e.g. 'sourcebottle' or 'SourceBottle')
+   * @returns {Promise<Array>} Opportunities from that platform
+   */
+  async getOpportunitiesBySource(source) {
+    await this._migrateLegacyData();
+    return this.opportunityStore.getByIndex('source', normalizeSourceName(source));
+  }
+
   /**
    * Save opportunities to storage
    * @param {Array} newOpportunities - Array of new opportunities to save
@@ -60,47 +105,306 @@ class StorageManager extends BaseModule {
     }
     
     try {
-      // Get existing opportunities
-      const result = await this.get(this.KEYS.OPPORTUNITIES);
-      const existingOpportunities = result || [];
-      
-      // Create a map of existing opportunities by ID for quick lookup
-      const existingMap = new Map();
-      existingOpportunities.forEach(opp => {
-        // Determine the unique identifier, prioritizing id then externalId
-        const uniqueId = this._getOpportunityUniqueId(opp);
-        if (uniqueId) {
-          existingMap.set(uniqueId, opp);
-        }
-      });
-      
-      // Add new opportunities, replacing any with the same ID
-      newOpportunities.forEach(opp => {
-        // Normalize ID fields to ensure consistency
-        const normalizedOpp = this._normalizeOpportunityIds(opp);
-        const uniqueId = this._getOpportunityUniqueId(normalizedOpp);
-        
-        if (uniqueId) {
-          existingMap.set(uniqueId, {
-            ...normalizedOpp,
-            savedAt: new Date().toISOString()
-          });
-        }
-      });
-      
-      // Convert map back to array
-      const updatedOpportunities = Array.from(existingMap.values());
-      
-      // Save to storage
-      await this.set(this.KEYS.OPPORTUNITIES, updatedOpportunities);
-      
-      return updatedOpportunities;
+      await this.upsertOpportunities(newOpportunities);
+      return await this.opportunityStore.getAll();
     } catch (error) {
       console.error('Error saving opportunities:', error);
       return [];
     }
   }
 
+  /**
+   * Upsert opportunities record by record into the unified store
+   * @param {Array} opportunities - Opportunities to upsert
+   * @returns {Promise<Object>} Summary: {inserted, updated, unchanged, skipped, records, insertedRecords, total}
+   */
+  async upsertOpportunities(opportunities) {
+    await this._migrateLegacyData();
+
+    const normalized = (opportunities || []).map(opp => this._normalizeOpportunityIds(opp));
+    const summary = await this.opportunityStore.upsertMany(normalized);
+    summary.total = await this.opportunityStore.count();
+
+    this.log('info', `Upserted opportunities: ${summary.inserted} new, ${summary.updated} updated, ${summary.unchanged} unchanged`);
+    return summary;
+  }
+
+  /**
+   * Save a single opportunity
+   * @param {Object} opportunity - Opportunity to save
+   * @returns {Promise<Object>} Summary as returned by upsertOpportunities
+   */
+  async saveOpportunity(opportunity) {
+    return this.upsertOpportunities([opportunity]);
+  }
+
+  /**
+   * Move an opportunity to another pipeline stage
+   * @param {string} id - Opportunity id
+   * @param {string} status - Target stage (see PIPELINE_STATUSES)
+   * @param {string} [note] - Optional note recorded with the transition
+   * @returns {Promise<Object>} The updated opportunity
+   * @throws {Error} If the opportunity is missing or the transition is not allowed
+   */
+  async updateOpportunityStatus(id, status, note) {
+    await this._migrateLegacyData();
+    const updated = await this.opportunityStore.update(id, opportunity => transitionStatus(opportunity, status, { note }));
+
+    if (!updated) {
+      throw new Error(`Opportunity not found: ${id}`);
+    }
+
+    this.log('info', `Opportunity ${id} moved to ${status}`);
+    return updated;
+  }
+
+  /**
+   * Record the result of an AI analysis on an opportunity. Unlike field
+   * edits, analysis fields are not kept as overrides.
+   * @param {string} id - Opportunity id
+   * @param {Object} analysis - Analysis fields (relevanceScore, priority, keyThemes, aiProcessedAt, ...)
+   * @returns {Promise<Object>} The updated opportunity
+   * @throws {Error} If the opportunity is missing
+   */
+  async saveAIAnalysis(id, analysis) {
+    await this._migrateLegacyData();
+    const updated = await this.opportunityStore.update(id, opportunity => ({ ...opportunity, ...analysis }));
+
+    if (!updated) {
+      throw new Error(`Opportunity not found: ${id}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Add an opportunity entered by hand
+   * @param {Object} fields - Field values (see EDITABLE_FIELDS)
+   * @returns {Promise<Object>} The stored opportunity
+   * @throws {Error} If a field is invalid or the opportunity was already added
+   */
+  async createManualOpportunity(fields) {
+    const errors = validateOpportunityFields(fields);
+    if (Object.keys(errors).length > 0) {
+      throw new Error(Object.values(errors).join('; '));
+    }
+
+    const opportunity = normalizeOpportunity(fields, MANUAL_SOURCE);
+    // Several queries can share one page, so the title is part of the id
+    opportunity.externalId = createOpportunityId(MANUAL_SOURCE, {
+      content: [opportunity.url, opportunity.title]
+    });
+    opportunity.id = opportunity.externalId;
+
+    if (await this.getOpportunity(opportunity.id)) {
+      throw new Error('This opportunity has already been added');
+    }
+
+    await this.upsertOpportunities([opportunity]);
+    this.log('info', `Opportunity ${opportunity.id} added by hand`);
+    return this.opportunityStore.get(opportunity.id);
+  }
+
+  /**
+   * Edit fields of an opportunity. Edited fields are recorded in its edit
+   * history and survive later rescrapes.
+   * @param {string} id - Opportunity id
+   * @param {Object} changes - New values keyed by field name (see EDITABLE_FIELDS)
+   * @returns {Promise<Object>} The updated opportunity
+   * @throws {Error} If the opportunity is missing or a value is invalid
+   */
+  async updateOpportunityFields(id, changes) {
+    await this._migrateLegacyData();
+
+    const errors = validateOpportunityFields(changes, { partial: true });
+    if (Object.keys(errors).length > 0) {
+      throw new Error(Object.values(errors).join('; '));
+    }
+
+    const updated = await this.opportunityStore.update(id, opportunity => {
+      const edited = applyEdits(opportunity, changes);
+      if (edited.overrides.deadline !== opportunity.overrides?.deadline) {
+        // An edited deadline is in the user's own time zone, and is kept over rescrapes with it
+        const deadline = normalizeDeadline({ deadline: edited.deadline }, MANUAL_SOURCE);
+        Object.assign(edited, deadline);
+        Object.assign(edited.overrides, deadline);
+      }
+      return edited;
+    });
+
+    if (!updated) {
+      throw new Error(`Opportunity not found: ${id}`);
+    }
+
+    this.log('info', `Opportunity ${id} edited`);
+    return updated;
+  }
+
+  /**
+   * Count stored opportunities in each pipeline stage
+   * @returns {Promise<Object<string, number>>} Count per stage
+   */
+  async getPipelineCounts() {
+    return countByStatus(await this.getOpportunities());
+  }
+
+  /**
+   * Delete an opportunity
+   * @param {string} id - Opportunity id
+   * @returns {Promise<void>}
+   */
+  async deleteOpportunity(id) {
+    await this.opportunityStore.delete(id);
+  }
+
+  /**
+   * Remove every opportunity from the unified store
+   * @returns {Promise<void>}
+   */
+  async clearOpportunities() {
+    await this._migrateLegacyData();
+    await this.opportunityStore.clear();
+  }
+
+  /**
+   * Fold the legacy per-platform chrome.storage arrays into the unified store,
+   * then collapse Featured records saved under timestamp ids.
+   * Each step runs once; the legacy keys are removed after a successful import.
+   * @returns {Promise<Object>} Migration result: {migrated, skipped}
+   * @private
+   */
+  async _migrateLegacyData() {
+    if (!this.migrationPromise) {
+      this.migrationPromise = this._runLegacyMigration().then(async result => {
+        await this._dedupeFeaturedOpportunities();
+        return result;
+      }).catch(error => {
+        // Allow a later call to retry
+        this.migrationPromise = null;
+        throw error;
+      });
+    }
+    return this.migrationPromise;
+  }
+
+  /**
+   * @returns {Promise<Object>} Migration result: {migrated, skipped}
+   * @private
+   */
+  async _runLegacyMigration() {
+    if (await this.get(this.KEYS.OPPORTUNITY_STORE_MIGRATED)) {
+      return { migrated: 0, skipped: true };
+    }
+
+    const legacyKeys = Object.keys(LEGACY_OPPORTUNITY_SOURCES);
+    const legacyData = await new Promise(resolve => {
+      chrome.storage.local.get(legacyKeys, result => resolve(result || {}));
+    });
+
+    const legacyOpportunities = [];
+    legacyKeys.forEach(key => {
+      const items = legacyData[key];
+      if (!Array.isArray(items)) {
+        return;
+      }
+
+      items.forEach(item => {
+        if (!item) {
+          return;
+        }
+        // Legacy launchers stamped random ids over the platform's own externalId,
+        // so prefer externalId to line migrated records up with future scrapes
+        const id = item.externalId || item.id;
+        legacyOpportunities.push({
+          ...item,
+          id,
+          externalId: item.externalId || id,
+          source: normalizeSourceName(item.source || item.platform || LEGACY_OPPORTUNITY_SOURCES[key])
+        });
+      });
+    });
+
+    let summary = { inserted: 0, updated: 0, skipped: 0 };
+    if (legacyOpportunities.length > 0) {
+      summary = await this.opportunityStore.upsertMany(legacyOpportunities.filter(getOpportunityKey));
+    }
+
+    await this.set(this.KEYS.OPPORTUNITY_STORE_MIGRATED, new Date().toISOString());
+    await this.remove(legacyKeys);
+
+    this.log('info', `Migrated ${summary.inserted + summary.updated} legacy opportunities to the opportunity store`);
+    return { migrated: summary.inserted + summary.updated, skipped: false };
+  }
+
+  /**
+   * Re-key Featured opportunities to their content-derived id and merge the
+   * duplicates left behind by the old `featured-<timestamp>-<row>` ids.
+   * The newest copy wins; older copies fill in fields it lacks, and pipeline
+   * state comes from whichever copy has the most history.
+   * @returns {Promise<Object>} Result: {merged, rekeyed, skipped}
+   * @private
+   */
+  async _dedupeFeaturedOpportunities() {
+    if (await this.get(this.KEYS.FEATURED_IDS_MIGRATED)) {
+      return { merged: 0, rekeyed: 0, skipped: true };
+    }
+
+    const featured = (await this.opportunityStore.getAll())
+      .filter(opportunity => normalizeSourceName(opportunity.source || opportunity.platform) === 'Featured');
+
+    const groups = new Map();
+    featured.forEach(opportunity => {
+      const stableId = createOpportunityId('featured', {
+        content: [opportunity.question || opportunity.description || opportunity.title, opportunity.publication]
+      }) || opportunity.id;
+
+      if (!groups.has(stableId)) {
+        groups.set(stableId, []);
+      }
+      groups.get(stableId).push(opportunity);
+    });
+
+    let merged = 0;
+    let rekeyed = 0;
+    for (const [stableId, copies] of groups) {
+      if (copies.length === 1 && copies[0].id === stableId) {
+        continue;
+      }
+
+      const ordered = [...copies].sort((a, b) =>
+        String(a.scrapedAt || a.savedAt || '').localeCompare(String(b.scrapedAt || b.savedAt || '')));
+      const pipelineSource = ordered.reduce((best, copy) =>
+        (copy.statusHistory?.length || 0) > (best.statusHistory?.length || 0) ? copy : best);
+
+      const record = {
+        ...Object.assign({}, ...ordered),
+        id: stableId,
+        externalId: stableId,
+        firstSeenAt: ordered.map(copy => copy.firstSeenAt).filter(Boolean).sort()[0] || ordered[0].savedAt
+      };
+      if (pipelineSource.statusHistory) {
+        record.status = pipelineSource.status;
+        record.statusHistory = pipelineSource.statusHistory;
+        record.statusTimestamps = pipelineSource.statusTimestamps;
+      }
+
+      for (const copy of copies) {
+        if (copy.id !== stableId) {
+          await this.opportunityStore.delete(copy.id);
+        }
+      }
+      await this.opportunityStore.put(record);
+
+      merged += copies.length - 1;
+      rekeyed++;
+    }
+
+    await this.set(this.KEYS.FEATURED_IDS_MIGRATED, new Date().toISOString());
+
+    this.log('info', `Re-keyed ${rekeyed} Featured opportunities, merged ${merged} duplicates`);
+    return { merged, rekeyed, skipped: false };
+  }
+
   /**
    * Get pagination state
    * @returns {Promise<Object>} Current pagination state
@@ -260,7 +564,7 @@ class StorageManager extends BaseModule {
 
   /**
    * Generic remove method for chrome.storage.local
-   * @param {string} key - Storage key to remove
+   * @param {string|string[]} key - Storage key(s) to remove
    * @returns {Promise<void>}
    */
   async remove(key) {
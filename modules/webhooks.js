@@ -0,0 +1,406 @@
+/**
+ * Webhooks - Posts opportunity events to any HTTP endpoint
+ *
+ * One integration covers Slack, Teams and in-house services: each webhook
+ * chooses the events it wants (a new opportunity, an alert rule match, a
+ * pipeline stage change) and a JSON body template whose {{placeholders}} are
+ * filled from the event. Bodies are signed with HMAC-SHA256 when the webhook
+ * has a secret. Every attempt is written to a persisted delivery log; failed
+ * deliveries are retried through IntegrationsManager's retry queue.
+ */
+import { storageManager } from './storage.js';
+import { getFieldValue } from './exportFields.js';
+
+/**
+ * Storage key for the saved webhooks
+ * @type {string}
+ */
+export const WEBHOOKS_KEY = 'webhooks';
+
+/**
+ * Storage key for the delivery log
+ * @type {string}
+ */
+export const WEBHOOK_DELIVERIES_KEY = 'webhookDeliveries';
+
+/**
+ * Delivery log entries kept, newest first
+ * @type {number}
+ */
+export const MAX_WEBHOOK_DELIVERIES = 100;
+
+/**
+ * Events a webhook can subscribe to, with their labels
+ * @type {Object<string, string>}
+ */
+export const WEBHOOK_EVENTS = {
+  'new': 'New opportunity',
+  'matched-rule': 'Matched an alert rule',
+  'status-changed': 'Pipeline stage changed'
+};
+
+/**
+ * Header carrying `sha256=<hex HMAC of the body>` for webhooks with a secret
+ * @type {string}
+ */
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+/**
+ * Opportunity fields available to templates as {{opportunity.<field>}}
+ * @type {string[]}
+ */
+export const WEBHOOK_OPPORTUNITY_FIELDS = [
+  'title', 'description', 'url', 'source', 'category', 'deadline', 'deadlineAt',
+  'mediaOutlet', 'journalist', 'tags', 'status'
+];
+
+/**
+ * Body templates to start from. A string that is only a placeholder takes the
+ * value as-is (so {{opportunity}} becomes an object); placeholders inside
+ * longer strings are filled in as text.
+ * @type {Object<string, {label: string, template: string}>}
+ */
+export const WEBHOOK_TEMPLATES = {
+  json: {
+    label: 'Full JSON payload',
+    template: JSON.stringify({
+      event: '{{event}}',
+      sentAt: '{{sentAt}}',
+      opportunity: '{{opportunity}}',
+      rule: '{{rule}}',
+      status: '{{status}}'
+    }, null, 2)
+  },
+  slack: {
+    label: 'Slack',
+    template: JSON.stringify({
+      text: '*{{headline}}:* <{{opportunity.url}}|{{opportunity.title}}>\n{{opportunity.mediaOutlet}} · due {{opportunity.deadline}}'
+    }, null, 2)
+  },
+  teams: {
+    label: 'Microsoft Teams',
+    template: JSON.stringify({
+      text: '**{{headline}}:** [{{opportunity.title}}]({{opportunity.url}})  \n{{opportunity.mediaOutlet}} · due {{opportunity.deadline}}'
+    }, null, 2)
+  }
+};
+
+const RATE_LIMITED = 429;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+let deliveryCount = 0;
+
+/**
+ * Trim a webhook to the fields it may have
+ * @param {Object} webhook - Webhook to normalize
+ * @returns {{id: string, name: string, url: string, enabled: boolean, events: string[], secret: string, template: string}}
+ */
+export function normalizeWebhook(webhook = {}) {
+  const events = (Array.isArray(webhook.events) ? webhook.events : [])
+    .filter((event, index, all) => WEBHOOK_EVENTS[event] && all.indexOf(event) === index);
+  const template = String(webhook.template ?? '').trim();
+
+  return {
+    id: String(webhook.id || '').trim(),
+    name: String(webhook.name || '').trim(),
+    url: String(webhook.url || '').trim(),
+    enabled: webhook.enabled !== false,
+    events,
+    secret: String(webhook.secret || ''),
+    template: template || WEBHOOK_TEMPLATES.json.template
+  };
+}
+
+/**
+ * Look up a dotted path ("opportunity.title") in the template context
+ * @param {Object} context - Template context
+ * @param {string} path - Dotted path
+ * @returns {*} Value, or null if any part is missing
+ */
+function resolvePath(context, path) {
+  return path.split('.').reduce((value, key) =>
+    (value !== null && typeof value === 'object' && key in value ? value[key] : null), context);
+}
+
+/**
+ * A value as text inside a longer string
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function toText(value) {
+  if (value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Fill a JSON body template from an event's context
+ * @param {string} template - JSON text with {{placeholders}} in its strings
+ * @param {Object} context - Values, as from buildWebhookContext
+ * @returns {string} JSON body
+ * @throws {SyntaxError} If the template isn't valid JSON
+ */
+export function renderWebhookBody(template, context) {
+  const fill = value => {
+    if (typeof value === 'string') {
+      const whole = value.match(WHOLE_PLACEHOLDER);
+      return whole ? resolvePath(context, whole[1]) : value.replace(PLACEHOLDER, (_, path) => toText(resolvePath(context, path)));
+    }
+    if (Array.isArray(value)) {
+      return value.map(fill);
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, fill(entry)]));
+    }
+    return value;
+  };
+  return JSON.stringify(fill(JSON.parse(template)));
+}
+
+/**
+ * The values a template can use for one opportunity's event
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} opportunity - Opportunity
+ * @param {Object} [details]
+ * @param {Object} [details.rule] - Matching alert rule, for matched-rule
+ * @param {Object} [details.status] - {from, to}, for status-changed
+ * @param {string} [details.sentAt] - ISO time of the event
+ * @returns {Object} {event, eventLabel, headline, sentAt, opportunity, rule, status}
+ */
+export function buildWebhookContext(event, opportunity, details = {}) {
+  const fields = { id: opportunity.id || getFieldValue(opportunity, 'externalId') };
+  WEBHOOK_OPPORTUNITY_FIELDS.forEach(field => {
+    fields[field] = getFieldValue(opportunity, field);
+  });
+
+  const rule = details.rule ? { id: details.rule.id, name: details.rule.name } : null;
+  const status = details.status ? { from: details.status.from || null, to: details.status.to } : null;
+  let headline = WEBHOOK_EVENTS[event];
+  if (rule) {
+    headline = `Matched alert rule "${rule.name}"`;
+  } else if (status) {
+    headline = `Moved from ${status.from || 'new'} to ${status.to}`;
+  }
+
+  return {
+    event,
+    eventLabel: WEBHOOK_EVENTS[event],
+    headline,
+    sentAt: details.sentAt || new Date().toISOString(),
+    opportunity: fields,
+    rule,
+    status
+  };
+}
+
+/**
+ * HMAC-SHA256 of a body, as hex
+ * @param {string} body - Request body
+ * @param {string} secret - Shared secret
+ * @returns {Promise<string>}
+ */
+export async function signWebhookBody(body, secret) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+class WebhookManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.storage] - Object with get/set (defaults to storageManager)
+   * @param {Function} [options.fetch] - fetch implementation (defaults to the global fetch)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || storageManager;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this._lock = Promise.resolve();
+  }
+
+  /**
+   * Get every saved webhook
+   * @returns {Promise<Array>} Webhooks, in the order they were added
+   */
+  async getWebhooks() {
+    const stored = await this.storage.get(WEBHOOKS_KEY);
+    return Array.isArray(stored) ? stored.map(normalizeWebhook) : [];
+  }
+
+  /**
+   * Save a webhook, creating it if it has no id
+   * @param {Object} webhook - {id?, name, url, enabled, events, secret, template}
+   * @returns {Promise<Object>} The saved webhook
+   * @throws {Error} If the name, URL, events or template are missing or invalid
+   */
+  async saveWebhook(webhook) {
+    const normalized = normalizeWebhook(webhook);
+    if (!normalized.name) {
+      throw new Error('Give the webhook a name');
+    }
+    if (!/^https?:\/\/[^/\s]+/i.test(normalized.url)) {
+      throw new Error('Enter an http or https URL for the webhook');
+    }
+    if (normalized.events.length === 0) {
+      throw new Error('Choose at least one event');
+    }
+    try {
+      renderWebhookBody(normalized.template, {});
+    } catch (error) {
+      throw new Error(`The body template isn't valid JSON: ${error.message}`);
+    }
+
+    const webhooks = await this.getWebhooks();
+    if (webhooks.some(existing => existing.name === normalized.name && existing.id !== normalized.id)) {
+      throw new Error(`There is already a webhook called "${normalized.name}"`);
+    }
+
+    if (!normalized.id) {
+      // Webhooks saved within the same millisecond still get their own id
+      const base = `webhook-${Date.now().toString(36)}`;
+      normalized.id = base;
+      for (let n = 2; webhooks.some(existing => existing.id === normalized.id); n++) {
+        normalized.id = `${base}-${n}`;
+      }
+    }
+    const index = webhooks.findIndex(existing => existing.id === normalized.id);
+    if (index >= 0) {
+      webhooks[index] = normalized;
+    } else {
+      webhooks.push(normalized);
+    }
+    await this.storage.set(WEBHOOKS_KEY, webhooks);
+    return normalized;
+  }
+
+  /**
+   * Delete a saved webhook
+   * @param {string} id - Webhook id
+   * @returns {Promise<void>}
+   */
+  async deleteWebhook(id) {
+    const webhooks = await this.getWebhooks();
+    await this.storage.set(WEBHOOKS_KEY, webhooks.filter(webhook => webhook.id !== id));
+  }
+
+  /**
+   * Render one delivery per opportunity for every enabled webhook subscribed to the event
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object[]} opportunities - Opportunities the event is about
+   * @param {Object} [details] - {rule} or {status}, as for buildWebhookContext, and an optional `now`
+   * @returns {Promise<Array<{id: string, webhookId: string, event: string, opportunityId: string, body: string}>>}
+   */
+  async createDeliveries(event, opportunities, details = {}) {
+    const webhooks = (await this.getWebhooks()).filter(webhook => webhook.enabled && webhook.events.includes(event));
+    const sentAt = new Date(details.now ?? Date.now()).toISOString();
+
+    return webhooks.flatMap(webhook => (opportunities || []).map(opportunity => {
+      const context = buildWebhookContext(event, opportunity, { ...details, sentAt });
+      deliveryCount++;
+      return {
+        id: `delivery-${Date.now().toString(36)}-${deliveryCount}`,
+        webhookId: webhook.id,
+        event,
+        opportunityId: context.opportunity.id,
+        body: renderWebhookBody(webhook.template, context)
+      };
+    }));
+  }
+
+  /**
+   * POST a delivery to its webhook and log the attempt. The webhook is read
+   * again each time, so retries pick up a changed URL or secret.
+   * @param {Object} delivery - As from createDeliveries
+   * @param {Object} [options]
+   * @param {number} [options.attempt] - Attempt number, for the log
+   * @param {boolean} [options.canRetry] - Whether a transient failure will be retried, for the log
+   * @returns {Promise<{success: boolean, retryable: boolean, status: number|null, error?: string}>}
+   */
+  async deliver(delivery, { attempt = 1, canRetry = true } = {}) {
+    const webhook = (await this.getWebhooks()).find(candidate => candidate.id === delivery.webhookId);
+    if (!webhook || !webhook.enabled) {
+      return { success: false, retryable: false, status: null, error: 'The webhook was deleted or turned off' };
+    }
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id
+    };
+    if (webhook.secret) {
+      headers[WEBHOOK_SIGNATURE_HEADER] = `sha256=${await signWebhookBody(delivery.body, webhook.secret)}`;
+    }
+
+    let result;
+    try {
+      const response = await this.fetch(webhook.url, { method: 'POST', headers, body: delivery.body });
+      result = response.ok
+        ? { success: true, retryable: false, status: response.status }
+        : {
+          success: false,
+          retryable: response.status === RATE_LIMITED || response.status >= 500,
+          status: response.status,
+          error: `HTTP ${response.status}`
+        };
+    } catch (error) {
+      result = { success: false, retryable: true, status: null, error: error.message || 'Network error' };
+    }
+
+    let outcome = 'failed';
+    if (result.success) {
+      outcome = 'delivered';
+    } else if (result.retryable && canRetry) {
+      outcome = 'retrying';
+    }
+    await this._logDelivery({
+      id: delivery.id,
+      webhookId: webhook.id,
+      webhookName: webhook.name,
+      event: delivery.event,
+      opportunityId: delivery.opportunityId,
+      attempt,
+      at: new Date().toISOString(),
+      status: result.status,
+      outcome,
+      error: result.error || null
+    });
+    return result;
+  }
+
+  /**
+   * Get the delivery log, newest first
+   * @param {string} [webhookId] - Only this webhook's deliveries
+   * @returns {Promise<Array>}
+   */
+  async getDeliveries(webhookId) {
+    const stored = await this.storage.get(WEBHOOK_DELIVERIES_KEY);
+    const deliveries = Array.isArray(stored) ? stored : [];
+    return webhookId ? deliveries.filter(entry => entry.webhookId === webhookId) : deliveries;
+  }
+
+  /**
+   * Add an attempt to the delivery log. Deliveries run side by side (events
+   * aren't awaited, retries fire from timers), so writes are queued one at a
+   * time to keep each one from overwriting the others' entries.
+   * @param {Object} entry - Log entry
+   * @returns {Promise<void>}
+   * @private
+   */
+  _logDelivery(entry) {
+    const result = this._lock.then(async () => {
+      const deliveries = await this.getDeliveries();
+      await this.storage.set(WEBHOOK_DELIVERIES_KEY, [entry, ...deliveries].slice(0, MAX_WEBHOOK_DELIVERIES));
+    });
+    // A failed write mustn't block the ones after it
+    this._lock = result.catch(() => {});
+    return result;
+  }
+}
+
+export const webhookManager = new WebhookManager();
+export { WebhookManager };
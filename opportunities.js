@@ -1,7 +1,83 @@
+import { storageManager } from './modules/storage.js';
+import {
+  PIPELINE_STATUSES,
+  PIPELINE_STATUS_LABELS,
+  PIPELINE_TRANSITIONS,
+  EDITABLE_FIELDS,
+  getPipelineStatus,
+  countByStatus,
+  validateOpportunityFields
+} from './modules/models/Opportunity.js';
+import { findDuplicateClusters, mergeDuplicateCluster, loadCachedEmbeddings } from './modules/duplicateDetector.js';
+import { opportunityClassifier } from './modules/opportunityClassifier.js';
+import { SHEET_COLUMNS } from './modules/sheetsSync.js';
+import { integrationsManager } from './modules/integrations.js';
+import { opportunityImporter, parseImportFile, suggestMapping, IMPORT_FIELDS } from './modules/opportunityImport.js';
+import {
+  digestManager,
+  normalizeDigestSettings,
+  getDigestTitle,
+  renderDigestBody,
+  renderDigestHtml,
+  renderDigestMarkdown
+} from './modules/digest.js';
+import { expertProfileManager, rankExperts, getBestExpert, EXPERT_MATCH_THRESHOLD } from './modules/expertProfiles.js';
+import { keywordManager } from './modules/keywordManager.js';
+import {
+  pitchWorkspace,
+  formatPitch,
+  getPitchPlatform,
+  checkPitchLength,
+  PITCH_TONES,
+  PITCH_LENGTHS
+} from './modules/pitchWorkspace.js';
+import { ACTIVE_AI_JOB_STATUSES, describeAIJob } from './modules/aiJobQueue.js';
+import './modules/scrapers/opportunity-deadline.js';
+
+const { getDeadlineDate } = globalThis.opportunityDeadlines;
+
 // Declare variables at the global scope so showAIAnalysis can access them
 let allOpportunities = [];
 let filteredOpportunities = [];
-let aiProcessing = false;
+// Merged card for every opportunity that has copies on other platforms, keyed by id
+let duplicateGroups = new Map();
+let cachedEmbeddings = new Map();
+let embeddingsRequested = false;
+// Trained classifier scores (0-100) keyed by opportunity id
+let classifierScores = new Map();
+// Expert profiles and each opportunity's scores against them (best first), keyed by opportunity id
+let expertProfiles = [];
+let expertRankings = new Map();
+// The AI analysis job shown below the toolbar, as summarized by the background queue
+let aiJob = null;
+let aiJobReloadTimer = null;
+
+/**
+ * Relevance score used for sorting and filtering: the AI analysis score and the
+ * trained classifier's score, averaged when both exist
+ * @param {Object} opportunity - Opportunity
+ * @returns {number|undefined} Score from 0 to 100, or undefined if neither exists
+ */
+function getRelevanceScore(opportunity) {
+  const modelScore = classifierScores.get(String(opportunity.id || opportunity.externalId));
+  if (opportunity.relevanceScore !== undefined && modelScore !== undefined) {
+    return Math.round((opportunity.relevanceScore + modelScore) / 2);
+  }
+  return opportunity.relevanceScore !== undefined ? opportunity.relevanceScore : modelScore;
+}
+
+/**
+ * Read every opportunity from the unified opportunity store
+ * @returns {Promise<Array>} Opportunities with source and category defaults applied
+ */
+async function readStoredOpportunities() {
+  const opportunities = await storageManager.getOpportunities();
+  return opportunities.map(op => ({
+    ...op,
+    source: op.source || 'SourceBottle',
+    category: op.category || 'General'
+  }));
+}
 
 // Listen for notification sound requests from background script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -195,6 +271,7 @@ function initializeApp() {
   // Cache DOM elements - using let for elements that might be created dynamically
   const opportunitiesContainer = document.getElementById('opportunities-container');
   const categoryFilters = document.getElementById('category-filters');
+  const pipelineFilters = document.getElementById('pipeline-filters');
   const searchInput = document.getElementById('search-input');
   const toggleViewBtn = document.getElementById('toggle-view-btn');
   const viewIcon = document.getElementById('view-icon');
@@ -239,14 +316,6 @@ function initializeApp() {
         if (initialized) {
           console.log('AI service initialized successfully');
           aiServiceInitialized = true;
-          
-          // Re-process opportunities with AI if needed
-          if (allOpportunities.length > 0) {
-            // Don't await this to avoid blocking
-            processOpportunitiesWithAI().catch(err => {
-              console.error('Error processing opportunities with AI:', err);
-            });
-          }
         }
       } else {
         console.error('AI service not available in global scope');
@@ -277,10 +346,15 @@ function initializeApp() {
     mediaOutlet: '',
     journalist: '',
     search: '',
+    status: 'all',
+    expert: 'all',
+    sort: 'default',
     platforms: {
       SourceBottle: true,
       Featured: true,
-      Qwoted: true
+      Qwoted: true,
+      Import: true,
+      Manual: true
     }
   };
   
@@ -350,6 +424,57 @@ function initializeApp() {
   
   // Auto AI analysis removed - user must click "Do AI analysis" button manually
   
+  const exportFileBtn = document.getElementById('export-file-btn');
+  const exportFileFormat = document.getElementById('export-file-format');
+  if (exportFileFormat) {
+    integrationsManager.getExporters().forEach(({ format, label }) => {
+      exportFileFormat.add(new Option(label, format));
+    });
+  }
+  if (exportFileBtn) {
+    eventManager.add(exportFileBtn, 'click', () => exportToFile(exportFileFormat?.value || 'csv'));
+  }
+  
+  const addOpportunityBtn = document.getElementById('add-opportunity-btn');
+  if (addOpportunityBtn) {
+    eventManager.add(addOpportunityBtn, 'click', () => openOpportunityForm(null));
+  }
+  setupOpportunityForm();
+  
+  const importBtn = document.getElementById('import-btn');
+  if (importBtn) {
+    eventManager.add(importBtn, 'click', openImportModal);
+  }
+  setupImportModal();
+  
+  const digestBtn = document.getElementById('digest-btn');
+  if (digestBtn) {
+    eventManager.add(digestBtn, 'click', openDigestModal);
+  }
+  setupDigestModal();
+  // Digest notifications link here
+  if (window.location.hash === '#digest') {
+    openDigestModal();
+  }
+  
+  setupPitchWorkspace();
+  
+  const exportNotionBtn = document.getElementById('export-notion-btn');
+  const exportAirtableBtn = document.getElementById('export-airtable-btn');
+  if (exportNotionBtn) {
+    eventManager.add(exportNotionBtn, 'click', () => exportToIntegration('notion'));
+  }
+  if (exportAirtableBtn) {
+    eventManager.add(exportAirtableBtn, 'click', () => exportToIntegration('airtable'));
+  }
+  
+  const syncSheetsBtn = document.getElementById('sync-sheets-btn');
+  if (syncSheetsBtn) {
+    eventManager.add(syncSheetsBtn, 'click', syncGoogleSheets);
+  }
+  loadSheetsConflicts();
+  setupAIJobProgress();
+  
   // Filter input event listeners - with null checks
   const deadlineFilter = document.getElementById('deadline-filter');
   const relevanceFilter = document.getElementById('relevance-filter');
@@ -360,8 +485,22 @@ function initializeApp() {
   
   // Add filter event listeners with cleanup
   if (deadlineFilter) eventManager.add(deadlineFilter, 'change', updateFilterValue);
-  if (relevanceFilter) eventManager.add(relevanceFilter, 'change', updateFilterValue);
+  if (relevanceFilter) {
+    eventManager.add(relevanceFilter, 'change', e => {
+      updateFilterValue(e);
+      applyFilters();
+    });
+  }
   if (sourceFilter) eventManager.add(sourceFilter, 'change', updateFilterValue);
+  
+  // Opportunities matching one expert profile
+  const expertFilter = document.getElementById('expert-filter');
+  if (expertFilter) {
+    eventManager.add(expertFilter, 'change', e => {
+      filters.expert = e.target.value;
+      applyFilters();
+    });
+  }
   if (keywordFilter) eventManager.add(keywordFilter, 'input', updateFilterValue);
   if (mediaOutletFilter) eventManager.add(mediaOutletFilter, 'input', updateFilterValue);
   if (journalistFilter) eventManager.add(journalistFilter, 'input', updateFilterValue);
@@ -372,6 +511,41 @@ function initializeApp() {
     eventManager.add(button, 'click', togglePlatformFilter);
   });
   
+  // Sort order (relevance uses AI and trained classifier scores)
+  const sortOrder = document.getElementById('sort-order');
+  if (sortOrder) {
+    eventManager.add(sortOrder, 'change', e => {
+      filters.sort = e.target.value;
+      applyFilters();
+    });
+  }
+  
+  // Settings modal with the classifier training controls
+  const settingsModal = document.getElementById('settings-modal');
+  const settingsBtn = document.getElementById('settings-btn');
+  const closeSettingsModalBtn = document.getElementById('close-settings-modal');
+  if (settingsBtn && settingsModal) {
+    eventManager.add(settingsBtn, 'click', () => {
+      updateClassifierStats();
+      settingsModal.classList.remove('hidden');
+    });
+  }
+  if (closeSettingsModalBtn && settingsModal) {
+    eventManager.add(closeSettingsModalBtn, 'click', () => settingsModal.classList.add('hidden'));
+  }
+  
+  // Classifier training controls
+  const trainClassifierBtn = document.getElementById('train-classifier');
+  const resetClassifierBtn = document.getElementById('reset-classifier');
+  const classifierStatus = document.getElementById('classifier-status');
+  if (trainClassifierBtn) {
+    eventManager.add(trainClassifierBtn, 'click', trainClassifier);
+  }
+  if (resetClassifierBtn) {
+    eventManager.add(resetClassifierBtn, 'click', resetClassifier);
+  }
+  opportunityClassifier.ready().then(updateClassifierStats);
+  
   // Set up Clear All button
   const clearAllBtn = document.getElementById('clear-all-btn');
   if (clearAllBtn) {
@@ -454,78 +628,9 @@ function initializeApp() {
   }
   
   function loadOpportunities() {
-    chrome.storage.local.get(null, function(result) {
-      // Try to get opportunities from multiple possible storage keys
-      allOpportunities = [];
-      
-      // Check for sourceBottleOpportunities
-      if (result.sourceBottleOpportunities && Array.isArray(result.sourceBottleOpportunities)) {
-        // Ensure each opportunity has a source property
-        const sourceBottleOps = result.sourceBottleOpportunities.map(op => ({
-          ...op,
-          source: op.source || 'SourceBottle'
-        }));
-        allOpportunities = allOpportunities.concat(sourceBottleOps);
-        console.log(`Found ${sourceBottleOps.length} SourceBottle opportunities`);
-        
-        // Debug: Check if publication/journalist data exists
-        if (sourceBottleOps.length > 0) {
-          console.log('🔍 [DEBUG] Sample SourceBottle opportunity:', sourceBottleOps[0]);
-          console.log('🔍 [DEBUG] Fields present:', Object.keys(sourceBottleOps[0]));
-        }
-      }
-      
-      // Check for qwotedOpportunities
-      if (result.qwotedOpportunities && Array.isArray(result.qwotedOpportunities)) {
-        // Ensure each opportunity has a source property
-        const qwotedOps = result.qwotedOpportunities.map(op => ({
-          ...op,
-          source: op.source || 'Qwoted'
-        }));
-        allOpportunities = allOpportunities.concat(qwotedOps);
-        console.log(`Found ${qwotedOps.length} Qwoted opportunities`);
-        
-        // Debug: Check if mediaOutlet data exists
-        if (qwotedOps.length > 0) {
-          console.log('🔍 [DEBUG] Sample Qwoted opportunity:', qwotedOps[0]);
-          console.log('🔍 [DEBUG] Has mediaOutlet?', !!qwotedOps[0].mediaOutlet);
-          console.log('🔍 [DEBUG] Has brandName?', !!qwotedOps[0].brandName);
-        }
-      }
-      
-      // Check for featuredOpportunities
-      if (result.featuredOpportunities && Array.isArray(result.featuredOpportunities)) {
-        // Ensure each opportunity has a source property
-        const featuredOps = result.featuredOpportunities.map(op => ({
-          ...op,
-          source: op.source || 'Featured'
-        }));
-        allOpportunities = allOpportunities.concat(featuredOps);
-        console.log(`Found ${featuredOps.length} Featured opportunities`);
-        
-        // Debug: Check if publication data exists
-        if (featuredOps.length > 0) {
-          console.log('🔍 [DEBUG] Sample Featured opportunity:', featuredOps[0]);
-          console.log('🔍 [DEBUG] Has publication?', !!featuredOps[0].publication);
-          console.log('🔍 [DEBUG] Fields:', Object.keys(featuredOps[0]));
-        }
-      }
-      
-      // Check if we have the generic 'opportunities' key (for backwards compatibility)
-      // But only use it if we don't have any platform-specific opportunities
-      if (result.opportunities && Array.isArray(result.opportunities)) {
-        if (allOpportunities.length === 0) {
-          // Only use the generic key if we didn't find any platform-specific opportunities
-          allOpportunities = result.opportunities;
-          console.log(`Using ${result.opportunities.length} opportunities from generic storage key`);
-        } else {
-          // We already have platform-specific data, so log but don't use to avoid duplicates
-          console.log(`Found ${result.opportunities.length} opportunities in generic key (not using to avoid duplicates)`);
-        }
-      }
+    return readStoredOpportunities().then(function(opportunities) {
+      allOpportunities = opportunities;
       
-      // Log all storage keys to help debug
-      console.log('All storage keys:', Object.keys(result));
       console.log(`Total loaded: ${allOpportunities.length} opportunities`);
       
       // Check if we have new opportunities
@@ -567,372 +672,197 @@ function initializeApp() {
     });
   }
   
-  function processOpportunitiesWithAI() {
-    // Always ensure the view is initialized, regardless of AI availability
-    initializeView();
-    
-    // Only attempt AI processing if the service is available and enabled
-    if (aiService && typeof aiService.isEnabled === 'function' && aiService.isEnabled()) {
-      // Update UI to show processing - with null checks
-      aiProcessing = true;
-      
-      // Make sure UI elements exist before using them
-      if (aiIcon) aiIcon.textContent = '⚙️';
-      if (aiText) aiText.textContent = 'Processing...';
-      if (analyzeAiBtn) analyzeAiBtn.classList.add('processing');
-      
-      console.log('Processing opportunities with AI...');
-      aiService.processOpportunities(allOpportunities)
-        .then(processed => {
-          // Update allOpportunities with AI processed data
-          allOpportunities = processed;
-          
-          // Update UI to show completion - with null checks
-          aiProcessing = false;
-          if (aiIcon) aiIcon.textContent = '✓';
-          if (aiText) aiText.textContent = 'AI Analysis Complete';
-          if (analyzeAiBtn) {
-            analyzeAiBtn.classList.remove('processing');
-            analyzeAiBtn.classList.add('success');
-          }
-          
-          // Show success notification
-          const notification = document.createElement('div');
-          notification.className = 'ai-notification success';
-          notification.textContent = `AI analyzed ${processed.length} opportunities`;
-          document.body.appendChild(notification);
-          
-          setTimeout(() => {
-            notification.classList.add('show');
-            setTimeout(() => {
-              notification.classList.remove('show');
-              setTimeout(() => {
-                document.body.removeChild(notification);
-              }, 500);
-            }, 3000);
-          }, 100);
-          
-          // Refresh the current view with processed opportunities
-          applyFilters();
-          
-          // Reset button after 2 seconds - with null checks
-          setTimeout(() => {
-            if (aiIcon) aiIcon.textContent = '🤖';
-            if (aiText) aiText.textContent = 'Analyze with AI';
-            if (analyzeAiBtn) analyzeAiBtn.classList.remove('success');
-          }, 2000);
-        })
-        .catch(err => {
-          console.error('Error processing opportunities with AI:', err);
-          
-          // Update UI to show error - with null checks
-          aiProcessing = false;
-          if (aiIcon) aiIcon.textContent = '❌';
-          if (aiText) aiText.textContent = 'Error: Check Console';
-          if (analyzeAiBtn) {
-            analyzeAiBtn.classList.remove('processing');
-            analyzeAiBtn.classList.add('error');
-          }
-          
-          // Show error notification
-          const notification = document.createElement('div');
-          notification.className = 'ai-notification error';
-          notification.textContent = `Error: ${err.message || 'Failed to process with AI'}`;
-          document.body.appendChild(notification);
-          
-          setTimeout(() => {
-            notification.classList.add('show');
-            setTimeout(() => {
-              notification.classList.remove('show');
-              setTimeout(() => {
-                document.body.removeChild(notification);
-              }, 500);
-            }, 3000);
-          }, 100);
-          
-          // Reset button after 3 seconds - with null checks
-          setTimeout(() => {
-            if (aiIcon) aiIcon.textContent = '🤖';
-            if (aiText) aiText.textContent = 'Analyze with AI';
-            if (analyzeAiBtn) analyzeAiBtn.classList.remove('error');
-          }, 3000);
-        });
-    } else {
-      console.log('AI service not available or not enabled, skipping processing');
-      
-      // Show notification that API key is needed
-      const notification = document.createElement('div');
-      notification.className = 'ai-notification warning';
-      notification.textContent = 'AI service not configured. Please add your OpenAI API key in settings.';
-      document.body.appendChild(notification);
-      
-      setTimeout(() => {
-        notification.classList.add('show');
-        setTimeout(() => {
-          notification.classList.remove('show');
-          setTimeout(() => {
-            document.body.removeChild(notification);
-          }, 500);
-        }, 3000);
-      }, 100);
-      
-      applyFilters();
-    }
-  }
-
-  // Manual AI analysis function (triggered by button)
+  /**
+   * Queue background AI analysis of every loaded opportunity. The job runs in
+   * the service worker, so it carries on if this page is closed.
+   */
   async function manualAIAnalysis() {
-    if (aiProcessing) {
-      // Already processing, don't start again
+    if (aiJob && ACTIVE_AI_JOB_STATUSES.includes(aiJob.status)) {
+      showNotification('AI analysis is already under way; pause or cancel it below the toolbar', 'info');
       return;
     }
     
-    console.log('Manual AI analysis triggered');
-    
-    // Show a notification that we're starting analysis
-    const startNotification = document.createElement('div');
-    startNotification.className = 'ai-notification info';
-    startNotification.textContent = 'Starting AI analysis of opportunities...';
-    document.body.appendChild(startNotification);
+    let initialized = false;
+    try {
+      initialized = await initializeAIService();
+    } catch (err) {
+      console.error('Error initializing AI service:', err);
+    }
+    if (!initialized) {
+      showNotification('Add your AI provider API key in settings first', 'warning');
+      return;
+    }
     
-    setTimeout(() => {
-      startNotification.classList.add('show');
-      setTimeout(() => {
-        startNotification.classList.remove('show');
-        setTimeout(() => {
-          if (document.body.contains(startNotification)) {
-            document.body.removeChild(startNotification);
-          }
-        }, 500);
-      }, 2000);
-    }, 100);
+    const opportunities = allOpportunities.map(opp => ({ id: opp.id, title: opp.title, aiProcessed: opp.aiProcessed }));
+    chrome.runtime.sendMessage({ action: 'startAIJob', opportunities }, response => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showNotification(response?.error || 'Could not start AI analysis', 'warning');
+        return;
+      }
+      showNotification(`Analyzing ${response.job.counts.pending} opportunities in the background`, 'info');
+      renderAIJobProgress(response.job);
+    });
+  }
+  
+  /**
+   * Show the AI analysis job still under way (if any) and follow its progress
+   */
+  function setupAIJobProgress() {
+    chrome.runtime.onMessage.addListener(request => {
+      if (request.action === 'aiJobProgress') {
+        renderAIJobProgress(request.job);
+      }
+      return false;
+    });
     
-    // Check if AI service is available and initialize it properly
-    try {
-      const initialized = await initializeAIService();
-      if (!initialized) {
-        // Show notification to configure API key
-        const notification = document.createElement('div');
-        notification.className = 'ai-notification warning';
-        notification.innerHTML = 'Please add your OpenAI API key in <a href="settings.html" target="_blank">settings</a>.';
-        document.body.appendChild(notification);
-        
-        setTimeout(() => {
-          notification.classList.add('show');
-          setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => {
-              if (document.body.contains(notification)) {
-                document.body.removeChild(notification);
-              }
-            }, 500);
-          }, 3000);
-        }, 100);
+    chrome.runtime.sendMessage({ action: 'getAIJobs' }, response => {
+      if (chrome.runtime.lastError || !response || !response.success) {
         return;
       }
-    } catch (err) {
-      console.error('Error initializing AI service for manual analysis:', err);
+      renderAIJobProgress(response.jobs.find(job => ACTIVE_AI_JOB_STATUSES.includes(job.status)) || null);
+    });
+  }
+  
+  /**
+   * Pause, resume or cancel the AI analysis job being shown
+   * @param {string} action - 'pauseAIJob', 'resumeAIJob' or 'cancelAIJob'
+   */
+  function controlAIJob(action) {
+    if (!aiJob) {
       return;
     }
     
-    // Check if the AI service has the processOpportunities method
-    if (typeof aiService.processOpportunities !== 'function') {
-      console.error('AI service does not have processOpportunities method');
-      console.log('Available methods:', Object.keys(aiService).filter(key => typeof aiService[key] === 'function'));
-      
-      // Try to use the analyzeOpportunity method as a fallback
-      if (typeof aiService.analyzeOpportunity === 'function') {
-        console.log('Using analyzeOpportunity as fallback');
-        
-        // Update UI to show processing
-        aiProcessing = true;
-        if (aiIcon) aiIcon.textContent = '⚙️';
-        if (aiText) aiText.textContent = 'Processing...';
-        if (analyzeAiBtn) analyzeAiBtn.classList.add('processing');
-        
-        // Process each opportunity individually
-        const processPromises = allOpportunities.slice(0, 10).map(opportunity => {
-          return aiService.analyzeOpportunity(opportunity)
-            .then(analysis => {
-              return {
-                ...opportunity,
-                relevanceScore: Math.round(analysis.relevance_score * 100),
-                priority: analysis.priority,
-                keyThemes: analysis.key_themes,
-                aiProcessed: true,
-                aiProcessedAt: new Date().toISOString()
-              };
-            })
-            .catch(err => {
-              console.error('Error processing opportunity:', err);
-              return opportunity;
-            });
-        });
-        
-        // Process all opportunities
-        Promise.all(processPromises)
-          .then(processedOpportunities => {
-            // Replace the first 10 opportunities with processed ones
-            const updatedOpportunities = [...allOpportunities];
-            processedOpportunities.forEach((opp, index) => {
-              updatedOpportunities[index] = opp;
-            });
-            
-            // Update allOpportunities with AI processed data
-            allOpportunities = updatedOpportunities;
-            
-            // Update UI to show completion
-            aiProcessing = false;
-            if (aiIcon) aiIcon.textContent = '✓';
-            if (aiText) aiText.textContent = 'AI Analysis Complete';
-            if (analyzeAiBtn) {
-              analyzeAiBtn.classList.remove('processing');
-              analyzeAiBtn.classList.add('success');
-            }
-            
-            // Show success notification
-            const notification = document.createElement('div');
-            notification.className = 'ai-notification success';
-            notification.textContent = `AI analyzed ${processedOpportunities.length} opportunities`;
-            document.body.appendChild(notification);
-            
-            setTimeout(() => {
-              notification.classList.add('show');
-              setTimeout(() => {
-                notification.classList.remove('show');
-                setTimeout(() => {
-                  if (document.body.contains(notification)) {
-                    document.body.removeChild(notification);
-                  }
-                }, 500);
-              }, 3000);
-            }, 100);
-            
-            // Refresh the current view with processed opportunities
-            applyFilters();
-            
-            // Reset button after 2 seconds - with null checks
-            setTimeout(() => {
-              if (aiIcon) aiIcon.textContent = '🤖';
-              if (aiText) aiText.textContent = 'Analyze with AI';
-              if (analyzeAiBtn) analyzeAiBtn.classList.remove('success');
-            }, 2000);
-          })
-          .catch(err => {
-            console.error('Error in batch processing opportunities:', err);
-            
-            // Update UI to show error
-            aiProcessing = false;
-            if (aiIcon) aiIcon.textContent = '❌';
-            if (aiText) aiText.textContent = 'Error: Check Console';
-            if (analyzeAiBtn) {
-              analyzeAiBtn.classList.remove('processing');
-              analyzeAiBtn.classList.add('error');
-            }
-            
-            // Show error notification
-            const notification = document.createElement('div');
-            notification.className = 'ai-notification error';
-            notification.textContent = `Error: ${err.message || 'Failed to process with AI'}`;
-            document.body.appendChild(notification);
-            
-            setTimeout(() => {
-              notification.classList.add('show');
-              setTimeout(() => {
-                notification.classList.remove('show');
-                setTimeout(() => {
-                  if (document.body.contains(notification)) {
-                    document.body.removeChild(notification);
-                  }
-                }, 500);
-              }, 3000);
-            }, 100);
-            
-            // Reset button after 3 seconds - with null checks
-            setTimeout(() => {
-              if (aiIcon) aiIcon.textContent = '🤖';
-              if (aiText) aiText.textContent = 'Analyze with AI';
-              if (analyzeAiBtn) analyzeAiBtn.classList.remove('error');
-            }, 3000);
-          });
-        
+    chrome.runtime.sendMessage({ action, jobId: aiJob.id }, response => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        showNotification(response?.error || 'Could not reach the AI analysis queue', 'error');
         return;
       }
-      
-      // Show error notification
-      const notification = document.createElement('div');
-      notification.className = 'ai-notification error';
-      notification.textContent = 'AI service missing required methods';
-      document.body.appendChild(notification);
-      
-      setTimeout(() => {
-        notification.classList.add('show');
-        setTimeout(() => {
-          notification.classList.remove('show');
-          setTimeout(() => {
-            if (document.body.contains(notification)) {
-              document.body.removeChild(notification);
-            }
-          }, 500);
-        }, 3000);
-      }, 100);
-      
+      renderAIJobProgress(response.job);
+    });
+  }
+  
+  /**
+   * Show an AI analysis job's progress below the toolbar and on the Analyze button
+   * @param {Object|null} job - Job summary from the background queue, or null to hide it
+   */
+  function renderAIJobProgress(job) {
+    const previous = aiJob;
+    const wasActive = Boolean(previous) && ACTIVE_AI_JOB_STATUSES.includes(previous.status);
+    const active = Boolean(job) && ACTIVE_AI_JOB_STATUSES.includes(job.status);
+    const sameJob = Boolean(job) && Boolean(previous) && previous.id === job.id;
+    aiJob = job;
+    
+    if (aiIcon) {
+      aiIcon.textContent = active ? '⚙️' : '🤖';
+    }
+    if (aiText) {
+      aiText.textContent = active ? `Analyzing ${job.finished}/${job.total}` : 'Analyze with AI';
+    }
+    if (analyzeAiBtn) {
+      analyzeAiBtn.classList.toggle('processing', active && job.status !== 'paused');
+    }
+    
+    if (sameJob && wasActive && !active) {
+      showNotification(describeAIJob(job), job.counts.failed > 0 ? 'warning' : 'success');
+      loadOpportunities();
+    } else if (sameJob && job.counts.done > previous.counts.done && !aiJobReloadTimer) {
+      // Analyses are saved as they finish; show them without waiting for the whole job
+      aiJobReloadTimer = setTimeout(() => {
+        aiJobReloadTimer = null;
+        loadOpportunities();
+      }, 5000);
+    }
+    
+    const container = document.getElementById('ai-job-progress');
+    if (!container) {
       return;
     }
     
-    // AI service exists, check if it's initialized with proper race condition handling
-    try {
-      const initialized = await initializeAIService();
-      if (initialized) {
-        processOpportunitiesWithAI();
-      } else {
-        // Show notification to configure API key
-        const notification = document.createElement('div');
-        notification.className = 'ai-notification warning';
-        notification.innerHTML = 'Please add your OpenAI API key in <a href="settings.html" target="_blank">settings</a>.';
-        document.body.appendChild(notification);
-        
-        setTimeout(() => {
-          notification.classList.add('show');
-          setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => {
-              if (document.body.contains(notification)) {
-                document.body.removeChild(notification);
-              }
-            }, 500);
-          }, 3000);
-        }, 100);
-      }
-    } catch (err) {
-      console.error('Error initializing AI service:', err);
-      
-      // Show error notification
-      const notification = document.createElement('div');
-      notification.className = 'ai-notification error';
-      notification.textContent = `Error initializing AI: ${err.message}`;
-      document.body.appendChild(notification);
-      
-      setTimeout(() => {
-        notification.classList.add('show');
-        setTimeout(() => {
-          notification.classList.remove('show');
-          setTimeout(() => {
-            if (document.body.contains(notification)) {
-              document.body.removeChild(notification);
-            }
-          }, 500);
-        }, 3000);
-      }, 100);
+    container.innerHTML = '';
+    if (!job) {
+      container.style.display = 'none';
+      return;
+    }
+    
+    const header = document.createElement('div');
+    header.className = 'export-errors-header';
+    const title = document.createElement('span');
+    title.textContent = describeAIJob(job);
+    header.appendChild(title);
+    if (!active) {
+      const close = document.createElement('button');
+      close.textContent = '×';
+      close.title = 'Hide';
+      close.addEventListener('click', () => renderAIJobProgress(null));
+      header.appendChild(close);
+    }
+    
+    const bar = document.createElement('div');
+    bar.className = 'ai-job-bar';
+    const fill = document.createElement('div');
+    fill.className = 'ai-job-bar-fill';
+    fill.style.width = `${job.percent}%`;
+    bar.appendChild(fill);
+    container.append(header, bar);
+    
+    if (job.current.length > 0) {
+      const current = document.createElement('div');
+      current.className = 'ai-job-current';
+      current.textContent = `Analyzing: ${job.current.join('; ')}`;
+      container.appendChild(current);
+    }
+    
+    if (active) {
+      const actions = document.createElement('div');
+      actions.className = 'ai-job-actions';
+      const buttons = job.status === 'paused'
+        ? [['Resume', 'resumeAIJob'], ['Cancel', 'cancelAIJob']]
+        : [['Pause', 'pauseAIJob'], ['Cancel', 'cancelAIJob']];
+      buttons.forEach(([label, action]) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', () => controlAIJob(action));
+        actions.appendChild(button);
+      });
+      container.appendChild(actions);
+    }
+    
+    if (job.failures.length > 0) {
+      const list = document.createElement('ul');
+      job.failures.forEach(failure => {
+        const item = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = `${failure.title}: `;
+        const message = document.createElement('span');
+        message.className = 'export-error-message';
+        message.textContent = failure.error;
+        item.append(name, message);
+        list.appendChild(item);
+      });
+      container.appendChild(list);
     }
+    
+    container.style.display = 'block';
   }
   
   function initializeView() {
+    // Link copies of the same query across platforms
+    updateDuplicateGroups();
+    
     // Create category filters
     createCategoryFilters();
     
+    // Create pipeline stage filters
+    renderPipelineFilters();
+    
     // Apply initial filters and render
     applyFilters();
+    
+    // Score opportunities with the trained classifier, if there is one
+    refreshClassifierScores();
+    
+    // Score opportunities against every expert profile
+    refreshExpertMatches();
   }
   
   function createCategoryFilters() {
@@ -982,9 +912,278 @@ function initializeApp() {
     applyFilters();
   }
   
-  function updateFilterValue(e) {
-    const id = e.target.id;
-    
+  function renderPipelineFilters() {
+    if (!pipelineFilters) {
+      return;
+    }
+    
+    const counts = countByStatus(allOpportunities);
+    const stages = [
+      { status: 'all', label: 'All', count: allOpportunities.length },
+      ...PIPELINE_STATUSES.map(status => ({ status, label: PIPELINE_STATUS_LABELS[status], count: counts[status] }))
+    ];
+    
+    pipelineFilters.innerHTML = '';
+    stages.forEach(stage => {
+      const button = document.createElement('button');
+      button.className = 'filter-button' + (filters.status === stage.status ? ' active' : '');
+      button.dataset.status = stage.status;
+      button.textContent = `${stage.label} (${stage.count})`;
+      button.addEventListener('click', function() {
+        setActiveStatus(this.dataset.status);
+      });
+      pipelineFilters.appendChild(button);
+    });
+  }
+  
+  function setActiveStatus(status) {
+    filters.status = status;
+    renderPipelineFilters();
+    applyFilters();
+  }
+  
+  function updateDuplicateGroups() {
+    duplicateGroups = new Map();
+    findDuplicateClusters(allOpportunities, { embeddings: cachedEmbeddings }).forEach(cluster => {
+      const merged = mergeDuplicateCluster(cluster);
+      cluster.forEach(opp => duplicateGroups.set(String(opp.id), merged));
+    });
+    
+    // Cached embeddings sharpen the matching; load them once and regroup
+    if (!embeddingsRequested) {
+      embeddingsRequested = true;
+      loadCachedEmbeddings(allOpportunities, window.embeddingCache).then(embeddings => {
+        if (embeddings.size > 0) {
+          cachedEmbeddings = embeddings;
+          updateDuplicateGroups();
+          applyFilters({ keepPage: true });
+        }
+      });
+    }
+  }
+  
+  // A status change leaves the matched text, outlet and deadline alone, so
+  // only the merged card of the changed opportunity's cluster is rebuilt
+  function refreshDuplicateGroup(opportunityId) {
+    const merged = duplicateGroups.get(String(opportunityId));
+    if (!merged) {
+      return;
+    }
+    
+    const ids = merged.sources.map(source => String(source.id));
+    const cluster = ids
+      .map(id => allOpportunities.find(opp => String(opp.id) === id))
+      .filter(Boolean);
+    const refreshed = mergeDuplicateCluster(cluster);
+    ids.forEach(id => duplicateGroups.set(id, refreshed));
+  }
+  
+  function mergeDuplicates(opportunities) {
+    const shown = new Set();
+    return opportunities.reduce((result, opp) => {
+      const merged = duplicateGroups.get(String(opp.id)) || opp;
+      if (!shown.has(merged)) {
+        shown.add(merged);
+        result.push(merged);
+      }
+      return result;
+    }, []);
+  }
+  
+  function formatStatusHistory(opp) {
+    const timestamps = opp.statusTimestamps || {};
+    const lines = PIPELINE_STATUSES
+      .filter(status => timestamps[status])
+      .map(status => `${PIPELINE_STATUS_LABELS[status]}: ${new Date(timestamps[status]).toLocaleString()}`);
+    return lines.length > 0 ? lines.join('\n') : 'No stage changes yet';
+  }
+  
+  async function changeOpportunityStatus(opportunityId, status) {
+    try {
+      // The background makes the move so that status-changed webhooks are sent
+      const updated = await new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ action: 'updateOpportunityStatus', id: opportunityId, status }, response => {
+          if (chrome.runtime.lastError || !response?.success) {
+            reject(new Error(chrome.runtime.lastError?.message || response?.error || 'no response'));
+            return;
+          }
+          resolve(response.opportunity);
+        });
+      });
+      
+      // Keep the in-memory list in sync with the store
+      allOpportunities = allOpportunities.map(opp => 
+        String(opp.id) === String(updated.id) ? { ...opp, ...updated } : opp
+      );
+      
+      refreshDuplicateGroup(updated.id);
+      renderPipelineFilters();
+      applyFilters({ keepPage: true });
+      showNotification(`Moved to ${PIPELINE_STATUS_LABELS[status]}`, 'success');
+    } catch (error) {
+      console.error('Error updating opportunity status:', error);
+      showNotification(`Could not update status: ${error.message}`, 'error');
+      renderOpportunities();
+    }
+  }
+  
+  /**
+   * Label an opportunity as relevant or not to train the classifier
+   * @param {string} opportunityId - Opportunity ID
+   * @param {boolean} isRelevant - Whether it is relevant
+   */
+  function labelOpportunity(opportunityId, isRelevant) {
+    const opportunity = allOpportunities.find(opp => String(opp.id || opp.externalId) === String(opportunityId));
+    if (!opportunity) {
+      return;
+    }
+    
+    opportunityClassifier.addTrainingExample(opportunity, isRelevant);
+    updateClassifierStats();
+    renderOpportunities();
+    
+    const message = opportunityClassifier.canTrain()
+      ? 'Feedback saved. Train the classifier in Settings to apply it.'
+      : `Feedback saved. Label at least ${opportunityClassifier.minExamplesPerClass} relevant and ${opportunityClassifier.minExamplesPerClass} irrelevant opportunities to train the classifier.`;
+    showNotification(message, 'success');
+  }
+  
+  /**
+   * Show training example counts and the last held-out accuracy
+   */
+  function updateClassifierStats() {
+    const { relevant, irrelevant } = opportunityClassifier.getTrainingCounts();
+    const relevantCount = document.getElementById('relevant-count');
+    const irrelevantCount = document.getElementById('irrelevant-count');
+    if (relevantCount) {
+      relevantCount.textContent = relevant;
+    }
+    if (irrelevantCount) {
+      irrelevantCount.textContent = irrelevant;
+    }
+    if (trainClassifierBtn) {
+      trainClassifierBtn.disabled = !opportunityClassifier.canTrain();
+    }
+    
+    const metrics = opportunityClassifier.metrics;
+    if (metrics) {
+      showClassifierStatus(
+        `Accuracy on ${metrics.testSize} held-out examples: ${Math.round(metrics.accuracy * 100)}% ` +
+        `(trained ${new Date(metrics.trainedAt).toLocaleString()})`
+      );
+    } else if (classifierStatus) {
+      classifierStatus.classList.add('hidden');
+    }
+  }
+  
+  /**
+   * Show a message in the classifier status box
+   * @param {string} message - Message
+   * @param {string} type - 'success' or 'error'
+   */
+  function showClassifierStatus(message, type = 'success') {
+    if (!classifierStatus) {
+      return;
+    }
+    classifierStatus.textContent = message;
+    classifierStatus.className = `mt-4 p-3 classifier-status ${type}`;
+  }
+  
+  async function trainClassifier() {
+    if (trainClassifierBtn) {
+      trainClassifierBtn.disabled = true;
+    }
+    showClassifierStatus('Training classifier...');
+    
+    const result = await opportunityClassifier.train();
+    if (result.success) {
+      updateClassifierStats();
+      await refreshClassifierScores();
+      showNotification(`Classifier trained: ${Math.round(result.accuracy * 100)}% held-out accuracy`, 'success');
+    } else {
+      showClassifierStatus(result.error, 'error');
+      if (trainClassifierBtn) {
+        trainClassifierBtn.disabled = !opportunityClassifier.canTrain();
+      }
+    }
+  }
+  
+  function resetClassifier() {
+    if (!confirm('Reset the classifier? This deletes the trained model and all relevance feedback.')) {
+      return;
+    }
+    
+    opportunityClassifier.reset();
+    classifierScores = new Map();
+    updateClassifierStats();
+    applyFilters({ keepPage: true });
+    showNotification('Classifier reset', 'success');
+  }
+  
+  /**
+   * Re-score every opportunity with the trained classifier and re-render
+   */
+  async function refreshClassifierScores() {
+    await opportunityClassifier.ready();
+    if (!opportunityClassifier.isTrained()) {
+      return;
+    }
+    
+    try {
+      classifierScores = await opportunityClassifier.scoreOpportunities(allOpportunities);
+      applyFilters({ keepPage: true });
+    } catch (error) {
+      console.error('Error scoring opportunities with the classifier:', error);
+    }
+  }
+  
+  /**
+   * Score every opportunity against every expert profile, fill the expert filter and re-render
+   */
+  async function refreshExpertMatches() {
+    try {
+      expertProfiles = await expertProfileManager.getProfiles();
+      if (Object.keys(keywordManager.getAllGroups()).length === 0) {
+        await keywordManager.initialize();
+      }
+      const keywordGroups = keywordManager.getAllGroups();
+      expertRankings = new Map(allOpportunities.map(opp =>
+        [String(opp.id || opp.externalId), rankExperts(opp, expertProfiles, { keywordGroups })]));
+      
+      const expertFilter = document.getElementById('expert-filter');
+      if (expertFilter) {
+        if (!expertProfiles.some(profile => profile.id === filters.expert)) {
+          filters.expert = 'all';
+        }
+        expertFilter.innerHTML = '<option value="all">All Experts</option>' +
+          expertProfiles.map(profile => `<option value="${profile.id}"></option>`).join('');
+        expertFilter.querySelectorAll('option').forEach((option, index) => {
+          if (index > 0) {
+            option.textContent = `Fits ${expertProfiles[index - 1].name}`;
+          }
+        });
+        expertFilter.value = filters.expert;
+        expertFilter.closest('.filter-group').style.display = expertProfiles.length > 0 ? '' : 'none';
+      }
+      
+      applyFilters({ keepPage: true });
+    } catch (error) {
+      console.error('Error matching opportunities to expert profiles:', error);
+    }
+  }
+  
+  /**
+   * An opportunity's scores against every expert profile, best first
+   * @param {Object} opp - Opportunity (or merged duplicate card)
+   * @returns {Array} rankExperts results; empty before matching has run
+   */
+  function getExpertRanking(opp) {
+    return expertRankings.get(String(opp.id || opp.externalId)) || [];
+  }
+  
+  function updateFilterValue(e) {
+    const id = e.target.id;
+    
     switch(id) {
       case 'deadline-filter':
         filters.deadline = e.target.value;
@@ -1041,6 +1240,12 @@ function initializeApp() {
         case 'Qwoted':
           button.style.backgroundColor = '#009688';
           break;
+        case 'Import':
+          button.style.backgroundColor = '#6f42c1';
+          break;
+        case 'Manual':
+          button.style.backgroundColor = '#795548';
+          break;
       }
     } else {
       // Inactive state styling - white background, colored text
@@ -1055,6 +1260,12 @@ function initializeApp() {
         case 'Qwoted':
           button.style.color = '#009688';
           break;
+        case 'Import':
+          button.style.color = '#6f42c1';
+          break;
+        case 'Manual':
+          button.style.color = '#795548';
+          break;
       }
     }
     
@@ -1062,7 +1273,7 @@ function initializeApp() {
     applyFilters();
   }
 
-  function applyFilters() {
+  function applyFilters(options = {}) {
     filteredOpportunities = allOpportunities.filter(opportunity => {
       // Initialize as true and apply each filter sequentially
       let passesFilters = true;
@@ -1081,6 +1292,12 @@ function initializeApp() {
       if (filters.platforms.Qwoted && sourceString.includes('qwoted')) {
         platformPasses = true;
       }
+      if (filters.platforms.Import && sourceString.includes('import')) {
+        platformPasses = true;
+      }
+      if (filters.platforms.Manual && sourceString.includes('manual')) {
+        platformPasses = true;
+      }
       
       passesFilters = passesFilters && platformPasses;
       
@@ -1091,7 +1308,11 @@ function initializeApp() {
       
       // Deadline filter
       if (filters.deadline !== 'all') {
-        const deadlineDate = new Date(opportunity.deadline);
+        // Deadlines normalized at scrape time, in the source's time zone
+        const deadlineDate = getDeadlineDate(opportunity);
+        if (!deadlineDate) {
+          passesFilters = false;
+        }
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         
@@ -1120,8 +1341,9 @@ function initializeApp() {
       }
       
       // Relevance filter
-      if (filters.relevance !== 'all' && opportunity.relevanceScore !== undefined) {
-        const score = opportunity.relevanceScore;
+      const relevanceScore = getRelevanceScore(opportunity);
+      if (filters.relevance !== 'all' && relevanceScore !== undefined) {
+        const score = relevanceScore;
         switch(filters.relevance) {
           case 'high':
             passesFilters = passesFilters && score >= 80;
@@ -1181,11 +1403,38 @@ function initializeApp() {
         passesFilters = passesFilters && searchInFields.some(field => field.includes(searchText));
       }
       
+      // Pipeline stage filter
+      if (filters.status !== 'all') {
+        passesFilters = passesFilters && getPipelineStatus(opportunity) === filters.status;
+      }
+      
+      // Expert filter: the chosen expert's score reaches the match threshold
+      if (filters.expert !== 'all') {
+        const match = getExpertRanking(opportunity).find(entry => entry.profileId === filters.expert);
+        passesFilters = passesFilters && Boolean(match) && !match.excluded && match.score >= EXPERT_MATCH_THRESHOLD;
+      }
+      
       return passesFilters;
     });
     
-    // Reset to first page
-    currentPage = 1;
+    // Show copies of the same query from several platforms as one card
+    filteredOpportunities = mergeDuplicates(filteredOpportunities);
+    
+    // Most relevant first; unscored opportunities keep their order at the end
+    if (filters.sort === 'relevance') {
+      filteredOpportunities = filteredOpportunities
+        .map((opp, index) => ({ opp, index, score: getRelevanceScore(opp) }))
+        .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || a.index - b.index)
+        .map(entry => entry.opp);
+    }
+    
+    // Reset to first page, unless the caller only changed one card in place
+    if (options.keepPage) {
+      const totalPages = Math.max(1, Math.ceil(filteredOpportunities.length / itemsPerPage));
+      currentPage = Math.min(currentPage, totalPages);
+    } else {
+      currentPage = 1;
+    }
     
     // Render filtered opportunities
     renderOpportunities();
@@ -1202,6 +1451,7 @@ function initializeApp() {
     document.getElementById('keyword-filter').value = '';
     document.getElementById('media-outlet-filter').value = '';
     document.getElementById('journalist-filter').value = '';
+    document.getElementById('expert-filter').value = 'all';
     
     // Reset filter state
     filters.deadline = 'all';
@@ -1210,6 +1460,7 @@ function initializeApp() {
     filters.keyword = '';
     filters.mediaOutlet = '';
     filters.journalist = '';
+    filters.expert = 'all';
     
     // Don't reset category or search - these are considered primary filters
     
@@ -1238,11 +1489,29 @@ function initializeApp() {
       outlet: 'mediaOutlet',    // Qwoted uses 'mediaOutlet'
       brandName: 'brandName',   // Additional outlet info
       deadline: 'deadline'
+    },
+    'import': {
+      title: 'title',
+      description: 'description',
+      outlet: 'mediaOutlet',    // Imports are mapped onto the model's field names
+      deadline: 'deadline'
+    },
+    'manual': {
+      title: 'title',
+      description: 'description',
+      outlet: 'mediaOutlet',    // Entered by hand in the opportunity form
+      deadline: 'deadline'
     }
   };
 
   // Function to get the correct field value based on platform
   function getFieldValue(opportunity, displayField) {
+    // Values the user edited are kept under the model's field names
+    const editedField = displayField === 'outlet' ? 'mediaOutlet' : displayField;
+    if (opportunity.overrides && editedField in opportunity.overrides) {
+      return opportunity.overrides[editedField] || null;
+    }
+    
     const rawPlatform = opportunity.source || opportunity.platform || 'SourceBottle';
     const platform = rawPlatform.toLowerCase().replace(/\s+/g, '');
     
@@ -1278,6 +1547,10 @@ function initializeApp() {
 
   // Function to get outlet name with platform-specific fallbacks
   function getOutletName(opportunity) {
+    if (opportunity.overrides && 'mediaOutlet' in opportunity.overrides) {
+      return opportunity.overrides.mediaOutlet || 'Media outlet not available';
+    }
+    
     const rawPlatform = opportunity.source || opportunity.platform || 'SourceBottle';
     const platform = rawPlatform.toLowerCase().replace(/\s+/g, '');
     
@@ -1429,8 +1702,8 @@ function initializeApp() {
         
         // Add relevance badge if available
         let relevanceBadge = '';
-        if (opp.relevanceScore !== undefined) {
-          const score = opp.relevanceScore;
+        const score = getRelevanceScore(opp);
+        if (score !== undefined) {
           let relevanceClass = 'medium';
           if (score >= 80) relevanceClass = 'high';
           if (score < 50) relevanceClass = 'low';
@@ -1438,6 +1711,34 @@ function initializeApp() {
           relevanceBadge = `<div class="relevance-badge ${relevanceClass}">${score}% Match</div>`;
         }
         
+        // Every platform this query was posted on, when it was merged from several
+        const sourceLinks = (opp.sources || []).length > 1
+          ? opp.sources.map(copy => 
+              `<a href="${copy.url || '#'}" target="_blank" class="source-link">${copy.source}</a>`
+            ).join(' · ')
+          : '';
+        
+        // Pipeline stage and the stages it can move to
+        const status = getPipelineStatus(opp);
+        const statusOptions = [status, ...PIPELINE_TRANSITIONS[status]].map(option => 
+          `<option value="${option}" ${option === status ? 'selected' : ''}>${PIPELINE_STATUS_LABELS[option]}</option>`
+        ).join('');
+        
+        // Relevant / not relevant feedback that trains the classifier
+        const trainingLabel = opportunityClassifier.getLabel(opp.id || opp.externalId);
+        
+        // Expert profile this opportunity fits best, with every expert's score in the tooltip
+        const expertRanking = getExpertRanking(opp);
+        const bestExpert = getBestExpert(expertRanking);
+        const expertTitle = expertRanking
+          .map(entry => `${entry.name}: ${entry.excluded ? 'excluded' : `${entry.score}%`}${entry.reasons.length ? ` (${entry.reasons.join('; ')})` : ''}`)
+          .join('\n')
+          .replace(/"/g, '&quot;');
+        const expertHtml = expertRanking.length === 0 ? '' : `
+            <div class="card-meta">
+              <span class="expert-match" title="${expertTitle}">🎯 Best match: ${bestExpert ? `${bestExpert.name} (${bestExpert.score}%)` : 'No expert'}</span>
+            </div>`;
+        
         // Keywords display if available
         let keywordsHtml = '';
         if (opp.keywords && opp.keywords.length > 0) {
@@ -1465,20 +1766,29 @@ function initializeApp() {
             ${keywordsHtml}
             <div class="card-meta">
               <span>🗓️ Deadline: ${formattedDate}</span>
-              <span>🔍 Source: ${source}</span>
+              <span>🔍 Source: ${sourceLinks || source}</span>
             </div>
             <div class="card-meta">
               <span>📰 ${mediaOutlet}</span>
               <span>👤 ${journalist}</span>
             </div>
+            <div class="card-meta">
+              <span class="status-badge status-${status}" title="${formatStatusHistory(opp)}">${PIPELINE_STATUS_LABELS[status]}</span>
+            </div>${expertHtml}
             <div class="card-actions">
               <a href="${viewUrl}" target="_blank" class="action-button view-button">View Opportunity</a>
               ${opp.aiProcessed ?
                 `<button class="action-button ai-view-button" data-opportunity-id="${opp.id || opp.externalId}">
                    <span class="ai-icon">🤖</span> View AI Analysis
-                 </button>` :
-                `<button class="action-button save-button">Save</button>`
+                 </button>` : ''
               }
+              <select class="status-select" data-opportunity-id="${opp.id || opp.externalId}" title="Move to another pipeline stage">
+                ${statusOptions}
+              </select>
+              <button class="action-button feedback-button ${trainingLabel === 'relevant' ? 'active' : ''}" data-opportunity-id="${opp.id || opp.externalId}" data-relevant="true" title="Relevant (trains the classifier)">👍</button>
+              <button class="action-button feedback-button ${trainingLabel === 'irrelevant' ? 'active' : ''}" data-opportunity-id="${opp.id || opp.externalId}" data-relevant="false" title="Not relevant (trains the classifier)">👎</button>
+              <button class="action-button edit-button" data-opportunity-id="${opp.id || opp.externalId}" title="Edit title, deadline and other fields">✏️</button>
+              <button class="action-button pitch-button" data-opportunity-id="${opp.id || opp.externalId}" title="Draft, compare and send pitches">✍️</button>
             </div>
           </div>
         `;
@@ -1507,12 +1817,34 @@ function initializeApp() {
         });
       }
       
-      // Add event listeners to save buttons
-      const saveButton = card.querySelector('.save-button');
-      if (saveButton) {
-        saveButton.addEventListener('click', function() {
-          // Save functionality would go here
-          console.log('Save button clicked');
+      // Add event listeners to pipeline stage selects
+      const statusSelect = card.querySelector('.status-select');
+      if (statusSelect) {
+        statusSelect.addEventListener('change', function() {
+          changeOpportunityStatus(this.dataset.opportunityId, this.value);
+        });
+      }
+      
+      // Add event listeners to relevance feedback buttons
+      card.querySelectorAll('.feedback-button').forEach(button => {
+        button.addEventListener('click', function() {
+          labelOpportunity(this.dataset.opportunityId, this.dataset.relevant === 'true');
+        });
+      });
+      
+      // Add event listeners to edit buttons
+      const editButton = card.querySelector('.edit-button');
+      if (editButton) {
+        editButton.addEventListener('click', function() {
+          openOpportunityForm(this.dataset.opportunityId);
+        });
+      }
+      
+      // Add event listeners to pitch buttons
+      const pitchButton = card.querySelector('.pitch-button');
+      if (pitchButton) {
+        pitchButton.addEventListener('click', function() {
+          openPitchWorkspace(this.dataset.opportunityId);
         });
       }
     });
@@ -1827,6 +2159,906 @@ function initializeApp() {
   };
   eventManager.add(window, 'click', windowClickHandler);
   
+  /**
+   * Download the currently filtered opportunities as a file
+   * @param {string} format - Registered export format, e.g. 'xlsx'
+   */
+  async function exportToFile(format) {
+    if (filteredOpportunities.length === 0) {
+      showNotification('No opportunities to export', 'warning');
+      return;
+    }
+    
+    const result = await integrationsManager.exportFile(format, filteredOpportunities);
+    if (result.success) {
+      showNotification(result.message, 'success');
+    } else {
+      showNotification(`Download failed: ${result.error}`, 'error');
+    }
+  }
+  
+  // Kept digests, newest first
+  let digests = [];
+  
+  async function openDigestModal() {
+    const modal = document.getElementById('digest-modal');
+    if (!modal) {
+      return;
+    }
+    
+    modal.style.display = 'block';
+    await loadDigests();
+  }
+  
+  function closeDigestModal() {
+    const modal = document.getElementById('digest-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+  }
+  
+  function setupDigestModal() {
+    const select = document.getElementById('digest-select');
+    if (!select) {
+      return;
+    }
+    
+    eventManager.add(select, 'change', () => showDigest(select.value));
+    eventManager.add(document.getElementById('close-digest-modal'), 'click', closeDigestModal);
+    eventManager.add(document.getElementById('create-digest'), 'click', createDigestNow);
+    eventManager.add(document.getElementById('download-digest-html'), 'click', () => downloadDigest('html'));
+    eventManager.add(document.getElementById('download-digest-markdown'), 'click', () => downloadDigest('markdown'));
+  }
+  
+  /**
+   * Load the kept digests into the picker and show one
+   * @param {string} [selectedId] - Digest to show (defaults to the newest)
+   */
+  async function loadDigests(selectedId) {
+    const select = document.getElementById('digest-select');
+    try {
+      digests = await digestManager.getDigests();
+    } catch (error) {
+      digests = [];
+      showNotification(`Couldn't load digests: ${error.message}`, 'error');
+    }
+    
+    select.innerHTML = '';
+    digests.forEach(digest => select.add(new Option(`${getDigestTitle(digest)} (${digest.count})`, digest.id)));
+    select.value = digests.some(digest => digest.id === selectedId) ? selectedId : (digests[0]?.id || '');
+    showDigest(select.value);
+  }
+  
+  /**
+   * Show a digest in the digest view
+   * @param {string} id - Digest id
+   */
+  function showDigest(id) {
+    const digest = digests.find(candidate => candidate.id === id);
+    const view = document.getElementById('digest-view');
+    
+    document.getElementById('digest-title').textContent = digest ? getDigestTitle(digest) : 'Digest';
+    view.innerHTML = digest
+      ? renderDigestBody(digest)
+      : '<p class="digest-empty">No digests yet. Turn on digests under Notification Settings, or compile one now.</p>';
+    document.getElementById('download-digest-html').disabled = !digest;
+    document.getElementById('download-digest-markdown').disabled = !digest;
+  }
+  
+  /**
+   * Compile a digest of everything new since the last one, without waiting for the schedule
+   */
+  async function createDigestNow() {
+    try {
+      const settings = await storageManager.getSettings();
+      const digest = await digestManager.createDigest({ frequency: normalizeDigestSettings(settings.digest).frequency });
+      await loadDigests(digest.id);
+      showNotification(`Compiled a digest of ${digest.count} new opportunities`, 'success');
+    } catch (error) {
+      showNotification(`Couldn't compile the digest: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Download the digest shown as a standalone HTML page or as Markdown
+   * @param {string} format - 'html' or 'markdown'
+   */
+  function downloadDigest(format) {
+    const digest = digests.find(candidate => candidate.id === document.getElementById('digest-select').value);
+    if (!digest) {
+      return;
+    }
+    
+    const [content, mimeType, extension] = format === 'html'
+      ? [renderDigestHtml(digest), 'text/html;charset=utf-8', 'html']
+      : [renderDigestMarkdown(digest), 'text/markdown;charset=utf-8', 'md'];
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `opportunities-digest-${digest.createdAt.split('T')[0]}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Revoking straight away can cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+  
+  // Opportunity the pitch workspace is open for, and its drafts, newest first
+  let pitchOpportunity = null;
+  let pitchDrafts = [];
+  
+  /**
+   * Open the pitch drafts for an opportunity
+   * @param {string} opportunityId - Opportunity id
+   */
+  async function openPitchWorkspace(opportunityId) {
+    const modal = document.getElementById('pitch-workspace-modal');
+    const opportunity = allOpportunities.find(opp => String(opp.id || opp.externalId) === String(opportunityId));
+    if (!modal || !opportunity) {
+      return;
+    }
+    
+    pitchOpportunity = opportunity;
+    const { platform, canInsert } = getPitchPlatform(opportunity);
+    document.getElementById('pitch-workspace-title').textContent = `Pitch: ${opportunity.title || opportunity.question || 'Opportunity'}`;
+    const insertButton = document.getElementById('insert-pitch-draft');
+    insertButton.textContent = canInsert ? `Insert into ${platform}` : 'Insert into Form';
+    insertButton.disabled = !canInsert;
+    
+    const expertSelect = document.getElementById('pitch-workspace-expert');
+    expertSelect.innerHTML = '';
+    expertSelect.add(new Option('Best-matched expert', ''));
+    expertProfiles.forEach(profile => expertSelect.add(new Option(profile.name, profile.id)));
+    
+    modal.style.display = 'block';
+    await loadPitchDrafts();
+  }
+  
+  function closePitchWorkspace() {
+    const modal = document.getElementById('pitch-workspace-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+    pitchOpportunity = null;
+  }
+  
+  function setupPitchWorkspace() {
+    const toneSelect = document.getElementById('pitch-workspace-tone');
+    if (!toneSelect) {
+      return;
+    }
+    
+    Object.entries(PITCH_TONES).forEach(([key, { label }]) => toneSelect.add(new Option(label, key)));
+    const lengthSelect = document.getElementById('pitch-workspace-length');
+    Object.entries(PITCH_LENGTHS).forEach(([key, { label }]) => lengthSelect.add(new Option(label, key)));
+    lengthSelect.value = 'medium';
+    
+    const draftText = document.getElementById('pitch-draft-text');
+    eventManager.add(document.getElementById('close-pitch-workspace'), 'click', closePitchWorkspace);
+    eventManager.add(document.getElementById('pitch-draft-select'), 'change', event => showPitchDraft(event.target.value));
+    eventManager.add(document.getElementById('pitch-compare-select'), 'change', event => showPitchComparison(event.target.value));
+    eventManager.add(draftText, 'input', () => updatePitchMeter('pitch-draft-meter', draftText.value));
+    eventManager.add(document.getElementById('generate-pitch-draft'), 'click', generatePitchDraft);
+    eventManager.add(document.getElementById('save-pitch-draft'), 'click', savePitchDraft);
+    eventManager.add(document.getElementById('delete-pitch-draft'), 'click', deletePitchDraft);
+    eventManager.add(document.getElementById('copy-pitch-draft'), 'click', copyPitchDraft);
+    eventManager.add(document.getElementById('insert-pitch-draft'), 'click', insertPitchDraft);
+  }
+  
+  /**
+   * Describe a draft for the draft pickers
+   * @param {Object} draft - Draft
+   * @returns {string}
+   */
+  function getPitchDraftLabel(draft) {
+    const style = [PITCH_TONES[draft.tone]?.label, PITCH_LENGTHS[draft.length]?.label.toLowerCase()].filter(Boolean).join(', ');
+    const origin = draft.origin === 'generated' ? `Generated${style ? ` (${style})` : ''}` : 'Edited';
+    return `${new Date(draft.createdAt).toLocaleString()} · ${origin}${draft.expertName ? ` · ${draft.expertName}` : ''}`;
+  }
+  
+  /**
+   * Load the open opportunity's drafts into both pickers
+   * @param {string} [selectedId] - Draft to edit (defaults to the newest)
+   */
+  async function loadPitchDrafts(selectedId) {
+    const id = pitchOpportunity.id || pitchOpportunity.externalId;
+    try {
+      pitchDrafts = await pitchWorkspace.getDrafts(id);
+    } catch (error) {
+      pitchDrafts = [];
+      showNotification(`Couldn't load pitch drafts: ${error.message}`, 'error');
+    }
+    
+    const draftSelect = document.getElementById('pitch-draft-select');
+    const compareSelect = document.getElementById('pitch-compare-select');
+    const compareId = compareSelect.value;
+    draftSelect.innerHTML = '';
+    compareSelect.innerHTML = '';
+    if (pitchDrafts.length === 0) {
+      draftSelect.add(new Option('No drafts yet', ''));
+    }
+    compareSelect.add(new Option('Compare with another draft', ''));
+    pitchDrafts.forEach(draft => {
+      draftSelect.add(new Option(getPitchDraftLabel(draft), draft.id));
+      compareSelect.add(new Option(getPitchDraftLabel(draft), draft.id));
+    });
+    
+    draftSelect.value = pitchDrafts.some(draft => draft.id === selectedId) ? selectedId : (pitchDrafts[0]?.id || '');
+    compareSelect.value = pitchDrafts.some(draft => draft.id === compareId) ? compareId : '';
+    showPitchDraft(draftSelect.value);
+    showPitchComparison(compareSelect.value);
+  }
+  
+  /**
+   * Put a draft in the editor
+   * @param {string} id - Draft id, empty for none
+   */
+  function showPitchDraft(id) {
+    const draft = pitchDrafts.find(candidate => candidate.id === id);
+    const text = document.getElementById('pitch-draft-text');
+    text.value = draft ? draft.text : '';
+    updatePitchMeter('pitch-draft-meter', text.value);
+    document.getElementById('delete-pitch-draft').disabled = !draft;
+  }
+  
+  /**
+   * Show a second draft next to the editor
+   * @param {string} id - Draft id, empty to show none
+   */
+  function showPitchComparison(id) {
+    const draft = pitchDrafts.find(candidate => candidate.id === id);
+    document.getElementById('pitch-compare-text').textContent = draft ? draft.text : '';
+    updatePitchMeter('pitch-compare-meter', draft ? draft.text : '', !draft);
+  }
+  
+  /**
+   * Show a draft's length against the platform's limit
+   * @param {string} meterId - Meter element id
+   * @param {string} text - Draft text
+   * @param {boolean} [empty] - Leave the meter blank
+   */
+  function updatePitchMeter(meterId, text, empty = false) {
+    const meter = document.getElementById(meterId);
+    const { platform, maxChars } = getPitchPlatform(pitchOpportunity);
+    const { length, over } = checkPitchLength(text, maxChars);
+    meter.classList.toggle('over', over > 0);
+    if (empty) {
+      meter.textContent = '';
+    } else if (maxChars) {
+      meter.textContent = `${length} of ${maxChars} characters allowed on ${platform}${over > 0 ? `: cut ${over}` : ''}`;
+    } else {
+      meter.textContent = `${length} characters`;
+    }
+  }
+  
+  /**
+   * Generate a new draft in the picked tone and length, for the picked expert
+   */
+  async function generatePitchDraft() {
+    const button = document.getElementById('generate-pitch-draft');
+    const opportunity = pitchOpportunity;
+    const options = {
+      expertId: document.getElementById('pitch-workspace-expert').value || null,
+      tone: document.getElementById('pitch-workspace-tone').value,
+      length: document.getElementById('pitch-workspace-length').value
+    };
+    
+    button.disabled = true;
+    button.textContent = 'Generating...';
+    try {
+      if (!window.aiEnhancements) {
+        throw new Error('AI Enhancements module not available');
+      }
+      if (!window.aiEnhancements.initialized && !(await window.aiEnhancements.initialize())) {
+        throw new Error('Set up an AI provider in settings first');
+      }
+      
+      const pitch = await window.aiEnhancements.generatePitchTemplate(opportunity, options);
+      if (pitch.error) {
+        throw new Error(pitch.message);
+      }
+      
+      const draft = await pitchWorkspace.addDraft(opportunity.id || opportunity.externalId, {
+        text: formatPitch(pitch),
+        origin: 'generated',
+        tone: options.tone,
+        length: options.length,
+        expertId: pitch.expert_id,
+        expertName: pitch.expert_name
+      });
+      if (pitchOpportunity === opportunity) {
+        await loadPitchDrafts(draft.id);
+      }
+    } catch (error) {
+      showNotification(`Couldn't generate a pitch: ${error.message}`, 'error');
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Generate Draft';
+    }
+  }
+  
+  /**
+   * Keep the editor's text as a new draft, leaving the one it started from as it was
+   */
+  async function savePitchDraft() {
+    const basedOn = pitchDrafts.find(draft => draft.id === document.getElementById('pitch-draft-select').value);
+    try {
+      const draft = await pitchWorkspace.addDraft(pitchOpportunity.id || pitchOpportunity.externalId, {
+        text: document.getElementById('pitch-draft-text').value,
+        origin: 'edited',
+        expertId: basedOn?.expertId,
+        expertName: basedOn?.expertName,
+        basedOn: basedOn?.id
+      });
+      await loadPitchDrafts(draft.id);
+      showNotification('Draft saved', 'success');
+    } catch (error) {
+      showNotification(`Couldn't save the draft: ${error.message}`, 'error');
+    }
+  }
+  
+  async function deletePitchDraft() {
+    const id = document.getElementById('pitch-draft-select').value;
+    if (!id || !confirm('Delete this draft?')) {
+      return;
+    }
+    
+    try {
+      await pitchWorkspace.deleteDraft(pitchOpportunity.id || pitchOpportunity.externalId, id);
+      await loadPitchDrafts();
+    } catch (error) {
+      showNotification(`Couldn't delete the draft: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Copy the editor's text, warning when it won't fit the platform's form
+   */
+  async function copyPitchDraft() {
+    const text = document.getElementById('pitch-draft-text').value;
+    const { platform, maxChars } = getPitchPlatform(pitchOpportunity);
+    const { over } = checkPitchLength(text, maxChars);
+    try {
+      await navigator.clipboard.writeText(text);
+      if (over > 0) {
+        showNotification(`Copied, but it's ${over} characters over ${platform}'s limit`, 'warning');
+      } else {
+        showNotification('Pitch copied', 'success');
+      }
+    } catch (error) {
+      showNotification(`Couldn't copy: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * Fill in the platform's response form in an open tab with the editor's text
+   */
+  async function insertPitchDraft() {
+    try {
+      const { platform } = await pitchWorkspace.insertPitch(pitchOpportunity, document.getElementById('pitch-draft-text').value);
+      showNotification(`Pitch inserted into the ${platform} response form`, 'success');
+    } catch (error) {
+      showNotification(error.message, 'error');
+    }
+  }
+  
+  // File being imported: parsed records and the field chosen for each column
+  let pendingImport = null;
+  
+  function openImportModal() {
+    const modal = document.getElementById('import-modal');
+    if (!modal) {
+      return;
+    }
+    
+    pendingImport = null;
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-mapping-section').style.display = 'none';
+    document.getElementById('confirm-import').disabled = true;
+    modal.style.display = 'block';
+  }
+  
+  function closeImportModal() {
+    const modal = document.getElementById('import-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+    pendingImport = null;
+  }
+  
+  function setupImportModal() {
+    const fileInput = document.getElementById('import-file');
+    if (!fileInput) {
+      return;
+    }
+    
+    eventManager.add(fileInput, 'change', readImportFile);
+    eventManager.add(document.getElementById('close-import-modal'), 'click', closeImportModal);
+    eventManager.add(document.getElementById('cancel-import'), 'click', closeImportModal);
+    eventManager.add(document.getElementById('confirm-import'), 'click', confirmImport);
+  }
+  
+  /**
+   * Parse the chosen file and show its columns for mapping
+   * @param {Event} event - File input change event
+   */
+  async function readImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    
+    try {
+      const { columns, records } = parseImportFile(await file.text(), file.name);
+      if (records.length === 0) {
+        throw new Error('The file has no rows to import');
+      }
+      pendingImport = { records, mapping: suggestMapping(columns) };
+      renderImportMapping(columns);
+      await previewImport();
+    } catch (error) {
+      pendingImport = null;
+      document.getElementById('import-mapping-section').style.display = 'none';
+      document.getElementById('confirm-import').disabled = true;
+      showNotification(`Can't import ${file.name}: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * One row per file column, with its first value and a field picker
+   * @param {string[]} columns - File column names
+   */
+  function renderImportMapping(columns) {
+    const tbody = document.getElementById('import-mapping');
+    tbody.innerHTML = '';
+    
+    columns.forEach(column => {
+      const row = document.createElement('tr');
+      
+      const name = document.createElement('td');
+      name.textContent = column;
+      
+      const sample = document.createElement('td');
+      sample.className = 'import-sample';
+      const firstValue = pendingImport.records.map(record => record[column]).find(value => value !== '' && value !== null && typeof value !== 'undefined');
+      sample.textContent = Array.isArray(firstValue) ? firstValue.join(', ') : String(firstValue ?? '');
+      sample.title = sample.textContent;
+      
+      const picker = document.createElement('td');
+      const select = document.createElement('select');
+      select.add(new Option('Don\'t import', ''));
+      Object.entries(IMPORT_FIELDS).forEach(([field, label]) => select.add(new Option(label, field)));
+      select.value = pendingImport.mapping[column];
+      eventManager.add(select, 'change', () => {
+        pendingImport.mapping[column] = select.value;
+        previewImport();
+      });
+      picker.appendChild(select);
+      
+      row.append(name, sample, picker);
+      tbody.appendChild(row);
+    });
+    
+    document.getElementById('import-mapping-section').style.display = 'block';
+  }
+  
+  /**
+   * Validate and deduplicate the mapped rows and list the ones that won't be imported
+   */
+  async function previewImport() {
+    if (!pendingImport) {
+      return;
+    }
+    
+    const entries = await opportunityImporter.preview(pendingImport.records, pendingImport.mapping);
+    const ready = entries.filter(entry => entry.status === 'ready').length;
+    const duplicates = entries.filter(entry => entry.status === 'duplicate');
+    const invalid = entries.filter(entry => entry.status === 'invalid');
+    
+    document.getElementById('import-summary').textContent =
+      `${ready} ready to import, ${duplicates.length} already stored, ${invalid.length} with errors`;
+    
+    const problems = document.getElementById('import-problems');
+    problems.innerHTML = '';
+    [...invalid, ...duplicates].sort((a, b) => a.row - b.row).forEach(entry => {
+      const item = document.createElement('li');
+      const reason = entry.status === 'invalid' ? entry.errors.join(', ') : `Already stored as ${entry.duplicateOf}`;
+      item.textContent = `Row ${entry.row}${entry.title ? ` (${entry.title})` : ''}: ${reason}`;
+      problems.appendChild(item);
+    });
+    
+    const confirmButton = document.getElementById('confirm-import');
+    confirmButton.disabled = ready === 0;
+    confirmButton.textContent = ready > 0 ? `Import ${ready}` : 'Import';
+  }
+  
+  async function confirmImport() {
+    if (!pendingImport) {
+      return;
+    }
+    
+    try {
+      const result = await opportunityImporter.importRecords(pendingImport.records, pendingImport.mapping);
+      closeImportModal();
+      await loadOpportunities();
+      showNotification(
+        `Imported ${result.imported} opportunities` +
+        (result.duplicates ? `, skipped ${result.duplicates} already stored` : '') +
+        (result.invalid.length ? `, ${result.invalid.length} rows had errors` : ''),
+        result.invalid.length ? 'warning' : 'success'
+      );
+    } catch (error) {
+      showNotification(`Import failed: ${error.message}`, 'error');
+    }
+  }
+  
+  // Opportunity open in the form and the values it was shown with; null when adding one
+  let editingOpportunity = null;
+  
+  function setupOpportunityForm() {
+    const form = document.getElementById('opportunity-form');
+    if (!form) {
+      return;
+    }
+    
+    eventManager.add(form, 'submit', saveOpportunityForm);
+    eventManager.add(document.getElementById('close-opportunity-form'), 'click', closeOpportunityForm);
+    eventManager.add(document.getElementById('cancel-opportunity-form'), 'click', closeOpportunityForm);
+  }
+  
+  /**
+   * Field values as the page shows them, to fill the form
+   * @param {Object} opportunity - Opportunity
+   * @returns {Object<string, string>} Value per editable field
+   */
+  function getFormValues(opportunity) {
+    const outlet = getOutletName(opportunity);
+    return {
+      title: getFieldValue(opportunity, 'title') || '',
+      description: getFieldValue(opportunity, 'description') || '',
+      url: opportunity.url || '',
+      deadline: getFieldValue(opportunity, 'deadline') || '',
+      mediaOutlet: outlet === 'Media outlet not available' ? '' : outlet,
+      journalist: opportunity.journalist || '',
+      category: opportunity.category || '',
+      tags: (opportunity.tags || []).join(', ')
+    };
+  }
+  
+  /**
+   * Open the form to edit an opportunity, or to add one by hand
+   * @param {string|null} opportunityId - Opportunity to edit, null to add a new one
+   */
+  function openOpportunityForm(opportunityId) {
+    const modal = document.getElementById('opportunity-form-modal');
+    if (!modal) {
+      return;
+    }
+    
+    const opportunity = opportunityId
+      ? allOpportunities.find(opp => String(opp.id || opp.externalId) === String(opportunityId))
+      : null;
+    if (opportunityId && !opportunity) {
+      return;
+    }
+    
+    const values = opportunity ? getFormValues(opportunity) : {};
+    editingOpportunity = opportunity ? { id: opportunity.id || opportunity.externalId, values } : null;
+    
+    const form = document.getElementById('opportunity-form');
+    Object.keys(EDITABLE_FIELDS).forEach(field => {
+      form.elements[field].value = values[field] || '';
+    });
+    showFormErrors({});
+    renderEditHistory(opportunity);
+    
+    document.getElementById('opportunity-form-title').textContent = opportunity ? 'Edit Opportunity' : 'Add Opportunity';
+    modal.style.display = 'block';
+    form.elements.title.focus();
+  }
+  
+  function closeOpportunityForm() {
+    const modal = document.getElementById('opportunity-form-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+    editingOpportunity = null;
+  }
+  
+  /**
+   * Show validation messages next to their fields
+   * @param {Object<string, string>} errors - Message per invalid field
+   */
+  function showFormErrors(errors) {
+    const form = document.getElementById('opportunity-form');
+    Object.keys(EDITABLE_FIELDS).forEach(field => {
+      form.elements[field].classList.toggle('invalid', Boolean(errors[field]));
+      form.querySelector(`[data-error-for="${field}"]`).textContent = errors[field] || '';
+    });
+  }
+  
+  /**
+   * List the user's edits of an opportunity, most recent first
+   * @param {Object|null} opportunity - Opportunity in the form
+   */
+  function renderEditHistory(opportunity) {
+    const section = document.getElementById('opportunity-edit-history-section');
+    const list = document.getElementById('opportunity-edit-history');
+    const history = opportunity?.editHistory || [];
+    
+    list.innerHTML = '';
+    section.style.display = history.length > 0 ? 'block' : 'none';
+    
+    const describe = value => Array.isArray(value) ? value.join(', ') : (value || 'empty');
+    [...history].reverse().forEach(edit => {
+      const item = document.createElement('li');
+      item.textContent = `${new Date(edit.at).toLocaleString()}: ${EDITABLE_FIELDS[edit.field] || edit.field} changed from "${describe(edit.from)}" to "${describe(edit.to)}"`;
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * Validate the form and add the opportunity, or save the changed fields
+   * @param {Event} event - Form submit event
+   */
+  async function saveOpportunityForm(event) {
+    event.preventDefault();
+    
+    const form = document.getElementById('opportunity-form');
+    const values = Object.fromEntries(Object.keys(EDITABLE_FIELDS).map(field => [field, form.elements[field].value]));
+    const editing = editingOpportunity;
+    
+    // Only fields the user touched are edits; the rest keep following the source
+    const changes = editing
+      ? Object.fromEntries(Object.entries(values).filter(([field, value]) => value.trim() !== editing.values[field].trim()))
+      : values;
+    
+    const errors = validateOpportunityFields(changes, { partial: Boolean(editing) });
+    showFormErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+    
+    if (editing && Object.keys(changes).length === 0) {
+      closeOpportunityForm();
+      return;
+    }
+    
+    try {
+      if (editing) {
+        const updated = await storageManager.updateOpportunityFields(editing.id, changes);
+        allOpportunities = allOpportunities.map(opp => 
+          String(opp.id || opp.externalId) === String(editing.id) ? { ...opp, ...updated } : opp
+        );
+        closeOpportunityForm();
+        updateDuplicateGroups();
+        applyFilters({ keepPage: true });
+        showNotification('Changes saved', 'success');
+      } else {
+        await storageManager.createManualOpportunity(values);
+        closeOpportunityForm();
+        await loadOpportunities();
+        showNotification('Opportunity added', 'success');
+      }
+    } catch (error) {
+      console.error('Error saving opportunity:', error);
+      showNotification(`Could not save: ${error.message}`, 'error');
+    }
+  }
+  
+  // Export targets handled by the background, which owns the retry queue
+  const EXPORT_TARGETS = {
+    notion: { label: 'Notion', action: 'exportToNotion', icon: '📝' },
+    airtable: { label: 'Airtable', action: 'exportToAirtable', icon: '📋' }
+  };
+  
+  /**
+   * Export the currently filtered opportunities and report records that failed
+   * @param {string} target - Key of EXPORT_TARGETS
+   */
+  function exportToIntegration(target) {
+    const { label, action, icon } = EXPORT_TARGETS[target];
+    const targetIcon = document.getElementById(`${target}-icon`);
+    const targetText = document.getElementById(`${target}-text`);
+    
+    if (filteredOpportunities.length === 0) {
+      showNotification('No opportunities to export', 'warning');
+      return;
+    }
+    
+    if (targetIcon) {
+      targetIcon.textContent = '⏳';
+    }
+    if (targetText) {
+      targetText.textContent = 'Exporting...';
+    }
+    
+    chrome.runtime.sendMessage({ action, opportunities: filteredOpportunities }, response => {
+      if (targetIcon) {
+        targetIcon.textContent = icon;
+      }
+      if (targetText) {
+        targetText.textContent = `Export to ${label}`;
+      }
+      
+      if (chrome.runtime.lastError || !response) {
+        showNotification(`${label} export failed: ${chrome.runtime.lastError?.message || 'no response'}`, 'error');
+        return;
+      }
+      
+      renderExportErrors(label, response.failed || []);
+      if (response.message) {
+        showNotification(response.message, response.success ? 'success' : 'warning');
+      } else {
+        showNotification(`${label} export failed: ${response.error}`, 'error');
+      }
+    });
+  }
+  
+  /**
+   * List the records an export rejected, with the reason for each, above the cards
+   * @param {string} label - Export target name
+   * @param {Array<{id: string, title: string, error: string}>} failed - Rejected records
+   */
+  function renderExportErrors(label, failed) {
+    const container = document.getElementById('export-errors');
+    if (!container) {
+      return;
+    }
+    
+    container.innerHTML = '';
+    if (failed.length === 0) {
+      container.style.display = 'none';
+      return;
+    }
+    
+    const header = document.createElement('div');
+    header.className = 'export-errors-header';
+    const heading = document.createElement('span');
+    heading.textContent = `${failed.length} ${failed.length === 1 ? 'opportunity' : 'opportunities'} couldn't be exported to ${label}`;
+    const closeButton = document.createElement('button');
+    closeButton.title = 'Dismiss';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => renderExportErrors(label, []));
+    header.append(heading, closeButton);
+    
+    const list = document.createElement('ul');
+    failed.forEach(failure => {
+      const item = document.createElement('li');
+      const title = document.createElement('strong');
+      title.textContent = failure.title || failure.id || 'Untitled';
+      const message = document.createElement('span');
+      message.className = 'export-error-message';
+      message.textContent = ` — ${failure.error}`;
+      item.append(title, message);
+      list.appendChild(item);
+    });
+    
+    container.append(header, list);
+    container.style.display = 'block';
+  }
+  
+  /**
+   * Two-way sync with Google Sheets, then show any conflicts it left
+   */
+  function syncGoogleSheets() {
+    const sheetsIcon = document.getElementById('sheets-icon');
+    const sheetsText = document.getElementById('sheets-text');
+    if (sheetsIcon) {
+      sheetsIcon.textContent = '⏳';
+    }
+    if (sheetsText) {
+      sheetsText.textContent = 'Syncing...';
+    }
+    
+    chrome.runtime.sendMessage({ action: 'syncGoogleSheets' }, response => {
+      if (sheetsIcon) {
+        sheetsIcon.textContent = '📊';
+      }
+      if (sheetsText) {
+        sheetsText.textContent = 'Sync Google Sheets';
+      }
+      
+      if (chrome.runtime.lastError || !response) {
+        showNotification(`Google Sheets sync failed: ${chrome.runtime.lastError?.message || 'no response'}`, 'error');
+        return;
+      }
+      if (!response.success) {
+        showNotification(`Google Sheets sync failed: ${response.error}`, 'error');
+        return;
+      }
+      
+      renderSheetsConflicts(response.conflicts);
+      showNotification(response.message, response.conflicts.length > 0 ? 'warning' : 'success');
+      if (response.applied > 0) {
+        loadOpportunities();
+      }
+    });
+  }
+  
+  /**
+   * Show the conflicts left by earlier syncs
+   */
+  function loadSheetsConflicts() {
+    chrome.runtime.sendMessage({ action: 'getSheetsConflicts' }, response => {
+      if (chrome.runtime.lastError || !response?.success) {
+        return;
+      }
+      renderSheetsConflicts(response.conflicts);
+    });
+  }
+  
+  /**
+   * Settle a conflict by keeping one side; the next sync pushes a kept local value
+   * @param {Object} conflict - Conflict from the sync state
+   * @param {string} keep - 'local' or 'sheet'
+   */
+  function resolveSheetsConflict(conflict, keep) {
+    chrome.runtime.sendMessage({ action: 'resolveSheetsConflict', id: conflict.id, field: conflict.field, keep }, response => {
+      if (chrome.runtime.lastError || !response?.success) {
+        showNotification(`Couldn't resolve conflict: ${chrome.runtime.lastError?.message || response?.error}`, 'error');
+        return;
+      }
+      
+      renderSheetsConflicts(response.conflicts);
+      if (keep === 'sheet') {
+        loadOpportunities();
+      }
+    });
+  }
+  
+  /**
+   * List fields changed differently here and in the sheet, with a choice for each
+   * @param {Array} conflicts - [{id, title, field, localValue, sheetValue}]
+   */
+  function renderSheetsConflicts(conflicts) {
+    const container = document.getElementById('sheets-conflicts');
+    if (!container) {
+      return;
+    }
+    
+    container.innerHTML = '';
+    if (!conflicts || conflicts.length === 0) {
+      container.style.display = 'none';
+      return;
+    }
+    
+    const describe = (field, value) => {
+      if (!value) {
+        return '(empty)';
+      }
+      return field === 'status' ? PIPELINE_STATUS_LABELS[value] || value : value;
+    };
+    
+    const header = document.createElement('div');
+    header.className = 'export-errors-header';
+    header.textContent = `${conflicts.length} ${conflicts.length === 1 ? 'field was' : 'fields were'} changed both here and in Google Sheets`;
+    
+    const list = document.createElement('ul');
+    conflicts.forEach(conflict => {
+      const column = SHEET_COLUMNS.find(candidate => candidate.field === conflict.field);
+      const item = document.createElement('li');
+      const title = document.createElement('strong');
+      title.textContent = `${conflict.title || conflict.id} — ${column ? column.header : conflict.field}:`;
+      const values = document.createElement('span');
+      values.textContent = `here "${describe(conflict.field, conflict.localValue)}", sheet "${describe(conflict.field, conflict.sheetValue)}"`;
+      
+      const keepLocal = document.createElement('button');
+      keepLocal.textContent = 'Keep mine';
+      keepLocal.addEventListener('click', () => resolveSheetsConflict(conflict, 'local'));
+      const keepSheet = document.createElement('button');
+      keepSheet.textContent = 'Use sheet';
+      keepSheet.addEventListener('click', () => resolveSheetsConflict(conflict, 'sheet'));
+      
+      item.append(title, values, keepLocal, keepSheet);
+      list.appendChild(item);
+    });
+    
+    container.append(header, list);
+    container.style.display = 'block';
+  }
+  
   // Mark initialization as complete
   isInitialized = true;
   console.log('App initialization complete');
@@ -1846,8 +3078,10 @@ document.addEventListener('DOMContentLoaded', initializeApp);
 // Function to clear all opportunities from storage
 function clearAllOpportunities() {
   if (confirm('Are you sure you want to clear all opportunities? This action cannot be undone.')) {
-      // Stop any ongoing AI processing
-      aiProcessing = false;
+      // Stop any ongoing AI analysis; its remaining opportunities are about to go
+      if (aiJob && ACTIVE_AI_JOB_STATUSES.includes(aiJob.status)) {
+        chrome.runtime.sendMessage({ action: 'cancelAIJob', jobId: aiJob.id });
+      }
       
       // Clear all opportunity data from storage - comprehensive cleanup
       const keysToRemove = [
@@ -1898,7 +3132,7 @@ function clearAllOpportunities() {
         console.log('Found additional opportunity-related keys:', opportunityKeys);
         const allKeysToRemove = [...new Set([...keysToRemove, ...opportunityKeys])];
         
-        chrome.storage.local.remove(allKeysToRemove, function() {
+        chrome.storage.local.remove(allKeysToRemove, async function() {
           // Check for any error
           if (chrome.runtime.lastError) {
             console.error('Error clearing opportunities:', chrome.runtime.lastError);
@@ -1924,6 +3158,13 @@ function clearAllOpportunities() {
           return;
         }
         
+        // Empty the unified opportunity store
+        try {
+          await storageManager.clearOpportunities();
+        } catch (error) {
+          console.error('Error clearing the opportunity store:', error);
+        }
+        
         // Also explicitly disable AI to prevent auto-processing
         if (aiService && typeof aiService.setEnabled === 'function') {
           aiService.setEnabled(false);
@@ -2047,53 +3288,8 @@ function clearAllOpportunities() {
     if (refreshText) refreshText.textContent = 'Loading...';
     
     // Reload opportunities from storage
-    chrome.storage.local.get(null, function(result) {
-      // Reset arrays to avoid duplicates
-      allOpportunities = [];
-      
-      // Check for sourceBottleOpportunities
-      if (result.sourceBottleOpportunities && Array.isArray(result.sourceBottleOpportunities)) {
-        const sourceBottleOps = result.sourceBottleOpportunities.map(op => ({
-          ...op,
-          source: op.source || 'SourceBottle'
-        }));
-        allOpportunities = allOpportunities.concat(sourceBottleOps);
-        console.log(`Refreshed: Found ${sourceBottleOps.length} SourceBottle opportunities`);
-      }
-      
-      // Check for qwotedOpportunities
-      if (result.qwotedOpportunities && Array.isArray(result.qwotedOpportunities)) {
-        const qwotedOps = result.qwotedOpportunities.map(op => ({
-          ...op,
-          source: op.source || 'Qwoted',
-          category: op.category || 'General' // Ensure category is set
-        }));
-        allOpportunities = allOpportunities.concat(qwotedOps);
-        console.log(`Refreshed: Found ${qwotedOps.length} Qwoted opportunities`);
-      }
-      
-      // Check for featuredOpportunities
-      if (result.featuredOpportunities && Array.isArray(result.featuredOpportunities)) {
-        const featuredOps = result.featuredOpportunities.map(op => ({
-          ...op,
-          source: op.source || 'Featured'
-        }));
-        allOpportunities = allOpportunities.concat(featuredOps);
-        console.log(`Refreshed: Found ${featuredOps.length} Featured opportunities`);
-      }
-      
-      // Check if we have the generic 'opportunities' key (for backwards compatibility)
-      // But only use it if we don't have any platform-specific opportunities
-      if (result.opportunities && Array.isArray(result.opportunities)) {
-        if (allOpportunities.length === 0) {
-          // Only use the generic key if we didn't find any platform-specific opportunities
-          allOpportunities = result.opportunities;
-          console.log(`Refreshed: Using ${result.opportunities.length} opportunities from generic storage key`);
-        } else {
-          // We already have platform-specific data, so log but don't use to avoid duplicates
-          console.log(`Refreshed: Found ${result.opportunities.length} opportunities in generic key (not using to avoid duplicates)`);
-        }
-      }
+    readStoredOpportunities().then(function(opportunities) {
+      allOpportunities = opportunities;
       
       console.log(`Refreshed: Total loaded ${allOpportunities.length} opportunities`);
       
@@ -5,13 +5,15 @@ document.addEventListener('DOMContentLoaded', function() {
   const saveButton = document.getElementById('save-settings');
   const resetButton = document.getElementById('reset-settings');
   const statusMessage = document.getElementById('status-message');
-  const enableAutoScrape = document.getElementById('enable-auto-scrape');
-  const scheduleOptions = document.getElementById('schedule-options');
-  const scheduleType = document.getElementById('schedule-type');
-  const customDays = document.getElementById('custom-days');
+  // Element ID prefix of each platform's schedule block
+  const schedulePlatforms = {
+    sourcebottle: '',
+    featured: 'featured-',
+    qwoted: 'qwoted-'
+  };
   const darkModeToggle = document.getElementById('dark-mode-toggle');
-  const interestTagsContainer = document.getElementById('interest-tags');
-  const newInterestTag = document.getElementById('new-interest-tag');
+  const expertiseTagsContainer = document.getElementById('expertise-tags');
+  const newExpertiseTag = document.getElementById('new-expertise-tag');
   
   // Azure OpenAI elements
   const azureResourceName = document.getElementById('azure-resource-name');
@@ -21,21 +23,207 @@ document.addEventListener('DOMContentLoaded', function() {
   const testAzureConnectionBtn = document.getElementById('test-azure-connection');
   const connectionStatus = document.getElementById('connection-status');
   
+  // LLM provider elements
+  const defaultLLMProvider = document.getElementById('default-llm-provider');
+  const promptRoutingContainer = document.getElementById('prompt-routing');
+  const providerFields = {
+    azure: {
+      resourceName: azureResourceName,
+      apiKey: azureApiKey,
+      deploymentId: azureDeploymentId,
+      embeddingDeploymentId: document.getElementById('azure-embedding-deployment-id'),
+      apiVersion: azureApiVersion
+    },
+    openai: {
+      apiKey: document.getElementById('openai-api-key'),
+      model: document.getElementById('openai-model'),
+      embeddingModel: document.getElementById('openai-embedding-model')
+    },
+    compatible: {
+      baseUrl: document.getElementById('compatible-base-url'),
+      apiKey: document.getElementById('compatible-api-key'),
+      model: document.getElementById('compatible-model'),
+      embeddingModel: document.getElementById('compatible-embedding-model'),
+      supportsJsonMode: document.getElementById('compatible-json-mode')
+    }
+  };
+  const connectionTests = {
+    azure: { button: testAzureConnectionBtn, status: connectionStatus },
+    openai: {
+      button: document.getElementById('test-openai-connection'),
+      status: document.getElementById('openai-connection-status')
+    },
+    compatible: {
+      button: document.getElementById('test-compatible-connection'),
+      status: document.getElementById('compatible-connection-status')
+    }
+  };
+  
+  // Provider helpers live in an ES module; this classic script loads it with import()
+  const llmProvidersModule = import('./modules/llmProviders.js');
+  const exportFieldsModule = import('./modules/exportFields.js');
+  
+  // Database export targets: form fields, mapping editor and the module storing their settings.
+  // `nameKey` is what a mapping row calls the Notion property / Airtable column.
+  const exportTargets = {
+    notion: {
+      module: import('./modules/notionExport.js'),
+      exporter: module => module.notionExporter,
+      types: module => module.NOTION_PROPERTY_TYPES,
+      nameKey: 'property',
+      namePlaceholder: 'Notion property',
+      defaultType: 'rich_text',
+      fields: {
+        apiKey: document.getElementById('notion-api-key'),
+        databaseId: document.getElementById('notion-database-id')
+      },
+      mapping: document.getElementById('notion-mapping'),
+      addButton: document.getElementById('add-notion-mapping'),
+      testButton: document.getElementById('test-notion-connection'),
+      status: document.getElementById('notion-connection-status')
+    },
+    airtable: {
+      module: import('./modules/airtableExport.js'),
+      exporter: module => module.airtableExporter,
+      types: module => module.AIRTABLE_FIELD_TYPES,
+      nameKey: 'column',
+      namePlaceholder: 'Airtable column',
+      defaultType: 'singleLineText',
+      fields: {
+        apiKey: document.getElementById('airtable-api-key'),
+        baseId: document.getElementById('airtable-base-id'),
+        table: document.getElementById('airtable-table')
+      },
+      mapping: document.getElementById('airtable-mapping'),
+      addButton: document.getElementById('add-airtable-mapping'),
+      testButton: document.getElementById('test-airtable-connection'),
+      status: document.getElementById('airtable-connection-status')
+    }
+  };
+  
+  // Google Sheets sync elements
+  const sheetsSyncModule = import('./modules/sheetsSync.js');
+  const sheetsSyncFields = {
+    webAppUrl: document.getElementById('sheets-web-app-url'),
+    conflictPolicy: document.getElementById('sheets-conflict-policy'),
+    autoSyncMinutes: document.getElementById('sheets-auto-sync')
+  };
+  
+  // Export profiles: named column layouts, one assigned to each tabular export
+  const exportProfilesModule = import('./modules/exportProfiles.js');
+  const exportProfileSelect = document.getElementById('export-profile-select');
+  const exportProfileName = document.getElementById('export-profile-name');
+  const exportProfileColumns = document.getElementById('export-profile-columns');
+  const exportProfileStatus = document.getElementById('export-profile-status');
+  const exportProfileTargets = document.getElementById('export-profile-targets');
+  let exportProfiles = [];
+  
+  // Alert rules: saved searches checked against newly found opportunities
+  const alertRulesModule = import('./modules/alertRules.js');
+  const alertRuleSelect = document.getElementById('alert-rule-select');
+  const alertRuleConditions = document.getElementById('alert-rule-conditions');
+  const alertRuleStatus = document.getElementById('alert-rule-status');
+  let alertRules = [];
+  
+  // Webhooks: opportunity events posted to Slack, Teams or any HTTP endpoint
+  const webhooksModule = import('./modules/webhooks.js');
+  const webhookSelect = document.getElementById('webhook-select');
+  const webhookEvents = document.getElementById('webhook-events');
+  const webhookTemplate = document.getElementById('webhook-template');
+  const webhookStatus = document.getElementById('webhook-status');
+  let webhooks = [];
+  
+  // Expert profiles: the experts opportunities are scored against
+  const expertProfilesModule = import('./modules/expertProfiles.js');
+  const expertProfileSelect = document.getElementById('expert-profile-select');
+  const expertGroupWeights = document.getElementById('expert-group-weights');
+  const expertProfileStatus = document.getElementById('expert-profile-status');
+  let expertProfiles = [];
+  
+  // Prompt templates: editable, versioned prompts for the AI analysis and pitch drafts
+  const promptTemplatesModule = import('./modules/promptTemplates.js');
+  const promptTemplateSelect = document.getElementById('prompt-template-select');
+  const promptTemplateText = document.getElementById('prompt-template-text');
+  const promptTemplateVersion = document.getElementById('prompt-template-version');
+  const promptTemplatePreview = document.getElementById('prompt-template-preview');
+  const promptTemplateStatus = document.getElementById('prompt-template-status');
+  let previewOpportunities = [];
+  
+  // AI usage: tokens and cost of every AI call, with daily and monthly budgets
+  const aiUsageModule = import('./modules/aiUsage.js');
+  const aiUsagePeriod = document.getElementById('ai-usage-period');
+  const aiModelPrices = document.getElementById('ai-model-prices');
+  const aiBudgetStatus = document.getElementById('ai-budget-status');
+  
   // Initialize settings from storage
   loadSettings();
+  loadProviderSettings();
+  loadExportFieldOptions();
+  loadSheetsSyncSettings();
+  loadExportProfiles();
+  loadAlertRules();
+  loadWebhooks();
+  loadExpertProfiles(null);
+  loadPromptTemplates();
+  loadAIUsage();
+  Object.keys(exportTargets).forEach(loadExportSettings);
   
   // Event listeners
   saveButton.addEventListener('click', saveSettings);
   resetButton.addEventListener('click', resetSettings);
-  enableAutoScrape.addEventListener('change', toggleScheduleOptions);
-  scheduleType.addEventListener('change', toggleCustomDays);
+  Object.values(schedulePlatforms).forEach(prefix => {
+    document.getElementById(`${prefix}enable-auto-scrape`).addEventListener('change', () => toggleScheduleOptions(prefix));
+    document.getElementById(`${prefix}schedule-type`).addEventListener('change', () => toggleCustomDays(prefix));
+  });
   darkModeToggle.addEventListener('change', toggleDarkMode);
-  newInterestTag.addEventListener('keydown', handleNewTag);
+  document.getElementById('digest-frequency').addEventListener('change', toggleDigestDay);
+  newExpertiseTag.addEventListener('keydown', handleNewTag);
   
-  // Add listener for the Azure OpenAI test connection button
-  if (testAzureConnectionBtn) {
-    testAzureConnectionBtn.addEventListener('click', testAzureConnection);
-  }
+  exportProfileSelect.addEventListener('change', () => showExportProfile(exportProfileSelect.value));
+  document.getElementById('add-export-column').addEventListener('click', () => addExportColumnRow());
+  document.getElementById('save-export-profile').addEventListener('click', () => saveExportProfile(false));
+  document.getElementById('save-export-profile-copy').addEventListener('click', () => saveExportProfile(true));
+  document.getElementById('delete-export-profile').addEventListener('click', deleteExportProfile);
+  
+  alertRuleSelect.addEventListener('change', () => showAlertRule(alertRuleSelect.value));
+  document.getElementById('add-alert-condition').addEventListener('click', () => addAlertConditionRow());
+  document.getElementById('save-alert-rule').addEventListener('click', saveAlertRule);
+  document.getElementById('delete-alert-rule').addEventListener('click', deleteAlertRule);
+  
+  webhookSelect.addEventListener('change', () => showWebhook(webhookSelect.value));
+  document.getElementById('webhook-template-preset').addEventListener('change', applyWebhookPreset);
+  document.getElementById('save-webhook').addEventListener('click', saveWebhook);
+  document.getElementById('delete-webhook').addEventListener('click', deleteWebhook);
+  
+  expertProfileSelect.addEventListener('change', () => showExpertProfile(expertProfileSelect.value));
+  document.getElementById('save-expert-profile').addEventListener('click', saveExpertProfile);
+  document.getElementById('delete-expert-profile').addEventListener('click', deleteExpertProfile);
+  
+  promptTemplateSelect.addEventListener('change', () => showPromptTemplate(promptTemplateSelect.value));
+  document.getElementById('save-prompt-template').addEventListener('click', savePromptTemplate);
+  document.getElementById('reset-prompt-template').addEventListener('click', resetPromptTemplate);
+  document.getElementById('restore-prompt-template').addEventListener('click', restorePromptTemplateVersion);
+  document.getElementById('preview-prompt-template').addEventListener('click', previewPromptTemplate);
+  
+  aiUsagePeriod.addEventListener('change', showAIUsage);
+  document.getElementById('refresh-ai-usage').addEventListener('click', showAIUsage);
+  document.getElementById('save-ai-budgets').addEventListener('click', saveAIBudgets);
+  
+  Object.entries(exportTargets).forEach(([target, { addButton, testButton }]) => {
+    if (addButton) {
+      addButton.addEventListener('click', () => addMappingRow(target));
+    }
+    if (testButton) {
+      testButton.addEventListener('click', () => testExportConnection(target));
+    }
+  });
+  
+  // Add listeners for each provider's test connection button
+  Object.entries(connectionTests).forEach(([type, { button }]) => {
+    if (button) {
+      button.addEventListener('click', () => testProviderConnection(type));
+    }
+  });
   
   // Load settings from storage
   function loadSettings() {
@@ -43,7 +231,7 @@ document.addEventListener('DOMContentLoaded', function() {
       const settings = result.settings || getDefaultSettings();
       const azureSettings = result.azureOpenAISettings || {};
       
-      // Azure OpenAI settings
+      // Azure OpenAI settings (overwritten by provider settings once they load)
       if (azureResourceName) azureResourceName.value = azureSettings.resourceName || '';
       if (azureApiKey) azureApiKey.value = azureSettings.apiKey || '';
       if (azureDeploymentId) azureDeploymentId.value = azureSettings.deploymentId || '';
@@ -52,60 +240,1178 @@ document.addEventListener('DOMContentLoaded', function() {
       document.getElementById('enable-ai-categories').checked = settings.openai?.enableCategories !== false;
       document.getElementById('enable-ai-relevance').checked = settings.openai?.enableRelevance !== false;
       
-      document.getElementById('industry').value = settings.userProfile?.industry || '';
-      document.getElementById('bio').value = settings.userProfile?.bio || '';
-      
-      // Load interest tags
-      if (settings.userProfile?.interests && Array.isArray(settings.userProfile.interests)) {
-        settings.userProfile.interests.forEach(tag => addTag(tag));
-      }
-      
       document.getElementById('dark-mode-toggle').checked = settings.ui?.darkMode === true;
       document.getElementById('default-view').value = settings.ui?.defaultView || 'list';
       
       document.getElementById('notify-new').checked = settings.notifications?.notifyNew !== false;
       document.getElementById('notify-relevant').checked = settings.notifications?.notifyRelevant !== false;
       document.getElementById('notify-urgent').checked = settings.notifications?.notifyUrgent === true;
+      document.getElementById('reminder-lead-times').value = (settings.notifications?.reminderLeadTimes || [24, 4, 1]).join(', ');
       document.getElementById('quiet-hours-start').value = settings.notifications?.quietHoursStart || '22:00';
       document.getElementById('quiet-hours-end').value = settings.notifications?.quietHoursEnd || '08:00';
       
-      document.getElementById('enable-auto-scrape').checked = settings.schedule?.enabled === true;
-      document.getElementById('schedule-type').value = settings.schedule?.type || 'daily';
-      document.getElementById('scrape-time').value = settings.schedule?.time || '09:00';
-      
-      // Apply custom days
-      if (settings.schedule?.days) {
-        const days = settings.schedule.days;
-        document.getElementById('day-mon').checked = days.includes('mon');
-        document.getElementById('day-tue').checked = days.includes('tue');
-        document.getElementById('day-wed').checked = days.includes('wed');
-        document.getElementById('day-thu').checked = days.includes('thu');
-        document.getElementById('day-fri').checked = days.includes('fri');
-        document.getElementById('day-sat').checked = days.includes('sat');
-        document.getElementById('day-sun').checked = days.includes('sun');
-      }
+      document.getElementById('digest-enabled').checked = settings.digest?.enabled === true;
+      document.getElementById('digest-frequency').value = settings.digest?.frequency || 'daily';
+      document.getElementById('digest-day').value = settings.digest?.day || 'mon';
+      document.getElementById('digest-time').value = settings.digest?.time || '08:00';
+      toggleDigestDay();
+      
+      // Schedules saved before per-platform schedules were SourceBottle's
+      const platformSchedules = settings.schedule?.platforms || { sourcebottle: settings.schedule || {} };
+      Object.entries(schedulePlatforms).forEach(([platform, prefix]) => {
+        fillPlatformSchedule(prefix, platformSchedules[platform] || {});
+      });
       
       // Set categories
-      if (settings.schedule?.categories && Array.isArray(settings.schedule.categories)) {
+      const sourceBottleCategories = platformSchedules.sourcebottle?.categories;
+      if (Array.isArray(sourceBottleCategories)) {
         const categoriesSelect = document.getElementById('scrape-categories');
-        settings.schedule.categories.forEach(category => {
-          Array.from(categoriesSelect.options).forEach(option => {
-            if (option.value === category) {
-              option.selected = true;
-            }
-          });
+        Array.from(categoriesSelect.options).forEach(option => {
+          option.selected = sourceBottleCategories.includes(option.value);
         });
       }
       
-      // Toggle UI elements based on current settings
-      toggleScheduleOptions();
-      toggleCustomDays();
       applyDarkMode(settings.ui?.darkMode === true);
     });
   }
   
+  // Load LLM provider settings and build the per-prompt routing table
+  async function loadProviderSettings() {
+    try {
+      const { loadLLMSettings, PROMPT_TYPES, PROMPT_TYPE_LABELS, PROVIDER_TYPES } = await llmProvidersModule;
+      const llmSettings = await loadLLMSettings();
+      
+      if (defaultLLMProvider) {
+        defaultLLMProvider.value = llmSettings.defaultProvider;
+      }
+      Object.keys(providerFields).forEach(type => fillProviderFields(type, llmSettings.providers[type]));
+      
+      if (!promptRoutingContainer) {
+        return;
+      }
+      promptRoutingContainer.innerHTML = '';
+      PROMPT_TYPES.forEach(promptType => {
+        const route = llmSettings.routing[promptType] || {};
+        const row = document.createElement('div');
+        row.className = 'routing-row';
+        row.innerHTML = `
+          <label for="route-provider-${promptType}">${PROMPT_TYPE_LABELS[promptType] || promptType}</label>
+          <select id="route-provider-${promptType}" data-prompt-type="${promptType}">
+            <option value="">Default provider</option>
+            ${Object.entries(PROVIDER_TYPES).map(([value, { label }]) =>
+              `<option value="${value}">${label}</option>`).join('')}
+          </select>
+          <input type="text" id="route-model-${promptType}" placeholder="Default model">
+        `;
+        row.querySelector('select').value = route.provider || '';
+        row.querySelector('input').value = route.model || '';
+        promptRoutingContainer.appendChild(row);
+      });
+    } catch (error) {
+      console.error('Failed to load LLM provider settings:', error);
+    }
+  }
+  
+  // Fill one provider's form fields
+  function fillProviderFields(type, values = {}) {
+    Object.entries(providerFields[type]).forEach(([key, element]) => {
+      if (!element) {
+        return;
+      }
+      if (element.type === 'checkbox') {
+        element.checked = values[key] === true;
+      } else {
+        element.value = values[key] || '';
+      }
+    });
+  }
+  
+  // Read one provider's form fields
+  function readProviderFields(type) {
+    const values = {};
+    Object.entries(providerFields[type]).forEach(([key, element]) => {
+      if (!element) {
+        return;
+      }
+      values[key] = element.type === 'checkbox' ? element.checked : element.value.trim();
+    });
+    return values;
+  }
+  
+  // Read the per-prompt routing table, skipping prompt types left on the defaults
+  function readPromptRouting() {
+    const routing = {};
+    if (!promptRoutingContainer) {
+      return routing;
+    }
+    
+    promptRoutingContainer.querySelectorAll('select[data-prompt-type]').forEach(select => {
+      const promptType = select.dataset.promptType;
+      const model = document.getElementById(`route-model-${promptType}`).value.trim();
+      if (select.value || model) {
+        routing[promptType] = { provider: select.value, model };
+      }
+    });
+    return routing;
+  }
+  
+  // Save LLM provider settings
+  async function saveProviderSettings() {
+    try {
+      const { saveLLMSettings } = await llmProvidersModule;
+      const providers = {};
+      Object.keys(providerFields).forEach(type => {
+        providers[type] = readProviderFields(type);
+      });
+      
+      await saveLLMSettings({
+        defaultProvider: defaultLLMProvider ? defaultLLMProvider.value : 'azure',
+        providers,
+        routing: readPromptRouting()
+      });
+    } catch (error) {
+      console.error('Failed to save LLM provider settings:', error);
+    }
+  }
+  
+  // Offer the known opportunity fields in every mapping editor
+  async function loadExportFieldOptions() {
+    try {
+      const { EXPORT_FIELD_OPTIONS } = await exportFieldsModule;
+      document.getElementById('export-field-options').innerHTML = EXPORT_FIELD_OPTIONS
+        .map(field => `<option value="${field}">`).join('');
+    } catch (error) {
+      console.error('Failed to load export fields:', error);
+    }
+  }
+  
+  /**
+   * Load an export target's settings and build its mapping editor
+   * @param {string} target - 'notion' or 'airtable'
+   */
+  async function loadExportSettings(target) {
+    const { module, exporter, fields, mapping } = exportTargets[target];
+    try {
+      const targetSettings = await exporter(await module).loadSettings();
+      
+      Object.entries(fields).forEach(([key, element]) => {
+        if (element) {
+          element.value = targetSettings[key] || '';
+        }
+      });
+      
+      if (!mapping) {
+        return;
+      }
+      mapping.innerHTML = '';
+      for (const row of targetSettings.mapping) {
+        await addMappingRow(target, row);
+      }
+    } catch (error) {
+      console.error(`Failed to load ${target} export settings:`, error);
+    }
+  }
+  
+  /**
+   * Add a row to an export target's mapping editor
+   * @param {string} target - 'notion' or 'airtable'
+   * @param {Object} [row] - Mapping row ({field, type} plus the target's name key), empty if omitted
+   */
+  async function addMappingRow(target, row = {}) {
+    const { module, types, nameKey, namePlaceholder, defaultType, mapping } = exportTargets[target];
+    const fieldTypes = types(await module);
+    
+    const element = document.createElement('div');
+    element.className = 'mapping-row';
+    element.innerHTML = `
+      <input type="text" class="mapping-field" list="export-field-options" placeholder="Opportunity field">
+      <input type="text" class="mapping-name" placeholder="${namePlaceholder}">
+      <select class="mapping-type">
+        ${fieldTypes.map(type => `<option value="${type}">${type}</option>`).join('')}
+      </select>
+      <button type="button" class="btn btn-danger" title="Remove">✕</button>
+    `;
+    
+    const fieldInput = element.querySelector('.mapping-field');
+    fieldInput.value = row.field || '';
+    element.querySelector('.mapping-name').value = row[nameKey] || '';
+    element.querySelector('.mapping-type').value = row.type || defaultType;
+    
+    const removeButton = element.querySelector('button');
+    if (row.field === 'externalId') {
+      // The upsert key stays, though its name and type can change
+      fieldInput.readOnly = true;
+      removeButton.disabled = true;
+    }
+    removeButton.addEventListener('click', () => element.remove());
+    
+    mapping.appendChild(element);
+  }
+  
+  /**
+   * Read an export target's form, skipping mapping rows with no field or name
+   * @param {string} target - 'notion' or 'airtable'
+   * @returns {Object} Settings for the target's exporter
+   */
+  function readExportSettings(target) {
+    const { nameKey, fields, mapping } = exportTargets[target];
+    const targetSettings = { mapping: [] };
+    
+    Object.entries(fields).forEach(([key, element]) => {
+      targetSettings[key] = element ? element.value.trim() : '';
+    });
+    
+    if (mapping) {
+      mapping.querySelectorAll('.mapping-row').forEach(element => {
+        const field = element.querySelector('.mapping-field').value.trim();
+        const name = element.querySelector('.mapping-name').value.trim();
+        if (field && name) {
+          targetSettings.mapping.push({ field, [nameKey]: name, type: element.querySelector('.mapping-type').value });
+        }
+      });
+    }
+    return targetSettings;
+  }
+  
+  /**
+   * Save an export target's settings
+   * @param {string} target - 'notion' or 'airtable'
+   */
+  async function saveExportSettings(target) {
+    const { module, exporter } = exportTargets[target];
+    try {
+      await exporter(await module).saveSettings(readExportSettings(target));
+    } catch (error) {
+      console.error(`Failed to save ${target} export settings:`, error);
+    }
+  }
+  
+  /**
+   * Check an export target against the settings and mapping currently in the form
+   * @param {string} target - 'notion' or 'airtable'
+   */
+  async function testExportConnection(target) {
+    const { module, exporter, status } = exportTargets[target];
+    showConnectionStatus('Testing connection...', 'info', status);
+    
+    try {
+      const result = await exporter(await module).testConnection(readExportSettings(target));
+      showConnectionStatus(result.message, result.success ? 'success' : 'error', status);
+    } catch (error) {
+      console.error(`Error testing ${target} connection:`, error);
+      showConnectionStatus('Error: ' + error.message, 'error', status);
+    }
+  }
+  
+  /**
+   * Load the Google Sheets sync settings into the form
+   */
+  async function loadSheetsSyncSettings() {
+    try {
+      const syncSettings = await (await sheetsSyncModule).sheetsSync.loadSettings();
+      Object.entries(sheetsSyncFields).forEach(([key, element]) => {
+        if (element) {
+          element.value = String(syncSettings[key]);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to load Google Sheets sync settings:', error);
+    }
+  }
+  
+  /**
+   * Save the Google Sheets sync settings and let the background re-arm its sync alarm
+   */
+  async function saveSheetsSyncSettings() {
+    try {
+      const syncSettings = {};
+      Object.entries(sheetsSyncFields).forEach(([key, element]) => {
+        syncSettings[key] = element ? element.value.trim() : '';
+      });
+      await (await sheetsSyncModule).sheetsSync.saveSettings(syncSettings);
+      chrome.runtime.sendMessage({ action: 'scheduleSheetsSync' });
+    } catch (error) {
+      console.error('Failed to save Google Sheets sync settings:', error);
+    }
+  }
+  
+  /**
+   * Load the export profiles into the profile picker and the per-export selects
+   * @param {string} [selectedId] - Profile to show (defaults to the one already shown)
+   */
+  async function loadExportProfiles(selectedId = exportProfileSelect.value) {
+    try {
+      const module = await exportProfilesModule;
+      const manager = module.exportProfileManager;
+      exportProfiles = await manager.getProfiles();
+      const assigned = await manager.getTargets();
+      
+      const options = exportProfiles.map(profile => `<option value="${profile.id}"></option>`).join('');
+      exportProfileSelect.innerHTML = options;
+      exportProfileSelect.querySelectorAll('option').forEach((option, index) => {
+        option.textContent = exportProfiles[index].name;
+      });
+      exportProfileSelect.value = exportProfiles.some(profile => profile.id === selectedId) ? selectedId : 'default';
+      showExportProfile(exportProfileSelect.value);
+      
+      document.getElementById('export-column-options').innerHTML = module.EXPORT_COLUMN_OPTIONS
+        .map(field => `<option value="${field}">${module.COMPUTED_COLUMNS[field]?.label || ''}</option>`)
+        .join('');
+      
+      exportProfileTargets.innerHTML = '';
+      Object.entries(module.EXPORT_PROFILE_TARGETS).forEach(([target, label]) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        group.innerHTML = `<label for="export-profile-target-${target}"></label><select id="export-profile-target-${target}" data-target="${target}">${options}</select>`;
+        group.querySelector('label').textContent = label;
+        const select = group.querySelector('select');
+        select.querySelectorAll('option').forEach((option, index) => {
+          option.textContent = exportProfiles[index].name;
+        });
+        select.value = assigned[target];
+        exportProfileTargets.appendChild(group);
+      });
+    } catch (error) {
+      console.error('Failed to load export profiles:', error);
+    }
+  }
+  
+  /**
+   * Show a profile's name and columns in the editor
+   * @param {string} id - Profile id
+   */
+  function showExportProfile(id) {
+    const profile = exportProfiles.find(candidate => candidate.id === id);
+    if (!profile) {
+      return;
+    }
+    
+    exportProfileName.value = profile.name;
+    exportProfileColumns.innerHTML = '';
+    profile.columns.forEach(column => addExportColumnRow(column));
+  }
+  
+  /**
+   * Add a column row to the profile editor
+   * @param {Object} [column] - {field, header}, empty if omitted
+   */
+  function addExportColumnRow(column = {}) {
+    const element = document.createElement('div');
+    element.className = 'mapping-row';
+    element.innerHTML = `
+      <input type="text" class="mapping-field" list="export-column-options" placeholder="Field">
+      <input type="text" class="mapping-name" placeholder="Column header">
+      <button type="button" class="btn" title="Move up">↑</button>
+      <button type="button" class="btn" title="Move down">↓</button>
+      <button type="button" class="btn btn-danger" title="Remove">✕</button>
+    `;
+    element.querySelector('.mapping-field').value = column.field || '';
+    element.querySelector('.mapping-name').value = column.header || '';
+    
+    const [upButton, downButton, removeButton] = element.querySelectorAll('button');
+    upButton.addEventListener('click', () => {
+      if (element.previousElementSibling) {
+        element.parentNode.insertBefore(element, element.previousElementSibling);
+      }
+    });
+    downButton.addEventListener('click', () => {
+      if (element.nextElementSibling) {
+        element.parentNode.insertBefore(element.nextElementSibling, element);
+      }
+    });
+    removeButton.addEventListener('click', () => element.remove());
+    
+    exportProfileColumns.appendChild(element);
+  }
+  
+  /**
+   * Save the profile in the editor
+   * @param {boolean} asNew - Save a new profile instead of updating the one shown
+   */
+  async function saveExportProfile(asNew) {
+    const selectedId = exportProfileSelect.value;
+    const profile = {
+      id: asNew ? '' : selectedId,
+      name: exportProfileName.value,
+      columns: [...exportProfileColumns.querySelectorAll('.mapping-row')].map(element => ({
+        field: element.querySelector('.mapping-field').value,
+        header: element.querySelector('.mapping-name').value
+      }))
+    };
+    
+    try {
+      const saved = await (await exportProfilesModule).exportProfileManager.saveProfile(profile);
+      await loadExportProfiles(saved.id);
+      showConnectionStatus(`Saved profile "${saved.name}"`, 'success', exportProfileStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', exportProfileStatus);
+    }
+  }
+  
+  /**
+   * Delete the profile shown in the editor; exports using it go back to Default
+   */
+  async function deleteExportProfile() {
+    const selectedId = exportProfileSelect.value;
+    if (selectedId === 'default') {
+      showConnectionStatus('The default profile can\'t be deleted', 'error', exportProfileStatus);
+      return;
+    }
+    if (!confirm(`Delete the profile "${exportProfileName.value}"?`)) {
+      return;
+    }
+    
+    try {
+      await (await exportProfilesModule).exportProfileManager.deleteProfile(selectedId);
+      await loadExportProfiles('default');
+      showConnectionStatus('Profile deleted', 'success', exportProfileStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', exportProfileStatus);
+    }
+  }
+  
+  /**
+   * Save which profile each export uses
+   */
+  async function saveExportProfileTargets() {
+    try {
+      const manager = (await exportProfilesModule).exportProfileManager;
+      for (const select of exportProfileTargets.querySelectorAll('select')) {
+        await manager.setTargetProfile(select.dataset.target, select.value);
+      }
+    } catch (error) {
+      console.error('Failed to save export profile choices:', error);
+    }
+  }
+  
+  /**
+   * Load the saved alert rules into the rule picker
+   * @param {string} [selectedId] - Rule to show (defaults to the one already shown, or a new rule)
+   */
+  async function loadAlertRules(selectedId = alertRuleSelect.value) {
+    try {
+      alertRules = await (await alertRulesModule).alertRuleManager.getRules();
+      alertRuleSelect.innerHTML = '<option value="">New rule</option>' +
+        alertRules.map(rule => `<option value="${rule.id}"></option>`).join('');
+      alertRuleSelect.querySelectorAll('option').forEach((option, index) => {
+        if (index > 0) {
+          option.textContent = alertRules[index - 1].name;
+        }
+      });
+      alertRuleSelect.value = alertRules.some(rule => rule.id === selectedId) ? selectedId : '';
+      await showAlertRule(alertRuleSelect.value);
+      
+      const { keywordManager } = await import('./modules/keywordManager.js');
+      await keywordManager.initialize();
+      document.getElementById('alert-keyword-groups').innerHTML = Object.keys(keywordManager.getAllGroups())
+        .map(group => `<option value="${group}"></option>`)
+        .join('');
+    } catch (error) {
+      console.error('Failed to load alert rules:', error);
+    }
+  }
+  
+  /**
+   * Show a rule in the builder, or an empty one for a new rule
+   * @param {string} id - Rule id, empty for a new rule
+   */
+  async function showAlertRule(id) {
+    const rule = alertRules.find(candidate => candidate.id === id) || {};
+    document.getElementById('alert-rule-name').value = rule.name || '';
+    document.getElementById('alert-rule-enabled').checked = rule.enabled !== false;
+    document.getElementById('alert-rule-match').value = rule.match || 'all';
+    document.getElementById('alert-rule-color').value = rule.badgeColor || '#FF9800';
+    alertRuleConditions.innerHTML = '';
+    for (const condition of rule.conditions || [{}]) {
+      await addAlertConditionRow(condition);
+    }
+  }
+  
+  /**
+   * Add a condition row to the rule builder
+   * @param {Object} [condition] - {type, value}, empty if omitted
+   */
+  async function addAlertConditionRow(condition = {}) {
+    const { ALERT_CONDITIONS } = await alertRulesModule;
+    const element = document.createElement('div');
+    element.className = 'mapping-row';
+    element.innerHTML = `
+      <select class="mapping-type">${Object.keys(ALERT_CONDITIONS).map(type => `<option value="${type}"></option>`).join('')}</select>
+      <input type="text" class="mapping-name">
+      <button type="button" class="btn btn-danger" title="Remove">✕</button>
+    `;
+    const typeSelect = element.querySelector('.mapping-type');
+    const valueInput = element.querySelector('.mapping-name');
+    typeSelect.querySelectorAll('option').forEach(option => {
+      option.textContent = ALERT_CONDITIONS[option.value].label;
+    });
+    
+    // Keyword group names are suggested from the configured groups
+    const updateValueInput = () => {
+      valueInput.placeholder = ALERT_CONDITIONS[typeSelect.value].placeholder;
+      if (typeSelect.value === 'keywordGroup') {
+        valueInput.setAttribute('list', 'alert-keyword-groups');
+      } else {
+        valueInput.removeAttribute('list');
+      }
+    };
+    typeSelect.value = ALERT_CONDITIONS[condition.type] ? condition.type : 'source';
+    valueInput.value = condition.value || '';
+    updateValueInput();
+    typeSelect.addEventListener('change', updateValueInput);
+    element.querySelector('button').addEventListener('click', () => element.remove());
+    
+    alertRuleConditions.appendChild(element);
+  }
+  
+  /**
+   * Save the rule in the builder
+   */
+  async function saveAlertRule() {
+    const rule = {
+      id: alertRuleSelect.value,
+      name: document.getElementById('alert-rule-name').value,
+      enabled: document.getElementById('alert-rule-enabled').checked,
+      match: document.getElementById('alert-rule-match').value,
+      badgeColor: document.getElementById('alert-rule-color').value,
+      conditions: [...alertRuleConditions.querySelectorAll('.mapping-row')].map(element => ({
+        type: element.querySelector('.mapping-type').value,
+        value: element.querySelector('.mapping-name').value
+      }))
+    };
+    
+    try {
+      const saved = await (await alertRulesModule).alertRuleManager.saveRule(rule);
+      await loadAlertRules(saved.id);
+      showConnectionStatus(`Saved rule "${saved.name}"`, 'success', alertRuleStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', alertRuleStatus);
+    }
+  }
+  
+  /**
+   * Delete the rule shown in the builder
+   */
+  async function deleteAlertRule() {
+    const selectedId = alertRuleSelect.value;
+    if (!selectedId) {
+      showAlertRule('');
+      return;
+    }
+    if (!confirm(`Delete the rule "${document.getElementById('alert-rule-name').value}"?`)) {
+      return;
+    }
+    
+    try {
+      await (await alertRulesModule).alertRuleManager.deleteRule(selectedId);
+      await loadAlertRules('');
+      showConnectionStatus('Rule deleted', 'success', alertRuleStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', alertRuleStatus);
+    }
+  }
+  
+  /**
+   * Load the saved webhooks into the webhook picker
+   * @param {string} [selectedId] - Webhook to show (defaults to the one already shown, or a new webhook)
+   */
+  async function loadWebhooks(selectedId = webhookSelect.value) {
+    try {
+      const { webhookManager, WEBHOOK_EVENTS, WEBHOOK_TEMPLATES } = await webhooksModule;
+      webhooks = await webhookManager.getWebhooks();
+      webhookSelect.innerHTML = '<option value="">New webhook</option>' +
+        webhooks.map(webhook => `<option value="${webhook.id}"></option>`).join('');
+      webhookSelect.querySelectorAll('option').forEach((option, index) => {
+        if (index > 0) {
+          option.textContent = webhooks[index - 1].name;
+        }
+      });
+      webhookSelect.value = webhooks.some(webhook => webhook.id === selectedId) ? selectedId : '';
+      
+      if (!webhookEvents.children.length) {
+        webhookEvents.innerHTML = Object.entries(WEBHOOK_EVENTS).map(([event, label]) => `
+          <div class="notification-option">
+            <input type="checkbox" id="webhook-event-${event}" value="${event}">
+            <label for="webhook-event-${event}">${label}</label>
+          </div>
+        `).join('');
+        const presetSelect = document.getElementById('webhook-template-preset');
+        presetSelect.innerHTML = '<option value="">Keep current template</option>' +
+          Object.entries(WEBHOOK_TEMPLATES).map(([preset, { label }]) => `<option value="${preset}">${label}</option>`).join('');
+      }
+      
+      await showWebhook(webhookSelect.value);
+    } catch (error) {
+      console.error('Failed to load webhooks:', error);
+    }
+  }
+  
+  /**
+   * Show a webhook in the editor with its recent deliveries, or an empty one for a new webhook
+   * @param {string} id - Webhook id, empty for a new webhook
+   */
+  async function showWebhook(id) {
+    const { webhookManager, WEBHOOK_TEMPLATES } = await webhooksModule;
+    const webhook = webhooks.find(candidate => candidate.id === id) || {};
+    document.getElementById('webhook-name').value = webhook.name || '';
+    document.getElementById('webhook-url').value = webhook.url || '';
+    document.getElementById('webhook-enabled').checked = webhook.enabled !== false;
+    document.getElementById('webhook-secret').value = webhook.secret || '';
+    document.getElementById('webhook-template-preset').value = '';
+    webhookTemplate.value = webhook.template || WEBHOOK_TEMPLATES.json.template;
+    webhookEvents.querySelectorAll('input').forEach(input => {
+      input.checked = id ? (webhook.events || []).includes(input.value) : input.value === 'new';
+    });
+    
+    const deliveries = id ? (await webhookManager.getDeliveries(id)).slice(0, 10) : [];
+    const list = document.getElementById('webhook-deliveries');
+    list.innerHTML = '';
+    if (deliveries.length === 0) {
+      list.innerHTML = '<p><small>Nothing sent yet</small></p>';
+      return;
+    }
+    deliveries.forEach(entry => {
+      const row = document.createElement('p');
+      row.innerHTML = '<small></small>';
+      row.firstChild.textContent = `${new Date(entry.at).toLocaleString()} · ${entry.event} · ${entry.opportunityId} · ` +
+        `${entry.outcome}${entry.status ? ` (${entry.status})` : ''}${entry.error && !entry.status ? `: ${entry.error}` : ''}` +
+        (entry.attempt > 1 ? ` · attempt ${entry.attempt}` : '');
+      list.appendChild(row);
+    });
+  }
+  
+  /**
+   * Replace the body template with the chosen preset
+   */
+  async function applyWebhookPreset() {
+    const preset = document.getElementById('webhook-template-preset').value;
+    if (!preset) {
+      return;
+    }
+    const { WEBHOOK_TEMPLATES } = await webhooksModule;
+    webhookTemplate.value = WEBHOOK_TEMPLATES[preset].template;
+  }
+  
+  /**
+   * Save the webhook in the editor, asking for access to its host first
+   */
+  async function saveWebhook() {
+    const webhook = {
+      id: webhookSelect.value,
+      name: document.getElementById('webhook-name').value,
+      url: document.getElementById('webhook-url').value.trim(),
+      enabled: document.getElementById('webhook-enabled').checked,
+      events: [...webhookEvents.querySelectorAll('input:checked')].map(input => input.value),
+      secret: document.getElementById('webhook-secret').value,
+      template: webhookTemplate.value
+    };
+    
+    try {
+      // Webhook hosts are optional permissions, requested while the click still counts as a user gesture
+      if (/^https?:\/\//i.test(webhook.url)) {
+        const origin = new URL(webhook.url).origin;
+        const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+        if (!granted) {
+          showConnectionStatus(`Allow access to ${origin} to send webhooks there`, 'error', webhookStatus);
+          return;
+        }
+      }
+      
+      const saved = await (await webhooksModule).webhookManager.saveWebhook(webhook);
+      await loadWebhooks(saved.id);
+      showConnectionStatus(`Saved webhook "${saved.name}"`, 'success', webhookStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', webhookStatus);
+    }
+  }
+  
+  /**
+   * Delete the webhook shown in the editor
+   */
+  async function deleteWebhook() {
+    const selectedId = webhookSelect.value;
+    if (!selectedId) {
+      showWebhook('');
+      return;
+    }
+    if (!confirm(`Delete the webhook "${document.getElementById('webhook-name').value}"?`)) {
+      return;
+    }
+    
+    try {
+      await (await webhooksModule).webhookManager.deleteWebhook(selectedId);
+      await loadWebhooks('');
+      showConnectionStatus('Webhook deleted', 'success', webhookStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', webhookStatus);
+    }
+  }
+  
+  /**
+   * Load the saved expert profiles into the expert picker
+   * @param {string|null} [selectedId] - Profile to show (defaults to the one already shown); null shows the first
+   */
+  async function loadExpertProfiles(selectedId = expertProfileSelect.value) {
+    try {
+      expertProfiles = await (await expertProfilesModule).expertProfileManager.getProfiles();
+      expertProfileSelect.innerHTML = '<option value="">New expert</option>' +
+        expertProfiles.map(profile => `<option value="${profile.id}"></option>`).join('');
+      expertProfileSelect.querySelectorAll('option').forEach((option, index) => {
+        if (index > 0) {
+          option.textContent = expertProfiles[index - 1].name;
+        }
+      });
+      const fallback = selectedId === null ? expertProfiles[0]?.id || '' : '';
+      expertProfileSelect.value = expertProfiles.some(profile => profile.id === selectedId) ? selectedId : fallback;
+      await showExpertProfile(expertProfileSelect.value);
+    } catch (error) {
+      console.error('Failed to load expert profiles:', error);
+    }
+  }
+  
+  /**
+   * Show a profile in the editor, or an empty one for a new expert
+   * @param {string} id - Profile id, empty for a new expert
+   */
+  async function showExpertProfile(id) {
+    const profile = expertProfiles.find(candidate => candidate.id === id) || {};
+    document.getElementById('expert-name').value = profile.name || '';
+    document.getElementById('expert-bio').value = profile.bio || '';
+    document.getElementById('expert-excluded').value = (profile.excludedTopics || []).join(', ');
+    document.getElementById('expert-outlets').value = (profile.preferredOutlets || []).join(', ');
+    expertiseTagsContainer.querySelectorAll('.tag').forEach(tag => tag.remove());
+    (profile.expertise || []).forEach(addTag);
+    
+    // One weight per configured keyword group, plus any the profile names that no longer exist
+    const { keywordManager } = await import('./modules/keywordManager.js');
+    await keywordManager.initialize();
+    const weights = profile.keywordGroupWeights || {};
+    const groups = [...new Set([...Object.keys(keywordManager.getAllGroups()), ...Object.keys(weights)])];
+    expertGroupWeights.innerHTML = groups.map(() => `
+      <div class="routing-row">
+        <label></label>
+        <input type="number" min="0" step="0.5" placeholder="0">
+      </div>
+    `).join('');
+    expertGroupWeights.querySelectorAll('.routing-row').forEach((row, index) => {
+      row.dataset.group = groups[index];
+      row.querySelector('label').textContent = groups[index];
+      row.querySelector('input').value = weights[groups[index]] ?? '';
+    });
+  }
+  
+  /**
+   * Save the profile in the editor
+   */
+  async function saveExpertProfile() {
+    const keywordGroupWeights = {};
+    expertGroupWeights.querySelectorAll('.routing-row').forEach(row => {
+      keywordGroupWeights[row.dataset.group] = row.querySelector('input').value;
+    });
+    const profile = {
+      id: expertProfileSelect.value,
+      name: document.getElementById('expert-name').value,
+      bio: document.getElementById('expert-bio').value,
+      expertise: getExpertiseTags(),
+      keywordGroupWeights,
+      excludedTopics: document.getElementById('expert-excluded').value,
+      preferredOutlets: document.getElementById('expert-outlets').value
+    };
+    
+    try {
+      const saved = await (await expertProfilesModule).expertProfileManager.saveProfile(profile);
+      await loadExpertProfiles(saved.id);
+      showConnectionStatus(`Saved expert "${saved.name}"`, 'success', expertProfileStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', expertProfileStatus);
+    }
+  }
+  
+  /**
+   * Delete the profile shown in the editor
+   */
+  async function deleteExpertProfile() {
+    const selectedId = expertProfileSelect.value;
+    if (!selectedId) {
+      showExpertProfile('');
+      return;
+    }
+    if (!confirm(`Delete the expert "${document.getElementById('expert-name').value}"?`)) {
+      return;
+    }
+    
+    try {
+      await (await expertProfilesModule).expertProfileManager.deleteProfile(selectedId);
+      await loadExpertProfiles(null);
+      showConnectionStatus('Expert deleted', 'success', expertProfileStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', expertProfileStatus);
+    }
+  }
+  
+  /**
+   * Fill the template picker, the variable list and the preview pickers
+   */
+  async function loadPromptTemplates() {
+    try {
+      const { PROMPT_TEMPLATE_TYPES, PROMPT_VARIABLES } = await promptTemplatesModule;
+      promptTemplateSelect.innerHTML = '';
+      Object.entries(PROMPT_TEMPLATE_TYPES).forEach(([key, { label }]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        promptTemplateSelect.appendChild(option);
+      });
+      
+      const variables = document.getElementById('prompt-template-variables');
+      variables.innerHTML = '';
+      Object.entries(PROMPT_VARIABLES).forEach(([name, description], index) => {
+        const code = document.createElement('code');
+        code.textContent = `{{${name}}}`;
+        code.title = description;
+        variables.append(index > 0 ? ', ' : '', code);
+      });
+      
+      await showPromptTemplate(promptTemplateSelect.value);
+      await loadPromptPreviewOptions();
+    } catch (error) {
+      console.error('Failed to load prompt templates:', error);
+    }
+  }
+  
+  /**
+   * Show a template and its saved versions in the editor
+   * @param {string} key - Template key
+   */
+  async function showPromptTemplate(key) {
+    const { promptTemplateManager } = await promptTemplatesModule;
+    const templates = await promptTemplateManager.getTemplates();
+    const versions = await promptTemplateManager.getVersions(key);
+    promptTemplateText.value = templates[key];
+    promptTemplatePreview.style.display = 'none';
+    
+    promptTemplateVersion.innerHTML = '';
+    versions.forEach((version, index) => {
+      const option = document.createElement('option');
+      option.value = version.version;
+      option.textContent = `Version ${version.version}${version.isDefault ? ' (default)' : ''}${index === 0 ? ' - in use' : ''} - ${new Date(version.savedAt).toLocaleString()}`;
+      promptTemplateVersion.appendChild(option);
+    });
+    if (versions.length === 0) {
+      promptTemplateVersion.innerHTML = '<option value="">Default, never edited</option>';
+    }
+    promptTemplateVersion.disabled = versions.length === 0;
+    document.getElementById('restore-prompt-template').disabled = versions.length === 0;
+  }
+  
+  /**
+   * Save the editor's text as a new version
+   */
+  async function savePromptTemplate() {
+    const key = promptTemplateSelect.value;
+    try {
+      const { promptTemplateManager } = await promptTemplatesModule;
+      const saved = await promptTemplateManager.saveTemplate(key, promptTemplateText.value);
+      await showPromptTemplate(key);
+      showConnectionStatus(`Saved version ${saved.version}`, 'success', promptTemplateStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', promptTemplateStatus);
+    }
+  }
+  
+  /**
+   * Go back to the built-in template
+   */
+  async function resetPromptTemplate() {
+    const key = promptTemplateSelect.value;
+    if (!confirm(`Reset "${promptTemplateSelect.selectedOptions[0].textContent}" to the default? The current text stays in the version list.`)) {
+      return;
+    }
+    
+    try {
+      const { promptTemplateManager } = await promptTemplatesModule;
+      await promptTemplateManager.resetTemplate(key);
+      await showPromptTemplate(key);
+      showConnectionStatus('Back to the default template', 'success', promptTemplateStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', promptTemplateStatus);
+    }
+  }
+  
+  /**
+   * Bring back the version picked in the version list
+   */
+  async function restorePromptTemplateVersion() {
+    const key = promptTemplateSelect.value;
+    if (!promptTemplateVersion.value) {
+      return;
+    }
+    
+    try {
+      const { promptTemplateManager } = await promptTemplatesModule;
+      const saved = await promptTemplateManager.restoreVersion(key, promptTemplateVersion.value);
+      await showPromptTemplate(key);
+      showConnectionStatus(`Restored version ${promptTemplateVersion.value} as version ${saved.version}`, 'success', promptTemplateStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', promptTemplateStatus);
+    }
+  }
+  
+  /**
+   * Fill the preview pickers with the saved opportunities and expert profiles
+   */
+  async function loadPromptPreviewOptions() {
+    const { storageManager } = await import('./modules/storage.js');
+    previewOpportunities = (await storageManager.getOpportunities()).slice(0, 100);
+    const opportunitySelect = document.getElementById('prompt-preview-opportunity');
+    opportunitySelect.innerHTML = '';
+    previewOpportunities.forEach((opportunity, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = `${opportunity.source ? `[${opportunity.source}] ` : ''}${opportunity.title || opportunity.question || opportunity.id}`;
+      opportunitySelect.appendChild(option);
+    });
+    if (previewOpportunities.length === 0) {
+      opportunitySelect.innerHTML = '<option value="">No opportunities saved yet</option>';
+    }
+    
+    const profiles = await (await expertProfilesModule).expertProfileManager.getProfiles();
+    const expertSelect = document.getElementById('prompt-preview-expert');
+    expertSelect.innerHTML = '<option value="">Best-matched expert</option>';
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      expertSelect.appendChild(option);
+    });
+  }
+  
+  /**
+   * Fill in the editor's text, saved or not, for the picked opportunity and expert
+   */
+  async function previewPromptTemplate() {
+    const opportunity = previewOpportunities[document.getElementById('prompt-preview-opportunity').value];
+    if (!opportunity) {
+      showConnectionStatus('There are no opportunities to preview with yet', 'warning', promptTemplateStatus);
+      return;
+    }
+    
+    try {
+      const { promptTemplateManager, buildPromptVariables, renderPromptTemplate, findUnknownVariables } = await promptTemplatesModule;
+      const { expertProfileManager, rankExperts } = await expertProfilesModule;
+      const profiles = await expertProfileManager.getProfiles();
+      const expertId = document.getElementById('prompt-preview-expert').value;
+      let expert = profiles.find(profile => profile.id === expertId);
+      if (!expert) {
+        const { keywordManager } = await import('./modules/keywordManager.js');
+        await keywordManager.initialize();
+        const [best] = rankExperts(opportunity, profiles, { keywordGroups: keywordManager.getAllGroups() });
+        expert = best && !best.excluded ? profiles.find(profile => profile.id === best.profileId) : null;
+      }
+      
+      const key = promptTemplateSelect.value;
+      const templates = await promptTemplateManager.getTemplates();
+      const baseContext = key === 'base-context' ? promptTemplateText.value : templates['base-context'];
+      const { describePitchStyle, getPitchPlatform } = await import('./modules/pitchWorkspace.js');
+      const pitchStyle = describePitchStyle({ maxChars: getPitchPlatform(opportunity).maxChars });
+      promptTemplatePreview.textContent = renderPromptTemplate(promptTemplateText.value, buildPromptVariables(opportunity, expert, baseContext, pitchStyle));
+      promptTemplatePreview.style.display = 'block';
+      
+      const unknown = findUnknownVariables(promptTemplateText.value);
+      if (unknown.length > 0) {
+        showConnectionStatus(`Left as typed, not a variable: ${unknown.map(name => `{{${name}}}`).join(', ')}`, 'warning', promptTemplateStatus);
+      } else {
+        showConnectionStatus(`Preview written for ${expert ? expert.name : 'no expert profile'}`, 'info', promptTemplateStatus);
+      }
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', promptTemplateStatus);
+    }
+  }
+  
+  /**
+   * Fill the period picker, the budgets and the model prices, then show the usage
+   */
+  async function loadAIUsage() {
+    try {
+      const { AI_USAGE_PERIODS, AI_BUDGET_PERIODS, aiUsageTracker } = await aiUsageModule;
+      aiUsagePeriod.innerHTML = '';
+      Object.entries(AI_USAGE_PERIODS).forEach(([key, { label }]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        aiUsagePeriod.appendChild(option);
+      });
+      aiUsagePeriod.value = 'month';
+      
+      const budgets = await aiUsageTracker.getBudgets();
+      Object.keys(AI_BUDGET_PERIODS).forEach(period => {
+        document.getElementById(`ai-budget-${period}-cost`).value = budgets[period].cost ?? '';
+        document.getElementById(`ai-budget-${period}-tokens`).value = budgets[period].tokens ?? '';
+      });
+      await showModelPrices(budgets);
+      await showAIUsage();
+    } catch (error) {
+      console.error('Failed to load AI usage:', error);
+    }
+  }
+  
+  /**
+   * Show the usage for the picked period and the spending against the budgets
+   */
+  async function showAIUsage() {
+    const { aiUsageTracker, summarizeUsage, AI_USAGE_PROMPT_LABELS, getModelLabel } = await aiUsageModule;
+    const { totals, byPromptType, byModel, byDay } = summarizeUsage(await aiUsageTracker.getUsage(), aiUsagePeriod.value);
+    
+    const unpriced = totals.unpricedCalls > 0 ? ` (${totals.unpricedCalls} calls to models without a price aren't in the cost)` : '';
+    document.getElementById('ai-usage-summary').textContent = totals.calls === 0
+      ? 'No AI calls in this period'
+      : `${totals.calls} calls, ${(totals.promptTokens + totals.completionTokens).toLocaleString()} tokens, ${formatUsageCost(totals.cost)}${unpriced}`;
+    
+    const byCost = (a, b) => b[1].cost - a[1].cost || b[1].calls - a[1].calls;
+    fillUsageTable('ai-usage-by-type', 'Prompt type', Object.entries(byPromptType).map(([type, row]) => [AI_USAGE_PROMPT_LABELS[type] || type, row]).sort(byCost));
+    fillUsageTable('ai-usage-by-model', 'Model', Object.entries(byModel).map(([key, row]) => [getModelLabel(key), row]).sort(byCost));
+    fillUsageTable('ai-usage-by-day', 'Day', [...byDay].reverse().map(row => [row.day, row]));
+    
+    const status = await aiUsageTracker.getBudgetStatus();
+    const describe = (name, period) => `${name}: ${period.tokens.toLocaleString()}` +
+      `${period.tokenLimit ? ` of ${period.tokenLimit.toLocaleString()}` : ''} tokens, ${formatUsageCost(period.cost)}` +
+      `${period.costLimit ? ` of ${formatUsageCost(period.costLimit)}` : ''}`;
+    const budgetUsage = document.getElementById('ai-budget-usage');
+    budgetUsage.textContent = status.message || `${describe('Today', status.daily)}. ${describe('This month', status.monthly)}.`;
+    budgetUsage.classList.toggle('exhausted', Boolean(status.exhausted));
+  }
+  
+  /**
+   * Fill a usage table with one row per group
+   * @param {string} id - Table element id
+   * @param {string} heading - Heading of the first column
+   * @param {Array<[string, Object]>} rows - Label and totals for each row
+   */
+  function fillUsageTable(id, heading, rows) {
+    const table = document.getElementById(id);
+    table.innerHTML = '';
+    const header = table.insertRow();
+    [heading, 'Calls', 'Input tokens', 'Output tokens', 'Cost'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      header.appendChild(th);
+    });
+    
+    if (rows.length === 0) {
+      const cell = table.insertRow().insertCell();
+      cell.colSpan = 5;
+      cell.textContent = 'No calls';
+      return;
+    }
+    rows.forEach(([label, totals]) => {
+      const row = table.insertRow();
+      [
+        label,
+        totals.calls,
+        totals.promptTokens.toLocaleString(),
+        totals.completionTokens.toLocaleString(),
+        formatUsageCost(totals.cost) + (totals.unpricedCalls > 0 ? ` (${totals.unpricedCalls} unpriced)` : '')
+      ].forEach(text => {
+        row.insertCell().textContent = text;
+      });
+    });
+  }
+  
+  /**
+   * Format a cost in USD, with more places for fractions of a cent
+   * @param {number} cost - Cost in USD
+   * @returns {string}
+   */
+  function formatUsageCost(cost) {
+    return `$${cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+  }
+  
+  /**
+   * One price row for every model used so far or given a price
+   * @param {Object} budgets - Budgets and prices as saved
+   */
+  async function showModelPrices(budgets) {
+    const { aiUsageTracker, getModelPrice } = await aiUsageModule;
+    const usage = await aiUsageTracker.getUsage();
+    const models = new Set(Object.keys(budgets.prices));
+    Object.values(usage.days).forEach(day => {
+      Object.keys(day.byModel || {}).forEach(key => {
+        const model = key.split('/').slice(1).join('/');
+        if (model) {
+          models.add(model);
+        }
+      });
+    });
+    
+    aiModelPrices.innerHTML = '';
+    if (models.size === 0) {
+      aiModelPrices.innerHTML = '<p><small>Models show up here once they have been used</small></p>';
+      return;
+    }
+    [...models].sort().forEach(model => {
+      const listPrice = getModelPrice(model);
+      const row = document.createElement('div');
+      row.className = 'routing-row';
+      row.dataset.model = model;
+      const label = document.createElement('label');
+      label.textContent = model;
+      row.appendChild(label);
+      ['input', 'output'].forEach(field => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '0.01';
+        input.dataset.field = field;
+        input.value = budgets.prices[model]?.[field] ?? '';
+        input.placeholder = `${field === 'input' ? 'Input' : 'Output'}: ${listPrice ? listPrice[field] : 'no list price'}`;
+        row.appendChild(input);
+      });
+      aiModelPrices.appendChild(row);
+    });
+  }
+  
+  /**
+   * Save the budgets and the prices filled in
+   */
+  async function saveAIBudgets() {
+    try {
+      const { AI_BUDGET_PERIODS, aiUsageTracker, getModelPrice } = await aiUsageModule;
+      const budgets = { prices: {} };
+      Object.keys(AI_BUDGET_PERIODS).forEach(period => {
+        budgets[period] = {
+          cost: document.getElementById(`ai-budget-${period}-cost`).value,
+          tokens: document.getElementById(`ai-budget-${period}-tokens`).value
+        };
+      });
+      aiModelPrices.querySelectorAll('.routing-row').forEach(row => {
+        const [input, output] = row.querySelectorAll('input');
+        if (input.value === '' && output.value === '') {
+          return;
+        }
+        // A price given for one side only keeps the list price for the other
+        const listPrice = getModelPrice(row.dataset.model) || { input: 0, output: 0 };
+        budgets.prices[row.dataset.model] = {
+          input: input.value === '' ? listPrice.input : input.value,
+          output: output.value === '' ? listPrice.output : output.value
+        };
+      });
+      
+      const saved = await aiUsageTracker.saveBudgets(budgets);
+      await showModelPrices(saved);
+      await showAIUsage();
+      showConnectionStatus('Budgets saved; prices apply to calls made from now on', 'success', aiBudgetStatus);
+    } catch (error) {
+      showConnectionStatus(error.message, 'error', aiBudgetStatus);
+    }
+  }
+  
   // Save settings to storage
   function saveSettings() {
+    saveProviderSettings();
+    saveSheetsSyncSettings();
+    saveExportProfileTargets();
+    Object.keys(exportTargets).forEach(saveExportSettings);
+    
     // Collect Azure OpenAI settings
     const azureSettings = {
       resourceName: azureResourceName ? azureResourceName.value.trim() : '',
@@ -122,11 +1428,6 @@ document.addEventListener('DOMContentLoaded', function() {
         enableCategories: document.getElementById('enable-ai-categories').checked,
         enableRelevance: document.getElementById('enable-ai-relevance').checked
       },
-      userProfile: {
-        industry: document.getElementById('industry').value,
-        bio: document.getElementById('bio').value,
-        interests: getInterestTags()
-      },
       ui: {
         darkMode: document.getElementById('dark-mode-toggle').checked,
         defaultView: document.getElementById('default-view').value
@@ -135,15 +1436,22 @@ document.addEventListener('DOMContentLoaded', function() {
         notifyNew: document.getElementById('notify-new').checked,
         notifyRelevant: document.getElementById('notify-relevant').checked,
         notifyUrgent: document.getElementById('notify-urgent').checked,
+        reminderLeadTimes: readLeadTimes(document.getElementById('reminder-lead-times').value),
         quietHoursStart: document.getElementById('quiet-hours-start').value,
         quietHoursEnd: document.getElementById('quiet-hours-end').value
       },
+      digest: {
+        enabled: document.getElementById('digest-enabled').checked,
+        frequency: document.getElementById('digest-frequency').value,
+        day: document.getElementById('digest-day').value,
+        time: document.getElementById('digest-time').value
+      },
       schedule: {
-        enabled: document.getElementById('enable-auto-scrape').checked,
-        type: document.getElementById('schedule-type').value,
-        time: document.getElementById('scrape-time').value,
-        days: getSelectedDays(),
-        categories: getSelectedCategories()
+        platforms: {
+          sourcebottle: { ...readPlatformSchedule(''), categories: getSelectedCategories() },
+          featured: readPlatformSchedule('featured-'),
+          qwoted: readPlatformSchedule('qwoted-')
+        }
       }
     };
     
@@ -162,13 +1470,9 @@ document.addEventListener('DOMContentLoaded', function() {
         statusMessage.className = 'status';
       }, 3000);
       
-      // Set up scraping alarm if enabled
-      if (settings.schedule.enabled) {
-        setupScrapingAlarm(settings.schedule);
-      } else {
-        // Clear existing alarm if disabled
-        chrome.alarms.clear('scrape-opportunities');
-      }
+      // The background owns the per-platform auto-scrape alarms
+      chrome.runtime.sendMessage({ action: 'scheduleAutoScrape', schedule: settings.schedule });
+      chrome.runtime.sendMessage({ action: 'scheduleDigest', digest: settings.digest });
       
       // Initialize AI service with new settings if available
       if (window.aiService && typeof window.aiService.setConfig === 'function' && 
@@ -184,62 +1488,6 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
   
-  // Set up scraping alarm
-  function setupScrapingAlarm(schedule) {
-    // First clear any existing alarm
-    chrome.alarms.clear('autoScrape', () => {
-      if (!schedule.enabled) return;
-      
-      console.log('Setting up auto-scrape alarm:', schedule);
-      
-      // Parse time into hours and minutes
-      const [hours, minutes] = schedule.time.split(':').map(Number);
-      
-      // Calculate when the next alarm should fire
-      const now = new Date();
-      const scheduledTime = new Date();
-      scheduledTime.setHours(hours, minutes, 0, 0);
-      
-      // If the scheduled time is earlier today, schedule for tomorrow
-      if (scheduledTime < now) {
-        scheduledTime.setDate(scheduledTime.getDate() + 1);
-      }
-      
-      // For custom days, check if the next scheduled day is valid
-      if (schedule.type === 'custom') {
-        const days = schedule.days;
-        const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
-        let daysToAdd = 0;
-        let found = false;
-        
-        while (!found && daysToAdd < 7) {
-          const futureDate = new Date(scheduledTime);
-          futureDate.setDate(futureDate.getDate() + daysToAdd);
-          const dayName = dayNames[futureDate.getDay()];
-          
-          if (days.includes(dayName)) {
-            found = true;
-            // Set to this valid future date
-            scheduledTime.setDate(scheduledTime.getDate() + daysToAdd);
-          } else {
-            daysToAdd++;
-          }
-        }
-      }
-      
-      // Calculate delay in minutes until the next scheduled time
-      const delayInMinutes = (scheduledTime - now) / (1000 * 60);
-      
-      // Create the alarm
-      chrome.alarms.create('autoScrape', {
-        delayInMinutes: delayInMinutes,
-        periodInMinutes: 24 * 60 // Daily
-      });
-      
-      console.log(`Auto-scrape alarm set for ${scheduledTime.toLocaleString()}`);
-    });
-  }
-  
   // Reset settings to default
   function resetSettings() {
     if (confirm('Are you sure you want to reset all settings to default?')) {
@@ -263,24 +1511,58 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
-  // Toggle schedule options based on auto-scrape checkbox
-  function toggleScheduleOptions() {
-    if (enableAutoScrape.checked) {
-      scheduleOptions.style.display = 'block';
-    } else {
-      scheduleOptions.style.display = 'none';
-    }
+  // Toggle a platform's schedule options based on its auto-scrape checkbox
+  function toggleScheduleOptions(prefix) {
+    const enabled = document.getElementById(`${prefix}enable-auto-scrape`).checked;
+    document.getElementById(`${prefix}schedule-options`).style.display = enabled ? 'block' : 'none';
   }
   
-  // Toggle custom days based on schedule type
-  function toggleCustomDays() {
-    if (scheduleType.value === 'custom') {
-      customDays.style.display = 'block';
-    } else {
-      customDays.style.display = 'none';
+  // Toggle a platform's custom days based on its schedule type
+  function toggleCustomDays(prefix) {
+    const custom = document.getElementById(`${prefix}schedule-type`).value === 'custom';
+    document.getElementById(`${prefix}custom-days`).style.display = custom ? 'block' : 'none';
+  }
+  
+  // Fill one platform's schedule block
+  function fillPlatformSchedule(prefix, schedule) {
+    document.getElementById(`${prefix}enable-auto-scrape`).checked = schedule.enabled === true;
+    document.getElementById(`${prefix}schedule-type`).value = schedule.type || 'daily';
+    document.getElementById(`${prefix}scrape-time`).value = schedule.time || '09:00';
+    
+    // Apply custom days
+    if (schedule.days) {
+      ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'].forEach(day => {
+        document.getElementById(`${prefix}day-${day}`).checked = schedule.days.includes(day);
+      });
     }
+    
+    // Toggle UI elements based on current settings
+    toggleScheduleOptions(prefix);
+    toggleCustomDays(prefix);
+  }
+  
+  // Only weekly digests need a day
+  function toggleDigestDay() {
+    const weekly = document.getElementById('digest-frequency').value === 'weekly';
+    document.getElementById('digest-day').style.display = weekly ? '' : 'none';
   }
   
+  // Read one platform's schedule block
+  function readPlatformSchedule(prefix) {
+    return {
+      enabled: document.getElementById(`${prefix}enable-auto-scrape`).checked,
+      type: document.getElementById(`${prefix}schedule-type`).value,
+      time: document.getElementById(`${prefix}scrape-time`).value,
+      days: getSelectedDays(prefix)
+    };
+  }
+
+  // Read reminder lead times from text like "24, 4, 1" (hours, largest first)
+  function readLeadTimes(text) {
+    const hours = text.split(/[,;\s]+/).map(Number).filter(value => Number.isFinite(value) && value > 0);
+    return [...new Set(hours)].sort((a, b) => b - a);
+  }
+
   // Toggle dark mode
   function toggleDarkMode() {
     applyDarkMode(darkModeToggle.checked);
@@ -307,66 +1589,56 @@ document.addEventListener('DOMContentLoaded', function() {
   }
   
   /**
-   * Test Azure OpenAI connection
+   * Test a provider's connection with the values currently in the form
+   * @param {string} type - Provider type ('azure', 'openai' or 'compatible')
    */
-  function testAzureConnection() {
-    if (!connectionStatus) return;
-    
-    // Show testing status
-    showConnectionStatus('Testing connection...', 'info');
-    
-    // Get current form values
-    const config = {
-      API_KEY: azureApiKey ? azureApiKey.value.trim() : '',
-      RESOURCE_NAME: azureResourceName ? azureResourceName.value.trim() : '',
-      DEPLOYMENT_ID: azureDeploymentId ? azureDeploymentId.value.trim() : '',
-      API_VERSION: azureApiVersion ? azureApiVersion.value.trim() : '2023-05-15'
-    };
-    
-    // Validate required fields
-    if (!config.RESOURCE_NAME || !config.API_KEY || !config.DEPLOYMENT_ID) {
-      showConnectionStatus('Please fill in all required fields', 'error');
+  async function testProviderConnection(type) {
+    const { status } = connectionTests[type];
+    if (!status) {
       return;
     }
     
-    // Create a temporary test connection
-    // We'll need to load the aiService module here since it's not available in settings.js by default
-    const tempScript = document.createElement('script');
-    tempScript.src = 'modules/aiService.js';
-    tempScript.onload = function() {
-      // Once aiService is loaded, configure and test
-      if (window.aiService && typeof window.aiService.setConfig === 'function') {
-        window.aiService.setConfig(config);
-        
-        window.aiService.initialize().then(initialized => {
-          if (initialized) {
-            showConnectionStatus('Connection successful! Azure OpenAI API is working.', 'success');
-          } else {
-            showConnectionStatus('Connection failed. Please check your credentials.', 'error');
-          }
-        }).catch(error => {
-          console.error('Error testing Azure OpenAI connection:', error);
-          showConnectionStatus('Error: ' + error.message, 'error');
-        });
-      } else {
-        showConnectionStatus('AI service not available. Try saving and reopening settings.', 'error');
-      }
-    };
-    
-    tempScript.onerror = function() {
-      showConnectionStatus('Could not load AI service module', 'error');
-    };
+    // Show testing status
+    showConnectionStatus('Testing connection...', 'info', status);
     
-    document.head.appendChild(tempScript);
+    try {
+      const { createProvider } = await llmProvidersModule;
+      const provider = createProvider(type, readProviderFields(type));
+      
+      // Validate required fields
+      if (!provider.isConfigured()) {
+        showConnectionStatus('Please fill in all required fields', 'error', status);
+        return;
+      }
+      
+      // Servers beyond localhost are optional permissions, requested while the click still counts as a user gesture
+      if (type === 'compatible') {
+        const origin = new URL(provider.baseUrl).origin;
+        const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+        if (!granted) {
+          showConnectionStatus(`Allow access to ${origin} to use this server`, 'error', status);
+          return;
+        }
+      }
+      
+      const result = await provider.testConnection();
+      showConnectionStatus(result.message, result.success ? 'success' : 'error', status);
+    } catch (error) {
+      console.error(`Error testing ${type} connection:`, error);
+      showConnectionStatus('Error: ' + error.message, 'error', status);
+    }
   }
   
   /**
    * Show connection status message
    * @param {string} message - Status message
    * @param {string} type - 'success', 'error', 'info', or 'warning'
+   * @param {HTMLElement} [target] - Status element, defaults to the Azure one
    */
-  function showConnectionStatus(message, type = 'info') {
-    if (!connectionStatus) return;
+  function showConnectionStatus(message, type = 'info', target = connectionStatus) {
+    if (!target) {
+      return;
+    }
     
     // Map types to colors
     const typeClasses = {
@@ -377,59 +1649,58 @@ document.addEventListener('DOMContentLoaded', function() {
     };
     
     // Remove all existing classes except 'mt-3 p-3 rounded-md border'
-    connectionStatus.className = 'mt-3 p-3 rounded-md border';
+    target.className = 'mt-3 p-3 rounded-md border';
     
     // Add the appropriate color classes
-    connectionStatus.classList.add(...(typeClasses[type] || typeClasses.info).split(' '));
+    target.classList.add(...(typeClasses[type] || typeClasses.info).split(' '));
     
     // Set the message
-    connectionStatus.textContent = message;
+    target.textContent = message;
     
     // Make sure it's visible
-    connectionStatus.classList.remove('hidden');
+    target.classList.remove('hidden');
     
     // Auto-hide success and info messages after 5 seconds
     if (type === 'success' || type === 'info') {
       setTimeout(() => {
-        connectionStatus.classList.add('hidden');
+        target.classList.add('hidden');
       }, 5000);
     }
   }
   
-  // Handle new interest tags
+  // Handle new expertise tags
   function handleNewTag(e) {
     if (e.key === 'Enter') {
       e.preventDefault();
-      const tagText = newInterestTag.value.trim();
+      const tagText = newExpertiseTag.value.trim();
       
       if (tagText && tagText.length > 0) {
         addTag(tagText);
-        newInterestTag.value = '';
+        newExpertiseTag.value = '';
       }
     }
   }
   
-  // Add a tag to the interest tags container
+  // Add a tag to the expertise tags container
   function addTag(text) {
     // Check if tag already exists
-    const existingTags = getInterestTags();
+    const existingTags = getExpertiseTags();
     if (existingTags.includes(text)) return;
     
     const tag = document.createElement('div');
     tag.className = 'tag';
-    tag.innerHTML = `
-      ${text}
-      <span class="remove-tag" onclick="this.parentElement.remove()">×</span>
-    `;
+    tag.innerHTML = '<span class="remove-tag" title="Remove">×</span>';
+    tag.prepend(text);
+    tag.querySelector('.remove-tag').addEventListener('click', () => tag.remove());
     
     // Insert before the input
-    interestTagsContainer.insertBefore(tag, newInterestTag);
+    expertiseTagsContainer.insertBefore(tag, newExpertiseTag);
   }
   
-  // Get current interest tags
-  function getInterestTags() {
+  // Get current expertise tags
+  function getExpertiseTags() {
     const tags = [];
-    const tagElements = interestTagsContainer.querySelectorAll('.tag');
+    const tagElements = expertiseTagsContainer.querySelectorAll('.tag');
     
     tagElements.forEach(tag => {
       // Get text content excluding the × symbol
@@ -440,19 +1711,10 @@ document.addEventListener('DOMContentLoaded', function() {
     return tags;
   }
   
-  // Get selected days for custom schedule
-  function getSelectedDays() {
-    const days = [];
-    
-    if (document.getElementById('day-mon').checked) days.push('mon');
-    if (document.getElementById('day-tue').checked) days.push('tue');
-    if (document.getElementById('day-wed').checked) days.push('wed');
-    if (document.getElementById('day-thu').checked) days.push('thu');
-    if (document.getElementById('day-fri').checked) days.push('fri');
-    if (document.getElementById('day-sat').checked) days.push('sat');
-    if (document.getElementById('day-sun').checked) days.push('sun');
-    
-    return days;
+  // Get selected days for a platform's custom schedule
+  function getSelectedDays(prefix = '') {
+    return ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+      .filter(day => document.getElementById(`${prefix}day-${day}`).checked);
   }
   
   // Get selected categories
@@ -478,11 +1740,6 @@ document.addEventListener('DOMContentLoaded', function() {
         enableCategories: true,
         enableRelevance: true
       },
-      userProfile: {
-        industry: '',
-        bio: '',
-        interests: ['technology', 'marketing', 'business', 'finance', 'health']
-      },
       ui: {
         darkMode: false,
         defaultView: 'list'
@@ -491,15 +1748,38 @@ document.addEventListener('DOMContentLoaded', function() {
         notifyNew: true,
         notifyRelevant: true,
         notifyUrgent: false,
+        reminderLeadTimes: [24, 4, 1],
         quietHoursStart: '22:00',
         quietHoursEnd: '08:00'
       },
-      schedule: {
+      digest: {
         enabled: false,
-        type: 'daily',
-        time: '09:00',
-        days: ['mon', 'tue', 'wed', 'thu', 'fri'],
-        categories: ['all']
+        frequency: 'daily',
+        day: 'mon',
+        time: '08:00'
+      },
+      schedule: {
+        platforms: {
+          sourcebottle: {
+            enabled: false,
+            type: 'daily',
+            time: '09:00',
+            days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+            categories: ['all']
+          },
+          featured: {
+            enabled: false,
+            type: 'daily',
+            time: '09:00',
+            days: ['mon', 'tue', 'wed', 'thu', 'fri']
+          },
+          qwoted: {
+            enabled: false,
+            type: 'daily',
+            time: '09:00',
+            days: ['mon', 'tue', 'wed', 'thu', 'fri']
+          }
+        }
       }
     };
   }
@@ -15,66 +15,49 @@ function sendToGoogleSheets(opportunities, callback) {
     
     console.log(`Preparing to send ${opportunities.length} opportunities to Google Sheets`);
     
-    // Normalize data for Google Sheets format
-    const normalizedOpportunities = opportunities.map(opp => ({
-      Title: opp.title || '',
-      Description: opp.description || '',
-      Category: opp.category || '',
-      Deadline: opp.deadline || opp.date || '',
-      Source: opp.source || 'sourcebottle',
-      "Media Outlet": opp.mediaOutlet || '',
-      Journalist: opp.journalist || '',
-      Link: opp.submissionLink || opp.link || ''
-    }));
-    
-    // Get the Google Sheet URL from settings
-    chrome.storage.local.get(['settings'], (result) => {
-      const settings = result.settings || {};
-      
-      // Use the configured web app URL, or fall back to the default
-      const webAppUrl = settings.googleSheetsWebAppUrl || 
-                        'https://script.google.com/a/macros/qubit.capital/s/AKfycbxlje612pVpLl9ttLHqRegEEsk1vf6_UFfFZ_oMazrUjt2d_Jel96fwDNj-zHef6i8/exec';
-      
-      console.log('Using Google Sheets web app URL:', webAppUrl);
+    // The background upserts rows by ID with the sync columns (see modules/sheetsSync.js)
+    chrome.runtime.sendMessage({
+      action: 'sendToGoogleSheet',
+      data: {
+        opportunities: opportunities
+      }
+    }, (response) => {
+      console.log('Response from send to Google Sheets:', response);
       
-      // Send to background script for handling
-      chrome.runtime.sendMessage({
-        action: 'sendToGoogleSheet',
-        data: {
-          opportunities: normalizedOpportunities
-        }
-      }, (response) => {
-        console.log('Response from send to Google Sheets:', response);
-        
-        if (chrome.runtime.lastError) {
-          console.error('Error sending to Google Sheets:', chrome.runtime.lastError);
-          if (callback) callback({ 
+      if (chrome.runtime.lastError) {
+        console.error('Error sending to Google Sheets:', chrome.runtime.lastError);
+        if (callback) {
+          callback({
             success: false, 
             error: chrome.runtime.lastError.message || 'Unknown error'
           });
-          return;
         }
+        return;
+      }
+      
+      if (response && response.success) {
+        console.log('Successfully sent to Google Sheets');
         
-        if (response && response.success) {
-          console.log('Successfully sent to Google Sheets');
-          
-          // Update the last sync timestamp
-          chrome.storage.local.set({
-            'lastGoogleSheetsSync': new Date().toISOString()
-          });
-          
-          if (callback) callback({ 
+        // Update the last sync timestamp
+        chrome.storage.local.set({
+          'lastGoogleSheetsSync': new Date().toISOString()
+        });
+        
+        if (callback) {
+          callback({
             success: true, 
-            message: `Successfully sent ${opportunities.length} opportunities to Google Sheets`
+            message: response.message || `Successfully sent ${opportunities.length} opportunities to Google Sheets`
           });
-        } else {
-          console.error('Failed to send to Google Sheets:', response?.error || 'Unknown error');
-          if (callback) callback({ 
+        }
+      } else {
+        console.error('Failed to send to Google Sheets:', response?.error || 'Unknown error');
+        if (callback) {
+          callback({
             success: false, 
             error: response?.error || 'Failed to send to Google Sheets'
           });
         }
-      });
+      }
     });
   } catch (error) {
     console.error('Exception in sendToGoogleSheets:', error);
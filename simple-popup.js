@@ -45,7 +45,7 @@ document.addEventListener('DOMContentLoaded', function() {
     debugLog('=== BUTTON DEBUG ===');
     debugLog('viewButton element:', document.getElementById('view-opportunities'));
     debugLog('settingsButton element:', document.getElementById('open-settings'));
-    debugLog('exportButton element:', document.getElementById('export-csv'));
+    debugLog('exportButton element:', document.getElementById('export-file'));
     debugLog('sheetsButton element:', document.getElementById('send-to-sheets'));
     debugLog('storageCache available:', !!window.storageCache);
     debugLog('chrome.tabs available:', !!(chrome && chrome.tabs));
@@ -67,9 +67,13 @@ document.addEventListener('DOMContentLoaded', function() {
   const categoryButtons = document.querySelectorAll('.category-button') || [];
   const statusMessage = document.getElementById('status-message');
   const refreshButton = document.getElementById('refresh-button');
-  const exportButton = document.getElementById('export-csv');
+  const exportButton = document.getElementById('export-file');
+  const exportFormatSelect = document.getElementById('export-format');
   const sheetsButton = document.getElementById('send-to-sheets');
   const countDisplay = document.getElementById('count-display');
+  const pipelineCounts = document.getElementById('pipeline-counts');
+  const scheduledScrapeSummary = document.getElementById('scheduled-scrape-summary');
+  const aiJobSummary = document.getElementById('ai-job-summary');
   const viewButton = document.getElementById('view-opportunities');
   const categorySelect = document.getElementById('category-select');
   const scrapeButton = document.getElementById('scrape-button');
@@ -78,6 +82,7 @@ document.addEventListener('DOMContentLoaded', function() {
   let isScraping = false;
   let currentPage = 1;
   let totalPages = 1;
+  let activePipelineStatus = 'all';
   
   // Update UI based on scraping state
   function updateUIState(scraping) {
@@ -209,8 +214,9 @@ document.addEventListener('DOMContentLoaded', function() {
       e.preventDefault();
       console.log('Export button clicked');
       debugLog('Export button clicked');
-      exportToCSV();
+      exportToFile();
     });
+    loadExportFormats();
   } else {
     console.error('Export button not found!');
   }
@@ -350,6 +356,11 @@ document.addEventListener('DOMContentLoaded', function() {
   chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
     debugLog('Received message from content script:', message);
     
+    // Progress of the background AI analysis job
+    if (message.action === 'aiJobProgress') {
+      renderAIJobSummary(message.job);
+    }
+    
     if (message.action === 'updateProgress') {
       // Update the progress bar
       if (progressBar) {
@@ -444,62 +455,28 @@ document.addEventListener('DOMContentLoaded', function() {
     setTimeout(() => {
       loadOpportunities();
     }, 100);
+    renderScheduledScrapeSummary();
+    loadAIJobSummary();
     addStyles();
   }
   
-  // Storage cache helper functions
+  // Storage helper functions
+  /**
+   * Get every opportunity from the unified opportunity store.
+   * The store lives in the background's IndexedDB, so ask the background for it.
+   */
   async function getCachedOpportunities() {
     try {
-      if (window.storageCache) {
-        console.log('Using storage cache for opportunities');
-        // Get all opportunities from all platforms
-        const allData = await window.storageCache.getMultiple([
-          'sourceBottleOpportunities', 
-          'qwotedOpportunities', 
-          'featuredOpportunities',
-          'opportunities'
-        ], 2);
-        
-        // Combine all opportunities or use global collection
-        const combined = [
-          ...(allData.sourceBottleOpportunities || []),
-          ...(allData.qwotedOpportunities || []),
-          ...(allData.featuredOpportunities || [])
-        ];
-        
-        // Return combined or fall back to global opportunities
-        return combined.length > 0 ? combined : (allData.opportunities || []);
-      } else {
-        console.log('Storage cache not available, using direct storage');
-        // Fallback to direct storage
-        return new Promise(resolve => {
-          chrome.storage.local.get([
-            'sourceBottleOpportunities', 
-            'qwotedOpportunities', 
-            'featuredOpportunities',
-            'opportunities'
-          ], result => {
-            console.log('Direct storage result:', result);
-            
-            // Combine all opportunities or use global collection
-            const combined = [
-              ...(result.sourceBottleOpportunities || []),
-              ...(result.qwotedOpportunities || []),
-              ...(result.featuredOpportunities || [])
-            ];
-            
-            resolve(combined.length > 0 ? combined : (result.opportunities || []));
-          });
-        });
+      const response = await chrome.runtime.sendMessage({ action: 'getOpportunities' });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from background');
       }
+      
+      return response.opportunities || [];
     } catch (error) {
       console.error('Error in getCachedOpportunities:', error);
-      // Ultimate fallback to direct storage
-      return new Promise(resolve => {
-        chrome.storage.local.get(['opportunities'], result => {
-          resolve(result.opportunities || []);
-        });
-      });
+      return [];
     }
   }
 
@@ -538,9 +515,15 @@ document.addEventListener('DOMContentLoaded', function() {
         countDisplay.textContent = `Found ${opportunities.length} opportunities`;
       }
       
-      // Update opportunities list
+      await renderPipelineCounts(opportunities.length);
+      
+      // Update opportunities list, limited to the selected pipeline stage
+      const visibleOpportunities = activePipelineStatus === 'all'
+        ? opportunities
+        : opportunities.filter(opportunity => (opportunity.status || 'new') === activePipelineStatus);
+      
       opportunitiesList.innerHTML = '';
-      opportunities.forEach(opportunity => {
+      visibleOpportunities.forEach(opportunity => {
         try {
           const card = createOpportunityCard(opportunity);
           if (card) {
@@ -559,87 +542,266 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
+  /**
+   * Render one chip per pipeline stage with its count; clicking a chip filters the list
+   * @param {number} total - Total number of opportunities (for the "All" chip)
+   */
+  async function renderPipelineCounts(total) {
+    if (!pipelineCounts) {
+      return;
+    }
+    
+    let counts = {};
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getPipelineCounts' });
+      counts = response?.counts || {};
+    } catch (error) {
+      console.error('Error loading pipeline counts:', error);
+    }
+    
+    const stages = [['all', total], ...Object.entries(counts)];
+    pipelineCounts.innerHTML = '';
+    stages.forEach(([status, count]) => {
+      const chip = document.createElement('button');
+      chip.className = 'pipeline-chip' + (status === activePipelineStatus ? ' active' : '');
+      chip.textContent = `${formatPipelineStatus(status)} ${count}`;
+      chip.addEventListener('click', () => {
+        activePipelineStatus = status;
+        loadOpportunities();
+      });
+      pipelineCounts.appendChild(chip);
+    });
+  }
+  
+  /**
+   * Show the result of each platform's last scheduled scrape, with
+   * new/updated/unchanged counts per category for SourceBottle
+   */
+  async function renderScheduledScrapeSummary() {
+    if (!scheduledScrapeSummary) {
+      return;
+    }
+    
+    let runs = [];
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getScheduledScrapeRuns' });
+      runs = response?.runs || [];
+    } catch (error) {
+      console.error('Error loading scheduled scrape summary:', error);
+    }
+    
+    // Runs are newest first; keep the latest per platform
+    const latestRuns = new Map();
+    runs.forEach(run => {
+      const platform = run.platform || 'sourcebottle';
+      if (!latestRuns.has(platform)) {
+        latestRuns.set(platform, run);
+      }
+    });
+    
+    if (latestRuns.size === 0) {
+      scheduledScrapeSummary.style.display = 'none';
+      return;
+    }
+    
+    scheduledScrapeSummary.innerHTML = '';
+    const platformLabels = { sourcebottle: 'SourceBottle', featured: 'Featured', qwoted: 'Qwoted' };
+    
+    Object.keys(platformLabels).filter(platform => latestRuns.has(platform)).forEach(platform => {
+      const run = latestRuns.get(platform);
+      
+      const heading = document.createElement('div');
+      heading.className = 'scrape-summary-heading';
+      heading.textContent = `${platformLabels[platform]} scheduled scrape: ${new Date(run.finishedAt || run.startedAt).toLocaleString()}`;
+      scheduledScrapeSummary.appendChild(heading);
+      
+      const table = document.createElement('table');
+      table.className = 'scrape-summary-table';
+      const rows = [
+        ['Category', 'New', 'Updated', 'Unchanged'],
+        ...(run.categories || []).map(category => [
+          category.error ? `${category.name} ⚠️` : category.name,
+          category.inserted,
+          category.updated,
+          category.unchanged
+        ]),
+        ['Total', run.totals.inserted, run.totals.updated, run.totals.unchanged]
+      ];
+      rows.forEach((cells, index) => {
+        const row = table.insertRow();
+        cells.forEach(value => {
+          const cell = document.createElement(index === 0 ? 'th' : 'td');
+          cell.textContent = value;
+          row.appendChild(cell);
+        });
+      });
+      scheduledScrapeSummary.appendChild(table);
+      
+      if (run.error) {
+        const error = document.createElement('div');
+        error.className = 'scrape-summary-error';
+        error.textContent = `⚠️ ${run.error}`;
+        scheduledScrapeSummary.appendChild(error);
+      }
+    });
+    
+    scheduledScrapeSummary.style.display = 'block';
+  }
+  
+  /**
+   * Show the AI analysis job still running in the background, if any
+   */
+  async function loadAIJobSummary() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getAIJobs' });
+      const jobs = response?.jobs || [];
+      renderAIJobSummary(jobs.find(job => ['queued', 'running', 'paused'].includes(job.status)) || null);
+    } catch (error) {
+      console.error('Error loading AI analysis jobs:', error);
+    }
+  }
+  
+  /**
+   * Show an AI analysis job's progress, with pause, resume and cancel
+   * @param {Object|null} job - Job summary from the background queue
+   */
+  function renderAIJobSummary(job) {
+    if (!aiJobSummary) {
+      return;
+    }
+    
+    aiJobSummary.innerHTML = '';
+    if (!job) {
+      aiJobSummary.style.display = 'none';
+      return;
+    }
+    
+    const failed = job.counts.failed > 0 ? `, ${job.counts.failed} failed` : '';
+    const headings = {
+      completed: `AI analysis finished: ${job.counts.done} analyzed${failed}`,
+      cancelled: `AI analysis cancelled: ${job.counts.done} analyzed${failed}`,
+      paused: `AI analysis paused at ${job.finished} of ${job.total}${failed}`
+    };
+    const heading = document.createElement('div');
+    heading.className = 'scrape-summary-heading';
+    heading.textContent = headings[job.status] || `AI analysis: ${job.finished} of ${job.total} (${job.percent}%)${failed}`;
+    
+    const bar = document.createElement('div');
+    bar.className = 'ai-job-bar';
+    const fill = document.createElement('div');
+    fill.className = 'ai-job-bar-fill';
+    fill.style.width = `${job.percent}%`;
+    bar.appendChild(fill);
+    aiJobSummary.append(heading, bar);
+    
+    if (job.pausedReason) {
+      const reason = document.createElement('div');
+      reason.className = 'scrape-summary-error';
+      reason.textContent = job.pausedReason;
+      aiJobSummary.appendChild(reason);
+    }
+    
+    if (['queued', 'running', 'paused'].includes(job.status)) {
+      const actions = document.createElement('div');
+      actions.className = 'ai-job-actions';
+      const buttons = job.status === 'paused'
+        ? [['Resume', 'resumeAIJob'], ['Cancel', 'cancelAIJob']]
+        : [['Pause', 'pauseAIJob'], ['Cancel', 'cancelAIJob']];
+      buttons.forEach(([label, action]) => {
+        const button = document.createElement('button');
+        button.className = 'pipeline-chip';
+        button.textContent = label;
+        button.addEventListener('click', async () => {
+          const response = await chrome.runtime.sendMessage({ action, jobId: job.id });
+          if (response?.success) {
+            renderAIJobSummary(response.job);
+          } else {
+            setDebugStatus(response?.error || 'Could not reach the AI analysis queue', true);
+          }
+        });
+        actions.appendChild(button);
+      });
+      aiJobSummary.appendChild(actions);
+    }
+    
+    aiJobSummary.style.display = 'block';
+  }
+  
+  /**
+   * Turn a pipeline status key into its display label
+   */
+  function formatPipelineStatus(status) {
+    return status.charAt(0).toUpperCase() + status.slice(1);
+  }
+  
   // Open settings page
   function openSettings() {
     chrome.tabs.create({ url: 'settings.html' });
   }
   
-  // Export opportunities to CSV
-  async function exportToCSV() {
+  // Fill the export format picker from the integrations manager's registered exporters
+  async function loadExportFormats() {
+    if (!exportFormatSelect) {
+      return;
+    }
+    try {
+      // The integrations manager is an ES module; this classic script loads it with import()
+      const { integrationsManager } = await import('./modules/integrations.js');
+      exportFormatSelect.innerHTML = '';
+      integrationsManager.getExporters().forEach(({ format, label }) => {
+        exportFormatSelect.add(new Option(label, format));
+      });
+    } catch (error) {
+      debugLog('Error loading export formats', { error: error.message });
+    }
+  }
+  
+  // Download opportunities in the chosen format; CSV and Excel use their export profiles
+  async function exportToFile() {
+    const format = exportFormatSelect?.value || 'csv';
     try {
       const opportunities = await getCachedOpportunities();
       
-      // Create CSV content
-      let csvContent = "data:text/csv;charset=utf-8,";
-      csvContent += "Title,Description,Category,Deadline,Source,Media Outlet,Journalist,Link\n";
-      
-      opportunities.forEach(opp => {
-        csvContent += `"${opp.title.replace(/"/g, '""')}","${opp.description.replace(/"/g, '""')}","${opp.category}","${opp.deadline}","${opp.source}","${(opp.mediaOutlet || '').replace(/"/g, '""')}","${(opp.journalist || '').replace(/"/g, '""')}","${opp.submissionLink}"\n`;
-      });
+      const { integrationsManager } = await import('./modules/integrations.js');
+      const result = await integrationsManager.exportFile(format, opportunities);
       
-      // Create download link
-      const encodedUri = encodeURI(csvContent);
-      const link = document.createElement("a");
-      link.setAttribute("href", encodedUri);
-      const filename = `sourcebottle-opportunities-${new Date().toISOString().split('T')[0]}.csv`;
-      link.setAttribute("download", filename);
-      document.body.appendChild(link);
-      
-      // Trigger download
-      link.click();
-      document.body.removeChild(link);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
     } catch (error) {
-      console.error('Error exporting to CSV:', error);
-      setDebugStatus('Error exporting opportunities to CSV.', true);
+      console.error(`Error exporting to ${format}:`, error);
+      setDebugStatus(`Error exporting opportunities: ${error.message}`, true);
     }
   }
   
   // Export opportunities to Google Sheets
   async function exportToSheets() {
     try {
-      const opportunities = await getCachedOpportunities();
+      setDebugStatus('Syncing with Google Sheets...');
       
-      // Map opportunities to match the Google Sheet columns exactly
-      const mapped = opportunities.map(op => ({
-        title: op.title || '',
-        description: op.description || '',
-        category: op.category || '',
-        deadline: op.deadline || op.date || '',
-        source: op.source || '',
-        mediaOutlet: op.mediaOutlet || '',
-        journalist: op.journalist || '',
-        link: op.submissionLink || op.link || ''
-      }));
-      
-      // Direct fetch approach to avoid background script issues
-      fetch('https://script.google.com/a/macros/qubit.capital/s/AKfycbxlje612pVpLl9ttLHqRegEEsk1vf6_UFfFZ_oMazrUjt2d_Jel96fwDNj-zHef6i8/exec', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ opportunities: mapped })
-      })
-      .then(response => {
-        debugLog('Google Sheets response', { status: response.status });
-        return response.text();
-      })
-      .then(text => {
-        debugLog('Google Sheets response data', { text });
-        setDebugStatus(`Sent ${opportunities.length} opportunities to Google Sheet!`);
-        
-        // Show next steps dialog
-        showNextSteps();
-      })
-      .catch(error => {
-        debugLog('Error sending to Google Sheets', { error: error.message, stack: error.stack });
-        setDebugStatus(`Failed: ${error.message}`, true);
-        
-        // Still show next steps even on error
+      // Pulls teammates' status/owner/notes edits, then upserts local changes by ID
+      const response = await chrome.runtime.sendMessage({ action: 'syncGoogleSheets' });
+      debugLog('Google Sheets sync response', response);
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+      
+      // Reload so cards show edits pulled from the sheet
+      if (response.applied > 0) {
+        await loadOpportunities();
+      }
+      
+      if (response.conflicts.length > 0) {
+        // Keep the message up; conflicts are resolved on the opportunities page
+        setDebugStatus(`${response.message}. Open View Opportunities to resolve them.`, true);
+      } else {
+        setDebugStatus(response.message);
         showNextSteps();
-      });
+      }
     } catch (error) {
-      console.error('Error exporting to Google Sheets:', error);
-      setDebugStatus('Error exporting opportunities to Google Sheets.', true);
+      debugLog('Error syncing Google Sheets', { error: error.message, stack: error.stack });
+      setDebugStatus(`Failed: ${error.message}`, true);
     }
   }
   
@@ -690,6 +852,7 @@ document.addEventListener('DOMContentLoaded', function() {
         <h3>${escapeHtml(opportunity.title || 'Untitled Opportunity')}</h3>
         <span class="source">${escapeHtml(opportunity.source || 'Unknown')}</span>
       </div>
+      <span class="pipeline-status status-${escapeHtml(opportunity.status || 'new')}">${escapeHtml(formatPipelineStatus(opportunity.status || 'new'))}</span>
       <p class="description">${escapeHtml(opportunity.description || 'No description available')}</p>
       <div class="meta">
         <span class="deadline" title="Deadline: ${deadlineText}">
@@ -817,6 +980,110 @@ document.addEventListener('DOMContentLoaded', function() {
       .status-indicator.active {
         background-color: #4361ee;
       }
+      
+      /* Pipeline stages */
+      #pipeline-counts {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin-bottom: 10px;
+      }
+      
+      .pipeline-chip {
+        border: 1px solid #ddd;
+        border-radius: 12px;
+        padding: 3px 8px;
+        font-size: 12px;
+        background-color: #fff;
+        cursor: pointer;
+      }
+      
+      .pipeline-chip.active {
+        background-color: #4361ee;
+        border-color: #4361ee;
+        color: #fff;
+      }
+      
+      #scheduled-scrape-summary {
+        margin-top: 10px;
+        padding: 8px;
+        border-radius: 8px;
+        background-color: #f5f7ff;
+        font-size: 12px;
+      }
+      
+      .scrape-summary-heading {
+        font-weight: bold;
+        margin: 6px 0;
+      }
+      
+      .scrape-summary-table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+      
+      .scrape-summary-table th,
+      .scrape-summary-table td {
+        padding: 2px 4px;
+        text-align: right;
+      }
+      
+      .scrape-summary-table th:first-child,
+      .scrape-summary-table td:first-child {
+        text-align: left;
+      }
+      
+      .scrape-summary-table tr:last-child td {
+        border-top: 1px solid #ddd;
+        font-weight: bold;
+      }
+      
+      .scrape-summary-error {
+        margin-top: 6px;
+        color: #c62828;
+      }
+      
+      #ai-job-summary {
+        margin-top: 10px;
+        padding: 8px;
+        border-radius: 8px;
+        background-color: #f5f7ff;
+        font-size: 12px;
+      }
+      
+      .ai-job-bar {
+        height: 6px;
+        border-radius: 3px;
+        background-color: #e2e2e2;
+        overflow: hidden;
+      }
+      
+      .ai-job-bar-fill {
+        height: 100%;
+        background-color: #4361ee;
+        transition: width 0.3s ease;
+      }
+      
+      .ai-job-actions {
+        display: flex;
+        gap: 6px;
+        margin-top: 6px;
+      }
+      
+      .pipeline-status {
+        display: inline-block;
+        border-radius: 10px;
+        padding: 2px 8px;
+        margin-bottom: 6px;
+        font-size: 11px;
+        background-color: #f0f0f0;
+        color: #555;
+      }
+      
+      .pipeline-status.status-shortlisted { background-color: #e0e7ff; color: #3730a3; }
+      .pipeline-status.status-pitched { background-color: #fef3c7; color: #92400e; }
+      .pipeline-status.status-responded { background-color: #dbeafe; color: #1e40af; }
+      .pipeline-status.status-published { background-color: #d1fae5; color: #065f46; }
     `;
     document.head.appendChild(style);
   }
@@ -922,8 +1189,7 @@ document.addEventListener('DOMContentLoaded', function() {
   }
   
   // Check current opportunity count and display prominently
-  chrome.storage.local.get(['sourceBottleOpportunities'], function(result) {
-    const opportunities = result.sourceBottleOpportunities || [];
+  getCachedOpportunities().then(function(opportunities) {
     const count = opportunities.length;
     
     if (count > 0) {
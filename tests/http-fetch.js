@@ -0,0 +1,28 @@
+/**
+ * Minimal fetch over Node's http module, for tests that talk to a local mock
+ * server (jsdom has no fetch)
+ */
+import http from 'http';
+
+export function httpFetch(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method, headers }, response => {
+      let text = '';
+      response.on('data', chunk => {
+        text += chunk;
+      });
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        headers: { get: name => response.headers[name.toLowerCase()] || null },
+        text: async () => text,
+        json: async () => JSON.parse(text)
+      }));
+    });
+    request.on('error', reject);
+    if (body) {
+      request.write(body);
+    }
+    request.end();
+  });
+}
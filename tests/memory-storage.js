@@ -0,0 +1,14 @@
+/**
+ * In-memory stand-in for storageManager's get/set, for tests of modules that
+ * keep their settings in chrome.storage. Values are copied as JSON on the way
+ * in, as chrome.storage does.
+ */
+export function createStorage(values = {}) {
+  return {
+    values,
+    get: jest.fn(async key => values[key]),
+    set: jest.fn(async (key, value) => {
+      values[key] = JSON.parse(JSON.stringify(value));
+    })
+  };
+}
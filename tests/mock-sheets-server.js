@@ -0,0 +1,126 @@
+/**
+ * Local stand-in for the Google Sheets sync web app (apps-script/SheetsSync.gs),
+ * speaking the same pull/push protocol against an in-memory sheet whose rows
+ * are keyed by column header
+ */
+import http from 'http';
+
+/**
+ * Create the mock web app. Call `server.listen` to start it.
+ * `mock.edit(id, changes)` simulates a teammate editing a row in the sheet
+ * (changes keyed by header); `failures` holds canned HTTP statuses served
+ * before the next request is handled.
+ * @returns {Object} {server, headers, rows, requests, failures, edit, url}
+ */
+export function createMockSheetsServer() {
+  const mock = { headers: [], rows: [], requests: [], failures: [] };
+  let lastTime = 0;
+
+  // Apps Script stamps with the wall clock; keep stamps strictly increasing so
+  // writes made within the same millisecond still order correctly
+  const tick = () => {
+    lastTime = Math.max(Date.now(), lastTime + 1);
+    return new Date(lastTime).toISOString();
+  };
+
+  mock.edit = (id, changes) => {
+    const row = mock.rows.find(candidate => candidate.ID === id);
+    Object.assign(row, changes, { 'Last Modified': tick() });
+    return row;
+  };
+
+  mock.url = () => `http://127.0.0.1:${mock.server.address().port}/exec`;
+
+  // Add headers the sheet doesn't have yet on the right, as the script does
+  const addHeaders = columns => {
+    [...columns.map(column => column.header), 'Last Modified'].forEach(header => {
+      if (!mock.headers.includes(header)) {
+        mock.headers.push(header);
+      }
+    });
+  };
+
+  const pull = (since, columns) => {
+    const serverTime = tick();
+    const rows = mock.rows
+      .filter(row => !since || row['Last Modified'] > since)
+      .map(row => {
+        const values = { lastModified: row['Last Modified'] };
+        columns.forEach(column => {
+          values[column.field] = row[column.header] || '';
+        });
+        return values;
+      });
+    return { ok: true, serverTime, rows };
+  };
+
+  const push = (rows, columns) => {
+    const idHeader = columns[0].header;
+    const results = rows.map(values => {
+      const id = String(values.id);
+      const current = mock.rows.find(row => row[idHeader] === id);
+      if (current && (!values.baseModified || current['Last Modified'] > values.baseModified)) {
+        return { id, result: 'conflict', lastModified: current['Last Modified'] };
+      }
+
+      const lastModified = tick();
+      const row = current || {};
+      columns.forEach(column => {
+        row[column.header] = values[column.field] === null || typeof values[column.field] === 'undefined'
+          ? ''
+          : String(values[column.field]);
+      });
+      row['Last Modified'] = lastModified;
+      if (current) {
+        return { id, result: 'updated', lastModified };
+      }
+      mock.rows.push(row);
+      return { id, result: 'created', lastModified };
+    });
+    return { ok: true, serverTime: tick(), results };
+  };
+
+  mock.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (mock.failures.length > 0) {
+        send(mock.failures.shift(), { ok: false, error: 'Mock failure' });
+        return;
+      }
+
+      let request;
+      try {
+        request = JSON.parse(raw);
+      } catch {
+        send(200, { ok: false, error: 'Invalid JSON' });
+        return;
+      }
+      mock.requests.push(request);
+
+      const columns = request.columns || [];
+      if (columns.length === 0 || columns[0].field !== 'id') {
+        send(200, { ok: false, error: 'Request must list the columns, ID first' });
+        return;
+      }
+      addHeaders(columns);
+
+      if (request.action === 'pull') {
+        send(200, pull(request.since, columns));
+      } else if (request.action === 'push') {
+        send(200, push(request.rows || [], columns));
+      } else {
+        send(200, { ok: false, error: `Unknown action: ${request.action}` });
+      }
+    });
+  });
+
+  return mock;
+}
@@ -117,3 +117,19 @@ global.extension = {
 
 // Add chrome to global
 global.chrome = chrome;
+
+// jsdom lacks TextEncoder, which browsers and Node both provide
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = require('util').TextEncoder;
+}
+
+// jsdom's crypto has no subtle, which browsers and Node both provide
+if (global.crypto && !global.crypto.subtle) {
+  Object.defineProperty(global.crypto, 'subtle', { value: require('crypto').webcrypto.subtle });
+}
+
+// jsdom lacks structuredClone, which fake-indexeddb uses to copy stored records
+if (typeof global.structuredClone === 'undefined') {
+  const v8 = require('v8');
+  global.structuredClone = value => v8.deserialize(v8.serialize(value));
+}
@@ -0,0 +1,216 @@
+/**
+ * Unit tests for the background AI analysis queue: concurrency, pause/resume/cancel and restarts
+ */
+
+import {
+  AIJobQueue,
+  AI_JOBS_KEY,
+  MAX_AI_JOB_CONCURRENCY,
+  MAX_FINISHED_AI_JOBS,
+  toAnalysisFields,
+  summarizeAIJob,
+  describeAIJob
+} from '../../modules/aiJobQueue.js';
+import { createStorage } from '../memory-storage.js';
+
+function createOpportunities(ids) {
+  const records = new Map(ids.map(id => [id, { id, title: `Query ${id}` }]));
+  return {
+    records,
+    getOpportunity: jest.fn(async id => records.get(id) || null),
+    saveAIAnalysis: jest.fn(async (id, analysis) => {
+      records.set(id, { ...records.get(id), ...analysis });
+    })
+  };
+}
+
+const analysis = { relevance_score: 0.8, priority: 'high', key_themes: ['hiring'], reasoning: 'Good fit' };
+const withinBudget = { getBudgetStatus: async () => ({ exhausted: null, message: null }) };
+
+describe('job summaries', () => {
+  test('turns an analysis into stored fields and describes progress', () => {
+    expect(toAnalysisFields(analysis)).toMatchObject({
+      relevanceScore: 80,
+      priority: 'high',
+      keyThemes: ['hiring'],
+      aiReasoning: 'Good fit',
+      aiProcessed: true
+    });
+
+    const summary = summarizeAIJob({
+      id: 'aijob-1',
+      status: 'running',
+      items: [
+        { opportunityId: 'a', title: 'A', status: 'done' },
+        { opportunityId: 'b', title: 'B', status: 'failed', error: 'Rate limited' },
+        { opportunityId: 'c', title: 'C', status: 'running' },
+        { opportunityId: 'd', title: 'D', status: 'pending' }
+      ]
+    });
+    expect(summary).toMatchObject({ total: 4, finished: 2, percent: 50, current: ['C'] });
+    expect(summary.failures).toEqual([{ opportunityId: 'b', title: 'B', error: 'Rate limited' }]);
+    expect(describeAIJob(summary)).toBe('AI analysis: 2 of 4 (50%), 1 failed');
+    expect(describeAIJob({ ...summary, status: 'paused', pausedReason: 'Budget reached' }))
+      .toBe('AI analysis paused at 2 of 4, 1 failed (Budget reached)');
+  });
+});
+
+describe('AIJobQueue', () => {
+  test('analyzes every pending item within the concurrency limit and records each result', async () => {
+    const opportunities = createOpportunities(['a', 'b', 'c', 'd', 'e']);
+    let inFlight = 0;
+    let mostInFlight = 0;
+    const analyze = jest.fn(async opportunity => {
+      inFlight++;
+      mostInFlight = Math.max(mostInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return opportunity.id === 'c' ? { error: 'Rate limited' } : analysis;
+    });
+    const onProgress = jest.fn();
+    const queue = new AIJobQueue({ storage: createStorage(), opportunities, analyze, onProgress, budget: withinBudget });
+
+    const job = await queue.createJob([
+      { id: 'a', title: 'A' }, { id: 'b' }, { id: 'c' }, { id: 'd' }, { id: 'e' }, { id: 'f', aiProcessed: true }, { id: 'a' }
+    ], { concurrency: 2 });
+    expect(job).toMatchObject({ status: 'queued', total: 6, concurrency: 2, counts: { pending: 5, skipped: 1 } });
+    opportunities.records.delete('e');
+
+    await queue.run();
+
+    const [summary] = await queue.getJobs();
+    expect(summary).toMatchObject({ status: 'completed', counts: { done: 3, failed: 2, skipped: 1, pending: 0, running: 0 } });
+    expect(summary.failures.map(failure => [failure.opportunityId, failure.error])).toEqual([
+      ['c', 'Rate limited'],
+      ['e', 'The opportunity no longer exists']
+    ]);
+    expect(mostInFlight).toBe(2);
+    expect(analyze).toHaveBeenCalledTimes(4);
+    expect(opportunities.records.get('a')).toMatchObject({ relevanceScore: 80, aiProcessed: true });
+    expect(opportunities.records.get('c').aiProcessed).toBeUndefined();
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'completed', percent: 100 }));
+  });
+
+  test('pausing lets running items finish, and resuming carries on', async () => {
+    const opportunities = createOpportunities(['a', 'b', 'c']);
+    let queue = null;
+    let jobId = null;
+    const analyze = jest.fn(async opportunity => {
+      if (opportunity.id === 'a') {
+        await queue.pauseJob(jobId, 'Paused by you');
+      }
+      return analysis;
+    });
+    queue = new AIJobQueue({ storage: createStorage(), opportunities, analyze, onProgress: jest.fn(), budget: withinBudget });
+    jobId = (await queue.createJob([{ id: 'a' }, { id: 'b' }, { id: 'c' }], { concurrency: 1 })).id;
+
+    await queue.run();
+    expect((await queue.getJobs())[0]).toMatchObject({
+      status: 'paused',
+      pausedReason: 'Paused by you',
+      counts: { done: 1, pending: 2 }
+    });
+    expect(await queue.hasActiveJobs()).toBe(true);
+
+    await queue.resumeJob(jobId);
+    await queue.run();
+    expect((await queue.getJobs())[0]).toMatchObject({ status: 'completed', counts: { done: 3 } });
+    expect(analyze).toHaveBeenCalledTimes(3);
+    expect(await queue.hasActiveJobs()).toBe(false);
+    await expect(queue.pauseJob(jobId)).rejects.toThrow('already finished');
+  });
+
+  test('cancelling stops the items not yet started', async () => {
+    const opportunities = createOpportunities(['a', 'b', 'c']);
+    let queue = null;
+    let jobId = null;
+    const analyze = jest.fn(async () => {
+      await queue.cancelJob(jobId);
+      return analysis;
+    });
+    queue = new AIJobQueue({ storage: createStorage(), opportunities, analyze, onProgress: jest.fn(), budget: withinBudget });
+    jobId = (await queue.createJob([{ id: 'a' }, { id: 'b' }, { id: 'c' }], { concurrency: 1 })).id;
+
+    await queue.run();
+
+    const job = await queue.getJob(jobId);
+    expect(job.status).toBe('cancelled');
+    expect(job.finishedAt).toEqual(expect.any(String));
+    expect(job.items.map(item => item.status)).toEqual(['done', 'cancelled', 'cancelled']);
+    await expect(queue.resumeJob(jobId)).rejects.toThrow('been cancelled');
+  });
+
+  test('picks up a job left running by a stopped service worker', async () => {
+    const storage = createStorage({
+      [AI_JOBS_KEY]: [{
+        id: 'aijob-1',
+        status: 'running',
+        concurrency: 2,
+        createdAt: '2026-10-19T09:00:00.000Z',
+        items: [
+          { opportunityId: 'a', title: 'A', status: 'done', error: null },
+          { opportunityId: 'b', title: 'B', status: 'running', error: null },
+          { opportunityId: 'c', title: 'C', status: 'pending', error: null }
+        ]
+      }]
+    });
+    const analyze = jest.fn(async () => analysis);
+    const queue = new AIJobQueue({ storage, opportunities: createOpportunities(['a', 'b', 'c']), analyze, onProgress: jest.fn(), budget: withinBudget });
+
+    await queue.run();
+
+    expect(analyze.mock.calls.map(([opportunity]) => opportunity.id).sort()).toEqual(['b', 'c']);
+    expect(storage.values[AI_JOBS_KEY][0].items.map(item => item.status)).toEqual(['done', 'done', 'done']);
+  });
+
+  test('pauses when the AI budget runs out, leaving the rest for when it is resumed', async () => {
+    const message = 'The daily AI budget is used up';
+    const budget = { exhausted: null, message: null };
+    const analyze = jest.fn(async opportunity => {
+      if (opportunity.id === 'a') {
+        return analysis;
+      }
+      Object.assign(budget, { exhausted: 'daily', message });
+      return { error: message, budgetExceeded: true };
+    });
+    const queue = new AIJobQueue({
+      storage: createStorage(),
+      opportunities: createOpportunities(['a', 'b', 'c']),
+      analyze,
+      onProgress: jest.fn(),
+      budget: { getBudgetStatus: async () => ({ ...budget }) }
+    });
+    const { id } = await queue.createJob([{ id: 'a' }, { id: 'b' }, { id: 'c' }], { concurrency: 1 });
+
+    await queue.run();
+    expect((await queue.getJobs())[0]).toMatchObject({ status: 'paused', pausedReason: message, counts: { done: 1, pending: 2, failed: 0 } });
+    await expect(queue.createJob([{ id: 'c' }], { reanalyze: true })).rejects.toThrow(message);
+
+    // Still used up: resuming pauses again before analyzing anything
+    await queue.resumeJob(id);
+    await queue.run();
+    expect((await queue.getJobs())[0]).toMatchObject({ status: 'paused', pausedReason: message });
+    expect(analyze).toHaveBeenCalledTimes(2);
+
+    Object.assign(budget, { exhausted: null, message: null });
+    await queue.resumeJob(id);
+    analyze.mockImplementation(async () => analysis);
+    await queue.run();
+    expect((await queue.getJobs())[0]).toMatchObject({ status: 'completed', counts: { done: 3 } });
+  });
+
+  test('rejects jobs with nothing to do and keeps only recent finished jobs', async () => {
+    const storage = createStorage();
+    const queue = new AIJobQueue({ storage, opportunities: createOpportunities(['a']), analyze: async () => analysis, onProgress: jest.fn(), budget: withinBudget });
+
+    await expect(queue.createJob([])).rejects.toThrow('no opportunities');
+    await expect(queue.createJob([{ id: 'a', aiProcessed: true }])).rejects.toThrow('already been analyzed');
+    expect((await queue.createJob([{ id: 'a' }], { concurrency: 50 })).concurrency).toBe(MAX_AI_JOB_CONCURRENCY);
+
+    for (let n = 0; n < MAX_FINISHED_AI_JOBS + 1; n++) {
+      await queue.createJob([{ id: 'a' }], { reanalyze: true });
+    }
+    await queue.run();
+    expect(storage.values[AI_JOBS_KEY]).toHaveLength(MAX_FINISHED_AI_JOBS);
+  });
+});
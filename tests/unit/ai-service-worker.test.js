@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Unit tests for AI analysis in the background service worker, which has no
+ * window or localStorage
+ */
+
+import { aiService } from '../../modules/aiService.js';
+import { AIJobQueue } from '../../modules/aiJobQueue.js';
+import { LLM_SETTINGS_KEY } from '../../modules/llmProviders.js';
+import { createStorage } from '../memory-storage.js';
+
+const completion = {
+  model: 'gpt-4o-mini',
+  choices: [{
+    message: {
+      content: JSON.stringify({
+        relevance_score: 0.8,
+        priority: 'high',
+        key_themes: ['hiring'],
+        confidence: 0.9,
+        reasoning: 'Good fit'
+      })
+    }
+  }],
+  usage: { prompt_tokens: 120, completion_tokens: 40, total_tokens: 160 }
+};
+
+describe('AI analysis in the service worker', () => {
+  let originalFetch;
+
+  beforeEach(async () => {
+    global.extension.reset();
+    await new Promise(resolve => chrome.storage.local.set({
+      [LLM_SETTINGS_KEY]: {
+        defaultProvider: 'openai',
+        providers: { openai: { apiKey: 'sk-test', model: 'gpt-4o-mini' } }
+      }
+    }, resolve));
+
+    originalFetch = global.fetch;
+    global.fetch = jest.fn(async url => {
+      if (String(url).includes('/chat/completions')) {
+        return { ok: true, status: 200, json: async () => completion, text: async () => JSON.stringify(completion) };
+      }
+      // Keyword groups config
+      return { ok: true, status: 200, json: async () => ({ keywordGroups: {} }) };
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('runs without window or localStorage', () => {
+    expect(typeof window).toBe('undefined');
+    expect(typeof localStorage).toBe('undefined');
+  });
+
+  test('the job queue analyzes opportunities through the real aiService', async () => {
+    const records = new Map([['featured-1', { id: 'featured-1', title: 'Hiring trends for startups' }]]);
+    const opportunities = {
+      getOpportunity: jest.fn(async id => records.get(id) || null),
+      saveAIAnalysis: jest.fn(async (id, analysis) => {
+        records.set(id, { ...records.get(id), ...analysis });
+      })
+    };
+    const queue = new AIJobQueue({
+      storage: createStorage(),
+      opportunities,
+      budget: { getBudgetStatus: async () => ({ exhausted: null, message: null }) }
+    });
+
+    const { id } = await queue.createJob([...records.values()]);
+    await queue.run();
+
+    const job = await queue.getJob(id);
+    expect(job.items[0]).toMatchObject({ status: 'done', error: null });
+    expect(aiService.isEnabled()).toBe(true);
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/chat/completions'), expect.any(Object));
+    expect(records.get('featured-1')).toMatchObject({ relevanceScore: 80, priority: 'high', aiProcessed: true });
+  });
+});
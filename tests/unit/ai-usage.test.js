@@ -0,0 +1,157 @@
+/**
+ * Unit tests for AI token and cost accounting, budgets, and the budget check on AI calls
+ */
+
+import {
+  AIUsageTracker,
+  AIBudgetError,
+  aiUsageTracker,
+  AI_USAGE_KEY,
+  AI_BUDGETS_KEY,
+  MAX_AI_USAGE_CALLS,
+  getModelPrice,
+  getModelLabel,
+  summarizeUsage,
+  checkBudgets,
+  normalizeBudgets
+} from '../../modules/aiUsage.js';
+import { aiService } from '../../modules/aiService.js';
+import { createStorage } from '../memory-storage.js';
+
+const may3 = new Date(2026, 4, 3, 10, 0);
+const may20 = new Date(2026, 4, 20, 16, 30);
+
+describe('prices and summaries', () => {
+  test('prices a model by its configured price, else the longest matching list price', () => {
+    expect(getModelPrice('gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+    expect(getModelPrice('gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 });
+    expect(getModelPrice('my-deployment')).toBeNull();
+    expect(getModelPrice('my-deployment', { 'my-deployment': { input: 1, output: 2 } })).toEqual({ input: 1, output: 2 });
+    expect(getModelLabel('openai/gpt-4o')).toBe('OpenAI: gpt-4o');
+  });
+
+  test('keeps only positive limits and complete prices', () => {
+    expect(normalizeBudgets({ daily: { cost: '2.5', tokens: '' }, monthly: { cost: 0 }, prices: { ' gpt-x ': { input: '1' } } })).toEqual({
+      daily: { cost: 2.5, tokens: null },
+      monthly: { cost: null, tokens: null },
+      prices: { 'gpt-x': { input: 1, output: 0 } }
+    });
+  });
+});
+
+describe('AIUsageTracker', () => {
+  test('records tokens and cost per call, prompt type, provider/model and day', async () => {
+    const storage = createStorage();
+    const tracker = new AIUsageTracker({ storage });
+
+    const call = await tracker.record({
+      promptType: 'prioritize',
+      provider: 'openai',
+      model: 'gpt-4o-mini',
+      usage: { prompt_tokens: 1000000, completion_tokens: 500000 }
+    }, may3);
+    await tracker.record({ promptType: 'pitch', provider: 'azure', model: 'my-deployment', usage: { prompt_tokens: 200, completion_tokens: 100 } }, may3);
+    await tracker.record({ provider: 'openai', model: 'gpt-4o-mini', usage: { prompt_tokens: 10, completion_tokens: 0 } }, may20);
+
+    expect(call).toMatchObject({ promptType: 'prioritize', promptTokens: 1000000, completionTokens: 500000 });
+    expect(call.cost).toBeCloseTo(0.45);
+
+    const usage = await tracker.getUsage();
+    expect(Object.keys(usage.days)).toEqual(['2026-05-03', '2026-05-20']);
+    expect(usage.calls).toHaveLength(3);
+
+    const month = summarizeUsage(usage, 'month', may20);
+    expect(month.totals).toMatchObject({ calls: 3, promptTokens: 1000210, completionTokens: 500100, unpricedCalls: 1 });
+    expect(Object.keys(month.byPromptType).sort()).toEqual(['other', 'pitch', 'prioritize']);
+    expect(month.byModel['openai/gpt-4o-mini']).toMatchObject({ calls: 2, promptTokens: 1000010 });
+    expect(month.byModel['azure/my-deployment']).toMatchObject({ calls: 1, cost: 0, unpricedCalls: 1 });
+    expect(month.byDay.map(day => [day.day, day.calls])).toEqual([['2026-05-03', 2], ['2026-05-20', 1]]);
+
+    expect(summarizeUsage(usage, 'today', may20).totals.calls).toBe(1);
+    expect(summarizeUsage(usage, 'last-30-days', new Date(2026, 5, 5)).totals.calls).toBe(1);
+  });
+
+  test('keeps concurrent records and only the most recent calls', async () => {
+    const storage = createStorage();
+    const tracker = new AIUsageTracker({ storage });
+
+    await Promise.all(Array.from({ length: MAX_AI_USAGE_CALLS + 5 }, () =>
+      tracker.record({ promptType: 'sentiment', provider: 'openai', model: 'gpt-4o', usage: { prompt_tokens: 1, completion_tokens: 1 } }, may3)
+    ));
+
+    expect(storage.values[AI_USAGE_KEY].calls).toHaveLength(MAX_AI_USAGE_CALLS);
+    expect(storage.values[AI_USAGE_KEY].days['2026-05-03'].totals.calls).toBe(MAX_AI_USAGE_CALLS + 5);
+  });
+
+  test('reports a used-up daily or monthly budget with a clear message', async () => {
+    const storage = createStorage();
+    const tracker = new AIUsageTracker({ storage });
+    await tracker.record({ promptType: 'prioritize', provider: 'openai', model: 'gpt-4o', usage: { prompt_tokens: 400000, completion_tokens: 10000 } }, may3);
+
+    await tracker.saveBudgets({ daily: { cost: '1' }, monthly: { tokens: '500000' } });
+    await expect(tracker.assertWithinBudget(may3)).rejects.toThrow(AIBudgetError);
+    const status = await tracker.getBudgetStatus(may3);
+    expect(status).toMatchObject({ exhausted: 'daily', daily: { cost: 1.1, costLimit: 1, exhausted: true } });
+    expect(status.message).toBe('The daily AI budget is used up ($1.10 of $1.00 spent today). Raise it in Settings > AI Usage & Budgets, or wait until tomorrow.');
+
+    // The next day only the monthly token budget counts
+    await expect(tracker.assertWithinBudget(may20)).resolves.toBeUndefined();
+    await tracker.record({ promptType: 'prioritize', provider: 'openai', model: 'unpriced', usage: { prompt_tokens: 90000, completion_tokens: 0 } }, may20);
+    const monthly = checkBudgets(await tracker.getUsage(), await tracker.getBudgets(), may20);
+    expect(monthly.exhausted).toBe('monthly');
+    expect(monthly.message).toContain('500,000 of 500,000 tokens used this month');
+
+    await expect(tracker.saveBudgets({ daily: { cost: '-1' } })).rejects.toThrow('positive numbers');
+    expect(storage.values[AI_BUDGETS_KEY].daily.cost).toBe(1);
+  });
+});
+
+describe('AI calls', () => {
+  let originalStorage;
+  let originalRoute;
+
+  beforeEach(() => {
+    originalStorage = aiUsageTracker.storage;
+    originalRoute = aiService._resolveRoute;
+    aiUsageTracker.storage = createStorage();
+    aiService._initialized = true;
+  });
+
+  afterEach(() => {
+    aiUsageTracker.storage = originalStorage;
+    aiService._resolveRoute = originalRoute;
+    aiService._initialized = false;
+  });
+
+  test('records the usage of each call under its prompt type, provider and model', async () => {
+    const provider = {
+      chat: jest.fn(async () => ({ model: 'gpt-4o-mini-2024-07-18', usage: { prompt_tokens: 120, completion_tokens: 30 }, choices: [] }))
+    };
+    aiService._resolveRoute = jest.fn(() => ({ type: 'openai', provider, model: 'gpt-4o-mini' }));
+
+    await aiService._post({ messages: [] }, 0, 'summarize');
+
+    const usage = await aiUsageTracker.getUsage();
+    expect(usage.calls).toEqual([expect.objectContaining({
+      promptType: 'summarize',
+      provider: 'openai',
+      model: 'gpt-4o-mini-2024-07-18',
+      promptTokens: 120,
+      completionTokens: 30
+    })]);
+  });
+
+  test('refuses calls once a budget is used up, without reaching the provider', async () => {
+    const provider = { chat: jest.fn() };
+    aiService._resolveRoute = jest.fn(() => ({ type: 'openai', provider, model: 'gpt-4o' }));
+    await aiUsageTracker.record({ promptType: 'prioritize', provider: 'openai', model: 'gpt-4o', usage: { prompt_tokens: 5000, completion_tokens: 0 } });
+    await aiUsageTracker.saveBudgets({ daily: { tokens: 5000 } });
+
+    await expect(aiService._post({ messages: [] }, 0, 'prioritize')).rejects.toThrow('The daily AI budget is used up');
+    const analysis = await aiService.analyzeOpportunity({ id: 'sb-1', title: 'Hiring' });
+
+    expect(provider.chat).not.toHaveBeenCalled();
+    expect(analysis).toMatchObject({ budgetExceeded: true, error: expect.stringContaining('AI budget is used up') });
+    expect(aiService.circuitBreaker.state).not.toBe('OPEN');
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Unit tests for the Airtable export, run against a local mock of the Airtable API
+ */
+
+import http from 'http';
+import {
+  AirtableExporter,
+  airtableExporter,
+  AIRTABLE_SETTINGS_KEY,
+  DEFAULT_AIRTABLE_MAPPING,
+  normalizeAirtableSettings,
+  toAirtableValue
+} from '../../modules/airtableExport.js';
+import { integrationsManager } from '../../modules/integrations.js';
+import { httpFetch } from '../http-fetch.js';
+
+/**
+ * In-memory Airtable table behind a real HTTP server, supporting upserts.
+ * `failures` holds canned error responses served before the next write is handled.
+ */
+function createMockAirtable() {
+  const mock = { rows: [], requests: [], failures: [] };
+
+  mock.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : {};
+      mock.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.method === 'GET' && req.url === '/v0/meta/bases/appTest/tables') {
+        send(200, { tables: [{ id: 'tblTest', name: 'Media Calendar', fields: mock.columns }] });
+        return;
+      }
+
+      if (req.method !== 'PATCH' || req.url !== '/v0/appTest/Media%20Calendar') {
+        send(404, { error: 'NOT_FOUND' });
+        return;
+      }
+
+      if (mock.failures.length > 0) {
+        const failure = mock.failures.shift();
+        send(failure.status, { error: { type: 'SERVER_ERROR', message: failure.message || 'Mock failure' } });
+        return;
+      }
+
+      if (body.records.length > 10) {
+        send(422, { error: { type: 'INVALID_RECORDS', message: 'Too many records' } });
+        return;
+      }
+      if (body.records.some(record => !record.fields.Title)) {
+        send(422, { error: { type: 'INVALID_VALUE_FOR_COLUMN', message: 'Field "Title" cannot be empty' } });
+        return;
+      }
+
+      const [mergeOn] = body.performUpsert.fieldsToMergeOn;
+      const result = { records: [], createdRecords: [], updatedRecords: [] };
+      body.records.forEach(({ fields }) => {
+        let row = mock.rows.find(candidate => candidate.fields[mergeOn] === fields[mergeOn]);
+        if (row) {
+          Object.assign(row.fields, fields);
+          result.updatedRecords.push(row.id);
+        } else {
+          row = { id: `rec${mock.rows.length + 1}`, fields: { ...fields } };
+          mock.rows.push(row);
+          result.createdRecords.push(row.id);
+        }
+        result.records.push(row);
+      });
+      send(200, result);
+    });
+  });
+
+  return mock;
+}
+
+function makeOpportunities(count, prefix = 'sb') {
+  return Array.from({ length: count }, (_, index) => ({
+    externalId: `${prefix}-${index}`,
+    title: `Opportunity ${index}`,
+    source: 'SourceBottle'
+  }));
+}
+
+describe('Airtable export', () => {
+  let mock;
+  let settings;
+  let exporter;
+
+  beforeAll(done => {
+    mock = createMockAirtable();
+    mock.server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    mock.server.close(done);
+  });
+
+  beforeEach(() => {
+    mock.rows = [];
+    mock.requests = [];
+    mock.failures = [];
+    settings = {
+      apiKey: 'patTest',
+      baseId: 'appTest',
+      table: 'Media Calendar',
+      apiUrl: `http://127.0.0.1:${mock.server.address().port}/v0`
+    };
+    exporter = new AirtableExporter({ fetch: httpFetch, requestInterval: 0 });
+  });
+
+  test('converts values for each column type', () => {
+    expect(toAirtableValue(['a', 'b'], 'singleLineText')).toBe('a, b');
+    expect(toAirtableValue('', 'singleSelect')).toBeNull();
+    expect(toAirtableValue('fintech, startups', 'multipleSelects')).toEqual(['fintech', 'startups']);
+    expect(toAirtableValue('2025-07-10', 'dateTime')).toBe('2025-07-10T00:00:00.000Z');
+    expect(toAirtableValue('soon', 'dateTime')).toBeNull();
+    expect(toAirtableValue('85', 'number')).toBe(85);
+    expect(toAirtableValue(0, 'checkbox')).toBe(false);
+  });
+
+  test('the upsert key stays in the mapping even if removed', () => {
+    const { mapping } = normalizeAirtableSettings({ mapping: [{ field: 'title', column: 'Title', type: 'singleLineText' }] });
+    expect(mapping.map(row => row.field)).toEqual(['title', 'externalId']);
+  });
+
+  test('sends 10-record upserts and updates rows on re-export', async () => {
+    const opportunities = makeOpportunities(23);
+
+    const first = await exporter.export(opportunities, settings);
+    const writes = mock.requests.filter(request => request.method === 'PATCH');
+
+    expect(first).toMatchObject({ created: 23, updated: 0, failed: [], retryable: [] });
+    expect(writes.map(request => request.body.records.length)).toEqual([10, 10, 3]);
+    expect(writes[0].body.performUpsert).toEqual({ fieldsToMergeOn: ['External ID'] });
+    expect(writes[0].body.typecast).toBe(true);
+    expect(writes[0].headers.authorization).toBe('Bearer patTest');
+
+    const second = await exporter.export(opportunities.map(opp => ({ ...opp, category: 'Technology' })), settings);
+    expect(second).toMatchObject({ created: 0, updated: 23 });
+    expect(mock.rows).toHaveLength(23);
+    expect(mock.rows[0].fields.Category).toBe('Technology');
+  });
+
+  test('a rejected batch is re-sent record by record so each failure is reported', async () => {
+    const opportunities = makeOpportunities(4);
+    opportunities[2].title = '';
+
+    const result = await exporter.export(opportunities, settings);
+
+    expect(result.created).toBe(3);
+    expect(result.failed).toEqual([{
+      id: 'sb-2',
+      title: '',
+      error: 'Airtable API error (422): Field "Title" cannot be empty'
+    }]);
+    expect(mock.rows.map(row => row.fields['External ID'])).toEqual(['sb-0', 'sb-1', 'sb-3']);
+  });
+
+  test('collapses repeated externalIds and reports opportunities without one', async () => {
+    const result = await exporter.export([
+      { externalId: 'sb-1', title: 'First copy' },
+      { title: 'No ID at all' },
+      { externalId: 'sb-1', title: 'Second copy' }
+    ], settings);
+
+    expect(result.created).toBe(1);
+    expect(mock.rows[0].fields.Title).toBe('Second copy');
+    expect(result.failed).toEqual([{ id: null, title: 'No ID at all', error: 'Opportunity has no externalId or id' }]);
+  });
+
+  test('server errors leave the whole batch to retry', async () => {
+    mock.failures.push({ status: 503 });
+    const opportunities = makeOpportunities(12);
+
+    const result = await exporter.export(opportunities, settings);
+
+    expect(result.retryable).toEqual(opportunities.slice(0, 10));
+    expect(result.created).toBe(2);
+  });
+
+  test('the connection test checks the table has every mapped column', async () => {
+    mock.columns = DEFAULT_AIRTABLE_MAPPING.map(row => ({ name: row.column, type: row.type }));
+    expect(await exporter.testConnection(settings)).toMatchObject({ success: true });
+
+    mock.columns = mock.columns.filter(column => column.name !== 'Tags');
+    const result = await exporter.testConnection(settings);
+    expect(result.success).toBe(false);
+    expect(result.message).toContain('missing columns: "Tags"');
+
+    expect((await exporter.testConnection({ ...settings, table: 'Nope' })).message).toContain('no table "Nope"');
+  });
+
+  test('through the integrations manager, failed batches are queued and retried', async () => {
+    global.extension.reset();
+    chrome.storage.local.set({ [AIRTABLE_SETTINGS_KEY]: settings });
+    const originalFetch = airtableExporter.fetch;
+    const originalDelay = integrationsManager.retryDelay;
+    airtableExporter.fetch = httpFetch;
+    airtableExporter.requestInterval = 0;
+    integrationsManager.retryDelay = 10;
+    mock.failures.push({ status: 500 });
+
+    try {
+      const result = await integrationsManager.exportToAirtable(makeOpportunities(3));
+      expect(result).toMatchObject({ success: false, created: 0, queued: 3 });
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      expect(integrationsManager.getPendingRetryCount()).toBe(0);
+      expect(mock.rows).toHaveLength(3);
+    } finally {
+      airtableExporter.fetch = originalFetch;
+      airtableExporter.requestInterval = 250;
+      integrationsManager.retryDelay = originalDelay;
+    }
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for saved-search alert rules
+ */
+
+import {
+  AlertRuleManager,
+  ALERT_RULES_KEY,
+  DEFAULT_ALERT_COLOR,
+  normalizeAlertRule,
+  matchesAlertRule,
+  evaluateAlertRules
+} from '../../modules/alertRules.js';
+import { createStorage } from '../memory-storage.js';
+
+const HOUR = 3600000;
+const NOW = Date.parse('2025-07-01T00:00:00.000Z');
+
+const keywordGroups = {
+  funding: { weight: 1.5, terms: ['seed round', 'series a', 'venture capital'] }
+};
+
+/**
+ * An opportunity closing `hours` after NOW
+ */
+function opportunity(fields, hours = 72) {
+  return {
+    id: fields.id || 'opp',
+    title: 'Experts wanted',
+    description: '',
+    source: 'Qwoted',
+    deadlineAt: new Date(NOW + hours * HOUR).toISOString(),
+    ...fields
+  };
+}
+
+const fundingRule = normalizeAlertRule({
+  id: 'rule-1',
+  name: 'Qwoted funding',
+  conditions: [
+    { type: 'source', value: 'qwoted' },
+    { type: 'keywordGroup', value: 'funding' },
+    { type: 'deadlineMoreThan', value: '48' },
+    { type: 'outlet', value: 'Forbes, TechCrunch' }
+  ]
+});
+
+describe('alert rule matching', () => {
+  const context = { keywordGroups, now: NOW };
+
+  test('a rule matches when all its conditions do', () => {
+    const match = opportunity({ description: 'Founders who closed a Series A', brandName: 'TechCrunch' });
+    expect(matchesAlertRule(fundingRule, match, context)).toBe(true);
+
+    expect(matchesAlertRule(fundingRule, { ...match, source: 'Featured' }, context)).toBe(false);
+    expect(matchesAlertRule(fundingRule, { ...match, description: 'Series on remote work' }, context)).toBe(false);
+    expect(matchesAlertRule(fundingRule, { ...match, brandName: 'Vogue' }, context)).toBe(false);
+    const soon = new Date(NOW + 24 * HOUR).toISOString();
+    expect(matchesAlertRule(fundingRule, { ...match, deadlineAt: soon }, context)).toBe(false);
+    expect(matchesAlertRule(fundingRule, { ...match, deadlineAt: null, deadline: null }, context)).toBe(false);
+  });
+
+  test('an any-rule matches on one condition and reads platform field names', () => {
+    const rule = normalizeAlertRule({
+      name: 'Words',
+      match: 'any',
+      conditions: [{ type: 'keyword', value: 'podcast, startup founder' }, { type: 'deadlineWithin', value: '12' }]
+    });
+
+    expect(matchesAlertRule(rule, opportunity({ question: 'Startup founder stories?', title: null }), context)).toBe(true);
+    expect(matchesAlertRule(rule, opportunity({}, 6), context)).toBe(true);
+    expect(matchesAlertRule(rule, opportunity({ title: 'Podcasting tips' }), context)).toBe(false);
+  });
+
+  test('evaluateAlertRules reports each enabled rule with its matches', () => {
+    const opportunities = [
+      opportunity({ id: 'a', description: 'Raised a seed round?', mediaOutlet: 'Forbes' }),
+      opportunity({ id: 'b', category: 'Technology' })
+    ];
+    const rules = [
+      fundingRule,
+      { id: 'rule-2', name: 'Tech', badgeColor: '#2196F3', conditions: [{ type: 'category', value: 'technology' }] },
+      { id: 'rule-3', name: 'Off', enabled: false, conditions: [{ type: 'source', value: 'qwoted' }] }
+    ];
+
+    const matches = evaluateAlertRules(rules, opportunities, context);
+
+    expect(matches.map(({ rule, opportunities: matched }) => [rule.id, matched.map(opp => opp.id)]))
+      .toEqual([['rule-1', ['a']], ['rule-2', ['b']]]);
+    expect(matches[1].rule.badgeColor).toBe('#2196F3');
+    expect(matches[0].rule.badgeColor).toBe(DEFAULT_ALERT_COLOR);
+  });
+});
+
+describe('AlertRuleManager', () => {
+  test('saves, renames and deletes rules', async () => {
+    const storage = createStorage();
+    const manager = new AlertRuleManager({ storage });
+
+    const saved = await manager.saveRule({
+      name: ' Funding ',
+      conditions: [{ type: 'keywordGroup', value: 'funding' }, { type: 'unknown', value: 'x' }, { type: 'outlet', value: '' }]
+    });
+    expect(saved).toMatchObject({ name: 'Funding', enabled: true, match: 'all', conditions: [{ type: 'keywordGroup', value: 'funding' }] });
+    expect(saved.id).toMatch(/^rule-/);
+
+    await manager.saveRule({ ...saved, name: 'Funding news' });
+    expect((await manager.getRules()).map(rule => rule.name)).toEqual(['Funding news']);
+
+    await expect(manager.saveRule({ name: 'Funding news', conditions: saved.conditions })).rejects.toThrow('already a rule');
+    await expect(manager.saveRule({ name: 'Empty', conditions: [] })).rejects.toThrow('at least one condition');
+    await expect(manager.saveRule({ conditions: saved.conditions })).rejects.toThrow('name');
+
+    await manager.deleteRule(saved.id);
+    expect(storage.values[ALERT_RULES_KEY]).toEqual([]);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for deadline reminders and their ledger
+ */
+
+import {
+  DeadlineReminders,
+  REMINDER_LEDGER_KEY,
+  getDueReminders,
+  normalizeLeadTimes,
+  getReminderOpportunityId
+} from '../../modules/deadlineReminders.js';
+import { createStorage } from '../memory-storage.js';
+
+const HOUR = 3600000;
+const NOW = Date.parse('2025-07-01T00:00:00.000Z');
+
+/**
+ * An opportunity closing `hours` after NOW
+ */
+function opportunityDue(id, hours, status = 'shortlisted') {
+  return {
+    id,
+    title: `Opportunity ${id}`,
+    status,
+    deadlineAt: new Date(NOW + hours * HOUR).toISOString()
+  };
+}
+
+/**
+ * Fake storage whose values outlive any one DeadlineReminders instance
+ */
+function createReminderStorage(opportunities) {
+  return { ...createStorage(), getOpportunities: jest.fn(async () => opportunities) };
+}
+
+function createNotifier() {
+  return { create: jest.fn(async () => {}), clear: jest.fn(async () => {}) };
+}
+
+describe('getDueReminders', () => {
+  test('reminds about shortlisted and pitched opportunities only', () => {
+    const opportunities = [
+      opportunityDue('a', 20),
+      opportunityDue('b', 20, 'pitched'),
+      opportunityDue('c', 20, 'new'),
+      opportunityDue('d', 20, 'published'),
+      opportunityDue('e', 30),
+      opportunityDue('f', -1)
+    ];
+    const { reminders, ledger } = getDueReminders(opportunities, {}, { now: NOW });
+
+    expect(reminders.map(reminder => [reminder.opportunity.id, reminder.leadTime])).toEqual([['a', 24], ['b', 24]]);
+    expect(ledger.a).toEqual({ deadlineAt: opportunities[0].deadlineAt, fired: [24], snoozedUntil: null, dismissed: false });
+    // Closed opportunities are dropped from the ledger
+    expect(ledger.f).toBeUndefined();
+  });
+
+  test('keeps opportunities in other stages out of the ledger', () => {
+    const dismissed = { deadlineAt: new Date(NOW + 20 * HOUR).toISOString(), fired: [24], snoozedUntil: null, dismissed: true };
+    const { ledger } = getDueReminders([
+      opportunityDue('a', 20),
+      opportunityDue('c', 20, 'new'),
+      opportunityDue('d', 20, 'published')
+    ], { d: dismissed }, { now: NOW });
+
+    expect(Object.keys(ledger).sort()).toEqual(['a', 'd']);
+    // An entry from an earlier stage is carried over untouched
+    expect(ledger.d).toBe(dismissed);
+  });
+
+  test('sends only the most urgent lead time reached and each lead time once', () => {
+    const opportunities = [opportunityDue('a', 3)];
+    const first = getDueReminders(opportunities, {}, { now: NOW });
+    expect(first.reminders.map(reminder => reminder.leadTime)).toEqual([4]);
+    expect(first.ledger.a.fired).toEqual([24, 4]);
+
+    expect(getDueReminders(opportunities, first.ledger, { now: NOW + HOUR }).reminders).toEqual([]);
+
+    const last = getDueReminders(opportunities, first.ledger, { now: NOW + 2.5 * HOUR });
+    expect(last.reminders.map(reminder => reminder.leadTime)).toEqual([1]);
+  });
+
+  test('starts over when the deadline changes', () => {
+    const { ledger } = getDueReminders([opportunityDue('a', 3)], {}, { now: NOW });
+    const moved = opportunityDue('a', 20);
+    expect(getDueReminders([moved], ledger, { now: NOW }).reminders).toHaveLength(1);
+  });
+
+  test('uses the lead times from settings', () => {
+    expect(normalizeLeadTimes('1, 48,abc, 1')).toEqual([48, 1]);
+    expect(normalizeLeadTimes()).toEqual([24, 4, 1]);
+    const { reminders } = getDueReminders([opportunityDue('a', 40)], {}, { now: NOW, leadTimes: [48, 2] });
+    expect(reminders.map(reminder => reminder.leadTime)).toEqual([48]);
+  });
+});
+
+describe('DeadlineReminders', () => {
+  test('the persisted ledger stops a restarted worker reminding again', async () => {
+    const storage = createReminderStorage([opportunityDue('a', 20)]);
+    const notifier = createNotifier();
+
+    await new DeadlineReminders({ storage, notifier }).run({ now: NOW });
+    expect(notifier.create).toHaveBeenCalledTimes(1);
+    expect(notifier.create.mock.calls[0][0]).toBe('deadline-reminder-a');
+    expect(notifier.create.mock.calls[0][1]).toMatchObject({
+      title: 'Deadline in under 24 hours',
+      buttons: [{ title: 'Snooze 1 hour' }, { title: 'Dismiss' }]
+    });
+    expect(storage.values[REMINDER_LEDGER_KEY].a.fired).toEqual([24]);
+
+    // A new instance stands in for the service worker starting again
+    await new DeadlineReminders({ storage, notifier }).run({ now: NOW + 5 * 60000 });
+    expect(notifier.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('snooze reminds again when it ends and dismiss stops reminders', async () => {
+    const storage = createReminderStorage([opportunityDue('a', 20)]);
+    const notifier = createNotifier();
+    const reminders = new DeadlineReminders({ storage, notifier });
+
+    await reminders.run({ now: NOW });
+    await reminders.snooze(getReminderOpportunityId('deadline-reminder-a'), { now: NOW });
+    expect(notifier.clear).toHaveBeenCalledWith('deadline-reminder-a');
+
+    await reminders.run({ now: NOW + 30 * 60000 });
+    expect(notifier.create).toHaveBeenCalledTimes(1);
+    await reminders.run({ now: NOW + 61 * 60000 });
+    expect(notifier.create).toHaveBeenCalledTimes(2);
+    expect(storage.values[REMINDER_LEDGER_KEY].a.snoozedUntil).toBeNull();
+
+    await reminders.dismiss('a');
+    await reminders.run({ now: NOW + 17 * HOUR });
+    expect(notifier.create).toHaveBeenCalledTimes(2);
+    expect(storage.values[REMINDER_LEDGER_KEY].a.dismissed).toBe(true);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the daily/weekly digest
+ */
+
+import {
+  DigestManager,
+  DIGESTS_KEY,
+  buildDigest,
+  getNextDigestTime,
+  renderDigestMarkdown,
+  renderDigestHtml
+} from '../../modules/digest.js';
+
+const NOW = new Date('2025-07-02T08:00:00.000Z');
+
+const opportunities = [
+  {
+    id: 'sb-1',
+    title: 'Cybersecurity experts',
+    description: 'Comment on <script> attacks',
+    url: 'https://www.sourcebottle.com/query.asp?iid=1',
+    source: 'SourceBottle',
+    mediaOutlet: 'Tech Weekly',
+    deadlineAt: '2025-07-05T17:00:00+10:00',
+    deadline: '5 July 2025 @ 5pm',
+    firstSeenAt: '2025-07-01T10:00:00.000Z',
+    aiAnalysis: { priority: 8, summary: 'Strong fit for security founders' }
+  },
+  {
+    id: 'sb-2',
+    title: 'Parenting tips',
+    description: 'Parents of toddlers',
+    url: 'https://www.sourcebottle.com/query.asp?iid=2',
+    source: 'sourcebottle',
+    firstSeenAt: '2025-07-01T12:00:00.000Z',
+    ai_analysis: { priority: 'low', is_relevant: false }
+  },
+  {
+    id: 'featured-1',
+    question: 'What is your best hiring advice?',
+    source: 'Featured',
+    publication: 'Forbes',
+    firstSeenAt: '2025-07-02T07:00:00.000Z'
+  },
+  {
+    id: 'qw-old',
+    title: 'Already in the last digest',
+    source: 'Qwoted',
+    firstSeenAt: '2025-06-30T07:00:00.000Z'
+  }
+];
+
+describe('buildDigest', () => {
+  test('groups opportunities new since the last digest by platform and priority', () => {
+    const digest = buildDigest(opportunities, { since: '2025-07-01T08:00:00.000Z', now: NOW });
+
+    expect(digest.count).toBe(3);
+    expect(digest.statistics).toMatchObject({ total: 3, highPriority: 1, lowPriority: 1 });
+    expect(digest.platforms.map(({ platform, priorities }) =>
+      [platform, priorities.map(({ priority, opportunities: entries }) => [priority, entries.map(entry => entry.id)])]
+    )).toEqual([
+      ['Featured', [['unscored', ['featured-1']]]],
+      ['SourceBottle', [['high', ['sb-1']], ['low', ['sb-2']]]]
+    ]);
+
+    const [featured] = digest.platforms[0].priorities[0].opportunities;
+    expect(featured).toMatchObject({ title: 'What is your best hiring advice?', outlet: 'Forbes', stage: 'New' });
+    expect(digest.platforms[1].priorities[0].opportunities[0].summary).toBe('Strong fit for security founders');
+  });
+
+  test('renders HTML with escaped text and Markdown with AI summaries', () => {
+    const digest = buildDigest(opportunities, { since: '2025-07-01T08:00:00.000Z', now: NOW, frequency: 'weekly' });
+
+    const html = renderDigestHtml(digest);
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>Weekly digest · ');
+    expect(html).toContain('<a href="https://www.sourcebottle.com/query.asp?iid=1"');
+    expect(html).toContain('Parents of toddlers');
+    expect(html).not.toContain('<script>');
+
+    const markdown = renderDigestMarkdown(digest);
+    expect(markdown).toContain('3 new opportunities · 1 high priority · 1 low priority');
+    expect(markdown).toContain('## SourceBottle (2)');
+    expect(markdown).toContain('### High priority');
+    expect(markdown).toContain('- **[Cybersecurity experts](<https://www.sourcebottle.com/query.asp?iid=1>)** — Tech Weekly · due 5 July 2025 @ 5pm · New');
+    expect(markdown).toContain('  *AI summary:* Strong fit for security founders');
+  });
+});
+
+describe('digest schedule', () => {
+  test('daily digests run at the set time and weekly ones on the set day', () => {
+    const now = new Date(2025, 6, 2, 9, 0); // Wednesday
+    expect(getNextDigestTime({ enabled: false }, now)).toBeNull();
+    expect(getNextDigestTime({ enabled: true, time: '08:00' }, now)).toEqual(new Date(2025, 6, 3, 8, 0));
+    expect(getNextDigestTime({ enabled: true, frequency: 'weekly', day: 'mon', time: '07:30' }, now))
+      .toEqual(new Date(2025, 6, 7, 7, 30));
+  });
+});
+
+describe('DigestManager', () => {
+  test('each digest picks up where the last one ended', async () => {
+    const values = {};
+    const storage = {
+      getOpportunities: jest.fn(async () => opportunities),
+      get: jest.fn(async key => values[key]),
+      set: jest.fn(async (key, value) => {
+        values[key] = value;
+      })
+    };
+    const manager = new DigestManager({ storage });
+
+    // The first digest covers the last day
+    const first = await manager.createDigest({ now: new Date('2025-07-02T06:00:00.000Z') });
+    expect(first.count).toBe(2);
+
+    const second = await manager.createDigest({ now: NOW });
+    expect(second.since).toBe(first.createdAt);
+    expect(second.platforms.map(group => group.platform)).toEqual(['Featured']);
+    expect(values[DIGESTS_KEY].map(digest => digest.id)).toEqual([second.id, first.id]);
+  });
+});
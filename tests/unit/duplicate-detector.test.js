@@ -0,0 +1,142 @@
+/**
+ * Unit tests for cross-platform duplicate detection
+ */
+
+import {
+  tokenize,
+  jaccardSimilarity,
+  cosineSimilarity,
+  normalizeOutlet,
+  loadCachedEmbeddings,
+  findDuplicateClusters,
+  mergeDuplicateCluster,
+  collapseDuplicates
+} from '../../modules/duplicateDetector.js';
+
+const sourceBottle = {
+  id: 'query.asp?iqid=1',
+  source: 'SourceBottle',
+  title: 'Small business owners: how do you manage cash flow in a downturn?',
+  description: 'Writing a feature on cash flow management for small business owners during a downturn.',
+  publication: 'The Guardian',
+  deadline: '12 July 2025',
+  url: 'https://www.sourcebottle.com/query.asp?iqid=1'
+};
+
+const qwoted = {
+  id: 'https://app.qwoted.com/source_requests/99',
+  source: 'Qwoted',
+  title: 'How small business owners manage cash flow during a downturn',
+  description: 'Feature on small business cash flow management in a downturn.',
+  publication: 'theguardian.com',
+  deadline: 'Jul 11th, 2025',
+  url: 'https://app.qwoted.com/source_requests/99',
+  aiAnalysis: { relevanceScore: 90 }
+};
+
+const unrelated = {
+  id: 'featured-abc',
+  source: 'Featured',
+  title: 'Best hiking trails for families',
+  description: 'Travel editors want family-friendly hiking trail suggestions.',
+  publication: 'Lonely Planet'
+};
+
+describe('Duplicate detector helpers', () => {
+  test('tokenize drops short and stop words', () => {
+    expect(Array.from(tokenize('How do YOU manage cash-flow?'))).toEqual(['manage', 'cash', 'flow']);
+  });
+
+  test('jaccardSimilarity and cosineSimilarity', () => {
+    expect(jaccardSimilarity(new Set(['a', 'b']), new Set(['b', 'c']))).toBeCloseTo(1 / 3);
+    expect(jaccardSimilarity(new Set(), new Set(['a']))).toBe(0);
+    expect(cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+    expect(cosineSimilarity([1], [1, 2])).toBe(0);
+  });
+
+  test('normalizeOutlet treats names and domains alike', () => {
+    expect(normalizeOutlet('The Guardian')).toBe(normalizeOutlet('theguardian.com'));
+    expect(normalizeOutlet(undefined)).toBe('');
+  });
+});
+
+describe('findDuplicateClusters', () => {
+  test('clusters reworded copies of the same query across platforms', () => {
+    const clusters = findDuplicateClusters([sourceBottle, qwoted, unrelated]);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].map(opp => opp.source)).toEqual(['Qwoted', 'SourceBottle']);
+  });
+
+  test('never merges copies from the same platform', () => {
+    const clusters = findDuplicateClusters([sourceBottle, { ...sourceBottle, id: 'query.asp?iqid=2' }]);
+    expect(clusters).toHaveLength(0);
+  });
+
+  test('different outlets or distant deadlines rule a match out', () => {
+    expect(findDuplicateClusters([sourceBottle, { ...qwoted, publication: 'Forbes' }])).toHaveLength(0);
+    expect(findDuplicateClusters([sourceBottle, { ...qwoted, deadline: '30 August 2025' }])).toHaveLength(0);
+  });
+
+  test('embeddings can link copies whose wording barely overlaps', () => {
+    const reworded = { ...qwoted, title: 'Liquidity tactics for SMEs', description: 'Recession-era liquidity advice for SME founders.' };
+    expect(findDuplicateClusters([sourceBottle, reworded])).toHaveLength(0);
+
+    const embeddings = new Map([
+      [sourceBottle.id, [0.9, 0.1, 0.4]],
+      [reworded.id, [0.88, 0.12, 0.41]]
+    ]);
+    expect(findDuplicateClusters([sourceBottle, reworded], { embeddings })).toHaveLength(1);
+  });
+
+  test('matches deadlines on the normalized deadlineAt when there is one', () => {
+    const countdown = { ...qwoted, deadline: '7d 15h', deadlineAt: '2025-07-11T23:59:00+00:00' };
+    expect(findDuplicateClusters([sourceBottle, countdown])).toHaveLength(1);
+    expect(findDuplicateClusters([sourceBottle, { ...countdown, deadlineAt: '2025-08-30T23:59:00+00:00' }])).toHaveLength(0);
+  });
+
+  test('skips words shared by too many copies to say anything', () => {
+    const copies = Array.from({ length: 4 }, (_, index) => ({
+      id: `copy-${index}`,
+      source: index % 2 ? 'Qwoted' : 'Featured',
+      title: 'Cash flow'
+    }));
+
+    expect(findDuplicateClusters(copies)).toHaveLength(1);
+    expect(findDuplicateClusters(copies, { maxCandidateGroup: 3 })).toHaveLength(0);
+  });
+});
+
+describe('Merging duplicates', () => {
+  test('mergeDuplicateCluster keeps the analyzed copy and lists every source', () => {
+    const merged = mergeDuplicateCluster([sourceBottle, qwoted]);
+
+    expect(merged.id).toBe(qwoted.id);
+    expect(merged.duplicateIds).toEqual([sourceBottle.id]);
+    expect(merged.sources).toEqual([
+      { id: sourceBottle.id, source: 'SourceBottle', url: sourceBottle.url, title: sourceBottle.title },
+      { id: qwoted.id, source: 'Qwoted', url: qwoted.url, title: qwoted.title }
+    ]);
+  });
+
+  test('collapseDuplicates replaces each cluster with one merged card in place', () => {
+    const collapsed = collapseDuplicates([sourceBottle, unrelated, qwoted]);
+
+    expect(collapsed).toHaveLength(2);
+    expect(collapsed[0].sources).toHaveLength(2);
+    expect(collapsed[1]).toBe(unrelated);
+  });
+
+  test('loadCachedEmbeddings reads the cache without generating anything', async () => {
+    const cache = {
+      getEmbedding: jest.fn(async text => (text.startsWith('Small') ? [1, 0] : null))
+    };
+
+    const embeddings = await loadCachedEmbeddings([sourceBottle, qwoted], cache);
+
+    expect(Array.from(embeddings.keys())).toEqual([sourceBottle.id]);
+    expect(cache.getEmbedding).toHaveBeenCalledWith(expect.any(String));
+    expect(cache.getEmbedding.mock.calls[0]).toHaveLength(1);
+  });
+});
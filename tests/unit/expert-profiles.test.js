@@ -0,0 +1,128 @@
+/**
+ * Unit tests for expert profiles and per-expert matching
+ */
+
+import {
+  ExpertProfileManager,
+  EXPERT_PROFILES_KEY,
+  normalizeExpertProfile,
+  scoreExpert,
+  rankExperts,
+  getBestExpert,
+  describeExpert
+} from '../../modules/expertProfiles.js';
+import { createStorage } from '../memory-storage.js';
+
+const keywordGroups = {
+  funding: { weight: 1.5, terms: ['seed round', 'series a', 'venture capital'] },
+  health: { weight: 1, terms: ['nutrition', 'sleep'] }
+};
+
+const fintech = normalizeExpertProfile({
+  id: 'expert-1',
+  name: 'Jane (fintech founder)',
+  bio: 'Founded two payments startups',
+  expertise: 'payments, fintech, Payments',
+  keywordGroupWeights: { funding: 2, health: 0 },
+  excludedTopics: ['crypto'],
+  preferredOutlets: ['Forbes']
+});
+
+const dietitian = normalizeExpertProfile({
+  id: 'expert-2',
+  name: 'Sam (dietitian)',
+  expertise: ['nutrition', 'gut health'],
+  keywordGroupWeights: { health: '1' }
+});
+
+describe('expert matching', () => {
+  test('expertise keywords, weighted keyword groups and preferred outlets add to the score', () => {
+    expect(fintech.expertise).toEqual(['payments', 'fintech']);
+    expect(fintech.keywordGroupWeights).toEqual({ funding: 2 });
+
+    const opportunity = {
+      id: 'qw-1',
+      question: 'Fintech founders: how did you close your seed round?',
+      publication: 'Forbes'
+    };
+    const result = scoreExpert(opportunity, fintech, { keywordGroups });
+
+    // 1 keyword + 2 for the funding group + 1 for the outlet = 4 points
+    expect(result).toEqual({
+      profileId: 'expert-1',
+      name: 'Jane (fintech founder)',
+      score: 67,
+      excluded: false,
+      reasons: ['Expertise: fintech', 'Keyword group: funding', 'Preferred outlet: Forbes']
+    });
+    expect(scoreExpert({ title: 'Best sleep routines' }, fintech, { keywordGroups }).score).toBe(0);
+  });
+
+  test('an excluded topic rules the expert out', () => {
+    const result = scoreExpert({ title: 'Fintech and crypto payments' }, fintech, { keywordGroups });
+    expect(result).toMatchObject({ score: 0, excluded: true, reasons: ['Mentions excluded topic "crypto"'] });
+  });
+
+  test('ranks every expert and picks the best one above the threshold', () => {
+    const opportunity = { title: 'Nutrition tips for busy fintech teams' };
+    const ranking = rankExperts(opportunity, [fintech, dietitian], { keywordGroups });
+
+    expect(ranking.map(entry => [entry.profileId, entry.score])).toEqual([['expert-2', 50], ['expert-1', 33]]);
+    expect(getBestExpert(ranking).name).toBe('Sam (dietitian)');
+    expect(getBestExpert(rankExperts({ title: 'Travel deals' }, [fintech, dietitian], { keywordGroups }))).toBeNull();
+  });
+
+  test('describes the expert for AI prompts', () => {
+    expect(describeExpert(fintech)).toBe([
+      'Name: Jane (fintech founder)',
+      'Bio: Founded two payments startups',
+      'Expertise: payments, fintech',
+      'Preferred outlets: Forbes',
+      'Won\'t comment on: crypto'
+    ].join('\n'));
+    expect(describeExpert(null)).toContain('No expert profile');
+  });
+});
+
+describe('ExpertProfileManager', () => {
+  test('moves the old single user profile over the first time', async () => {
+    const storage = createStorage({
+      settings: { userProfile: { industry: 'Technology', bio: 'I build apps', interests: ['ai', 'startups'] } }
+    });
+    const profiles = await new ExpertProfileManager({ storage }).getProfiles();
+
+    expect(profiles).toEqual([{
+      id: 'expert-default',
+      name: 'Technology expert',
+      bio: 'I build apps',
+      expertise: ['ai', 'startups'],
+      keywordGroupWeights: {},
+      excludedTopics: [],
+      preferredOutlets: []
+    }]);
+    expect(storage.values[EXPERT_PROFILES_KEY]).toEqual(profiles);
+
+    // An empty old profile isn't moved
+    expect(await new ExpertProfileManager({ storage: createStorage({ settings: { userProfile: { bio: '' } } }) }).getProfiles()).toEqual([]);
+  });
+
+  test('saves, renames and deletes profiles', async () => {
+    const storage = createStorage();
+    const manager = new ExpertProfileManager({ storage });
+
+    const jane = await manager.saveProfile({ name: 'Jane', expertise: ['fintech'] });
+    const sam = await manager.saveProfile({ name: 'Sam', keywordGroupWeights: { health: 1 } });
+    expect(jane.id).toMatch(/^expert-/);
+    expect(sam.id).not.toBe(jane.id);
+
+    await manager.saveProfile({ ...jane, name: 'Jane Lee' });
+    expect((await manager.getProfiles()).map(profile => profile.name)).toEqual(['Jane Lee', 'Sam']);
+
+    await expect(manager.saveProfile({ name: 'Sam', expertise: ['x'] })).rejects.toThrow('already an expert');
+    await expect(manager.saveProfile({ name: 'Empty', keywordGroupWeights: { health: 0 } })).rejects.toThrow('at least one expertise keyword');
+    await expect(manager.saveProfile({ expertise: ['x'] })).rejects.toThrow('name');
+
+    await manager.deleteProfile(jane.id);
+    expect(storage.values[EXPERT_PROFILES_KEY].map(profile => profile.name)).toEqual(['Sam']);
+  });
+});
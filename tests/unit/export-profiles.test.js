@@ -0,0 +1,111 @@
+/**
+ * Unit tests for export profiles and the CSV they drive
+ */
+
+import {
+  ExportProfileManager,
+  DEFAULT_EXPORT_PROFILE,
+  applyExportProfile,
+  getColumnValue,
+  normalizeExportProfile
+} from '../../modules/exportProfiles.js';
+import { integrationsManager } from '../../modules/integrations.js';
+import { createStorage } from '../memory-storage.js';
+
+const NOW = new Date('2025-07-01T09:00:00Z');
+
+const featured = {
+  id: 'featured-1',
+  question: 'What is your best hiring tip?',
+  publication: 'Inc.',
+  closeDate: '2025-07-10T12:00:00Z',
+  source: 'Featured',
+  status: 'pitched',
+  aiAnalysis: { priority: 8, summary: 'Good fit' }
+};
+
+const qwoted = {
+  id: 'qwoted-1',
+  title: 'Fintech founders wanted',
+  brandName: 'Forbes',
+  hasExpertRequest: true,
+  deadline: '2025-06-30T12:00:00Z',
+  source: 'Qwoted',
+  relevanceScore: 72
+};
+
+describe('export profiles', () => {
+  test('computed columns', () => {
+    expect(getColumnValue(featured, 'daysToDeadline', NOW)).toBe(9);
+    expect(getColumnValue(qwoted, 'daysToDeadline', NOW)).toBe(-1);
+    expect(getColumnValue({ deadline: 'soon' }, 'daysToDeadline', NOW)).toBeNull();
+    expect(getColumnValue(featured, 'aiPriority')).toBe(8);
+    expect(getColumnValue(featured, 'pipelineStage')).toBe('Pitched');
+    expect(getColumnValue({
+      source: 'SourceBottle',
+      sources: [{ source: 'SourceBottle' }, { source: 'Qwoted' }, { source: 'Qwoted' }]
+    }, 'platforms')).toEqual(['SourceBottle', 'Qwoted']);
+  });
+
+  test('platform field names fall back and values become cell text', () => {
+    const { headers, rows } = applyExportProfile([featured, qwoted], {
+      columns: [
+        { field: 'title', header: 'Query' },
+        { field: 'mediaOutlet', header: 'Outlet' },
+        { field: 'hasExpertRequest', header: 'Expert' },
+        { field: 'relevanceScore', header: 'Score' },
+        { field: 'daysToDeadline' }
+      ]
+    }, NOW);
+
+    expect(headers).toEqual(['Query', 'Outlet', 'Expert', 'Score', 'Days to Deadline']);
+    expect(rows).toEqual([
+      ['What is your best hiring tip?', 'Inc.', '', '', '9'],
+      ['Fintech founders wanted', 'Forbes', 'Yes', '72', '-1']
+    ]);
+  });
+
+  test('normalizing drops empty and repeated columns', () => {
+    const { columns } = normalizeExportProfile({
+      columns: [
+        { field: 'title', header: 'Title' },
+        { field: '', header: 'Nothing' },
+        { field: 'title', header: 'Title again' },
+        { field: 'category', header: 'Title' },
+        { field: 'deadline', header: ' ' }
+      ]
+    });
+    expect(columns).toEqual([{ field: 'title', header: 'Title' }, { field: 'deadline', header: 'deadline' }]);
+  });
+
+  test('profiles are saved by name and assigned per target', async () => {
+    const storage = createStorage();
+    const manager = new ExportProfileManager({ storage });
+
+    expect(await manager.getProfileForTarget('csv')).toBe(DEFAULT_EXPORT_PROFILE);
+
+    const saved = await manager.saveProfile({ name: 'Short', columns: [{ field: 'title', header: 'Title' }] });
+    await manager.setTargetProfile('csv', saved.id);
+    expect((await manager.getProfiles()).map(profile => profile.name)).toEqual(['Default', 'Short']);
+    expect(await manager.getTargets()).toEqual({ csv: saved.id, xlsx: 'default', sheets: 'default' });
+    expect((await manager.getProfileForTarget('csv')).name).toBe('Short');
+
+    await expect(manager.saveProfile({ name: 'Short', columns: [{ field: 'url' }] })).rejects.toThrow('already a profile');
+    await expect(manager.saveProfile({ ...DEFAULT_EXPORT_PROFILE })).rejects.toThrow('default profile');
+    await expect(manager.saveProfile({ name: 'Empty', columns: [] })).rejects.toThrow('at least one column');
+
+    await manager.deleteProfile(saved.id);
+    expect(await manager.getProfileForTarget('csv')).toBe(DEFAULT_EXPORT_PROFILE);
+  });
+
+  test('CSV keeps the old columns by default and follows a profile', () => {
+    const defaultCsv = integrationsManager._generateCSV([{ ...qwoted, description: 'Say "hi", briefly' }]);
+    expect(defaultCsv.split('\n')[0]).toBe('"Title","Description","Category","Deadline","Source","Media Outlet","Journalist","Link"');
+    expect(defaultCsv.split('\n')[1]).toContain('"Say ""hi"", briefly"');
+
+    const csv = integrationsManager._generateCSV([featured], {
+      columns: [{ field: 'closeDate', header: 'Closes' }, { field: 'aiPriority', header: 'Priority' }]
+    });
+    expect(csv).toBe('"Closes","Priority"\n"2025-07-10T12:00:00Z","8"\n');
+  });
+});
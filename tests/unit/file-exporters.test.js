@@ -0,0 +1,179 @@
+/**
+ * Unit tests for the file exporters and the integrations manager's exporter registry
+ */
+
+import zlib from 'zlib';
+import {
+  buildJson,
+  buildNdjson,
+  buildMarkdownDigest,
+  buildXlsxWorkbook,
+  getPlatformName
+} from '../../modules/fileExporters.js';
+import { toSheetName } from '../../modules/xlsxWriter.js';
+import { integrationsManager } from '../../modules/integrations.js';
+
+const NOW = new Date('2025-07-01T09:00:00Z');
+
+const opportunities = [
+  {
+    id: 'sb-1',
+    title: 'Experts on #remote work & [hybrid] teams',
+    description: 'Looking for CEOs with 100% remote teams',
+    mediaOutlet: 'The Australian',
+    deadline: '2025-07-04T07:00:00Z',
+    source: 'sourcebottle',
+    url: 'https://www.sourcebottle.com/query.asp?iid=1#top',
+    aiAnalysis: { priority: 9, summary: 'Strong fit', keyPoints: ['remote', 'teams'] }
+  },
+  {
+    id: 'featured-1',
+    question: 'What is your best hiring tip?',
+    publication: 'Inc.',
+    closeDate: '2025-07-10T12:00:00Z',
+    source: 'Featured',
+    status: 'pitched'
+  },
+  {
+    id: 'sb-2',
+    title: 'Budget travel tips',
+    description: 'x'.repeat(400),
+    deadline: '2025-07-02T07:00:00Z',
+    source: 'SourceBottle'
+  }
+];
+
+/**
+ * Read the stored entries of a zip, checking each CRC
+ * @param {Uint8Array} bytes - Zip bytes
+ * @returns {Object<string, string>} Entry text by name
+ */
+function readZip(bytes) {
+  const buffer = Buffer.from(bytes);
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034B50) {
+    const crc = buffer.readUInt32LE(offset + 14);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const data = buffer.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+    expect(zlib.crc32(data)).toBe(crc);
+    entries[name] = data.toString('utf8');
+    offset += 30 + nameLength + size;
+  }
+  expect(buffer.readUInt32LE(buffer.length - 22)).toBe(0x06054B50);
+  return entries;
+}
+
+/**
+ * Read a Blob as text (jsdom's Blob has no text())
+ * @param {Blob} blob - Blob
+ * @returns {Promise<string>}
+ */
+function readBlob(blob) {
+  return new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+describe('file exporters', () => {
+  test('JSON and NDJSON keep every field, AI analysis included', () => {
+    const json = JSON.parse(buildJson(opportunities, { now: NOW }));
+    expect(json).toMatchObject({ exportedAt: NOW.toISOString(), count: 3 });
+    expect(json.opportunities).toEqual(opportunities);
+
+    const lines = buildNdjson(opportunities).trimEnd().split('\n');
+    expect(lines).toHaveLength(3);
+    expect(lines.map(line => JSON.parse(line))).toEqual(opportunities);
+  });
+
+  test('XLSX has one sheet per platform with typed cells', () => {
+    const entries = readZip(buildXlsxWorkbook(opportunities, {
+      profile: { columns: [{ field: 'title', header: 'Title' }, { field: 'aiPriority', header: 'Priority' }] },
+      now: NOW
+    }));
+
+    expect(Object.keys(entries)).toEqual([
+      '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml'
+    ]);
+    expect(entries['xl/workbook.xml']).toContain('<sheet name="Featured" sheetId="1" r:id="rId1"/><sheet name="SourceBottle" sheetId="2" r:id="rId2"/>');
+
+    const sourceBottle = entries['xl/worksheets/sheet2.xml'];
+    expect(sourceBottle).toContain('<t xml:space="preserve">Experts on #remote work &amp; [hybrid] teams</t>');
+    expect(sourceBottle).toContain('<c r="B2"><v>9</v></c>');
+    expect(sourceBottle.match(/<row /g)).toHaveLength(3);
+    expect(entries['xl/worksheets/sheet1.xml']).toContain('What is your best hiring tip?');
+  });
+
+  test('sheet names are made valid and unique', () => {
+    const used = new Set();
+    expect(toSheetName('PR/Media: [AU]', used)).toBe('PR Media   AU');
+    expect(toSheetName('pr media   au', used)).toBe('pr media   au (2)');
+    expect(toSheetName('x'.repeat(40), used)).toHaveLength(31);
+    expect(getPlatformName({ platform: 'qwoted' })).toBe('Qwoted');
+    expect(getPlatformName({})).toBe('Other');
+  });
+
+  test('Markdown digest groups by platform, soonest deadline first', () => {
+    const digest = buildMarkdownDigest(opportunities, { now: NOW });
+
+    expect(digest.startsWith('# Opportunities Digest\n\nExported 2025-07-01 · 3 opportunities\n')).toBe(true);
+    expect(digest.indexOf('## Featured (1)')).toBeLessThan(digest.indexOf('## SourceBottle (2)'));
+    expect(digest.indexOf('Budget travel tips')).toBeLessThan(digest.indexOf('Experts on'));
+    expect(digest).toContain('### [Experts on #remote work & \\[hybrid\\] teams](<https://www.sourcebottle.com/query.asp?iid=1#top>)');
+    expect(digest).toContain('- **Deadline:** 2025-07-04T07:00:00Z (2d left)');
+    expect(digest).toContain('- **Stage:** Pitched');
+    expect(digest).toContain('- **AI priority:** 9');
+    expect(digest).toContain('> Strong fit');
+    expect(digest).toContain(`> ${'x'.repeat(280)}…`);
+  });
+});
+
+describe('exporter registry', () => {
+  let downloads;
+
+  beforeEach(() => {
+    downloads = [];
+    // jsdom has no Blob URLs
+    URL.createObjectURL = jest.fn(blob => {
+      downloads.push(blob);
+      return `blob:test/${downloads.length}`;
+    });
+    URL.revokeObjectURL = jest.fn();
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('exports through a Blob URL, whatever characters the data holds', async () => {
+    const result = await integrationsManager.exportFile('json', opportunities);
+
+    expect(result).toMatchObject({ success: true, format: 'json' });
+    expect(result.filename).toMatch(/^sourcebottle-opportunities-\d{4}-\d{2}-\d{2}\.json$/);
+    expect(downloads[0].type).toBe('application/json');
+    expect(JSON.parse(await readBlob(downloads[0])).opportunities[0].title).toContain('#remote');
+  });
+
+  test('lists built-in formats, accepts new ones and rejects unknown ones', async () => {
+    expect(integrationsManager.getExporters().map(exporter => exporter.format)).toEqual(['csv', 'xlsx', 'json', 'ndjson', 'markdown']);
+
+    integrationsManager.registerExporter('titles', {
+      label: 'Titles',
+      extension: 'txt',
+      build: list => list.map(opportunity => opportunity.id).join('\n')
+    });
+    await integrationsManager.exportFile('titles', opportunities);
+    expect(await readBlob(downloads[0])).toBe('sb-1\nfeatured-1\nsb-2');
+    expect(() => integrationsManager.registerExporter('broken', { label: 'Broken' })).toThrow('build function');
+
+    expect(await integrationsManager.exportFile('pdf', opportunities)).toMatchObject({ success: false, error: 'Unknown export format: pdf' });
+    expect(await integrationsManager.exportFile('csv', [])).toMatchObject({ success: false });
+    delete integrationsManager.fileExporters.titles;
+  });
+});
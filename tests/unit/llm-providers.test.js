@@ -0,0 +1,154 @@
+/**
+ * Unit tests for the pluggable LLM providers and per-prompt routing
+ */
+
+import {
+  LLM_SETTINGS_KEY,
+  PROMPT_TYPES,
+  PROMPT_TYPE_LABELS,
+  createProvider,
+  normalizeLLMSettings,
+  resolveRoute,
+  loadLLMSettings,
+  saveLLMSettings
+} from '../../modules/llmProviders.js';
+
+function mockFetch(body = { choices: [{ message: { content: '{}' } }] }) {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  }));
+  return global.fetch;
+}
+
+describe('LLM providers', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('Azure uses the deployment URL and api-key header', async () => {
+    const fetchMock = mockFetch();
+    const provider = createProvider('azure', {
+      resourceName: 'my-resource.openai.azure.com',
+      apiKey: 'abc123',
+      deploymentId: 'gpt4o',
+      apiVersion: '2024-02-01\''
+    });
+
+    await provider.chat({ messages: [] });
+
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://my-resource.openai.azure.com/openai/deployments/gpt4o/chat/completions?api-version=2024-02-01');
+    expect(options.headers['api-key']).toBe('abc123');
+    expect(JSON.parse(options.body).model).toBeUndefined();
+  });
+
+  test('OpenAI sends a Bearer token and the model in the body', async () => {
+    const fetchMock = mockFetch({ data: [{ embedding: [0.1, 0.2] }] });
+    const provider = createProvider('openai', { apiKey: 'sk-test', model: 'gpt-4o-mini', embeddingModel: 'text-embedding-3-small' });
+
+    const embedding = await provider.embed('hello');
+
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/embeddings');
+    expect(options.headers.Authorization).toBe('Bearer sk-test');
+    expect(JSON.parse(options.body).model).toBe('text-embedding-3-small');
+    expect(embedding).toEqual([0.1, 0.2]);
+  });
+
+  test('compatible servers need no key and drop JSON mode unless supported', async () => {
+    const fetchMock = mockFetch();
+    const provider = createProvider('compatible', { baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1' });
+
+    expect(provider.isConfigured()).toBe(true);
+    await provider.chat({ messages: [], response_format: { type: 'json_object' } });
+
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(options.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(options.body)).toEqual({ messages: [], model: 'llama3.1' });
+
+    const jsonProvider = createProvider('compatible', { baseUrl: 'http://localhost:8080/v1', model: 'x', supportsJsonMode: true });
+    expect(jsonProvider.buildChatBody({ response_format: { type: 'json_object' } }, 'x').response_format).toBeDefined();
+  });
+
+  test('testConnection reports missing settings and API errors', async () => {
+    expect(await createProvider('openai', {}).testConnection()).toEqual({
+      success: false,
+      message: 'OpenAI is missing required settings'
+    });
+
+    global.fetch = jest.fn(async () => ({ ok: false, status: 401, text: async () => 'bad key' }));
+    const result = await createProvider('openai', { apiKey: 'sk-bad', model: 'gpt-4o-mini' }).testConnection();
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('OpenAI API error (401): bad key');
+  });
+
+  test('createProvider rejects unknown types', () => {
+    expect(() => createProvider('bedrock')).toThrow('Unknown LLM provider: bedrock');
+  });
+});
+
+describe('Prompt routing', () => {
+  const settings = normalizeLLMSettings({
+    defaultProvider: 'openai',
+    providers: {
+      openai: { apiKey: 'sk-test' },
+      compatible: { baseUrl: 'http://localhost:8080/v1', model: 'qwen2.5' }
+    },
+    routing: {
+      categorize: { provider: 'compatible', model: '' },
+      'suggest-response': { provider: '', model: 'gpt-4o' },
+      'competitive-analysis': { provider: 'compatible', model: 'llama3.1' }
+    }
+  });
+
+  test('routes each prompt type to its provider and model', () => {
+    const triage = resolveRoute(settings, 'categorize');
+    expect(triage.type).toBe('compatible');
+    expect(triage.model).toBe('qwen2.5');
+
+    const pitch = resolveRoute(settings, 'suggest-response');
+    expect(pitch.type).toBe('openai');
+    expect(pitch.model).toBe('gpt-4o');
+
+    expect(resolveRoute(settings, 'competitive-analysis')).toMatchObject({ type: 'compatible', model: 'llama3.1' });
+  });
+
+  test('offers a route for the enhanced analysis prompt types', () => {
+    ['pitch', 'competitive-analysis', 'actionable-summary'].forEach(promptType => {
+      expect(PROMPT_TYPES).toContain(promptType);
+      expect(PROMPT_TYPE_LABELS[promptType]).toBeTruthy();
+    });
+  });
+
+  test('unrouted prompt types use the default provider and model', () => {
+    expect(resolveRoute(settings, 'prioritize')).toMatchObject({ type: 'openai', model: 'gpt-4o-mini' });
+    expect(resolveRoute(settings, 'embedding').model).toBe('text-embedding-3-small');
+  });
+});
+
+describe('LLM settings storage', () => {
+  beforeEach(() => {
+    global.extension.reset();
+  });
+
+  test('seeds the Azure provider from legacy settings', async () => {
+    await chrome.storage.local.set({ azureOpenAISettings: { resourceName: 'legacy', apiKey: 'k', deploymentId: 'd' } });
+
+    const settings = await loadLLMSettings();
+
+    expect(settings.defaultProvider).toBe('azure');
+    expect(settings.providers.azure).toMatchObject({ resourceName: 'legacy', deploymentId: 'd', apiVersion: '2023-05-15' });
+  });
+
+  test('saves normalized settings under their own key', async () => {
+    await saveLLMSettings({ defaultProvider: 'nope', providers: { compatible: { model: 'llama' } } });
+
+    const stored = await new Promise(resolve => chrome.storage.local.get(LLM_SETTINGS_KEY, resolve));
+    expect(stored[LLM_SETTINGS_KEY].defaultProvider).toBe('azure');
+    expect(stored[LLM_SETTINGS_KEY].providers.compatible.model).toBe('llama');
+    expect((await loadLLMSettings()).providers.compatible.baseUrl).toBe('http://localhost:11434/v1');
+  });
+});
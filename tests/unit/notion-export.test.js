@@ -0,0 +1,226 @@
+/**
+ * Unit tests for the Notion export, run against a local mock of the Notion API
+ */
+
+import http from 'http';
+import {
+  NotionExporter,
+  notionExporter,
+  NOTION_SETTINGS_KEY,
+  NOTION_VERSION,
+  DEFAULT_NOTION_MAPPING,
+  normalizeNotionSettings,
+  toNotionProperty
+} from '../../modules/notionExport.js';
+import { integrationsManager } from '../../modules/integrations.js';
+import { httpFetch } from '../http-fetch.js';
+
+/**
+ * In-memory Notion database behind a real HTTP server.
+ * `failures` holds canned error responses served before the matching request is handled.
+ */
+function createMockNotion() {
+  const mock = { pages: [], requests: [], failures: [] };
+
+  mock.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : {};
+      mock.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      const send = (status, data, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(data));
+      };
+
+      const failureIndex = mock.failures.findIndex(failure =>
+        failure.method === req.method && req.url.startsWith(failure.path));
+      if (failureIndex !== -1) {
+        const [failure] = mock.failures.splice(failureIndex, 1);
+        send(failure.status, { object: 'error', message: failure.message || 'Mock failure' }, failure.headers);
+        return;
+      }
+
+      if (req.method === 'GET' && req.url === '/v1/databases/db-1') {
+        send(200, { object: 'database', title: [{ plain_text: 'Opportunities' }], properties: mock.schema });
+      } else if (req.method === 'POST' && /^\/v1\/databases\/[^/]+\/query$/.test(req.url)) {
+        const { property, rich_text: richText } = body.filter;
+        const match = mock.pages.find(page =>
+          page.properties[property]?.rich_text?.[0]?.text.content === richText.equals);
+        send(200, { object: 'list', results: match ? [match] : [] });
+      } else if (req.method === 'POST' && req.url === '/v1/pages') {
+        if (!body.properties.Name?.title) {
+          send(400, { object: 'error', message: 'Name is not a property that exists.' });
+          return;
+        }
+        const page = { id: `page-${mock.pages.length + 1}`, properties: body.properties };
+        mock.pages.push(page);
+        send(200, page);
+      } else if (req.method === 'PATCH' && req.url.startsWith('/v1/pages/')) {
+        const page = mock.pages.find(candidate => candidate.id === req.url.split('/').pop());
+        Object.assign(page.properties, body.properties);
+        send(200, page);
+      } else {
+        send(404, { object: 'error', message: 'Not found' });
+      }
+    });
+  });
+
+  return mock;
+}
+
+describe('Notion export', () => {
+  let mock;
+  let settings;
+  let exporter;
+
+  beforeAll(done => {
+    mock = createMockNotion();
+    mock.server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    mock.server.close(done);
+  });
+
+  beforeEach(() => {
+    mock.pages = [];
+    mock.requests = [];
+    mock.failures = [];
+    settings = {
+      apiKey: 'secret_test',
+      databaseId: 'db-1',
+      apiUrl: `http://127.0.0.1:${mock.server.address().port}/v1/`
+    };
+    exporter = new NotionExporter({ fetch: httpFetch, requestInterval: 0 });
+  });
+
+  test('maps fields to properties and falls back to platform-specific names', () => {
+    const properties = exporter.buildProperties({
+      id: 'qw-1',
+      question: 'Looking for fintech founders',
+      brandName: 'Forbes',
+      tags: ['fintech', 'startups'],
+      deadline: 'not a date'
+    }, [
+      ...normalizeNotionSettings().mapping,
+      { field: 'deadline', property: 'Due', type: 'date' }
+    ]);
+
+    expect(properties.Name).toEqual({ title: [{ text: { content: 'Looking for fintech founders' } }] });
+    expect(properties['External ID'].rich_text[0].text.content).toBe('qw-1');
+    expect(properties['Media Outlet'].rich_text[0].text.content).toBe('Forbes');
+    expect(properties.Tags).toEqual({ multi_select: [{ name: 'fintech' }, { name: 'startups' }] });
+    expect(properties.Link).toEqual({ url: null });
+    expect(properties.Due).toEqual({ date: null });
+    expect(toNotionProperty('Tech, Media', 'select')).toEqual({ select: { name: 'Tech  Media' } });
+    expect(toNotionProperty('12', 'number')).toEqual({ number: 12 });
+  });
+
+  test('the upsert key stays in the mapping even if removed', () => {
+    const { mapping } = normalizeNotionSettings({ mapping: [{ field: 'title', property: 'Title', type: 'title' }] });
+    expect(mapping.map(row => row.field)).toEqual(['title', 'externalId']);
+  });
+
+  test('re-exporting updates the existing page instead of adding another', async () => {
+    const opportunity = { externalId: 'sb-1', title: 'Seed funding tips', source: 'SourceBottle' };
+
+    const first = await exporter.export([opportunity], settings);
+    const second = await exporter.export([{ ...opportunity, title: 'Seed funding tips (updated)' }], settings);
+
+    expect(first).toMatchObject({ created: 1, updated: 0 });
+    expect(second).toMatchObject({ created: 0, updated: 1 });
+    expect(mock.pages).toHaveLength(1);
+    expect(mock.pages[0].properties.Name.title[0].text.content).toBe('Seed funding tips (updated)');
+
+    const create = mock.requests.find(request => request.method === 'POST' && request.url === '/v1/pages');
+    expect(create.body.parent).toEqual({ database_id: 'db-1' });
+    expect(create.headers.authorization).toBe('Bearer secret_test');
+    expect(create.headers['notion-version']).toBe(NOTION_VERSION);
+  });
+
+  test('waits out a 429 and retries the request', async () => {
+    mock.failures.push({ method: 'POST', path: '/v1/pages', status: 429, headers: { 'Retry-After': '0' } });
+
+    const result = await exporter.export([{ externalId: 'sb-2', title: 'Rate limited' }], settings);
+
+    expect(result).toMatchObject({ created: 1, failed: [], retryable: [] });
+    expect(mock.requests.filter(request => request.url === '/v1/pages')).toHaveLength(2);
+  });
+
+  test('rejected pages are reported and server errors are left to retry', async () => {
+    mock.failures.push({ method: 'POST', path: '/v1/pages', status: 503 });
+    const opportunities = [
+      { externalId: 'sb-3', title: 'Server hiccup' },
+      { externalId: 'sb-4', title: 'Fine' }
+    ];
+
+    const result = await exporter.export(opportunities, {
+      ...settings,
+      mapping: [{ field: 'title', property: 'Title', type: 'title' }]
+    });
+
+    expect(result.created).toBe(0);
+    expect(result.retryable).toEqual([opportunities[0]]);
+    expect(result.failed).toEqual([{ id: 'sb-4', title: 'Fine', error: 'Notion API error (400): Name is not a property that exists.' }]);
+  });
+
+  test('the connection test checks the database has every mapped property', async () => {
+    mock.schema = {};
+    DEFAULT_NOTION_MAPPING.forEach(row => {
+      mock.schema[row.property] = { type: row.type };
+    });
+
+    expect(await exporter.testConnection(settings)).toMatchObject({ success: true, message: expect.stringContaining('"Opportunities"') });
+
+    mock.schema.Link = { type: 'rich_text' };
+    delete mock.schema.Tags;
+    const result = await exporter.testConnection(settings);
+    expect(result.success).toBe(false);
+    expect(result.message).toContain('"Link" is rich_text, not url; "Tags" is missing');
+  });
+
+  test('is refused without a token and database', async () => {
+    await expect(exporter.export([{ externalId: 'x' }], { apiKey: '' })).rejects.toThrow('missing an integration token');
+  });
+
+  describe('through the integrations manager', () => {
+    const originalFetch = notionExporter.fetch;
+    const originalDelay = integrationsManager.retryDelay;
+
+    beforeEach(() => {
+      global.extension.reset();
+      chrome.storage.local.set({ [NOTION_SETTINGS_KEY]: settings });
+      notionExporter.fetch = httpFetch;
+      notionExporter.requestInterval = 0;
+      integrationsManager.retryDelay = 10;
+    });
+
+    afterEach(() => {
+      notionExporter.fetch = originalFetch;
+      notionExporter.requestInterval = 350;
+      integrationsManager.retryDelay = originalDelay;
+    });
+
+    test('queues transient failures and finishes them on retry', async () => {
+      mock.failures.push({ method: 'POST', path: '/v1/pages', status: 502 });
+
+      const result = await integrationsManager.exportToNotion([
+        { externalId: 'sb-5', title: 'Retried later' },
+        { externalId: 'sb-6', title: 'Exported now' }
+      ]);
+
+      expect(result).toMatchObject({ success: false, created: 1, queued: 1 });
+      expect(integrationsManager.getPendingRetryCount()).toBe(1);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      expect(integrationsManager.getPendingRetryCount()).toBe(0);
+      expect(mock.pages.map(page => page.properties['External ID'].rich_text[0].text.content).sort())
+        .toEqual(['sb-5', 'sb-6']);
+    });
+  });
+});
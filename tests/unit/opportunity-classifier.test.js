@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the trainable relevance classifier
+ */
+
+import { OpportunityClassifier, opportunityClassifier } from '../../modules/opportunityClassifier.js';
+import { aiService } from '../../modules/aiService.js';
+
+const relevantTitles = [
+  'Startup founders: how did you raise your seed round?',
+  'Fintech founders wanted for a feature on seed funding',
+  'Venture capital tips from startup founders',
+  'Founders share lessons from raising a Series A',
+  'How startup founders pitch venture capital investors'
+];
+
+const irrelevantTitles = [
+  'Best family hiking trails this summer',
+  'Favourite recipes for a summer barbecue',
+  'Travel tips for hiking in the mountains',
+  'Gardening advice for summer vegetables',
+  'Recipes for a family picnic outdoors'
+];
+
+function makeExamples(titles, prefix) {
+  return titles.map((title, index) => ({ id: `${prefix}-${index}`, title, description: title, source: 'SourceBottle' }));
+}
+
+describe('OpportunityClassifier', () => {
+  let classifier;
+
+  beforeEach(async () => {
+    global.extension.reset();
+    classifier = new OpportunityClassifier(null);
+    await classifier.ready();
+  });
+
+  test('needs enough examples of each class before training', async () => {
+    classifier.addTrainingExample({ id: 'a', title: 'Startup funding' }, true);
+
+    const result = await classifier.train();
+
+    expect(classifier.canTrain()).toBe(false);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('1 relevant, 0 irrelevant');
+  });
+
+  test('relabelling an opportunity replaces its earlier label', () => {
+    classifier.addTrainingExample({ id: 'a', title: 'Startup funding', notes: 'not stored' }, true);
+    classifier.addTrainingExample({ id: 'a', title: 'Startup funding' }, false);
+
+    expect(classifier.getTrainingCounts()).toEqual({ relevant: 0, irrelevant: 1 });
+    expect(classifier.getLabel('a')).toBe('irrelevant');
+    expect(classifier.trainingData.irrelevant[0].notes).toBeUndefined();
+  });
+
+  test('keeps the normalized deadline with each example', () => {
+    classifier.addTrainingExample({ id: 'a', title: 'Startup funding', deadline: '7d 15h', deadlineAt: '2025-07-11T23:59:00+10:00' }, true);
+
+    expect(classifier.trainingData.relevant[0]).toMatchObject({ deadline: '7d 15h', deadlineAt: '2025-07-11T23:59:00+10:00' });
+  });
+
+  test('learns from feedback and reports held-out accuracy', async () => {
+    makeExamples(relevantTitles, 'r').forEach(example => classifier.addTrainingExample(example, true));
+    makeExamples(irrelevantTitles, 'i').forEach(example => classifier.addTrainingExample(example, false));
+
+    const result = await classifier.train(100);
+
+    expect(result.success).toBe(true);
+    expect(result.testSize).toBe(2);
+    expect(result.trainSize).toBe(8);
+    expect(result.accuracy).toBeGreaterThanOrEqual(0.5);
+
+    const scores = await classifier.scoreOpportunities([
+      { id: 'new-1', title: 'Startup founders on venture capital and seed funding' },
+      { id: 'new-2', title: 'Summer hiking and picnic recipes for the family' }
+    ]);
+    expect(scores.get('new-1')).toBeGreaterThan(50);
+    expect(scores.get('new-2')).toBeLessThan(50);
+  });
+
+  test('persists the model and training set', async () => {
+    makeExamples(relevantTitles, 'r').forEach(example => classifier.addTrainingExample(example, true));
+    makeExamples(irrelevantTitles, 'i').forEach(example => classifier.addTrainingExample(example, false));
+    await classifier.train();
+
+    const reloaded = new OpportunityClassifier(null);
+    await reloaded.ready();
+
+    expect(reloaded.isTrained()).toBe(true);
+    expect(reloaded.featureNames).toEqual(classifier.featureNames);
+    expect(reloaded.metrics.accuracy).toBe(classifier.metrics.accuracy);
+    expect(reloaded.getTrainingCounts()).toEqual({ relevant: 5, irrelevant: 5 });
+
+    reloaded.reset();
+    const afterReset = new OpportunityClassifier(null);
+    await afterReset.ready();
+    expect(afterReset.isTrained()).toBe(false);
+    expect(afterReset.getTrainingDataCount()).toBe(0);
+  });
+
+  test('is plugged into the AI service', () => {
+    expect(aiService.classifier).toBe(opportunityClassifier);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for deadline normalization, driven by tests/fixtures/deadlines.json
+ */
+
+import '../../modules/scrapers/opportunity-deadline.js';
+import fixtures from '../fixtures/deadlines.json';
+import { normalizeOpportunity } from '../../modules/adapters/platform-adapter.js';
+import { opportunityClassifier } from '../../modules/opportunityClassifier.js';
+
+const { normalizeDeadline, getDeadlineDate, parseDeadline, isSameDeadline } = globalThis.opportunityDeadlines;
+
+describe('deadline normalization', () => {
+  test.each(fixtures.map(fixture => [fixture.name, fixture]))('%s', (name, { opportunity, timeZone, expected }) => {
+    expect(normalizeDeadline(opportunity, null, { timeZone })).toEqual(expected);
+  });
+
+  test('normalized deadlines are the instants they describe', () => {
+    const { deadlineAt } = normalizeDeadline({ source: 'sourcebottle', deadline: '30 April 2025 @ 5pm' });
+    expect(new Date(deadlineAt).toISOString()).toBe('2025-04-30T07:00:00.000Z');
+  });
+
+  test('getDeadlineDate uses the stored deadline, parsing older records on the fly', () => {
+    expect(getDeadlineDate({ deadlineAt: '2025-04-30T17:00:00+10:00', deadline: 'whatever' }).toISOString())
+      .toBe('2025-04-30T07:00:00.000Z');
+    expect(getDeadlineDate({ source: 'sourcebottle', deadline: '30 April 2025 @ 5pm' }).toISOString())
+      .toBe('2025-04-30T07:00:00.000Z');
+    expect(getDeadlineDate({ deadlineAt: null, deadline: '30 April 2025' })).toBeNull();
+    expect(getDeadlineDate({ deadline: 'Deadline' })).toBeNull();
+  });
+
+  test('isSameDeadline allows a countdown to drift by its smallest unit between scrapes', () => {
+    const first = { deadline: '7d 15h', ...normalizeDeadline({ source: 'featured', deadline: '7d 15h', scrapedAt: '2025-07-01T10:05:00Z' }) };
+    const later = { deadline: '7d 14h', ...normalizeDeadline({ source: 'featured', deadline: '7d 14h', scrapedAt: '2025-07-01T10:50:00Z' }) };
+    const moved = { deadline: '9d 14h', ...normalizeDeadline({ source: 'featured', deadline: '9d 14h', scrapedAt: '2025-07-01T10:50:00Z' }) };
+
+    expect(isSameDeadline(first, later)).toBe(true);
+    expect(isSameDeadline(first, moved)).toBe(false);
+
+    // Dates are compared exactly, and text alone when either side isn't normalized
+    expect(isSameDeadline({ deadline: '30 April 2025 @ 5pm', deadlineAt: '2025-04-30T17:00:00+10:00' },
+      { deadline: '30 April 2025 @ 5.30pm', deadlineAt: '2025-04-30T17:30:00+10:00' })).toBe(false);
+    expect(isSameDeadline({ deadline: 'Friday' }, { deadline: 'Friday' })).toBe(true);
+    expect(isSameDeadline({ deadline: 'Friday' }, { deadline: 'Monday' })).toBe(false);
+  });
+
+  test('opportunities normalized by the platform adapter get a deadline', () => {
+    const opportunity = normalizeOpportunity({ title: 'A', deadline: '30 April 2025 @ 5pm' }, 'sourcebottle');
+    expect(opportunity).toMatchObject({ deadlineAt: '2025-04-30T17:00:00+10:00', deadlineConfidence: 'high' });
+
+    // A scraper's own normalization is kept
+    const scraped = { title: 'A', deadline: 'x', deadlineAt: null, deadlineTimezone: 'UTC', deadlineConfidence: 'none' };
+    expect(normalizeOpportunity(scraped, 'qwoted')).toMatchObject({ deadlineAt: null, deadlineConfidence: 'none' });
+  });
+
+  test('the classifier reads urgency from the normalized deadline', async () => {
+    const now = Date.now();
+    const soon = parseDeadline('in 12 hours', { timeZone: 'Australia/Sydney', now }).deadlineAt;
+    const opportunity = { title: 'A', description: 'B', deadline: 'tomorrow-ish', deadlineAt: soon };
+    expect(await opportunityClassifier.extractFeatures(opportunity, ['deadlineUrgency'])).toEqual([1]);
+  });
+});
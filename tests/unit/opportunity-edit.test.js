@@ -0,0 +1,120 @@
+/**
+ * Unit tests for adding opportunities by hand and editing their fields
+ */
+
+import { validateOpportunityFields, applyEdits } from '../../modules/models/Opportunity.js';
+import { IDBFactory } from 'fake-indexeddb';
+import { OpportunityStore, mergeOpportunityRecord } from '../../modules/opportunityStore.js';
+import { storageManager } from '../../modules/storage.js';
+
+const scraped = {
+  id: 'sourcebottle-1',
+  externalId: 'sourcebottle-1',
+  title: 'Experts on remote wrok',
+  description: 'Looking for CEOs',
+  url: 'https://www.sourcebottle.com/query.asp?iid=1',
+  deadline: '2025-07-04',
+  source: 'SourceBottle'
+};
+
+describe('opportunity field edits', () => {
+  test('validates required fields, lengths, links and deadlines', () => {
+    expect(validateOpportunityFields({ title: 'A', description: 'B', url: 'https://x.test/1' })).toEqual({});
+    expect(validateOpportunityFields({ title: '  ', url: 'x.test/1', deadline: 'soon' })).toEqual({
+      title: 'Title is required',
+      description: 'Description is required',
+      url: 'Link must be a web address starting with http:// or https://',
+      deadline: 'Deadline must be a date'
+    });
+    expect(validateOpportunityFields({ title: 'x'.repeat(501) }, { partial: true })).toEqual({
+      title: 'Title must be at most 500 characters'
+    });
+    // Edits only check the fields they change
+    expect(validateOpportunityFields({ deadline: '2025-07-11' }, { partial: true })).toEqual({});
+  });
+
+  test('applyEdits records history and overrides only for changed fields', () => {
+    const edited = applyEdits(scraped, {
+      title: ' Experts on remote work ',
+      description: 'Looking for CEOs',
+      tags: 'remote, leadership',
+      status: 'published'
+    }, { at: '2025-07-01T00:00:00.000Z' });
+
+    expect(edited).toMatchObject({ title: 'Experts on remote work', tags: ['remote', 'leadership'] });
+    expect(edited.overrides).toEqual({ title: 'Experts on remote work', tags: ['remote', 'leadership'] });
+    expect(edited.editHistory).toEqual([
+      { field: 'title', from: 'Experts on remote wrok', to: 'Experts on remote work', at: '2025-07-01T00:00:00.000Z' },
+      { field: 'tags', from: [], to: ['remote', 'leadership'], at: '2025-07-01T00:00:00.000Z' }
+    ]);
+    expect(edited.status).toBeUndefined();
+    expect(scraped.overrides).toBeUndefined();
+  });
+
+  test('edited fields survive a rescrape while other fields still update', () => {
+    const edited = applyEdits(scraped, { title: 'Experts on remote work', deadline: '2025-07-11' });
+
+    const rescrape = { ...scraped, description: 'Looking for CEOs and founders', scrapedAt: '2025-07-02T00:00:00.000Z' };
+    const { record, result } = mergeOpportunityRecord(edited, rescrape, '2025-07-02T00:00:00.000Z');
+
+    expect(result).toBe('updated');
+    expect(record).toMatchObject({
+      title: 'Experts on remote work',
+      deadline: '2025-07-11',
+      description: 'Looking for CEOs and founders'
+    });
+    expect(record.editHistory).toHaveLength(2);
+
+    // Nothing new from the source: the edits don't count as a change
+    expect(mergeOpportunityRecord(edited, scraped).result).toBe('unchanged');
+  });
+});
+
+describe('StorageManager manual opportunities', () => {
+  let store;
+
+  beforeEach(async () => {
+    global.extension.reset();
+    store = new OpportunityStore(new IDBFactory());
+    await store.put({ ...scraped });
+    storageManager.opportunityStore = store;
+    storageManager.migrationPromise = Promise.resolve({ migrated: 0, skipped: true });
+  });
+
+  test('createManualOpportunity validates, stores with the manual source and rejects repeats', async () => {
+    const fields = {
+      title: 'Podcast guests wanted',
+      description: 'Founders for a 30 minute interview',
+      url: 'https://podcast.example.com/guests',
+      mediaOutlet: 'Startup Hour',
+      tags: 'podcast'
+    };
+
+    const created = await storageManager.createManualOpportunity(fields);
+
+    expect(created.id).toMatch(/^manual-[a-z0-9]+$/);
+    expect(created).toMatchObject({
+      externalId: created.id,
+      source: 'manual',
+      mediaOutlet: 'Startup Hour',
+      tags: ['podcast'],
+      category: 'General'
+    });
+    expect((await store.get(created.id)).firstSeenAt).toBeDefined();
+
+    await expect(storageManager.createManualOpportunity(fields)).rejects.toThrow('already been added');
+    await expect(storageManager.createManualOpportunity({ ...fields, url: '' })).rejects.toThrow('Link is required');
+  });
+
+  test('updateOpportunityFields saves valid edits and rejects invalid ones', async () => {
+    const updated = await storageManager.updateOpportunityFields('sourcebottle-1', { deadline: '2025-07-11' });
+
+    expect(await store.get('sourcebottle-1')).toEqual(updated);
+    expect(updated.overrides).toMatchObject({ deadline: '2025-07-11', deadlineConfidence: 'medium' });
+    expect(updated.deadlineAt).toMatch(/^2025-07-11T23:59:00[+-]\d{2}:\d{2}$/);
+
+    await expect(storageManager.updateOpportunityFields('sourcebottle-1', { url: 'not a link' })).rejects.toThrow('Link must be');
+    await expect(storageManager.updateOpportunityFields('missing', { title: 'A' })).rejects.toThrow('Opportunity not found');
+    expect((await store.get('sourcebottle-1')).url).toBe(scraped.url);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for deterministic opportunity IDs and the Featured dedupe migration
+ */
+
+import '../../modules/scrapers/opportunity-id.js';
+import { storageManager } from '../../modules/storage.js';
+
+const { normalizeText, hashContent, slugFromUrl, createOpportunityId } = globalThis.opportunityIds;
+
+describe('Opportunity ID helper', () => {
+  test('normalizeText ignores case, whitespace and punctuation', () => {
+    expect(normalizeText('  Looking for   CEOs!  ')).toBe('looking for ceos');
+    expect(normalizeText(null)).toBe('');
+  });
+
+  test('hashContent is stable across cosmetic differences', () => {
+    const first = hashContent('What is your best tip?', 'Forbes');
+    expect(hashContent('what is  your best tip', 'FORBES')).toBe(first);
+    expect(hashContent('What is your worst tip?', 'Forbes')).not.toBe(first);
+    expect(hashContent('', null)).toBe('');
+  });
+
+  test('slugFromUrl prefers an id parameter over the path', () => {
+    expect(slugFromUrl('https://www.sourcebottle.com/query.asp?iqid=123')).toBe('123');
+    expect(slugFromUrl('https://featured.com/questions/best-tips-for-founders')).toBe('best-tips-for-founders');
+    expect(slugFromUrl('')).toBeNull();
+  });
+
+  test('createOpportunityId uses the link when given, else the content hash', () => {
+    expect(createOpportunityId('Featured', { url: 'https://featured.com/questions/abc' })).toBe('featured-abc');
+    expect(createOpportunityId('qwoted', { url: 'https://app.qwoted.com/source_requests/99', content: ['Title', 'Description'] }))
+      .toBe('qwoted-99');
+    expect(createOpportunityId('featured', { content: ['Question', 'Outlet'] }))
+      .toBe(`featured-${hashContent('Question', 'Outlet')}`);
+    expect(createOpportunityId('featured', { content: [] })).toBeNull();
+  });
+});
+
+describe('Featured dedupe migration', () => {
+  let records;
+
+  beforeEach(() => {
+    global.extension.reset();
+    records = new Map();
+    storageManager.opportunityStore = {
+      async getAll() {
+        return Array.from(records.values());
+      },
+      async put(record) {
+        records.set(record.id, record);
+        return record;
+      },
+      async delete(id) {
+        records.delete(String(id));
+      }
+    };
+  });
+
+  function addRecord(record) {
+    records.set(record.id, { source: 'Featured', publication: 'Forbes', ...record });
+  }
+
+  test('merges timestamp-keyed copies of the same question into one record', async () => {
+    addRecord({
+      id: 'featured-1700000000000-0',
+      question: 'What is your best tip?',
+      scrapedAt: '2025-01-01T00:00:00.000Z',
+      firstSeenAt: '2025-01-01T00:00:00.000Z',
+      aiAnalysis: { relevanceScore: 80 },
+      status: 'shortlisted',
+      statusHistory: [{ status: 'new' }, { status: 'shortlisted' }]
+    });
+    addRecord({
+      id: 'featured-1700000500000-3',
+      question: 'What is your best tip?',
+      scrapedAt: '2025-02-01T00:00:00.000Z',
+      firstSeenAt: '2025-02-01T00:00:00.000Z',
+      deadline: '2d 4h'
+    });
+    addRecord({ id: 'featured-1700000500000-4', question: 'Another question', scrapedAt: '2025-02-01T00:00:00.000Z' });
+
+    const result = await storageManager._dedupeFeaturedOpportunities();
+
+    expect(result).toEqual({ merged: 1, rekeyed: 2, skipped: false });
+    expect(records.size).toBe(2);
+
+    const stableId = createOpportunityId('featured', { content: ['What is your best tip?', 'Forbes'] });
+    const merged = records.get(stableId);
+    expect(merged.externalId).toBe(stableId);
+    expect(merged.deadline).toBe('2d 4h');
+    expect(merged.aiAnalysis).toEqual({ relevanceScore: 80 });
+    expect(merged.status).toBe('shortlisted');
+    expect(merged.firstSeenAt).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  test('runs only once', async () => {
+    addRecord({ id: 'featured-1700000000000-0', question: 'Question' });
+    await storageManager._dedupeFeaturedOpportunities();
+
+    const again = await storageManager._dedupeFeaturedOpportunities();
+    expect(again.skipped).toBe(true);
+  });
+
+  test('leaves other platforms alone', async () => {
+    records.set('query.asp?iqid=1', { id: 'query.asp?iqid=1', source: 'SourceBottle', title: 'SB' });
+
+    await storageManager._dedupeFeaturedOpportunities();
+
+    expect(records.has('query.asp?iqid=1')).toBe(true);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for importing opportunities from CSV and JSON files
+ */
+
+import {
+  OpportunityImporter,
+  parseCsv,
+  parseImportFile,
+  suggestMapping
+} from '../../modules/opportunityImport.js';
+import { buildCsv, buildJson } from '../../modules/fileExporters.js';
+
+/**
+ * In-memory store with the storageManager methods the importer uses
+ * @param {Array} opportunities - Stored opportunities
+ */
+function createStorage(opportunities = []) {
+  const records = [...opportunities];
+  return {
+    records,
+    getOpportunities: async () => [...records],
+    upsertOpportunities: async incoming => {
+      records.push(...incoming);
+      return { inserted: incoming.length };
+    }
+  };
+}
+
+const NEWSLETTER_CSV = [
+  'Headline;Details;Link;Outlet;Due;Keywords',
+  '"Remote work experts";"Looking for CEOs; quotes by Friday";https://news.example.com/q/1;Forbes;2025-07-04;remote, leadership',
+  '"Travel tips";"Budget ""hacks"" wanted";https://news.example.com/q/2;;;',
+  '"No description";;https://news.example.com/q/3;;;',
+  '"Remote work experts";"Looking for CEOs; quotes by Friday";https://news.example.com/q/1/;Forbes;;'
+].join('\r\n');
+
+describe('opportunity import', () => {
+  test('parses quoted CSV with its own delimiter and line breaks inside cells', () => {
+    expect(parseCsv('\uFEFFa,b\r\n"x, y","line\nbreak"\n\n"say ""hi""",2\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'line\nbreak'],
+      ['say "hi"', '2']
+    ]);
+    expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+
+    const { format, columns, records } = parseImportFile(NEWSLETTER_CSV, 'newsletter.csv');
+    expect(format).toBe('csv');
+    expect(columns).toEqual(['Headline', 'Details', 'Link', 'Outlet', 'Due', 'Keywords']);
+    expect(records[0]).toMatchObject({ Details: 'Looking for CEOs; quotes by Friday', Keywords: 'remote, leadership' });
+    expect(records[1].Details).toBe('Budget "hacks" wanted');
+  });
+
+  test('suggests a mapping from column names, including the extension\'s own exports', () => {
+    expect(suggestMapping(['Headline', 'Details', 'Link', 'Outlet', 'Due', 'Keywords', 'Rating'])).toEqual({
+      Headline: 'title', Details: 'description', Link: 'url', Outlet: 'mediaOutlet', Due: 'deadline', Keywords: 'tags', Rating: ''
+    });
+
+    const exported = buildCsv([{ title: 'A', description: 'B', url: 'https://x.test/1', source: 'Qwoted' }]);
+    const { columns } = parseImportFile(exported, 'export.csv');
+    expect(Object.values(suggestMapping(columns))).toEqual([
+      'title', 'description', 'category', 'deadline', '', 'mediaOutlet', 'journalist', 'url'
+    ]);
+  });
+
+  test('reads JSON arrays, JSON exports and NDJSON, offering only flat fields as columns', () => {
+    const opportunity = { id: 'q-1', title: 'A', tags: ['x'], aiAnalysis: { priority: 8 } };
+    expect(parseImportFile(JSON.stringify([opportunity]), 'list.json').columns).toEqual(['id', 'title', 'tags']);
+    expect(parseImportFile(buildJson([opportunity]), 'export.json').records).toEqual([opportunity]);
+    expect(parseImportFile('{"title":"A"}\n{"title":"B"}\n', 'feed.ndjson').records).toHaveLength(2);
+
+    expect(() => parseImportFile('{"title":', 'broken.json')).toThrow('valid JSON');
+    expect(() => parseImportFile('{"items": []}', 'other.json')).toThrow('"opportunities" array');
+    expect(() => parseImportFile('  ', 'empty.csv')).toThrow('empty');
+  });
+
+  test('rows are validated, normalized as imports and deduplicated', async () => {
+    const storage = createStorage([
+      { id: 'sb-9', title: 'Travel tips', description: 'Budget "hacks" wanted', url: 'https://sourcebottle.com/q/9', source: 'SourceBottle' }
+    ]);
+    const importer = new OpportunityImporter({ storage });
+    const { columns, records } = parseImportFile(NEWSLETTER_CSV, 'newsletter.csv');
+
+    const entries = await importer.preview(records, suggestMapping(columns));
+
+    expect(entries.map(entry => entry.status)).toEqual(['ready', 'duplicate', 'invalid', 'duplicate']);
+    const id = entries[0].opportunity.id;
+    expect(id).toMatch(/^import-[a-z0-9]+$/);
+    expect(entries[0].opportunity).toMatchObject({
+      externalId: id,
+      source: 'import',
+      title: 'Remote work experts',
+      mediaOutlet: 'Forbes',
+      deadline: '2025-07-04',
+      tags: ['remote', 'leadership'],
+      category: 'General'
+    });
+    // Same text as a stored SourceBottle query
+    expect(entries[1].duplicateOf).toBe('sb-9');
+    expect(entries[2]).toMatchObject({ row: 3, title: 'No description', errors: ['Missing description'] });
+    // Same link as an earlier row of the file
+    expect(entries[3].duplicateOf).toBe(id);
+
+    const result = await importer.importRecords(records, suggestMapping(columns));
+    expect(result).toEqual({
+      imported: 1,
+      duplicates: 2,
+      invalid: [{ row: 3, title: 'No description', errors: ['Missing description'] }]
+    });
+    expect(storage.records.map(opportunity => opportunity.id)).toEqual(['sb-9', id]);
+
+    // Importing the same file again adds nothing
+    expect((await importer.importRecords(records, suggestMapping(columns))).imported).toBe(0);
+  });
+
+  test('a missing link is a row error and unmapped columns are left out', async () => {
+    const importer = new OpportunityImporter({ storage: createStorage() });
+    const records = [{ Subject: 'Pitch us', Body: 'Details', Link: 'https://x.test/a' }];
+
+    const [entry] = await importer.preview(records, { Subject: 'title', Body: 'description', Link: '' });
+
+    expect(entry.status).toBe('invalid');
+    expect(entry.errors).toEqual(['Missing url']);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the opportunity pipeline workflow
+ */
+
+import {
+  PIPELINE_STATUSES,
+  getPipelineStatus,
+  canTransition,
+  transitionStatus,
+  countByStatus
+} from '../../modules/models/Opportunity.js';
+import { IDBFactory } from 'fake-indexeddb';
+import { OpportunityStore } from '../../modules/opportunityStore.js';
+import { storageManager } from '../../modules/storage.js';
+
+describe('Opportunity pipeline state machine', () => {
+  test('opportunities without a status start as new', () => {
+    expect(getPipelineStatus({ id: '1' })).toBe('new');
+    expect(getPipelineStatus({ id: '1', status: 'bogus' })).toBe('new');
+    expect(getPipelineStatus({ id: '1', status: 'pitched' })).toBe('pitched');
+  });
+
+  test('only adjacent stages are reachable', () => {
+    expect(canTransition('new', 'shortlisted')).toBe(true);
+    expect(canTransition('shortlisted', 'new')).toBe(true);
+    expect(canTransition('new', 'pitched')).toBe(false);
+    expect(canTransition('published', 'new')).toBe(false);
+  });
+
+  test('transitionStatus records history and per-stage timestamps', () => {
+    const opportunity = { id: '1', title: 'Title', firstSeenAt: '2025-01-01T00:00:00.000Z' };
+
+    const shortlisted = transitionStatus(opportunity, 'shortlisted', { at: '2025-01-02T00:00:00.000Z' });
+    const pitched = transitionStatus(shortlisted, 'pitched', { at: '2025-01-03T00:00:00.000Z', note: 'Sent pitch' });
+
+    expect(pitched.status).toBe('pitched');
+    expect(pitched.statusTimestamps).toEqual({
+      shortlisted: '2025-01-02T00:00:00.000Z',
+      pitched: '2025-01-03T00:00:00.000Z'
+    });
+    expect(pitched.statusHistory).toEqual([
+      { status: 'new', from: null, at: '2025-01-01T00:00:00.000Z' },
+      { status: 'shortlisted', from: 'new', at: '2025-01-02T00:00:00.000Z' },
+      { status: 'pitched', from: 'shortlisted', at: '2025-01-03T00:00:00.000Z', note: 'Sent pitch' }
+    ]);
+
+    // The input is left untouched
+    expect(opportunity.status).toBeUndefined();
+  });
+
+  test('transitionStatus rejects unknown stages and skipped steps', () => {
+    expect(() => transitionStatus({ id: '1' }, 'archived')).toThrow('Unknown pipeline status');
+    expect(() => transitionStatus({ id: '1' }, 'published')).toThrow('Cannot move an opportunity from new to published');
+  });
+
+  test('transitionStatus can be forced past the allowed steps', () => {
+    const published = transitionStatus({ id: '1' }, 'published', { force: true, at: '2025-01-02T00:00:00.000Z' });
+
+    expect(published.status).toBe('published');
+    expect(published.statusHistory.map(entry => entry.status)).toEqual(['new', 'published']);
+    expect(() => transitionStatus({ id: '1' }, 'archived', { force: true })).toThrow('Unknown pipeline status');
+  });
+
+  test('countByStatus includes every stage', () => {
+    const counts = countByStatus([
+      { id: '1' },
+      { id: '2', status: 'pitched' },
+      { id: '3', status: 'pitched' }
+    ]);
+
+    expect(Object.keys(counts)).toEqual(PIPELINE_STATUSES);
+    expect(counts).toMatchObject({ new: 1, shortlisted: 0, pitched: 2 });
+  });
+});
+
+describe('StorageManager pipeline updates', () => {
+  let store;
+
+  beforeEach(async () => {
+    global.extension.reset();
+    store = new OpportunityStore(new IDBFactory());
+    await store.put({ id: '1', title: 'Title' });
+    storageManager.opportunityStore = store;
+    storageManager.migrationPromise = Promise.resolve({ migrated: 0, skipped: true });
+  });
+
+  test('updateOpportunityStatus persists the transition', async () => {
+    const updated = await storageManager.updateOpportunityStatus('1', 'shortlisted', 'Good fit');
+
+    expect(updated.status).toBe('shortlisted');
+    expect((await store.get('1')).statusHistory[1]).toMatchObject({ status: 'shortlisted', from: 'new', note: 'Good fit' });
+    expect(await storageManager.getPipelineCounts()).toMatchObject({ new: 0, shortlisted: 1 });
+  });
+
+  test('updateOpportunityStatus rejects missing opportunities and invalid moves', async () => {
+    await expect(storageManager.updateOpportunityStatus('missing', 'shortlisted')).rejects.toThrow('Opportunity not found');
+    await expect(storageManager.updateOpportunityStatus('1', 'published')).rejects.toThrow('Cannot move');
+    expect((await store.get('1')).status).toBeUndefined();
+  });
+});
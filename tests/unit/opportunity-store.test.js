@@ -0,0 +1,281 @@
+/**
+ * Unit tests for the unified opportunity store
+ */
+
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import {
+  OpportunityStore,
+  DB_NAME,
+  STORE_NAME,
+  getOpportunityKey,
+  normalizeSourceName,
+  hasOpportunityChanged,
+  mergeOpportunityRecord
+} from '../../modules/opportunityStore.js';
+import { storageManager } from '../../modules/storage.js';
+
+/**
+ * Create a version 1 database (bare id keys) holding the given records
+ * @param {IDBFactory} idbFactory - Factory to create it in
+ * @param {Array} records - Records to store
+ * @returns {Promise<void>}
+ */
+function createVersion1Database(idbFactory, records) {
+  return new Promise((resolve, reject) => {
+    const request = idbFactory.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      records.forEach(record => store.put(record));
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+describe('Opportunity store helpers', () => {
+  test('getOpportunityKey prefers id and falls back to externalId', () => {
+    expect(getOpportunityKey({ id: 'a', externalId: 'b' })).toBe('a');
+    expect(getOpportunityKey({ externalId: 42 })).toBe('42');
+    expect(getOpportunityKey({ title: 'No id' })).toBeNull();
+  });
+
+  test('getOpportunityKey namespaces ids by source', () => {
+    expect(getOpportunityKey({ id: '42', source: 'SourceBottle' })).toBe('sourcebottle-42');
+    expect(getOpportunityKey({ id: '42', source: 'Qwoted' })).toBe('qwoted-42');
+    expect(getOpportunityKey({ id: 'featured-1x2y', source: 'Featured' })).toBe('featured-1x2y');
+    expect(getOpportunityKey({ id: 'manual-abc', source: 'manual' })).toBe('manual-abc');
+  });
+
+  test('normalizeSourceName maps platform spellings to one canonical name', () => {
+    expect(normalizeSourceName('sourcebottle')).toBe('SourceBottle');
+    expect(normalizeSourceName('Source Bottle')).toBe('SourceBottle');
+    expect(normalizeSourceName('featured')).toBe('Featured');
+    expect(normalizeSourceName('QWOTED')).toBe('Qwoted');
+    expect(normalizeSourceName('manual')).toBe('manual');
+  });
+
+  test('hasOpportunityChanged ignores bookkeeping timestamps', () => {
+    const existing = { id: '1', title: 'Title', scrapedAt: '2025-01-01T00:00:00.000Z' };
+    expect(hasOpportunityChanged(existing, { id: '1', title: 'Title', scrapedAt: '2025-02-01T00:00:00.000Z' })).toBe(false);
+    expect(hasOpportunityChanged(existing, { id: '1', title: 'New title' })).toBe(true);
+  });
+
+  test('hasOpportunityChanged compares a countdown by its normalized deadline', () => {
+    const existing = { id: 'featured-1', deadline: '7d 15h', deadlineAt: '2025-07-09T01:05:00+00:00' };
+
+    expect(hasOpportunityChanged(existing, { id: 'featured-1', deadline: '7d 14h', deadlineAt: '2025-07-09T00:50:00+00:00' })).toBe(false);
+    expect(hasOpportunityChanged(existing, { id: 'featured-1', deadline: '9d 14h', deadlineAt: '2025-07-11T00:50:00+00:00' })).toBe(true);
+  });
+
+  test('mergeOpportunityRecord inserts new records with first-seen timestamps', () => {
+    const { record, result } = mergeOpportunityRecord(undefined, {
+      externalId: 'query.asp?iqid=1',
+      title: 'Title',
+      source: 'sourcebottle'
+    }, '2025-01-01T00:00:00.000Z');
+
+    expect(result).toBe('inserted');
+    expect(record.id).toBe('sourcebottle-query.asp?iqid=1');
+    expect(record.externalId).toBe('query.asp?iqid=1');
+    expect(record.source).toBe('SourceBottle');
+    expect(record.firstSeenAt).toBe('2025-01-01T00:00:00.000Z');
+    expect(record.scrapedAt).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  test('mergeOpportunityRecord keeps fields the scrape does not carry', () => {
+    const existing = {
+      id: '1',
+      title: 'Title',
+      status: 'shortlisted',
+      firstSeenAt: '2025-01-01T00:00:00.000Z'
+    };
+    const { record, result } = mergeOpportunityRecord(existing, { id: '1', title: 'Updated' }, '2025-02-01T00:00:00.000Z');
+
+    expect(result).toBe('updated');
+    expect(record.title).toBe('Updated');
+    expect(record.status).toBe('shortlisted');
+    expect(record.firstSeenAt).toBe('2025-01-01T00:00:00.000Z');
+    expect(record.updatedAt).toBe('2025-02-01T00:00:00.000Z');
+  });
+
+  test('mergeOpportunityRecord reports unchanged rescrapes', () => {
+    const existing = { id: '1', title: 'Title', updatedAt: '2025-01-01T00:00:00.000Z' };
+    const { record, result } = mergeOpportunityRecord(existing, { id: '1', title: 'Title' }, '2025-02-01T00:00:00.000Z');
+
+    expect(result).toBe('unchanged');
+    expect(record.updatedAt).toBe('2025-01-01T00:00:00.000Z');
+    expect(record.savedAt).toBe('2025-02-01T00:00:00.000Z');
+  });
+});
+
+describe('OpportunityStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new OpportunityStore(new IDBFactory());
+  });
+
+  test('upsertMany merges each record with its stored version', async () => {
+    await store.upsertMany([
+      { id: '1', title: 'One', source: 'SourceBottle', category: 'Health' },
+      { id: '2', title: 'Two', source: 'SourceBottle', category: 'Tech' }
+    ]);
+    await store.put({ ...(await store.get('sourcebottle-1')), status: 'shortlisted' });
+
+    const summary = await store.upsertMany([
+      { id: '1', title: 'One', source: 'SourceBottle', category: 'Health' },
+      { id: '2', title: 'Two (edited)', source: 'SourceBottle', category: 'Tech' },
+      { id: '3', title: 'Three', source: 'SourceBottle', category: 'Tech' },
+      { title: 'No id' }
+    ]);
+
+    expect(summary).toMatchObject({ inserted: 1, updated: 1, unchanged: 1, skipped: 1 });
+    expect(summary.insertedRecords.map(record => record.id)).toEqual(['sourcebottle-3']);
+    expect(await store.count()).toBe(3);
+    expect((await store.get('sourcebottle-1')).status).toBe('shortlisted');
+    expect((await store.get('sourcebottle-2')).title).toBe('Two (edited)');
+  });
+
+  test('keeps the same id from different platforms apart', async () => {
+    await store.upsertMany([
+      { id: '42', title: 'SourceBottle query', source: 'sourcebottle' },
+      { id: '42', title: 'Qwoted request', source: 'Qwoted' }
+    ]);
+
+    expect(await store.count()).toBe(2);
+    expect((await store.get('sourcebottle-42')).title).toBe('SourceBottle query');
+    expect((await store.get('qwoted-42')).title).toBe('Qwoted request');
+  });
+
+  test('queries records by index', async () => {
+    await store.upsertMany([
+      { id: 'sourcebottle-1', title: 'One', source: 'SourceBottle', category: 'Health', deadline: '2025-03-01' },
+      { id: 'featured-2', title: 'Two', source: 'Featured', category: 'Tech', deadline: '2025-04-01' },
+      { id: 'featured-3', title: 'Three', source: 'featured', category: 'Tech', deadline: '2025-05-01' }
+    ]);
+
+    expect((await store.getByIndex('source', 'Featured')).map(record => record.id)).toEqual(['featured-2', 'featured-3']);
+    expect((await store.getByIndex('category', 'Health')).map(record => record.id)).toEqual(['sourcebottle-1']);
+    expect((await store.getByIndex('deadline', IDBKeyRange.upperBound('2025-04-15'))).map(record => record.id))
+      .toEqual(['sourcebottle-1', 'featured-2']);
+    await expect(store.getByIndex('title', 'One')).rejects.toThrow('Unknown opportunity index');
+  });
+
+  test('update reads and writes a record in one transaction', async () => {
+    await store.upsert({ id: 'qwoted-1', title: 'One', source: 'Qwoted' });
+
+    const updated = await Promise.all([
+      store.update('qwoted-1', record => ({ ...record, notes: [...(record.notes || []), 'first'] })),
+      store.update('qwoted-1', record => ({ ...record, notes: [...(record.notes || []), 'second'] }))
+    ]);
+
+    expect(updated[1].notes).toEqual(['first', 'second']);
+    expect((await store.get('qwoted-1')).notes).toEqual(['first', 'second']);
+    expect(await store.update('qwoted-missing', record => record)).toBeNull();
+
+    await expect(store.update('qwoted-1', () => {
+      throw new Error('Not allowed');
+    })).rejects.toThrow('Not allowed');
+    expect((await store.get('qwoted-1')).notes).toEqual(['first', 'second']);
+  });
+
+  test('moves version 1 records to their namespaced keys', async () => {
+    const idbFactory = new IDBFactory();
+    await createVersion1Database(idbFactory, [
+      { id: '42', title: 'SourceBottle query', source: 'SourceBottle', status: 'applied' },
+      { id: 'featured-1x2y', title: 'Featured question', source: 'Featured' },
+      { id: 'no-source', title: 'No source' }
+    ]);
+
+    const upgraded = new OpportunityStore(idbFactory);
+
+    expect((await upgraded.getAll()).map(record => record.id).sort()).toEqual(['featured-1x2y', 'no-source', 'sourcebottle-42']);
+    expect(await upgraded.get('42')).toBeNull();
+    expect(await upgraded.get('sourcebottle-42')).toMatchObject({ title: 'SourceBottle query', status: 'applied' });
+    expect((await upgraded.getByIndex('source', 'SourceBottle')).map(record => record.id)).toEqual(['sourcebottle-42']);
+  });
+});
+
+describe('StorageManager opportunity store integration', () => {
+  let store;
+
+  beforeEach(() => {
+    global.extension.reset();
+    store = new OpportunityStore(new IDBFactory());
+    storageManager.opportunityStore = store;
+    storageManager.migrationPromise = null;
+    chrome.storage.local.remove = jest.fn((keys, callback) => {
+      if (callback) {
+        callback();
+      }
+    });
+  });
+
+  test('migrates every legacy key into the store once', async () => {
+    await new Promise(resolve => chrome.storage.local.set({
+      sourceBottleOpportunities: [{ id: 'sb-123-abc', externalId: 'query.asp?iqid=1', title: 'SB' }],
+      sourcebottleOpportunities: [{ externalId: 'query.asp?iqid=2', title: 'Stray SB' }],
+      featuredOpportunities: [{ externalId: 'featured-1', title: 'Featured', source: 'Featured' }],
+      qwotedOpportunities: [{ id: 'qwoted-1', title: 'Qwoted' }]
+    }, resolve));
+
+    const result = await storageManager._migrateLegacyData();
+
+    expect(result.migrated).toBe(4);
+    expect(chrome.storage.local.remove).toHaveBeenCalledWith(
+      expect.arrayContaining(['sourceBottleOpportunities', 'sourcebottleOpportunities', 'featuredOpportunities', 'qwotedOpportunities']),
+      expect.any(Function)
+    );
+
+    // Legacy random ids are replaced by the platform's own id
+    const sourceBottle = await store.get('sourcebottle-query.asp?iqid=1');
+    expect(sourceBottle.source).toBe('SourceBottle');
+    expect((await store.get('qwoted-1')).source).toBe('Qwoted');
+
+    // A second call is a no-op
+    storageManager.migrationPromise = null;
+    const again = await storageManager._migrateLegacyData();
+    expect(again.skipped).toBe(true);
+  });
+
+  test('upsertOpportunities reports new, updated and unchanged counts', async () => {
+    await storageManager.upsertOpportunities([
+      { externalId: '1', title: 'One', source: 'SourceBottle' },
+      { externalId: '2', title: 'Two', source: 'SourceBottle' }
+    ]);
+
+    const summary = await storageManager.upsertOpportunities([
+      { externalId: '1', title: 'One', source: 'SourceBottle' },
+      { externalId: '2', title: 'Two (edited)', source: 'SourceBottle' },
+      { externalId: '3', title: 'Three', source: 'SourceBottle' }
+    ]);
+
+    expect(summary.inserted).toBe(1);
+    expect(summary.updated).toBe(1);
+    expect(summary.unchanged).toBe(1);
+    expect(summary.total).toBe(3);
+  });
+
+  test('saveOpportunities still resolves to every stored opportunity', async () => {
+    const all = await storageManager.saveOpportunities([
+      { id: 'a', title: 'A' },
+      { externalId: 'b', title: 'B' }
+    ]);
+
+    expect(all).toHaveLength(2);
+    expect(all.find(o => o.id === 'b').externalId).toBe('b');
+  });
+
+  test('updateOpportunityStatus moves a stored opportunity to another stage', async () => {
+    await storageManager.upsertOpportunities([{ externalId: '1', title: 'One', source: 'Qwoted' }]);
+
+    const updated = await storageManager.updateOpportunityStatus('qwoted-1', 'shortlisted', 'Good fit');
+
+    expect(updated.status).toBe('shortlisted');
+    expect(await store.get('qwoted-1')).toMatchObject({ status: 'shortlisted', title: 'One' });
+    await expect(storageManager.updateOpportunityStatus('qwoted-2', 'shortlisted')).rejects.toThrow('Opportunity not found');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for the pitch workspace: kept drafts, platform limits and inserting into response forms
+ */
+
+import {
+  PitchWorkspace,
+  PITCH_DRAFTS_KEY,
+  MAX_PITCH_DRAFTS,
+  formatPitch,
+  getPitchPlatform,
+  checkPitchLength,
+  describePitchStyle,
+  PITCH_PLATFORMS
+} from '../../modules/pitchWorkspace.js';
+import { createStorage } from '../memory-storage.js';
+import manifest from '../../manifest.json';
+
+function createTabs(tabs) {
+  return {
+    inserted: [],
+    focused: [],
+    find: jest.fn(async () => tabs),
+    insert: jest.fn(async function (tabId, text) {
+      this.inserted.push({ tabId, text });
+    }),
+    focus: jest.fn(async function (tab) {
+      this.focused.push(tab.id);
+    })
+  };
+}
+
+const featured = {
+  id: 'featured-1',
+  source: 'featured',
+  question: 'What is one hiring mistake founders make?',
+  url: 'https://featured.com/questions/123'
+};
+
+describe('pitch text and limits', () => {
+  test('formats a generated pitch and checks it against the platform limit', () => {
+    const text = formatPitch({
+      subject_line: 'Hiring lessons',
+      greeting: 'Hi Sam,',
+      introduction: 'I have hired 40 people.',
+      key_points: ['Hire slowly', 'Check references'],
+      call_to_action: 'Happy to talk.',
+      sign_off: 'Jane'
+    });
+    expect(text).toBe('Subject: Hiring lessons\n\nHi Sam,\n\nI have hired 40 people.\n\n• Hire slowly\n• Check references\n\nHappy to talk.\n\nJane');
+
+    expect(getPitchPlatform(featured)).toEqual({ platform: 'Featured', maxChars: 1500, canInsert: true });
+    expect(getPitchPlatform({ source: 'Email newsletter' })).toMatchObject({ maxChars: null, canInsert: false });
+    expect(checkPitchLength('x'.repeat(1510), 1500)).toEqual({ length: 1510, maxChars: 1500, over: 10 });
+    expect(checkPitchLength('x'.repeat(5000), null).over).toBe(0);
+  });
+
+  test('describes the tone and length for the pitch prompt', () => {
+    expect(describePitchStyle({ tone: 'bold', length: 'short', maxChars: 1500 })).toEqual({
+      pitchTone: 'Confident, leading with a clear opinion the journalist can quote',
+      pitchLength: 'About 80 words, and no more than 1500 characters in all'
+    });
+    expect(describePitchStyle().pitchLength).toBe('About 150 words');
+  });
+});
+
+describe('PitchWorkspace', () => {
+  test('keeps every draft per opportunity, newest first', async () => {
+    const storage = createStorage();
+    const workspace = new PitchWorkspace({ storage });
+
+    const first = await workspace.addDraft('featured-1', { text: 'First', origin: 'generated', tone: 'friendly', length: 'short' });
+    const second = await workspace.addDraft('featured-1', { text: ' Second ', basedOn: first.id });
+    await workspace.addDraft('qwoted-1', { text: 'Other opportunity' });
+
+    expect(second.id).not.toBe(first.id);
+    expect(await workspace.getDrafts('featured-1')).toEqual([
+      expect.objectContaining({ text: 'Second', origin: 'edited', basedOn: first.id }),
+      expect.objectContaining({ text: 'First', origin: 'generated', tone: 'friendly', length: 'short' })
+    ]);
+    await expect(workspace.addDraft('featured-1', { text: '   ' })).rejects.toThrow('empty');
+
+    await workspace.deleteDraft('featured-1', first.id);
+    await workspace.deleteDraft('qwoted-1', (await workspace.getDrafts('qwoted-1'))[0].id);
+    expect(Object.keys(storage.values[PITCH_DRAFTS_KEY])).toEqual(['featured-1']);
+  });
+
+  test('drops the oldest drafts past the limit', async () => {
+    const storage = createStorage();
+    const workspace = new PitchWorkspace({ storage });
+    for (let n = 1; n <= MAX_PITCH_DRAFTS + 1; n++) {
+      await workspace.addDraft('featured-1', { text: `Draft ${n}` });
+    }
+
+    const drafts = await workspace.getDrafts('featured-1');
+    expect(drafts).toHaveLength(MAX_PITCH_DRAFTS);
+    expect(drafts[drafts.length - 1].text).toBe('Draft 2');
+  });
+
+  test('inserts into the tab showing the opportunity, within the platform limit', async () => {
+    const tabs = createTabs([
+      { id: 1, windowId: 9, url: 'https://featured.com/questions' },
+      { id: 2, windowId: 9, url: 'https://featured.com/questions/123?answer=1' }
+    ]);
+    const workspace = new PitchWorkspace({ storage: createStorage(), tabs });
+
+    expect(await workspace.insertPitch(featured, 'My answer')).toEqual({ platform: 'Featured', tabId: 2 });
+    expect(tabs.find).toHaveBeenCalledWith(PITCH_PLATFORMS.Featured.tabUrls);
+    expect(tabs.inserted).toEqual([{ tabId: 2, text: 'My answer' }]);
+    expect(tabs.focused).toEqual([2]);
+
+    await expect(workspace.insertPitch(featured, 'x'.repeat(1501))).rejects.toThrow('1 characters over Featured\'s limit of 1500');
+    await expect(workspace.insertPitch(featured, ' ')).rejects.toThrow('empty');
+    await expect(workspace.insertPitch({ source: 'Newsletter' }, 'Hi')).rejects.toThrow('copy the pitch instead');
+    await expect(new PitchWorkspace({ storage: createStorage(), tabs: createTabs([]) }).insertPitch(featured, 'Hi'))
+      .rejects.toThrow('Open the opportunity on Featured first');
+    expect(tabs.inserted).toHaveLength(1);
+  });
+
+  test('only looks in tabs where the insert content script runs', () => {
+    const insertMatches = manifest.content_scripts
+      .filter(script => script.js.includes('content-scripts/pitch_insert.js'))
+      .flatMap(script => script.matches);
+    const tabUrls = Object.values(PITCH_PLATFORMS).flatMap(config => config.tabUrls);
+
+    expect(tabUrls.sort()).toEqual(insertMatches.sort());
+  });
+});
+
+describe('pitch insert content script', () => {
+  let listener;
+
+  beforeAll(() => {
+    jest.spyOn(chrome.runtime.onMessage, 'addListener').mockImplementation(callback => {
+      listener = callback;
+    });
+    jest.isolateModules(() => {
+      require('../../content-scripts/pitch_insert.js');
+    });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('fills the focused response box the way typing would', () => {
+    document.body.innerHTML = '<form><textarea id="answer" maxlength="20"></textarea></form>';
+    const answer = document.getElementById('answer');
+    const onInput = jest.fn();
+    answer.addEventListener('input', onInput);
+    answer.focus();
+
+    const sendResponse = jest.fn();
+    listener({ action: 'insertPitch', text: 'My answer' }, {}, sendResponse);
+    expect(answer.value).toBe('My answer');
+    expect(onInput).toHaveBeenCalled();
+    expect(sendResponse).toHaveBeenCalledWith({ success: true });
+
+    listener({ action: 'insertPitch', text: 'A much longer answer than fits' }, {}, sendResponse);
+    expect(sendResponse).toHaveBeenLastCalledWith({ success: false, error: expect.stringContaining('at most 20 characters') });
+    expect(answer.value).toBe('My answer');
+  });
+
+  test('reports when there is nothing to insert into and ignores other messages', () => {
+    const sendResponse = jest.fn();
+    listener({ action: 'insertPitch', text: 'Hi' }, {}, sendResponse);
+    expect(sendResponse).toHaveBeenCalledWith({ success: false, error: expect.stringContaining('No response box') });
+
+    expect(listener({ action: 'somethingElse' }, {}, sendResponse)).toBe(false);
+    expect(sendResponse).toHaveBeenCalledTimes(1);
+  });
+});
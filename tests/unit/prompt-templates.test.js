@@ -0,0 +1,142 @@
+/**
+ * Unit tests for the editable, versioned prompt templates and profile-aware pitch drafting
+ */
+
+import {
+  PromptTemplateManager,
+  promptTemplateManager,
+  PROMPT_TEMPLATES_KEY,
+  MAX_PROMPT_TEMPLATE_VERSIONS,
+  getDefaultTemplate,
+  buildPromptVariables,
+  renderPromptTemplate,
+  renderPrompt,
+  findUnknownVariables
+} from '../../modules/promptTemplates.js';
+import { normalizeExpertProfile } from '../../modules/expertProfiles.js';
+import '../../modules/aiEnhancements.js';
+import { createStorage } from '../memory-storage.js';
+
+const opportunity = {
+  id: 'qw-1',
+  question: 'Founders: what did your first hire teach you?',
+  publication: 'Forbes',
+  source: 'Qwoted',
+  tags: ['hiring', 'startups']
+};
+
+const expert = normalizeExpertProfile({
+  id: 'expert-1',
+  name: 'Jane Lee',
+  bio: 'Founded two payments startups',
+  expertise: ['fintech', 'hiring']
+});
+
+describe('prompt rendering', () => {
+  test('fills in opportunity and expert variables, with N/A for empty ones', () => {
+    const variables = buildPromptVariables(opportunity, expert, 'About {{expertName}}: {{title}}');
+
+    expect(variables).toMatchObject({
+      title: opportunity.question,
+      mediaOutlet: 'Forbes',
+      tags: 'hiring, startups',
+      expertName: 'Jane Lee',
+      expertExpertise: 'fintech, hiring',
+      baseContext: `About Jane Lee: ${opportunity.question}`
+    });
+    expect(variables.expertContext).toContain('Bio: Founded two payments startups');
+
+    expect(renderPromptTemplate('{{ expertName }} / {{deadline}} / {{nope}}', variables)).toBe('Jane Lee / N/A / {{nope}}');
+    expect(findUnknownVariables('{{title}} {{nope}} {{nope}} {{ other }}')).toEqual(['nope', 'other']);
+  });
+
+  test('the default analysis and pitch prompts are written for the expert', () => {
+    const templates = { 'base-context': getDefaultTemplate('base-context'), summarize: getDefaultTemplate('summarize'), pitch: getDefaultTemplate('pitch') };
+
+    const summary = renderPrompt(templates, 'summarize', opportunity, expert);
+    expect(summary).toContain('Name: Jane Lee');
+    expect(summary).toContain(`Title: ${opportunity.question}`);
+    expect(summary).not.toContain('{{');
+
+    const pitch = renderPrompt(templates, 'pitch', opportunity, null);
+    expect(pitch).toContain('No expert profile is set up');
+    expect(pitch).toContain('"subject_line"');
+  });
+});
+
+describe('PromptTemplateManager', () => {
+  test('saves versions, restores an older one and resets to the default', async () => {
+    const storage = createStorage();
+    const manager = new PromptTemplateManager({ storage });
+    expect((await manager.getTemplates()).summarize).toBe(getDefaultTemplate('summarize'));
+
+    await manager.saveTemplate('summarize', 'One line on {{title}} for {{expertName}}');
+    await manager.saveTemplate('summarize', '{{baseContext}}\n\nTwo lines.');
+    expect((await manager.getTemplates()).summarize).toBe('{{baseContext}}\n\nTwo lines.');
+
+    const restored = await manager.restoreVersion('summarize', 1);
+    expect(restored).toMatchObject({ version: 3, template: 'One line on {{title}} for {{expertName}}', isDefault: false });
+
+    await manager.resetTemplate('summarize');
+    expect((await manager.getTemplates()).summarize).toBe(getDefaultTemplate('summarize'));
+    expect((await manager.getVersions('summarize')).map(version => [version.version, version.isDefault])).toEqual([
+      [4, true], [3, false], [2, false], [1, false]
+    ]);
+    expect((await manager.getTemplates()).prioritize).toBe(getDefaultTemplate('prioritize'));
+  });
+
+  test('rejects empty templates, unknown variables and unknown keys', async () => {
+    const manager = new PromptTemplateManager({ storage: createStorage() });
+
+    await expect(manager.saveTemplate('pitch', '  ')).rejects.toThrow('empty');
+    await expect(manager.saveTemplate('pitch', 'Pitch {{titel}} as {{expert}}')).rejects.toThrow('Unknown variables: {{titel}}, {{expert}}');
+    await expect(manager.saveTemplate('base-context', '{{baseContext}}')).rejects.toThrow('can\'t include');
+    await expect(manager.saveTemplate('translate', 'x')).rejects.toThrow('Unknown prompt template');
+    await expect(manager.restoreVersion('pitch', 7)).rejects.toThrow('no longer exists');
+  });
+
+  test('keeps only the latest versions', async () => {
+    const storage = createStorage();
+    const manager = new PromptTemplateManager({ storage });
+    for (let n = 1; n <= MAX_PROMPT_TEMPLATE_VERSIONS + 2; n++) {
+      await manager.saveTemplate('system', `System prompt ${n}`);
+    }
+
+    const versions = storage.values[PROMPT_TEMPLATES_KEY].system;
+    expect(versions).toHaveLength(MAX_PROMPT_TEMPLATE_VERSIONS);
+    expect(versions[0].version).toBe(3);
+  });
+});
+
+describe('pitch drafting', () => {
+  test('uses the edited pitch and system templates for the chosen expert', async () => {
+    const originalStorage = promptTemplateManager.storage;
+    promptTemplateManager.storage = createStorage();
+    const aiService = {
+      _getExpertForPrompt: jest.fn(async () => expert),
+      _post: jest.fn(async () => ({
+        choices: [{ message: { content: JSON.stringify({ subject_line: 'Hiring lessons', key_points: ['One'] }) } }]
+      }))
+    };
+
+    try {
+      await promptTemplateManager.saveTemplate('system', 'You write pitches.');
+      await promptTemplateManager.saveTemplate('pitch', 'Pitch "{{title}}" ({{mediaOutlet}}) as {{expertName}}: {{expertBio}}');
+      window.aiEnhancements.aiService = aiService;
+      window.aiEnhancements.initialized = true;
+
+      const pitch = await window.aiEnhancements.generatePitchTemplate(opportunity, { expertId: 'expert-1' });
+
+      expect(aiService._getExpertForPrompt).toHaveBeenCalledWith(opportunity, 'expert-1');
+      expect(aiService._post.mock.calls[0][0].messages).toEqual([
+        { role: 'system', content: 'You write pitches.' },
+        { role: 'user', content: `Pitch "${opportunity.question}" (Forbes) as Jane Lee: Founded two payments startups` }
+      ]);
+      expect(pitch).toMatchObject({ subject_line: 'Hiring lessons', key_points: ['One'], expert_name: 'Jane Lee' });
+    } finally {
+      promptTemplateManager.storage = originalStorage;
+      window.aiEnhancements.initialized = false;
+      window.aiEnhancements.aiService = null;
+    }
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Unit tests for the scheduled per-platform scrape
+ */
+
+import {
+  ScheduledScraper,
+  SOURCEBOTTLE_CATEGORIES,
+  SCRAPE_RUNS_KEY,
+  resolveScheduledCategories,
+  getCategoryPageUrl,
+  normalizeSchedule,
+  getNextRunTime,
+  getAlarmName,
+  getPlatformForAlarm
+} from '../../modules/scheduledScrape.js';
+import { createStorage } from '../memory-storage.js';
+
+/**
+ * Fake tab driver serving canned pages keyed by industry ID
+ * @param {Object<string, Array<Array>>} pagesByCategory - Opportunities per page, per category
+ */
+function createTabs(pagesByCategory) {
+  let currentUrl = null;
+  return {
+    visited: [],
+    open: jest.fn(async () => 7),
+    navigate: jest.fn(async function(tabId, url) {
+      currentUrl = url;
+      this.visited.push(url);
+    }),
+    extract: jest.fn(async () => {
+      const industry = currentUrl.match(/industry=(\d+)/)[1];
+      const page = Number((currentUrl.match(/&p=(\d+)/) || [null, 1])[1]);
+      const pages = pagesByCategory[industry] || [[]];
+      if (pages[page - 1] instanceof Error) {
+        throw pages[page - 1];
+      }
+      return { success: true, opportunities: pages[page - 1] || [], page, totalPages: pages.length };
+    }),
+    close: jest.fn(async () => {})
+  };
+}
+
+/**
+ * Fake storage that treats ids starting with "old-" as already stored
+ */
+function createScrapeStorage() {
+  return {
+    ...createStorage(),
+    upsertOpportunities: jest.fn(async opportunities => ({
+      inserted: opportunities.filter(opp => !opp.id.startsWith('old-')).length,
+      updated: 0,
+      unchanged: opportunities.filter(opp => opp.id.startsWith('old-')).length
+    }))
+  };
+}
+
+describe('resolveScheduledCategories', () => {
+  test('"all" and an empty selection mean every category', () => {
+    const everything = Object.keys(SOURCEBOTTLE_CATEGORIES);
+    expect(resolveScheduledCategories(['all']).map(category => category.name)).toEqual(everything);
+    expect(resolveScheduledCategories([])).toHaveLength(everything.length);
+    expect(resolveScheduledCategories()).toHaveLength(everything.length);
+  });
+
+  test('keeps the selected order and drops unknown names', () => {
+    expect(resolveScheduledCategories(['Technology', 'Nope', 'Property'])).toEqual([
+      { name: 'Technology', id: '70' },
+      { name: 'Property', id: '68' }
+    ]);
+  });
+});
+
+describe('Platform schedules', () => {
+  test('a schedule saved before platforms existed becomes SourceBottle\'s', () => {
+    const { platforms } = normalizeSchedule({ enabled: true, type: 'daily', time: '07:30', categories: ['Technology'] });
+
+    expect(platforms.sourcebottle).toMatchObject({ enabled: true, time: '07:30', categories: ['Technology'] });
+    expect(platforms.featured).toMatchObject({ enabled: false, type: 'daily', time: '09:00' });
+    expect(platforms.qwoted.enabled).toBe(false);
+  });
+
+  test('next run is later today, tomorrow, or the next selected day', () => {
+    const monday = new Date(2025, 6, 7, 8, 0); // Mon 7 Jul 2025, 08:00
+
+    expect(getNextRunTime({ type: 'daily', time: '09:00' }, monday)).toEqual(new Date(2025, 6, 7, 9, 0));
+    expect(getNextRunTime({ type: 'daily', time: '07:00' }, monday)).toEqual(new Date(2025, 6, 8, 7, 0));
+    expect(getNextRunTime({ type: 'custom', time: '09:00', days: ['thu'] }, monday)).toEqual(new Date(2025, 6, 10, 9, 0));
+    expect(getNextRunTime({ type: 'custom', time: '07:00', days: ['mon'] }, monday)).toEqual(new Date(2025, 6, 14, 7, 0));
+    expect(getNextRunTime({ type: 'custom', time: '09:00', days: [] }, monday)).toBeNull();
+  });
+
+  test('alarm names map back to platforms, including the old single alarm', () => {
+    expect(getAlarmName('featured')).toBe('autoScrape-featured');
+    expect(getPlatformForAlarm('autoScrape-qwoted')).toBe('qwoted');
+    expect(getPlatformForAlarm('autoScrape')).toBe('sourcebottle');
+    expect(getPlatformForAlarm('autoScrape-nope')).toBeNull();
+    expect(getPlatformForAlarm('refreshData')).toBeNull();
+  });
+});
+
+describe('ScheduledScraper', () => {
+  test('walks every page of each category in one tab, then closes it', async () => {
+    const tabs = createTabs({
+      70: [[{ id: 'a' }, { id: 'old-b' }], [{ id: 'c' }]],
+      68: [[{ id: 'old-d' }]]
+    });
+    const storage = createScrapeStorage();
+    const scraper = new ScheduledScraper({ tabs, storage });
+
+    const run = await scraper.run(['Technology', 'Property']);
+
+    expect(tabs.open).toHaveBeenCalledTimes(1);
+    expect(tabs.visited).toEqual([
+      getCategoryPageUrl('70', 1),
+      getCategoryPageUrl('70', 2),
+      getCategoryPageUrl('68', 1)
+    ]);
+    expect(tabs.close).toHaveBeenCalledWith(7);
+    expect(run.categories).toEqual([
+      { name: 'Technology', id: '70', pages: 2, inserted: 2, updated: 0, unchanged: 1 },
+      { name: 'Property', id: '68', pages: 1, inserted: 0, updated: 0, unchanged: 1 }
+    ]);
+    expect(run.totals).toEqual({ inserted: 2, updated: 0, unchanged: 2 });
+    expect(storage.values[SCRAPE_RUNS_KEY][0]).toEqual(run);
+  });
+
+  test('a failing category is recorded and the run carries on', async () => {
+    const tabs = createTabs({
+      70: [[{ id: 'a' }], new Error('Timed out')],
+      68: [[{ id: 'b' }]]
+    });
+    const scraper = new ScheduledScraper({ tabs, storage: createScrapeStorage() });
+
+    const run = await scraper.run(['Technology', 'Property']);
+
+    expect(run.categories[0]).toMatchObject({ name: 'Technology', inserted: 1, error: 'Timed out' });
+    expect(run.categories[1]).toMatchObject({ name: 'Property', inserted: 1 });
+    expect(tabs.close).toHaveBeenCalledTimes(1);
+  });
+
+  test('saves each page through the save path it is given', async () => {
+    const storage = createScrapeStorage();
+    const save = jest.fn(opportunities => storage.upsertOpportunities(opportunities));
+    const scraper = new ScheduledScraper({ tabs: createTabs({ 70: [[{ id: 'a' }], [{ id: 'old-b' }]] }), storage, save });
+
+    const run = await scraper.run(['Technology']);
+
+    expect(save.mock.calls).toEqual([[[{ id: 'a' }]], [[{ id: 'old-b' }]]]);
+    expect(run.totals).toEqual({ inserted: 1, updated: 0, unchanged: 1 });
+  });
+
+  test('keeps only the most recent runs, newest first', async () => {
+    const storage = createScrapeStorage();
+    const scraper = new ScheduledScraper({ tabs: createTabs({}), storage });
+
+    for (let i = 0; i < 22; i++) {
+      await scraper.run(['General']);
+    }
+
+    const runs = await scraper.getRuns();
+    expect(runs).toHaveLength(20);
+    expect(runs[0].startedAt >= runs[19].startedAt).toBe(true);
+  });
+
+  test('Featured and Qwoted runs open the page and wait for its launcher to save', async () => {
+    const tabs = createTabs({});
+    const storage = createScrapeStorage();
+    const scraper = new ScheduledScraper({ tabs, storage });
+
+    const pending = scraper.runPlatform('featured', { enabled: true });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(tabs.open).toHaveBeenCalledWith('https://featured.com/experts/questions');
+    expect(scraper.handleTabSave(99, { inserted: 1 })).toBe(false);
+    expect(scraper.handleTabSave(7, { inserted: 3, updated: 1, unchanged: 5 })).toBe(true);
+
+    const run = await pending;
+    expect(run.platform).toBe('featured');
+    expect(run.totals).toEqual({ inserted: 3, updated: 1, unchanged: 5 });
+    expect(tabs.close).toHaveBeenCalledWith(7);
+    expect(await scraper.getRuns('featured')).toEqual([run]);
+    expect(await scraper.getRuns('sourcebottle')).toEqual([]);
+  });
+
+  test('a launcher that never saves times out and the run is logged with the error', async () => {
+    const tabs = createTabs({});
+    const scraper = new ScheduledScraper({ tabs, storage: createScrapeStorage(), saveTimeout: 10 });
+
+    const run = await scraper.runPlatform('qwoted', { enabled: true });
+
+    expect(tabs.open).toHaveBeenCalledWith('https://app.qwoted.com/opportunities');
+    expect(run.error).toContain('No opportunities saved');
+    expect(tabs.close).toHaveBeenCalledWith(7);
+  });
+
+  test('runs due at the same time take turns', async () => {
+    const tabs = createTabs({ 63: [[{ id: 'a' }]] });
+    const scraper = new ScheduledScraper({ tabs, storage: createScrapeStorage(), saveTimeout: 10 });
+
+    const [qwoted, sourceBottle] = await Promise.all([
+      scraper.runPlatform('qwoted', {}),
+      scraper.runPlatform('sourcebottle', { categories: ['General'] })
+    ]);
+
+    expect(sourceBottle.startedAt >= qwoted.finishedAt).toBe(true);
+    expect(sourceBottle.totals.inserted).toBe(1);
+  });
+});
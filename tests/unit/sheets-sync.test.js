@@ -0,0 +1,217 @@
+/**
+ * Unit tests for the two-way Google Sheets sync, run against the local mock web app
+ */
+
+import {
+  SheetsSync,
+  SHEETS_SYNC_SETTINGS_KEY,
+  normalizeCell,
+  toSheetValues,
+  getSheetColumns
+} from '../../modules/sheetsSync.js';
+import { ExportProfileManager, DEFAULT_EXPORT_PROFILE } from '../../modules/exportProfiles.js';
+import { createMockSheetsServer } from '../mock-sheets-server.js';
+import { httpFetch } from '../http-fetch.js';
+import { createStorage } from '../memory-storage.js';
+
+/**
+ * In-memory opportunity store with the storageManager methods the sync uses
+ * @param {Array} opportunities - Initial opportunities
+ */
+function createSyncStorage(opportunities) {
+  const records = new Map(opportunities.map(opportunity => [opportunity.id, opportunity]));
+  return {
+    ...createStorage(),
+    records,
+    getOpportunities: async () => [...records.values()],
+    getOpportunity: async id => records.get(id) || null,
+    saveOpportunity: async opportunity => {
+      records.set(opportunity.id, opportunity);
+      return opportunity;
+    }
+  };
+}
+
+function makeOpportunities(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `sb-${index}`,
+    title: `Opportunity ${index}`,
+    source: 'SourceBottle',
+    status: 'new'
+  }));
+}
+
+describe('Google Sheets sync', () => {
+  let mock;
+  let storage;
+  let sync;
+
+  beforeAll(done => {
+    mock = createMockSheetsServer();
+    mock.server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    mock.server.close(done);
+  });
+
+  /**
+   * Fresh sheet and store, already synced once
+   */
+  async function setUp(policy = 'ask') {
+    mock.headers = [];
+    mock.rows = [];
+    mock.requests = [];
+    mock.failures = [];
+    storage = createSyncStorage(makeOpportunities(3));
+    storage.values[SHEETS_SYNC_SETTINGS_KEY] = { webAppUrl: mock.url(), conflictPolicy: policy };
+    sync = new SheetsSync({ storage, profiles: new ExportProfileManager({ storage }), fetch: httpFetch });
+    await sync.sync();
+    mock.requests = [];
+  }
+
+  test('normalizes cells so labels and stage keys compare equal', () => {
+    expect(normalizeCell('status', 'Pitched ')).toBe('pitched');
+    expect(normalizeCell('notes', null)).toBe('');
+    expect(normalizeCell('mediaOutlet', ['Forbes', 'Wired'])).toBe('Forbes, Wired');
+    expect(toSheetValues({ id: 'q-1', question: 'Asked?', publication: 'Inc.' }, getSheetColumns(DEFAULT_EXPORT_PROFILE))).toMatchObject({
+      id: 'q-1', title: 'Asked?', mediaOutlet: 'Inc.', status: 'new', owner: ''
+    });
+  });
+
+  test('the sheet profile sits between ID and the team columns, minus clashing columns', () => {
+    const columns = getSheetColumns({
+      columns: [
+        { field: 'closeDate', header: 'Closes' },
+        { field: 'status', header: 'Stage' },
+        { field: 'brandName', header: 'Notes' },
+        { field: 'daysToDeadline', header: '' }
+      ]
+    });
+    expect(columns.map(column => column.header)).toEqual(['ID', 'Closes', 'Days to Deadline', 'Status', 'Owner', 'Notes']);
+  });
+
+  test('the first sync upserts every opportunity by ID', async () => {
+    await setUp();
+
+    expect(mock.rows.map(row => row.ID)).toEqual(['sb-0', 'sb-1', 'sb-2']);
+    expect(mock.rows[0]).toMatchObject({ Title: 'Opportunity 0', Status: 'New', Owner: '' });
+    expect(mock.headers).toEqual(['ID', 'Title', 'Description', 'Category', 'Deadline', 'Source', 'Media Outlet', 'Journalist', 'Link', 'Status', 'Owner', 'Notes', 'Last Modified']);
+
+    // Nothing changed, so the next sync neither pulls back its own writes nor pushes
+    const result = await sync.sync();
+    expect(result).toMatchObject({ pulled: 0, created: 0, updated: 0 });
+    expect(mock.requests.map(request => request.action)).toEqual(['pull']);
+  });
+
+  test('pulls teammate edits to status, owner and notes into local storage', async () => {
+    await setUp();
+    mock.edit('sb-1', { Status: 'Pitched', Owner: 'Dana', Notes: 'Sent Tuesday' });
+    mock.edit('sb-2', { Title: 'Renamed in the sheet' });
+
+    const result = await sync.sync();
+    const updated = storage.records.get('sb-1');
+
+    expect(result).toMatchObject({ pulled: 2, applied: 1, conflicts: [] });
+    expect(updated).toMatchObject({ status: 'pitched', owner: 'Dana', notes: 'Sent Tuesday' });
+    expect(updated.statusHistory[updated.statusHistory.length - 1]).toMatchObject({
+      status: 'pitched', from: 'new', note: 'Changed in Google Sheets'
+    });
+    // Extension-owned columns aren't pulled; the local title is pushed back over the edit
+    expect(storage.records.get('sb-2').title).toBe('Opportunity 2');
+    expect(mock.rows[2].Title).toBe('Opportunity 2');
+  });
+
+  test('a field changed differently on both sides is listed as a conflict until resolved', async () => {
+    await setUp();
+    storage.records.set('sb-0', { ...storage.records.get('sb-0'), notes: 'Mine' });
+    storage.records.set('sb-1', { ...storage.records.get('sb-1'), owner: 'Sam' });
+    mock.edit('sb-0', { Notes: 'Theirs' });
+    mock.edit('sb-1', { Owner: 'Dana' });
+
+    const result = await sync.sync();
+
+    expect(result.conflicts.map(conflict => [conflict.id, conflict.field, conflict.localValue, conflict.sheetValue])).toEqual([
+      ['sb-0', 'notes', 'Mine', 'Theirs'],
+      ['sb-1', 'owner', 'Sam', 'Dana']
+    ]);
+    // Conflicted rows are not pushed, so the sheet keeps the teammate's value for now
+    expect(mock.rows[0].Notes).toBe('Theirs');
+    expect(await sync.getConflicts()).toHaveLength(2);
+
+    await sync.resolveConflict('sb-0', 'notes', 'local');
+    await sync.resolveConflict('sb-1', 'owner', 'sheet');
+    expect(storage.records.get('sb-1').owner).toBe('Dana');
+
+    const after = await sync.sync();
+    expect(after.conflicts).toEqual([]);
+    expect(mock.rows[0].Notes).toBe('Mine');
+    expect(mock.rows[1].Owner).toBe('Dana');
+  });
+
+  test('the sheet and local policies settle conflicts without asking', async () => {
+    await setUp('sheet');
+    storage.records.set('sb-0', { ...storage.records.get('sb-0'), notes: 'Mine' });
+    mock.edit('sb-0', { Notes: 'Theirs' });
+    expect((await sync.sync()).conflicts).toEqual([]);
+    expect(storage.records.get('sb-0').notes).toBe('Theirs');
+
+    await setUp('local');
+    storage.records.set('sb-0', { ...storage.records.get('sb-0'), notes: 'Mine' });
+    mock.edit('sb-0', { Notes: 'Theirs' });
+    expect((await sync.sync()).conflicts).toEqual([]);
+    expect(storage.records.get('sb-0').notes).toBe('Mine');
+    expect(mock.rows[0].Notes).toBe('Mine');
+  });
+
+  test('the web app refuses pushes based on an outdated row, and the next sync merges them', async () => {
+    await setUp();
+    storage.records.set('sb-0', { ...storage.records.get('sb-0'), title: 'Updated locally' });
+    mock.edit('sb-0', { Owner: 'Dana' });
+
+    const pushed = await sync.push([...storage.records.values()]);
+    expect(pushed).toMatchObject({ updated: 0, stale: 1 });
+    expect(mock.rows[0]).toMatchObject({ Title: 'Opportunity 0', Owner: 'Dana' });
+
+    await sync.sync();
+    expect(storage.records.get('sb-0').owner).toBe('Dana');
+    expect(mock.rows[0]).toMatchObject({ Title: 'Updated locally', Owner: 'Dana' });
+  });
+
+  test('switching the sheet profile fills the new columns on the next sync', async () => {
+    await setUp();
+    const profiles = new ExportProfileManager({ storage });
+    const profile = await profiles.saveProfile({
+      name: 'Qwoted',
+      columns: [{ field: 'title', header: 'Query' }, { field: 'hasExpertRequest', header: 'Expert Request' }]
+    });
+    await profiles.setTargetProfile('sheets', profile.id);
+    storage.records.set('sb-0', { ...storage.records.get('sb-0'), hasExpertRequest: true });
+
+    const result = await sync.sync();
+
+    expect(result.updated).toBe(3);
+    expect(mock.headers).toEqual(expect.arrayContaining(['Query', 'Expert Request']));
+    expect(mock.rows[0]).toMatchObject({ Query: 'Opportunity 0', 'Expert Request': 'Yes' });
+    expect(mock.rows[1]['Expert Request']).toBe('');
+  });
+
+  test('an unknown status typed in the sheet is reported and not applied', async () => {
+    await setUp();
+    mock.edit('sb-0', { Status: 'Waiting' });
+
+    const result = await sync.sync();
+
+    expect(result.rejected).toEqual([{ id: 'sb-0', field: 'status', value: 'Waiting', error: 'Unknown status "Waiting"' }]);
+    expect(storage.records.get('sb-0').status).toBe('new');
+  });
+
+  test('server errors are retryable and a missing web app URL is not', async () => {
+    await setUp();
+    mock.failures.push(503);
+    await expect(sync.sync()).rejects.toMatchObject({ name: 'SheetsSyncError', retryable: true });
+
+    storage.values[SHEETS_SYNC_SETTINGS_KEY] = { webAppUrl: '' };
+    await expect(sync.sync()).rejects.toMatchObject({ retryable: false });
+  });
+});
@@ -3,6 +3,8 @@
  */
 
 import { storageManager } from '../../modules/storage.js';
+import { IDBFactory } from 'fake-indexeddb';
+import { OpportunityStore } from '../../modules/opportunityStore.js';
 
 describe('StorageManager ID Standardization', () => {
   // Mock chrome.storage.local
@@ -21,6 +23,14 @@ describe('StorageManager ID Standardization', () => {
     chrome.storage.local.get.mockReset();
     chrome.storage.local.set.mockReset();
     chrome.storage.local.remove.mockReset();
+    chrome.storage.local.remove.mockImplementation((keys, callback) => {
+      if (callback) {
+        callback();
+      }
+    });
+
+    storageManager.migrationPromise = null;
+    storageManager.opportunityStore = new OpportunityStore(new IDBFactory());
   });
 
   test('_normalizeOpportunityIds should ensure both id and externalId exist', () => {
@@ -59,7 +69,7 @@ describe('StorageManager ID Standardization', () => {
   });
 
   test('saveOpportunities should handle different ID formats correctly', async () => {
-    // Setup mock storage with existing opportunities
+    // Setup mock legacy storage with existing opportunities (migrated on first access)
     const existingOpportunities = [
       { id: '1', externalId: '1', title: 'Existing 1' },
       { id: '2', externalId: '2', title: 'Existing 2' },
@@ -76,9 +86,9 @@ describe('StorageManager ID Standardization', () => {
     
     // New opportunities with different ID formats
     const newOpportunities = [
-      { id: '2', title: 'Updated 2' },
-      { externalId: '4', title: 'New 4' },
-      { id: '5', externalId: '5', title: 'New 5' }
+      { id: '2', title: 'Updated 2', source: 'SourceBottle' },
+      { externalId: '4', title: 'New 4', source: 'SourceBottle' },
+      { id: '5', externalId: '5', title: 'New 5', source: 'SourceBottle' }
     ];
     
     // Call the method
@@ -87,16 +97,18 @@ describe('StorageManager ID Standardization', () => {
     // Verify results
     expect(result.length).toBe(5); // 3 existing + 2 new (one is an update)
     
-    // Check if IDs are normalized
-    const updatedOpp = result.find(o => o.id === '2');
+    // Check if IDs are normalized, and stored under the platform's namespace
+    const updatedOpp = result.find(o => o.id === 'sourcebottle-2');
     expect(updatedOpp.title).toBe('Updated 2');
     expect(updatedOpp.externalId).toBe('2');
     
-    const newOpp4 = result.find(o => o.id === '4');
+    const newOpp4 = result.find(o => o.id === 'sourcebottle-4');
     expect(newOpp4.title).toBe('New 4');
     expect(newOpp4.externalId).toBe('4');
     
-    // Verify storage was called with correct data
-    expect(chrome.storage.local.set).toHaveBeenCalledTimes(1);
+    // Opportunities go to the opportunity store; chrome.storage only records the migrations
+    expect(chrome.storage.local.set).toHaveBeenCalledTimes(2);
+    expect(chrome.storage.local.set.mock.calls[0][0]).toHaveProperty('opportunityStoreMigrated');
+    expect(chrome.storage.local.set.mock.calls[1][0]).toHaveProperty('featuredIdsMigrated');
   });
 });
\ No newline at end of file
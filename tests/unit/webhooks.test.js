@@ -0,0 +1,244 @@
+/**
+ * Unit tests for outgoing webhooks, delivered to a local HTTP receiver
+ */
+
+import http from 'http';
+import { createHmac } from 'crypto';
+import {
+  WebhookManager,
+  webhookManager,
+  WEBHOOK_DELIVERIES_KEY,
+  WEBHOOK_TEMPLATES,
+  renderWebhookBody,
+  buildWebhookContext
+} from '../../modules/webhooks.js';
+import { integrationsManager } from '../../modules/integrations.js';
+import { httpFetch } from '../http-fetch.js';
+import { createStorage } from '../memory-storage.js';
+import manifest from '../../manifest.json';
+
+/**
+ * HTTP server that records every request. `failures` holds canned statuses
+ * served before the next request is accepted.
+ */
+function createReceiver() {
+  const receiver = { requests: [], failures: [] };
+
+  receiver.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      receiver.requests.push({ method: req.method, url: req.url, headers: req.headers, raw, body: JSON.parse(raw) });
+      res.writeHead(receiver.failures.length > 0 ? receiver.failures.shift() : 200);
+      res.end();
+    });
+  });
+  receiver.url = path => `http://127.0.0.1:${receiver.server.address().port}${path}`;
+
+  return receiver;
+}
+
+/**
+ * Whether the extension pages' CSP lets fetch reach a URL. Only scheme
+ * sources ('https:') and host sources with an optional '*.' prefix and port
+ * are understood, which is all the manifest uses.
+ */
+function connectSrcAllows(url) {
+  const sources = manifest.content_security_policy.extension_pages
+    .split(';')
+    .map(directive => directive.trim().split(/\s+/))
+    .find(([name]) => name === 'connect-src')
+    .slice(1);
+  const { protocol, hostname, port } = new URL(url);
+
+  return sources.some(source => {
+    if (/^[a-z]+:$/.test(source)) {
+      return source === protocol;
+    }
+    const match = source.match(/^([a-z]+:)\/\/(\*\.)?([^:/]+)(?::(\*|\d+))?$/);
+    if (!match || match[1] !== protocol) {
+      return false;
+    }
+    const hostMatches = match[2] ? hostname.endsWith(`.${match[3]}`) : hostname === match[3];
+    return hostMatches && (match[4] === '*' || (match[4] || '') === port);
+  });
+}
+
+const opportunity = {
+  id: 'qw-1',
+  question: 'Founders: what did your "first hire" teach you?',
+  source: 'Qwoted',
+  publication: 'Forbes',
+  deadline: '5 July 2025',
+  url: 'https://app.qwoted.com/opportunities/1',
+  tags: ['hiring', 'startups']
+};
+
+describe('webhook templates', () => {
+  test('placeholders keep their type on their own and become text inside strings', () => {
+    const context = buildWebhookContext('matched-rule', opportunity, { rule: { id: 'rule-1', name: 'Hiring' }, sentAt: 'now' });
+    const body = JSON.parse(renderWebhookBody(JSON.stringify({
+      id: '{{opportunity.id}}',
+      tags: '{{opportunity.tags}}',
+      line: '{{headline}}: {{opportunity.title}} ({{opportunity.tags}}){{opportunity.nope}}',
+      nested: ['{{rule}}', 3],
+      status: '{{status}}'
+    }), context));
+
+    expect(body).toEqual({
+      id: 'qw-1',
+      tags: ['hiring', 'startups'],
+      line: 'Matched alert rule "Hiring": Founders: what did your "first hire" teach you? (hiring, startups)',
+      nested: [{ id: 'rule-1', name: 'Hiring' }, 3],
+      status: null
+    });
+  });
+
+  test('the presets render valid JSON for Slack and the full payload', () => {
+    const context = buildWebhookContext('status-changed', opportunity, { status: { from: 'shortlisted', to: 'pitched' } });
+
+    const slack = JSON.parse(renderWebhookBody(WEBHOOK_TEMPLATES.slack.template, context));
+    expect(slack.text).toBe('*Moved from shortlisted to pitched:* <https://app.qwoted.com/opportunities/1|Founders: what did your "first hire" teach you?>\nForbes · due 5 July 2025');
+
+    const payload = JSON.parse(renderWebhookBody(WEBHOOK_TEMPLATES.json.template, context));
+    expect(payload).toMatchObject({
+      event: 'status-changed',
+      opportunity: { id: 'qw-1', mediaOutlet: 'Forbes', source: 'Qwoted' },
+      rule: null,
+      status: { from: 'shortlisted', to: 'pitched' }
+    });
+  });
+});
+
+describe('WebhookManager', () => {
+  let receiver;
+
+  beforeAll(done => {
+    receiver = createReceiver();
+    receiver.server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    receiver.server.close(done);
+  });
+
+  beforeEach(() => {
+    receiver.requests = [];
+    receiver.failures = [];
+  });
+
+  test('checks webhooks before saving them', async () => {
+    const manager = new WebhookManager({ storage: createStorage() });
+    const webhook = { name: 'Team', url: receiver.url('/hook'), events: ['new', 'bogus'] };
+
+    const saved = await manager.saveWebhook(webhook);
+    expect(saved).toMatchObject({ name: 'Team', enabled: true, events: ['new'], template: WEBHOOK_TEMPLATES.json.template });
+    expect(saved.id).toMatch(/^webhook-/);
+
+    await expect(manager.saveWebhook(webhook)).rejects.toThrow('already a webhook');
+    await expect(manager.saveWebhook({ ...webhook, name: 'A', url: 'ftp://example.com' })).rejects.toThrow('http or https');
+    await expect(manager.saveWebhook({ ...webhook, name: 'B', events: [] })).rejects.toThrow('at least one event');
+    await expect(manager.saveWebhook({ ...webhook, name: 'C', template: '{"text": {{headline}}}' })).rejects.toThrow('valid JSON');
+  });
+
+  test('posts signed bodies only to webhooks subscribed to the event and logs each delivery', async () => {
+    const storage = createStorage();
+    const manager = new WebhookManager({ storage, fetch: httpFetch });
+    const signed = await manager.saveWebhook({
+      name: 'Internal', url: receiver.url('/internal'), events: ['new', 'status-changed'], secret: 's3cret'
+    });
+    await manager.saveWebhook({ name: 'Slack', url: receiver.url('/slack'), events: ['matched-rule'], template: WEBHOOK_TEMPLATES.slack.template });
+    await manager.saveWebhook({ name: 'Off', url: receiver.url('/off'), events: ['new'], enabled: false });
+
+    const deliveries = await manager.createDeliveries('new', [opportunity]);
+    expect(deliveries).toHaveLength(1);
+    expect(await manager.deliver(deliveries[0])).toEqual({ success: true, retryable: false, status: 200 });
+
+    const [request] = receiver.requests;
+    expect(request.url).toBe('/internal');
+    expect(request.body).toMatchObject({ event: 'new', opportunity: { id: 'qw-1', title: opportunity.question } });
+    expect(request.headers['x-webhook-event']).toBe('new');
+    expect(request.headers['x-webhook-signature']).toBe(`sha256=${createHmac('sha256', 's3cret').update(request.raw).digest('hex')}`);
+
+    expect(await manager.getDeliveries()).toEqual([expect.objectContaining({
+      id: deliveries[0].id,
+      webhookId: signed.id,
+      webhookName: 'Internal',
+      event: 'new',
+      opportunityId: 'qw-1',
+      attempt: 1,
+      status: 200,
+      outcome: 'delivered'
+    })]);
+  });
+
+  test('delivers to hosts the manifest does not list, such as Slack, Teams and self-hosted endpoints', async () => {
+    const urls = [
+      'https://hooks.slack.com/services/T000/B000/XXXX',
+      'https://contoso.webhook.office.com/webhookb2/1234',
+      'http://automation.internal:8080/hooks/pr'
+    ];
+    urls.forEach(url => expect(connectSrcAllows(url)).toBe(true));
+    expect(connectSrcAllows('ftp://example.com/hook')).toBe(false);
+
+    const fetchMock = jest.fn(async () => ({ ok: true, status: 200 }));
+    const manager = new WebhookManager({ storage: createStorage(), fetch: fetchMock });
+    for (const [index, url] of urls.entries()) {
+      await manager.saveWebhook({ name: `Hook ${index}`, url, events: ['new'] });
+    }
+
+    const deliveries = await manager.createDeliveries('new', [opportunity]);
+    for (const delivery of deliveries) {
+      expect(await manager.deliver(delivery)).toMatchObject({ success: true, status: 200 });
+    }
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual(urls);
+  });
+
+  test('deliveries running side by side each keep their log entry', async () => {
+    const manager = new WebhookManager({ storage: createStorage(), fetch: jest.fn(async () => ({ ok: true, status: 200 })) });
+    for (const name of ['A', 'B', 'C']) {
+      await manager.saveWebhook({ name, url: `https://example.com/${name}`, events: ['new'] });
+    }
+
+    const deliveries = await manager.createDeliveries('new', [opportunity]);
+    await Promise.all(deliveries.map(delivery => manager.deliver(delivery)));
+
+    expect((await manager.getDeliveries()).map(entry => entry.webhookName).sort()).toEqual(['A', 'B', 'C']);
+  });
+
+  test('through the integrations manager, server errors are retried and rejected bodies are not', async () => {
+    const storage = createStorage();
+    const originalStorage = webhookManager.storage;
+    const originalFetch = webhookManager.fetch;
+    const originalDelay = integrationsManager.retryDelay;
+    webhookManager.storage = storage;
+    webhookManager.fetch = httpFetch;
+    integrationsManager.retryDelay = 10;
+
+    try {
+      await webhookManager.saveWebhook({ name: 'Teams', url: receiver.url('/teams'), events: ['matched-rule'] });
+      receiver.failures.push(503);
+
+      const result = await integrationsManager.sendWebhookEvent('matched-rule', [opportunity], { rule: { id: 'rule-1', name: 'Hiring' } });
+      expect(result).toMatchObject({ success: false, delivered: 0, queued: 1 });
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      expect(integrationsManager.getPendingRetryCount()).toBe(0);
+      expect(receiver.requests.map(request => request.body.rule.name)).toEqual(['Hiring', 'Hiring']);
+      expect(storage.values[WEBHOOK_DELIVERIES_KEY].map(entry => [entry.attempt, entry.outcome])).toEqual([[2, 'delivered'], [1, 'retrying']]);
+
+      receiver.failures.push(400);
+      expect(await integrationsManager.sendWebhookEvent('matched-rule', [opportunity], { rule: { id: 'rule-1', name: 'Hiring' } }))
+        .toMatchObject({ success: false, failed: 1, queued: 0 });
+      expect(integrationsManager.getPendingRetryCount()).toBe(0);
+      expect(storage.values[WEBHOOK_DELIVERIES_KEY][0]).toMatchObject({ status: 400, outcome: 'failed', error: 'HTTP 400' });
+    } finally {
+      webhookManager.storage = originalStorage;
+      webhookManager.fetch = originalFetch;
+      integrationsManager.retryDelay = originalDelay;
+    }
+  });
+});